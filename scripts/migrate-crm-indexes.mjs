@@ -27,6 +27,10 @@ const models = [
 try {
     await mongoose.connect(uri);
 
+    // Devices registered before plans had several device slots all hold slot 0.
+    const backfill = await CrmDevice.updateMany({ slot: { $exists: false } }, { $set: { slot: 0 } });
+    console.log(`Backfilled device slots: ${backfill.modifiedCount}`);
+
     for (const model of models) {
         await model.syncIndexes();
         console.log(`Synced indexes for ${model.modelName}`);
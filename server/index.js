@@ -36,15 +36,24 @@ import vietyakuRoutes from './routes/vietyaku.js';
 import aiRoutes from './routes/ai.js';
 import interiorRoutes from './routes/interior.js';
 import skillRoutes from './routes/skills.js';
-import crmRoutes from './routes/crm.js';
+import crmRoutes, { createAgentCommand } from './routes/crm.js';
 import channelWebhookRoutes from './routes/channelWebhooks.js';
 import webchatPublicRoutes from './routes/webchatPublic.js';
 import { configureBucketCors } from './utils/b2Storage.js';
 import { seedInteriorTemplateAssets } from './utils/interiorTemplateAssets.js';
 import { runSubscriptionMaintenance } from './jobs/crmSubscriptionJobs.js';
+import { runCampaignAbWinnerSelection, runCampaignScheduler } from './jobs/crmCampaignJobs.js';
+import { runSequenceDispatcher } from './jobs/crmSequenceJobs.js';
+import { runLeadScoreRefresh } from './jobs/crmLeadScoreJobs.js';
+import { runCustomerImportJobs } from './jobs/crmImportJobs.js';
+import { runSlaBreachChecks } from './jobs/crmSlaJobs.js';
+import { runSnoozeWakeups } from './jobs/crmConversationJobs.js';
+import { runChatbotReplayJobs } from './jobs/crmChatbotReplayJobs.js';
 import cron from 'node-cron';
 import CrmDevice from './models/CrmDevice.js';
 import crmEventHub from './utils/crmEventHub.js';
+import crmPresence from './utils/crmPresence.js';
+import { getRealtimeTransport } from './utils/crmRealtimeTransport.js';
 import HostMachine from './models/HostMachine.js';
 import CloudSession from './models/CloudSession.js';
 import FlowServer from './models/FlowServer.js';
@@ -272,10 +281,107 @@ cron.schedule('0 * * * *', async () => {
     }
 });
 
-// Cron: CRM Subscription maintenance (run hourly to expire or auto-renew)
+// Cron: CRM Subscription maintenance (hourly): renewal reminders, auto-renew
+// with retries, past_due grace window and expiry.
+let subscriptionMaintenanceRunning = false;
 cron.schedule('0 * * * *', async () => {
-    if (!isDatabaseReady()) return;
-    await runSubscriptionMaintenance();
+    if (!isDatabaseReady() || subscriptionMaintenanceRunning) return;
+    subscriptionMaintenanceRunning = true;
+    try {
+        await runSubscriptionMaintenance();
+    } finally {
+        subscriptionMaintenanceRunning = false;
+    }
+});
+
+// Cron: start due scheduled CRM campaigns and send A/B test winners to the
+// remaining audience every minute. Guarded so a slow run (many due campaigns)
+// never overlaps the next tick and double-starts.
+let campaignSchedulerRunning = false;
+cron.schedule('* * * * *', async () => {
+    if (!isDatabaseReady() || campaignSchedulerRunning) return;
+    campaignSchedulerRunning = true;
+    try {
+        await runCampaignScheduler({ createCommand: createAgentCommand });
+        await runCampaignAbWinnerSelection({ createCommand: createAgentCommand });
+    } finally {
+        campaignSchedulerRunning = false;
+    }
+});
+
+// Cron: send due drip-sequence steps every minute.
+let sequenceDispatcherRunning = false;
+cron.schedule('* * * * *', async () => {
+    if (!isDatabaseReady() || sequenceDispatcherRunning) return;
+    sequenceDispatcherRunning = true;
+    try {
+        await runSequenceDispatcher({ createCommand: createAgentCommand });
+    } finally {
+        sequenceDispatcherRunning = false;
+    }
+});
+
+// Cron: refresh stale CRM lead scores (decay, expired activity windows and
+// backfill after a scoring model change) every hour.
+let leadScoreRefreshRunning = false;
+cron.schedule('20 * * * *', async () => {
+    if (!isDatabaseReady() || leadScoreRefreshRunning) return;
+    leadScoreRefreshRunning = true;
+    try {
+        await runLeadScoreRefresh();
+    } finally {
+        leadScoreRefreshRunning = false;
+    }
+});
+
+// Cron: process queued customer import jobs (dry runs and imports) every
+// minute; a job interrupted by a restart resumes from its saved cursor.
+let customerImportRunning = false;
+cron.schedule('* * * * *', async () => {
+    if (!isDatabaseReady() || customerImportRunning) return;
+    customerImportRunning = true;
+    try {
+        await runCustomerImportJobs();
+    } finally {
+        customerImportRunning = false;
+    }
+});
+
+// Cron: run queued chatbot dry-run replays every minute; like imports, an
+// interrupted replay resumes from its saved cursor.
+let chatbotReplayRunning = false;
+cron.schedule('* * * * *', async () => {
+    if (!isDatabaseReady() || chatbotReplayRunning) return;
+    chatbotReplayRunning = true;
+    try {
+        await runChatbotReplayJobs();
+    } finally {
+        chatbotReplayRunning = false;
+    }
+});
+
+// Cron: push SLA warnings/breaches for open conversations every minute.
+let slaCheckRunning = false;
+cron.schedule('* * * * *', async () => {
+    if (!isDatabaseReady() || slaCheckRunning) return;
+    slaCheckRunning = true;
+    try {
+        await runSlaBreachChecks();
+    } finally {
+        slaCheckRunning = false;
+    }
+});
+
+// Cron: wake snoozed CRM conversations back into the open queue every minute.
+let snoozeWakeupRunning = false;
+cron.schedule('* * * * *', async () => {
+    if (!isDatabaseReady() || snoozeWakeupRunning) return;
+    snoozeWakeupRunning = true;
+    try {
+        await runSnoozeWakeups();
+    } finally {
+        snoozeWakeupRunning = false;
+    }
 });
 
 // Interval: mark CRM Desktop Agent devices offline if their heartbeat has
@@ -315,7 +421,13 @@ function registerShutdownHandlers(server) {
         shuttingDown = true;
         console.log(`${signal} received, shutting down`);
         try {
-            await shutdown({ server, disconnect: disconnectDB });
+            await shutdown({
+                server,
+                disconnect: async () => {
+                    await getRealtimeTransport().close();
+                    await disconnectDB();
+                }
+            });
             process.exit(0);
         } catch (error) {
             console.error('Graceful shutdown failed:', error);
@@ -338,6 +450,8 @@ export async function startServer() {
         }
     }
     await configureBucketCors();
+    await getRealtimeTransport().start();
+    crmPresence.connect();
     startCronJobs();
 
     const server = app.listen(PORT, () => {
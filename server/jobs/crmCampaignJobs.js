@@ -0,0 +1,277 @@
+import CrmCampaign from '../models/CrmCampaign.js';
+import CrmSubscription from '../models/CrmSubscription.js';
+import CrmDevice from '../models/CrmDevice.js';
+import CrmTemplate from '../models/CrmTemplate.js';
+import CrmCustomer from '../models/CrmCustomer.js';
+import CrmSegment from '../models/CrmSegment.js';
+import CrmExecutionLog from '../models/CrmExecutionLog.js';
+import CrmAgentCommand from '../models/CrmAgentCommand.js';
+import CrmAuditLog from '../models/CrmAuditLog.js';
+import {
+    aggregateVariantPerformance,
+    getCampaignVariants,
+    launchCampaign,
+    pickWinningVariant,
+    sendAbTestRemainder
+} from '../utils/crmCampaigns.js';
+import { resolveCrmEntitlements } from '../utils/crmCatalog.js';
+
+// When no Desktop Agent is online at the scheduled time, push the campaign
+// back and retry; after MAX_SCHEDULE_ATTEMPTS (~1h) give up and return it to
+// draft so it doesn't fire hours late without the owner noticing.
+export const SCHEDULE_RETRY_DELAY_MS = 5 * 60 * 1000;
+export const MAX_SCHEDULE_ATTEMPTS = 12;
+const DUE_BATCH_SIZE = 50;
+
+const defaultModels = {
+    CrmCampaign,
+    CrmSubscription,
+    CrmDevice,
+    CrmTemplate,
+    CrmCustomer,
+    CrmSegment,
+    CrmExecutionLog,
+    CrmAgentCommand,
+    CrmAuditLog
+};
+
+const findOnlineDevice = async ({ campaign, models }) => {
+    const base = { userId: campaign.userId, status: 'active', agentStatus: 'online' };
+    if (campaign.selectedDeviceId) {
+        const selected = await models.CrmDevice.findOne({ ...base, _id: campaign.selectedDeviceId });
+        if (selected) return selected;
+    }
+    return models.CrmDevice.findOne(base);
+};
+
+const returnToDraft = async ({ campaign, reason }) => {
+    campaign.status = 'draft';
+    campaign.lastScheduleError = reason;
+    await campaign.save();
+};
+
+const startScheduledCampaign = async ({ campaign, now, models, createCommand }) => {
+    const audit = (action, details = {}, extra = {}) => models.CrmAuditLog.create({
+        userId: campaign.userId,
+        action,
+        details: {
+            campaignId: campaign._id,
+            scheduledAt: campaign.scheduledAt,
+            timezone: campaign.timezone,
+            ...details
+        },
+        ...extra
+    });
+
+    const subscription = await models.CrmSubscription.findOne({ userId: campaign.userId, status: 'active' });
+    if (!subscription || new Date(subscription.periodEnd) < now) {
+        const reason = 'Gói đăng ký Alpha CRM không còn hoạt động.';
+        await returnToDraft({ campaign, reason });
+        await audit('campaign_schedule_failed', { reason });
+        return 'failed';
+    }
+
+    if (campaign.requireHumanApproval && !campaign.humanApprovedAt) {
+        const reason = 'Chiến dịch yêu cầu xác nhận thủ công trước khi bắt đầu.';
+        await returnToDraft({ campaign, reason });
+        await audit('campaign_schedule_failed', { reason }, { subscriptionId: subscription._id });
+        return 'failed';
+    }
+
+    const device = await findOnlineDevice({ campaign, models });
+    if (!device) {
+        campaign.scheduleAttempts = (campaign.scheduleAttempts || 0) + 1;
+        if (campaign.scheduleAttempts >= MAX_SCHEDULE_ATTEMPTS) {
+            const reason = 'Không có thiết bị Windows trực tuyến tại thời điểm hẹn giờ.';
+            await returnToDraft({ campaign, reason });
+            await audit('campaign_schedule_skipped', { reason, attempts: campaign.scheduleAttempts }, { subscriptionId: subscription._id });
+            return 'skipped';
+        }
+        const previousScheduledAt = campaign.scheduledAt;
+        campaign.scheduledAt = new Date(now.getTime() + SCHEDULE_RETRY_DELAY_MS);
+        campaign.lastScheduleError = 'no_online_device';
+        await campaign.save();
+        await audit('campaign_schedule_rescheduled', {
+            reason: 'no_online_device',
+            attempts: campaign.scheduleAttempts,
+            previousScheduledAt
+        }, { subscriptionId: subscription._id });
+        return 'rescheduled';
+    }
+
+    // Every instance runs this job: only the one that flips the campaign out
+    // of `scheduled` launches it.
+    const claimed = await models.CrmCampaign.findOneAndUpdate(
+        { _id: campaign._id, status: 'scheduled', scheduledAt: campaign.scheduledAt },
+        { $set: { status: 'running' } },
+        { new: true }
+    );
+    if (!claimed) return null;
+
+    try {
+        const { agentCommand, targetRecipients } = await launchCampaign({
+            campaign: claimed,
+            userId: campaign.userId,
+            subscriptionId: subscription._id,
+            device,
+            humanApprovedAt: campaign.humanApprovedAt,
+            maxRecipients: resolveCrmEntitlements(subscription).campaignRecipients,
+            createCommand,
+            models,
+            now
+        });
+        await audit('campaign_schedule_started', {
+            agentCommandId: agentCommand?._id || null,
+            targetCount: targetRecipients.length,
+            attempts: campaign.scheduleAttempts || 0
+        }, { subscriptionId: subscription._id, deviceId: device._id });
+        return 'started';
+    } catch (error) {
+        // Compliance/validation failures will not fix themselves on the next
+        // tick; anything else (DB hiccup) puts the campaign back to retry,
+        // unless launchCampaign already saved it as started.
+        if (!error.statusCode) {
+            await models.CrmCampaign.updateOne(
+                { _id: campaign._id, status: 'running', startedAt: campaign.startedAt ?? null },
+                { $set: { status: 'scheduled' } }
+            );
+            throw error;
+        }
+        await returnToDraft({ campaign: claimed, reason: error.message });
+        await audit('campaign_schedule_failed', { reason: error.message }, { subscriptionId: subscription._id, deviceId: device._id });
+        return 'failed';
+    }
+};
+
+/**
+ * Start every `scheduled` campaign whose scheduledAt has passed. scheduledAt is
+ * stored as an absolute instant (timezone already applied on create/update), so
+ * the due check is a plain comparison against `now`.
+ * @returns {Promise<{ started: number, rescheduled: number, skipped: number, failed: number }>}
+ */
+export const runCampaignScheduler = async ({
+    now = new Date(),
+    models = defaultModels,
+    createCommand = null
+} = {}) => {
+    const summary = { started: 0, rescheduled: 0, skipped: 0, failed: 0 };
+    try {
+        const dueCampaigns = await models.CrmCampaign.find({
+            status: 'scheduled',
+            scheduledAt: { $ne: null, $lte: now }
+        }).sort({ scheduledAt: 1 }).limit(DUE_BATCH_SIZE);
+
+        for (const campaign of dueCampaigns) {
+            try {
+                const outcome = await startScheduledCampaign({ campaign, now, models, createCommand });
+                if (outcome) summary[outcome] += 1;
+            } catch (error) {
+                summary.failed += 1;
+                console.error(`Scheduled campaign ${campaign._id} start error:`, error);
+            }
+        }
+        if (dueCampaigns.length > 0) {
+            console.log(`Processed ${dueCampaigns.length} scheduled campaigns: ${JSON.stringify(summary)}.`);
+        }
+    } catch (error) {
+        console.error('Error in runCampaignScheduler:', error);
+    }
+    return summary;
+};
+
+const selectAbTestWinner = async ({ campaign, now, models, createCommand }) => {
+    // Moving testEndsAt on lets the campaigns behind this one in the due
+    // query get their turn while it waits.
+    const wait = async () => {
+        await models.CrmCampaign.updateOne(
+            { _id: campaign._id, 'abTest.remainderSentAt': null },
+            { $set: { 'abTest.testEndsAt': new Date(now.getTime() + SCHEDULE_RETRY_DELAY_MS) } }
+        );
+        return 'waiting';
+    };
+
+    // Wait for the test cell to finish sending before judging it.
+    const unsentCount = await models.CrmExecutionLog.countDocuments({
+        campaignId: campaign._id,
+        status: { $in: ['queued', 'running'] }
+    });
+    if (unsentCount > 0) return wait();
+
+    const subscription = await models.CrmSubscription.findOne({ userId: campaign.userId, status: 'active' });
+    if (!subscription || new Date(subscription.periodEnd) < now) return wait();
+    const device = await findOnlineDevice({ campaign, models });
+    if (!device) return wait();
+
+    const variants = getCampaignVariants(campaign);
+    const variantStats = await aggregateVariantPerformance({
+        match: { userId: campaign.userId, campaignId: campaign._id },
+        models
+    });
+    const winnerKey = pickWinningVariant(variantStats, variants, campaign.abTest.winnerMetric);
+    const sent = await sendAbTestRemainder({
+        campaign,
+        subscriptionId: subscription._id,
+        device,
+        winnerKey,
+        createCommand,
+        models,
+        now
+    });
+    // Another instance sent it first.
+    if (!sent) return null;
+    const { agentCommand, remaining } = sent;
+    await models.CrmAuditLog.create({
+        userId: campaign.userId,
+        subscriptionId: subscription._id,
+        deviceId: device._id,
+        action: 'campaign_ab_winner_selected',
+        details: {
+            campaignId: campaign._id,
+            winnerVariantKey: winnerKey,
+            winnerMetric: campaign.abTest.winnerMetric,
+            variants: variantStats,
+            remainingCount: remaining,
+            agentCommandId: agentCommand?._id || null
+        }
+    });
+    return 'selected';
+};
+
+/**
+ * Pick the winning variant of every running A/B campaign whose test window has
+ * ended and send it to the held-out remainder. Campaigns whose test cell is
+ * still sending, or whose owner has no online device, are retried
+ * SCHEDULE_RETRY_DELAY_MS later.
+ * @returns {Promise<{ selected: number, waiting: number, failed: number }>}
+ */
+export const runCampaignAbWinnerSelection = async ({
+    now = new Date(),
+    models = defaultModels,
+    createCommand = null
+} = {}) => {
+    const summary = { selected: 0, waiting: 0, failed: 0 };
+    try {
+        const dueCampaigns = await models.CrmCampaign.find({
+            status: 'running',
+            'abTest.sendWinnerToRemainder': true,
+            'abTest.remainderSentAt': null,
+            'abTest.testEndsAt': { $ne: null, $lte: now }
+        }).sort({ 'abTest.testEndsAt': 1 }).limit(DUE_BATCH_SIZE);
+
+        for (const campaign of dueCampaigns) {
+            try {
+                const outcome = await selectAbTestWinner({ campaign, now, models, createCommand });
+                if (outcome) summary[outcome] += 1;
+            } catch (error) {
+                summary.failed += 1;
+                console.error(`A/B winner selection for campaign ${campaign._id} error:`, error);
+            }
+        }
+        if (summary.selected > 0 || summary.failed > 0) {
+            console.log(`Processed A/B winner selection: ${JSON.stringify(summary)}.`);
+        }
+    } catch (error) {
+        console.error('Error in runCampaignAbWinnerSelection:', error);
+    }
+    return summary;
+};
@@ -0,0 +1,246 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    MAX_SCHEDULE_ATTEMPTS,
+    SCHEDULE_RETRY_DELAY_MS,
+    runCampaignAbWinnerSelection,
+    runCampaignScheduler
+} from './crmCampaignJobs.js';
+
+const createQuery = (value) => ({
+    sort() {
+        return this;
+    },
+    limit() {
+        return this;
+    },
+    async then(resolve) {
+        return resolve(value);
+    }
+});
+
+const buildCampaign = (overrides = {}) => ({
+    _id: 'camp-1',
+    userId: 'user-1',
+    name: 'Promo',
+    status: 'scheduled',
+    channel: 'zalo',
+    templateId: 'tpl-1',
+    scheduledAt: new Date('2026-07-01T02:00:00.000Z'),
+    timezone: 'Asia/Ho_Chi_Minh',
+    scheduleAttempts: 0,
+    manualRecipients: [{ phone: '0903', name: 'Chi' }],
+    rateLimit: { minDelaySeconds: 3, maxDelaySeconds: 5 },
+    metrics: { totalTargets: 0 },
+    saves: 0,
+    async save() {
+        this.saves += 1;
+    },
+    ...overrides
+});
+
+const buildModels = ({ campaign, device, subscription, audits, commands }) => ({
+    CrmCampaign: {
+        find(filter) {
+            assert.strictEqual(filter.status, 'scheduled');
+            return createQuery([campaign]);
+        },
+        async findOneAndUpdate(filter, update) {
+            if (campaign.status !== filter.status || campaign.scheduledAt !== filter.scheduledAt) return null;
+            Object.assign(campaign, update.$set);
+            return campaign;
+        }
+    },
+    CrmSubscription: { async findOne() { return subscription; } },
+    CrmDevice: {
+        async findOne(filter) {
+            assert.strictEqual(filter.agentStatus, 'online');
+            return device;
+        }
+    },
+    CrmTemplate: { async findOne() { return { body: 'Chao {{name}}' }; } },
+    CrmCustomer: { async find() { return []; } },
+    CrmExecutionLog: { async insertMany() {} },
+    CrmAgentCommand: {
+        async create(payload) {
+            commands.push(payload);
+            return { _id: 'cmd-1', ...payload };
+        }
+    },
+    CrmAuditLog: {
+        async create(entry) {
+            audits.push(entry);
+        }
+    }
+});
+
+const activeSubscription = { _id: 'sub-1', periodEnd: new Date('2026-08-01T00:00:00.000Z') };
+const now = new Date('2026-07-01T02:00:30.000Z');
+
+test('runCampaignScheduler starts a due campaign on an online device and audits it', async () => {
+    const audits = [];
+    const commands = [];
+    const campaign = buildCampaign();
+    const models = buildModels({ campaign, device: { _id: 'dev-1' }, subscription: activeSubscription, audits, commands });
+
+    const summary = await runCampaignScheduler({ now, models });
+
+    assert.deepStrictEqual(summary, { started: 1, rescheduled: 0, skipped: 0, failed: 0 });
+    assert.strictEqual(campaign.status, 'running');
+    assert.strictEqual(commands[0].type, 'START_CAMPAIGN');
+    assert.strictEqual(commands[0].subscriptionId, 'sub-1');
+    assert.strictEqual(audits[0].action, 'campaign_schedule_started');
+    assert.strictEqual(audits[0].deviceId, 'dev-1');
+    assert.strictEqual(audits[0].details.targetCount, 1);
+});
+
+test('runCampaignScheduler starts a campaign once when two instances pick it up', async () => {
+    const audits = [];
+    const commands = [];
+    const campaign = buildCampaign();
+    const models = buildModels({ campaign, device: { _id: 'dev-1' }, subscription: activeSubscription, audits, commands });
+
+    const summaries = await Promise.all([runCampaignScheduler({ now, models }), runCampaignScheduler({ now, models })]);
+
+    assert.strictEqual(summaries[0].started + summaries[1].started, 1);
+    assert.strictEqual(commands.length, 1);
+    assert.deepStrictEqual(audits.map((entry) => entry.action), ['campaign_schedule_started']);
+});
+
+test('runCampaignScheduler reschedules when no device is online, then gives up', async () => {
+    const audits = [];
+    const commands = [];
+    const campaign = buildCampaign();
+    const models = buildModels({ campaign, device: null, subscription: activeSubscription, audits, commands });
+
+    const first = await runCampaignScheduler({ now, models });
+    assert.strictEqual(first.rescheduled, 1);
+    assert.strictEqual(campaign.status, 'scheduled');
+    assert.strictEqual(campaign.scheduledAt.getTime(), now.getTime() + SCHEDULE_RETRY_DELAY_MS);
+    assert.strictEqual(audits[0].action, 'campaign_schedule_rescheduled');
+
+    campaign.scheduleAttempts = MAX_SCHEDULE_ATTEMPTS - 1;
+    const last = await runCampaignScheduler({ now, models });
+    assert.strictEqual(last.skipped, 1);
+    assert.strictEqual(campaign.status, 'draft');
+    assert.strictEqual(audits[1].action, 'campaign_schedule_skipped');
+    assert.strictEqual(commands.length, 0);
+});
+
+test('runCampaignScheduler returns non-compliant campaigns to draft with the reason', async () => {
+    const audits = [];
+    const commands = [];
+    const campaign = buildCampaign({
+        manualRecipients: Array.from({ length: 60 }, (_, i) => ({ phone: `09${i}` }))
+    });
+    const models = buildModels({ campaign, device: { _id: 'dev-1' }, subscription: activeSubscription, audits, commands });
+
+    const summary = await runCampaignScheduler({ now, models });
+
+    assert.strictEqual(summary.failed, 1);
+    assert.strictEqual(campaign.status, 'draft');
+    assert.match(campaign.lastScheduleError, /humanApprovedAt/);
+    assert.strictEqual(audits[0].action, 'campaign_schedule_failed');
+    assert.strictEqual(commands.length, 0);
+});
+
+test('runCampaignScheduler fails campaigns whose owner has no active subscription', async () => {
+    const audits = [];
+    const campaign = buildCampaign();
+    const models = buildModels({ campaign, device: { _id: 'dev-1' }, subscription: null, audits, commands: [] });
+
+    const summary = await runCampaignScheduler({ now, models });
+
+    assert.strictEqual(summary.failed, 1);
+    assert.strictEqual(campaign.status, 'draft');
+    assert.strictEqual(audits[0].action, 'campaign_schedule_failed');
+});
+
+const buildAbCampaign = () => buildCampaign({
+    status: 'running',
+    templateId: 'tpl-a',
+    variants: [{ key: 'A', templateId: 'tpl-a', weight: 1 }, { key: 'B', templateId: 'tpl-b', weight: 1 }],
+    abTest: {
+        sendWinnerToRemainder: true,
+        winnerMetric: 'replyRate',
+        testEndsAt: new Date('2026-07-01T00:00:00.000Z'),
+        holdoutRecipients: [{ phone: '0911', name: 'Lan' }, { phone: '0912', name: 'Mai' }]
+    }
+});
+
+const buildAbModels = ({ campaign, unsentCount, audits, commands, updates = [] }) => ({
+    ...buildModels({ campaign, device: { _id: 'dev-1' }, subscription: activeSubscription, audits, commands }),
+    CrmCampaign: {
+        find(filter) {
+            assert.strictEqual(filter.status, 'running');
+            assert.strictEqual(filter['abTest.remainderSentAt'], null);
+            return createQuery([campaign]);
+        },
+        async updateOne(filter, update) {
+            updates.push([filter._id, update.$set]);
+        },
+        async findOneAndUpdate(filter, update) {
+            if (campaign.abTest.remainderSentAt != null) return null;
+            Object.assign(campaign.abTest, { remainderSentAt: update.$set['abTest.remainderSentAt'] });
+            return campaign;
+        }
+    },
+    CrmExecutionLog: {
+        async countDocuments() { return unsentCount; },
+        async aggregate() {
+            return [
+                { _id: { campaignId: 'camp-1', variantKey: 'A' }, templateId: 'tpl-a', total: 5, success: 5, failed: 0, replied: 1 },
+                { _id: { campaignId: 'camp-1', variantKey: 'B' }, templateId: 'tpl-b', total: 5, success: 4, failed: 1, replied: 2 }
+            ];
+        },
+        async insertMany() {}
+    }
+});
+
+test('runCampaignAbWinnerSelection sends the best variant to the remainder', async () => {
+    const audits = [];
+    const commands = [];
+    const campaign = buildAbCampaign();
+    const models = buildAbModels({ campaign, unsentCount: 0, audits, commands });
+
+    const summary = await runCampaignAbWinnerSelection({ now, models });
+
+    assert.deepStrictEqual(summary, { selected: 1, waiting: 0, failed: 0 });
+    assert.strictEqual(campaign.abTest.winnerVariantKey, 'B');
+    assert.strictEqual(commands[0].payload.recipients.length, 2);
+    assert.strictEqual(commands[0].payload.templateId, 'tpl-b');
+    assert.strictEqual(audits[0].action, 'campaign_ab_winner_selected');
+    assert.strictEqual(audits[0].details.remainingCount, 2);
+});
+
+test('runCampaignAbWinnerSelection sends the remainder once when two runs overlap', async () => {
+    const commands = [];
+    const campaign = buildAbCampaign();
+    const models = buildAbModels({ campaign, unsentCount: 0, audits: [], commands });
+
+    const summaries = await Promise.all([
+        runCampaignAbWinnerSelection({ now, models }),
+        runCampaignAbWinnerSelection({ now, models })
+    ]);
+
+    assert.strictEqual(commands.length, 1);
+    assert.deepStrictEqual(summaries.map((summary) => summary.selected).sort(), [0, 1]);
+    assert.ok(summaries.every((summary) => summary.failed === 0));
+});
+
+test('runCampaignAbWinnerSelection waits while the test cell is still sending', async () => {
+    const commands = [];
+    const updates = [];
+    const campaign = buildAbCampaign();
+    const models = buildAbModels({ campaign, unsentCount: 3, audits: [], commands, updates });
+
+    const summary = await runCampaignAbWinnerSelection({ now, models });
+
+    assert.deepStrictEqual(summary, { selected: 0, waiting: 1, failed: 0 });
+    assert.strictEqual(commands.length, 0);
+    assert.strictEqual(campaign.abTest.remainderSentAt, undefined);
+    // Pushed back so it doesn't hold the head of the due batch.
+    assert.deepStrictEqual(updates, [
+        ['camp-1', { 'abTest.testEndsAt': new Date(now.getTime() + SCHEDULE_RETRY_DELAY_MS) }]
+    ]);
+});
@@ -0,0 +1,153 @@
+import CrmChatbotReplayJob from '../models/CrmChatbotReplayJob.js';
+import CrmChatbotLog from '../models/CrmChatbotLog.js';
+import CrmConversation from '../models/CrmConversation.js';
+import CrmMessage from '../models/CrmMessage.js';
+import crmEventHub from '../utils/crmEventHub.js';
+import {
+    MAX_REPLAY_MESSAGES,
+    MAX_STORED_REPLAY_ROWS,
+    REPLAY_BATCH_SIZE,
+    processReplayBatch
+} from '../utils/crmChatbotReplay.js';
+
+// Same recovery rule as customer imports: a processing job whose lock went
+// stale belongs to a dead run and resumes from its cursor.
+export const REPLAY_LOCK_STALE_MS = 10 * 60 * 1000;
+const MAX_JOBS_PER_RUN = 2;
+
+const defaultModels = {
+    CrmChatbotReplayJob,
+    CrmChatbotLog,
+    CrmConversation,
+    CrmMessage
+};
+
+const progressPayload = (job) => ({
+    jobId: job._id,
+    status: job.status,
+    counts: job.counts,
+    truncated: job.truncated
+});
+
+const addCounts = (target, delta) => {
+    const next = { ...target };
+    for (const [key, value] of Object.entries(delta)) next[key] = (next[key] || 0) + value;
+    return next;
+};
+
+const claimNextJob = (models, now) => models.CrmChatbotReplayJob.findOneAndUpdate(
+    {
+        $or: [
+            { status: 'queued' },
+            { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - REPLAY_LOCK_STALE_MS) } }
+        ]
+    },
+    { $set: { status: 'processing', lockedAt: now } },
+    { new: true, sort: { updatedAt: 1 } }
+);
+
+const buildMessageFilter = (job) => {
+    const filter = {
+        userId: job.userId,
+        direction: 'inbound',
+        receivedAt: { $gte: job.from, $lte: job.to }
+    };
+    if (job.threadType && job.threadType !== 'all') filter.threadType = job.threadType;
+    if (job.accountIds?.length > 0) filter.accountId = { $in: job.accountIds };
+    if (job.cursor?.receivedAt) {
+        filter.$or = [
+            { receivedAt: { $gt: job.cursor.receivedAt } },
+            { receivedAt: job.cursor.receivedAt, _id: { $gt: job.cursor.messageId } }
+        ];
+    }
+    return filter;
+};
+
+const runJob = async ({ job, models, publish, batchSize }) => {
+    if (!job.startedAt) job.startedAt = new Date();
+    const toObject = (value) => (value?.toObject ? value.toObject() : value || {});
+
+    while (true) {
+        const room = MAX_REPLAY_MESSAGES - (job.counts?.messages || 0);
+        if (room <= 0) {
+            job.truncated = true;
+            break;
+        }
+        const messages = await models.CrmMessage.find(buildMessageFilter(job))
+            .select('_id conversationId accountId threadId threadType content receivedAt createdAt')
+            .sort({ receivedAt: 1, _id: 1 })
+            .limit(Math.min(batchSize, room))
+            .lean();
+        if (messages.length === 0) break;
+
+        const { counts, transitions, rows } = await processReplayBatch({ job, messages, models });
+        const last = messages[messages.length - 1];
+        job.cursor = { receivedAt: last.receivedAt, messageId: last._id };
+        job.counts = addCounts(toObject(job.counts), counts);
+        job.transitions = addCounts(toObject(job.transitions), transitions);
+        const storedRows = rows.slice(0, Math.max(0, MAX_STORED_REPLAY_ROWS - (job.rows?.length || 0)));
+
+        // Conditional on status so a cancel issued mid-run stops the loop.
+        const result = await models.CrmChatbotReplayJob.updateOne(
+            { _id: job._id, status: 'processing' },
+            {
+                $set: {
+                    cursor: job.cursor,
+                    counts: job.counts,
+                    transitions: job.transitions,
+                    startedAt: job.startedAt,
+                    lockedAt: new Date()
+                },
+                ...(storedRows.length > 0 ? { $push: { rows: { $each: storedRows } } } : {})
+            }
+        );
+        if (!result.matchedCount) return false;
+        job.rows = [...(job.rows || []), ...storedRows];
+        publish(job.userId, 'chatbot.replay.progress', progressPayload(job));
+        if (messages.length < batchSize) break;
+    }
+
+    job.status = 'completed';
+    await models.CrmChatbotReplayJob.updateOne(
+        { _id: job._id, status: 'processing' },
+        { $set: { status: 'completed', finishedAt: new Date(), lockedAt: null, truncated: Boolean(job.truncated), counts: job.counts } }
+    );
+    publish(job.userId, 'chatbot.replay.progress', progressPayload(job));
+    return true;
+};
+
+/**
+ * Process queued chatbot replay jobs, publishing `chatbot.replay.progress`
+ * on the owner's CRM SSE stream after each batch.
+ * @returns {Promise<{ processed: number, failed: number }>}
+ */
+export const runChatbotReplayJobs = async ({
+    now = new Date(),
+    models = defaultModels,
+    publish = crmEventHub.publish,
+    batchSize = REPLAY_BATCH_SIZE,
+    maxJobs = MAX_JOBS_PER_RUN
+} = {}) => {
+    const summary = { processed: 0, failed: 0 };
+    try {
+        for (let index = 0; index < maxJobs; index += 1) {
+            const job = await claimNextJob(models, now);
+            if (!job) break;
+            try {
+                if (await runJob({ job, models, publish, batchSize })) summary.processed += 1;
+            } catch (error) {
+                summary.failed += 1;
+                console.error(`Chatbot replay job ${job._id} error:`, error);
+                job.status = 'failed';
+                await models.CrmChatbotReplayJob.updateOne(
+                    { _id: job._id, status: 'processing' },
+                    { $set: { status: 'failed', lastError: error.message, lockedAt: null, finishedAt: new Date() } }
+                );
+                publish(job.userId, 'chatbot.replay.progress', { ...progressPayload(job), lastError: error.message });
+            }
+        }
+    } catch (error) {
+        console.error('Error in runChatbotReplayJobs:', error);
+    }
+    return summary;
+};
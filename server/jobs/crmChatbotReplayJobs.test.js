@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { runChatbotReplayJobs } from './crmChatbotReplayJobs.js';
+
+const createQuery = (result) => {
+    const query = {
+        select() { return query; },
+        sort() { return query; },
+        limit() { return query; },
+        lean() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+const now = new Date('2026-07-08T00:00:00.000Z');
+const buildJob = (overrides = {}) => ({
+    _id: 'job-1',
+    userId: 'owner-1',
+    status: 'processing',
+    from: new Date('2026-07-01T00:00:00.000Z'),
+    to: new Date('2026-07-07T00:00:00.000Z'),
+    threadType: 'user',
+    accountIds: [],
+    config: {
+        settings: { enabled: true, aiEnabled: false, handoffKeywords: [], debounceSeconds: 0 },
+        rules: [{ id: 'rule-1', name: 'Chao', keywords: ['xin chao'], matchMode: 'contains', channelScope: 'all', handoffKeywords: [] }]
+    },
+    cursor: { receivedAt: null, messageId: null },
+    counts: {},
+    transitions: {},
+    rows: [],
+    ...overrides
+});
+
+const inbound = (index, content) => ({
+    _id: `msg-${index}`,
+    conversationId: 'conv-1',
+    accountId: 'acc-1',
+    threadId: 'thread-1',
+    threadType: 'user',
+    content,
+    receivedAt: new Date(Date.parse('2026-07-02T00:00:00.000Z') + index * 60000)
+});
+
+const buildModels = ({ jobs, pages, updates, filters, statusAfterFirstBatch = 'processing' }) => ({
+    CrmChatbotReplayJob: {
+        async findOneAndUpdate(filter, update) {
+            assert.strictEqual(filter.$or[0].status, 'queued');
+            assert.strictEqual(update.$set.status, 'processing');
+            return jobs.shift() || null;
+        },
+        async updateOne(filter, update) {
+            updates.push(update);
+            const matched = updates.length === 1 || statusAfterFirstBatch === 'processing';
+            return { matchedCount: matched ? 1 : 0 };
+        }
+    },
+    CrmMessage: {
+        find: (filter) => {
+            filters.push(filter);
+            return createQuery(pages.shift() || []);
+        }
+    },
+    CrmChatbotLog: { find: () => createQuery([]) },
+    CrmConversation: { find: () => createQuery([]) }
+});
+
+test('runChatbotReplayJobs walks the window in batches and publishes progress', async () => {
+    const updates = [];
+    const filters = [];
+    const events = [];
+    const summary = await runChatbotReplayJobs({
+        now,
+        batchSize: 2,
+        models: buildModels({
+            jobs: [buildJob()],
+            pages: [[inbound(1, 'Xin chào shop'), inbound(2, 'Gia bao nhieu')], [inbound(3, 'xin chao')]],
+            updates,
+            filters
+        }),
+        publish: (...args) => events.push(args)
+    });
+
+    assert.deepStrictEqual(summary, { processed: 1, failed: 0 });
+    assert.strictEqual(filters[0].direction, 'inbound');
+    assert.strictEqual(filters[0].threadType, 'user');
+    assert.strictEqual(filters[0].$or, undefined);
+    assert.deepStrictEqual(filters[1].$or[1], { receivedAt: inbound(2).receivedAt, _id: { $gt: 'msg-2' } });
+    assert.strictEqual(updates[0].$push.rows.$each.length, 1);
+    const final = updates[updates.length - 1].$set;
+    assert.strictEqual(final.status, 'completed');
+    assert.strictEqual(final.counts.messages, 3);
+    assert.strictEqual(final.counts.keyword, 2);
+    assert.strictEqual(final.counts.none, 1);
+    assert.strictEqual(events[events.length - 1][1], 'chatbot.replay.progress');
+    assert.strictEqual(events[events.length - 1][2].status, 'completed');
+});
+
+test('runChatbotReplayJobs stops when the job is cancelled mid-run', async () => {
+    const updates = [];
+    const summary = await runChatbotReplayJobs({
+        now,
+        batchSize: 1,
+        models: buildModels({
+            jobs: [buildJob()],
+            pages: [[inbound(1, 'xin chao')], [inbound(2, 'xin chao')]],
+            updates,
+            filters: [],
+            statusAfterFirstBatch: 'cancelled'
+        }),
+        publish: () => {}
+    });
+
+    assert.deepStrictEqual(summary, { processed: 0, failed: 0 });
+    assert.strictEqual(updates.length, 2);
+    assert.ok(updates.every((update) => update.$set.status === undefined));
+});
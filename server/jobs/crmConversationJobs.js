@@ -0,0 +1,50 @@
+import CrmAuditLog from '../models/CrmAuditLog.js';
+import CrmConversation from '../models/CrmConversation.js';
+import crmEventHub from '../utils/crmEventHub.js';
+import { transitionConversation } from '../utils/crmConversationStatus.js';
+
+const WAKE_BATCH_SIZE = 500;
+
+const defaultModels = { CrmAuditLog, CrmConversation };
+
+/**
+ * Reopen snoozed conversations whose snoozedUntil has passed.
+ * @returns {Promise<{ woken: number, failed: number }>}
+ */
+export const runSnoozeWakeups = async ({
+    now = new Date(),
+    models = defaultModels,
+    publish = crmEventHub.publish,
+    batchSize = WAKE_BATCH_SIZE
+} = {}) => {
+    const summary = { woken: 0, failed: 0 };
+    try {
+        const conversations = await models.CrmConversation.find({
+            assignedStatus: 'snoozed',
+            snoozedUntil: { $lte: now }
+        }).sort({ snoozedUntil: 1 }).limit(batchSize);
+
+        for (const conversation of conversations) {
+            try {
+                await transitionConversation({
+                    userId: conversation.userId,
+                    conversation,
+                    to: 'open',
+                    reason: 'snooze_expired',
+                    now,
+                    models,
+                    publish
+                });
+                summary.woken += 1;
+            } catch (error) {
+                // 409: a customer reply or a staff action got there first.
+                if (error.statusCode === 409) continue;
+                summary.failed += 1;
+                console.error(`Snooze wake-up ${conversation._id} error:`, error);
+            }
+        }
+    } catch (error) {
+        console.error('Error in runSnoozeWakeups:', error);
+    }
+    return summary;
+};
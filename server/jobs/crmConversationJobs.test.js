@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { runSnoozeWakeups } from './crmConversationJobs.js';
+
+const createQuery = (result) => {
+    const query = {
+        sort() { return query; },
+        limit() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+const now = new Date('2026-07-01T02:00:00.000Z');
+
+test('runSnoozeWakeups reopens due snoozed conversations and skips ones changed meanwhile', async () => {
+    const audits = [];
+    const events = [];
+    const models = {
+        CrmConversation: {
+            find(filter) {
+                assert.deepStrictEqual(filter, { assignedStatus: 'snoozed', snoozedUntil: { $lte: now } });
+                return createQuery([
+                    { _id: 'c1', userId: 'owner-1', assignedStatus: 'snoozed' },
+                    { _id: 'c2', userId: 'owner-2', assignedStatus: 'snoozed' }
+                ]);
+            },
+            async findOneAndUpdate(filter, update) {
+                // c2 was answered by the customer a moment ago.
+                return filter._id === 'c2' ? null : { _id: filter._id, ...update.$set };
+            }
+        },
+        CrmAuditLog: { async create(doc) { audits.push(doc); } }
+    };
+
+    const summary = await runSnoozeWakeups({ now, models, publish: (userId, name) => events.push([userId, name]) });
+
+    assert.deepStrictEqual(summary, { woken: 1, failed: 0 });
+    assert.deepStrictEqual(audits.map((audit) => [audit.userId, audit.details.reason, audit.details.to]), [
+        ['owner-1', 'snooze_expired', 'open']
+    ]);
+    assert.deepStrictEqual(events, [['owner-1', 'conversation.updated']]);
+});
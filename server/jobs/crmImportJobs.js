@@ -0,0 +1,147 @@
+import CrmImportJob from '../models/CrmImportJob.js';
+import CrmCustomer from '../models/CrmCustomer.js';
+import crmEventHub from '../utils/crmEventHub.js';
+import { downloadFile } from '../utils/b2Storage.js';
+import { parseSpreadsheet } from '../utils/crmSpreadsheet.js';
+import {
+    IMPORT_BATCH_SIZE,
+    MAX_IMPORT_ROWS,
+    MAX_STORED_ERROR_ROWS,
+    processImportBatch,
+    rememberImportIdentities
+} from '../utils/crmCustomerImport.js';
+
+// A processing job whose lock hasn't been refreshed for this long belongs to
+// a run that died (deploy, crash) and is picked up again from its cursor.
+export const IMPORT_LOCK_STALE_MS = 10 * 60 * 1000;
+const MAX_JOBS_PER_RUN = 3;
+
+const defaultModels = {
+    CrmImportJob,
+    CrmCustomer
+};
+
+const progressPayload = (job) => ({
+    jobId: job._id,
+    status: job.status,
+    mode: job.mode,
+    cursor: job.cursor,
+    totalRows: job.totalRows,
+    counts: job.counts
+});
+
+const addCounts = (target, delta) => {
+    const next = { ...target };
+    for (const [key, value] of Object.entries(delta)) next[key] = (next[key] || 0) + value;
+    return next;
+};
+
+const claimNextJob = (models, now) => models.CrmImportJob.findOneAndUpdate(
+    {
+        $or: [
+            { status: 'queued' },
+            { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - IMPORT_LOCK_STALE_MS) } }
+        ]
+    },
+    { $set: { status: 'processing', lockedAt: now } },
+    { new: true, sort: { updatedAt: 1 } }
+);
+
+const runJob = async ({ job, models, downloadObject, publish, batchSize }) => {
+    const buffer = await downloadObject(job.file.key);
+    const { rows } = parseSpreadsheet(buffer, job.file.format);
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw Object.assign(new Error(`File vuot qua ${MAX_IMPORT_ROWS} dong.`), { statusCode: 400 });
+    }
+    const dryRun = job.mode === 'dry_run';
+    if (!job.startedAt) job.startedAt = new Date();
+    job.totalRows = rows.length;
+
+    // Identities seen earlier in the file; after a resume the rows before the
+    // cursor are re-read so in-file duplicates are still recognised.
+    const seenKeys = new Set();
+    rememberImportIdentities({ rows: rows.slice(0, job.cursor), mapping: job.columnMapping, options: job.options, seenKeys });
+
+    while (job.cursor < rows.length) {
+        const batch = rows.slice(job.cursor, job.cursor + batchSize);
+        const { counts, errorRows } = await processImportBatch({
+            userId: job.userId,
+            job,
+            rows: batch,
+            startIndex: job.cursor,
+            seenKeys,
+            dryRun,
+            models
+        });
+        job.cursor += batch.length;
+        job.counts = addCounts(job.counts?.toObject ? job.counts.toObject() : job.counts, counts);
+        const room = Math.max(0, MAX_STORED_ERROR_ROWS - (job.errorRows?.length || 0));
+        const storedErrors = errorRows.slice(0, room);
+
+        // Conditional on status so a cancel issued mid-run stops the loop
+        // instead of being overwritten by the next progress save.
+        const result = await models.CrmImportJob.updateOne(
+            { _id: job._id, status: 'processing' },
+            {
+                $set: {
+                    cursor: job.cursor,
+                    totalRows: job.totalRows,
+                    counts: job.counts,
+                    startedAt: job.startedAt,
+                    lockedAt: new Date()
+                },
+                ...(storedErrors.length > 0 ? { $push: { errorRows: { $each: storedErrors } } } : {})
+            }
+        );
+        if (!result.matchedCount) return false;
+        job.errorRows = [...(job.errorRows || []), ...storedErrors];
+        publish(job.userId, 'import.progress', progressPayload(job));
+    }
+
+    job.status = dryRun ? 'validated' : 'completed';
+    job.finishedAt = new Date();
+    job.lockedAt = null;
+    await models.CrmImportJob.updateOne(
+        { _id: job._id, status: 'processing' },
+        { $set: { status: job.status, finishedAt: job.finishedAt, lockedAt: null, totalRows: job.totalRows, counts: job.counts } }
+    );
+    publish(job.userId, 'import.progress', progressPayload(job));
+    return true;
+};
+
+/**
+ * Process queued customer import jobs (dry runs and imports) in batches,
+ * publishing `import.progress` on the owner's CRM SSE stream after each batch.
+ * @returns {Promise<{ processed: number, failed: number }>}
+ */
+export const runCustomerImportJobs = async ({
+    now = new Date(),
+    models = defaultModels,
+    downloadObject = downloadFile,
+    publish = crmEventHub.publish,
+    batchSize = IMPORT_BATCH_SIZE,
+    maxJobs = MAX_JOBS_PER_RUN
+} = {}) => {
+    const summary = { processed: 0, failed: 0 };
+    try {
+        for (let index = 0; index < maxJobs; index += 1) {
+            const job = await claimNextJob(models, now);
+            if (!job) break;
+            try {
+                if (await runJob({ job, models, downloadObject, publish, batchSize })) summary.processed += 1;
+            } catch (error) {
+                summary.failed += 1;
+                console.error(`Customer import job ${job._id} error:`, error);
+                job.status = 'failed';
+                await models.CrmImportJob.updateOne(
+                    { _id: job._id, status: 'processing' },
+                    { $set: { status: 'failed', lastError: error.message, lockedAt: null, finishedAt: new Date() } }
+                );
+                publish(job.userId, 'import.progress', { ...progressPayload(job), lastError: error.message });
+            }
+        }
+    } catch (error) {
+        console.error('Error in runCustomerImportJobs:', error);
+    }
+    return summary;
+};
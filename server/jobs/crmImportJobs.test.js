@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { runCustomerImportJobs } from './crmImportJobs.js';
+
+const createQuery = (result) => {
+    const query = {
+        select() { return query; },
+        lean() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+const now = new Date('2026-07-01T02:00:00.000Z');
+const csv = ['Ten,SDT', 'An,0912345678', 'Binh,0988000111', ',0900000000', 'Chi,0977000222', 'An lap,0912345678'].join('\n');
+
+const buildJob = (overrides = {}) => ({
+    _id: 'job-1',
+    userId: 'user-1',
+    status: 'processing',
+    mode: 'import',
+    file: { key: 'crm-imports/user-1/job-1-kh.csv', format: 'csv', filename: 'kh.csv' },
+    columnMapping: { name: 'Ten', phone: 'SDT' },
+    options: { updateExisting: true },
+    cursor: 0,
+    counts: {},
+    errorRows: [],
+    ...overrides
+});
+
+const buildModels = ({ jobs, updates, created, statusAfterFirstBatch = 'processing' }) => ({
+    CrmImportJob: {
+        async findOneAndUpdate(filter, update) {
+            assert.strictEqual(filter.$or[0].status, 'queued');
+            assert.strictEqual(update.$set.status, 'processing');
+            return jobs.shift() || null;
+        },
+        async updateOne(filter, update) {
+            updates.push(update);
+            const matched = updates.length === 1 || statusAfterFirstBatch === 'processing';
+            return { matchedCount: matched ? 1 : 0 };
+        }
+    },
+    CrmCustomer: {
+        find: () => createQuery([]),
+        async bulkWrite() {},
+        async insertMany(docs) { created.push(...docs.map((doc) => doc.name)); }
+    }
+});
+
+test('runCustomerImportJobs imports in batches and publishes progress', async () => {
+    const updates = [];
+    const created = [];
+    const events = [];
+    const summary = await runCustomerImportJobs({
+        now,
+        models: buildModels({ jobs: [buildJob()], updates, created }),
+        downloadObject: async (key) => {
+            assert.strictEqual(key, 'crm-imports/user-1/job-1-kh.csv');
+            return Buffer.from(csv);
+        },
+        publish: (userId, name, payload) => events.push([userId, name, payload.status, payload.cursor]),
+        batchSize: 2
+    });
+
+    assert.deepStrictEqual(summary, { processed: 1, failed: 0 });
+    assert.deepStrictEqual(created, ['An', 'Binh', 'Chi']);
+    assert.deepStrictEqual(events, [
+        ['user-1', 'import.progress', 'processing', 2],
+        ['user-1', 'import.progress', 'processing', 4],
+        ['user-1', 'import.progress', 'processing', 5],
+        ['user-1', 'import.progress', 'completed', 5]
+    ]);
+    assert.deepStrictEqual(updates[1].$push.errorRows.$each.map((item) => item.row), [4]);
+    assert.deepStrictEqual(updates.at(-1).$set.counts, { valid: 3, created: 3, updated: 0, skipped: 0, duplicatesInFile: 1, errors: 1 });
+    assert.strictEqual(updates.at(-1).$set.status, 'completed');
+});
+
+test('runCustomerImportJobs resumes from the cursor without re-importing earlier rows', async () => {
+    const updates = [];
+    const created = [];
+    await runCustomerImportJobs({
+        now,
+        models: buildModels({ jobs: [buildJob({ mode: 'dry_run', cursor: 4 })], updates, created }),
+        downloadObject: async () => Buffer.from(csv),
+        publish: () => {},
+        batchSize: 2
+    });
+    // Dry run: nothing written; the repeated phone on the last row is still
+    // recognised from the rows before the cursor.
+    assert.deepStrictEqual(created, []);
+    assert.strictEqual(updates.at(-1).$set.status, 'validated');
+    assert.deepStrictEqual(updates.at(-1).$set.counts, { valid: 0, created: 0, updated: 0, skipped: 0, duplicatesInFile: 1, errors: 0 });
+});
+
+test('runCustomerImportJobs stops when the job is cancelled and records failures', async () => {
+    const updates = [];
+    const created = [];
+    const summary = await runCustomerImportJobs({
+        now,
+        models: buildModels({ jobs: [buildJob()], updates, created, statusAfterFirstBatch: 'cancelled' }),
+        downloadObject: async () => Buffer.from(csv),
+        publish: () => {},
+        batchSize: 2
+    });
+    assert.deepStrictEqual(summary, { processed: 0, failed: 0 });
+    // The batch in flight when the cancel lands still completes.
+    assert.deepStrictEqual(created, ['An', 'Binh', 'Chi']);
+    assert.strictEqual(updates.length, 2);
+
+    const failedUpdates = [];
+    const failed = await runCustomerImportJobs({
+        now,
+        models: buildModels({ jobs: [buildJob()], updates: failedUpdates, created: [] }),
+        downloadObject: async () => { throw new Error('NoSuchKey'); },
+        publish: () => {}
+    });
+    assert.deepStrictEqual(failed, { processed: 0, failed: 1 });
+    assert.deepStrictEqual([failedUpdates[0].$set.status, failedUpdates[0].$set.lastError], ['failed', 'NoSuchKey']);
+});
@@ -0,0 +1,75 @@
+import CrmCustomer from '../models/CrmCustomer.js';
+import CrmScoringModel from '../models/CrmScoringModel.js';
+import CrmLeadScoreHistory from '../models/CrmLeadScoreHistory.js';
+import CrmConversation from '../models/CrmConversation.js';
+import CrmMessage from '../models/CrmMessage.js';
+import CrmExecutionLog from '../models/CrmExecutionLog.js';
+import CrmTask from '../models/CrmTask.js';
+import CrmGroupInsight from '../models/CrmGroupInsight.js';
+import { getActiveScoringModel, recomputeCustomerScore } from '../utils/crmLeadScoring.js';
+
+// Event-driven recomputes keep scores current while customers are active;
+// this sweep covers what events can't: decay and expiring activity windows
+// for idle customers, and backfill after a scoring model change.
+export const SCORE_STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+const REFRESH_BATCH_SIZE = 1000;
+
+const defaultModels = {
+    CrmCustomer,
+    CrmScoringModel,
+    CrmLeadScoreHistory,
+    CrmConversation,
+    CrmMessage,
+    CrmExecutionLog,
+    CrmTask,
+    CrmGroupInsight
+};
+
+/**
+ * Recompute lead scores that are missing or older than SCORE_STALE_AFTER_MS.
+ * @returns {Promise<{ recomputed: number, changed: number, failed: number }>}
+ */
+export const runLeadScoreRefresh = async ({
+    now = new Date(),
+    models = defaultModels,
+    batchSize = REFRESH_BATCH_SIZE
+} = {}) => {
+    const summary = { recomputed: 0, changed: 0, failed: 0 };
+    try {
+        const customers = await models.CrmCustomer.find({
+            $or: [
+                { leadScoreUpdatedAt: null },
+                { leadScoreUpdatedAt: { $lt: new Date(now.getTime() - SCORE_STALE_AFTER_MS) } }
+            ]
+        }).sort({ leadScoreUpdatedAt: 1 }).limit(batchSize);
+
+        const modelsByUser = new Map();
+        for (const customer of customers) {
+            try {
+                const userKey = String(customer.userId);
+                if (!modelsByUser.has(userKey)) {
+                    modelsByUser.set(userKey, await getActiveScoringModel({ userId: customer.userId, models }));
+                }
+                const result = await recomputeCustomerScore({
+                    userId: customer.userId,
+                    customer,
+                    model: modelsByUser.get(userKey),
+                    reason: 'scheduled_refresh',
+                    now,
+                    models
+                });
+                summary.recomputed += 1;
+                if (result?.changed) summary.changed += 1;
+            } catch (error) {
+                summary.failed += 1;
+                console.error(`Lead score refresh for customer ${customer._id} error:`, error);
+            }
+        }
+        if (customers.length > 0) {
+            console.log(`Refreshed lead scores: ${JSON.stringify(summary)}.`);
+        }
+    } catch (error) {
+        console.error('Error in runLeadScoreRefresh:', error);
+    }
+    return summary;
+};
@@ -0,0 +1,137 @@
+import CrmSequence from '../models/CrmSequence.js';
+import CrmSequenceEnrollment from '../models/CrmSequenceEnrollment.js';
+import CrmSubscription from '../models/CrmSubscription.js';
+import CrmDevice from '../models/CrmDevice.js';
+import CrmTemplate from '../models/CrmTemplate.js';
+import CrmCustomer from '../models/CrmCustomer.js';
+import CrmAgentCommand from '../models/CrmAgentCommand.js';
+import { dispatchSequenceSteps } from '../utils/crmSequences.js';
+
+const DUE_BATCH_SIZE = 500;
+// How far a due step is pushed back while it can't be sent, so held
+// enrollments leave the front of the due queue to other owners. Also the
+// lease taken when claiming a step, so a dispatch that fails is retried then.
+export const SEQUENCE_WAIT_DELAY_MS = 5 * 60 * 1000;
+
+const defaultModels = {
+    CrmSequence,
+    CrmSequenceEnrollment,
+    CrmSubscription,
+    CrmDevice,
+    CrmTemplate,
+    CrmCustomer,
+    CrmAgentCommand
+};
+
+const findOnlineDevice = async ({ sequence, models }) => {
+    const base = { userId: sequence.userId, status: 'active', agentStatus: 'online' };
+    if (sequence.selectedDeviceId) {
+        const selected = await models.CrmDevice.findOne({ ...base, _id: sequence.selectedDeviceId });
+        if (selected) return selected;
+    }
+    return models.CrmDevice.findOne(base);
+};
+
+/**
+ * Send every due drip-sequence step. Enrollments of paused sequences, or of
+ * owners without an active subscription / online Desktop Agent, are retried
+ * SEQUENCE_WAIT_DELAY_MS later; archived sequences end their enrollments.
+ * Each enrollment is claimed before its step is sent, so instances running
+ * this cron side by side send it once.
+ * @returns {Promise<{ dispatched: number, completed: number, exited: number, waiting: number, failed: number }>}
+ */
+export const runSequenceDispatcher = async ({
+    now = new Date(),
+    models = defaultModels,
+    createCommand = null
+} = {}) => {
+    const summary = { dispatched: 0, completed: 0, exited: 0, waiting: 0, failed: 0 };
+    try {
+        const due = await models.CrmSequenceEnrollment.find({
+            status: 'active',
+            nextStepAt: { $ne: null, $lte: now }
+        }).sort({ nextStepAt: 1 }).limit(DUE_BATCH_SIZE);
+
+        const retryAt = new Date(now.getTime() + SEQUENCE_WAIT_DELAY_MS);
+        // Moving nextStepAt to the retry time is the claim: another instance
+        // that loaded the same due step no longer matches, and if the dispatch
+        // below fails the step simply comes due again at retryAt.
+        const claim = async (enrollments) => {
+            const claimed = [];
+            for (const enrollment of enrollments) {
+                const owned = await models.CrmSequenceEnrollment.findOneAndUpdate(
+                    { _id: enrollment._id, status: 'active', nextStepAt: enrollment.nextStepAt },
+                    { $set: { nextStepAt: retryAt } },
+                    { new: true }
+                );
+                if (owned) claimed.push(owned);
+            }
+            return claimed;
+        };
+
+        const postpone = (enrollments) => models.CrmSequenceEnrollment.updateMany(
+            { _id: { $in: enrollments.map((enrollment) => enrollment._id) }, status: 'active' },
+            { $set: { nextStepAt: retryAt } }
+        );
+
+        const bySequence = new Map();
+        for (const enrollment of due) {
+            const key = String(enrollment.sequenceId);
+            if (!bySequence.has(key)) bySequence.set(key, []);
+            bySequence.get(key).push(enrollment);
+        }
+
+        for (const [sequenceId, enrollments] of bySequence) {
+            try {
+                const sequence = await models.CrmSequence.findById(sequenceId);
+                if (!sequence || sequence.status === 'archived') {
+                    await models.CrmSequenceEnrollment.updateMany(
+                        { _id: { $in: enrollments.map((enrollment) => enrollment._id) } },
+                        { $set: { status: 'exited', exitReason: 'sequence_archived', exitedAt: now, nextStepAt: null } }
+                    );
+                    summary.exited += enrollments.length;
+                    continue;
+                }
+                if (sequence.status !== 'active') {
+                    await postpone(enrollments);
+                    summary.waiting += enrollments.length;
+                    continue;
+                }
+
+                const subscription = await models.CrmSubscription.findOne({ userId: sequence.userId, status: 'active' });
+                const device = subscription && new Date(subscription.periodEnd) >= now
+                    ? await findOnlineDevice({ sequence, models })
+                    : null;
+                if (!device) {
+                    await postpone(enrollments);
+                    summary.waiting += enrollments.length;
+                    continue;
+                }
+
+                const claimed = await claim(enrollments);
+                if (claimed.length === 0) continue;
+                const result = await dispatchSequenceSteps({
+                    sequence,
+                    enrollments: claimed,
+                    subscriptionId: subscription._id,
+                    device,
+                    createCommand,
+                    models,
+                    now
+                });
+                summary.dispatched += result.dispatched;
+                summary.completed += result.completed;
+                summary.exited += result.exited;
+            } catch (error) {
+                summary.failed += enrollments.length;
+                console.error(`Sequence ${sequenceId} dispatch error:`, error);
+            }
+        }
+        if (summary.dispatched > 0 || summary.exited > 0 || summary.failed > 0) {
+            console.log(`Processed drip sequences: ${JSON.stringify(summary)}.`);
+        }
+    } catch (error) {
+        console.error('Error in runSequenceDispatcher:', error);
+    }
+    return summary;
+};
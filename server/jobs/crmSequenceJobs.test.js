@@ -0,0 +1,157 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { SEQUENCE_WAIT_DELAY_MS, runSequenceDispatcher } from './crmSequenceJobs.js';
+
+const createQuery = (value) => ({
+    sort() {
+        return this;
+    },
+    limit() {
+        return this;
+    },
+    async then(resolve) {
+        return resolve(value);
+    }
+});
+
+const now = new Date('2026-07-01T02:00:00.000Z');
+
+const buildModels = ({ sequence, enrollments, device, commands, bulkExits = [], postponed = [] }) => ({
+    CrmSequenceEnrollment: {
+        find(filter) {
+            assert.strictEqual(filter.status, 'active');
+            // Each run gets its own copies, as separate instances would.
+            return createQuery(enrollments.map((enrollment) => ({ ...enrollment })));
+        },
+        async updateMany(filter, update) {
+            if (update.$set.exitReason) bulkExits.push([filter._id.$in, update.$set.exitReason]);
+            else postponed.push([filter._id.$in, update.$set.nextStepAt]);
+        },
+        // Claims succeed only while the due time the caller saw is unchanged.
+        async findOneAndUpdate(filter, update) {
+            const enrollment = enrollments.find((entry) => entry._id === filter._id);
+            if (!enrollment || enrollment.status !== filter.status || enrollment.nextStepAt !== filter.nextStepAt) return null;
+            Object.assign(enrollment, update.$set);
+            return enrollment;
+        }
+    },
+    CrmSequence: {
+        async findById() { return sequence; },
+        async updateOne() {}
+    },
+    CrmSubscription: { async findOne() { return { _id: 'sub-1', periodEnd: new Date('2026-08-01T00:00:00.000Z') }; } },
+    CrmDevice: {
+        async findOne(filter) {
+            assert.strictEqual(filter.agentStatus, 'online');
+            return device;
+        }
+    },
+    CrmCustomer: { async find() { return [{ _id: 'cust-1', name: 'An', phone: '0903', consentStatus: 'granted' }]; } },
+    CrmTemplate: { async findOne() { return { body: 'Chao {{name}}' }; } },
+    CrmAgentCommand: {
+        async create(payload) {
+            commands.push(payload);
+            return { _id: 'cmd-1', ...payload };
+        }
+    }
+});
+
+const buildEnrollment = () => ({
+    _id: 'enr-1',
+    sequenceId: 'seq-1',
+    customerId: 'cust-1',
+    status: 'active',
+    nextStepIndex: 0,
+    nextStepAt: new Date('2026-07-01T01:00:00.000Z'),
+    history: [],
+    async save() {}
+});
+
+const sequence = {
+    _id: 'seq-1',
+    userId: 'user-1',
+    status: 'active',
+    channel: 'zalo',
+    steps: [{ templateId: 'tpl-1', delayMinutes: 0 }],
+    exitConditions: { onReply: true }
+};
+
+test('runSequenceDispatcher sends due steps on an online device', async () => {
+    const commands = [];
+    const enrollment = buildEnrollment();
+    const models = buildModels({ sequence, enrollments: [enrollment], device: { _id: 'dev-1' }, commands });
+
+    const summary = await runSequenceDispatcher({ now, models });
+
+    assert.deepStrictEqual(summary, { dispatched: 1, completed: 1, exited: 0, waiting: 0, failed: 0 });
+    assert.strictEqual(commands[0].deviceId, 'dev-1');
+    assert.strictEqual(commands[0].subscriptionId, 'sub-1');
+    assert.strictEqual(enrollment.status, 'completed');
+});
+
+test('runSequenceDispatcher pushes enrollments back while no device is online or the sequence is paused', async () => {
+    const commands = [];
+    const postponed = [];
+    const enrollment = buildEnrollment();
+    const retryAt = new Date(now.getTime() + SEQUENCE_WAIT_DELAY_MS);
+
+    let summary = await runSequenceDispatcher({
+        now,
+        models: buildModels({ sequence, enrollments: [enrollment], device: null, commands, postponed })
+    });
+    assert.strictEqual(summary.waiting, 1);
+    assert.strictEqual(commands.length, 0);
+    assert.strictEqual(enrollment.nextStepIndex, 0);
+
+    summary = await runSequenceDispatcher({
+        now,
+        models: buildModels({ sequence: { ...sequence, status: 'paused' }, enrollments: [enrollment], device: { _id: 'dev-1' }, commands, postponed })
+    });
+    assert.strictEqual(summary.waiting, 1);
+    assert.strictEqual(commands.length, 0);
+    assert.deepStrictEqual(postponed, [[['enr-1'], retryAt], [['enr-1'], retryAt]]);
+});
+
+test('runSequenceDispatcher ends enrollments of archived sequences', async () => {
+    const bulkExits = [];
+    const models = buildModels({
+        sequence: { ...sequence, status: 'archived' },
+        enrollments: [buildEnrollment()],
+        device: { _id: 'dev-1' },
+        commands: [],
+        bulkExits
+    });
+
+    const summary = await runSequenceDispatcher({ now, models });
+
+    assert.strictEqual(summary.exited, 1);
+    assert.deepStrictEqual(bulkExits, [[['enr-1'], 'sequence_archived']]);
+});
+
+test('runSequenceDispatcher sends a step once when two instances run at the same time', async () => {
+    const commands = [];
+    const enrollment = buildEnrollment();
+    const models = buildModels({ sequence, enrollments: [enrollment], device: { _id: 'dev-1' }, commands });
+
+    const summaries = await Promise.all([runSequenceDispatcher({ now, models }), runSequenceDispatcher({ now, models })]);
+
+    assert.strictEqual(commands.length, 1);
+    assert.strictEqual(summaries[0].dispatched + summaries[1].dispatched, 1);
+});
+
+test('runSequenceDispatcher leaves a failed dispatch pushed back by its claim', async () => {
+    const enrollment = buildEnrollment();
+    const models = buildModels({ sequence, enrollments: [enrollment], device: { _id: 'dev-1' }, commands: [] });
+    models.CrmCustomer = { async find() { throw new Error('connection reset'); } };
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const summary = await runSequenceDispatcher({ now, models });
+        assert.strictEqual(summary.failed, 1);
+    } finally {
+        console.error = originalError;
+    }
+    assert.deepStrictEqual(enrollment.nextStepAt, new Date(now.getTime() + SEQUENCE_WAIT_DELAY_MS));
+    assert.strictEqual(enrollment.nextStepIndex, 0);
+});
@@ -0,0 +1,74 @@
+import CrmConversation from '../models/CrmConversation.js';
+import crmEventHub from '../utils/crmEventHub.js';
+import { SLA_TARGETS } from '../utils/crmSla.js';
+
+const CHECK_BATCH_SIZE = 500;
+
+const defaultModels = { CrmConversation };
+
+// Breach flags kept on the measured result so reports count targets that
+// were missed while still open, not only once the reply/resolution lands.
+const BREACH_FLAG_FIELD = {
+    firstResponse: 'sla.firstResponse.breached',
+    resolution: 'sla.resolution.breached'
+};
+
+/**
+ * Push `sla.warning` / `sla.breached` over the owner's CRM SSE stream for
+ * pending SLA targets whose warning point or deadline has passed. Each level
+ * is sent once per deadline (tracked in the target's `notified`).
+ * @returns {Promise<{ warnings: number, breaches: number }>}
+ */
+export const runSlaBreachChecks = async ({
+    now = new Date(),
+    models = defaultModels,
+    publish = crmEventHub.publish,
+    batchSize = CHECK_BATCH_SIZE
+} = {}) => {
+    const summary = { warnings: 0, breaches: 0 };
+    try {
+        for (const target of SLA_TARGETS) {
+            const path = `sla.${target}Target`;
+            // Targets already warned only come back once their deadline passes;
+            // otherwise they would fill the batch until then and starve the rest.
+            const conversations = await models.CrmConversation.find({
+                [`${path}.warnAt`]: { $lte: now },
+                $or: [
+                    { [`${path}.notified`]: 'none' },
+                    { [`${path}.notified`]: 'warning', [`${path}.dueAt`]: { $lte: now } }
+                ]
+            }).sort({ [`${path}.warnAt`]: 1 }).limit(batchSize).lean();
+
+            for (const conversation of conversations) {
+                const pending = conversation.sla?.[`${target}Target`];
+                if (!pending?.dueAt) continue;
+                const level = pending.dueAt <= now ? 'breach' : 'warning';
+                if (level === pending.notified) continue;
+
+                // Conditional on the deadline and previous level so a reply
+                // that cleared or moved the target meanwhile wins.
+                const update = { [`${path}.notified`]: level };
+                if (level === 'breach' && BREACH_FLAG_FIELD[target]) update[BREACH_FLAG_FIELD[target]] = true;
+                const result = await models.CrmConversation.updateOne(
+                    { _id: conversation._id, [`${path}.dueAt`]: pending.dueAt, [`${path}.notified`]: pending.notified },
+                    { $set: update }
+                );
+                if (!result.modifiedCount) continue;
+
+                summary[level === 'breach' ? 'breaches' : 'warnings'] += 1;
+                publish(conversation.userId, level === 'breach' ? 'sla.breached' : 'sla.warning', {
+                    conversationId: conversation._id,
+                    target,
+                    dueAt: pending.dueAt,
+                    channel: conversation.channel,
+                    accountId: conversation.accountId,
+                    displayName: conversation.displayName,
+                    assignedTo: conversation.assignedTo || null
+                });
+            }
+        }
+    } catch (error) {
+        console.error('Error in runSlaBreachChecks:', error);
+    }
+    return summary;
+};
@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { runSlaBreachChecks } from './crmSlaJobs.js';
+
+const createQuery = (result) => {
+    const query = {
+        sort() { return query; },
+        limit() { return query; },
+        lean() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+const now = new Date('2026-07-01T02:00:00.000Z');
+
+// Enough of the Mongo filter semantics for the due query: equality, $lte and $or.
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some((branch) => matches(doc, branch));
+    const value = getPath(doc, key);
+    if (condition?.$lte) return value <= condition.$lte;
+    return value === condition;
+});
+
+test('runSlaBreachChecks sends each warning and breach once per deadline', async () => {
+    const conversations = [
+        {
+            _id: 'c-warn',
+            userId: 'owner-1',
+            channel: 'webchat',
+            sla: { firstResponseTarget: { dueAt: new Date('2026-07-01T02:10:00Z'), warnAt: new Date('2026-07-01T01:55:00Z'), notified: 'none' } }
+        },
+        {
+            _id: 'c-breach',
+            userId: 'owner-1',
+            channel: 'zalo_personal',
+            assignedTo: 'agent-a',
+            sla: { firstResponseTarget: { dueAt: new Date('2026-07-01T01:59:00Z'), warnAt: new Date('2026-07-01T01:50:00Z'), notified: 'warning' } }
+        },
+        {
+            _id: 'c-already-warned',
+            userId: 'owner-1',
+            sla: { firstResponseTarget: { dueAt: new Date('2026-07-01T02:30:00Z'), warnAt: new Date('2026-07-01T01:30:00Z'), notified: 'warning' } }
+        }
+    ];
+    const updates = [];
+    const events = [];
+    const models = {
+        CrmConversation: {
+            find(filter) {
+                return createQuery(conversations.filter((conversation) => matches(conversation, filter)));
+            },
+            async updateOne(filter, update) {
+                updates.push([filter, update]);
+                return { modifiedCount: 1 };
+            }
+        }
+    };
+
+    const summary = await runSlaBreachChecks({
+        now,
+        models,
+        publish: (userId, name, payload) => events.push([name, payload.conversationId, payload.target, payload.assignedTo])
+    });
+
+    assert.deepStrictEqual(summary, { warnings: 1, breaches: 1 });
+    assert.deepStrictEqual(events, [
+        ['sla.warning', 'c-warn', 'firstResponse', null],
+        ['sla.breached', 'c-breach', 'firstResponse', 'agent-a']
+    ]);
+    assert.deepStrictEqual(updates[1][1].$set, {
+        'sla.firstResponseTarget.notified': 'breach',
+        'sla.firstResponse.breached': true
+    });
+    assert.strictEqual(updates[1][0]['sla.firstResponseTarget.notified'], 'warning');
+    // The already-warned target is not even loaded, so it can't crowd out the batch.
+    assert.strictEqual(updates.length, 2);
+});
+
+test('runSlaBreachChecks skips targets a reply moved in the meantime', async () => {
+    const events = [];
+    const summary = await runSlaBreachChecks({
+        now,
+        models: {
+            CrmConversation: {
+                find: () => createQuery([{
+                    _id: 'c1',
+                    userId: 'owner-1',
+                    sla: { nextResponseTarget: { dueAt: new Date('2026-07-01T01:00:00Z'), warnAt: new Date('2026-07-01T00:30:00Z'), notified: 'none' } }
+                }]),
+                updateOne: async () => ({ modifiedCount: 0 })
+            }
+        },
+        publish: (...args) => events.push(args)
+    });
+    assert.deepStrictEqual(summary, { warnings: 0, breaches: 0 });
+    assert.deepStrictEqual(events, []);
+});
@@ -1,59 +1,217 @@
 import CrmSubscription from '../models/CrmSubscription.js';
 import User from '../models/User.js';
 import CrmAuditLog from '../models/CrmAuditLog.js';
-import { CRM_PLANS } from '../utils/crmCatalog.js';
+import { resetAiBudgetUsage } from '../utils/crmAiBudgets.js';
+import { getCrmPlan } from '../utils/crmCatalog.js';
+import {
+    PAST_DUE_GRACE_MS,
+    RENEWAL_REMINDER_DAYS,
+    RENEWAL_RETRY_DELAY_MS,
+    getGraceEndsAt,
+    isTrialSubscription,
+    pickRenewalReminder
+} from '../utils/crmSubscriptionLifecycle.js';
+import { sendCrmSubscriptionNotice } from '../utils/email.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_MS = 30 * DAY_MS;
+
+const defaultModels = { CrmSubscription, User, CrmAuditLog };
+
+/**
+ * Expire, remind, renew and retry CRM subscriptions. Every step is written
+ * to CrmAuditLog; owners are emailed when EMAIL_USER is configured. Each
+ * instance runs this cron, so a step first claims its subscription with a
+ * conditional update and skips it when another instance got there first.
+ * @returns {Promise<{ reminded: number, renewed: number, pastDue: number, renewalFailed: number, expired: number }>}
+ */
+export const runSubscriptionMaintenance = async ({
+    now = new Date(),
+    models = defaultModels,
+    sendNotice = sendCrmSubscriptionNotice
+} = {}) => {
+    const summary = { reminded: 0, renewed: 0, pastDue: 0, renewalFailed: 0, expired: 0 };
+
+    const audit = (sub, action, details) => models.CrmAuditLog.create({
+        userId: sub.userId,
+        subscriptionId: sub._id,
+        action,
+        details
+    });
+
+    // Null when the subscription no longer matches `filter` (or moved to
+    // another period) because another run already handled it.
+    const claim = (sub, filter, $set) => models.CrmSubscription.findOneAndUpdate(
+        { _id: sub._id, periodEnd: sub.periodEnd, ...filter },
+        { $set },
+        { new: true }
+    );
+
+    // Email failures never block the lifecycle step they report on.
+    const notify = async (sub, kind, details = {}) => {
+        if (!process.env.EMAIL_USER) return false;
+        try {
+            const user = await models.User.findById(sub.userId).select('name email');
+            if (!user?.email) return false;
+            const frontendUrl = String(process.env.FRONTEND_URL || '').replace(/\/+$/, '');
+            await sendNotice(user.email, {
+                kind,
+                name: user.name,
+                planName: getCrmPlan(sub.plan)?.name || sub.plan,
+                renewUrl: frontendUrl ? `${frontendUrl}/crm/billing` : '',
+                ...details
+            });
+            return true;
+        } catch (error) {
+            console.error(`CRM subscription notice error (${kind}):`, error.message);
+            return false;
+        }
+    };
+
+    // Deducts the plan price from the owner's credits and starts the next
+    // period where the unpaid one ended, so the grace days are not free.
+    // `sub` must be claimed already.
+    const tryAutoRenew = async (sub, previousStatus) => {
+        const plan = getCrmPlan(sub.plan);
+        if (!plan?.priceCredits) return { renewed: false, reason: 'plan_unavailable' };
+        const user = await models.User.findOneAndUpdate(
+            { _id: sub.userId, balance: { $gte: plan.priceCredits } },
+            { $inc: { balance: -plan.priceCredits } },
+            { new: true }
+        );
+        if (!user) return { renewed: false, reason: 'insufficient_credits', cost: plan.priceCredits };
+
+        sub.status = 'active';
+        sub.periodStart = new Date(sub.periodEnd);
+        sub.periodEnd = new Date(new Date(sub.periodEnd).getTime() + MONTH_MS);
+        sub.includedAiUsed = 0; // reset quota
+        resetAiBudgetUsage(sub);
+        sub.lastRenewedAt = now;
+        sub.pastDueAt = null;
+        sub.graceEndsAt = null;
+        sub.nextRenewalAttemptAt = null;
+        const attempts = (sub.renewalAttempts || 0) + 1;
+        sub.renewalAttempts = 0;
+        await sub.save();
+        await audit(sub, 'subscription_auto_renewed', { cost: plan.priceCredits, attempts, previousStatus });
+        await notify(sub, 'renewed', { periodEnd: sub.periodEnd });
+        summary.renewed += 1;
+        return { renewed: true };
+    };
+
+    const recordRenewalFailure = async (sub, result) => {
+        sub.renewalAttempts = (sub.renewalAttempts || 0) + 1;
+        sub.nextRenewalAttemptAt = new Date(now.getTime() + RENEWAL_RETRY_DELAY_MS);
+        await sub.save();
+        await audit(sub, 'subscription_auto_renew_failed', {
+            reason: result.reason,
+            cost: result.cost ?? null,
+            attempts: sub.renewalAttempts,
+            nextAttemptAt: sub.nextRenewalAttemptAt
+        });
+        summary.renewalFailed += 1;
+    };
+
+    const expire = async (sub, reason) => {
+        const expired = await claim(sub, { status: sub.status }, { status: 'expired', nextRenewalAttemptAt: null });
+        if (!expired) return;
+        await audit(expired, 'subscription_expired', { reason });
+        await notify(expired, 'expired');
+        summary.expired += 1;
+    };
+
+    const step = async (sub, run) => {
+        try {
+            await run(sub);
+        } catch (error) {
+            console.error(`Subscription maintenance error (${sub._id}):`, error);
+        }
+    };
 
-export const runSubscriptionMaintenance = async () => {
     try {
-        const now = new Date();
-        const expiredSubscriptions = await CrmSubscription.find({
+        // 1. Renewal reminders ahead of periodEnd.
+        const maxReminderMs = Math.max(...RENEWAL_REMINDER_DAYS) * DAY_MS;
+        const expiringSoon = await models.CrmSubscription.find({
             status: 'active',
-            periodEnd: { $lt: now }
+            periodEnd: { $gt: now, $lte: new Date(now.getTime() + maxReminderMs) }
         });
+        for (const sub of expiringSoon) {
+            await step(sub, async () => {
+                const daysBefore = pickRenewalReminder(sub, now);
+                if (daysBefore === null) return;
+                const claimed = await claim(sub, {
+                    status: 'active',
+                    $or: [
+                        { 'renewalReminder.periodEnd': { $ne: sub.periodEnd } },
+                        { 'renewalReminder.daysBefore': { $gt: daysBefore } }
+                    ]
+                }, { renewalReminder: { periodEnd: sub.periodEnd, daysBefore } });
+                if (!claimed) return;
+                const autoRenew = Boolean(sub.autoRenewCredit) && !isTrialSubscription(sub);
+                const emailed = await notify(sub, 'reminder', { daysBefore, autoRenew, periodEnd: sub.periodEnd });
+                await audit(sub, 'subscription_renewal_reminder', { daysBefore, periodEnd: sub.periodEnd, autoRenew, emailed });
+                summary.reminded += 1;
+            });
+        }
 
-        for (const sub of expiredSubscriptions) {
-            // Check auto renew
-            if (sub.autoRenewCredit) {
-                const plan = CRM_PLANS[sub.plan];
-                if (!plan) {
-                    sub.status = 'expired';
-                    await sub.save();
-                    continue;
+        // 2. Periods that just ended: renew, or start the grace window.
+        const ended = await models.CrmSubscription.find({ status: 'active', periodEnd: { $lt: now } });
+        for (const sub of ended) {
+            await step(sub, async () => {
+                if (isTrialSubscription(sub)) {
+                    await expire(sub, 'trial_ended');
+                    return;
+                }
+                // Claimed by moving it to past_due; a renewal below makes it
+                // active again. The attempt slot is taken too, so step 3 of
+                // another run can't retry while this renewal is in flight.
+                const graceEndsAt = new Date(new Date(sub.periodEnd).getTime() + PAST_DUE_GRACE_MS);
+                const claimed = await claim(sub, { status: 'active' }, {
+                    status: 'past_due',
+                    pastDueAt: now,
+                    graceEndsAt,
+                    nextRenewalAttemptAt: sub.autoRenewCredit ? new Date(now.getTime() + RENEWAL_RETRY_DELAY_MS) : null
+                });
+                if (!claimed) return;
+                if (claimed.autoRenewCredit) {
+                    const result = await tryAutoRenew(claimed, 'active');
+                    if (result.renewed) return;
+                    await recordRenewalFailure(claimed, result);
                 }
+                await audit(claimed, 'subscription_past_due', { periodEnd: claimed.periodEnd, graceEndsAt });
+                await notify(claimed, claimed.autoRenewCredit ? 'renewal_failed' : 'past_due', { graceEndsAt });
+                summary.pastDue += 1;
+            });
+        }
 
-                const user = await User.findById(sub.userId);
-                const cost = plan.priceCredits;
-                
-                if (user && user.balance >= cost) {
-                    user.balance -= cost;
-                    await user.save();
-
-                    const oldPeriodEnd = new Date(sub.periodEnd);
-                    sub.periodEnd = new Date(oldPeriodEnd.getTime() + 30 * 24 * 60 * 60 * 1000);
-                    sub.includedAiUsed = 0; // reset quota
-                    await sub.save();
-
-                    await CrmAuditLog.create({
-                        userId: user._id,
-                        subscriptionId: sub._id,
-                        action: 'subscription_auto_renewed',
-                        details: { cost }
-                    });
-                    continue;
+        // 3. Grace window: retry auto-renew, expire when it runs out.
+        const pastDue = await models.CrmSubscription.find({ status: 'past_due' });
+        for (const sub of pastDue) {
+            await step(sub, async () => {
+                const graceEndsAt = getGraceEndsAt(sub);
+                const retryDue = sub.autoRenewCredit && (!sub.nextRenewalAttemptAt || new Date(sub.nextRenewalAttemptAt) <= now);
+                let current = sub;
+                if (retryDue) {
+                    // Claimed by taking the next attempt slot.
+                    current = await claim(sub, {
+                        status: 'past_due',
+                        nextRenewalAttemptAt: sub.nextRenewalAttemptAt || null
+                    }, { nextRenewalAttemptAt: new Date(now.getTime() + RENEWAL_RETRY_DELAY_MS) });
+                    if (!current) return;
+                    const result = await tryAutoRenew(current, 'past_due');
+                    if (result.renewed) return;
+                    if (graceEndsAt > now) {
+                        await recordRenewalFailure(current, result);
+                        return;
+                    }
                 }
-            }
-            
-            // Mark expired
-            sub.status = 'expired';
-            await sub.save();
-            await CrmAuditLog.create({
-                userId: sub.userId,
-                subscriptionId: sub._id,
-                action: 'subscription_expired'
+                if (graceEndsAt <= now) await expire(current, 'grace_period_ended');
             });
         }
-        console.log(`Processed ${expiredSubscriptions.length} subscriptions for expiry/renewal.`);
+
+        console.log(`Processed CRM subscriptions: ${JSON.stringify(summary)}.`);
     } catch (error) {
         console.error('Error in runSubscriptionMaintenance:', error);
     }
+    return summary;
 };
@@ -0,0 +1,236 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { runSubscriptionMaintenance } from './crmSubscriptionJobs.js';
+import { PAST_DUE_GRACE_MS, RENEWAL_RETRY_DELAY_MS } from '../utils/crmSubscriptionLifecycle.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-07-10T00:00:00.000Z');
+
+const createQuery = (result) => {
+    const query = {
+        select() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+const matches = (sub, filter) => {
+    if (filter.status && sub.status !== filter.status) return false;
+    const end = sub.periodEnd.getTime();
+    if (filter.periodEnd?.$gt && !(end > filter.periodEnd.$gt.getTime())) return false;
+    if (filter.periodEnd?.$lte && !(end <= filter.periodEnd.$lte.getTime())) return false;
+    if (filter.periodEnd?.$lt && !(end < filter.periodEnd.$lt.getTime())) return false;
+    return true;
+};
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+const sameValue = (a, b) => (a instanceof Date ? a.getTime() : a ?? null) === (b instanceof Date ? b.getTime() : b ?? null);
+const conditionHolds = (value, condition) => {
+    if (condition?.$ne !== undefined) return !sameValue(value, condition.$ne);
+    if (condition?.$gt !== undefined) return value > condition.$gt;
+    return sameValue(value, condition);
+};
+// Atomic, as in MongoDB: nothing else runs between the check and the write.
+const claimMatches = (sub, { _id, $or, ...conditions }) => (
+    sub._id === _id &&
+    Object.entries(conditions).every(([path, condition]) => conditionHolds(valueAt(sub, path), condition)) &&
+    (!$or || $or.some((branch) => Object.entries(branch).every(([path, condition]) => conditionHolds(valueAt(sub, path), condition))))
+);
+
+const buildSub = (overrides) => ({
+    status: 'active',
+    plan: 'crm_starter',
+    entitlementType: 'paid',
+    includedAiUsed: 30,
+    renewalAttempts: 0,
+    autoRenewCredit: false,
+    async save() {},
+    ...overrides
+});
+
+const buildModels = ({ subscriptions, balances = {} }) => {
+    const audits = [];
+    const models = {
+        CrmSubscription: {
+            async find(filter) {
+                return subscriptions.filter((sub) => matches(sub, filter));
+            },
+            async findOneAndUpdate(filter, update) {
+                const sub = subscriptions.find((item) => claimMatches(item, filter));
+                if (!sub) return null;
+                Object.assign(sub, update.$set);
+                return sub;
+            }
+        },
+        User: {
+            findById: (id) => createQuery({ _id: id, name: 'Chu', email: `${id}@example.com` }),
+            async findOneAndUpdate(filter, update) {
+                const balance = balances[filter._id] ?? 0;
+                if (balance < filter.balance.$gte) return null;
+                balances[filter._id] = balance + update.$inc.balance;
+                return { _id: filter._id, balance: balances[filter._id] };
+            }
+        },
+        CrmAuditLog: {
+            async create(doc) { audits.push([doc.subscriptionId, doc.action, doc.details]); }
+        }
+    };
+    return { models, audits, balances };
+};
+
+const withEmail = async (run) => {
+    const previous = process.env.EMAIL_USER;
+    process.env.EMAIL_USER = 'crm@example.com';
+    try {
+        return await run();
+    } finally {
+        if (previous === undefined) delete process.env.EMAIL_USER;
+        else process.env.EMAIL_USER = previous;
+    }
+};
+
+test('runSubscriptionMaintenance sends each renewal reminder once per period', async () => {
+    const sevenDays = buildSub({ _id: 'sub-7', userId: 'u1', periodEnd: new Date(now.getTime() + 6.5 * DAY_MS) });
+    const lateCatchUp = buildSub({ _id: 'sub-1', userId: 'u2', periodEnd: new Date(now.getTime() + 0.5 * DAY_MS), autoRenewCredit: true });
+    const alreadySent = buildSub({
+        _id: 'sub-sent',
+        userId: 'u3',
+        periodEnd: new Date(now.getTime() + 2 * DAY_MS),
+        renewalReminder: { periodEnd: new Date(now.getTime() + 2 * DAY_MS), daysBefore: 3 }
+    });
+    const { models, audits } = buildModels({ subscriptions: [sevenDays, lateCatchUp, alreadySent] });
+    const notices = [];
+
+    const summary = await withEmail(() => runSubscriptionMaintenance({
+        now,
+        models,
+        sendNotice: async (to, notice) => { notices.push([to, notice.kind, notice.daysBefore, notice.autoRenew]); }
+    }));
+
+    assert.strictEqual(summary.reminded, 2);
+    assert.deepStrictEqual(notices, [
+        ['u1@example.com', 'reminder', 7, false],
+        ['u2@example.com', 'reminder', 1, true]
+    ]);
+    assert.deepStrictEqual(sevenDays.renewalReminder, { periodEnd: sevenDays.periodEnd, daysBefore: 7 });
+    assert.deepStrictEqual(audits.map(([id, action, details]) => [id, action, details.daysBefore, details.emailed]), [
+        ['sub-7', 'subscription_renewal_reminder', 7, true],
+        ['sub-1', 'subscription_renewal_reminder', 1, true]
+    ]);
+
+    // Next run: nothing new until the next threshold is crossed.
+    const again = await runSubscriptionMaintenance({ now, models, sendNotice: async () => assert.fail('sent twice') });
+    assert.strictEqual(again.reminded, 0);
+});
+
+test('runSubscriptionMaintenance moves lapsed plans to past_due and expires trials', async () => {
+    const periodEnd = new Date(now.getTime() - 60 * 60 * 1000);
+    const paid = buildSub({ _id: 'sub-paid', userId: 'u1', periodEnd });
+    const trial = buildSub({ _id: 'sub-trial', userId: 'u2', plan: 'crm_trial', entitlementType: 'trial', periodEnd });
+    const autoRenew = buildSub({ _id: 'sub-auto', userId: 'u3', periodEnd, autoRenewCredit: true });
+    const { models, audits } = buildModels({ subscriptions: [paid, trial, autoRenew], balances: { u3: 100 } });
+
+    const summary = await runSubscriptionMaintenance({ now, models, sendNotice: async () => {} });
+
+    assert.deepStrictEqual(summary, { reminded: 0, renewed: 0, pastDue: 2, renewalFailed: 1, expired: 1 });
+    assert.strictEqual(paid.status, 'past_due');
+    assert.strictEqual(paid.graceEndsAt.getTime(), periodEnd.getTime() + PAST_DUE_GRACE_MS);
+    assert.strictEqual(trial.status, 'expired');
+    assert.strictEqual(autoRenew.status, 'past_due');
+    assert.strictEqual(autoRenew.renewalAttempts, 1);
+    assert.strictEqual(autoRenew.nextRenewalAttemptAt.getTime(), now.getTime() + RENEWAL_RETRY_DELAY_MS);
+    assert.deepStrictEqual(audits.map(([id, action]) => [id, action]), [
+        ['sub-paid', 'subscription_past_due'],
+        ['sub-trial', 'subscription_expired'],
+        ['sub-auto', 'subscription_auto_renew_failed'],
+        ['sub-auto', 'subscription_past_due']
+    ]);
+    assert.strictEqual(audits[2][2].reason, 'insufficient_credits');
+});
+
+test('runSubscriptionMaintenance retries auto-renew during grace and expires after it', async () => {
+    const periodEnd = new Date(now.getTime() - 2 * DAY_MS);
+    const retry = buildSub({
+        _id: 'sub-retry',
+        userId: 'u1',
+        status: 'past_due',
+        periodEnd,
+        graceEndsAt: new Date(periodEnd.getTime() + PAST_DUE_GRACE_MS),
+        autoRenewCredit: true,
+        renewalAttempts: 3,
+        nextRenewalAttemptAt: new Date(now.getTime() - 1000),
+        aiBudgets: [{ scope: 'feature', key: 'chatbot', limit: 50, used: 50, alertsSent: [50, 80, 100] }]
+    });
+    const waiting = buildSub({
+        _id: 'sub-waiting',
+        userId: 'u2',
+        status: 'past_due',
+        periodEnd,
+        graceEndsAt: new Date(periodEnd.getTime() + PAST_DUE_GRACE_MS),
+        autoRenewCredit: true,
+        renewalAttempts: 1,
+        nextRenewalAttemptAt: new Date(now.getTime() + 1000)
+    });
+    const over = buildSub({
+        _id: 'sub-over',
+        userId: 'u3',
+        status: 'past_due',
+        periodEnd: new Date(now.getTime() - 8 * DAY_MS),
+        graceEndsAt: new Date(now.getTime() - DAY_MS)
+    });
+    const { models, audits, balances } = buildModels({ subscriptions: [retry, waiting, over], balances: { u1: 5000 } });
+
+    const summary = await runSubscriptionMaintenance({ now, models, sendNotice: async () => {} });
+
+    assert.deepStrictEqual(summary, { reminded: 0, renewed: 1, pastDue: 0, renewalFailed: 0, expired: 1 });
+    assert.strictEqual(retry.status, 'active');
+    assert.strictEqual(retry.periodEnd.getTime(), periodEnd.getTime() + 30 * DAY_MS);
+    assert.strictEqual(retry.includedAiUsed, 0);
+    assert.strictEqual(retry.graceEndsAt, null);
+    assert.strictEqual(retry.renewalAttempts, 0);
+    assert.deepStrictEqual(retry.aiBudgets[0], { scope: 'feature', key: 'chatbot', limit: 50, used: 0, alertsSent: [] });
+    assert.strictEqual(balances.u1, 5000 - 2100);
+    assert.strictEqual(waiting.status, 'past_due');
+    assert.strictEqual(over.status, 'expired');
+    assert.deepStrictEqual(audits.map(([id, action, details]) => [id, action, details.attempts ?? details.reason]), [
+        ['sub-retry', 'subscription_auto_renewed', 4],
+        ['sub-over', 'subscription_expired', 'grace_period_ended']
+    ]);
+});
+
+test('runSubscriptionMaintenance charges and reminds once when two instances run together', async () => {
+    const reminder = buildSub({ _id: 'sub-remind', userId: 'u1', periodEnd: new Date(now.getTime() + 2 * DAY_MS) });
+    const lapsed = buildSub({ _id: 'sub-lapsed', userId: 'u2', periodEnd: new Date(now.getTime() - 1000), autoRenewCredit: true });
+    const retry = buildSub({
+        _id: 'sub-retry',
+        userId: 'u3',
+        status: 'past_due',
+        periodEnd: new Date(now.getTime() - DAY_MS),
+        autoRenewCredit: true,
+        nextRenewalAttemptAt: new Date(now.getTime() - 1000)
+    });
+    const { models, audits, balances } = buildModels({
+        subscriptions: [reminder, lapsed, retry],
+        balances: { u2: 5000, u3: 5000 }
+    });
+    const notices = [];
+    const sendNotice = async (to, notice) => { notices.push([to, notice.kind]); };
+
+    const summaries = await withEmail(() => Promise.all([
+        runSubscriptionMaintenance({ now, models, sendNotice }),
+        runSubscriptionMaintenance({ now, models, sendNotice })
+    ]));
+
+    assert.strictEqual(summaries[0].reminded + summaries[1].reminded, 1);
+    assert.strictEqual(summaries[0].renewed + summaries[1].renewed, 2);
+    assert.strictEqual(balances.u2, 5000 - 2100);
+    assert.strictEqual(balances.u3, 5000 - 2100);
+    assert.deepStrictEqual(notices.map(([, kind]) => kind).sort(), ['reminder', 'renewed', 'renewed']);
+    assert.deepStrictEqual(audits.map(([id, action]) => `${id}:${action}`).sort(), [
+        'sub-lapsed:subscription_auto_renewed',
+        'sub-remind:subscription_renewal_reminder',
+        'sub-retry:subscription_auto_renewed'
+    ]);
+    assert.strictEqual(lapsed.status, 'active');
+    assert.strictEqual(retry.status, 'active');
+});
@@ -0,0 +1,94 @@
+import CrmSubscription from '../models/CrmSubscription.js';
+import { resolveCrmEntitlements } from '../utils/crmCatalog.js';
+
+const FEATURE_LABELS = {
+    devices: 'thiet bi hoat dong',
+    channelIntegrations: 'kenh ket noi',
+    groupSummaries: 'tom tat nhom bang AI',
+    seats: 'thanh vien workspace',
+    campaignRecipients: 'nguoi nhan moi chien dich'
+};
+
+const defaultModels = { CrmSubscription };
+
+/**
+ * Gate a route on the current plan's entitlement `feature` (see CRM_PLANS).
+ *
+ * Uses req.crmSubscription when requireActiveSubscription already ran, and
+ * otherwise loads the active subscription of req.user (or of the Desktop
+ * Agent's owner for agent routes). Sets req.crmEntitlements.
+ *
+ * Boolean features are refused when false. For numeric limits pass `usage`,
+ * an async `(req) => count` of what the request would bring the tenant to;
+ * it is refused when that exceeds the limit. Routes that enforce the limit
+ * themselves (e.g. campaign size, known only once the audience is built) can
+ * omit `usage` and read req.crmEntitlements.
+ *
+ * @param {string} feature
+ * @param {object} [options]
+ * @param {(req) => Promise<number>} [options.usage]
+ * @param {number} [options.statusCode=403]
+ * @param {string} [options.code='PLAN_LIMIT_REACHED'] Error code for a reached limit.
+ * @param {(req, limit) => Promise<object>|object} [options.details] Extra response fields for a reached limit.
+ */
+export function requireEntitlement(feature, {
+    usage = null,
+    statusCode = 403,
+    code = 'PLAN_LIMIT_REACHED',
+    details = null,
+    models = defaultModels
+} = {}) {
+    return async (req, res, next) => {
+        try {
+            let subscription = req.crmSubscription;
+            if (!subscription) {
+                const userId = req.user?._id || req.crmDevice?.userId;
+                subscription = userId
+                    ? await models.CrmSubscription.findOne({ userId, status: 'active' })
+                    : null;
+                if (!subscription) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Ban chua co goi Alpha CRM dang hoat dong.',
+                        code: 'CRM_SUBSCRIPTION_REQUIRED'
+                    });
+                }
+            }
+
+            const entitlements = resolveCrmEntitlements(subscription);
+            req.crmEntitlements = entitlements;
+            const limit = entitlements[feature];
+            const label = FEATURE_LABELS[feature] || feature;
+
+            if (limit === false || limit === undefined) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Goi hien tai khong bao gom ${label}. Vui long nang cap goi.`,
+                    code: 'PLAN_FEATURE_UNAVAILABLE',
+                    feature,
+                    plan: subscription.plan
+                });
+            }
+
+            if (typeof limit === 'number' && usage) {
+                const used = await usage(req);
+                if (used > limit) {
+                    return res.status(statusCode).json({
+                        success: false,
+                        message: `Da dat gioi han ${limit} ${label} cua goi hien tai. Vui long nang cap goi.`,
+                        code,
+                        feature,
+                        limit,
+                        plan: subscription.plan,
+                        ...(details ? await details(req, limit) : {})
+                    });
+                }
+            }
+
+            next();
+        } catch (error) {
+            console.error(`Entitlement check error (${feature}):`, error);
+            res.status(500).json({ success: false, message: 'Khong the kiem tra quyen loi goi.' });
+        }
+    };
+}
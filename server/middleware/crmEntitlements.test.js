@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { requireEntitlement } from './crmEntitlements.js';
+
+const createRes = () => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) { res.statusCode = code; return res; },
+        json(body) { res.body = body; return res; }
+    };
+    return res;
+};
+
+const run = async (middleware, req) => {
+    const res = createRes();
+    let nextCalled = false;
+    await middleware(req, res, () => { nextCalled = true; });
+    return { res, nextCalled };
+};
+
+test('requireEntitlement refuses features the plan does not include', async () => {
+    const starter = { _id: 'sub-1', plan: 'crm_starter', deviceLimit: 1 };
+    const refused = await run(requireEntitlement('groupSummaries'), { crmSubscription: starter });
+    assert.strictEqual(refused.nextCalled, false);
+    assert.strictEqual(refused.res.statusCode, 403);
+    assert.strictEqual(refused.res.body.code, 'PLAN_FEATURE_UNAVAILABLE');
+    assert.strictEqual(refused.res.body.plan, 'crm_starter');
+
+    const req = { crmSubscription: { ...starter, plan: 'crm_pro' } };
+    const allowed = await run(requireEntitlement('groupSummaries'), req);
+    assert.strictEqual(allowed.nextCalled, true);
+    assert.strictEqual(req.crmEntitlements.campaignRecipients, 2000);
+});
+
+test('requireEntitlement compares usage against numeric limits', async () => {
+    const req = { crmSubscription: { plan: 'crm_pro', deviceLimit: 2 } };
+    const atLimit = await run(requireEntitlement('devices', { usage: async () => 2 }), req);
+    assert.strictEqual(atLimit.nextCalled, true);
+
+    const over = await run(requireEntitlement('devices', {
+        usage: async () => 3,
+        statusCode: 409,
+        code: 'DEVICE_ALREADY_ACTIVE',
+        details: async (_req, limit) => ({ data: { limit } })
+    }), req);
+    assert.strictEqual(over.nextCalled, false);
+    assert.strictEqual(over.res.statusCode, 409);
+    assert.strictEqual(over.res.body.code, 'DEVICE_ALREADY_ACTIVE');
+    assert.deepStrictEqual(over.res.body.data, { limit: 2 });
+
+    // Unlimited (null) never calls usage.
+    const legacy = { crmSubscription: { plan: 'crm_monthly', deviceLimit: 1 } };
+    const unlimited = await run(requireEntitlement('channelIntegrations', { usage: async () => assert.fail('usage') }), legacy);
+    assert.strictEqual(unlimited.nextCalled, true);
+});
+
+test('requireEntitlement loads the subscription of a Desktop Agent owner', async () => {
+    const filters = [];
+    const models = {
+        CrmSubscription: {
+            async findOne(filter) {
+                filters.push(filter);
+                return filter.userId === 'owner-1' ? { plan: 'crm_starter', deviceLimit: 1 } : null;
+            }
+        }
+    };
+    const middleware = requireEntitlement('channelIntegrations', { usage: async () => 3, models });
+
+    const over = await run(middleware, { crmDevice: { userId: 'owner-1' }, body: {} });
+    assert.deepStrictEqual(filters[0], { userId: 'owner-1', status: 'active' });
+    assert.strictEqual(over.res.statusCode, 403);
+    assert.strictEqual(over.res.body.code, 'PLAN_LIMIT_REACHED');
+    assert.strictEqual(over.res.body.limit, 2);
+
+    const none = await run(middleware, { crmDevice: { userId: 'owner-2' }, body: {} });
+    assert.strictEqual(none.nextCalled, false);
+    assert.strictEqual(none.res.body.code, 'CRM_SUBSCRIPTION_REQUIRED');
+});
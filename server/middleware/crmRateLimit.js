@@ -1,21 +1,53 @@
 import rateLimit from 'express-rate-limit';
+import { getRealtimeTransport } from '../utils/crmRealtimeTransport.js';
+
+// express-rate-limit store backed by the realtime transport, so with
+// CRM_REALTIME_TRANSPORT=mongo every instance counts against the same limit.
+// `prefix` keeps each limiter's counters apart. Limiters using it set
+// passOnStoreError so a transport outage doesn't take the CRM API down.
+export function createTransportStore(prefix, getTransport = getRealtimeTransport) {
+  let windowMs = 60 * 1000;
+  return {
+    prefix: `${prefix}:`,
+    localKeys: false,
+    init(options) {
+      windowMs = options.windowMs;
+    },
+    async increment(key) {
+      const { count, resetAt } = await getTransport().increment(`crm-rl:${prefix}:${key}`, windowMs);
+      return { totalHits: count, resetTime: resetAt };
+    },
+    async decrement(key) {
+      await getTransport().decrement(`crm-rl:${prefix}:${key}`, windowMs);
+    },
+    async resetKey(key) {
+      await getTransport().resetKey(`crm-rl:${prefix}:${key}`);
+    }
+  };
+}
 
 export const crmPairingLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 10,
-  message: { success: false, message: 'Quá nhiều yêu cầu ghép nối, vui lòng thử lại sau.' }
+  message: { success: false, message: 'Quá nhiều yêu cầu ghép nối, vui lòng thử lại sau.' },
+  store: createTransportStore('pairing'),
+  passOnStoreError: true
 });
 
 export const crmDeviceLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 mins
   max: 100, // 100 requests (development-friendly)
-  message: { success: false, message: 'Quá nhiều yêu cầu đăng ký thiết bị.' }
+  message: { success: false, message: 'Quá nhiều yêu cầu đăng ký thiết bị.' },
+  store: createTransportStore('device'),
+  passOnStoreError: true
 });
 
 export const crmAiLimiter = rateLimit({
   windowMs: 1 * 60 * 1000,
   max: 20,
-  message: { success: false, message: 'Quá nhiều yêu cầu AI, vui lòng chậm lại.' }
+  message: { success: false, message: 'Quá nhiều yêu cầu AI, vui lòng chậm lại.' },
+  store: createTransportStore('ai'),
+  passOnStoreError: true
 });
 
 // Remote Live Chat sends (mobile/web -> cloud command queue -> Desktop Agent).
@@ -24,5 +56,7 @@ export const crmAiLimiter = rateLimit({
 export const crmMessageSendLimiter = rateLimit({
   windowMs: 1 * 60 * 1000,
   max: 30,
-  message: { success: false, message: 'Gửi tin quá nhanh, vui lòng chậm lại.' }
+  message: { success: false, message: 'Gửi tin quá nhanh, vui lòng chậm lại.' },
+  store: createTransportStore('message-send'),
+  passOnStoreError: true
 });
@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { createMemoryTransport } from '../utils/crmRealtimeTransport.js';
+import { createTransportStore } from './crmRateLimit.js';
+
+test('createTransportStore counts per limiter prefix on the transport', async () => {
+    const transport = createMemoryTransport();
+    const ai = createTransportStore('ai', () => transport);
+    const send = createTransportStore('message-send', () => transport);
+    ai.init({ windowMs: 60000 });
+    send.init({ windowMs: 60000 });
+
+    await ai.increment('1.2.3.4');
+    const hit = await ai.increment('1.2.3.4');
+    assert.strictEqual(hit.totalHits, 2);
+    assert.ok(hit.resetTime instanceof Date);
+    assert.strictEqual((await send.increment('1.2.3.4')).totalHits, 1);
+
+    await ai.decrement('1.2.3.4');
+    assert.strictEqual((await ai.increment('1.2.3.4')).totalHits, 2);
+    await ai.resetKey('1.2.3.4');
+    assert.strictEqual((await ai.increment('1.2.3.4')).totalHits, 1);
+    assert.strictEqual(ai.localKeys, false);
+    assert.notStrictEqual(ai.prefix, send.prefix);
+});
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import CrmWorkspace from '../models/CrmWorkspace.js';
+import CrmWorkspaceMember from '../models/CrmWorkspaceMember.js';
+
+export const CRM_ROLES = ['owner', 'manager', 'agent', 'viewer'];
+export const CRM_ROLE_RANK = { viewer: 0, agent: 1, manager: 2, owner: 3 };
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Billing is the owner's business in every method; devices and pairing can be
+// listed by staff but only the owner links or unlinks a Desktop Agent.
+const OWNER_ONLY_PATHS = [/^\/billing(\/|$)/];
+const OWNER_ONLY_WRITE_PATHS = [/^\/devices(\/|$)/, /^\/pairing(\/|$)/];
+// Announcing that you are looking at a thread is not a write, viewers included.
+const PRESENCE_PATH = /^\/conversations\/[^/]+\/presence$/;
+
+// Day-to-day inbox and customer work an agent may change. Everything else
+// that writes (campaigns, templates, segments, bulk import/merge, settings)
+// needs a manager.
+const AGENT_WRITE_RULES = [
+    { pattern: /^\/conversations(\/|$)/ },
+    { pattern: /^\/contacts(\/|$)/ },
+    { pattern: /^\/tasks(\/|$)/ },
+    { pattern: /^\/ai\/chat$/ },
+    { pattern: /^\/customers$/, methods: ['POST'] },
+    { pattern: /^\/customers\/[^/]+$/, methods: ['PUT'] },
+    { pattern: /^\/customers\/[^/]+\/score\/recompute$/, methods: ['POST'] },
+    { pattern: /^\/groups\/insights\/[^/]+$/, methods: ['PUT'] },
+    // Read-only lookup, POST only for the query body.
+    { pattern: /^\/knowledge\/search$/, methods: ['POST'] }
+];
+
+const defaultModels = { User, CrmWorkspace, CrmWorkspaceMember };
+
+const forbidden = (res, message) => res.status(403).json({ success: false, message });
+
+export const hasCrmRole = (role, minimumRole) => (CRM_ROLE_RANK[role] ?? -1) >= CRM_ROLE_RANK[minimumRole];
+
+/**
+ * Whether a workspace role may call `method path` (path relative to /api/crm).
+ */
+export function crmRoleCanAccess(role, method, path) {
+    if (role === 'owner') return true;
+    if (OWNER_ONLY_PATHS.some((pattern) => pattern.test(path))) return false;
+    const upperMethod = String(method).toUpperCase();
+    if (READ_METHODS.includes(upperMethod) || PRESENCE_PATH.test(path)) return CRM_ROLE_RANK[role] !== undefined;
+    if (OWNER_ONLY_WRITE_PATHS.some((pattern) => pattern.test(path))) return false;
+    if (role === 'manager') return true;
+    if (role === 'agent') {
+        return AGENT_WRITE_RULES.some((rule) => (
+            rule.pattern.test(path) && (!rule.methods || rule.methods.includes(upperMethod))
+        ));
+    }
+    return false;
+}
+
+/**
+ * Resolve the CRM workspace a request acts in. Runs after authMiddleware.
+ *
+ * Without an `X-CRM-Workspace` header (or `?workspace=` for EventSource) the
+ * user acts in their own workspace as owner. For a staff member acting in
+ * someone else's workspace, `req.user` is replaced by the workspace owner so
+ * every `userId: req.user._id` tenant filter keeps scoping to that
+ * workspace; the signed-in member stays available as `req.crmActor`.
+ * Sets req.crmActor, req.crmRole, and req.crmWorkspace / req.crmMember when
+ * applicable.
+ */
+export function createCrmWorkspaceResolver({ models = defaultModels } = {}) {
+    return async (req, res, next) => {
+        try {
+            const workspaceId = String(req.headers['x-crm-workspace'] || req.query?.workspace || '').trim();
+            req.crmActor = req.user;
+            req.crmRole = 'owner';
+
+            if (workspaceId) {
+                if (!mongoose.isValidObjectId(workspaceId)) {
+                    return res.status(400).json({ success: false, message: 'Workspace khong hop le.' });
+                }
+                const workspace = await models.CrmWorkspace.findById(workspaceId);
+                if (!workspace) {
+                    return res.status(404).json({ success: false, message: 'Khong tim thay workspace.' });
+                }
+                if (String(workspace.ownerUserId) !== String(req.user._id)) {
+                    const member = await models.CrmWorkspaceMember.findOne({
+                        workspaceId: workspace._id,
+                        userId: req.user._id,
+                        status: 'active'
+                    });
+                    if (!member) return forbidden(res, 'Ban khong thuoc workspace nay.');
+                    const owner = await models.User.findById(workspace.ownerUserId).select('-password');
+                    if (!owner || !owner.isActive) return forbidden(res, 'Chu workspace da ngung hoat dong.');
+                    req.user = owner;
+                    req.crmRole = member.role;
+                    req.crmMember = member;
+                }
+                req.crmWorkspace = workspace;
+            }
+
+            if (!crmRoleCanAccess(req.crmRole, req.method, req.path)) {
+                return forbidden(res, `Vai tro ${req.crmRole} khong co quyen thuc hien thao tac nay.`);
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export const resolveCrmWorkspace = createCrmWorkspaceResolver();
+
+/**
+ * Route-level guard for actions finer-grained than crmRoleCanAccess.
+ */
+export const requireCrmRole = (minimumRole) => (req, res, next) => {
+    if (!hasCrmRole(req.crmRole || 'owner', minimumRole)) {
+        return forbidden(res, `Can vai tro ${minimumRole} tro len.`);
+    }
+    next();
+};
@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { createCrmWorkspaceResolver, crmRoleCanAccess } from './crmWorkspace.js';
+
+const createQuery = (result) => {
+    const query = {
+        select() { return query; },
+        lean() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+const createRes = () => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) { res.statusCode = code; return res; },
+        json(body) { res.body = body; return res; }
+    };
+    return res;
+};
+
+const WORKSPACE_ID = '65f000000000000000000001';
+const owner = { _id: 'owner-1', name: 'Chu', isActive: true };
+const agent = { _id: 'agent-1', name: 'Nhan vien', isActive: true };
+
+const buildModels = ({ member = { role: 'agent', status: 'active' }, ownerUser = owner } = {}) => ({
+    CrmWorkspace: {
+        findById: async (id) => (id === WORKSPACE_ID ? { _id: WORKSPACE_ID, ownerUserId: 'owner-1' } : null)
+    },
+    CrmWorkspaceMember: {
+        findOne: async (filter) => {
+            assert.deepStrictEqual(filter, { workspaceId: WORKSPACE_ID, userId: 'agent-1', status: 'active' });
+            return member;
+        }
+    },
+    User: { findById: () => createQuery(ownerUser) }
+});
+
+const runResolver = async ({ user, method = 'GET', path = '/customers', workspace, models = buildModels() }) => {
+    const req = { user, method, path, headers: workspace ? { 'x-crm-workspace': workspace } : {}, query: {} };
+    const res = createRes();
+    let nextCalled = false;
+    await createCrmWorkspaceResolver({ models })(req, res, (error) => {
+        if (error) throw error;
+        nextCalled = true;
+    });
+    return { req, res, nextCalled };
+};
+
+test('crmRoleCanAccess lets viewers read, agents work the inbox and keeps billing with the owner', () => {
+    assert.strictEqual(crmRoleCanAccess('viewer', 'GET', '/campaigns'), true);
+    assert.strictEqual(crmRoleCanAccess('viewer', 'PUT', '/conversations/abc'), false);
+    assert.strictEqual(crmRoleCanAccess('viewer', 'POST', '/conversations/abc/presence'), true);
+    assert.strictEqual(crmRoleCanAccess('viewer', 'POST', '/conversations/abc/notes'), false);
+    assert.strictEqual(crmRoleCanAccess('agent', 'POST', '/conversations/abc/send'), true);
+    assert.strictEqual(crmRoleCanAccess('agent', 'PUT', '/customers/abc'), true);
+    assert.strictEqual(crmRoleCanAccess('agent', 'DELETE', '/customers/abc'), false);
+    assert.strictEqual(crmRoleCanAccess('agent', 'POST', '/customers/merge'), false);
+    assert.strictEqual(crmRoleCanAccess('agent', 'POST', '/campaigns'), false);
+    assert.strictEqual(crmRoleCanAccess('agent', 'POST', '/knowledge/search'), true);
+    assert.strictEqual(crmRoleCanAccess('agent', 'POST', '/knowledge/documents'), false);
+    assert.strictEqual(crmRoleCanAccess('manager', 'POST', '/campaigns'), true);
+    assert.strictEqual(crmRoleCanAccess('manager', 'GET', '/billing/orders'), false);
+    assert.strictEqual(crmRoleCanAccess('manager', 'GET', '/devices'), true);
+    assert.strictEqual(crmRoleCanAccess('manager', 'DELETE', '/devices/abc'), false);
+    assert.strictEqual(crmRoleCanAccess('owner', 'POST', '/billing/checkout'), true);
+    assert.strictEqual(crmRoleCanAccess('stranger', 'GET', '/customers'), false);
+});
+
+test('resolver keeps the caller as owner without a workspace header', async () => {
+    const { req, nextCalled } = await runResolver({ user: owner, method: 'POST', path: '/billing/checkout' });
+    assert.strictEqual(nextCalled, true);
+    assert.strictEqual(req.crmRole, 'owner');
+    assert.strictEqual(req.crmActor, owner);
+    assert.strictEqual(req.user, owner);
+});
+
+test('resolver scopes a member to the owner tenant and enforces their role', async () => {
+    const allowed = await runResolver({ user: agent, method: 'POST', path: '/conversations/c1/send', workspace: WORKSPACE_ID });
+    assert.strictEqual(allowed.nextCalled, true);
+    assert.strictEqual(allowed.req.user, owner);
+    assert.strictEqual(allowed.req.crmActor, agent);
+    assert.strictEqual(allowed.req.crmRole, 'agent');
+
+    const denied = await runResolver({ user: agent, method: 'DELETE', path: '/campaigns/c1', workspace: WORKSPACE_ID });
+    assert.strictEqual(denied.nextCalled, false);
+    assert.strictEqual(denied.res.statusCode, 403);
+});
+
+test('resolver rejects non-members, inactive owners and bad workspace ids', async () => {
+    const outsider = await runResolver({ user: agent, workspace: WORKSPACE_ID, models: buildModels({ member: null }) });
+    assert.strictEqual(outsider.res.statusCode, 403);
+
+    const inactive = await runResolver({
+        user: agent,
+        workspace: WORKSPACE_ID,
+        models: buildModels({ ownerUser: { ...owner, isActive: false } })
+    });
+    assert.strictEqual(inactive.res.statusCode, 403);
+
+    assert.strictEqual((await runResolver({ user: agent, workspace: 'nope' })).res.statusCode, 400);
+    assert.strictEqual((await runResolver({ user: agent, workspace: '65f000000000000000000009' })).res.statusCode, 404);
+});
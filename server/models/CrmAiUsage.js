@@ -17,6 +17,15 @@ const crmAiUsageSchema = new mongoose.Schema({
         type: String,
         default: 'chat'
     },
+    // Budget dimensions (see utils/crmAiBudgets.js).
+    feature: {
+        type: String,
+        default: null
+    },
+    accountId: {
+        type: String,
+        default: null
+    },
     provider: {
         type: String,
         default: 'gcli'
@@ -57,6 +66,8 @@ const crmAiUsageSchema = new mongoose.Schema({
     timestamps: true
 });
 
+crmAiUsageSchema.index({ subscriptionId: 1, createdAt: -1 });
+
 const CrmAiUsage = mongoose.model('CrmAiUsage', crmAiUsageSchema);
 
 export default CrmAiUsage;
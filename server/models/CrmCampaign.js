@@ -24,6 +24,16 @@ const crmCampaignSchema = new mongoose.Schema({
     targetGroupIds: [{
         type: String
     }],
+    // Segment audiences are evaluated at start time, not at creation, so the
+    // campaign reaches whoever matches the segment when it actually runs.
+    targetSegmentIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmSegment'
+    }],
+    excludedSegmentIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmSegment'
+    }],
     manualRecipients: [{
         phone: { type: String, default: '' },
         name: { type: String, default: '' }
@@ -43,6 +53,21 @@ const crmCampaignSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    // IANA zone the owner scheduled in; bare wall-clock scheduledAt input is
+    // interpreted in this zone (see utils/crmCampaigns.resolveScheduledAt).
+    timezone: {
+        type: String,
+        default: 'Asia/Ho_Chi_Minh'
+    },
+    // Times the scheduler found no online device and pushed scheduledAt back.
+    scheduleAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastScheduleError: {
+        type: String,
+        default: ''
+    },
     startedAt: {
         type: Date,
         default: null
@@ -51,9 +76,21 @@ const crmCampaignSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    pausedAt: {
+        type: Date,
+        default: null
+    },
+    resumedAt: {
+        type: Date,
+        default: null
+    },
+    resumeCount: {
+        type: Number,
+        default: 0
+    },
     audienceType: {
         type: String,
-        enum: ['all', 'tags', 'lifecycleStage', 'list', 'custom', 'groups', 'friends', 'manual'],
+        enum: ['all', 'tags', 'lifecycleStage', 'list', 'custom', 'groups', 'friends', 'manual', 'segments'],
         default: 'all'
     },
     targetSummary: {
@@ -82,6 +119,34 @@ const crmCampaignSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    // A/B test: two or more templates split by weight. Empty for a plain
+    // single-template campaign (templateId is then the only message).
+    variants: [{
+        _id: false,
+        key: { type: String, required: true },
+        templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'CrmTemplate', required: true },
+        weight: { type: Number, default: 1, min: 0 }
+    }],
+    abTest: {
+        // Send variants to a test cell first, then the winner to everyone else.
+        sendWinnerToRemainder: { type: Boolean, default: false },
+        testFraction: { type: Number, default: 0.2 },
+        testWindowHours: { type: Number, default: 24 },
+        winnerMetric: { type: String, enum: ['replyRate', 'successRate'], default: 'replyRate' },
+        testEndsAt: { type: Date, default: null },
+        holdoutRecipients: { type: [mongoose.Schema.Types.Mixed], default: [] },
+        winnerVariantKey: { type: String, default: '' },
+        winnerSelectedAt: { type: Date, default: null },
+        remainderSentAt: { type: Date, default: null }
+    },
+    // Resolved audience at start time (after segment evaluation, exclusions and dedupe).
+    audienceSnapshot: {
+        resolvedCount: { type: Number, default: 0 },
+        segmentMatchedCount: { type: Number, default: 0 },
+        excludedCount: { type: Number, default: 0 },
+        duplicateCount: { type: Number, default: 0 },
+        resolvedAt: { type: Date, default: null }
+    },
     metrics: {
         totalSent: { type: Number, default: 0 },
         totalTargets: { type: Number, default: 0 },
@@ -98,6 +163,8 @@ const crmCampaignSchema = new mongoose.Schema({
 });
 
 crmCampaignSchema.index({ userId: 1, status: 1 });
+crmCampaignSchema.index({ status: 1, scheduledAt: 1 });
+crmCampaignSchema.index({ status: 1, 'abTest.testEndsAt': 1 });
 
 const CrmCampaign = mongoose.model('CrmCampaign', crmCampaignSchema);
 
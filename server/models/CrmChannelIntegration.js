@@ -28,6 +28,9 @@ const crmChannelIntegrationSchema = new mongoose.Schema({
     appSecret: {
         type: String
     },
+    // Encrypted. Telegram bot token, or for Meta channels the Page / WhatsApp
+    // access token used to send replies from the server
+    // (utils/crmChannelOutbound.js).
     botToken: {
         type: String
     },
@@ -48,6 +51,34 @@ const crmChannelIntegrationSchema = new mongoose.Schema({
     primaryColorHex: {
         type: String,
         trim: true
+    },
+    // Webchat-only widget behaviour, edited by the owner
+    // (PUT /api/crm/webchat/widgets/:widgetId/settings).
+    preChatForm: {
+        enabled: { type: Boolean, default: false },
+        fields: [{
+            _id: false,
+            name: { type: String, enum: ['name', 'phone', 'email'] },
+            required: { type: Boolean, default: false }
+        }]
+    },
+    attachmentsEnabled: {
+        type: Boolean,
+        default: true
+    },
+    // Outside these hours (or with no active Desktop Agent) the widget
+    // switches to offline mode and collects an email follow-up request.
+    businessHours: {
+        enabled: { type: Boolean, default: false },
+        timezone: { type: String, default: 'Asia/Ho_Chi_Minh' },
+        days: [{ type: Number }],
+        start: { type: String, default: '08:00' },
+        end: { type: String, default: '18:00' }
+    },
+    offlineMessage: {
+        type: String,
+        trim: true,
+        default: ''
     }
 }, {
     timestamps: true
@@ -80,7 +80,16 @@ const crmChatbotLogSchema = new mongoose.Schema({
     errorMessage: {
         type: String,
         default: ''
-    }
+    },
+    // Knowledge-base passages the answer cited ([K1]...), snapshotted so the
+    // log still reads after the document is re-indexed or deleted.
+    citations: [{
+        _id: false,
+        documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'CrmKnowledgeDocument' },
+        chunkId: { type: mongoose.Schema.Types.ObjectId, ref: 'CrmKnowledgeChunk' },
+        title: { type: String, default: '' },
+        excerpt: { type: String, default: '' }
+    }]
 }, {
     timestamps: true
 });
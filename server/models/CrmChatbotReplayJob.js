@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+
+// A chatbot dry run over past inbound messages. The settings and active rules
+// are snapshotted in `config` when the job is created; the replay cron
+// (jobs/crmChatbotReplayJobs.js) then predicts the path each message in the
+// window would take and compares it with the CrmChatbotLog written at the
+// time. Nothing is sent and no AI quota is used.
+const crmChatbotReplayJobSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'],
+        default: 'queued'
+    },
+    from: {
+        type: Date,
+        required: true
+    },
+    to: {
+        type: Date,
+        required: true
+    },
+    threadType: {
+        type: String,
+        enum: ['user', 'group', 'all'],
+        default: 'user'
+    },
+    // Empty means every account.
+    accountIds: [{
+        type: String,
+        trim: true
+    }],
+    // { settings, rules } as served to the agent by /agent/chatbot/config.
+    config: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Last replayed message, in (receivedAt, _id) order.
+    cursor: {
+        receivedAt: { type: Date, default: null },
+        messageId: { type: mongoose.Schema.Types.ObjectId, default: null }
+    },
+    counts: {
+        messages: { type: Number, default: 0 },
+        keyword: { type: Number, default: 0 },
+        ai: { type: Number, default: 0 },
+        handoff: { type: Number, default: 0 },
+        none: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 },
+        withLog: { type: Number, default: 0 },
+        same: { type: Number, default: 0 },
+        changed: { type: Number, default: 0 }
+    },
+    // "actual->predicted" mode pairs, e.g. { 'none->keyword': 12 }.
+    transitions: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Messages whose predicted path differs from what happened. Capped (see
+    // MAX_STORED_REPLAY_ROWS) to keep the document well under 16MB.
+    rows: [{
+        _id: false,
+        messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'CrmMessage' },
+        conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'CrmConversation' },
+        accountId: String,
+        threadId: String,
+        receivedAt: Date,
+        preview: String,
+        predicted: {
+            mode: String,
+            ruleId: { type: mongoose.Schema.Types.ObjectId, default: null },
+            ruleName: { type: String, default: '' },
+            reason: { type: String, default: '' }
+        },
+        actual: {
+            mode: String,
+            ruleId: { type: mongoose.Schema.Types.ObjectId, default: null },
+            logId: { type: mongoose.Schema.Types.ObjectId, default: null },
+            status: { type: String, default: '' }
+        }
+    }],
+    // Set when the window held more than MAX_REPLAY_MESSAGES messages.
+    truncated: {
+        type: Boolean,
+        default: false
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+crmChatbotReplayJobSchema.index({ userId: 1, createdAt: -1 });
+crmChatbotReplayJobSchema.index({ status: 1, updatedAt: 1 });
+
+const CrmChatbotReplayJob = mongoose.model('CrmChatbotReplayJob', crmChatbotReplayJobSchema);
+
+export default CrmChatbotReplayJob;
@@ -22,16 +22,47 @@ const crmChatbotRuleSchema = new mongoose.Schema({
         type: String,
         trim: true
     }],
+    // 'regex': each keyword is a case-insensitive pattern; named groups
+    // (?<slot>...) pre-fill the slot of the same name.
     matchMode: {
         type: String,
-        enum: ['contains', 'exact', 'startsWith'],
+        enum: ['contains', 'exact', 'startsWith', 'regex'],
         default: 'contains'
     },
+    // Rendered with utils/crmTemplateRender.js once every required slot is
+    // filled: {{<slot name>}} plus the usual customer placeholders.
     response: {
         type: String,
         required: true,
         maxlength: 8000
     },
+    // Values the bot collects over several turns before answering. Required
+    // slots are asked for in order; optional ones are only picked up when the
+    // customer happens to mention them.
+    slots: [{
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        entity: {
+            type: String,
+            enum: ['text', 'phone', 'email', 'date', 'number', 'product', 'regex'],
+            default: 'text'
+        },
+        prompt: { type: String, default: '', maxlength: 1000 },
+        retryPrompt: { type: String, default: '', maxlength: 1000 },
+        required: { type: Boolean, default: true },
+        // product: accepted names; regex: pattern (group 1 or whole match).
+        options: [{ type: String, trim: true }],
+        pattern: { type: String, default: '' },
+        // name/phone/email/company, or empty for customFields.<slot name>.
+        customerField: { type: String, default: '' }
+    }],
+    // Idle time after which a half-filled conversation is dropped.
+    slotSessionMinutes: {
+        type: Number,
+        default: 30,
+        min: 1,
+        max: 24 * 60
+    },
     isActive: {
         type: Boolean,
         default: true,
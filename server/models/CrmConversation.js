@@ -1,5 +1,47 @@
 import mongoose from 'mongoose';
 
+const slaTargetSchema = new mongoose.Schema({
+    dueAt: { type: Date, default: null },
+    warnAt: { type: Date, default: null },
+    // Last alert sent for the current dueAt: none -> warning -> breach.
+    notified: { type: String, enum: ['none', 'warning', 'breach'], default: 'none' }
+}, { _id: false });
+
+const crmConversationSlaSchema = new mongoose.Schema({
+    policyId: { type: mongoose.Schema.Types.ObjectId, ref: 'CrmSlaPolicy', default: null },
+    startedAt: { type: Date, default: null },
+    // Oldest customer message still waiting for a reply.
+    waitingSince: { type: Date, default: null },
+    firstResponse: {
+        type: new mongoose.Schema({
+            at: { type: Date, default: null },
+            minutes: { type: Number, default: null },
+            breached: { type: Boolean, default: false }
+        }, { _id: false }),
+        default: () => ({})
+    },
+    nextResponse: {
+        type: new mongoose.Schema({
+            count: { type: Number, default: 0 },
+            totalMinutes: { type: Number, default: 0 },
+            breaches: { type: Number, default: 0 }
+        }, { _id: false }),
+        default: () => ({})
+    },
+    resolution: {
+        type: new mongoose.Schema({
+            at: { type: Date, default: null },
+            minutes: { type: Number, default: null },
+            breached: { type: Boolean, default: false }
+        }, { _id: false }),
+        default: () => ({})
+    },
+    // Pending deadlines; a target is cleared once met.
+    firstResponseTarget: { type: slaTargetSchema, default: null },
+    nextResponseTarget: { type: slaTargetSchema, default: null },
+    resolutionTarget: { type: slaTargetSchema, default: null }
+}, { _id: false });
+
 const crmConversationSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -72,12 +114,22 @@ const crmConversationSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    // Support workflow state (utils/crmConversationStatus.js): pending waits
+    // on the customer, snoozed hides the thread until snoozedUntil.
     assignedStatus: {
         type: String,
-        enum: ['open', 'pending', 'resolved'],
+        enum: ['open', 'pending', 'snoozed', 'resolved'],
         default: 'open',
         index: true
     },
+    snoozedUntil: {
+        type: Date,
+        default: null
+    },
+    statusChangedAt: {
+        type: Date,
+        default: null
+    },
     chatbotEnabled: {
         type: Boolean,
         default: false
@@ -85,6 +137,34 @@ const crmConversationSchema = new mongoose.Schema({
     lastInboundAt: {
         type: Date,
         default: null
+    },
+    // Workspace member (or the owner) handling this conversation.
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    assignedAt: {
+        type: Date,
+        default: null
+    },
+    // SLA clock for the current support cycle (first inbound until resolved);
+    // maintained by utils/crmSla.js.
+    sla: {
+        type: crmConversationSlaSchema,
+        default: null
+    },
+    // Multi-turn chatbot rule in progress (utils/crmChatbotSlots.js): the
+    // slot values captured so far and the slot the last prompt asked for.
+    chatbotSession: {
+        type: {
+            ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'CrmChatbotRule' },
+            values: { type: mongoose.Schema.Types.Mixed, default: {} },
+            pendingSlot: { type: String, default: '' },
+            attempts: { type: Number, default: 0 },
+            expiresAt: { type: Date }
+        },
+        default: null
     }
 }, {
     timestamps: true
@@ -92,6 +172,12 @@ const crmConversationSchema = new mongoose.Schema({
 
 crmConversationSchema.index({ userId: 1, accountId: 1, threadId: 1, threadType: 1 }, { unique: true });
 crmConversationSchema.index({ userId: 1, lastMessageAt: -1 });
+crmConversationSchema.index({ userId: 1, assignedTo: 1, lastMessageAt: -1 });
+crmConversationSchema.index({ 'sla.firstResponseTarget.warnAt': 1 }, { sparse: true });
+crmConversationSchema.index({ 'sla.nextResponseTarget.warnAt': 1 }, { sparse: true });
+crmConversationSchema.index({ 'sla.resolutionTarget.warnAt': 1 }, { sparse: true });
+crmConversationSchema.index({ userId: 1, 'sla.startedAt': -1 });
+crmConversationSchema.index({ assignedStatus: 1, snoozedUntil: 1 });
 
 const CrmConversation = mongoose.model('CrmConversation', crmConversationSchema);
 
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// One satisfaction survey sent after a conversation was resolved. The
+// customer's next inbound message is parsed for a 1-5 rating (digits or
+// emoji) while the survey is `sent` and not past `expiresAt`; a newer survey
+// on the same conversation marks older unanswered ones `expired`.
+const crmCsatSurveySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmConversation',
+        required: true
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmCustomer',
+        default: null
+    },
+    // Handling agent: the assignee at resolve time, else whoever resolved it.
+    agentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    channel: {
+        type: String,
+        enum: ['zalo_personal', 'zalo_oa', 'facebook_page', 'tiktok', 'instagram', 'whatsapp', 'telegram', 'webchat'],
+        default: 'zalo_personal'
+    },
+    accountId: {
+        type: String,
+        default: ''
+    },
+    promptMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmMessage',
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['sent', 'answered', 'expired'],
+        default: 'sent'
+    },
+    sentAt: {
+        type: Date,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    rating: {
+        type: Number,
+        min: 1,
+        max: 5,
+        default: null
+    },
+    rawReply: {
+        type: String,
+        default: ''
+    },
+    replyMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmMessage',
+        default: null
+    },
+    answeredAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+crmCsatSurveySchema.index({ userId: 1, conversationId: 1, status: 1, sentAt: -1 });
+crmCsatSurveySchema.index({ userId: 1, sentAt: -1 });
+
+const CrmCsatSurvey = mongoose.model('CrmCsatSurvey', crmCsatSurveySchema);
+
+export default CrmCsatSurvey;
@@ -83,6 +83,15 @@ const crmCustomerSchema = new mongoose.Schema({
         type: Map,
         of: String,
         default: {}
+    },
+    // Maintained by utils/crmLeadScoring.js (see CrmLeadScoreHistory).
+    leadScore: {
+        type: Number,
+        default: 0
+    },
+    leadScoreUpdatedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true
@@ -93,6 +102,8 @@ crmCustomerSchema.index({ userId: 1, phone: 1 });
 crmCustomerSchema.index({ userId: 1, zaloUserId: 1 });
 crmCustomerSchema.index({ userId: 1, tags: 1 });
 crmCustomerSchema.index({ userId: 1, lifecycleStage: 1 });
+crmCustomerSchema.index({ userId: 1, leadScore: -1 });
+crmCustomerSchema.index({ leadScoreUpdatedAt: 1 });
 
 const CrmCustomer = mongoose.model('CrmCustomer', crmCustomerSchema);
 
@@ -40,6 +40,11 @@ const crmDeviceSchema = new mongoose.Schema({
         default: 'active',
         index: true
     },
+    // Which of the subscription's deviceLimit slots an active device holds.
+    slot: {
+        type: Number,
+        default: 0
+    },
     agentSecretHash: {
         type: String,
         required: true
@@ -114,13 +119,14 @@ const crmDeviceSchema = new mongoose.Schema({
 // Compound indexes
 crmDeviceSchema.index({ userId: 1, status: 1 });
 
-// Strictly enforce one active device per subscription at the database layer (race-safe)
+// One active device per slot of a subscription, enforced at the database
+// layer (race-safe). Registration picks the lowest free slot below deviceLimit.
 crmDeviceSchema.index(
-    { subscriptionId: 1 },
-    { 
-        name: 'unique_active_device_per_subscription',
-        unique: true, 
-        partialFilterExpression: { status: 'active' } 
+    { subscriptionId: 1, slot: 1 },
+    {
+        name: 'unique_active_device_slot_per_subscription',
+        unique: true,
+        partialFilterExpression: { status: 'active' }
     }
 );
 
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Realtime events kept long enough for a dropped SSE client (or every client
+// after a machine restart) to resume with Last-Event-ID. See crmEventLog.js.
+export const EVENT_LOG_TTL_SECONDS = 6 * 60 * 60;
+
+const crmEventLogSchema = new mongoose.Schema(
+    {
+        // `crm:<userId>` or `webchat:<hash of widgetId + sessionToken>`.
+        stream: { type: String, required: true },
+        // The SSE `id:`; increases across restarts (see nextEventId).
+        eventId: { type: Number, required: true },
+        event: { type: String, required: true },
+        // Serialized payload, replayed verbatim as the SSE `data:` line.
+        data: { type: String, default: '{}' },
+        createdAt: { type: Date, default: Date.now, expires: EVENT_LOG_TTL_SECONDS }
+    },
+    { versionKey: false }
+);
+
+crmEventLogSchema.index({ stream: 1, eventId: 1 });
+
+export default mongoose.model('CrmEventLog', crmEventLogSchema);
@@ -53,6 +53,11 @@ const crmExecutionLogSchema = new mongoose.Schema({
         ref: 'CrmTemplate',
         default: null
     },
+    // A/B variant this recipient was assigned ('' for single-template campaigns).
+    variantKey: {
+        type: String,
+        default: ''
+    },
     recipientId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'CrmCustomer',
@@ -94,6 +99,11 @@ const crmExecutionLogSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    // First inbound message from the recipient after this send (reply rate).
+    repliedAt: {
+        type: Date,
+        default: null
+    },
     campaignSnapshot: {
         type: mongoose.Schema.Types.Mixed,
         default: null
@@ -103,6 +113,7 @@ const crmExecutionLogSchema = new mongoose.Schema({
 });
 
 crmExecutionLogSchema.index({ userId: 1, campaignId: 1 });
+crmExecutionLogSchema.index({ campaignId: 1, variantKey: 1 });
 crmExecutionLogSchema.index(
     { createdAt: 1 },
     { expireAfterSeconds: RETENTION_MS.crmHistory / 1000 }
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+// A customer CSV/XLSX import. The file is uploaded straight to storage with a
+// presigned URL; the import job cron (jobs/crmImportJobs.js) then validates
+// (dry run) or imports the rows in batches, resuming from `cursor` after a
+// restart.
+const crmImportJobSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['awaiting_upload', 'uploaded', 'queued', 'processing', 'validated', 'completed', 'failed', 'cancelled'],
+        default: 'awaiting_upload'
+    },
+    // dry_run only validates and reports; import writes customers.
+    mode: {
+        type: String,
+        enum: ['dry_run', 'import'],
+        default: 'dry_run'
+    },
+    file: {
+        key: { type: String, required: true },
+        filename: { type: String, default: '' },
+        contentType: { type: String, default: '' },
+        format: { type: String, enum: ['csv', 'xlsx'], required: true },
+        size: { type: Number, default: 0 }
+    },
+    headers: [{
+        type: String
+    }],
+    // Target customer field -> source column header, e.g. { phone: 'SDT' }.
+    columnMapping: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    options: {
+        updateExisting: { type: Boolean, default: true },
+        defaultConsentStatus: { type: String, enum: ['granted', 'revoked', 'pending'], default: 'pending' },
+        defaultSource: { type: String, default: 'CSV Import' },
+        tags: [{ type: String, trim: true }]
+    },
+    totalRows: {
+        type: Number,
+        default: 0
+    },
+    cursor: {
+        type: Number,
+        default: 0
+    },
+    counts: {
+        valid: { type: Number, default: 0 },
+        created: { type: Number, default: 0 },
+        updated: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 },
+        duplicatesInFile: { type: Number, default: 0 },
+        errors: { type: Number, default: 0 }
+    },
+    // Rejected rows with their original cells, downloadable as CSV. Capped
+    // (see MAX_STORED_ERROR_ROWS) to keep the document well under 16MB.
+    errorRows: [{
+        _id: false,
+        row: Number,
+        message: String,
+        data: mongoose.Schema.Types.Mixed
+    }],
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+crmImportJobSchema.index({ userId: 1, createdAt: -1 });
+crmImportJobSchema.index({ status: 1, updatedAt: 1 });
+
+const CrmImportJob = mongoose.model('CrmImportJob', crmImportJobSchema);
+
+export default CrmImportJob;
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// One retrievable passage of a CrmKnowledgeDocument. Re-indexing a document
+// replaces all of its chunks.
+const crmKnowledgeChunkSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmKnowledgeDocument',
+        required: true
+    },
+    position: {
+        type: Number,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+crmKnowledgeChunkSchema.index({ userId: 1, documentId: 1, position: 1 });
+
+const CrmKnowledgeChunk = mongoose.model('CrmKnowledgeChunk', crmKnowledgeChunkSchema);
+
+export default CrmKnowledgeChunk;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// A knowledge-base file the chatbot answers from (price list, FAQ...). The
+// file is uploaded to storage with a presigned URL, then /uploaded splits it
+// into CrmKnowledgeChunk passages for the BM25 index (utils/crmKnowledgeBase.js).
+const crmKnowledgeDocumentSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    status: {
+        type: String,
+        enum: ['awaiting_upload', 'ready', 'failed'],
+        default: 'awaiting_upload'
+    },
+    // Inactive documents stay indexed but are left out of retrieval.
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    file: {
+        key: { type: String, required: true },
+        filename: { type: String, default: '' },
+        contentType: { type: String, default: '' },
+        format: { type: String, enum: ['txt', 'md', 'csv', 'xlsx'], required: true },
+        size: { type: Number, default: 0 }
+    },
+    chunkCount: {
+        type: Number,
+        default: 0
+    },
+    indexedAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+crmKnowledgeDocumentSchema.index({ userId: 1, status: 1, isActive: 1 });
+
+const CrmKnowledgeDocument = mongoose.model('CrmKnowledgeDocument', crmKnowledgeDocumentSchema);
+
+export default CrmKnowledgeDocument;
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { RETENTION_MS } from '../retention/policy.js';
+
+// One row per lead score change of a customer.
+const crmLeadScoreHistorySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmCustomer',
+        required: true
+    },
+    // null when the built-in default model was used.
+    scoringModelId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmScoringModel',
+        default: null
+    },
+    score: {
+        type: Number,
+        required: true
+    },
+    previousScore: {
+        type: Number,
+        default: 0
+    },
+    delta: {
+        type: Number,
+        default: 0
+    },
+    // What triggered the recompute: inbound_message, customer_updated, decay, ...
+    reason: {
+        type: String,
+        default: ''
+    },
+    decayFactor: {
+        type: Number,
+        default: 1
+    },
+    breakdown: [{
+        _id: false,
+        ruleId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        label: { type: String, default: '' },
+        points: { type: Number, default: 0 }
+    }]
+}, {
+    timestamps: true
+});
+
+crmLeadScoreHistorySchema.index({ userId: 1, customerId: 1, createdAt: -1 });
+crmLeadScoreHistorySchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: RETENTION_MS.crmHistory / 1000 }
+);
+
+const CrmLeadScoreHistory = mongoose.model('CrmLeadScoreHistory', crmLeadScoreHistorySchema);
+
+export default CrmLeadScoreHistory;
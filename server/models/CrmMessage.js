@@ -43,12 +43,24 @@ const crmMessageSchema = new mongoose.Schema({
         enum: ['user', 'group'],
         default: 'user'
     },
+    // 'internal' marks a staff note: kept in the conversation timeline but
+    // never relayed to the channel or shown to the customer.
     direction: {
         type: String,
-        enum: ['inbound', 'outbound'],
+        enum: ['inbound', 'outbound', 'internal'],
         required: true,
         index: true
     },
+    // Workspace member who wrote an internal note.
+    authorUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
     senderId: {
         type: String,
         trim: true,
@@ -114,6 +126,8 @@ crmMessageSchema.set('toJSON', { virtuals: true });
 crmMessageSchema.set('toObject', { virtuals: true });
 
 crmMessageSchema.index({ conversationId: 1, createdAt: -1 });
+// Chatbot replay scans a tenant's inbound messages by time.
+crmMessageSchema.index({ userId: 1, direction: 1, receivedAt: 1 });
 crmMessageSchema.index(
     { createdAt: 1 },
     { expireAfterSeconds: RETENTION_MS.crmHistory / 1000 }
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Fixed-window hit counters for the `mongo` realtime transport, shared by
+// every backend instance. One document per key and window.
+const crmRateLimitCounterSchema = new mongoose.Schema(
+    {
+        key: { type: String, required: true },
+        windowStart: { type: Date, required: true },
+        count: { type: Number, default: 0 },
+        expiresAt: { type: Date, required: true }
+    },
+    { versionKey: false }
+);
+
+crmRateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+crmRateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('CrmRateLimitCounter', crmRateLimitCounterSchema);
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Cross-instance fan-out for the `mongo` realtime transport: each backend
+// instance inserts what it publishes and watches this collection's change
+// stream for everyone else's. Documents only need to live long enough for
+// the change stream (and a resume after a brief disconnect) to see them.
+const MESSAGE_TTL_SECONDS = 60 * 60;
+
+const crmRealtimeMessageSchema = new mongoose.Schema(
+    {
+        topic: { type: String, required: true },
+        // Instance that published it; it already delivered locally.
+        origin: { type: String, required: true },
+        message: { type: mongoose.Schema.Types.Mixed, default: {} },
+        createdAt: { type: Date, default: Date.now, expires: MESSAGE_TTL_SECONDS }
+    },
+    { versionKey: false }
+);
+
+export default mongoose.model('CrmRealtimeMessage', crmRealtimeMessageSchema);
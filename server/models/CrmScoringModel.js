@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// Per-tenant lead scoring model. At most one model per user is active; without
+// one, DEFAULT_SCORING_MODEL in utils/crmLeadScoring.js applies.
+const scoringRuleSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        default: ''
+    },
+    type: {
+        type: String,
+        enum: ['field', 'tag', 'message_activity', 'campaign_reply', 'group_insight'],
+        required: true
+    },
+    // field rules: customer field (or custom.<name>) compared with value.
+    field: { type: String, default: '' },
+    operator: {
+        type: String,
+        enum: ['equals', 'not_equals', 'in', 'contains', 'exists'],
+        default: 'equals'
+    },
+    value: { type: mongoose.Schema.Types.Mixed, default: null },
+    // tag rules
+    tag: { type: String, default: '' },
+    // message_activity rules
+    direction: { type: String, enum: ['inbound', 'outbound'], default: 'inbound' },
+    // group_insight rules ('' = any priority)
+    priority: { type: String, default: '' },
+    // Look-back window for activity, reply and insight rules.
+    windowDays: { type: Number, default: 7, min: 1 },
+    // Points per match (field/tag) or per counted event (activity rules).
+    points: { type: Number, required: true },
+    // Cap for per-event rules; 0 = uncapped.
+    maxPoints: { type: Number, default: 0, min: 0 }
+});
+
+const crmScoringModelSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    isActive: {
+        type: Boolean,
+        default: false
+    },
+    rules: [scoringRuleSchema],
+    // Halve the score every halfLifeDays once a customer has been inactive
+    // for longer than graceDays.
+    decay: {
+        enabled: { type: Boolean, default: false },
+        graceDays: { type: Number, default: 7, min: 0 },
+        halfLifeDays: { type: Number, default: 30, min: 1 }
+    },
+    minScore: {
+        type: Number,
+        default: 0
+    },
+    maxScore: {
+        type: Number,
+        default: 100
+    }
+}, {
+    timestamps: true
+});
+
+crmScoringModelSchema.index({ userId: 1, isActive: 1 });
+
+const CrmScoringModel = mongoose.model('CrmScoringModel', crmScoringModelSchema);
+
+export default CrmScoringModel;
@@ -16,7 +16,11 @@ const crmSegmentSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    // version 1: the flat fields below. version 2: `expression`, a nested
+    // AND/OR/NOT tree compiled by utils/crmSegments.js.
     filters: {
+        version: { type: Number, default: 1 },
+        expression: { type: mongoose.Schema.Types.Mixed, default: null },
         tags: [{ type: String }],
         lifecycleStage: { type: String, default: '' },
         consentStatus: { type: String, default: '' },
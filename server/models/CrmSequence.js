@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// Multi-step drip sequence. Each step is a template sent `delayMinutes` after
+// the previous step (or after enrollment for the first step).
+const crmSequenceSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'active', 'paused', 'archived'],
+        default: 'draft'
+    },
+    channel: {
+        type: String,
+        enum: ['zalo', 'email', 'sms'],
+        default: 'zalo'
+    },
+    steps: [{
+        _id: false,
+        name: { type: String, default: '' },
+        templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'CrmTemplate', required: true },
+        delayMinutes: { type: Number, default: 0, min: 0 }
+    }],
+    // How customers enter besides manual/segment enrollment via the API.
+    trigger: {
+        type: {
+            type: String,
+            enum: ['manual', 'customer_created', 'tag_added', 'lifecycle_stage'],
+            default: 'manual'
+        },
+        tag: { type: String, default: '' },
+        lifecycleStage: { type: String, default: '' }
+    },
+    // Consent withdrawal always ends an enrollment; these are the optional exits.
+    exitConditions: {
+        onReply: { type: Boolean, default: true },
+        onLifecycleChange: { type: Boolean, default: false },
+        // Empty = any change away from the stage at enrollment.
+        lifecycleStages: [{ type: String }]
+    },
+    selectedDeviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmDevice',
+        default: null
+    },
+    selectedAccountId: {
+        type: String,
+        default: null
+    },
+    timezone: {
+        type: String,
+        default: 'Asia/Ho_Chi_Minh'
+    },
+    rateLimit: {
+        minDelaySeconds: { type: Number, default: 3 },
+        maxDelaySeconds: { type: Number, default: 5 },
+        dailyCap: { type: Number, default: 500 }
+    },
+    metrics: {
+        enrolledCount: { type: Number, default: 0 },
+        completedCount: { type: Number, default: 0 },
+        exitedCount: { type: Number, default: 0 }
+    }
+}, {
+    timestamps: true
+});
+
+crmSequenceSchema.index({ userId: 1, status: 1 });
+crmSequenceSchema.index({ userId: 1, status: 1, 'trigger.type': 1 });
+
+const CrmSequence = mongoose.model('CrmSequence', crmSequenceSchema);
+
+export default CrmSequence;
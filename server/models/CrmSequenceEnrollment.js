@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// One customer's progress through a CrmSequence. A customer is enrolled in a
+// given sequence at most once.
+const crmSequenceEnrollmentSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    sequenceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmSequence',
+        required: true
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmCustomer',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['active', 'completed', 'exited'],
+        default: 'active'
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'segment', 'trigger'],
+        default: 'manual'
+    },
+    // Index of the next step to send; equals steps.length once all are sent.
+    nextStepIndex: {
+        type: Number,
+        default: 0
+    },
+    nextStepAt: {
+        type: Date,
+        default: null
+    },
+    lifecycleStageAtEnrollment: {
+        type: String,
+        default: ''
+    },
+    enrolledAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastStepSentAt: {
+        type: Date,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    exitedAt: {
+        type: Date,
+        default: null
+    },
+    exitReason: {
+        type: String,
+        enum: ['', 'replied', 'lifecycle_changed', 'consent_withdrawn', 'missing_phone', 'manual', 'sequence_archived'],
+        default: ''
+    },
+    history: [{
+        _id: false,
+        stepIndex: { type: Number, required: true },
+        templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'CrmTemplate', default: null },
+        agentCommandId: { type: mongoose.Schema.Types.ObjectId, ref: 'CrmAgentCommand', default: null },
+        status: { type: String, enum: ['queued', 'success', 'failed', 'cancelled'], default: 'queued' },
+        dispatchedAt: { type: Date, default: null },
+        sentAt: { type: Date, default: null },
+        errorMessage: { type: String, default: '' }
+    }]
+}, {
+    timestamps: true
+});
+
+crmSequenceEnrollmentSchema.index({ sequenceId: 1, customerId: 1 }, { unique: true });
+crmSequenceEnrollmentSchema.index({ status: 1, nextStepAt: 1 });
+crmSequenceEnrollmentSchema.index({ userId: 1, customerId: 1, status: 1 });
+
+const CrmSequenceEnrollment = mongoose.model('CrmSequenceEnrollment', crmSequenceEnrollmentSchema);
+
+export default CrmSequenceEnrollment;
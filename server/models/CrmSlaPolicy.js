@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Response/resolution targets for 1:1 conversations. A policy listing the
+// conversation's channel wins over a catch-all policy (empty channels).
+// Targets are business minutes when businessHours is enabled (same shape as
+// CrmChatbotRule.businessHours), wall-clock minutes otherwise; 0 = no target.
+const crmSlaPolicySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    channels: [{
+        type: String,
+        enum: ['zalo_personal', 'zalo_oa', 'facebook_page', 'tiktok', 'instagram', 'whatsapp', 'telegram', 'webchat']
+    }],
+    firstResponseMinutes: { type: Number, default: 15, min: 0 },
+    nextResponseMinutes: { type: Number, default: 30, min: 0 },
+    resolutionMinutes: { type: Number, default: 24 * 60, min: 0 },
+    // sla.warning goes out once this share of a target has elapsed.
+    warningPercent: { type: Number, default: 80, min: 1, max: 99 },
+    businessHours: {
+        enabled: { type: Boolean, default: false },
+        timezone: { type: String, default: 'Asia/Ho_Chi_Minh' },
+        days: [{ type: Number }],
+        start: { type: String, default: '08:00' },
+        end: { type: String, default: '18:00' }
+    }
+}, {
+    timestamps: true
+});
+
+crmSlaPolicySchema.index({ userId: 1, enabled: 1 });
+
+const CrmSlaPolicy = mongoose.model('CrmSlaPolicy', crmSlaPolicySchema);
+
+export default CrmSlaPolicy;
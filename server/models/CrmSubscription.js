@@ -47,6 +47,15 @@ const crmSubscriptionSchema = new mongoose.Schema({
         type: Number,
         default: 1
     },
+    // Per-feature / per-Zalo-account caps inside the AI pool (utils/crmAiBudgets.js).
+    aiBudgets: [{
+        _id: false,
+        scope: { type: String, enum: ['feature', 'account'], required: true },
+        key: { type: String, required: true, trim: true },
+        limit: { type: Number, required: true, min: 1 },
+        used: { type: Number, default: 0 },
+        alertsSent: [{ type: Number }]
+    }],
     autoRenewCredit: {
         type: Boolean,
         default: false
@@ -62,6 +71,29 @@ const crmSubscriptionSchema = new mongoose.Schema({
     cancelledAt: {
         type: Date,
         default: null
+    },
+    // Lifecycle bookkeeping for runSubscriptionMaintenance: the last renewal
+    // reminder sent for the current periodEnd, and the past_due grace window
+    // with its auto-renew retry schedule.
+    renewalReminder: {
+        periodEnd: { type: Date, default: null },
+        daysBefore: { type: Number, default: null }
+    },
+    pastDueAt: {
+        type: Date,
+        default: null
+    },
+    graceEndsAt: {
+        type: Date,
+        default: null
+    },
+    renewalAttempts: {
+        type: Number,
+        default: 0
+    },
+    nextRenewalAttemptAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true
@@ -69,6 +101,7 @@ const crmSubscriptionSchema = new mongoose.Schema({
 
 // Composite index for quick status queries per user
 crmSubscriptionSchema.index({ userId: 1, status: 1 });
+crmSubscriptionSchema.index({ status: 1, periodEnd: 1 });
 crmSubscriptionSchema.index(
     { userId: 1, entitlementType: 1 },
     {
@@ -43,6 +43,17 @@ const crmTaskSchema = new mongoose.Schema({
         ref: 'CrmGroupInsight',
         default: null
     },
+    // Workspace member the task is for (e.g. @mentioned in an internal note).
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    sourceMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmMessage',
+        default: null
+    },
     dueAt: {
         type: Date,
         default: null,
@@ -78,6 +89,7 @@ const crmTaskSchema = new mongoose.Schema({
 
 crmTaskSchema.index({ userId: 1, status: 1, dueAt: 1 });
 crmTaskSchema.index({ userId: 1, priority: 1, createdAt: -1 });
+crmTaskSchema.index({ userId: 1, assignedTo: 1, status: 1 });
 
 const CrmTask = mongoose.model('CrmTask', crmTaskSchema);
 
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Multi-seat settings for a CRM tenant. The tenant key stays the owner's
+// userId on every CRM collection; a workspace only exists once the owner
+// invites staff (see CrmWorkspaceMember).
+const crmWorkspaceSchema = new mongoose.Schema({
+    ownerUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    assignment: {
+        // round_robin hands new inbound 1:1 conversations to the member who
+        // was assigned least recently.
+        mode: { type: String, enum: ['manual', 'round_robin'], default: 'manual' }
+    }
+}, {
+    timestamps: true
+});
+
+const CrmWorkspace = mongoose.model('CrmWorkspace', crmWorkspaceSchema);
+
+export default CrmWorkspace;
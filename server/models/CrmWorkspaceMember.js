@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// A staff seat in a CrmWorkspace. Invitations are addressed to an email and
+// bound to the accepting user's account (userId) on acceptance. The owner is
+// implicit (CrmWorkspace.ownerUserId) and has no member document.
+const crmWorkspaceMemberSchema = new mongoose.Schema({
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrmWorkspace',
+        required: true
+    },
+    ownerUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+    email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    role: {
+        type: String,
+        enum: ['manager', 'agent', 'viewer'],
+        default: 'agent'
+    },
+    status: {
+        type: String,
+        enum: ['invited', 'active', 'removed'],
+        default: 'invited'
+    },
+    // sha256 of the invitation token; the raw token is only returned once.
+    inviteTokenHash: {
+        type: String,
+        default: null
+    },
+    inviteExpiresAt: {
+        type: Date,
+        default: null
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    joinedAt: {
+        type: Date,
+        default: null
+    },
+    // Included in round-robin auto-assignment.
+    autoAssign: {
+        type: Boolean,
+        default: true
+    },
+    lastAssignedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+crmWorkspaceMemberSchema.index({ workspaceId: 1, email: 1 }, { unique: true });
+crmWorkspaceMemberSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+crmWorkspaceMemberSchema.index({ workspaceId: 1, status: 1, role: 1, lastAssignedAt: 1 });
+
+const CrmWorkspaceMember = mongoose.model('CrmWorkspaceMember', crmWorkspaceMemberSchema);
+
+export default CrmWorkspaceMember;
@@ -36,7 +36,15 @@
         '.acrm-webchat-inputbar{display:flex;border-top:1px solid #eee;padding:8px;gap:8px;}' +
         '.acrm-webchat-input{flex:1;border:1px solid #ddd;border-radius:20px;padding:8px 14px;font-size:13px;outline:none;}' +
         '.acrm-webchat-send{background:var(--acrm-color,#4F46E5);color:#fff;border:none;border-radius:20px;padding:8px 16px;font-size:13px;cursor:pointer;}' +
-        '.acrm-webchat-send:disabled{opacity:.5;cursor:default;}';
+        '.acrm-webchat-send:disabled{opacity:.5;cursor:default;}' +
+        '.acrm-webchat-attach{background:none;border:none;cursor:pointer;font-size:18px;padding:0 4px;color:#666;}' +
+        '.acrm-webchat-msg img{display:block;max-width:100%;border-radius:8px;margin-top:4px;}' +
+        '.acrm-webchat-msg a{color:inherit;text-decoration:underline;}' +
+        '.acrm-webchat-form{flex:1;overflow-y:auto;padding:16px;display:none;flex-direction:column;gap:10px;font-size:13px;color:#333;}' +
+        '.acrm-webchat-form.acrm-webchat-active{display:flex;}' +
+        '.acrm-webchat-form input,.acrm-webchat-form textarea{border:1px solid #ddd;border-radius:8px;padding:8px 10px;font-size:13px;font-family:inherit;}' +
+        '.acrm-webchat-form textarea{min-height:80px;resize:vertical;}' +
+        '.acrm-webchat-form-error{color:#c62828;font-size:12px;min-height:14px;}';
 
     var styleEl = document.createElement('style');
     styleEl.textContent = STYLE;
@@ -53,7 +61,18 @@
         '<div class="acrm-webchat-header"></div>' +
         '<div class="acrm-webchat-welcome" style="display:none"></div>' +
         '<div class="acrm-webchat-messages"></div>' +
+        '<form class="acrm-webchat-form acrm-webchat-prechat"></form>' +
+        '<form class="acrm-webchat-form acrm-webchat-offline">' +
+        '<div class="acrm-webchat-offline-text"></div>' +
+        '<input name="name" type="text" placeholder="Ho ten" />' +
+        '<input name="email" type="email" placeholder="Email *" required />' +
+        '<textarea name="message" placeholder="Noi dung can ho tro"></textarea>' +
+        '<div class="acrm-webchat-form-error"></div>' +
+        '<button class="acrm-webchat-send" type="submit">Gui yeu cau</button>' +
+        '</form>' +
         '<div class="acrm-webchat-inputbar">' +
+        '<button class="acrm-webchat-attach" type="button" aria-label="Dinh kem" style="display:none">&#128206;</button>' +
+        '<input class="acrm-webchat-file" type="file" style="display:none" />' +
         '<input class="acrm-webchat-input" type="text" placeholder="Nhap tin nhan..." />' +
         '<button class="acrm-webchat-send">Gui</button>' +
         '</div>';
@@ -64,13 +83,88 @@
     var headerEl = panel.querySelector('.acrm-webchat-header');
     var welcomeEl = panel.querySelector('.acrm-webchat-welcome');
     var messagesEl = panel.querySelector('.acrm-webchat-messages');
+    var inputBarEl = panel.querySelector('.acrm-webchat-inputbar');
     var inputEl = panel.querySelector('.acrm-webchat-input');
-    var sendEl = panel.querySelector('.acrm-webchat-send');
+    var sendEl = inputBarEl.querySelector('.acrm-webchat-send');
+    var attachEl = panel.querySelector('.acrm-webchat-attach');
+    var fileEl = panel.querySelector('.acrm-webchat-file');
+    var prechatEl = panel.querySelector('.acrm-webchat-prechat');
+    var offlineEl = panel.querySelector('.acrm-webchat-offline');
 
     var isOpen = false;
     var historyLoaded = false;
     var eventSource = null;
     var renderedIds = Object.create(null);
+    var widgetConfig = null;
+    var prechatKey = 'acrm_webchat_prechat_' + widgetId;
+    var PRECHAT_LABELS = { name: 'Ho ten', phone: 'So dien thoai', email: 'Email' };
+
+    function postJson(path, body) {
+        return fetch(apiBase + '/api/public/webchat/' + widgetId + path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        }).then(function (r) { return r.json(); });
+    }
+
+    // Exactly one of: chat, pre-chat form, offline form.
+    function showView(view) {
+        messagesEl.style.display = view === 'chat' ? 'flex' : 'none';
+        inputBarEl.style.display = view === 'chat' ? 'flex' : 'none';
+        prechatEl.classList.toggle('acrm-webchat-active', view === 'prechat');
+        offlineEl.classList.toggle('acrm-webchat-active', view === 'offline');
+    }
+
+    function currentView() {
+        if (!widgetConfig) return 'chat';
+        if (widgetConfig.online === false) return 'offline';
+        if (widgetConfig.preChatForm && widgetConfig.preChatForm.enabled && !localStorage.getItem(prechatKey)) return 'prechat';
+        return 'chat';
+    }
+
+    function renderPrechatForm(fields) {
+        prechatEl.innerHTML = '';
+        var intro = document.createElement('div');
+        intro.textContent = 'Vui long de lai thong tin truoc khi bat dau chat.';
+        prechatEl.appendChild(intro);
+        fields.forEach(function (field) {
+            var input = document.createElement('input');
+            input.name = field.name;
+            input.type = field.name === 'email' ? 'email' : (field.name === 'phone' ? 'tel' : 'text');
+            input.placeholder = PRECHAT_LABELS[field.name] + (field.required ? ' *' : '');
+            input.required = !!field.required;
+            prechatEl.appendChild(input);
+        });
+        var errorEl = document.createElement('div');
+        errorEl.className = 'acrm-webchat-form-error';
+        prechatEl.appendChild(errorEl);
+        var submit = document.createElement('button');
+        submit.className = 'acrm-webchat-send';
+        submit.type = 'submit';
+        submit.textContent = 'Bat dau chat';
+        prechatEl.appendChild(submit);
+    }
+
+    function submitForm(formEl, path, onDone) {
+        var errorEl = formEl.querySelector('.acrm-webchat-form-error');
+        var submit = formEl.querySelector('button[type="submit"]');
+        var body = { sessionToken: sessionToken };
+        Array.prototype.forEach.call(formEl.querySelectorAll('input,textarea'), function (input) {
+            body[input.name] = input.value.trim();
+        });
+        submit.disabled = true;
+        errorEl.textContent = '';
+        postJson(path, body)
+            .then(function (res) {
+                if (!res.success) {
+                    errorEl.textContent = res.message || 'Khong gui duoc, vui long thu lai.';
+                    return;
+                }
+                onDone();
+            })
+            .catch(function () { errorEl.textContent = 'Khong gui duoc, vui long thu lai.'; })
+            .finally(function () { submit.disabled = false; });
+    }
 
     function appendMessage(message) {
         var id = message._id || message.providerMessageId;
@@ -80,6 +174,22 @@
         var el = document.createElement('div');
         el.className = 'acrm-webchat-msg ' + (message.direction === 'outbound' ? 'acrm-webchat-out' : 'acrm-webchat-in');
         el.textContent = message.content || '';
+        (message.attachments || []).forEach(function (attachment) {
+            if (!attachment || !attachment.url) return;
+            var link = document.createElement('a');
+            link.href = attachment.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            if (attachment.type === 'image') {
+                var img = document.createElement('img');
+                img.src = attachment.url;
+                img.alt = attachment.filename || '';
+                link.appendChild(img);
+            } else {
+                link.textContent = attachment.filename || 'Tep dinh kem';
+            }
+            el.appendChild(link);
+        });
         messagesEl.appendChild(el);
         messagesEl.scrollTop = messagesEl.scrollHeight;
     }
@@ -98,6 +208,14 @@
                     welcomeEl.textContent = data.welcomeMessage;
                     welcomeEl.style.display = 'block';
                 }
+                widgetConfig = data;
+                if (data.preChatForm && data.preChatForm.enabled) renderPrechatForm(data.preChatForm.fields || []);
+                offlineEl.querySelector('.acrm-webchat-offline-text').textContent = data.offlineMessage || '';
+                if (data.attachments && data.attachments.enabled) {
+                    attachEl.style.display = 'inline-block';
+                    fileEl.accept = (data.attachments.contentTypes || []).join(',');
+                }
+                showView(currentView());
             })
             .catch(function () {});
     }
@@ -122,6 +240,12 @@
                 appendMessage(JSON.parse(e.data));
             } catch (err) {}
         });
+        // Sent on reconnect when the missed events can't all be replayed;
+        // refetch the history (already rendered messages are skipped).
+        eventSource.addEventListener('stream.reset', function () {
+            historyLoaded = false;
+            loadHistory();
+        });
     }
 
     function sendMessage() {
@@ -139,6 +263,52 @@
             .finally(function () { sendEl.disabled = false; });
     }
 
+    // Presigned upload straight to storage, then the key is posted as a message.
+    function sendAttachment(file) {
+        var limits = widgetConfig && widgetConfig.attachments;
+        if (!file || !limits || !limits.enabled) return;
+        if (file.size > limits.maxBytes) {
+            appendMessage({ direction: 'outbound', content: 'File qua lon.', providerMessageId: 'local-err-' + Date.now() });
+            return;
+        }
+        attachEl.disabled = true;
+        postJson('/attachments', { sessionToken: sessionToken, filename: file.name, contentType: file.type, size: file.size })
+            .then(function (res) {
+                if (!res.success) throw new Error(res.message);
+                return fetch(res.data.uploadUrl, { method: 'PUT', headers: { 'Content-Type': res.data.contentType }, body: file })
+                    .then(function (upload) {
+                        if (!upload.ok) throw new Error('upload failed');
+                        appendMessage({ direction: 'inbound', content: file.name, providerMessageId: 'local-' + Date.now() });
+                        return postJson('/messages', { sessionToken: sessionToken, text: '', attachmentKey: res.data.key });
+                    });
+            })
+            .catch(function (err) {
+                appendMessage({ direction: 'outbound', content: (err && err.message) || 'Khong gui duoc file.', providerMessageId: 'local-err-' + Date.now() });
+            })
+            .finally(function () {
+                attachEl.disabled = false;
+                fileEl.value = '';
+            });
+    }
+
+    attachEl.addEventListener('click', function () { fileEl.click(); });
+    fileEl.addEventListener('change', function () { sendAttachment(fileEl.files && fileEl.files[0]); });
+
+    prechatEl.addEventListener('submit', function (e) {
+        e.preventDefault();
+        submitForm(prechatEl, '/prechat', function () {
+            localStorage.setItem(prechatKey, '1');
+            showView(currentView());
+        });
+    });
+
+    offlineEl.addEventListener('submit', function (e) {
+        e.preventDefault();
+        submitForm(offlineEl, '/offline', function () {
+            offlineEl.innerHTML = '<div>Da nhan yeu cau. Chung toi se lien he lai qua email som nhat.</div>';
+        });
+    });
+
     bubble.addEventListener('click', function () {
         isOpen = !isOpen;
         panel.classList.toggle('acrm-webchat-open', isOpen);
@@ -44,7 +44,10 @@ test('registration conflict exposes only safe active-device metadata', () => {
         "// POST /api/crm/devices/force-logout-old"
     );
 
-    assert.match(registerRoute, /CrmDevice\.findOne\(\{\s*subscriptionId:\s*sub\._id,\s*status:\s*['"]active['"]\s*}\)/);
+    // The device limit comes from the plan entitlement; the conflict reply
+    // still names the active device.
+    assert.match(registerRoute, /requireEntitlement\(['"]devices['"],\s*\{[\s\S]*?statusCode:\s*409/);
+    assert.match(registerRoute, /CrmDevice\.findOne\(\{\s*subscriptionId:\s*req\.crmSubscription\._id,\s*status:\s*['"]active['"]\s*}\)/);
     assert.match(registerRoute, /res\.status\(409\)\.json\(\{/);
     assert.match(registerRoute, /code:\s*['"]DEVICE_ALREADY_ACTIVE['"]/);
     assert.match(registerRoute, /device:\s*buildActiveDeviceConflict\(activeDevice\)/);
@@ -97,7 +100,7 @@ test('force replacement validates input, rotates credentials, and returns the on
 
     assert.match(
         route,
-        /router\.post\(\s*['"]\/devices\/force-logout-old['"][\s\S]*?crmDeviceLimiter[\s\S]*?authMiddleware[\s\S]*?requireActiveSubscription/
+        /router\.post\(\s*['"]\/devices\/force-logout-old['"][\s\S]*?crmDeviceLimiter[\s\S]*?crmAuthMiddleware[\s\S]*?requireActiveSubscription/
     );
     assert.match(route, /if\s*\(!machineFingerprint\s*\|\|\s*!displayName\)/);
     assert.match(route, /const\s*{\s*agentSecret,\s*agentSecretHash\s*}\s*=\s*createAgentSecret\(\)/);
@@ -5,6 +5,7 @@ import CrmDevice from '../models/CrmDevice.js';
 import { decrypt } from '../utils/encryption.js';
 import { upsertConversationFromInbound, createAgentCommand } from './crm.js';
 import crmEventHub from '../utils/crmEventHub.js';
+import { applyChannelDeliveryStatus } from '../utils/crmChannelOutbound.js';
 
 const router = express.Router();
 
@@ -110,9 +111,17 @@ router.post('/facebook/webhook', async (req, res) => {
         }
 
         const device = await CrmDevice.findOne({ userId: integration.userId, status: 'active' });
-        if (device) {
-            for (const entry of payload.entry || []) {
-                for (const messagingEvent of entry.messaging || []) {
+        for (const entry of payload.entry || []) {
+            for (const messagingEvent of entry.messaging || []) {
+                // Delivery receipts for replies the server sent itself need no device.
+                if (messagingEvent.delivery) {
+                    await applyChannelDeliveryStatus({
+                        userId: integration.userId,
+                        accountId: integration.externalAccountId,
+                        providerMessageIds: messagingEvent.delivery.mids,
+                        status: 'delivered'
+                    });
+                } else if (device) {
                     await handleFacebookMessagingEvent(integration, device, messagingEvent);
                 }
             }
@@ -247,9 +256,27 @@ function whatsappMessageTypeToMessageType(type) {
     return 'text';
 }
 
+// Cloud API status callbacks for replies sent from the server; "read" is
+// stored as delivered since CrmMessage has no read state.
+const WHATSAPP_DELIVERY_STATUSES = { sent: 'sent', delivered: 'delivered', read: 'delivered', failed: 'failed' };
+
+async function applyWhatsappStatuses(integration, value) {
+    for (const item of value.statuses || []) {
+        const status = WHATSAPP_DELIVERY_STATUSES[item.status];
+        if (!status) continue;
+        await applyChannelDeliveryStatus({
+            userId: integration.userId,
+            accountId: integration.externalAccountId,
+            providerMessageIds: [item.id],
+            status,
+            errorMessage: item.errors?.[0]?.message || item.errors?.[0]?.title || ''
+        });
+    }
+}
+
 async function handleWhatsappMessagingEvent(integration, device, value) {
     const message = (value.messages || [])[0];
-    if (!message) return; // status/delivery-receipt-only callback, nothing to relay
+    if (!message) return; // status-only callback, handled by applyWhatsappStatuses
 
     const senderId = message.from;
     if (!senderId) return;
@@ -328,11 +355,10 @@ router.post('/whatsapp/webhook', async (req, res) => {
         }
 
         const device = await CrmDevice.findOne({ userId: integration.userId, status: 'active' });
-        if (device) {
-            for (const entry of payload.entry || []) {
-                for (const change of entry.changes || []) {
-                    await handleWhatsappMessagingEvent(integration, device, change.value || {});
-                }
+        for (const entry of payload.entry || []) {
+            for (const change of entry.changes || []) {
+                await applyWhatsappStatuses(integration, change.value || {});
+                if (device) await handleWhatsappMessagingEvent(integration, device, change.value || {});
             }
         }
 
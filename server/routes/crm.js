@@ -1,5 +1,6 @@
 import express from 'express';
 import crypto from 'crypto';
+import mongoose from 'mongoose';
 import { authMiddleware, adminOnly, verifyToken } from '../middleware/auth.js';
 import User from '../models/User.js';
 import Transaction from '../models/Transaction.js';
@@ -25,13 +26,28 @@ import CrmGroupCheckpoint from '../models/CrmGroupCheckpoint.js';
 import CrmGroupSummary from '../models/CrmGroupSummary.js';
 import CrmGroupInsight from '../models/CrmGroupInsight.js';
 import CrmSegment from '../models/CrmSegment.js';
+import CrmScoringModel from '../models/CrmScoringModel.js';
+import CrmLeadScoreHistory from '../models/CrmLeadScoreHistory.js';
+import CrmSequence from '../models/CrmSequence.js';
+import CrmSequenceEnrollment from '../models/CrmSequenceEnrollment.js';
+import CrmImportJob from '../models/CrmImportJob.js';
+import CrmSlaPolicy from '../models/CrmSlaPolicy.js';
+import CrmCsatSurvey from '../models/CrmCsatSurvey.js';
+import CrmChatbotReplayJob from '../models/CrmChatbotReplayJob.js';
+import CrmKnowledgeChunk from '../models/CrmKnowledgeChunk.js';
+import CrmKnowledgeDocument from '../models/CrmKnowledgeDocument.js';
+import CrmWorkspace from '../models/CrmWorkspace.js';
+import CrmWorkspaceMember from '../models/CrmWorkspaceMember.js';
 import CrmTask from '../models/CrmTask.js';
 import SystemSetting from '../models/SystemSetting.js';
 import CrmChannelIntegration from '../models/CrmChannelIntegration.js';
 
+import { hasCrmRole, resolveCrmWorkspace } from '../middleware/crmWorkspace.js';
 import { crmPairingLimiter, crmDeviceLimiter, crmAiLimiter, crmMessageSendLimiter } from '../middleware/crmRateLimit.js';
+import { requireEntitlement } from '../middleware/crmEntitlements.js';
 
-import { CRM_PLANS, CRM_AI_PACKS, getCrmProduct } from '../utils/crmCatalog.js';
+import { CRM_PLANS, CRM_AI_PACKS, getCrmProduct, getSellableCrmPlans, resolveCrmEntitlements } from '../utils/crmCatalog.js';
+import { getGraceEndsAt, isAutomationWrite, resolveSubscriptionAccess } from '../utils/crmSubscriptionLifecycle.js';
 import { applySubscriptionEntitlement } from '../utils/crmBilling.js';
 import {
     consumeQuota,
@@ -40,9 +56,53 @@ import {
     refundQuota,
     refundQuotaUnits
 } from '../utils/crmQuota.js';
+import {
+    AI_BUDGET_FEATURES,
+    buildAiBudgetReport,
+    chargeAiBudgets,
+    findExceededAiBudget,
+    getAiBudgetFeature,
+    normalizeAiBudgets,
+    sendAiBudgetAlerts,
+    takeAiBudgetAlerts
+} from '../utils/crmAiBudgets.js';
 import { fulfillCrmBillingOrder } from '../utils/crmBilling.js';
 import { callConfiguredAiProvider } from '../utils/aiProvider.js';
-import { calculateCrmLeadScore } from '../utils/crmLeadScoring.js';
+import {
+    DEFAULT_SCORING_MODEL,
+    collectScoringFacts,
+    evaluateScoringModel,
+    normalizeScoringRules,
+    recomputeCustomerScore
+} from '../utils/crmLeadScoring.js';
+import { SEGMENT_FIELDS, SEGMENT_FILTER_VERSION, buildSegmentQuery, validateSegmentExpression } from '../utils/crmSegments.js';
+import { renderTemplate } from '../utils/crmTemplateRender.js';
+import { findDuplicateCandidates, mergeCustomers, phoneLookupVariants } from '../utils/crmCustomerMerge.js';
+import {
+    MAX_IMPORT_FILE_BYTES,
+    normalizeColumnMapping,
+    suggestColumnMapping
+} from '../utils/crmCustomerImport.js';
+import { detectSpreadsheetFormat, parseSpreadsheet } from '../utils/crmSpreadsheet.js';
+import { deleteFile, downloadFile, generatePresignedUploadUrl, headFile } from '../utils/b2Storage.js';
+import { sendCrmWorkspaceInvite } from '../utils/email.js';
+import crmPresence, { PRESENCE_STATES } from '../utils/crmPresence.js';
+import { createConversationNote } from '../utils/crmConversationNotes.js';
+import { CONVERSATION_STATUSES, reopenOnInbound, transitionConversation } from '../utils/crmConversationStatus.js';
+import {
+    buildCsatReportPipeline,
+    formatCsatReport,
+    getCsatSettings,
+    recordCsatReply,
+    saveCsatSettings,
+    sendCsatSurvey
+} from '../utils/crmCsat.js';
+import {
+    buildSlaReportPipeline,
+    formatSlaReport,
+    normalizeSlaPolicyInput,
+    recordSlaEvent
+} from '../utils/crmSla.js';
 import { buildGroupSummaryPrompt, buildGroupSummaryPromptV2, parseGroupSummaryJson, dedupKeyForItem, extractSimpleInsights, redactPhoneLikeStrings } from '../utils/crmGroupSummary.js';
 import {
     buildConversationMessageQuery,
@@ -58,16 +118,68 @@ import {
 } from '../utils/crmDeviceSessions.js';
 import crmEventHub from '../utils/crmEventHub.js';
 import webchatEventHub from '../utils/webchatEventHub.js';
+import { parseLastEventId } from '../utils/crmEventLog.js';
 import { encrypt, decrypt } from '../utils/encryption.js';
 import { setSseHeaders, writeEvent } from '../agent-runner/sse.js';
 import {
     buildChatbotConfigSnapshot,
+    compileChatbotPattern,
     hasHandoffKeyword,
-    matchChatbotRule,
+    isBacktrackSafePattern,
+    matchChatbotRuleDetailed,
     normalizeChatbotDebounceSeconds,
     normalizeChatbotHistoryLimit
 } from '../utils/crmChatbot.js';
+import {
+    normalizeChatbotSlots,
+    normalizeSlotSessionMinutes,
+    planSlotTurn,
+    renderSlotResponse,
+    runChatbotSlotTurn
+} from '../utils/crmChatbotSlots.js';
+import knowledgeSearch, {
+    MAX_KNOWLEDGE_DOCUMENTS,
+    MAX_KNOWLEDGE_FILE_BYTES,
+    buildKnowledgePromptBlock,
+    detectKnowledgeFormat,
+    indexKnowledgeDocument,
+    resolveKnowledgeCitations
+} from '../utils/crmKnowledgeBase.js';
+import { MAX_REPLAY_WINDOW_DAYS } from '../utils/crmChatbotReplay.js';
+import { canSendFromServer, deliverChannelMessage, findServerOutboundIntegration } from '../utils/crmChannelOutbound.js';
+import { normalizeWebchatSettings } from '../utils/crmWebchat.js';
 import { buildTerminalCommandUpdate } from '../retention/terminalUpdates.js';
+import {
+    DEFAULT_CAMPAIGN_TIMEZONE,
+    buildCampaignMessagePreview,
+    isValidTimeZone,
+    aggregateVariantPerformance,
+    hasPendingAbRemainder,
+    launchCampaign,
+    markCampaignReply,
+    normalizeCampaignVariants,
+    pauseCampaign,
+    resolveScheduledAt,
+    resumeCampaign,
+    summarizeCampaignLogs,
+    usesLogMetrics
+} from '../utils/crmCampaigns.js';
+import {
+    applySequenceStepResults,
+    enrollCustomers,
+    enrollOnTrigger,
+    exitSequencesOnReply,
+    normalizeSequenceSteps,
+    normalizeSequenceTrigger
+} from '../utils/crmSequences.js';
+import {
+    WORKSPACE_MEMBER_ROLES,
+    createWorkspaceInvite,
+    ensureWorkspace,
+    hashInviteToken,
+    isAssignableMember,
+    pickRoundRobinAssignee
+} from '../utils/crmWorkspaces.js';
 
 const router = express.Router();
 
@@ -79,17 +191,86 @@ const mapAgentExecutionStatus = (status) => {
     return 'queued';
 };
 
-const buildCampaignMessagePreview = (templateText, recipientName) => {
-    const text = (templateText || 'Tin nhan chien dich')
-        .replace(/\{\{name\}\}/g, recipientName || 'Anh/Chi');
-    return text.length > 240 ? `${text.slice(0, 237)}...` : text;
-};
-
 const previewText = (value = '', max = 240) => {
     const clean = String(value || '').replace(/\s+/g, ' ').trim();
     return clean.length > max ? `${clean.slice(0, max - 3)}...` : clean;
 };
 
+// Sequence triggers are a side effect of customer writes; a failure there
+// must not fail the customer request itself.
+const runSequenceTriggers = async (userId, customer, events) => {
+    for (const event of events) {
+        try {
+            await enrollOnTrigger({ userId, customer, event });
+        } catch (error) {
+            console.error(`Sequence trigger ${event.type} error:`, error);
+        }
+    }
+};
+
+// Lead scores are recomputed incrementally on the events that feed them; like
+// sequence triggers, a scoring failure must not fail the request itself.
+const refreshLeadScore = async (userId, customer, reason) => {
+    try {
+        await recomputeCustomerScore({ userId, customer, reason });
+    } catch (error) {
+        console.error(`Lead score refresh (${reason}) error:`, error);
+    }
+};
+
+// SLA clocks advance on message and status events; best effort as well.
+const recordConversationSla = async (userId, conversation, type, at = new Date()) => {
+    try {
+        await recordSlaEvent({ userId, conversation, type, at });
+    } catch (error) {
+        console.error(`SLA ${type} event error:`, error);
+    }
+};
+
+// Round-robin assignment of new inbound 1:1 conversations; best effort like
+// the hooks above, an unassigned conversation can always be picked up manually.
+const autoAssignConversation = async (userId, conversation) => {
+    try {
+        const assigneeId = await pickRoundRobinAssignee({ ownerUserId: userId });
+        if (!assigneeId) return conversation;
+        const assigned = await CrmConversation.findOneAndUpdate(
+            { _id: conversation._id, userId, assignedTo: null },
+            { $set: { assignedTo: assigneeId, assignedAt: new Date() } },
+            { new: true }
+        );
+        return assigned || conversation;
+    } catch (error) {
+        console.error('Conversation auto-assign error:', error);
+        return conversation;
+    }
+};
+
+// CSAT prompt after a staff resolve; the resolve itself already succeeded.
+const sendCsatAfterResolve = async (req, conversation) => {
+    try {
+        await sendCsatSurvey({
+            userId: req.user._id,
+            conversation,
+            actorUserId: req.crmActor._id,
+            subscriptionId: req.crmSubscription._id,
+            createCommand: createAgentCommand
+        });
+    } catch (error) {
+        console.error('CSAT survey send error:', error);
+    }
+};
+
+// True when the inbound message answered an open CSAT survey.
+const captureCsatReply = async (userId, conversation, message, at) => {
+    try {
+        const { survey } = await recordCsatReply({ userId, conversation, message, now: at });
+        return Boolean(survey);
+    } catch (error) {
+        console.error('CSAT reply capture error:', error);
+        return false;
+    }
+};
+
 const sanitizeUpdate = (body, allowedFields) => {
     const data = {};
     for (const field of allowedFields) {
@@ -138,6 +319,25 @@ function normalizeChatbotAiModel(value) {
     return CHATBOT_ALLOWED_AI_MODELS.includes(value) ? value : CHATBOT_DEFAULT_AI_MODEL;
 }
 
+const CHATBOT_MATCH_MODES = ['contains', 'exact', 'startsWith', 'regex'];
+
+// Regex rules keep their patterns in `keywords`; reject ones that can't compile
+// instead of saving a rule that silently never matches.
+function validateChatbotRuleMatch(matchMode, keywords) {
+    if (!CHATBOT_MATCH_MODES.includes(matchMode)) return 'Kieu so khop khong hop le.';
+    if (!Array.isArray(keywords)) return 'keywords phai la mang.';
+    if (matchMode === 'regex') {
+        const invalid = keywords.find((keyword) => !compileChatbotPattern(keyword));
+        if (invalid !== undefined) {
+            const reason = isBacktrackSafePattern(String(invalid).trim())
+                ? 'khong hop le'
+                : 'co lap long nhau hoac tham chieu nguoc, de gay treo he thong';
+            return `Mau regex "${String(invalid).slice(0, 100)}" ${reason}.`;
+        }
+    }
+    return null;
+}
+
 function getChatbotModelQuotaUnits(model) {
     return model === CHATBOT_PRO_AI_MODEL ? 2 : 1;
 }
@@ -200,6 +400,29 @@ function getQuotaPayload(subscription, quotaBucket = 'none', quotaUnits = 0) {
     };
 }
 
+function assertWithinAiBudget(sub, budgetContext, quotaUnits) {
+    const budget = findExceededAiBudget(sub, budgetContext, quotaUnits);
+    if (!budget) return;
+    const target = budget.scope === 'account' ? `tai khoan ${budget.key}` : `tinh nang ${budget.key}`;
+    const error = new Error(`Da het ngan sach AI cua ${target} (${budget.used}/${budget.limit}) trong ky nay.`);
+    error.statusCode = 403;
+    error.aiBudget = { scope: budget.scope, key: budget.key, limit: budget.limit, used: budget.used };
+    throw error;
+}
+
+// Alerts are marked on the subscription before they go out so concurrent
+// requests don't repeat them; delivery failures are only logged.
+async function deliverAiBudgetAlerts(req, sub, budgetContext) {
+    try {
+        const alerts = takeAiBudgetAlerts(sub, budgetContext);
+        if (alerts.length === 0) return;
+        await sub.save();
+        await sendAiBudgetAlerts({ userId: req.user._id, subscription: sub, alerts });
+    } catch (error) {
+        console.error('AI budget alert error:', error.message);
+    }
+}
+
 async function runCrmAiWithQuota(req, {
     promptContent,
     sessionId,
@@ -209,19 +432,23 @@ async function runCrmAiWithQuota(req, {
     model,
     temperature,
     forceGcliDirect = false,
-    quotaUnits = 1
+    quotaUnits = 1,
+    accountId = null
 }) {
     const startTime = Date.now();
     const sub = req.crmSubscription;
     let quotaConsumption = { bucket: 'none', units: 0, included: 0, extra: 0 };
+    const budgetContext = { feature: getAiBudgetFeature(requestType), accountId: accountId ? String(accountId) : null };
 
     if (!hasQuota(sub, quotaUnits)) {
         const error = new Error('Het han muc AI quota. Vui long mua them goi AI top-up.');
         error.statusCode = 403;
         throw error;
     }
+    assertWithinAiBudget(sub, budgetContext, quotaUnits);
 
     quotaConsumption = consumeQuotaUnits(sub, quotaUnits);
+    chargeAiBudgets(sub, budgetContext, quotaConsumption.units);
     await sub.save();
 
     try {
@@ -238,6 +465,8 @@ async function runCrmAiWithQuota(req, {
             requestType,
             provider: 'gcli',
             model: aiResponse.model,
+            feature: budgetContext.feature,
+            accountId: budgetContext.accountId,
             status: 'succeeded',
             quotaBucket: quotaConsumption.bucket,
             quotaUnits: quotaConsumption.units,
@@ -248,6 +477,7 @@ async function runCrmAiWithQuota(req, {
             },
             latencyMs: Date.now() - startTime
         });
+        await deliverAiBudgetAlerts(req, sub, budgetContext);
 
         return {
             aiResponse,
@@ -256,11 +486,14 @@ async function runCrmAiWithQuota(req, {
         };
     } catch (aiError) {
         refundQuotaUnits(sub, quotaConsumption);
+        chargeAiBudgets(sub, budgetContext, -quotaConsumption.units);
         await sub.save();
         await CrmAiUsage.create({
             userId: req.user._id,
             subscriptionId: sub._id,
             requestType,
+            feature: budgetContext.feature,
+            accountId: budgetContext.accountId,
             provider: 'gcli',
             status: 'failed',
             quotaBucket: quotaConsumption.bucket,
@@ -388,7 +621,7 @@ export async function upsertConversationFromInbound({ userId, deviceId, event, e
     // own sends, same rule already used locally (local-chat-store.ts).
     const direction = event.senderId && event.senderId === accountId ? 'outbound' : 'inbound';
 
-    const conversation = await CrmConversation.findOneAndUpdate(
+    let conversation = await CrmConversation.findOneAndUpdate(
         { userId, accountId, threadId, threadType },
         {
             $set: {
@@ -398,7 +631,9 @@ export async function upsertConversationFromInbound({ userId, deviceId, event, e
                 threadId,
                 threadType,
                 channel,
-                customerId: customer?._id || null,
+                // Keep a link made outside this lookup (webchat pre-chat form,
+                // manual link) when the Zalo ids don't identify the customer.
+                customerId: customer?._id || existingConversation?.customerId || null,
                 displayName,
                 avatarUrl,
                 lastMessagePreview: previewText(content),
@@ -411,6 +646,9 @@ export async function upsertConversationFromInbound({ userId, deviceId, event, e
         },
         { upsert: true, new: true, setDefaultsOnInsert: true }
     );
+    if (direction === 'inbound' && threadType === 'user' && !conversation.assignedTo) {
+        conversation = await autoAssignConversation(userId, conversation);
+    }
 
     let message = null;
 
@@ -446,10 +684,41 @@ export async function upsertConversationFromInbound({ userId, deviceId, event, e
         }
     }
 
+    // A rating reply to the post-resolution survey is not a new request: it
+    // neither reopens the thread nor starts an SLA cycle.
+    const isCsatAnswer = direction === 'inbound' && threadType === 'user'
+        && await captureCsatReply(userId, conversation, message, receivedAt);
+
+    if (direction === 'inbound' && !isCsatAnswer) {
+        try {
+            ({ conversation } = await reopenOnInbound({ userId, conversation, now: receivedAt }));
+        } catch (error) {
+            console.error('Conversation reopen on inbound error:', error);
+        }
+    }
+    if (threadType === 'user' && !isCsatAnswer) {
+        // Replies the agent reports (operator or chatbot) count as responses.
+        await recordConversationSla(userId, conversation, direction, receivedAt);
+    }
+
     if (customer) {
         customer.lastMessageAt = receivedAt;
         customer.lastInteractionAt = receivedAt;
         await customer.save();
+        if (direction === 'inbound') {
+            // Reply attribution for campaign/A-B variant reply rates.
+            try {
+                await markCampaignReply({ userId, customer, receivedAt });
+            } catch (error) {
+                console.error('Campaign reply attribution error:', error);
+            }
+            try {
+                await exitSequencesOnReply({ userId, customer, receivedAt });
+            } catch (error) {
+                console.error('Sequence exit on reply error:', error);
+            }
+            await refreshLeadScore(userId, customer, 'inbound_message');
+        }
     }
 
     if (managedGroup?.isManaged) {
@@ -463,28 +732,8 @@ export async function upsertConversationFromInbound({ userId, deviceId, event, e
     return { conversation, message, ignored: false };
 }
 
-function buildSegmentQuery(userId, filters = {}) {
-    const query = { userId };
-    const tags = Array.isArray(filters.tags) ? filters.tags.filter(Boolean) : [];
-    if (tags.length > 0) query.tags = { $in: tags };
-    if (filters.lifecycleStage) query.lifecycleStage = filters.lifecycleStage;
-    if (filters.consentStatus) query.consentStatus = filters.consentStatus;
-    if (filters.source) query.source = filters.source;
-    if (filters.lastInteractionFrom || filters.lastInteractionTo) {
-        query.lastInteractionAt = {};
-        if (filters.lastInteractionFrom) query.lastInteractionAt.$gte = new Date(filters.lastInteractionFrom);
-        if (filters.lastInteractionTo) query.lastInteractionAt.$lte = new Date(filters.lastInteractionTo);
-    }
-    if (filters.search) {
-        query.$or = [
-            { name: { $regex: filters.search, $options: 'i' } },
-            { phone: { $regex: filters.search, $options: 'i' } },
-            { email: { $regex: filters.search, $options: 'i' } },
-            { company: { $regex: filters.search, $options: 'i' } }
-        ];
-    }
-    return query;
-}
+// Larger files go through the import job flow (/customers/import-jobs).
+const MAX_INLINE_IMPORT_ROWS = 1000;
 
 function parseCsvRows(csvText = '') {
     const lines = String(csvText).split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
@@ -530,28 +779,38 @@ const generateOrderContent = () => {
     return result.split('').sort(() => 0.5 - Math.random()).join('');
 };
 
-// Helper: Ensure user has active CRM subscription for mutating actions
+// Helper: Ensure user has active CRM subscription for mutating actions.
+// A past_due plan (see utils/crmSubscriptionLifecycle.js) keeps working
+// during its grace window except for automation writes. Status transitions
+// are left to runSubscriptionMaintenance so each one is audited.
 const requireActiveSubscription = async (req, res, next) => {
     try {
-        const sub = await CrmSubscription.findOne({ userId: req.user._id, status: 'active' });
+        const sub = await CrmSubscription.findOne({ userId: req.user._id, status: { $in: ['active', 'past_due'] } });
         if (!sub) {
             return res.status(403).json({
                 success: false,
                 message: 'Yêu cầu gói đăng ký Alpha CRM đang hoạt động.'
             });
         }
-        
-        // Check periodEnd proactively
-        if (new Date() > new Date(sub.periodEnd)) {
-            sub.status = 'expired';
-            await sub.save();
+
+        const access = resolveSubscriptionAccess(sub);
+        if (access === 'expired') {
             return res.status(403).json({
                 success: false,
                 message: 'Gói đăng ký Alpha CRM của bạn đã hết hạn.'
             });
         }
-        
+        if (access === 'past_due' && isAutomationWrite(req.method, req.path)) {
+            return res.status(403).json({
+                success: false,
+                code: 'SUBSCRIPTION_PAST_DUE',
+                message: 'Goi Alpha CRM da qua han thanh toan. Tu dong hoa (chien dich, chuoi tin, chatbot) chi xem duoc cho den khi gia han.',
+                graceEndsAt: getGraceEndsAt(sub)
+            });
+        }
+
         req.crmSubscription = sub;
+        req.crmSubscriptionPastDue = access === 'past_due';
         next();
     } catch (error) {
         next(error);
@@ -613,11 +872,17 @@ const agentAuthMiddleware = async (req, res, next) => {
     }
 };
 
+// Signed-in CRM user acting in a workspace: their own by default, or the one
+// named by X-CRM-Workspace as a staff member (see middleware/crmWorkspace.js).
+const crmAuthMiddleware = (req, res, next) => authMiddleware(req, res, (error) => (
+    error ? next(error) : resolveCrmWorkspace(req, res, next)
+));
+
 const userOrAgentAuth = async (req, res, next) => {
     if ((req.headers['x-agent-device-id'] && req.headers['x-agent-secret']) || (req.body.deviceId && req.body.agentSecret)) {
         return agentAuthMiddleware(req, res, next);
     }
-    return authMiddleware(req, res, next);
+    return crmAuthMiddleware(req, res, next);
 };
 
 // SSE auth: EventSource / fetch-stream on web cannot set a custom
@@ -631,13 +896,13 @@ const sseAuthMiddleware = async (req, res, next) => {
             const user = await User.findById(decoded.userId).select('-password');
             if (user && user.isActive) {
                 req.user = user;
-                return next();
+                return resolveCrmWorkspace(req, res, next);
             }
         } catch {
             // invalid/expired -> fall through to authMiddleware (will 401)
         }
     }
-    return authMiddleware(req, res, next);
+    return crmAuthMiddleware(req, res, next);
 };
 
 // ------------------------------------------------------------------
@@ -689,14 +954,14 @@ router.get('/catalog', (req, res) => {
     res.json({
         success: true,
         data: {
-            plans: CRM_PLANS,
+            plans: getSellableCrmPlans(),
             packs: CRM_AI_PACKS
         }
     });
 });
 
 // GET /api/crm/subscription/me
-router.get('/subscription/me', authMiddleware, async (req, res) => {
+router.get('/subscription/me', crmAuthMiddleware, async (req, res) => {
     try {
         // Find latest subscription (could be active, expired, cancelled, etc.)
         const sub = await CrmSubscription.findOne({ userId: req.user._id }).sort({ createdAt: -1 });
@@ -708,17 +973,15 @@ router.get('/subscription/me', authMiddleware, async (req, res) => {
             });
         }
 
-        // Proactively check expiry and auto-expire if periodEnd has passed
-        if (sub.status === 'active' && new Date() > new Date(sub.periodEnd)) {
-            sub.status = 'expired';
-            await sub.save();
-        }
-
+        const access = resolveSubscriptionAccess(sub);
         res.json({
             success: true,
             data: {
-                active: sub.status === 'active',
-                subscription: sub
+                active: access === 'active',
+                pastDue: access === 'past_due',
+                graceEndsAt: access === 'past_due' ? getGraceEndsAt(sub) : null,
+                subscription: sub,
+                entitlements: resolveCrmEntitlements(sub)
             }
         });
     } catch (error) {
@@ -728,7 +991,7 @@ router.get('/subscription/me', authMiddleware, async (req, res) => {
 });
 
 // GET /api/crm/quota
-router.get('/quota', authMiddleware, async (req, res) => {
+router.get('/quota', crmAuthMiddleware, async (req, res) => {
     try {
         const sub = await CrmSubscription.findOne({ userId: req.user._id, status: 'active' });
         if (!sub) {
@@ -744,10 +1007,7 @@ router.get('/quota', authMiddleware, async (req, res) => {
             });
         }
 
-        // Proactively verify periodEnd of the active subscription
-        if (new Date() > new Date(sub.periodEnd)) {
-            sub.status = 'expired';
-            await sub.save();
+        if (resolveSubscriptionAccess(sub) !== 'active') {
             return res.json({
                 success: true,
                 data: {
@@ -782,7 +1042,7 @@ router.get('/quota', authMiddleware, async (req, res) => {
 // ==========================================
 
 // GET /api/crm/dashboard/overview
-router.get('/dashboard/overview', authMiddleware, async (req, res) => {
+router.get('/dashboard/overview', crmAuthMiddleware, async (req, res) => {
     try {
         const sub = await CrmSubscription.findOne({ userId: req.user._id }).sort({ createdAt: -1 });
         
@@ -793,13 +1053,8 @@ router.get('/dashboard/overview', authMiddleware, async (req, res) => {
         let extraAiRemaining = 0;
 
         if (sub) {
-            if (sub.status === 'active' && new Date() > new Date(sub.periodEnd)) {
-                sub.status = 'expired';
-                await sub.save();
-            }
-
             subSummary = {
-                active: sub.status === 'active',
+                active: resolveSubscriptionAccess(sub) === 'active',
                 plan: sub.plan,
                 periodEnd: sub.periodEnd
             };
@@ -925,7 +1180,7 @@ router.get('/dashboard/overview', authMiddleware, async (req, res) => {
 });
 
 // GET /api/crm/dashboard/campaign-performance
-router.get('/dashboard/campaign-performance', authMiddleware, async (req, res) => {
+router.get('/dashboard/campaign-performance', crmAuthMiddleware, async (req, res) => {
     try {
         const range = req.query.range === '30d' ? 30 : 7;
         const startDate = new Date();
@@ -981,9 +1236,15 @@ router.get('/dashboard/campaign-performance', authMiddleware, async (req, res) =
             });
         }
 
+        // Per-variant breakdown for A/B campaigns active in the same range.
+        const variants = await aggregateVariantPerformance({
+            match: { userId: req.user._id, createdAt: { $gte: startDate } }
+        });
+
         res.json({
             success: true,
-            data: chartData
+            data: chartData,
+            variants
         });
     } catch (error) {
         console.error('Error fetching campaign performance:', error);
@@ -996,7 +1257,7 @@ router.get('/dashboard/campaign-performance', authMiddleware, async (req, res) =
 // ==========================================
 
 // POST /api/crm/billing/checkout
-router.post('/billing/checkout', authMiddleware, async (req, res) => {
+router.post('/billing/checkout', crmAuthMiddleware, async (req, res) => {
     try {
         const { productId } = req.body;
         const paymentMethod = req.body.paymentMethod === 'credits' ? 'credit' : req.body.paymentMethod;
@@ -1012,6 +1273,14 @@ router.post('/billing/checkout', authMiddleware, async (req, res) => {
 
         const orderType = CRM_PLANS[productId] ? 'subscription' : 'ai_pack';
 
+        // Legacy plans can only be renewed by the customers already on them.
+        if (product.legacy) {
+            const latestSub = await CrmSubscription.findOne({ userId: req.user._id }).sort({ createdAt: -1 });
+            if (latestSub?.plan !== productId) {
+                return res.status(400).json({ success: false, message: 'Goi nay khong con mo ban. Vui long chon goi khac.' });
+            }
+        }
+
         // Check if active subscription exists for AI packs at checkout time
         if (orderType === 'ai_pack') {
             const activeSub = await CrmSubscription.findOne({ userId: req.user._id, status: 'active' });
@@ -1021,9 +1290,7 @@ router.post('/billing/checkout', authMiddleware, async (req, res) => {
                     message: 'Bạn phải có gói CRM đang hoạt động để mua gói AI top-up.' 
                 });
             }
-            if (new Date() > new Date(activeSub.periodEnd)) {
-                activeSub.status = 'expired';
-                await activeSub.save();
+            if (resolveSubscriptionAccess(activeSub) !== 'active') {
                 return res.status(400).json({ 
                     success: false, 
                     message: 'Gói đăng ký CRM của bạn đã hết hạn. Hãy gia hạn trước khi mua gói AI top-up.' 
@@ -1182,7 +1449,7 @@ router.post('/billing/checkout', authMiddleware, async (req, res) => {
 });
 
 // GET /api/crm/billing/orders
-router.get('/billing/orders', authMiddleware, async (req, res) => {
+router.get('/billing/orders', crmAuthMiddleware, async (req, res) => {
     try {
         const orders = await CrmBillingOrder.find({ userId: req.user._id }).sort({ createdAt: -1 });
         res.json({ success: true, data: orders });
@@ -1197,7 +1464,7 @@ router.get('/billing/orders', authMiddleware, async (req, res) => {
 // ==========================================
 
 // GET /api/crm/devices
-router.get('/devices', authMiddleware, async (req, res) => {
+router.get('/devices', crmAuthMiddleware, async (req, res) => {
     try {
         const devices = await CrmDevice.find({ userId: req.user._id }).sort({ createdAt: -1 });
         res.json({ success: true, data: devices });
@@ -1208,7 +1475,18 @@ router.get('/devices', authMiddleware, async (req, res) => {
 });
 
 // POST /api/crm/devices/register
-router.post('/devices/register', crmDeviceLimiter, authMiddleware, requireActiveSubscription, async (req, res) => {
+// Each active device holds one of the plan's `devices` slots; the unique
+// (subscriptionId, slot) index makes concurrent registrations race-safe.
+const countActiveDevices = (req) => CrmDevice.countDocuments({ subscriptionId: req.crmSubscription._id, status: 'active' });
+router.post('/devices/register', crmDeviceLimiter, crmAuthMiddleware, requireActiveSubscription, requireEntitlement('devices', {
+    usage: async (req) => (await countActiveDevices(req)) + 1,
+    statusCode: 409,
+    code: 'DEVICE_ALREADY_ACTIVE',
+    details: async (req) => {
+        const activeDevice = await CrmDevice.findOne({ subscriptionId: req.crmSubscription._id, status: 'active' }).sort({ lastSeenAt: 1 });
+        return { data: { device: activeDevice ? buildActiveDeviceConflict(activeDevice) : null } };
+    }
+}), async (req, res) => {
     try {
         const { machineFingerprint, displayName, platform, appVersion, agentVersion } = req.body;
 
@@ -1217,22 +1495,14 @@ router.post('/devices/register', crmDeviceLimiter, authMiddleware, requireActive
         }
 
         const sub = req.crmSubscription;
-        const activeDevice = await CrmDevice.findOne({ subscriptionId: sub._id, status: 'active' });
+        const activeDevices = await CrmDevice.find({ subscriptionId: sub._id, status: 'active' }).select('slot');
+        const usedSlots = new Set(activeDevices.map((device) => device.slot ?? 0));
+        let slot = 0;
+        while (usedSlots.has(slot)) slot += 1;
 
         // Hash the fingerprint hash to avoid exposing raw fingerprints
         const machineFingerprintHash = crypto.createHash('sha256').update(machineFingerprint).digest('hex');
 
-        if (activeDevice) {
-            return res.status(409).json({
-                success: false,
-                code: 'DEVICE_ALREADY_ACTIVE',
-                message: `ÄĂ£ Ä‘áº¡t giá»›i háº¡n thiáº¿t bá»‹ hoáº¡t Ä‘á»™ng (${sub.deviceLimit}). Vui lĂ²ng vĂ´ hiá»‡u hĂ³a thiáº¿t bá»‹ cÅ© trÆ°á»›c.`,
-                data: {
-                    device: buildActiveDeviceConflict(activeDevice)
-                }
-            });
-        }
-
         const { agentSecret, agentSecretHash } = createAgentSecret();
 
         const newDevice = new CrmDevice({
@@ -1244,6 +1514,7 @@ router.post('/devices/register', crmDeviceLimiter, authMiddleware, requireActive
             appVersion: appVersion || '',
             agentVersion: agentVersion || '',
             status: 'active',
+            slot,
             agentSecretHash,
             lastIp: req.ip
         });
@@ -1288,7 +1559,7 @@ router.post('/devices/register', crmDeviceLimiter, authMiddleware, requireActive
 });
 
 // POST /api/crm/devices/force-logout-old
-router.post('/devices/force-logout-old', crmDeviceLimiter, authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/devices/force-logout-old', crmDeviceLimiter, crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const { machineFingerprint, displayName, platform, appVersion, agentVersion } = req.body;
 
@@ -1328,7 +1599,7 @@ router.post('/devices/force-logout-old', crmDeviceLimiter, authMiddleware, requi
 });
 
 // POST /api/crm/devices/:id/disable
-router.post('/devices/:id/disable', authMiddleware, async (req, res) => {
+router.post('/devices/:id/disable', crmAuthMiddleware, async (req, res) => {
     try {
         const device = await CrmDevice.findOne({ _id: req.params.id, userId: req.user._id });
         if (!device) {
@@ -1405,7 +1676,7 @@ router.post('/pairing/start', crmPairingLimiter, userOrAgentAuth, requireActiveS
 });
 
 // POST /api/crm/pairing/confirm
-router.post('/pairing/confirm', crmPairingLimiter, authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/pairing/confirm', crmPairingLimiter, crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const {
             pairingCode,
@@ -1496,7 +1767,7 @@ router.post('/pairing/confirm', crmPairingLimiter, authMiddleware, requireActive
 });
 
 // POST /api/crm/pairing/revoke
-router.post('/pairing/revoke', authMiddleware, async (req, res) => {
+router.post('/pairing/revoke', crmAuthMiddleware, async (req, res) => {
     try {
         const requestedMobileUserId = req.body.mobileUserId || req.user._id;
         const device = await CrmDevice.findOneAndUpdate(
@@ -1546,7 +1817,7 @@ router.post('/pairing/revoke', authMiddleware, async (req, res) => {
 });
 
 // GET /api/crm/pairing/:id
-router.get('/pairing/:id', authMiddleware, async (req, res) => {
+router.get('/pairing/:id', crmAuthMiddleware, async (req, res) => {
     try {
         const session = await CrmPairingSession.findOne({ _id: req.params.id, userId: req.user._id });
         if (!session) {
@@ -1571,6 +1842,29 @@ router.get('/pairing/:id', authMiddleware, async (req, res) => {
 //   - device.status        Desktop Agent online/offline or Zalo account status changed
 //                           (payload: { deviceId, agentStatus, zaloAccounts, queueDepth, lastHeartbeatAt })
 //   - pairing.completed    Mobile device successfully paired (payload: { deviceId, sessionId, confirmedAt })
+//   - import.progress      Customer import job advanced a batch or finished
+//                           (payload: { jobId, status, mode, cursor, totalRows, counts })
+//   - conversation.presence Staff viewing/typing on a conversation changed
+//                           (payload: { conversationId, viewers: [{ actorId, name, state, since }] })
+//   - note.new             Internal note added (payload: { note: CrmMessage, conversationId, mentionTaskIds })
+//   - note.deleted         Internal note removed (payload: { noteId, conversationId })
+//   - sla.warning          An SLA target passed its warning point
+//   - sla.breached         An SLA target passed its deadline unmet
+//                           (both: { conversationId, target, dueAt, channel, accountId, displayName, assignedTo })
+//   - csat.received        Customer answered a CSAT survey
+//                           (payload: { surveyId, conversationId, rating, agentId, channel })
+//   - chatbot.replay.progress Chatbot replay advanced a batch or finished
+//                           (payload: { jobId, status, counts, truncated })
+//   - ai.budget_alert      An AI budget crossed 50/80/100% of its limit this period
+//                           (payload: { subscriptionId, scope, key, limit, used, threshold })
+//   - stream.reset         Sent on reconnect when the missed events can't be replayed
+//                           (payload: { reason }); the client should refetch its state
+//
+// Every event carries an `id:` and is kept in CrmEventLog for a few hours,
+// except conversation.presence and the *.progress ticks, which are live-only.
+// A reconnecting EventSource sends Last-Event-ID automatically; a client
+// opening a new stream can pass `?lastEventId=` instead. Missed events are
+// replayed before live delivery resumes.
 
 // GET /api/crm/events/subscribe
 router.get('/events/subscribe', sseAuthMiddleware, requireActiveSubscription, async (req, res) => {
@@ -1585,7 +1879,7 @@ router.get('/events/subscribe', sseAuthMiddleware, requireActiveSubscription, as
             devices
         });
 
-        crmEventHub.subscribe(req.user._id, res);
+        await crmEventHub.subscribe(req.user._id, res, { lastEventId: parseLastEventId(req) });
     } catch (error) {
         console.error('SSE subscribe error:', error);
         if (!res.headersSent) {
@@ -1778,8 +2072,12 @@ router.post('/agent/commands/:id/result', agentAuthMiddleware, async (req, res)
                     const total = result.total || 0;
 
                     // Update the specific recipient's execution log if we have a latest result
-                    if (latestResult && latestResult.phone) {
-                        const executionStatus = mapAgentExecutionStatus(latestResult.status);
+                    const executionStatus = latestResult?.phone ? mapAgentExecutionStatus(latestResult.status) : null;
+                    // Same rule as the final result: recipients a pause cancelled
+                    // stay queued for resume.
+                    const heldByPause = campaign.status === 'paused'
+                        && executionStatus !== 'success' && executionStatus !== 'failed';
+                    if (executionStatus && !heldByPause) {
                         const now = new Date();
                         await CrmExecutionLog.findOneAndUpdate(
                             {
@@ -1801,11 +2099,19 @@ router.post('/agent/commands/:id/result', agentAuthMiddleware, async (req, res)
                         );
                     }
 
-                    // Update campaign metrics from aggregate counts
-                    campaign.metrics.totalSent = processed;
-                    campaign.metrics.successCount = result.successCount || 0;
-                    campaign.metrics.failedCount = result.failedCount || 0;
-                    campaign.metrics.cancelledCount = result.cancelledCount || 0;
+                    // Update campaign metrics from aggregate counts. Once a campaign
+                    // is split over several commands (paused/resumed or A/B), the
+                    // agent's counts only cover the current command's slice, so
+                    // recount from the execution logs instead.
+                    if (usesLogMetrics(campaign)) {
+                        const { metrics } = await summarizeCampaignLogs({ campaign });
+                        campaign.metrics = metrics;
+                    } else {
+                        campaign.metrics.totalSent = processed;
+                        campaign.metrics.successCount = result.successCount || 0;
+                        campaign.metrics.failedCount = result.failedCount || 0;
+                        campaign.metrics.cancelledCount = result.cancelledCount || 0;
+                    }
                     campaign.lastProgressAt = new Date();
                     await campaign.save();
                 }
@@ -1893,6 +2199,15 @@ router.post('/agent/commands/:id/result', agentAuthMiddleware, async (req, res)
             }
         }
 
+        // Drip-sequence steps reuse START_CAMPAIGN with payload.sequenceId.
+        if (command.type === 'START_CAMPAIGN' && command.payload?.sequenceId) {
+            await applySequenceStepResults({
+                command,
+                results: Array.isArray(result?.results) ? result.results : [],
+                success
+            });
+        }
+
         // Persist execution logs and auto-update CrmCampaign status based on command result.
         if (command.type === 'START_CAMPAIGN') {
             const campaignId = command.payload?.campaignId;
@@ -1906,6 +2221,9 @@ router.post('/agent/commands/:id/result', agentAuthMiddleware, async (req, res)
                         recipients.map((recipient) => [String(recipient.customerId), recipient])
                     );
                     const messageText = command.payload?.message || '';
+                    // A paused campaign's agent reports unsent recipients as
+                    // 'cancelled'; keep them queued so resume can send them.
+                    const isPaused = campaign.status === 'paused';
                     const now = new Date();
                     let successCount = 0;
                     let failedCount = 0;
@@ -1916,6 +2234,7 @@ router.post('/agent/commands/:id/result', agentAuthMiddleware, async (req, res)
                             const customerId = String(item.customerId || '');
                             const recipient = recipientMap.get(customerId) || {};
                             const executionStatus = mapAgentExecutionStatus(item.status);
+                            if (isPaused && executionStatus !== 'success' && executionStatus !== 'failed') continue;
 
                             if (executionStatus === 'success') successCount += 1;
                             if (executionStatus === 'failed') failedCount += 1;
@@ -1947,12 +2266,13 @@ router.post('/agent/commands/:id/result', agentAuthMiddleware, async (req, res)
                                     ...logUpdate,
                                     deviceId: command.deviceId,
                                     accountId: campaign.selectedAccountId,
-                                    templateId: campaign.templateId,
+                                    templateId: recipient.templateId || campaign.templateId,
+                                    variantKey: recipient.variantKey || '',
                                     recipientId: item.customerId || undefined,
                                     recipientPhone: phone,
                                     recipientName: recipient.name || '',
                                     threadType: campaign.channel,
-                                    messagePreview: buildCampaignMessagePreview(messageText, recipient.name),
+                                    messagePreview: buildCampaignMessagePreview(recipient.message || messageText, recipient.name),
                                     campaignSnapshot: {
                                         id: campaign._id,
                                         name: campaign.name,
@@ -1975,6 +2295,35 @@ router.post('/agent/commands/:id/result', agentAuthMiddleware, async (req, res)
                         }
                     }
 
+                    if (isPaused) {
+                        const { metrics, statusCounts } = await summarizeCampaignLogs({ campaign });
+                        campaign.metrics = metrics;
+                        campaign.lastProgressAt = now;
+                        // The agent may have finished everything before the pause landed.
+                        if (statusCounts.queued + statusCounts.running === 0) {
+                            campaign.status = 'completed';
+                            campaign.finishedAt = now;
+                        }
+                        await campaign.save();
+                        return res.json({
+                            success: true,
+                            message: 'Cap nhat ket qua lenh thanh cong.'
+                        });
+                    }
+
+                    // A/B test cell finished: stay running until the winner job
+                    // sends the remaining audience.
+                    if (success && !wasCancelled && hasPendingAbRemainder(campaign)) {
+                        const { metrics } = await summarizeCampaignLogs({ campaign });
+                        campaign.metrics = metrics;
+                        campaign.lastProgressAt = now;
+                        await campaign.save();
+                        return res.json({
+                            success: true,
+                            message: 'Cap nhat ket qua lenh thanh cong.'
+                        });
+                    }
+
                     // Mark any remaining queued/running logs as cancelled if campaign was cancelled or command failed
                     if (!success) {
                         await CrmExecutionLog.updateMany(
@@ -1989,7 +2338,7 @@ router.post('/agent/commands/:id/result', agentAuthMiddleware, async (req, res)
                     }
 
                     // Finalize campaign metrics and status
-                    if (!success) {
+                    if (!success && !usesLogMetrics(campaign)) {
                         const totalTargets = campaign.metrics.totalTargets || recipients.length || 0;
                         campaign.metrics = {
                             totalSent: 0,
@@ -1998,6 +2347,9 @@ router.post('/agent/commands/:id/result', agentAuthMiddleware, async (req, res)
                             failedCount: 0,
                             cancelledCount: totalTargets
                         };
+                    } else if (usesLogMetrics(campaign)) {
+                        const { metrics } = await summarizeCampaignLogs({ campaign });
+                        campaign.metrics = metrics;
                     } else {
                         campaign.metrics = {
                             totalSent: results.length,
@@ -2031,7 +2383,7 @@ router.post('/agent/commands/:id/result', agentAuthMiddleware, async (req, res)
 // ==========================================
 
 // --- CUSTOMERS ---
-router.get('/customers', authMiddleware, async (req, res) => {
+router.get('/customers', crmAuthMiddleware, async (req, res) => {
     try {
         const { search, status, tag, lifecycleStage, segmentId } = req.query;
         
@@ -2042,12 +2394,6 @@ router.get('/customers', authMiddleware, async (req, res) => {
 
         let query = { userId: req.user._id };
 
-        if (segmentId) {
-            const segment = await CrmSegment.findOne({ _id: segmentId, userId: req.user._id });
-            if (!segment) return res.status(404).json({ success: false, message: 'Khong tim thay segment.' });
-            query = buildSegmentQuery(req.user._id, segment.filters || {});
-        }
-
         if (status && status !== 'Tất cả') {
             query.status = status;
         }
@@ -2069,6 +2415,14 @@ router.get('/customers', authMiddleware, async (req, res) => {
             ];
         }
 
+        // The list filters narrow the segment; merging them into its query
+        // would overwrite the segment's own conditions on the same keys.
+        if (segmentId) {
+            const segment = await CrmSegment.findOne({ _id: segmentId, userId: req.user._id });
+            if (!segment) return res.status(404).json({ success: false, message: 'Khong tim thay segment.' });
+            query = { $and: [await buildSegmentQuery(req.user._id, segment.filters || {}), query] };
+        }
+
         const total = await CrmCustomer.countDocuments(query);
         const customers = await CrmCustomer.find(query)
             .sort({ createdAt: -1 })
@@ -2086,18 +2440,24 @@ router.get('/customers', authMiddleware, async (req, res) => {
             }
         });
     } catch (error) {
+        // A stored segment filter that no longer validates.
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, details: error.details });
+        }
         console.error(error);
         res.status(500).json({ success: false, message: 'Lỗi server.' });
     }
 });
 
-router.post('/customers', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/customers', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const newCust = new CrmCustomer({
             ...req.body,
             userId: req.user._id
         });
         await newCust.save();
+        await runSequenceTriggers(req.user._id, newCust, [{ type: 'customer_created' }]);
+        await refreshLeadScore(req.user._id, newCust, 'customer_created');
         res.json({ success: true, data: newCust });
     } catch (error) {
         console.error(error);
@@ -2105,7 +2465,230 @@ router.post('/customers', authMiddleware, requireActiveSubscription, async (req,
     }
 });
 
-router.get('/customers/:id', authMiddleware, async (req, res) => {
+// GET /api/crm/customers/duplicates - merge suggestions (phone/email/Zalo/conversation/name)
+router.get('/customers/duplicates', crmAuthMiddleware, async (req, res) => {
+    try {
+        const minScore = Math.min(100, Math.max(1, Number(req.query.minScore) || 50));
+        const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+        const candidates = await findDuplicateCandidates({
+            userId: req.user._id,
+            customerId: req.query.customerId || null,
+            minScore,
+            limit
+        });
+        res.json({ success: true, data: candidates });
+    } catch (error) {
+        if (error.statusCode) return res.status(error.statusCode).json({ success: false, message: error.message });
+        console.error('Customer duplicates error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tim khach hang trung lap.' });
+    }
+});
+
+// POST /api/crm/customers/merge - body: { survivorId, duplicateIds: [] }
+router.post('/customers/merge', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const result = await mergeCustomers({
+            userId: req.user._id,
+            survivorId: req.body.survivorId,
+            duplicateIds: req.body.duplicateIds,
+            subscriptionId: req.crmSubscription?._id
+        });
+        await refreshLeadScore(req.user._id, result.customer, 'customers_merged');
+        res.json({ success: true, data: result });
+    } catch (error) {
+        if (error.statusCode) return res.status(error.statusCode).json({ success: false, message: error.message });
+        console.error('Customer merge error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi gop khach hang.' });
+    }
+});
+
+// --- CUSTOMER IMPORT JOBS ---
+// Flow: create job (presigned upload URL) -> PUT file to storage -> /uploaded
+// (headers + suggested mapping) -> /start with mode dry_run or import. Rows are
+// processed by runCustomerImportJobs; progress arrives as import.progress SSE.
+const IMPORT_JOB_LIST_FIELDS = '-errorRows';
+
+const sanitizeImportFilename = (filename) => String(filename)
+    .replace(/[^a-zA-Z0-9._-]/g, '-')
+    .replace(/-+/g, '-')
+    .toLowerCase()
+    .slice(-120);
+
+// POST /api/crm/customers/import-jobs - body: { filename, contentType, size }
+router.post('/customers/import-jobs', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const { filename, contentType } = req.body;
+        const size = Number(req.body.size) || 0;
+        const format = detectSpreadsheetFormat(filename, contentType);
+        if (!filename || !format) {
+            return res.status(400).json({ success: false, message: 'Chi ho tro file CSV hoac XLSX.' });
+        }
+        if (size > MAX_IMPORT_FILE_BYTES) {
+            return res.status(400).json({ success: false, message: `File toi da ${MAX_IMPORT_FILE_BYTES / 1024 / 1024}MB.` });
+        }
+        const job = new CrmImportJob({
+            userId: req.user._id,
+            file: { key: 'pending', filename: String(filename).slice(0, 200), contentType: contentType || '', format, size }
+        });
+        job.file.key = `crm-imports/${req.user._id}/${job._id}-${sanitizeImportFilename(filename)}`;
+        const resolvedType = contentType || (format === 'xlsx'
+            ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            : 'text/csv');
+        const { presignedUrl } = await generatePresignedUploadUrl(job.file.key, resolvedType);
+        await job.save();
+        res.status(201).json({ success: true, data: { job, presignedUrl, contentType: resolvedType } });
+    } catch (error) {
+        console.error('Create import job error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tao job import.' });
+    }
+});
+
+// GET /api/crm/customers/import-jobs
+router.get('/customers/import-jobs', crmAuthMiddleware, async (req, res) => {
+    try {
+        const jobs = await CrmImportJob.find({ userId: req.user._id })
+            .select(IMPORT_JOB_LIST_FIELDS)
+            .sort({ createdAt: -1 })
+            .limit(50);
+        res.json({ success: true, data: jobs });
+    } catch (error) {
+        console.error('List import jobs error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai job import.' });
+    }
+});
+
+// GET /api/crm/customers/import-jobs/:id
+router.get('/customers/import-jobs/:id', crmAuthMiddleware, async (req, res) => {
+    try {
+        const job = await CrmImportJob.findOne({ _id: req.params.id, userId: req.user._id }).select(IMPORT_JOB_LIST_FIELDS);
+        if (!job) return res.status(404).json({ success: false, message: 'Khong tim thay job import.' });
+        res.json({ success: true, data: job });
+    } catch (error) {
+        console.error('Get import job error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai job import.' });
+    }
+});
+
+// POST /api/crm/customers/import-jobs/:id/uploaded - confirm upload, read headers
+router.post('/customers/import-jobs/:id/uploaded', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const job = await CrmImportJob.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!job) return res.status(404).json({ success: false, message: 'Khong tim thay job import.' });
+        if (!['awaiting_upload', 'uploaded'].includes(job.status)) {
+            return res.status(409).json({ success: false, message: 'Job import da duoc xu ly.' });
+        }
+        const head = await headFile(job.file.key);
+        if (!head.exists) return res.status(400).json({ success: false, message: 'Chua tim thay file da upload.' });
+        if (head.size > MAX_IMPORT_FILE_BYTES) {
+            return res.status(400).json({ success: false, message: `File toi da ${MAX_IMPORT_FILE_BYTES / 1024 / 1024}MB.` });
+        }
+        const { headers, rows } = parseSpreadsheet(await downloadFile(job.file.key), job.file.format);
+        if (headers.length === 0) return res.status(400).json({ success: false, message: 'File khong co dong tieu de.' });
+        job.status = 'uploaded';
+        job.file.size = head.size ?? job.file.size;
+        job.headers = headers;
+        job.totalRows = rows.length;
+        job.columnMapping = suggestColumnMapping(headers);
+        await job.save();
+        const { errorRows, ...data } = job.toObject();
+        res.json({ success: true, data: { ...data, sampleRows: rows.slice(0, 5) } });
+    } catch (error) {
+        if (error.statusCode) return res.status(error.statusCode).json({ success: false, message: error.message });
+        console.error('Import job uploaded error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi doc file import.' });
+    }
+});
+
+// POST /api/crm/customers/import-jobs/:id/start - body: { mode: 'dry_run'|'import', columnMapping, options }
+router.post('/customers/import-jobs/:id/start', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const mode = req.body.mode === 'import' ? 'import' : 'dry_run';
+        const job = await CrmImportJob.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!job) return res.status(404).json({ success: false, message: 'Khong tim thay job import.' });
+        if (!['uploaded', 'validated', 'failed'].includes(job.status)) {
+            return res.status(409).json({ success: false, message: 'Job import chua san sang hoac dang chay.' });
+        }
+        const { mapping, error } = normalizeColumnMapping(req.body.columnMapping || job.columnMapping, job.headers);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const options = req.body.options || {};
+        job.mode = mode;
+        job.columnMapping = mapping;
+        if (options.updateExisting !== undefined) job.options.updateExisting = options.updateExisting !== false;
+        if (['granted', 'revoked', 'pending'].includes(options.defaultConsentStatus)) {
+            job.options.defaultConsentStatus = options.defaultConsentStatus;
+        }
+        if (options.defaultSource !== undefined) job.options.defaultSource = String(options.defaultSource).trim().slice(0, 100);
+        if (Array.isArray(options.tags)) job.options.tags = options.tags.map((tag) => String(tag).trim()).filter(Boolean);
+        job.status = 'queued';
+        job.cursor = 0;
+        job.counts = {};
+        job.errorRows = [];
+        job.lastError = '';
+        job.startedAt = null;
+        job.finishedAt = null;
+        job.lockedAt = null;
+        await job.save();
+
+        if (mode === 'import') {
+            await CrmAuditLog.create({
+                userId: req.user._id,
+                subscriptionId: req.crmSubscription._id,
+                action: 'customer_import_started',
+                details: { jobId: job._id, filename: job.file.filename, totalRows: job.totalRows }
+            });
+        }
+        const { errorRows, ...data } = job.toObject();
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Start import job error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi chay job import.' });
+    }
+});
+
+// POST /api/crm/customers/import-jobs/:id/cancel
+router.post('/customers/import-jobs/:id/cancel', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const job = await CrmImportJob.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id, status: { $in: ['awaiting_upload', 'uploaded', 'queued', 'processing'] } },
+            { $set: { status: 'cancelled', lockedAt: null, finishedAt: new Date() } },
+            { new: true }
+        ).select(IMPORT_JOB_LIST_FIELDS);
+        if (!job) return res.status(404).json({ success: false, message: 'Khong tim thay job import dang cho.' });
+        res.json({ success: true, data: job });
+    } catch (error) {
+        console.error('Cancel import job error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi huy job import.' });
+    }
+});
+
+// GET /api/crm/customers/import-jobs/:id/errors - rejected rows as CSV
+router.get('/customers/import-jobs/:id/errors', crmAuthMiddleware, async (req, res) => {
+    try {
+        const job = await CrmImportJob.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!job) return res.status(404).json({ success: false, message: 'Khong tim thay job import.' });
+        const rows = job.errorRows.map((item) => ({ ...(item.data || {}), __row: item.row, __error: item.message }));
+        const csv = serializeCsv([
+            { key: '__row', label: 'Row' },
+            { key: '__error', label: 'Error' },
+            ...job.headers.map((header) => ({ key: header, label: header }))
+        ], rows);
+        res.json({
+            success: true,
+            data: {
+                filename: `import-errors-${job._id}.csv`,
+                csv,
+                count: rows.length,
+                totalErrors: job.counts?.errors || 0
+            }
+        });
+    } catch (error) {
+        console.error('Import job errors export error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi export dong loi.' });
+    }
+});
+
+router.get('/customers/:id', crmAuthMiddleware, async (req, res) => {
     try {
         const cust = await CrmCustomer.findOne({ _id: req.params.id, userId: req.user._id });
         if (!cust) return res.status(404).json({ success: false, message: 'KhĂ´ng tĂ¬m tháº¥y khĂ¡ch hĂ ng.' });
@@ -2116,7 +2699,7 @@ router.get('/customers/:id', authMiddleware, async (req, res) => {
     }
 });
 
-router.put('/customers/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.put('/customers/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const updateData = { ...req.body };
         delete updateData.userId;
@@ -2124,12 +2707,25 @@ router.put('/customers/:id', authMiddleware, requireActiveSubscription, async (r
         delete updateData.createdAt;
         delete updateData.updatedAt;
 
+        const previous = await CrmCustomer.findOne({ _id: req.params.id, userId: req.user._id }).select('tags lifecycleStage');
+        if (!previous) return res.status(404).json({ success: false, message: 'KhĂ´ng tĂ¬m tháº¥y khĂ¡ch hĂ ng.' });
+
         const cust = await CrmCustomer.findOneAndUpdate(
             { _id: req.params.id, userId: req.user._id },
             { $set: updateData },
             { new: true }
         );
         if (!cust) return res.status(404).json({ success: false, message: 'KhĂ´ng tĂ¬m tháº¥y khĂ¡ch hĂ ng.' });
+
+        const previousTags = new Set(previous.tags || []);
+        const addedTags = (cust.tags || []).filter((tag) => !previousTags.has(tag));
+        const triggerEvents = [];
+        if (addedTags.length > 0) triggerEvents.push({ type: 'tag_added', tags: addedTags });
+        if (cust.lifecycleStage !== previous.lifecycleStage) {
+            triggerEvents.push({ type: 'lifecycle_stage', lifecycleStage: cust.lifecycleStage });
+        }
+        await runSequenceTriggers(req.user._id, cust, triggerEvents);
+        await refreshLeadScore(req.user._id, cust, 'customer_updated');
         res.json({ success: true, data: cust });
     } catch (error) {
         console.error(error);
@@ -2137,9 +2733,12 @@ router.put('/customers/:id', authMiddleware, requireActiveSubscription, async (r
     }
 });
 
-router.delete('/customers/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.delete('/customers/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const result = await CrmCustomer.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+        if (result) {
+            await CrmSequenceEnrollment.deleteMany({ userId: req.user._id, customerId: result._id });
+        }
         if (!result) return res.status(404).json({ success: false, message: 'KhĂ´ng tĂ¬m tháº¥y khĂ¡ch hĂ ng.' });
         res.json({ success: true, message: 'ÄĂ£ xĂ³a khĂ¡ch hĂ ng.' });
     } catch (error) {
@@ -2149,7 +2748,7 @@ router.delete('/customers/:id', authMiddleware, requireActiveSubscription, async
 });
 
 // --- CONTACTS ---
-router.get('/contacts', authMiddleware, async (req, res) => {
+router.get('/contacts', crmAuthMiddleware, async (req, res) => {
     try {
         const contacts = await CrmContact.find({ userId: req.user._id }).sort({ createdAt: -1 });
         res.json({ success: true, data: contacts });
@@ -2159,7 +2758,7 @@ router.get('/contacts', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/contacts', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/contacts', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const newContact = new CrmContact({
             ...req.body,
@@ -2173,7 +2772,7 @@ router.post('/contacts', authMiddleware, requireActiveSubscription, async (req,
     }
 });
 
-router.put('/contacts/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.put('/contacts/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const updateData = { ...req.body };
         delete updateData.userId;
@@ -2194,7 +2793,7 @@ router.put('/contacts/:id', authMiddleware, requireActiveSubscription, async (re
     }
 });
 
-router.delete('/contacts/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.delete('/contacts/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const result = await CrmContact.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
         if (!result) return res.status(404).json({ success: false, message: 'KhĂ´ng tĂ¬m tháº¥y liĂªn há»‡.' });
@@ -2206,7 +2805,7 @@ router.delete('/contacts/:id', authMiddleware, requireActiveSubscription, async
 });
 
 // --- TEMPLATES ---
-router.get('/templates', authMiddleware, async (req, res) => {
+router.get('/templates', crmAuthMiddleware, async (req, res) => {
     try {
         const { search, type, category, isQuick } = req.query;
         const query = { userId: req.user._id };
@@ -2237,7 +2836,7 @@ router.get('/templates', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/templates', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/templates', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const newTemplate = new CrmTemplate({
             ...req.body,
@@ -2251,7 +2850,7 @@ router.post('/templates', authMiddleware, requireActiveSubscription, async (req,
     }
 });
 
-router.put('/templates/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.put('/templates/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const updateData = { ...req.body };
         delete updateData.userId;
@@ -2272,7 +2871,50 @@ router.put('/templates/:id', authMiddleware, requireActiveSubscription, async (r
     }
 });
 
-router.delete('/templates/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+// POST /api/crm/templates/:id/preview
+// Renders the template for one CrmCustomer exactly as campaign start would.
+router.post('/templates/:id/preview', crmAuthMiddleware, async (req, res) => {
+    try {
+        const template = await CrmTemplate.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!template) return res.status(404).json({ success: false, message: 'Khong tim thay mau tin nhan.' });
+
+        let customer = null;
+        if (req.body.customerId) {
+            customer = await CrmCustomer.findOne({ _id: req.body.customerId, userId: req.user._id });
+            if (!customer) return res.status(404).json({ success: false, message: 'Khong tim thay khach hang.' });
+        }
+
+        const timeZone = req.body.timezone || DEFAULT_CAMPAIGN_TIMEZONE;
+        if (!isValidTimeZone(timeZone)) {
+            return res.status(400).json({ success: false, message: 'Mui gio khong hop le.' });
+        }
+
+        const { text, missing, variables } = renderTemplate(template.body, {
+            customer,
+            recipient: customer ? { name: customer.name, phone: customer.phone } : null,
+            requiredVariables: template.variables,
+            timeZone
+        });
+
+        res.json({
+            success: true,
+            data: {
+                templateId: template._id,
+                customerId: customer?._id || null,
+                text,
+                variables,
+                requiredVariables: template.variables || [],
+                missingVariables: missing,
+                canSend: missing.length === 0
+            }
+        });
+    } catch (error) {
+        console.error('Template preview error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi xem truoc mau tin nhan.' });
+    }
+});
+
+router.delete('/templates/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const result = await CrmTemplate.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
         if (!result) return res.status(404).json({ success: false, message: 'KhĂ´ng tĂ¬m tháº¥y biá»ƒu máº«u.' });
@@ -2284,7 +2926,7 @@ router.delete('/templates/:id', authMiddleware, requireActiveSubscription, async
 });
 
 // --- CAMPAIGNS ---
-router.get('/campaigns', authMiddleware, async (req, res) => {
+router.get('/campaigns', crmAuthMiddleware, async (req, res) => {
     try {
         const { status } = req.query;
         const page = Math.max(1, parseInt(req.query.page) || 1);
@@ -2318,27 +2960,52 @@ router.get('/campaigns', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/campaigns', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/campaigns', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const {
             name, templateId, channel, audienceType,
             targetCustomerIds, targetGroupIds, manualRecipients,
+            targetSegmentIds, excludedSegmentIds,
             selectedDeviceId, selectedAccountId,
-            rateLimit, requireHumanApproval, scheduledAt
+            rateLimit, requireHumanApproval, scheduledAt, timezone, humanApprovedAt,
+            variants: variantsInput, abTest
         } = req.body;
 
         if (!name || !name.trim()) {
             return res.status(400).json({ success: false, message: 'Tên chiến dịch là bắt buộc.' });
         }
-        if (!templateId) {
+
+        const { variants, error: variantError } = normalizeCampaignVariants(variantsInput);
+        if (variantError) {
+            return res.status(400).json({ success: false, message: variantError });
+        }
+        const primaryTemplateId = templateId || variants[0]?.templateId;
+        if (!primaryTemplateId) {
             return res.status(400).json({ success: false, message: 'Mẫu tin nhắn là bắt buộc.' });
         }
 
         // Validate template exists and belongs to user
-        const template = await CrmTemplate.findOne({ _id: templateId, userId: req.user._id });
+        const template = await CrmTemplate.findOne({ _id: primaryTemplateId, userId: req.user._id });
         if (!template) {
             return res.status(400).json({ success: false, message: 'Không tìm thấy mẫu tin nhắn.' });
         }
+        const variantTemplateIds = [...new Set(variants.map((variant) => String(variant.templateId)))];
+        if (variantTemplateIds.length > 0) {
+            const ownedTemplateCount = await CrmTemplate.countDocuments({ _id: { $in: variantTemplateIds }, userId: req.user._id });
+            if (ownedTemplateCount !== variantTemplateIds.length) {
+                return res.status(400).json({ success: false, message: 'Không tìm thấy mẫu tin nhắn.' });
+            }
+        }
+
+        const segmentIds = Array.isArray(targetSegmentIds) ? targetSegmentIds.filter(Boolean) : [];
+        const exclusionIds = Array.isArray(excludedSegmentIds) ? excludedSegmentIds.filter(Boolean) : [];
+        const referencedSegmentIds = [...new Set([...segmentIds, ...exclusionIds].map(String))];
+        if (referencedSegmentIds.length > 0) {
+            const ownedSegmentCount = await CrmSegment.countDocuments({ _id: { $in: referencedSegmentIds }, userId: req.user._id });
+            if (ownedSegmentCount !== referencedSegmentIds.length) {
+                return res.status(400).json({ success: false, message: 'Khong tim thay segment.' });
+            }
+        }
 
         // Build rate limit with defaults
         const rateLimitObj = {
@@ -2350,20 +3017,43 @@ router.post('/campaigns', authMiddleware, requireActiveSubscription, async (req,
             rateLimitObj.maxDelaySeconds = rateLimitObj.minDelaySeconds;
         }
 
+        const campaignTimezone = timezone || DEFAULT_CAMPAIGN_TIMEZONE;
+        if (!isValidTimeZone(campaignTimezone)) {
+            return res.status(400).json({ success: false, message: 'Mui gio khong hop le.' });
+        }
+        const resolvedScheduledAt = resolveScheduledAt(scheduledAt, campaignTimezone);
+        if (resolvedScheduledAt && Number.isNaN(resolvedScheduledAt.getTime())) {
+            return res.status(400).json({ success: false, message: 'Thoi gian hen gio khong hop le.' });
+        }
+
         const newCampaign = new CrmCampaign({
             userId: req.user._id,
             name: name.trim(),
-            templateId,
+            templateId: primaryTemplateId,
             channel: channel || 'zalo',
             audienceType: audienceType || 'custom',
             targetCustomerIds: Array.isArray(targetCustomerIds) ? targetCustomerIds : [],
             targetGroupIds: Array.isArray(targetGroupIds) ? targetGroupIds : [],
             manualRecipients: Array.isArray(manualRecipients) ? manualRecipients : [],
+            targetSegmentIds: segmentIds,
+            excludedSegmentIds: exclusionIds,
             selectedDeviceId: selectedDeviceId || null,
             selectedAccountId: selectedAccountId || null,
             rateLimit: rateLimitObj,
             requireHumanApproval: !!requireHumanApproval,
-            scheduledAt: scheduledAt || null
+            // The scheduler has no request to carry approval, so scheduled
+            // campaigns that need it must be approved up front.
+            humanApprovedAt: humanApprovedAt ? new Date(humanApprovedAt) : null,
+            scheduledAt: resolvedScheduledAt,
+            timezone: campaignTimezone,
+            status: resolvedScheduledAt ? 'scheduled' : 'draft',
+            variants,
+            abTest: variants.length > 0 && abTest ? {
+                sendWinnerToRemainder: !!abTest.sendWinnerToRemainder,
+                testFraction: Math.min(0.9, Math.max(0.05, Number(abTest.testFraction) || 0.2)),
+                testWindowHours: Math.min(168, Math.max(1, Number(abTest.testWindowHours) || 24)),
+                winnerMetric: abTest.winnerMetric === 'successRate' ? 'successRate' : 'replyRate'
+            } : undefined
         });
         await newCampaign.save();
 
@@ -2378,13 +3068,60 @@ router.post('/campaigns', authMiddleware, requireActiveSubscription, async (req,
     }
 });
 
-router.put('/campaigns/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.put('/campaigns/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const updateData = { ...req.body };
         delete updateData.userId;
         delete updateData._id;
         delete updateData.createdAt;
         delete updateData.updatedAt;
+        if (updateData.abTest !== undefined) {
+            // Only the test settings are editable; winner/holdout state is server-owned.
+            const abTest = updateData.abTest || {};
+            delete updateData.abTest;
+            if (abTest.sendWinnerToRemainder !== undefined) updateData['abTest.sendWinnerToRemainder'] = !!abTest.sendWinnerToRemainder;
+            if (abTest.testFraction !== undefined) updateData['abTest.testFraction'] = Math.min(0.9, Math.max(0.05, Number(abTest.testFraction) || 0.2));
+            if (abTest.testWindowHours !== undefined) updateData['abTest.testWindowHours'] = Math.min(168, Math.max(1, Number(abTest.testWindowHours) || 24));
+            if (abTest.winnerMetric !== undefined) updateData['abTest.winnerMetric'] = abTest.winnerMetric === 'successRate' ? 'successRate' : 'replyRate';
+        }
+
+        if (updateData.variants !== undefined) {
+            const { variants, error: variantError } = normalizeCampaignVariants(updateData.variants);
+            if (variantError) {
+                return res.status(400).json({ success: false, message: variantError });
+            }
+            const variantTemplateIds = [...new Set(variants.map((variant) => String(variant.templateId)))];
+            if (variantTemplateIds.length > 0) {
+                const ownedTemplateCount = await CrmTemplate.countDocuments({ _id: { $in: variantTemplateIds }, userId: req.user._id });
+                if (ownedTemplateCount !== variantTemplateIds.length) {
+                    return res.status(400).json({ success: false, message: 'Không tìm thấy mẫu tin nhắn.' });
+                }
+            }
+            updateData.variants = variants;
+        }
+
+        if (updateData.scheduledAt !== undefined || updateData.timezone !== undefined) {
+            const existing = await CrmCampaign.findOne({ _id: req.params.id, userId: req.user._id }).select('scheduledAt timezone status');
+            if (!existing) return res.status(404).json({ success: false, message: 'Khong tim thay chien dich.' });
+            const campaignTimezone = updateData.timezone || existing.timezone || DEFAULT_CAMPAIGN_TIMEZONE;
+            if (!isValidTimeZone(campaignTimezone)) {
+                return res.status(400).json({ success: false, message: 'Mui gio khong hop le.' });
+            }
+            const resolvedScheduledAt = resolveScheduledAt(
+                updateData.scheduledAt !== undefined ? updateData.scheduledAt : existing.scheduledAt,
+                campaignTimezone
+            );
+            if (resolvedScheduledAt && Number.isNaN(resolvedScheduledAt.getTime())) {
+                return res.status(400).json({ success: false, message: 'Thoi gian hen gio khong hop le.' });
+            }
+            updateData.timezone = campaignTimezone;
+            updateData.scheduledAt = resolvedScheduledAt;
+            updateData.scheduleAttempts = 0;
+            updateData.lastScheduleError = '';
+            if (['draft', 'scheduled'].includes(existing.status) && updateData.status === undefined) {
+                updateData.status = resolvedScheduledAt ? 'scheduled' : 'draft';
+            }
+        }
 
         const campaign = await CrmCampaign.findOneAndUpdate(
             { _id: req.params.id, userId: req.user._id },
@@ -2400,7 +3137,7 @@ router.put('/campaigns/:id', authMiddleware, requireActiveSubscription, async (r
 });
 
 // POST /api/crm/campaigns/:id/start
-router.post('/campaigns/:id/start', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/campaigns/:id/start', crmAuthMiddleware, requireActiveSubscription, requireEntitlement('campaignRecipients'), async (req, res) => {
     try {
         const campaign = await CrmCampaign.findOne({ _id: req.params.id, userId: req.user._id });
         if (!campaign) {
@@ -2410,6 +3147,9 @@ router.post('/campaigns/:id/start', authMiddleware, requireActiveSubscription, a
         if (campaign.status === 'running' || campaign.status === 'completed' || campaign.status === 'cancelled') {
             return res.status(400).json({ success: false, message: 'Chiến dịch đã/đang chạy.' });
         }
+        if (campaign.status === 'paused') {
+            return res.status(400).json({ success: false, message: 'Chiến dịch đang tạm dừng. Vui lòng dùng chức năng tiếp tục.' });
+        }
 
         // Require human approval for high-risk campaigns
         if (campaign.requireHumanApproval && !req.body.humanApprovedAt) {
@@ -2434,171 +3174,119 @@ router.post('/campaigns/:id/start', authMiddleware, requireActiveSubscription, a
             });
         }
 
-        // Fetch template content
-        const template = await CrmTemplate.findOne({ _id: campaign.templateId, userId: req.user._id });
-        if (!template) {
-            return res.status(400).json({
+        const { agentCommand } = await launchCampaign({
+            campaign,
+            userId: req.user._id,
+            subscriptionId: req.crmSubscription._id,
+            device: activeDevice,
+            humanApprovedAt: req.body.humanApprovedAt || null,
+            maxRecipients: req.crmEntitlements.campaignRecipients,
+            createCommand: createAgentCommand
+        });
+
+        res.json({
+            success: true,
+            message: 'Đã đưa lệnh bắt đầu chiến dịch vào hàng đợi lệnh của thiết bị.',
+            data: { campaign, agentCommand }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
                 success: false,
-                message: 'Không tìm thấy mẫu tin nhắn của chiến dịch.'
+                message: error.message,
+                ...(error.details ? { details: error.details } : {})
             });
         }
-        const templateMessageText = template.body || 'Tin nhắn chiến dịch';
-
-        // --- Resolve recipients from all audience sources ---
-        const targetRecipients = [];
-
-        // 1. Customer IDs → phone/name
-        if (Array.isArray(campaign.targetCustomerIds) && campaign.targetCustomerIds.length > 0) {
-            const customers = await CrmCustomer.find({ _id: { $in: campaign.targetCustomerIds }, userId: req.user._id });
-            for (const c of customers) {
-                const phone = (c.phone || '').trim();
-                // Check consent status for customers if not test/mock mode
-                if (phone && c.consentStatus === 'granted') {
-                    targetRecipients.push({
-                        customerId: c._id,
-                        phone,
-                        name: c.name || '',
-                        threadType: 'user'
-                    });
-                }
-            }
-        }
+        console.error('Campaign start error:', error);
+        res.status(500).json({ success: false, message: 'Lỗi máy chủ.' });
+    }
+});
 
-        // 2. Group IDs → group thread targets
-        if (Array.isArray(campaign.targetGroupIds) && campaign.targetGroupIds.length > 0) {
-            for (const groupId of campaign.targetGroupIds) {
-                const gid = (groupId || '').trim();
-                if (gid) {
-                    targetRecipients.push({
-                        customerId: null,
-                        phone: gid,
-                        name: `Nhóm ${gid}`,
-                        threadType: 'group'
-                    });
-                }
-            }
-        }
+// POST /api/crm/campaigns/:id/pause
+router.post('/campaigns/:id/pause', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const campaign = await CrmCampaign.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!campaign) return res.status(404).json({ success: false, message: 'Khong tim thay chien dich.' });
 
-        // 3. Manual recipients → normalize phone
-        if (Array.isArray(campaign.manualRecipients) && campaign.manualRecipients.length > 0) {
-            for (const mr of campaign.manualRecipients) {
-                const phone = (mr.phone || '').trim();
-                if (phone) {
-                    targetRecipients.push({
-                        customerId: null,
-                        phone,
-                        name: mr.name || '',
-                        threadType: 'user'
-                    });
-                }
-            }
-        }
+        const { stopCommand } = await pauseCampaign({
+            campaign,
+            subscriptionId: req.crmSubscription._id,
+            createCommand: createAgentCommand
+        });
 
-        if (targetRecipients.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Chiến dịch không có người nhận hợp lệ nào (thiếu số điện thoại/Zalo hoặc ID nhóm, hoặc đã từ chối nhận tin).'
-            });
+        await CrmAuditLog.create({
+            userId: req.user._id,
+            subscriptionId: req.crmSubscription._id,
+            deviceId: stopCommand?.deviceId,
+            action: 'campaign_paused',
+            details: { campaignId: campaign._id, metrics: campaign.metrics }
+        });
+
+        res.json({ success: true, message: 'Da tam dung chien dich.', data: campaign });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
         }
+        console.error('Campaign pause error:', error);
+        res.status(500).json({ success: false, message: 'Loi may chu khi tam dung chien dich.' });
+    }
+});
 
-        // --- Backend Compliance & Constraint Checks ---
-        const targetCount = targetRecipients.length;
-        
-        // 1. Target count thresholds
-        if (targetCount > 500) {
-            return res.status(400).json({
-                success: false,
-                message: `Quy mô chiến dịch vượt quá giới hạn hệ thống (tối đa 500). Hiện tại: ${targetCount}.`
-            });
+// POST /api/crm/campaigns/:id/resume
+router.post('/campaigns/:id/resume', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const campaign = await CrmCampaign.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!campaign) return res.status(404).json({ success: false, message: 'Khong tim thay chien dich.' });
+
+        // Prefer the requested/selected device, then any online one: the
+        // device that started the campaign may be the reason it was paused.
+        const preferredDeviceId = req.body.deviceId || campaign.selectedDeviceId;
+        let device = null;
+        if (preferredDeviceId) {
+            device = await CrmDevice.findOne({ _id: preferredDeviceId, userId: req.user._id, status: 'active' });
         }
-        
-        if (targetCount > 50 && !req.body.humanApprovedAt) {
-            return res.status(403).json({
-                success: false,
-                message: `Chiến dịch gửi trên 50 tin nhắn (${targetCount}) yêu cầu xác nhận rủi ro thủ công. Vui lòng gửi humanApprovedAt.`
-            });
+        if (!device) {
+            device = await CrmDevice.findOne({ userId: req.user._id, status: 'active', agentStatus: 'online' })
+                || await CrmDevice.findOne({ userId: req.user._id, status: 'active' });
         }
-
-        // 2. Rate limits validation
-        const minDelay = campaign.rateLimit?.minDelaySeconds || 3;
-        const maxDelay = campaign.rateLimit?.maxDelaySeconds || 5;
-        if (minDelay < 1 || maxDelay < 1 || minDelay > maxDelay) {
+        if (!device) {
             return res.status(400).json({
                 success: false,
-                message: 'Cấu hình delay không hợp lệ. minDelay và maxDelay phải lớn hơn 0, và min <= max.'
+                message: 'Không có thiết bị Windows đang hoạt động để tiếp tục chiến dịch.'
             });
         }
 
-        // Save human approval timestamp if provided
-        if (req.body.humanApprovedAt) {
-            campaign.humanApprovedAt = new Date(req.body.humanApprovedAt);
-        }
-
-        campaign.status = 'running';
-        campaign.startedAt = new Date();
-        campaign.metrics.totalTargets = targetRecipients.length;
-        await campaign.save();
-
-        // Create initial CrmExecutionLog entries with status 'queued' so UI shows progress immediately
-        const now = new Date();
-        const initialLogs = targetRecipients.map((r, idx) => ({
-            userId: req.user._id,
-            campaignId: campaign._id,
-            customerId: r.customerId || undefined,
-            channel: campaign.channel,
-            status: 'queued',
-            deviceId: activeDevice._id,
-            accountId: campaign.selectedAccountId,
-            templateId: campaign.templateId,
-            recipientPhone: r.phone,
-            recipientName: r.name,
-            threadType: r.threadType || campaign.channel,
-            messagePreview: buildCampaignMessagePreview(templateMessageText, r.name),
-            attemptedAt: null,
-            campaignSnapshot: {
-                id: campaign._id,
-                name: campaign.name,
-                channel: campaign.channel,
-                templateId: campaign.templateId
-            }
-        }));
-        if (initialLogs.length > 0) {
-            await CrmExecutionLog.insertMany(initialLogs);
-        }
+        const { agentCommand, remaining } = await resumeCampaign({
+            campaign,
+            subscriptionId: req.crmSubscription._id,
+            device,
+            createCommand: createAgentCommand
+        });
 
-        // Enqueue command to active Windows agent
-        const agentCommand = new CrmAgentCommand({
+        await CrmAuditLog.create({
             userId: req.user._id,
             subscriptionId: req.crmSubscription._id,
-            deviceId: activeDevice._id,
-            type: 'START_CAMPAIGN',
-            payload: {
-                campaignId: campaign._id,
-                templateId: campaign.templateId,
-                message: templateMessageText,
-                channel: campaign.channel,
-                recipients: targetRecipients,
-                rateLimit: campaign.rateLimit
-            },
-            status: 'queued',
-            idempotencyKey: `campaign-start:${campaign._id}`,
-            expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+            deviceId: device._id,
+            action: 'campaign_resumed',
+            details: { campaignId: campaign._id, remaining, agentCommandId: agentCommand?._id || null }
         });
-        await agentCommand.save();
 
         res.json({
             success: true,
-            message: 'Đã đưa lệnh bắt đầu chiến dịch vào hàng đợi lệnh của thiết bị.',
-            data: { campaign, agentCommand }
+            message: remaining > 0 ? 'Da tiep tuc chien dich.' : 'Chien dich khong con nguoi nhan nao, da hoan thanh.',
+            data: { campaign, agentCommand, remaining }
         });
     } catch (error) {
-        console.error('Campaign start error:', error);
-        res.status(500).json({ success: false, message: 'Lỗi máy chủ.' });
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.error('Campaign resume error:', error);
+        res.status(500).json({ success: false, message: 'Loi may chu khi tiep tuc chien dich.' });
     }
 });
 
 // GET /api/crm/campaigns/:id/status
-router.get('/campaigns/:id/status', authMiddleware, async (req, res) => {
+router.get('/campaigns/:id/status', crmAuthMiddleware, async (req, res) => {
     try {
         const campaign = await CrmCampaign.findOne({ _id: req.params.id, userId: req.user._id });
         if (!campaign) {
@@ -2654,7 +3342,7 @@ router.get('/campaigns/:id/status', authMiddleware, async (req, res) => {
 });
 
 // POST /api/crm/campaigns/:id/cancel
-router.post('/campaigns/:id/cancel', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/campaigns/:id/cancel', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const campaign = await CrmCampaign.findOne({ _id: req.params.id, userId: req.user._id });
         if (!campaign) return res.status(404).json({ success: false, message: 'Không tìm thấy chiến dịch.' });
@@ -2721,7 +3409,7 @@ router.post('/campaigns/:id/cancel', authMiddleware, requireActiveSubscription,
 });
 
 // --- EXECUTION LOGS ---
-router.get('/execution-logs', authMiddleware, async (req, res) => {
+router.get('/execution-logs', crmAuthMiddleware, async (req, res) => {
     try {
         const { campaignId, status, customerId, search, accountId, dateFrom, dateTo } = req.query;
         const page = Math.max(1, parseInt(req.query.page) || 1);
@@ -2793,7 +3481,7 @@ router.get('/execution-logs', authMiddleware, async (req, res) => {
 // ==========================================
 
 // POST /api/crm/ai/chat
-router.post('/ai/chat', crmAiLimiter, authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/ai/chat', crmAiLimiter, crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     const startTime = Date.now();
     let quotaBucket = 'none';
     const sub = req.crmSubscription;
@@ -2819,8 +3507,21 @@ router.post('/ai/chat', crmAiLimiter, authMiddleware, requireActiveSubscription,
             });
         }
 
+        const budgetContext = { feature: 'chat', accountId: req.body.accountId ? String(req.body.accountId) : null };
+        try {
+            assertWithinAiBudget(sub, budgetContext, 1);
+        } catch (budgetError) {
+            return res.status(403).json({
+                success: false,
+                code: 'AI_BUDGET_EXCEEDED',
+                message: budgetError.message,
+                budget: budgetError.aiBudget
+            });
+        }
+
         // 2. Consume quota inline before the API call to avoid race conditions
         quotaBucket = consumeQuota(sub);
+        chargeAiBudgets(sub, budgetContext, 1);
         await sub.save();
 
         // 3. Forward AI request
@@ -2831,6 +3532,7 @@ router.post('/ai/chat', crmAiLimiter, authMiddleware, requireActiveSubscription,
         } catch (aiError) {
             // Refund consumed quota if calling upstream fails
             refundQuota(sub, quotaBucket);
+            chargeAiBudgets(sub, budgetContext, -1);
             await sub.save();
 
             // Log failed usage
@@ -2838,6 +3540,8 @@ router.post('/ai/chat', crmAiLimiter, authMiddleware, requireActiveSubscription,
                 userId: req.user._id,
                 subscriptionId: sub._id,
                 requestType: 'chat',
+                feature: budgetContext.feature,
+                accountId: budgetContext.accountId,
                 provider: 'gcli',
                 status: 'failed',
                 quotaBucket,
@@ -2860,6 +3564,8 @@ router.post('/ai/chat', crmAiLimiter, authMiddleware, requireActiveSubscription,
             userId: req.user._id,
             subscriptionId: sub._id,
             requestType: 'chat',
+            feature: budgetContext.feature,
+            accountId: budgetContext.accountId,
             provider: 'gcli',
             model: aiResponse.model,
             status: 'succeeded',
@@ -2867,6 +3573,7 @@ router.post('/ai/chat', crmAiLimiter, authMiddleware, requireActiveSubscription,
             tokens: { promptTokens, completionTokens, totalTokens },
             latencyMs: Date.now() - startTime
         });
+        await deliverAiBudgetAlerts(req, sub, budgetContext);
 
         const includedRemaining = Math.max(0, sub.includedAiLimit - sub.includedAiUsed);
 
@@ -2889,11 +3596,49 @@ router.post('/ai/chat', crmAiLimiter, authMiddleware, requireActiveSubscription,
     }
 });
 
+// GET /api/crm/ai/budgets - AI budgets of the active plan with this period's usage
+router.get('/ai/budgets', crmAuthMiddleware, requireActiveSubscription, (req, res) => {
+    const sub = req.crmSubscription;
+    res.json({
+        success: true,
+        data: {
+            features: AI_BUDGET_FEATURES,
+            periodStart: sub.periodStart,
+            periodEnd: sub.periodEnd,
+            budgets: sub.aiBudgets || []
+        }
+    });
+});
+
+// PUT /api/crm/ai/budgets - replace the budget list ({ budgets: [{ scope, key, limit }] });
+// usage already counted this period is kept for budgets that stay.
+router.put('/ai/budgets', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const sub = req.crmSubscription;
+        sub.aiBudgets = normalizeAiBudgets(req.body.budgets, sub.aiBudgets || []);
+        await sub.save();
+        await CrmAuditLog.create({
+            userId: req.user._id,
+            subscriptionId: sub._id,
+            action: 'ai_budgets_updated',
+            details: {
+                budgets: sub.aiBudgets.map(({ scope, key, limit }) => ({ scope, key, limit })),
+                actorUserId: req.crmActor._id
+            }
+        });
+        res.json({ success: true, data: { budgets: sub.aiBudgets } });
+    } catch (error) {
+        if (error.statusCode) return res.status(error.statusCode).json({ success: false, message: error.message });
+        console.error('AI budgets update error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi luu ngan sach AI.' });
+    }
+});
+
 // ==========================================
 // 6. LIVE CHAT AND CHATBOT ENDPOINTS
 // ==========================================
 
-router.get('/conversations', authMiddleware, async (req, res) => {
+router.get('/conversations', crmAuthMiddleware, async (req, res) => {
     try {
         const { accountId, threadType, search } = req.query;
         const page = Math.max(1, parseInt(req.query.page) || 1);
@@ -2902,6 +3647,21 @@ router.get('/conversations', authMiddleware, async (req, res) => {
 
         if (accountId) query.accountId = accountId;
         if (threadType) query.threadType = normalizeThreadType(threadType);
+        if (req.query.status) {
+            const statuses = String(req.query.status).split(',').map((item) => item.trim()).filter(Boolean);
+            if (statuses.some((status) => !CONVERSATION_STATUSES.includes(status))) {
+                return res.status(400).json({ success: false, message: 'Trang thai hoi thoai khong hop le.' });
+            }
+            query.assignedStatus = { $in: statuses };
+        }
+        if (req.query.assignedTo === 'me') query.assignedTo = req.crmActor._id;
+        else if (req.query.assignedTo === 'unassigned') query.assignedTo = null;
+        else if (req.query.assignedTo) {
+            if (!mongoose.isValidObjectId(req.query.assignedTo)) {
+                return res.status(400).json({ success: false, message: 'assignedTo khong hop le.' });
+            }
+            query.assignedTo = req.query.assignedTo;
+        }
         if (search) {
             query.$or = [
                 { displayName: { $regex: search, $options: 'i' } },
@@ -2938,7 +3698,7 @@ router.get('/conversations', authMiddleware, async (req, res) => {
     }
 });
 
-router.get('/conversations/:id/messages', authMiddleware, async (req, res) => {
+router.get('/conversations/:id/messages', crmAuthMiddleware, async (req, res) => {
     try {
         const conversation = await CrmConversation.findOne({ _id: req.params.id, userId: req.user._id });
         if (!conversation) return res.status(404).json({ success: false, message: 'Khong tim thay hoi thoai.' });
@@ -2948,7 +3708,8 @@ router.get('/conversations/:id/messages', authMiddleware, async (req, res) => {
             userId: req.user._id,
             conversationId: conversation._id,
             before: req.query.before,
-            after: req.query.after
+            after: req.query.after,
+            includeInternal: req.query.includeNotes !== 'false'
         });
         const isAfterQuery = Boolean(req.query.after);
 
@@ -2972,7 +3733,7 @@ router.get('/conversations/:id/messages', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/conversations/:id/messages/failed/clear', authMiddleware, async (req, res) => {
+router.post('/conversations/:id/messages/failed/clear', crmAuthMiddleware, async (req, res) => {
     try {
         const conversation = await CrmConversation.findOne({ _id: req.params.id, userId: req.user._id });
         if (!conversation) return res.status(404).json({ success: false, message: 'Khong tim thay hoi thoai.' });
@@ -2982,8 +3743,11 @@ router.post('/conversations/:id/messages/failed/clear', authMiddleware, async (r
             conversationId: conversation._id,
             status: 'failed'
         });
-        const latestMessage = await CrmMessage.findOne({ userId: req.user._id, conversationId: conversation._id })
-            .sort({ createdAt: -1 });
+        const latestMessage = await CrmMessage.findOne({
+            userId: req.user._id,
+            conversationId: conversation._id,
+            direction: { $ne: 'internal' }
+        }).sort({ createdAt: -1 });
 
         conversation.lastMessagePreview = latestMessage ? previewText(latestMessage.content || `[${latestMessage.messageType}]`) : '';
         conversation.lastMessageAt = latestMessage ? (latestMessage.sentAt || latestMessage.receivedAt || latestMessage.createdAt) : null;
@@ -2996,7 +3760,7 @@ router.post('/conversations/:id/messages/failed/clear', authMiddleware, async (r
     }
 });
 
-router.post('/conversations/:id/send', authMiddleware, requireActiveSubscription, crmMessageSendLimiter, async (req, res) => {
+router.post('/conversations/:id/send', crmAuthMiddleware, requireActiveSubscription, crmMessageSendLimiter, async (req, res) => {
     try {
         const content = String(req.body.content || req.body.message || '').trim();
         if (!content) return res.status(400).json({ success: false, message: 'Noi dung tin nhan la bat buoc.' });
@@ -3005,24 +3769,29 @@ router.post('/conversations/:id/send', authMiddleware, requireActiveSubscription
         const conversation = await CrmConversation.findOne({ _id: req.params.id, userId: req.user._id });
         if (!conversation) return res.status(404).json({ success: false, message: 'Khong tim thay hoi thoai.' });
 
+        // Meta/Telegram integrations holding an access token reply straight
+        // from the server; other channels need a Desktop Agent.
+        const outboundIntegration = await findServerOutboundIntegration({ userId: req.user._id, conversation });
         let activeDevice = null;
-        if (req.body.deviceId) {
-            activeDevice = await CrmDevice.findOne({ _id: req.body.deviceId, userId: req.user._id, status: 'active' });
-        }
-        if (!activeDevice && conversation.deviceId) {
-            activeDevice = await CrmDevice.findOne({ _id: conversation.deviceId, userId: req.user._id, status: 'active' });
-        }
-        if (!activeDevice) {
-            activeDevice = await CrmDevice.findOne({ userId: req.user._id, status: 'active' });
-        }
-        if (!activeDevice) {
-            return res.status(400).json({ success: false, message: 'Khong co thiet bi Windows dang hoat dong de gui tin.' });
+        if (!outboundIntegration) {
+            if (req.body.deviceId) {
+                activeDevice = await CrmDevice.findOne({ _id: req.body.deviceId, userId: req.user._id, status: 'active' });
+            }
+            if (!activeDevice && conversation.deviceId) {
+                activeDevice = await CrmDevice.findOne({ _id: conversation.deviceId, userId: req.user._id, status: 'active' });
+            }
+            if (!activeDevice) {
+                activeDevice = await CrmDevice.findOne({ userId: req.user._id, status: 'active' });
+            }
+            if (!activeDevice) {
+                return res.status(400).json({ success: false, message: 'Khong co thiet bi Windows dang hoat dong de gui tin.' });
+            }
         }
 
-        const message = await CrmMessage.create({
+        let message = await CrmMessage.create({
             userId: req.user._id,
             conversationId: conversation._id,
-            deviceId: activeDevice._id,
+            deviceId: activeDevice?._id || conversation.deviceId || null,
             accountId: conversation.accountId,
             threadId: conversation.threadId,
             threadType: conversation.threadType,
@@ -3041,27 +3810,32 @@ router.post('/conversations/:id/send', authMiddleware, requireActiveSubscription
             status: message.status
         });
 
-        const command = await createAgentCommand({
-            userId: req.user._id,
-            subscriptionId: req.crmSubscription._id,
-            deviceId: activeDevice._id,
-            type: 'zalo.message.send',
-            payload: {
-                crmMessageId: message._id,
-                accountId: conversation.accountId,
-                recipientId: conversation.threadId,
-                threadType: conversation.threadType,
-                message: content,
-                messageType: 'text'
-            },
-            status: 'queued',
-            idempotencyKey: `live-send:${message._id}`,
-            expiresAt: new Date(Date.now() + 60 * 60 * 1000)
-        });
+        let command = null;
+        if (outboundIntegration) {
+            message = await deliverChannelMessage({ integration: outboundIntegration, message });
+        } else {
+            command = await createAgentCommand({
+                userId: req.user._id,
+                subscriptionId: req.crmSubscription._id,
+                deviceId: activeDevice._id,
+                type: 'zalo.message.send',
+                payload: {
+                    crmMessageId: message._id,
+                    accountId: conversation.accountId,
+                    recipientId: conversation.threadId,
+                    threadType: conversation.threadType,
+                    message: content,
+                    messageType: 'text'
+                },
+                status: 'queued',
+                idempotencyKey: `live-send:${message._id}`,
+                expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+            });
+            conversation.deviceId = activeDevice._id;
+        }
 
         conversation.lastMessagePreview = previewText(content);
         conversation.lastMessageAt = new Date();
-        conversation.deviceId = activeDevice._id;
         await conversation.save();
 
         if (conversation.customerId) {
@@ -3071,7 +3845,20 @@ router.post('/conversations/:id/send', authMiddleware, requireActiveSubscription
             );
         }
 
-        res.json({ success: true, data: { message, command } });
+        await recordConversationSla(req.user._id, conversation, 'outbound', conversation.lastMessageAt);
+
+        // Still sent, but tell the client who else was mid-reply so the UI can
+        // flag the collision; the sender is back to just viewing.
+        const collisions = crmPresence.collisions(req.user._id, conversation._id, req.crmActor._id);
+        const viewers = crmPresence.update({
+            userId: req.user._id,
+            conversationId: conversation._id,
+            actor: req.crmActor,
+            state: 'viewing'
+        });
+        crmEventHub.publish(req.user._id, 'conversation.presence', { conversationId: conversation._id, viewers });
+
+        res.json({ success: true, data: { message, command, collisions } });
     } catch (error) {
         console.error('Conversation send error:', error);
         res.status(500).json({ success: false, message: 'Loi server khi gui tin nhan.' });
@@ -3079,7 +3866,7 @@ router.post('/conversations/:id/send', authMiddleware, requireActiveSubscription
 });
 
 // Send attachment (image/file/video) from operator
-router.post('/conversations/:id/send-attachment', authMiddleware, requireActiveSubscription, crmMessageSendLimiter, async (req, res) => {
+router.post('/conversations/:id/send-attachment', crmAuthMiddleware, requireActiveSubscription, crmMessageSendLimiter, async (req, res) => {
     try {
         const content = String(req.body.content || req.body.message || '').trim();
         const attachments = Array.isArray(req.body.attachments)
@@ -3145,6 +3932,7 @@ router.post('/conversations/:id/send-attachment', authMiddleware, requireActiveS
         conversation.lastMessagePreview = previewText(content || `[${messageType}]`);
         conversation.lastMessageAt = new Date();
         await conversation.save();
+        await recordConversationSla(req.user._id, conversation, 'outbound', conversation.lastMessageAt);
 
         res.json({ success: true, data: { message, command } });
     } catch (error) {
@@ -3154,7 +3942,7 @@ router.post('/conversations/:id/send-attachment', authMiddleware, requireActiveS
 });
 
 // Recall/undo a sent message
-router.post('/conversations/:id/messages/:messageId/recall', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/conversations/:id/messages/:messageId/recall', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const conversation = await CrmConversation.findOne({ _id: req.params.id, userId: req.user._id });
         if (!conversation) return res.status(404).json({ success: false, message: 'Khong tim thay hoi thoai.' });
@@ -3200,23 +3988,198 @@ router.post('/conversations/:id/messages/:messageId/recall', authMiddleware, req
     }
 });
 
-router.put('/conversations/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.put('/conversations/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
-        const updateData = sanitizeUpdate(req.body, ['tags', 'notes', 'assignedStatus', 'chatbotEnabled', 'customerId']);
-        const conversation = await CrmConversation.findOneAndUpdate(
-            { _id: req.params.id, userId: req.user._id },
-            { $set: updateData },
-            { new: true }
-        );
+        const updateData = sanitizeUpdate(req.body, ['tags', 'notes', 'chatbotEnabled', 'customerId']);
+        let conversation = await CrmConversation.findOne({ _id: req.params.id, userId: req.user._id });
         if (!conversation) return res.status(404).json({ success: false, message: 'Khong tim thay hoi thoai.' });
+        // Status changes go through the workflow (kept here for older clients)
+        // and carry the other fields, so a rejected change writes nothing.
+        if (req.body.assignedStatus !== undefined && req.body.assignedStatus !== conversation.assignedStatus) {
+            ({ conversation } = await transitionConversation({
+                userId: req.user._id,
+                conversation,
+                to: req.body.assignedStatus,
+                snoozedUntil: req.body.snoozedUntil,
+                fields: updateData,
+                actorUserId: req.crmActor._id,
+                subscriptionId: req.crmSubscription._id
+            }));
+            if (conversation.assignedStatus === 'resolved') await sendCsatAfterResolve(req, conversation);
+        } else {
+            conversation = await CrmConversation.findOneAndUpdate(
+                { _id: req.params.id, userId: req.user._id },
+                { $set: updateData },
+                { new: true }
+            );
+            if (!conversation) return res.status(404).json({ success: false, message: 'Khong tim thay hoi thoai.' });
+        }
         res.json({ success: true, data: conversation });
     } catch (error) {
+        if (error.statusCode) return res.status(error.statusCode).json({ success: false, message: error.message });
         console.error('Conversation update error:', error);
         res.status(500).json({ success: false, message: 'Loi server khi cap nhat hoi thoai.' });
     }
 });
 
-router.post('/conversations/:id/read', authMiddleware, async (req, res) => {
+// POST /api/crm/conversations/:id/status - { status, snoozedUntil? }
+router.post('/conversations/:id/status', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const conversation = await CrmConversation.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!conversation) return res.status(404).json({ success: false, message: 'Khong tim thay hoi thoai.' });
+        const result = await transitionConversation({
+            userId: req.user._id,
+            conversation,
+            to: req.body.status,
+            snoozedUntil: req.body.snoozedUntil,
+            actorUserId: req.crmActor._id,
+            subscriptionId: req.crmSubscription._id
+        });
+        if (result.conversation.assignedStatus === 'resolved') await sendCsatAfterResolve(req, result.conversation);
+        res.json({ success: true, data: result.conversation });
+    } catch (error) {
+        if (error.statusCode) return res.status(error.statusCode).json({ success: false, message: error.message });
+        console.error('Conversation status error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi doi trang thai hoi thoai.' });
+    }
+});
+
+// PUT /api/crm/conversations/:id/assign - { assigneeId | null }. Agents can
+// only take a conversation themselves or hand their own back.
+router.put('/conversations/:id/assign', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const assigneeId = req.body.assigneeId || null;
+        if (assigneeId && !mongoose.isValidObjectId(assigneeId)) {
+            return res.status(400).json({ success: false, message: 'assigneeId khong hop le.' });
+        }
+        const conversation = await CrmConversation.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!conversation) return res.status(404).json({ success: false, message: 'Khong tim thay hoi thoai.' });
+
+        const actorId = String(req.crmActor._id);
+        if (!hasCrmRole(req.crmRole, 'manager')) {
+            const takesIt = assigneeId && String(assigneeId) === actorId
+                && (!conversation.assignedTo || String(conversation.assignedTo) === actorId);
+            const returnsOwn = !assigneeId && String(conversation.assignedTo) === actorId;
+            if (!takesIt && !returnsOwn) {
+                return res.status(403).json({ success: false, message: 'Ban chi co the nhan hoac tra hoi thoai cua minh.' });
+            }
+        }
+        if (assigneeId && !(await isAssignableMember({ ownerUserId: req.user._id, assigneeId }))) {
+            return res.status(400).json({ success: false, message: 'Nguoi duoc phan cong khong thuoc workspace.' });
+        }
+
+        conversation.assignedTo = assigneeId;
+        conversation.assignedAt = assigneeId ? new Date() : null;
+        await conversation.save();
+        crmEventHub.publish(req.user._id, 'conversation.updated', conversation);
+        res.json({ success: true, data: conversation });
+    } catch (error) {
+        console.error('Conversation assign error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi phan cong hoi thoai.' });
+    }
+});
+
+// ------------------------------------------------------------------
+// Shared inbox: presence/typing and internal notes. Presence goes out as
+// `conversation.presence`; notes are CrmMessage rows with direction
+// 'internal' and go out as `note.new`, never to the channel.
+// ------------------------------------------------------------------
+
+router.get('/conversations/:id/presence', crmAuthMiddleware, async (req, res) => {
+    try {
+        const conversation = await CrmConversation.findOne({ _id: req.params.id, userId: req.user._id }).select('_id');
+        if (!conversation) return res.status(404).json({ success: false, message: 'Khong tim thay hoi thoai.' });
+        res.json({ success: true, data: crmPresence.list(req.user._id, conversation._id) });
+    } catch (error) {
+        console.error('Conversation presence error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai trang thai hoi thoai.' });
+    }
+});
+
+// POST /api/crm/conversations/:id/presence - { state: viewing|typing|left };
+// clients repeat viewing/typing while it holds, entries expire on their own.
+router.post('/conversations/:id/presence', crmAuthMiddleware, async (req, res) => {
+    try {
+        const state = req.body.state;
+        if (!PRESENCE_STATES.includes(state)) {
+            return res.status(400).json({ success: false, message: 'Trang thai khong hop le.' });
+        }
+        const conversation = await CrmConversation.findOne({ _id: req.params.id, userId: req.user._id }).select('_id');
+        if (!conversation) return res.status(404).json({ success: false, message: 'Khong tim thay hoi thoai.' });
+
+        const viewers = crmPresence.update({
+            userId: req.user._id,
+            conversationId: conversation._id,
+            actor: req.crmActor,
+            state
+        });
+        crmEventHub.publish(req.user._id, 'conversation.presence', { conversationId: conversation._id, viewers });
+        res.json({ success: true, data: viewers });
+    } catch (error) {
+        console.error('Conversation presence update error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi cap nhat trang thai hoi thoai.' });
+    }
+});
+
+router.get('/conversations/:id/notes', crmAuthMiddleware, async (req, res) => {
+    try {
+        const conversation = await CrmConversation.findOne({ _id: req.params.id, userId: req.user._id }).select('_id');
+        if (!conversation) return res.status(404).json({ success: false, message: 'Khong tim thay hoi thoai.' });
+        const notes = await CrmMessage.find({ userId: req.user._id, conversationId: conversation._id, direction: 'internal' })
+            .populate('mentions', 'name email')
+            .sort({ createdAt: 1 })
+            .limit(500);
+        res.json({ success: true, data: notes });
+    } catch (error) {
+        console.error('Conversation notes error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai ghi chu.' });
+    }
+});
+
+// POST /api/crm/conversations/:id/notes - { content, mentions?: userId[] }
+router.post('/conversations/:id/notes', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const conversation = await CrmConversation.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!conversation) return res.status(404).json({ success: false, message: 'Khong tim thay hoi thoai.' });
+
+        const { note, tasks } = await createConversationNote({
+            userId: req.user._id,
+            conversation,
+            author: req.crmActor,
+            content: req.body.content,
+            mentionIds: req.body.mentions || []
+        });
+        res.status(201).json({ success: true, data: { note, tasks } });
+    } catch (error) {
+        if (error.statusCode) return res.status(error.statusCode).json({ success: false, message: error.message });
+        console.error('Conversation note create error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tao ghi chu.' });
+    }
+});
+
+// Authors delete their own notes; managers and the owner any note.
+router.delete('/conversations/:id/notes/:noteId', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const note = await CrmMessage.findOne({
+            _id: req.params.noteId,
+            userId: req.user._id,
+            conversationId: req.params.id,
+            direction: 'internal'
+        });
+        if (!note) return res.status(404).json({ success: false, message: 'Khong tim thay ghi chu.' });
+        if (!hasCrmRole(req.crmRole, 'manager') && String(note.authorUserId) !== String(req.crmActor._id)) {
+            return res.status(403).json({ success: false, message: 'Ban chi co the xoa ghi chu cua minh.' });
+        }
+        await note.deleteOne();
+        crmEventHub.publish(req.user._id, 'note.deleted', { noteId: note._id, conversationId: note.conversationId });
+        res.json({ success: true, message: 'Da xoa ghi chu.' });
+    } catch (error) {
+        console.error('Conversation note delete error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi xoa ghi chu.' });
+    }
+});
+
+router.post('/conversations/:id/read', crmAuthMiddleware, async (req, res) => {
     try {
         const conversation = await CrmConversation.findOneAndUpdate(
             { _id: req.params.id, userId: req.user._id },
@@ -3231,7 +4194,14 @@ router.post('/conversations/:id/read', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/agent/channels/register', agentAuthMiddleware, async (req, res) => {
+// Re-registering an existing account (same channel + externalAccountId)
+// updates it and doesn't count against the plan's channelIntegrations.
+router.post('/agent/channels/register', agentAuthMiddleware, requireEntitlement('channelIntegrations', {
+    usage: async (req) => (await CrmChannelIntegration.countDocuments({
+        userId: req.crmDevice.userId,
+        $nor: [{ channel: req.body.channel, externalAccountId: String(req.body.externalAccountId || '').trim() }]
+    })) + 1
+}), async (req, res) => {
     try {
         const { channel, externalAccountId, appId, verifyToken, appSecret, botToken, enabled, widgetName, welcomeMessage, primaryColorHex } = req.body;
         if (!['facebook_page', 'tiktok', 'instagram', 'whatsapp', 'telegram', 'webchat'].includes(channel)) {
@@ -3259,7 +4229,9 @@ router.post('/agent/channels/register', agentAuthMiddleware, async (req, res) =>
                     appId: String(appId || '').trim(),
                     verifyToken: hasNoWebhookSecret ? undefined : String(verifyToken).trim(),
                     appSecret: hasNoWebhookSecret ? undefined : encrypt(String(appSecret).trim()),
-                    botToken: channel === 'telegram' ? encrypt(String(botToken).trim()) : undefined,
+                    // Telegram bot token, or the Page / WhatsApp system-user access
+                    // token that lets the server send Meta replies itself.
+                    botToken: botToken && channel !== 'webchat' ? encrypt(String(botToken).trim()) : undefined,
                     enabled: enabled !== false,
                     ...(channel === 'webchat' ? {
                         widgetName: String(widgetName || '').trim(),
@@ -3292,7 +4264,7 @@ router.post('/agent/channels/register', agentAuthMiddleware, async (req, res) =>
 router.get('/agent/channels', agentAuthMiddleware, async (req, res) => {
     try {
         const integrations = await CrmChannelIntegration.find({ userId: req.crmDevice.userId })
-            .select('_id channel externalAccountId appId enabled createdAt updatedAt')
+            .select('_id channel externalAccountId appId enabled botToken createdAt updatedAt')
             .sort({ createdAt: 1 });
 
         res.json({
@@ -3302,7 +4274,8 @@ router.get('/agent/channels', agentAuthMiddleware, async (req, res) => {
                 channel: integration.channel,
                 externalAccountId: integration.externalAccountId,
                 appId: integration.appId,
-                enabled: integration.enabled
+                enabled: integration.enabled,
+                serverOutbound: canSendFromServer(integration)
             }))
         });
     } catch (error) {
@@ -3361,6 +4334,26 @@ router.post('/agent/events/message', agentAuthMiddleware, async (req, res) => {
     }
 });
 
+// Rule as the Desktop Agent (and the chatbot replay) sees it.
+const toChatbotRuleSnapshot = (rule) => ({
+    id: String(rule._id),
+    name: rule.name,
+    keywords: rule.keywords || [],
+    matchMode: rule.matchMode,
+    response: rule.response,
+    isActive: rule.isActive,
+    priority: rule.priority,
+    channelScope: rule.channelScope,
+    handoffKeywords: rule.handoffKeywords || [],
+    accountIds: rule.accountIds || [],
+    businessHours: rule.businessHours || { enabled: false },
+    // Slot rules are answered by POST /agent/chatbot/turn, which keeps the
+    // multi-turn state; the bridge must not reply to them from `response`
+    // directly.
+    slots: rule.slots || [],
+    slotSessionMinutes: rule.slotSessionMinutes
+});
+
 router.get('/agent/chatbot/config', agentAuthMiddleware, async (req, res) => {
     try {
         const userId = req.crmDevice.userId;
@@ -3397,19 +4390,7 @@ router.get('/agent/chatbot/config', agentAuthMiddleware, async (req, res) => {
         const snapshot = buildChatbotConfigSnapshot({
             version,
             settings,
-            rules: rules.map((rule) => ({
-                id: String(rule._id),
-                name: rule.name,
-                keywords: rule.keywords || [],
-                matchMode: rule.matchMode,
-                response: rule.response,
-                isActive: rule.isActive,
-                priority: rule.priority,
-                channelScope: rule.channelScope,
-                handoffKeywords: rule.handoffKeywords || [],
-                accountIds: rule.accountIds || [],
-                businessHours: rule.businessHours || { enabled: false }
-            })),
+            rules: rules.map(toChatbotRuleSnapshot),
             crmThreadKeys: crmConversations.map(
                 (conversation) => `${conversation.accountId}:${conversation.threadId}`
             ),
@@ -3583,7 +4564,11 @@ router.post(
             const historyBlock = historyTurns.length
                 ? `\n\nLich su hoi thoai gan day (cu -> moi):\n${historyTurns.join('\n')}`
                 : '';
-            const promptContent = `${aiInstructions}${knowledge}${sendInstructions}${historyBlock}\n\nTin nhan khach hang: ${customerMessage}`;
+            // Knowledge-base passages for this question; the bridge passes the
+            // returned `citations` on to /agent/chatbot/audit.
+            const passages = await knowledgeSearch.search(userId, customerMessage);
+            const knowledgeBase = buildKnowledgePromptBlock(passages);
+            const promptContent = `${aiInstructions}${knowledge}${knowledgeBase}${sendInstructions}${historyBlock}\n\nTin nhan khach hang: ${customerMessage}`;
             const quotaUnits = getChatbotModelQuotaUnits(settings.aiModel);
             const { aiResponse, usageDoc, quota } = await runCrmAiWithQuota(req, {
                 promptContent,
@@ -3593,10 +4578,12 @@ router.post(
                 model: settings.aiModel,
                 temperature: settings.temperature,
                 forceGcliDirect: true,
-                quotaUnits
+                quotaUnits,
+                accountId: req.body.accountId
             });
+            const { reply: citedReply, citations } = resolveKnowledgeCitations(aiResponse.text, passages);
             const { reply, attachments } = resolveChatbotReplyAttachments(
-                aiResponse.text,
+                citedReply,
                 attachmentCatalog
             );
             res.json({
@@ -3604,6 +4591,7 @@ router.post(
                 data: {
                     reply,
                     attachments,
+                    citations,
                     usage: {
                         id: usageDoc._id,
                         model: aiResponse.model || settings.aiModel,
@@ -3619,8 +4607,9 @@ router.post(
                 && /quota/i.test(error.message || '');
             res.status(error.statusCode || 502).json({
                 success: false,
-                code: quotaExceeded ? 'QUOTA_EXCEEDED' : 'AI_UNAVAILABLE',
-                message: error.message || 'Chatbot AI khong kha dung.'
+                code: error.aiBudget ? 'AI_BUDGET_EXCEEDED' : quotaExceeded ? 'QUOTA_EXCEEDED' : 'AI_UNAVAILABLE',
+                message: error.message || 'Chatbot AI khong kha dung.',
+                ...(error.aiBudget ? { budget: error.aiBudget } : {})
             });
         }
     }
@@ -3688,6 +4677,29 @@ router.post('/agent/chatbot/audit', agentAuthMiddleware, async (req, res) => {
         if (req.body.aiUsageId && /^[a-f\d]{24}$/i.test(String(req.body.aiUsageId))) {
             update.aiUsageId = req.body.aiUsageId;
         }
+        // Chunk ids from the generate response; only this tenant's passages
+        // are recorded, snapshotted from the stored chunk.
+        const citedChunkIds = Array.isArray(req.body.citations)
+            ? req.body.citations
+                .map((item) => String(item?.chunkId || item || ''))
+                .filter((id) => /^[a-f\d]{24}$/i.test(id))
+                .slice(0, 10)
+            : [];
+        if (citedChunkIds.length > 0) {
+            const chunks = await CrmKnowledgeChunk.find({ _id: { $in: citedChunkIds }, userId })
+                .select('documentId text')
+                .lean();
+            const documents = await CrmKnowledgeDocument.find({ _id: { $in: chunks.map((chunk) => chunk.documentId) }, userId })
+                .select('title')
+                .lean();
+            const titles = new Map(documents.map((doc) => [String(doc._id), doc.title]));
+            update.citations = chunks.map((chunk) => ({
+                documentId: chunk.documentId,
+                chunkId: chunk._id,
+                title: titles.get(String(chunk.documentId)) || '',
+                excerpt: String(chunk.text).slice(0, 300)
+            }));
+        }
         const log = await CrmChatbotLog.findOneAndUpdate(
             { userId, idempotencyKey },
             { $setOnInsert: update },
@@ -3704,7 +4716,52 @@ router.post('/agent/chatbot/audit', agentAuthMiddleware, async (req, res) => {
     }
 });
 
-router.get('/chatbot/settings', authMiddleware, async (req, res) => {
+// POST /api/crm/agent/chatbot/turn - { accountId, threadId, threadType, message }.
+// Rules with slots keep their multi-turn state here: the bridge sends each 1:1
+// message that matched a slot rule in the snapshot, or arrived while the last
+// turn's `mode` was 'prompt', and replies with `text` for prompt/complete.
+router.post('/agent/chatbot/turn', agentAuthMiddleware, async (req, res) => {
+    try {
+        const userId = req.crmDevice.userId;
+        const accountId = String(req.body.accountId || '').trim();
+        const threadId = String(req.body.threadId || '').trim();
+        const threadType = normalizeThreadType(req.body.threadType);
+        const message = String(req.body.message || '').trim().slice(0, 4000);
+        if (!accountId || !threadId || !message) {
+            return res.status(400).json({
+                success: false,
+                code: 'MESSAGE_REQUIRED',
+                message: 'accountId, threadId va message la bat buoc.'
+            });
+        }
+        const conversation = await CrmConversation.findOne({ userId, accountId, threadId, threadType });
+        if (!conversation) {
+            return res.status(404).json({ success: false, code: 'CONVERSATION_NOT_FOUND', message: 'Khong tim thay hoi thoai.' });
+        }
+        const settings = await getChatbotSettings(userId);
+        if (!settings.enabled || !settings.keywordRulesEnabled) {
+            return res.status(409).json({ success: false, code: 'RULES_DISABLED', message: 'Kich ban chatbot dang tat.' });
+        }
+        if (hasHandoffKeyword(settings, message)) {
+            if (conversation.chatbotSession) {
+                await CrmConversation.updateOne({ _id: conversation._id, userId }, { $set: { chatbotSession: null } });
+            }
+            return res.json({ success: true, data: { mode: 'handoff', text: '', ruleId: null, values: {}, pendingSlot: '', customerUpdated: false } });
+        }
+
+        const rules = (await CrmChatbotRule.find({ userId, isActive: true, channelScope: { $in: ['all', threadType] } })
+            .sort({ priority: 1, createdAt: -1 })
+            .lean())
+            .filter((rule) => !rule.accountIds?.length || rule.accountIds.includes(accountId));
+        const turn = await runChatbotSlotTurn({ userId, conversation, message, rules });
+        res.json({ success: true, data: turn });
+    } catch (error) {
+        console.error('Agent chatbot turn error:', error);
+        res.status(500).json({ success: false, code: 'CHATBOT_TURN_FAILED', message: 'Loi server khi xu ly kich ban chatbot.' });
+    }
+});
+
+router.get('/chatbot/settings', crmAuthMiddleware, async (req, res) => {
     try {
         const storedSettings = await getChatbotSettings(req.user._id);
         const body = req.body || {};
@@ -3725,7 +4782,7 @@ router.get('/chatbot/settings', authMiddleware, async (req, res) => {
     }
 });
 
-router.put('/chatbot/settings', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.put('/chatbot/settings', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const settings = await saveChatbotSettings(req.user._id, req.body || {});
         res.json({ success: true, data: settings });
@@ -3735,7 +4792,7 @@ router.put('/chatbot/settings', authMiddleware, requireActiveSubscription, async
     }
 });
 
-router.get('/chatbot/rules', authMiddleware, async (req, res) => {
+router.get('/chatbot/rules', crmAuthMiddleware, async (req, res) => {
     try {
         let rules = await CrmChatbotRule.find({ userId: req.user._id }).sort({ priority: 1, createdAt: -1 });
         if (rules.length === 0) {
@@ -3786,21 +4843,28 @@ router.get('/chatbot/rules', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/chatbot/rules', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/chatbot/rules', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const keywords = Array.isArray(req.body.keywords)
             ? req.body.keywords
             : String(req.body.keyword || '').split(',').map((item) => item.trim()).filter(Boolean);
         if (!req.body.name && keywords.length === 0) return res.status(400).json({ success: false, message: 'Can ten hoac tu khoa kich ban.' });
         if (!req.body.response) return res.status(400).json({ success: false, message: 'Can noi dung phan hoi.' });
+        const matchMode = req.body.matchMode || 'contains';
+        const matchError = validateChatbotRuleMatch(matchMode, keywords);
+        if (matchError) return res.status(400).json({ success: false, message: matchError });
+        const { slots, error: slotError } = normalizeChatbotSlots(req.body.slots);
+        if (slotError) return res.status(400).json({ success: false, message: slotError });
 
         const rule = await CrmChatbotRule.create({
             userId: req.user._id,
             name: req.body.name || keywords[0],
             description: req.body.description ? String(req.body.description).slice(0, 1000) : '',
             keywords,
-            matchMode: req.body.matchMode || 'contains',
+            matchMode,
             response: req.body.response,
+            slots,
+            slotSessionMinutes: normalizeSlotSessionMinutes(req.body.slotSessionMinutes),
             isActive: req.body.isActive !== false,
             priority: Number(req.body.priority) || 100,
             channelScope: req.body.channelScope || 'user',
@@ -3816,9 +4880,26 @@ router.post('/chatbot/rules', authMiddleware, requireActiveSubscription, async (
     }
 });
 
-router.put('/chatbot/rules/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.put('/chatbot/rules/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
-        const updateData = sanitizeUpdate(req.body, ['name', 'description', 'keywords', 'matchMode', 'response', 'isActive', 'priority', 'channelScope', 'handoffKeywords', 'businessHours', 'accountIds']);
+        const updateData = sanitizeUpdate(req.body, ['name', 'description', 'keywords', 'matchMode', 'response', 'isActive', 'priority', 'channelScope', 'handoffKeywords', 'businessHours', 'accountIds', 'slots', 'slotSessionMinutes']);
+        const existing = await CrmChatbotRule.findOne({ _id: req.params.id, userId: req.user._id }).lean();
+        if (!existing) return res.status(404).json({ success: false, message: 'Khong tim thay kich ban chatbot.' });
+        if (updateData.matchMode !== undefined || updateData.keywords !== undefined) {
+            const matchError = validateChatbotRuleMatch(
+                updateData.matchMode ?? existing.matchMode,
+                updateData.keywords ?? existing.keywords
+            );
+            if (matchError) return res.status(400).json({ success: false, message: matchError });
+        }
+        if (updateData.slots !== undefined) {
+            const { slots, error: slotError } = normalizeChatbotSlots(updateData.slots);
+            if (slotError) return res.status(400).json({ success: false, message: slotError });
+            updateData.slots = slots;
+        }
+        if (updateData.slotSessionMinutes !== undefined) {
+            updateData.slotSessionMinutes = normalizeSlotSessionMinutes(updateData.slotSessionMinutes);
+        }
         const rule = await CrmChatbotRule.findOneAndUpdate(
             { _id: req.params.id, userId: req.user._id },
             { $set: updateData },
@@ -3832,7 +4913,7 @@ router.put('/chatbot/rules/:id', authMiddleware, requireActiveSubscription, asyn
     }
 });
 
-router.delete('/chatbot/rules/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.delete('/chatbot/rules/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const result = await CrmChatbotRule.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
         if (!result) return res.status(404).json({ success: false, message: 'Khong tim thay kich ban chatbot.' });
@@ -3843,7 +4924,7 @@ router.delete('/chatbot/rules/:id', authMiddleware, requireActiveSubscription, a
     }
 });
 
-router.get('/chatbot/logs', authMiddleware, async (req, res) => {
+router.get('/chatbot/logs', crmAuthMiddleware, async (req, res) => {
     try {
         const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
         const query = { userId: req.user._id };
@@ -3859,7 +4940,7 @@ router.get('/chatbot/logs', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/chatbot/test', crmAiLimiter, authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/chatbot/test', crmAiLimiter, crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const message = String(req.body.message || '').trim();
         const threadType = normalizeThreadType(req.body.threadType);
@@ -3886,17 +4967,48 @@ router.post('/chatbot/test', crmAiLimiter, authMiddleware, requireActiveSubscrip
         }
 
         const rules = await CrmChatbotRule.find({ userId: req.user._id, isActive: true, channelScope: { $in: ['all', threadType] } }).sort({ priority: 1, createdAt: -1 });
-        const matchedRule = rules.find((rule) => !hasHandoffKeyword(rule, message) && matchChatbotRule(rule, message));
+        // Slot rules are tested statelessly: the client sends back the
+        // `slotSession` of the previous answer to continue the dialog.
+        const slotSession = req.body.slotSession?.ruleId ? req.body.slotSession : null;
+        let matchedRule = slotSession ? rules.find((rule) => String(rule._id) === String(slotSession.ruleId)) : null;
+        let captures = {};
+        if (!matchedRule) {
+            for (const rule of rules) {
+                if (hasHandoffKeyword(rule, message)) continue;
+                const match = matchChatbotRuleDetailed(rule, message);
+                if (match.matched) {
+                    matchedRule = rule;
+                    captures = match.captures;
+                    break;
+                }
+            }
+        }
         if (matchedRule) {
-            const log = await CrmChatbotLog.create({
-                userId: req.user._id,
+            let text = matchedRule.response;
+            let nextSlotSession = null;
+            if (matchedRule.slots?.length > 0) {
+                const plan = planSlotTurn({
+                    rule: matchedRule,
+                    session: slotSession && String(slotSession.ruleId) === String(matchedRule._id) ? slotSession : null,
+                    message,
+                    captures
+                });
+                if (plan.status === 'prompt') {
+                    text = plan.text;
+                    nextSlotSession = { ruleId: matchedRule._id, values: plan.values, pendingSlot: plan.slot.name, attempts: plan.attempts };
+                } else {
+                    text = plan.status === 'complete' ? renderSlotResponse(matchedRule, { values: plan.values }) : '';
+                }
+            }
+            const log = await CrmChatbotLog.create({
+                userId: req.user._id,
                 ruleId: matchedRule._id,
                 mode: 'keyword',
                 promptPreview: previewText(message),
-                responsePreview: previewText(matchedRule.response),
+                responsePreview: previewText(text),
                 status: 'succeeded'
             });
-            return res.json({ success: true, data: { mode: 'keyword', text: matchedRule.response, rule: matchedRule, log, quota: getQuotaPayload(req.crmSubscription) } });
+            return res.json({ success: true, data: { mode: 'keyword', text, rule: matchedRule, slotSession: nextSlotSession, log, quota: getQuotaPayload(req.crmSubscription) } });
         }
 
         if (!settings.aiEnabled) {
@@ -3917,7 +5029,8 @@ router.post('/chatbot/test', crmAiLimiter, authMiddleware, requireActiveSubscrip
             `Pham vi tu dong: ca nhan=${settings.personalAudience}; nhom=${settings.groupAudience}. Neu can gui file/anh/link, chi quyet dinh dung tai lieu nao; agent Zalo tren may nguoi dung moi thuc hien gui that.`
         ].filter(Boolean).join('\n\n');
         const knowledge = settings.knowledgeSnippets?.length ? `\n\nKien thuc noi bo:\n${settings.knowledgeSnippets.join('\n---\n')}` : '';
-        const promptContent = `${aiInstructions}${knowledge}\n\nTin nhan khach hang: ${message}`;
+        const passages = await knowledgeSearch.search(req.user._id, message);
+        const promptContent = `${aiInstructions}${knowledge}${buildKnowledgePromptBlock(passages)}\n\nTin nhan khach hang: ${message}`;
         const quotaUnits = getChatbotModelQuotaUnits(settings.aiModel);
         const { aiResponse, usageDoc, quota } = await runCrmAiWithQuota(req, {
             promptContent,
@@ -3929,20 +5042,23 @@ router.post('/chatbot/test', crmAiLimiter, authMiddleware, requireActiveSubscrip
             forceGcliDirect: true,
             quotaUnits
         });
+        const { reply, citations } = resolveKnowledgeCitations(aiResponse.text, passages);
         const log = await CrmChatbotLog.create({
             userId: req.user._id,
             mode: 'ai',
             aiUsageId: usageDoc._id,
             promptPreview: previewText(message),
-            responsePreview: previewText(aiResponse.text),
-            status: 'succeeded'
+            responsePreview: previewText(reply),
+            status: 'succeeded',
+            citations
         });
 
         res.json({
             success: true,
             data: {
                 mode: 'ai',
-                text: aiResponse.text,
+                text: reply,
+                citations,
                 model: aiResponse.model || settings.aiModel,
                 quotaCost: quotaUnits,
                 log,
@@ -3955,11 +5071,241 @@ router.post('/chatbot/test', crmAiLimiter, authMiddleware, requireActiveSubscrip
     }
 });
 
+// --- CHATBOT REPLAY ---
+// Dry run of the current settings and active rules over past inbound
+// messages, processed by runChatbotReplayJobs; progress arrives as
+// chatbot.replay.progress SSE. Predictions never send or call AI.
+const CHATBOT_REPLAY_LIST_FIELDS = '-rows -config';
+
+// POST /api/crm/chatbot/replays - body: { from, to, threadType, accountIds }
+router.post('/chatbot/replays', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const now = new Date();
+        const to = req.body.to ? new Date(req.body.to) : now;
+        const from = req.body.from ? new Date(req.body.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+            return res.status(400).json({ success: false, message: 'Khoang thoi gian khong hop le.' });
+        }
+        if (to.getTime() - from.getTime() > MAX_REPLAY_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ success: false, message: `Khoang thoi gian toi da ${MAX_REPLAY_WINDOW_DAYS} ngay.` });
+        }
+        const threadType = ['user', 'group', 'all'].includes(req.body.threadType) ? req.body.threadType : 'user';
+        const accountIds = Array.isArray(req.body.accountIds)
+            ? [...new Set(req.body.accountIds.map((item) => String(item).trim()).filter(Boolean))].slice(0, 50)
+            : [];
+
+        const running = await CrmChatbotReplayJob.exists({ userId: req.user._id, status: { $in: ['queued', 'processing'] } });
+        if (running) return res.status(409).json({ success: false, message: 'Dang co mot lan replay chatbot chua xong.' });
+
+        const [settings, rules] = await Promise.all([
+            getChatbotSettings(req.user._id),
+            CrmChatbotRule.find({ userId: req.user._id, isActive: true }).sort({ priority: 1, createdAt: -1 }).lean()
+        ]);
+        const job = await CrmChatbotReplayJob.create({
+            userId: req.user._id,
+            createdBy: req.crmActor?._id || req.user._id,
+            from,
+            to: to > now ? now : to,
+            threadType,
+            accountIds,
+            config: { settings, rules: rules.map(toChatbotRuleSnapshot) }
+        });
+        const { rows, config, ...data } = job.toObject();
+        res.status(201).json({ success: true, data });
+    } catch (error) {
+        console.error('Create chatbot replay error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tao replay chatbot.' });
+    }
+});
+
+// GET /api/crm/chatbot/replays
+router.get('/chatbot/replays', crmAuthMiddleware, async (req, res) => {
+    try {
+        const jobs = await CrmChatbotReplayJob.find({ userId: req.user._id })
+            .select(CHATBOT_REPLAY_LIST_FIELDS)
+            .sort({ createdAt: -1 })
+            .limit(20);
+        res.json({ success: true, data: jobs });
+    } catch (error) {
+        console.error('List chatbot replays error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai replay chatbot.' });
+    }
+});
+
+// GET /api/crm/chatbot/replays/:id - includes the changed messages
+router.get('/chatbot/replays/:id', crmAuthMiddleware, async (req, res) => {
+    try {
+        const job = await CrmChatbotReplayJob.findOne({ _id: req.params.id, userId: req.user._id }).lean();
+        if (!job) return res.status(404).json({ success: false, message: 'Khong tim thay replay chatbot.' });
+        res.json({ success: true, data: job });
+    } catch (error) {
+        console.error('Get chatbot replay error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai replay chatbot.' });
+    }
+});
+
+// POST /api/crm/chatbot/replays/:id/cancel
+router.post('/chatbot/replays/:id/cancel', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const job = await CrmChatbotReplayJob.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id, status: { $in: ['queued', 'processing'] } },
+            { $set: { status: 'cancelled', lockedAt: null, finishedAt: new Date() } },
+            { new: true }
+        ).select(CHATBOT_REPLAY_LIST_FIELDS);
+        if (!job) return res.status(404).json({ success: false, message: 'Khong tim thay replay chatbot dang chay.' });
+        res.json({ success: true, data: job });
+    } catch (error) {
+        console.error('Cancel chatbot replay error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi huy replay chatbot.' });
+    }
+});
+
+// --- CHATBOT KNOWLEDGE BASE ---
+// Flow: create document (presigned upload URL) -> PUT file to storage ->
+// /uploaded (chunked and indexed). Ready, active documents are searched with
+// BM25 for every AI chatbot answer and cited as [K1], [K2]...
+
+// GET /api/crm/knowledge/documents
+router.get('/knowledge/documents', crmAuthMiddleware, async (req, res) => {
+    try {
+        const documents = await CrmKnowledgeDocument.find({ userId: req.user._id }).sort({ createdAt: -1 });
+        res.json({ success: true, data: documents });
+    } catch (error) {
+        console.error('Knowledge documents list error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai kho kien thuc.' });
+    }
+});
+
+// POST /api/crm/knowledge/documents - body: { title, filename, contentType, size }
+router.post('/knowledge/documents', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const { filename, contentType } = req.body;
+        const size = Number(req.body.size) || 0;
+        const format = detectKnowledgeFormat(filename, contentType);
+        if (!filename || !format) {
+            return res.status(400).json({ success: false, message: 'Chi ho tro file TXT, MD, CSV hoac XLSX.' });
+        }
+        if (size > MAX_KNOWLEDGE_FILE_BYTES) {
+            return res.status(400).json({ success: false, message: `File toi da ${MAX_KNOWLEDGE_FILE_BYTES / 1024 / 1024}MB.` });
+        }
+        const count = await CrmKnowledgeDocument.countDocuments({ userId: req.user._id });
+        if (count >= MAX_KNOWLEDGE_DOCUMENTS) {
+            return res.status(400).json({ success: false, message: `Toi da ${MAX_KNOWLEDGE_DOCUMENTS} tai lieu.` });
+        }
+        const document = new CrmKnowledgeDocument({
+            userId: req.user._id,
+            title: String(req.body.title || filename).trim().slice(0, 200),
+            file: { key: 'pending', filename: String(filename).slice(0, 200), contentType: contentType || '', format, size }
+        });
+        document.file.key = `crm-knowledge/${req.user._id}/${document._id}-${sanitizeImportFilename(filename)}`;
+        const resolvedType = contentType || {
+            xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            csv: 'text/csv',
+            md: 'text/markdown',
+            txt: 'text/plain'
+        }[format];
+        const { presignedUrl } = await generatePresignedUploadUrl(document.file.key, resolvedType);
+        await document.save();
+        res.status(201).json({ success: true, data: { document, presignedUrl, contentType: resolvedType } });
+    } catch (error) {
+        console.error('Knowledge document create error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tao tai lieu.' });
+    }
+});
+
+// POST /api/crm/knowledge/documents/:id/uploaded - confirm upload, (re)index
+router.post('/knowledge/documents/:id/uploaded', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const document = await CrmKnowledgeDocument.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!document) return res.status(404).json({ success: false, message: 'Khong tim thay tai lieu.' });
+        const head = await headFile(document.file.key);
+        if (!head.exists) return res.status(400).json({ success: false, message: 'Chua tim thay file da upload.' });
+        if (head.size > MAX_KNOWLEDGE_FILE_BYTES) {
+            return res.status(400).json({ success: false, message: `File toi da ${MAX_KNOWLEDGE_FILE_BYTES / 1024 / 1024}MB.` });
+        }
+        try {
+            document.chunkCount = await indexKnowledgeDocument({ document, buffer: await downloadFile(document.file.key) });
+        } catch (indexError) {
+            if (!indexError.statusCode) throw indexError;
+            document.status = 'failed';
+            document.lastError = indexError.message;
+            await document.save();
+            return res.status(indexError.statusCode).json({ success: false, message: indexError.message });
+        }
+        document.status = 'ready';
+        document.file.size = head.size ?? document.file.size;
+        document.indexedAt = new Date();
+        document.lastError = '';
+        await document.save();
+        res.json({ success: true, data: document });
+    } catch (error) {
+        console.error('Knowledge document index error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi lap chi muc tai lieu.' });
+    }
+});
+
+// PUT /api/crm/knowledge/documents/:id - { title?, isActive? }
+router.put('/knowledge/documents/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const updateData = {};
+        if (req.body.title !== undefined) {
+            const title = String(req.body.title).trim().slice(0, 200);
+            if (!title) return res.status(400).json({ success: false, message: 'Tieu de la bat buoc.' });
+            updateData.title = title;
+        }
+        if (req.body.isActive !== undefined) updateData.isActive = req.body.isActive !== false;
+        const document = await CrmKnowledgeDocument.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id },
+            { $set: updateData },
+            { new: true }
+        );
+        if (!document) return res.status(404).json({ success: false, message: 'Khong tim thay tai lieu.' });
+        // Titles are part of the indexed text.
+        if (updateData.title !== undefined) knowledgeSearch.clear(req.user._id);
+        res.json({ success: true, data: document });
+    } catch (error) {
+        console.error('Knowledge document update error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi cap nhat tai lieu.' });
+    }
+});
+
+// DELETE /api/crm/knowledge/documents/:id
+router.delete('/knowledge/documents/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const document = await CrmKnowledgeDocument.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+        if (!document) return res.status(404).json({ success: false, message: 'Khong tim thay tai lieu.' });
+        await CrmKnowledgeChunk.deleteMany({ userId: req.user._id, documentId: document._id });
+        try {
+            await deleteFile(document.file.key);
+        } catch (storageError) {
+            console.error('Knowledge file delete error:', storageError);
+        }
+        res.json({ success: true, message: 'Da xoa tai lieu.' });
+    } catch (error) {
+        console.error('Knowledge document delete error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi xoa tai lieu.' });
+    }
+});
+
+// POST /api/crm/knowledge/search - { query, limit? }: what the chatbot would retrieve.
+router.post('/knowledge/search', crmAuthMiddleware, async (req, res) => {
+    try {
+        const query = String(req.body.query || '').trim().slice(0, 2000);
+        if (!query) return res.status(400).json({ success: false, message: 'Can cau hoi de tim kiem.' });
+        const limit = Math.min(20, Math.max(1, parseInt(req.body.limit) || 4));
+        const passages = await knowledgeSearch.search(req.user._id, query, limit);
+        res.json({ success: true, data: passages });
+    } catch (error) {
+        console.error('Knowledge search error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tim kiem kho kien thuc.' });
+    }
+});
+
 // ==========================================
 // 7. MANAGED GROUPS, SEGMENTS, TASKS, ANALYTICS
 // ==========================================
 
-router.get('/groups/accounts', authMiddleware, async (req, res) => {
+router.get('/groups/accounts', crmAuthMiddleware, async (req, res) => {
     try {
         const [devices, groups] = await Promise.all([
             CrmDevice.find({ userId: req.user._id, status: 'active' }).sort({ lastSeenAt: -1 }),
@@ -3986,7 +5332,7 @@ router.get('/groups/accounts', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/groups/sync', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/groups/sync', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         let device = null;
         if (req.body.deviceId) {
@@ -4014,7 +5360,7 @@ router.post('/groups/sync', authMiddleware, requireActiveSubscription, async (re
     }
 });
 
-router.get('/groups', authMiddleware, async (req, res) => {
+router.get('/groups', crmAuthMiddleware, async (req, res) => {
     try {
         const query = { userId: req.user._id };
         if (req.query.accountId) query.accountId = req.query.accountId;
@@ -4027,7 +5373,7 @@ router.get('/groups', authMiddleware, async (req, res) => {
     }
 });
 
-router.get('/groups/insights', authMiddleware, async (req, res) => {
+router.get('/groups/insights', crmAuthMiddleware, async (req, res) => {
     try {
         const query = { userId: req.user._id };
         if (req.query.status) query.status = req.query.status;
@@ -4041,7 +5387,7 @@ router.get('/groups/insights', authMiddleware, async (req, res) => {
     }
 });
 
-router.put('/groups/insights/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.put('/groups/insights/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const insight = await CrmGroupInsight.findOneAndUpdate(
             { _id: req.params.id, userId: req.user._id },
@@ -4049,6 +5395,13 @@ router.put('/groups/insights/:id', authMiddleware, requireActiveSubscription, as
             { new: true }
         );
         if (!insight) return res.status(404).json({ success: false, message: 'Khong tim thay insight.' });
+        if (req.body.status !== undefined || req.body.priority !== undefined) {
+            const customerIds = await CrmTask.distinct('customerId', { userId: req.user._id, insightId: insight._id, customerId: { $ne: null } });
+            for (const customerId of customerIds) {
+                const customer = await CrmCustomer.findOne({ _id: customerId, userId: req.user._id });
+                if (customer) await refreshLeadScore(req.user._id, customer, 'insight_updated');
+            }
+        }
         res.json({ success: true, data: insight });
     } catch (error) {
         console.error('Group insight update error:', error);
@@ -4056,7 +5409,7 @@ router.put('/groups/insights/:id', authMiddleware, requireActiveSubscription, as
     }
 });
 
-router.put('/groups/:id/manage', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.put('/groups/:id/manage', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const isManaged = req.body.isManaged !== false;
         const updateData = sanitizeUpdate(req.body, ['summaryCadence', 'tags', 'notes', 'summaryConfig']);
@@ -4081,7 +5434,7 @@ router.put('/groups/:id/manage', authMiddleware, requireActiveSubscription, asyn
     }
 });
 
-router.get('/groups/:id/messages', authMiddleware, async (req, res) => {
+router.get('/groups/:id/messages', crmAuthMiddleware, async (req, res) => {
     try {
         const group = await CrmZaloGroup.findOne({ _id: req.params.id, userId: req.user._id });
         if (!group) return res.status(404).json({ success: false, message: 'Khong tim thay nhom.' });
@@ -4100,7 +5453,7 @@ router.get('/groups/:id/messages', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/groups/:id/checkpoints', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/groups/:id/checkpoints', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const group = await CrmZaloGroup.findOne({ _id: req.params.id, userId: req.user._id });
         if (!group) return res.status(404).json({ success: false, message: 'Khong tim thay nhom.' });
@@ -4123,7 +5476,7 @@ router.post('/groups/:id/checkpoints', authMiddleware, requireActiveSubscription
     }
 });
 
-router.get('/groups/:id/checkpoints', authMiddleware, async (req, res) => {
+router.get('/groups/:id/checkpoints', crmAuthMiddleware, async (req, res) => {
     try {
         const group = await CrmZaloGroup.findOne({ _id: req.params.id, userId: req.user._id });
         if (!group) return res.status(404).json({ success: false, message: 'Khong tim thay nhom.' });
@@ -4135,7 +5488,7 @@ router.get('/groups/:id/checkpoints', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/groups/:id/summarize', crmAiLimiter, authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/groups/:id/summarize', crmAiLimiter, crmAuthMiddleware, requireActiveSubscription, requireEntitlement('groupSummaries'), async (req, res) => {
     try {
         const group = await CrmZaloGroup.findOne({ _id: req.params.id, userId: req.user._id });
         if (!group) return res.status(404).json({ success: false, message: 'Khong tim thay nhom.' });
@@ -4207,7 +5560,8 @@ router.post('/groups/:id/summarize', crmAiLimiter, authMiddleware, requireActive
             sessionId: `crm-group-summary:${req.user._id}:${group._id}`,
             requestType: 'group_summary',
             model: aiModel,
-            quotaUnits: 1
+            quotaUnits: 1,
+            accountId: group.accountId
         });
 
         const parsed = parseGroupSummaryJson(aiResponse.text);
@@ -4287,7 +5641,7 @@ router.post('/groups/:id/summarize', crmAiLimiter, authMiddleware, requireActive
     }
 });
 
-router.get('/groups/:id/summaries', authMiddleware, async (req, res) => {
+router.get('/groups/:id/summaries', crmAuthMiddleware, async (req, res) => {
     try {
         const group = await CrmZaloGroup.findOne({ _id: req.params.id, userId: req.user._id });
         if (!group) return res.status(404).json({ success: false, message: 'Khong tim thay nhom.' });
@@ -4299,7 +5653,7 @@ router.get('/groups/:id/summaries', authMiddleware, async (req, res) => {
     }
 });
 
-router.delete('/groups/:id/summaries/:summaryId', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.delete('/groups/:id/summaries/:summaryId', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const group = await CrmZaloGroup.findOne({ _id: req.params.id, userId: req.user._id });
         if (!group) return res.status(404).json({ success: false, message: 'Khong tim thay nhom.' });
@@ -4322,7 +5676,7 @@ router.get('/agent/groups/managed', agentAuthMiddleware, async (req, res) => {
     }
 });
 
-router.get('/segments', authMiddleware, async (req, res) => {
+router.get('/segments', crmAuthMiddleware, async (req, res) => {
     try {
         const segments = await CrmSegment.find({ userId: req.user._id }).sort({ updatedAt: -1 });
         res.json({ success: true, data: segments });
@@ -4332,9 +5686,24 @@ router.get('/segments', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/segments', authMiddleware, requireActiveSubscription, async (req, res) => {
+// Version-2 filters must carry a valid expression; legacy flat filters pass through.
+const validateSegmentFilters = (filters) => {
+    if (!filters || Number(filters.version) < SEGMENT_FILTER_VERSION) return null;
+    const { errors } = validateSegmentExpression(filters.expression);
+    return errors.length > 0 ? errors : null;
+};
+
+router.get('/segments/fields', crmAuthMiddleware, (req, res) => {
+    res.json({ success: true, data: { version: SEGMENT_FILTER_VERSION, fields: SEGMENT_FIELDS } });
+});
+
+router.post('/segments', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         if (!req.body.name) return res.status(400).json({ success: false, message: 'Ten segment la bat buoc.' });
+        const filterErrors = validateSegmentFilters(req.body.filters);
+        if (filterErrors) {
+            return res.status(400).json({ success: false, message: 'Bieu thuc loc segment khong hop le.', details: filterErrors });
+        }
         const segment = await CrmSegment.create({
             userId: req.user._id,
             name: req.body.name,
@@ -4348,8 +5717,12 @@ router.post('/segments', authMiddleware, requireActiveSubscription, async (req,
     }
 });
 
-router.put('/segments/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.put('/segments/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
+        const filterErrors = validateSegmentFilters(req.body.filters);
+        if (filterErrors) {
+            return res.status(400).json({ success: false, message: 'Bieu thuc loc segment khong hop le.', details: filterErrors });
+        }
         const segment = await CrmSegment.findOneAndUpdate(
             { _id: req.params.id, userId: req.user._id },
             { $set: sanitizeUpdate(req.body, ['name', 'description', 'filters']) },
@@ -4363,7 +5736,7 @@ router.put('/segments/:id', authMiddleware, requireActiveSubscription, async (re
     }
 });
 
-router.delete('/segments/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.delete('/segments/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const result = await CrmSegment.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
         if (!result) return res.status(404).json({ success: false, message: 'Khong tim thay segment.' });
@@ -4374,25 +5747,400 @@ router.delete('/segments/:id', authMiddleware, requireActiveSubscription, async
     }
 });
 
-router.post('/segments/:id/preview', authMiddleware, async (req, res) => {
+router.post('/segments/:id/preview', crmAuthMiddleware, async (req, res) => {
     try {
         const segment = await CrmSegment.findOne({ _id: req.params.id, userId: req.user._id });
         if (!segment) return res.status(404).json({ success: false, message: 'Khong tim thay segment.' });
-        const query = buildSegmentQuery(req.user._id, segment.filters || {});
+        const query = await buildSegmentQuery(req.user._id, segment.filters || {});
         const customers = await CrmCustomer.find(query).sort({ updatedAt: -1 }).limit(200);
         const total = await CrmCustomer.countDocuments(query);
         res.json({ success: true, data: { segment, customers, total } });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, details: error.details });
+        }
         console.error('Segment preview error:', error);
         res.status(500).json({ success: false, message: 'Loi server khi preview segment.' });
     }
 });
 
-router.get('/tasks', authMiddleware, async (req, res) => {
+// Preview unsaved filters while building a segment.
+router.post('/segments/preview', crmAuthMiddleware, async (req, res) => {
+    try {
+        const query = await buildSegmentQuery(req.user._id, req.body.filters || {});
+        const limit = Math.min(200, Math.max(1, parseInt(req.body.limit) || 50));
+        const [customers, total] = await Promise.all([
+            CrmCustomer.find(query).sort({ updatedAt: -1 }).limit(limit),
+            CrmCustomer.countDocuments(query)
+        ]);
+        res.json({ success: true, data: { customers, total } });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, details: error.details });
+        }
+        console.error('Segment ad-hoc preview error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi preview segment.' });
+    }
+});
+
+// --- LEAD SCORING ---
+const SCORING_MODEL_FIELDS = ['name', 'decay', 'minScore', 'maxScore'];
+
+// Mark the tenant's scores stale so the refresh job recomputes them with the
+// newly active (or edited) model.
+const invalidateLeadScores = (userId) => CrmCustomer.updateMany({ userId }, { $set: { leadScoreUpdatedAt: null } });
+
+router.get('/scoring-models', crmAuthMiddleware, async (req, res) => {
+    try {
+        const scoringModels = await CrmScoringModel.find({ userId: req.user._id }).sort({ isActive: -1, updatedAt: -1 });
+        res.json({ success: true, data: scoringModels, defaultModel: DEFAULT_SCORING_MODEL });
+    } catch (error) {
+        console.error('Scoring models list error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai mo hinh cham diem.' });
+    }
+});
+
+router.post('/scoring-models', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        if (!req.body.name || !String(req.body.name).trim()) {
+            return res.status(400).json({ success: false, message: 'Ten mo hinh cham diem la bat buoc.' });
+        }
+        const { rules, error } = normalizeScoringRules(req.body.rules);
+        if (error) return res.status(400).json({ success: false, message: error });
+        const scoringModel = await CrmScoringModel.create({
+            ...sanitizeUpdate(req.body, SCORING_MODEL_FIELDS),
+            userId: req.user._id,
+            name: String(req.body.name).trim(),
+            rules,
+            isActive: false
+        });
+        res.json({ success: true, data: scoringModel });
+    } catch (error) {
+        console.error('Scoring model create error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tao mo hinh cham diem.' });
+    }
+});
+
+router.put('/scoring-models/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const updateData = sanitizeUpdate(req.body, SCORING_MODEL_FIELDS);
+        if (req.body.rules !== undefined) {
+            const { rules, error } = normalizeScoringRules(req.body.rules);
+            if (error) return res.status(400).json({ success: false, message: error });
+            updateData.rules = rules;
+        }
+        const scoringModel = await CrmScoringModel.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id },
+            { $set: updateData },
+            { new: true, runValidators: true }
+        );
+        if (!scoringModel) return res.status(404).json({ success: false, message: 'Khong tim thay mo hinh cham diem.' });
+        if (scoringModel.isActive) await invalidateLeadScores(req.user._id);
+        res.json({ success: true, data: scoringModel });
+    } catch (error) {
+        console.error('Scoring model update error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi cap nhat mo hinh cham diem.' });
+    }
+});
+
+// POST /api/crm/scoring-models/:id/activate  (id 'default' reverts to the built-in model)
+router.post('/scoring-models/:id/activate', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        let scoringModel = null;
+        if (req.params.id !== 'default') {
+            scoringModel = await CrmScoringModel.findOne({ _id: req.params.id, userId: req.user._id });
+            if (!scoringModel) return res.status(404).json({ success: false, message: 'Khong tim thay mo hinh cham diem.' });
+        }
+        await CrmScoringModel.updateMany({ userId: req.user._id, isActive: true }, { $set: { isActive: false } });
+        if (scoringModel) {
+            scoringModel.isActive = true;
+            await scoringModel.save();
+        }
+        await invalidateLeadScores(req.user._id);
+        await CrmAuditLog.create({
+            userId: req.user._id,
+            subscriptionId: req.crmSubscription?._id,
+            action: 'scoring_model_activated',
+            details: { scoringModelId: scoringModel?._id || null, name: scoringModel?.name || DEFAULT_SCORING_MODEL.name }
+        });
+        res.json({ success: true, data: scoringModel || DEFAULT_SCORING_MODEL });
+    } catch (error) {
+        console.error('Scoring model activate error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi kich hoat mo hinh cham diem.' });
+    }
+});
+
+router.delete('/scoring-models/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const result = await CrmScoringModel.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+        if (!result) return res.status(404).json({ success: false, message: 'Khong tim thay mo hinh cham diem.' });
+        if (result.isActive) await invalidateLeadScores(req.user._id);
+        res.json({ success: true, message: 'Da xoa mo hinh cham diem.' });
+    } catch (error) {
+        console.error('Scoring model delete error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi xoa mo hinh cham diem.' });
+    }
+});
+
+// Score one customer with a (not necessarily active) model without saving.
+router.post('/scoring-models/:id/preview', crmAuthMiddleware, async (req, res) => {
+    try {
+        const scoringModel = req.params.id === 'default'
+            ? DEFAULT_SCORING_MODEL
+            : await CrmScoringModel.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!scoringModel) return res.status(404).json({ success: false, message: 'Khong tim thay mo hinh cham diem.' });
+        const customer = await CrmCustomer.findOne({ _id: req.body.customerId, userId: req.user._id });
+        if (!customer) return res.status(404).json({ success: false, message: 'Khong tim thay khach hang.' });
+        const facts = await collectScoringFacts({ model: scoringModel, userId: req.user._id, customer });
+        const result = evaluateScoringModel({ model: scoringModel, customer, facts });
+        res.json({ success: true, data: { ...result, currentScore: customer.leadScore || 0 } });
+    } catch (error) {
+        console.error('Scoring model preview error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi xem truoc diem.' });
+    }
+});
+
+router.post('/customers/:id/score/recompute', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const result = await recomputeCustomerScore({ userId: req.user._id, customerId: req.params.id, reason: 'manual' });
+        if (!result) return res.status(404).json({ success: false, message: 'Khong tim thay khach hang.' });
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Customer score recompute error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tinh lai diem.' });
+    }
+});
+
+router.get('/customers/:id/score-history', crmAuthMiddleware, async (req, res) => {
+    try {
+        const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+        const history = await CrmLeadScoreHistory.find({ userId: req.user._id, customerId: req.params.id })
+            .sort({ createdAt: -1 })
+            .limit(limit);
+        res.json({ success: true, data: history });
+    } catch (error) {
+        console.error('Customer score history error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai lich su diem.' });
+    }
+});
+
+// --- DRIP SEQUENCES ---
+const SEQUENCE_UPDATE_FIELDS = ['name', 'description', 'status', 'channel', 'exitConditions', 'selectedDeviceId', 'selectedAccountId', 'timezone', 'rateLimit'];
+
+const validateSequenceSteps = async (userId, input) => {
+    const { steps, error } = normalizeSequenceSteps(input);
+    if (error) return { steps, error };
+    const templateIds = [...new Set(steps.map((step) => String(step.templateId)))];
+    const ownedTemplateCount = await CrmTemplate.countDocuments({ _id: { $in: templateIds }, userId });
+    if (ownedTemplateCount !== templateIds.length) {
+        return { steps: [], error: 'Khong tim thay mau tin nhan cua buoc.' };
+    }
+    return { steps, error: null };
+};
+
+router.get('/sequences', crmAuthMiddleware, async (req, res) => {
+    try {
+        const query = { userId: req.user._id };
+        if (req.query.status) query.status = req.query.status;
+        const sequences = await CrmSequence.find(query).sort({ updatedAt: -1 });
+        res.json({ success: true, data: sequences });
+    } catch (error) {
+        console.error('Sequences list error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai chuoi tin nhan.' });
+    }
+});
+
+router.post('/sequences', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        if (!req.body.name || !String(req.body.name).trim()) {
+            return res.status(400).json({ success: false, message: 'Ten chuoi tin nhan la bat buoc.' });
+        }
+        const { steps, error } = await validateSequenceSteps(req.user._id, req.body.steps);
+        if (error) return res.status(400).json({ success: false, message: error });
+        if (req.body.timezone && !isValidTimeZone(req.body.timezone)) {
+            return res.status(400).json({ success: false, message: 'Mui gio khong hop le.' });
+        }
+
+        const sequence = await CrmSequence.create({
+            ...sanitizeUpdate(req.body, SEQUENCE_UPDATE_FIELDS),
+            userId: req.user._id,
+            name: String(req.body.name).trim(),
+            steps,
+            trigger: normalizeSequenceTrigger(req.body.trigger)
+        });
+        res.json({ success: true, data: sequence });
+    } catch (error) {
+        console.error('Sequence create error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tao chuoi tin nhan.' });
+    }
+});
+
+router.get('/sequences/:id', crmAuthMiddleware, async (req, res) => {
+    try {
+        const sequence = await CrmSequence.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!sequence) return res.status(404).json({ success: false, message: 'Khong tim thay chuoi tin nhan.' });
+        const [statusRows, stepRows] = await Promise.all([
+            CrmSequenceEnrollment.aggregate([
+                { $match: { userId: req.user._id, sequenceId: sequence._id } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]),
+            CrmSequenceEnrollment.aggregate([
+                { $match: { userId: req.user._id, sequenceId: sequence._id, status: 'active' } },
+                { $group: { _id: '$nextStepIndex', count: { $sum: 1 } } }
+            ])
+        ]);
+        const enrollmentCounts = { active: 0, completed: 0, exited: 0 };
+        statusRows.forEach((row) => { enrollmentCounts[row._id] = row.count; });
+        const waitingByStep = sequence.steps.map((_, index) => stepRows.find((row) => row._id === index)?.count || 0);
+        res.json({ success: true, data: { sequence, enrollmentCounts, waitingByStep } });
+    } catch (error) {
+        console.error('Sequence detail error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai chuoi tin nhan.' });
+    }
+});
+
+router.put('/sequences/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const updateData = sanitizeUpdate(req.body, SEQUENCE_UPDATE_FIELDS);
+        if (updateData.status && !['draft', 'active', 'paused', 'archived'].includes(updateData.status)) {
+            return res.status(400).json({ success: false, message: 'Trang thai chuoi tin nhan khong hop le.' });
+        }
+        if (updateData.timezone && !isValidTimeZone(updateData.timezone)) {
+            return res.status(400).json({ success: false, message: 'Mui gio khong hop le.' });
+        }
+        if (req.body.steps !== undefined) {
+            const { steps, error } = await validateSequenceSteps(req.user._id, req.body.steps);
+            if (error) return res.status(400).json({ success: false, message: error });
+            updateData.steps = steps;
+        }
+        if (req.body.trigger !== undefined) {
+            updateData.trigger = normalizeSequenceTrigger(req.body.trigger);
+        }
+
+        const sequence = await CrmSequence.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id },
+            { $set: updateData },
+            { new: true, runValidators: true }
+        );
+        if (!sequence) return res.status(404).json({ success: false, message: 'Khong tim thay chuoi tin nhan.' });
+        res.json({ success: true, data: sequence });
+    } catch (error) {
+        console.error('Sequence update error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi cap nhat chuoi tin nhan.' });
+    }
+});
+
+router.delete('/sequences/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const result = await CrmSequence.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+        if (!result) return res.status(404).json({ success: false, message: 'Khong tim thay chuoi tin nhan.' });
+        await CrmSequenceEnrollment.deleteMany({ userId: req.user._id, sequenceId: result._id });
+        res.json({ success: true, message: 'Da xoa chuoi tin nhan.' });
+    } catch (error) {
+        console.error('Sequence delete error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi xoa chuoi tin nhan.' });
+    }
+});
+
+// POST /api/crm/sequences/:id/enroll  { segmentId } | { customerIds: [] }
+router.post('/sequences/:id/enroll', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const sequence = await CrmSequence.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!sequence) return res.status(404).json({ success: false, message: 'Khong tim thay chuoi tin nhan.' });
+        if (sequence.status === 'archived') {
+            return res.status(400).json({ success: false, message: 'Chuoi tin nhan da luu tru.' });
+        }
+
+        let customers = [];
+        let source = 'manual';
+        if (req.body.segmentId) {
+            const segment = await CrmSegment.findOne({ _id: req.body.segmentId, userId: req.user._id });
+            if (!segment) return res.status(404).json({ success: false, message: 'Khong tim thay segment.' });
+            customers = await CrmCustomer.find(await buildSegmentQuery(req.user._id, segment.filters || {}));
+            source = 'segment';
+        } else if (Array.isArray(req.body.customerIds) && req.body.customerIds.length > 0) {
+            customers = await CrmCustomer.find({ _id: { $in: req.body.customerIds }, userId: req.user._id });
+        } else {
+            return res.status(400).json({ success: false, message: 'Can segmentId hoac customerIds.' });
+        }
+
+        const { enrolled, skipped } = await enrollCustomers({ sequence, customers, source });
+        await CrmAuditLog.create({
+            userId: req.user._id,
+            subscriptionId: req.crmSubscription?._id,
+            action: 'sequence_enrolled',
+            details: { sequenceId: sequence._id, segmentId: req.body.segmentId || null, source, enrolled, skipped }
+        });
+        res.json({ success: true, data: { enrolled, skipped } });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, details: error.details });
+        }
+        console.error('Sequence enroll error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi ghi danh chuoi tin nhan.' });
+    }
+});
+
+router.get('/sequences/:id/enrollments', crmAuthMiddleware, async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const query = { userId: req.user._id, sequenceId: req.params.id };
+        if (req.query.status) query.status = req.query.status;
+        const [enrollments, total] = await Promise.all([
+            CrmSequenceEnrollment.find(query)
+                .populate('customerId', 'name phone lifecycleStage consentStatus')
+                .sort({ enrolledAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            CrmSequenceEnrollment.countDocuments(query)
+        ]);
+        res.json({ success: true, data: enrollments, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } });
+    } catch (error) {
+        console.error('Sequence enrollments error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai danh sach ghi danh.' });
+    }
+});
+
+router.post('/sequences/:id/enrollments/:enrollmentId/exit', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const enrollment = await CrmSequenceEnrollment.findOneAndUpdate(
+            { _id: req.params.enrollmentId, sequenceId: req.params.id, userId: req.user._id, status: 'active' },
+            { $set: { status: 'exited', exitReason: 'manual', exitedAt: new Date(), nextStepAt: null } },
+            { new: true }
+        );
+        if (!enrollment) return res.status(404).json({ success: false, message: 'Khong tim thay ghi danh dang hoat dong.' });
+        await CrmSequence.updateOne({ _id: enrollment.sequenceId }, { $inc: { 'metrics.exitedCount': 1 } });
+        res.json({ success: true, data: enrollment });
+    } catch (error) {
+        console.error('Sequence enrollment exit error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi dung ghi danh.' });
+    }
+});
+
+// Per-customer enrollment state for the customer detail panel.
+router.get('/customers/:id/sequences', crmAuthMiddleware, async (req, res) => {
+    try {
+        const enrollments = await CrmSequenceEnrollment.find({ userId: req.user._id, customerId: req.params.id })
+            .populate('sequenceId', 'name status steps')
+            .sort({ enrolledAt: -1 });
+        const data = enrollments.map((enrollment) => ({
+            ...enrollment.toObject(),
+            totalSteps: enrollment.sequenceId?.steps?.length || 0
+        }));
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Customer sequences error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai chuoi tin nhan cua khach hang.' });
+    }
+});
+
+router.get('/tasks', crmAuthMiddleware, async (req, res) => {
     try {
         const query = { userId: req.user._id };
         if (req.query.status) query.status = req.query.status;
         if (req.query.priority) query.priority = req.query.priority;
+        if (req.query.assignedTo === 'me') query.assignedTo = req.crmActor._id;
         const tasks = await CrmTask.find(query)
             .populate('customerId', 'name phone lifecycleStage')
             .populate('groupId', 'name accountId groupId')
@@ -4405,15 +6153,12 @@ router.get('/tasks', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/tasks', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/tasks', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         if (!req.body.title) return res.status(400).json({ success: false, message: 'Tieu de task la bat buoc.' });
-        let leadScoreSnapshot = 0;
-        if (req.body.customerId) {
-            const customer = await CrmCustomer.findOne({ _id: req.body.customerId, userId: req.user._id });
-            const recentInboundCount = await CrmMessage.countDocuments({ userId: req.user._id, direction: 'inbound', createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }, ...(req.body.conversationId ? { conversationId: req.body.conversationId } : {}) });
-            leadScoreSnapshot = calculateCrmLeadScore({ customer, recentInboundCount, manualAdjustment: req.body.manualScoreAdjustment || 0 });
-        }
+        const customer = req.body.customerId
+            ? await CrmCustomer.findOne({ _id: req.body.customerId, userId: req.user._id })
+            : null;
         const task = await CrmTask.create({
             userId: req.user._id,
             title: req.body.title,
@@ -4427,9 +6172,14 @@ router.post('/tasks', authMiddleware, requireActiveSubscription, async (req, res
             priority: req.body.priority || 'medium',
             status: req.body.status || 'open',
             ownerNote: req.body.ownerNote || '',
-            leadScoreSnapshot,
             manualScoreAdjustment: Number(req.body.manualScoreAdjustment) || 0
         });
+        if (customer) {
+            // Recompute after the task exists so an insight-linked task counts.
+            const scored = await recomputeCustomerScore({ userId: req.user._id, customer, reason: 'task_created' });
+            task.leadScoreSnapshot = Math.max(0, Math.min(100, (scored?.score || 0) + task.manualScoreAdjustment));
+            await task.save();
+        }
         res.json({ success: true, data: task });
     } catch (error) {
         console.error('Task create error:', error);
@@ -4437,7 +6187,7 @@ router.post('/tasks', authMiddleware, requireActiveSubscription, async (req, res
     }
 });
 
-router.put('/tasks/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.put('/tasks/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const task = await CrmTask.findOneAndUpdate(
             { _id: req.params.id, userId: req.user._id },
@@ -4452,7 +6202,7 @@ router.put('/tasks/:id', authMiddleware, requireActiveSubscription, async (req,
     }
 });
 
-router.delete('/tasks/:id', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.delete('/tasks/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const result = await CrmTask.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
         if (!result) return res.status(404).json({ success: false, message: 'Khong tim thay task.' });
@@ -4463,7 +6213,134 @@ router.delete('/tasks/:id', authMiddleware, requireActiveSubscription, async (re
     }
 });
 
-router.get('/analytics/funnel', authMiddleware, async (req, res) => {
+// SLA policies: response/resolution targets per channel, optionally counted
+// in business hours. Clocks run on each 1:1 conversation (see utils/crmSla.js).
+router.get('/sla-policies', crmAuthMiddleware, async (req, res) => {
+    try {
+        const policies = await CrmSlaPolicy.find({ userId: req.user._id }).sort({ createdAt: 1 });
+        res.json({ success: true, data: policies });
+    } catch (error) {
+        console.error('SLA policy list error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai chinh sach SLA.' });
+    }
+});
+
+router.post('/sla-policies', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const { data, error } = normalizeSlaPolicyInput({ ...req.body, name: req.body.name ?? '' });
+        if (error) return res.status(400).json({ success: false, message: error });
+        const policy = await CrmSlaPolicy.create({ userId: req.user._id, ...data });
+        res.status(201).json({ success: true, data: policy });
+    } catch (error) {
+        console.error('SLA policy create error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tao chinh sach SLA.' });
+    }
+});
+
+// Changes apply to support cycles that start afterwards; running clocks keep
+// the deadlines they were given.
+router.put('/sla-policies/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const existing = await CrmSlaPolicy.findOne({ _id: req.params.id, userId: req.user._id }).lean();
+        if (!existing) return res.status(404).json({ success: false, message: 'Khong tim thay chinh sach SLA.' });
+        const { data, error } = normalizeSlaPolicyInput(req.body, existing);
+        if (error) return res.status(400).json({ success: false, message: error });
+        const policy = await CrmSlaPolicy.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id },
+            { $set: data },
+            { new: true }
+        );
+        if (!policy) return res.status(404).json({ success: false, message: 'Khong tim thay chinh sach SLA.' });
+        res.json({ success: true, data: policy });
+    } catch (error) {
+        console.error('SLA policy update error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi cap nhat chinh sach SLA.' });
+    }
+});
+
+router.delete('/sla-policies/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const policy = await CrmSlaPolicy.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+        if (!policy) return res.status(404).json({ success: false, message: 'Khong tim thay chinh sach SLA.' });
+        res.json({ success: true, message: 'Da xoa chinh sach SLA.' });
+    } catch (error) {
+        console.error('SLA policy delete error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi xoa chinh sach SLA.' });
+    }
+});
+
+// CSAT survey settings: when on, resolving a 1:1 conversation sends the prompt
+// through the same channel and the customer's 1-5 / emoji reply is recorded.
+router.get('/csat/settings', crmAuthMiddleware, async (req, res) => {
+    try {
+        res.json({ success: true, data: await getCsatSettings(req.user._id) });
+    } catch (error) {
+        console.error('CSAT settings get error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai cai dat CSAT.' });
+    }
+});
+
+router.put('/csat/settings', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const settings = await saveCsatSettings(req.user._id, req.body);
+        await CrmAuditLog.create({
+            userId: req.user._id,
+            subscriptionId: req.crmSubscription._id,
+            action: 'csat_settings_updated',
+            details: { ...settings, actorUserId: req.crmActor._id }
+        });
+        res.json({ success: true, data: settings });
+    } catch (error) {
+        if (error.statusCode) return res.status(error.statusCode).json({ success: false, message: error.message });
+        console.error('CSAT settings update error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi luu cai dat CSAT.' });
+    }
+});
+
+// --- WEBCHAT WIDGET SETTINGS ---
+// Widgets are registered by the Desktop Agent (/agent/channels/register); the
+// owner tunes the pre-chat form, attachments and offline schedule here.
+const WEBCHAT_SETTINGS_FIELDS = 'externalAccountId widgetName enabled preChatForm attachmentsEnabled businessHours offlineMessage';
+
+// GET /api/crm/webchat/widgets
+router.get('/webchat/widgets', crmAuthMiddleware, async (req, res) => {
+    try {
+        const widgets = await CrmChannelIntegration.find({ userId: req.user._id, channel: 'webchat' })
+            .select(WEBCHAT_SETTINGS_FIELDS)
+            .sort({ createdAt: 1 });
+        res.json({ success: true, data: widgets });
+    } catch (error) {
+        console.error('Webchat widgets list error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai widget webchat.' });
+    }
+});
+
+// PUT /api/crm/webchat/widgets/:widgetId/settings
+// body: { preChatForm: { enabled, fields: [{ name, required }] }, attachmentsEnabled, businessHours, offlineMessage }
+router.put('/webchat/widgets/:widgetId/settings', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const { data, error } = normalizeWebchatSettings(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+        const widget = await CrmChannelIntegration.findOneAndUpdate(
+            { userId: req.user._id, channel: 'webchat', externalAccountId: req.params.widgetId },
+            { $set: data },
+            { new: true }
+        ).select(WEBCHAT_SETTINGS_FIELDS);
+        if (!widget) return res.status(404).json({ success: false, message: 'Khong tim thay widget webchat.' });
+        await CrmAuditLog.create({
+            userId: req.user._id,
+            subscriptionId: req.crmSubscription._id,
+            action: 'webchat_settings_updated',
+            details: { widgetId: widget.externalAccountId, fields: Object.keys(data), actorUserId: req.crmActor._id }
+        });
+        res.json({ success: true, data: widget });
+    } catch (error) {
+        console.error('Webchat settings update error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi luu cai dat webchat.' });
+    }
+});
+
+router.get('/analytics/funnel', crmAuthMiddleware, async (req, res) => {
     try {
         const raw = await CrmCustomer.aggregate([
             { $match: { userId: req.user._id } },
@@ -4476,21 +6353,33 @@ router.get('/analytics/funnel', authMiddleware, async (req, res) => {
     }
 });
 
-router.get('/analytics/campaigns', authMiddleware, async (req, res) => {
+router.get('/analytics/campaigns', crmAuthMiddleware, async (req, res) => {
     try {
+        const match = { userId: req.user._id, createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } };
+        if (req.query.campaignId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.campaignId)) {
+                return res.status(400).json({ success: false, message: 'campaignId khong hop le.' });
+            }
+            match.campaignId = new mongoose.Types.ObjectId(String(req.query.campaignId));
+        }
         const raw = await CrmExecutionLog.aggregate([
-            { $match: { userId: req.user._id, createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } } },
+            { $match: match },
             { $group: { _id: { day: { $dateToString: { date: '$createdAt', format: '%Y-%m-%d' } }, status: '$status' }, count: { $sum: 1 } } },
             { $sort: { '_id.day': 1 } }
         ]);
-        res.json({ success: true, data: raw.map((item) => ({ date: item._id.day, status: item._id.status, count: item.count })) });
+        const variants = await aggregateVariantPerformance({ match });
+        res.json({
+            success: true,
+            data: raw.map((item) => ({ date: item._id.day, status: item._id.status, count: item.count })),
+            variants
+        });
     } catch (error) {
         console.error('Analytics campaigns error:', error);
         res.status(500).json({ success: false, message: 'Loi server khi tai analytics chien dich.' });
     }
 });
 
-router.get('/analytics/chatbot', authMiddleware, async (req, res) => {
+router.get('/analytics/chatbot', crmAuthMiddleware, async (req, res) => {
     try {
         const raw = await CrmChatbotLog.aggregate([
             { $match: { userId: req.user._id } },
@@ -4503,7 +6392,7 @@ router.get('/analytics/chatbot', authMiddleware, async (req, res) => {
     }
 });
 
-router.get('/analytics/groups', authMiddleware, async (req, res) => {
+router.get('/analytics/groups', crmAuthMiddleware, async (req, res) => {
     try {
         const [managedGroups, summaries, openInsights] = await Promise.all([
             CrmZaloGroup.countDocuments({ userId: req.user._id, isManaged: true }),
@@ -4517,9 +6406,64 @@ router.get('/analytics/groups', authMiddleware, async (req, res) => {
     }
 });
 
+// GET /api/crm/analytics/sla?from=&to= - support cycles started in the range
+// (default: last 30 days), by channel, account and assigned agent.
+router.get('/analytics/sla', crmAuthMiddleware, async (req, res) => {
+    try {
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+            return res.status(400).json({ success: false, message: 'Khoang thoi gian khong hop le.' });
+        }
+        const raw = await CrmConversation.aggregate(buildSlaReportPipeline({ userId: req.user._id, from, to }));
+        const report = formatSlaReport(raw);
+        const agentIds = report.byAgent.map((row) => row.agentId).filter(Boolean);
+        const agents = agentIds.length > 0
+            ? await User.find({ _id: { $in: agentIds } }).select('name email').lean()
+            : [];
+        const agentsById = new Map(agents.map((agent) => [String(agent._id), agent]));
+        report.byAgent = report.byAgent.map((row) => ({
+            ...row,
+            agent: row.agentId ? agentsById.get(String(row.agentId)) || null : null
+        }));
+        res.json({ success: true, data: { from, to, ...report } });
+    } catch (error) {
+        console.error('Analytics SLA error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai bao cao SLA.' });
+    }
+});
+
+// GET /api/crm/analytics/csat?from=&to= - surveys sent in the range (default:
+// last 30 days), overall, per handling agent and per channel.
+router.get('/analytics/csat', crmAuthMiddleware, async (req, res) => {
+    try {
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+            return res.status(400).json({ success: false, message: 'Khoang thoi gian khong hop le.' });
+        }
+        const raw = await CrmCsatSurvey.aggregate(buildCsatReportPipeline({ userId: req.user._id, from, to }));
+        const report = formatCsatReport(raw);
+        const agentIds = report.byAgent.map((row) => row.agentId).filter(Boolean);
+        const agents = agentIds.length > 0
+            ? await User.find({ _id: { $in: agentIds } }).select('name email').lean()
+            : [];
+        const agentsById = new Map(agents.map((agent) => [String(agent._id), agent]));
+        report.byAgent = report.byAgent.map((row) => ({
+            ...row,
+            agent: row.agentId ? agentsById.get(String(row.agentId)) || null : null
+        }));
+        res.json({ success: true, data: { from, to, ...report } });
+    } catch (error) {
+        console.error('Analytics CSAT error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai bao cao CSAT.' });
+    }
+});
+
 // Daily AI token usage (in/out) for chatbot replies + group summaries, for the
-// campaign-overview chart. Range defaults to the last 30 days.
-router.get('/analytics/ai-tokens', authMiddleware, async (req, res) => {
+// campaign-overview chart. Range defaults to the last 30 days. `budgets`
+// reports the current period's consumption against each AI budget.
+router.get('/analytics/ai-tokens', crmAuthMiddleware, async (req, res) => {
     try {
         const to = req.query.to ? new Date(req.query.to) : new Date();
         const from = req.query.from
@@ -4543,6 +6487,24 @@ router.get('/analytics/ai-tokens', authMiddleware, async (req, res) => {
             },
             { $sort: { _id: 1 } }
         ]);
+        // Consumption against each AI budget over the current period.
+        let budgets = [];
+        const sub = await CrmSubscription.findOne({ userId: req.user._id, status: { $in: ['active', 'past_due'] } });
+        if (sub?.aiBudgets?.length) {
+            const usageRows = await CrmAiUsage.aggregate([
+                { $match: { subscriptionId: sub._id, status: 'succeeded', createdAt: { $gte: sub.periodStart } } },
+                {
+                    $group: {
+                        _id: { feature: '$feature', accountId: '$accountId' },
+                        requests: { $sum: 1 },
+                        quotaUnits: { $sum: { $ifNull: ['$quotaUnits', 0] } },
+                        tokenIn: { $sum: { $ifNull: ['$tokens.promptTokens', 0] } },
+                        tokenOut: { $sum: { $ifNull: ['$tokens.completionTokens', 0] } }
+                    }
+                }
+            ]);
+            budgets = buildAiBudgetReport(sub, usageRows.map(({ _id, ...totals }) => ({ ..._id, ...totals })));
+        }
         res.json({
             success: true,
             data: rows.map((r) => ({
@@ -4550,7 +6512,8 @@ router.get('/analytics/ai-tokens', authMiddleware, async (req, res) => {
                 tokenIn: r.tokenIn || 0,
                 tokenOut: r.tokenOut || 0,
                 requests: r.requests || 0
-            }))
+            })),
+            budgets
         });
     } catch (error) {
         console.error('Analytics ai-tokens error:', error);
@@ -4558,7 +6521,7 @@ router.get('/analytics/ai-tokens', authMiddleware, async (req, res) => {
     }
 });
 
-router.get('/exports/customers', authMiddleware, async (req, res) => {
+router.get('/exports/customers', crmAuthMiddleware, async (req, res) => {
     try {
         let query = {
             userId: req.user._id,
@@ -4570,7 +6533,7 @@ router.get('/exports/customers', authMiddleware, async (req, res) => {
         if (req.query.segmentId) {
             const segment = await CrmSegment.findOne({ _id: req.query.segmentId, userId: req.user._id });
             if (!segment) return res.status(404).json({ success: false, message: 'Khong tim thay segment.' });
-            query = buildSegmentQuery(req.user._id, segment.filters || {});
+            query = { $and: [await buildSegmentQuery(req.user._id, segment.filters || {}), query] };
         }
 
         const customers = await CrmCustomer.find(query).sort({ createdAt: -1 }).limit(10000);
@@ -4604,12 +6567,15 @@ router.get('/exports/customers', authMiddleware, async (req, res) => {
         ], rows);
         res.json({ success: true, data: { filename: 'crm-customers.csv', csv, count: rows.length } });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, details: error.details });
+        }
         console.error('Customers export error:', error);
         res.status(500).json({ success: false, message: 'Loi server khi export khach hang.' });
     }
 });
 
-router.get('/exports/campaign-logs', authMiddleware, async (req, res) => {
+router.get('/exports/campaign-logs', crmAuthMiddleware, async (req, res) => {
     try {
         const logs = await CrmExecutionLog.find({ userId: req.user._id })
             .populate('campaignId', 'name channel')
@@ -4646,7 +6612,7 @@ router.get('/exports/campaign-logs', authMiddleware, async (req, res) => {
     }
 });
 
-router.get('/exports/group-summaries', authMiddleware, async (req, res) => {
+router.get('/exports/group-summaries', crmAuthMiddleware, async (req, res) => {
     try {
         const query = {
             userId: req.user._id,
@@ -4678,10 +6644,16 @@ router.get('/exports/group-summaries', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/customers/import', authMiddleware, requireActiveSubscription, async (req, res) => {
+router.post('/customers/import', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
     try {
         const rows = Array.isArray(req.body.rows) ? req.body.rows : parseCsvRows(req.body.csv || '');
         if (rows.length === 0) return res.status(400).json({ success: false, message: 'Khong co dong import hop le.' });
+        if (rows.length > MAX_INLINE_IMPORT_ROWS) {
+            return res.status(413).json({
+                success: false,
+                message: `Import truc tiep toi da ${MAX_INLINE_IMPORT_ROWS} dong. Dung /customers/import-jobs cho file lon.`
+            });
+        }
 
         const validationErrors = [];
         let createdCount = 0;
@@ -4701,7 +6673,7 @@ router.post('/customers/import', authMiddleware, requireActiveSubscription, asyn
             const duplicateQuery = {
                 userId: req.user._id,
                 $or: [
-                    ...(phone ? [{ phone }] : []),
+                    ...(phone ? [{ phone: { $in: phoneLookupVariants(phone) } }] : []),
                     ...(email ? [{ email }] : []),
                     ...(zaloUserId ? [{ zaloUserId }] : [])
                 ]
@@ -4794,6 +6766,313 @@ router.post('/admin/automation/disable', authMiddleware, adminOnly, async (req,
     }
 });
 
+// ==========================================
+// 7.5. WORKSPACE MEMBERS, ROLES & ASSIGNMENT
+// ==========================================
+//
+// Staff act in the owner's workspace by sending X-CRM-Workspace: <workspaceId>
+// (or ?workspace= on the SSE stream); see middleware/crmWorkspace.js for the
+// role policy. These routes manage the seats themselves.
+
+const serializeWorkspaceMember = (member) => {
+    const data = member.toObject ? member.toObject() : { ...member };
+    delete data.inviteTokenHash;
+    return data;
+};
+
+// Managers run the team day to day; only the owner hands out (or takes away)
+// the manager role.
+const canManageMemberRole = (actorRole, role) => actorRole === 'owner' || role !== 'manager';
+
+// GET /api/crm/workspaces - workspaces the signed-in user can act in
+router.get('/workspaces', authMiddleware, async (req, res) => {
+    try {
+        const [ownWorkspace, memberships] = await Promise.all([
+            CrmWorkspace.findOne({ ownerUserId: req.user._id }).lean(),
+            CrmWorkspaceMember.find({ userId: req.user._id, status: 'active' })
+                .populate('workspaceId')
+                .populate('ownerUserId', 'name email')
+                .lean()
+        ]);
+        const data = [{
+            workspaceId: ownWorkspace?._id || null,
+            name: ownWorkspace?.name || req.user.name || '',
+            role: 'owner',
+            owner: { _id: req.user._id, name: req.user.name, email: req.user.email }
+        }];
+        for (const membership of memberships) {
+            if (!membership.workspaceId || !membership.ownerUserId) continue;
+            data.push({
+                workspaceId: membership.workspaceId._id,
+                name: membership.workspaceId.name || membership.ownerUserId.name || '',
+                role: membership.role,
+                owner: membership.ownerUserId
+            });
+        }
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Workspace list error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai danh sach workspace.' });
+    }
+});
+
+// GET /api/crm/workspace - current workspace and the caller's role in it
+router.get('/workspace', crmAuthMiddleware, async (req, res) => {
+    try {
+        const workspace = req.crmWorkspace || await CrmWorkspace.findOne({ ownerUserId: req.user._id });
+        res.json({
+            success: true,
+            data: {
+                workspace,
+                role: req.crmRole,
+                actor: { _id: req.crmActor._id, name: req.crmActor.name, email: req.crmActor.email }
+            }
+        });
+    } catch (error) {
+        console.error('Workspace get error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai workspace.' });
+    }
+});
+
+router.put('/workspace/settings', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const update = {};
+        if (req.body.name !== undefined) update.name = String(req.body.name || '').trim().slice(0, 120);
+        if (req.body.assignmentMode !== undefined) {
+            if (!['manual', 'round_robin'].includes(req.body.assignmentMode)) {
+                return res.status(400).json({ success: false, message: 'Che do phan cong khong hop le.' });
+            }
+            update['assignment.mode'] = req.body.assignmentMode;
+        }
+        await ensureWorkspace({ ownerUserId: req.user._id, name: req.user.name });
+        const workspace = await CrmWorkspace.findOneAndUpdate(
+            { ownerUserId: req.user._id },
+            { $set: update },
+            { new: true }
+        );
+        await CrmAuditLog.create({
+            userId: req.user._id,
+            subscriptionId: req.crmSubscription._id,
+            action: 'workspace_settings_updated',
+            details: { ...update, actorUserId: req.crmActor._id }
+        });
+        res.json({ success: true, data: workspace });
+    } catch (error) {
+        console.error('Workspace settings error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi cap nhat workspace.' });
+    }
+});
+
+router.get('/workspace/members', crmAuthMiddleware, async (req, res) => {
+    try {
+        const filter = { ownerUserId: req.user._id };
+        filter.status = req.query.status ? String(req.query.status) : { $ne: 'removed' };
+        const members = await CrmWorkspaceMember.find(filter)
+            .select('-inviteTokenHash')
+            .populate('userId', 'name email avatar')
+            .sort({ createdAt: 1 })
+            .lean();
+        res.json({ success: true, data: members });
+    } catch (error) {
+        console.error('Workspace members error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi tai thanh vien.' });
+    }
+});
+
+// POST /api/crm/workspace/members - invite by email; the token is returned once
+// Seats are members other than the owner; re-inviting an email already on
+// the roster reuses its seat.
+router.post('/workspace/members', crmAuthMiddleware, requireActiveSubscription, requireEntitlement('seats', {
+    usage: async (req) => (await CrmWorkspaceMember.countDocuments({
+        ownerUserId: req.user._id,
+        status: { $ne: 'removed' },
+        email: { $ne: String(req.body.email || '').trim().toLowerCase() }
+    })) + 1
+}), async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const role = req.body.role || 'agent';
+        if (!/^\S+@\S+\.\S+$/.test(email)) {
+            return res.status(400).json({ success: false, message: 'Email khong hop le.' });
+        }
+        if (!WORKSPACE_MEMBER_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, message: 'Vai tro khong hop le.' });
+        }
+        if (!canManageMemberRole(req.crmRole, role)) {
+            return res.status(403).json({ success: false, message: 'Chi chu workspace moi moi duoc quan ly.' });
+        }
+        if (email === String(req.user.email || '').toLowerCase()) {
+            return res.status(400).json({ success: false, message: 'Chu workspace khong can loi moi.' });
+        }
+
+        const workspace = req.crmWorkspace || await ensureWorkspace({ ownerUserId: req.user._id, name: req.user.name });
+        const existing = await CrmWorkspaceMember.findOne({ workspaceId: workspace._id, email });
+        if (existing?.status === 'active') {
+            return res.status(409).json({ success: false, message: 'Email nay da la thanh vien.' });
+        }
+
+        const invite = createWorkspaceInvite();
+        const member = await CrmWorkspaceMember.findOneAndUpdate(
+            { workspaceId: workspace._id, email },
+            {
+                $set: {
+                    ownerUserId: req.user._id,
+                    role,
+                    status: 'invited',
+                    userId: null,
+                    inviteTokenHash: invite.tokenHash,
+                    inviteExpiresAt: invite.expiresAt,
+                    invitedBy: req.crmActor._id,
+                    joinedAt: null
+                }
+            },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+
+        await CrmAuditLog.create({
+            userId: req.user._id,
+            subscriptionId: req.crmSubscription._id,
+            action: 'workspace_member_invited',
+            details: { memberId: member._id, email, role, actorUserId: req.crmActor._id }
+        });
+
+        const acceptUrl = `${String(process.env.FRONTEND_URL || '').replace(/\/+$/, '')}/crm/invite?token=${invite.token}`;
+        let emailSent = false;
+        if (process.env.EMAIL_USER && process.env.FRONTEND_URL) {
+            try {
+                await sendCrmWorkspaceInvite(email, {
+                    workspaceName: workspace.name || req.user.name,
+                    inviterName: req.crmActor.name || req.crmActor.email,
+                    role,
+                    acceptUrl
+                });
+                emailSent = true;
+            } catch (error) {
+                console.error('Workspace invite email error:', error);
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            data: {
+                member: serializeWorkspaceMember(member),
+                inviteToken: invite.token,
+                inviteExpiresAt: invite.expiresAt,
+                emailSent
+            }
+        });
+    } catch (error) {
+        console.error('Workspace invite error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi moi thanh vien.' });
+    }
+});
+
+// POST /api/crm/workspace/invitations/accept - bind an invitation to the signed-in account
+router.post('/workspace/invitations/accept', authMiddleware, async (req, res) => {
+    try {
+        const token = String(req.body.token || '').trim();
+        if (!token) return res.status(400).json({ success: false, message: 'Thieu ma loi moi.' });
+
+        const member = await CrmWorkspaceMember.findOne({ inviteTokenHash: hashInviteToken(token), status: 'invited' });
+        if (!member || !member.inviteExpiresAt || member.inviteExpiresAt < new Date()) {
+            return res.status(404).json({ success: false, message: 'Loi moi khong ton tai hoac da het han.' });
+        }
+        if (member.email !== String(req.user.email || '').toLowerCase()) {
+            return res.status(403).json({ success: false, message: 'Loi moi nay danh cho email khac.' });
+        }
+        if (String(member.ownerUserId) === String(req.user._id)) {
+            return res.status(400).json({ success: false, message: 'Chu workspace khong can loi moi.' });
+        }
+
+        member.userId = req.user._id;
+        member.status = 'active';
+        member.joinedAt = new Date();
+        member.inviteTokenHash = null;
+        member.inviteExpiresAt = null;
+        await member.save();
+
+        await CrmAuditLog.create({
+            userId: member.ownerUserId,
+            action: 'workspace_member_joined',
+            details: { memberId: member._id, email: member.email, role: member.role, actorUserId: req.user._id }
+        });
+
+        res.json({ success: true, data: serializeWorkspaceMember(member) });
+    } catch (error) {
+        console.error('Workspace invite accept error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi chap nhan loi moi.' });
+    }
+});
+
+router.put('/workspace/members/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const member = await CrmWorkspaceMember.findOne({ _id: req.params.id, ownerUserId: req.user._id, status: { $ne: 'removed' } });
+        if (!member) return res.status(404).json({ success: false, message: 'Khong tim thay thanh vien.' });
+
+        const changes = {};
+        if (req.body.role !== undefined) {
+            if (!WORKSPACE_MEMBER_ROLES.includes(req.body.role)) {
+                return res.status(400).json({ success: false, message: 'Vai tro khong hop le.' });
+            }
+            if (!canManageMemberRole(req.crmRole, member.role) || !canManageMemberRole(req.crmRole, req.body.role)) {
+                return res.status(403).json({ success: false, message: 'Chi chu workspace moi doi duoc vai tro quan ly.' });
+            }
+            changes.role = req.body.role;
+        }
+        if (req.body.autoAssign !== undefined) changes.autoAssign = Boolean(req.body.autoAssign);
+        Object.assign(member, changes);
+        await member.save();
+
+        await CrmAuditLog.create({
+            userId: req.user._id,
+            subscriptionId: req.crmSubscription._id,
+            action: 'workspace_member_updated',
+            details: { memberId: member._id, ...changes, actorUserId: req.crmActor._id }
+        });
+        res.json({ success: true, data: serializeWorkspaceMember(member) });
+    } catch (error) {
+        console.error('Workspace member update error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi cap nhat thanh vien.' });
+    }
+});
+
+// DELETE /api/crm/workspace/members/:id - revoke a seat or pending invitation;
+// the member's open conversations go back to the unassigned queue.
+router.delete('/workspace/members/:id', crmAuthMiddleware, requireActiveSubscription, async (req, res) => {
+    try {
+        const member = await CrmWorkspaceMember.findOne({ _id: req.params.id, ownerUserId: req.user._id, status: { $ne: 'removed' } });
+        if (!member) return res.status(404).json({ success: false, message: 'Khong tim thay thanh vien.' });
+        if (!canManageMemberRole(req.crmRole, member.role)) {
+            return res.status(403).json({ success: false, message: 'Chi chu workspace moi xoa duoc quan ly.' });
+        }
+
+        member.status = 'removed';
+        member.inviteTokenHash = null;
+        member.inviteExpiresAt = null;
+        await member.save();
+
+        let unassigned = 0;
+        if (member.userId) {
+            const result = await CrmConversation.updateMany(
+                { userId: req.user._id, assignedTo: member.userId },
+                { $set: { assignedTo: null, assignedAt: null } }
+            );
+            unassigned = result.modifiedCount || 0;
+        }
+
+        await CrmAuditLog.create({
+            userId: req.user._id,
+            subscriptionId: req.crmSubscription._id,
+            action: 'workspace_member_removed',
+            details: { memberId: member._id, email: member.email, unassigned, actorUserId: req.crmActor._id }
+        });
+        res.json({ success: true, data: { memberId: member._id, unassigned } });
+    } catch (error) {
+        console.error('Workspace member remove error:', error);
+        res.status(500).json({ success: false, message: 'Loi server khi xoa thanh vien.' });
+    }
+});
+
 // ==========================================
 // 8. ADMIN CRM ENDPOINTS
 // ==========================================
@@ -7,7 +7,22 @@ import CrmConversation from '../models/CrmConversation.js';
 import CrmMessage from '../models/CrmMessage.js';
 import crmEventHub from '../utils/crmEventHub.js';
 import webchatEventHub from '../utils/webchatEventHub.js';
+import { parseLastEventId } from '../utils/crmEventLog.js';
+import { getRealtimeTransport } from '../utils/crmRealtimeTransport.js';
 import { setSseHeaders, writeEvent } from '../agent-runner/sse.js';
+import { generatePresignedUploadUrl, headFile } from '../utils/b2Storage.js';
+import {
+    WEBCHAT_UPLOAD_URL_TTL_SECONDS,
+    buildWebchatAttachmentKey,
+    buildWebchatPublicConfig,
+    createWebchatFollowUp,
+    isWebchatOnline,
+    linkWebchatCustomer,
+    normalizeWebchatContact,
+    resolveWebchatAttachment,
+    validateWebchatUpload,
+    webchatAttachmentPrefix
+} from '../utils/crmWebchat.js';
 import { upsertConversationFromInbound, createAgentCommand } from './crm.js';
 
 // Public, unauthenticated router for the embeddable Webchat widget (Phase L).
@@ -18,50 +33,41 @@ const router = express.Router();
 router.use(cors({ origin: true, credentials: false }));
 router.use(express.json());
 
-// Minimal in-memory sliding-window rate limiter (matches crmEventHub's
-// single-Fly-instance assumption — would need Redis if that ever changes).
+// Per-minute hit counters on the realtime transport, so the limits hold
+// across instances when CRM_REALTIME_TRANSPORT=mongo. Fails open: a counter
+// outage shouldn't take the widget down.
 const RATE_LIMIT_WINDOW_MS = 60000;
-const hitsByKey = new Map();
-function isRateLimited(key, max) {
-    const now = Date.now();
-    const recent = (hitsByKey.get(key) || []).filter((t) => now - t < RATE_LIMIT_WINDOW_MS);
-    recent.push(now);
-    hitsByKey.set(key, recent);
-    return recent.length > max;
-}
-setInterval(() => {
-    const now = Date.now();
-    for (const [key, arr] of hitsByKey) {
-        const fresh = arr.filter((t) => now - t < RATE_LIMIT_WINDOW_MS);
-        if (fresh.length === 0) hitsByKey.delete(key);
-        else hitsByKey.set(key, fresh);
+async function isRateLimited(key, max) {
+    try {
+        const { count } = await getRealtimeTransport().increment(`webchat:${key}`, RATE_LIMIT_WINDOW_MS);
+        return count > max;
+    } catch (error) {
+        console.error('Webchat rate limit error:', error.message);
+        return false;
     }
-}, RATE_LIMIT_WINDOW_MS).unref?.();
+}
 
 async function findEnabledWidget(widgetId) {
     return CrmChannelIntegration.findOne({ channel: 'webchat', externalAccountId: widgetId, enabled: true });
 }
 
 router.get('/:widgetId/config', async (req, res) => {
-    if (isRateLimited(`config:${req.ip}`, 60)) {
+    if (await isRateLimited(`config:${req.ip}`, 60)) {
         return res.status(429).json({ success: false, message: 'Qua nhieu yeu cau.' });
     }
     const integration = await findEnabledWidget(req.params.widgetId);
     if (!integration) {
         return res.status(404).json({ success: false, message: 'Widget khong ton tai.' });
     }
+    const hasActiveDevice = Boolean(await CrmDevice.exists({ userId: integration.userId, status: 'active' }));
     res.json({
         success: true,
-        data: {
-            widgetName: integration.widgetName || 'Ho tro truc tuyen',
-            welcomeMessage: integration.welcomeMessage || '',
-            primaryColorHex: integration.primaryColorHex || '#4F46E5'
-        }
+        data: buildWebchatPublicConfig(integration, { online: isWebchatOnline({ integration, hasActiveDevice }) })
     });
 });
 
 router.get('/:widgetId/messages', async (req, res) => {
-    if (isRateLimited(`history:${req.ip}`, 60)) {
+    if (await isRateLimited(`history:${req.ip}`, 60)) {
         return res.status(429).json({ success: false, message: 'Qua nhieu yeu cau.' });
     }
     const { widgetId } = req.params;
@@ -82,7 +88,11 @@ router.get('/:widgetId/messages', async (req, res) => {
     if (!conversation) {
         return res.json({ success: true, data: [] });
     }
-    const messages = await CrmMessage.find({ userId: integration.userId, conversationId: conversation._id })
+    const messages = await CrmMessage.find({
+        userId: integration.userId,
+        conversationId: conversation._id,
+        direction: { $ne: 'internal' }
+    })
         .sort({ createdAt: 1 })
         .limit(200);
     res.json({ success: true, data: messages });
@@ -92,11 +102,12 @@ router.post('/:widgetId/messages', async (req, res) => {
     const { widgetId } = req.params;
     const sessionToken = String(req.body?.sessionToken || '').trim();
     const text = String(req.body?.text || '').trim();
+    const attachmentKey = String(req.body?.attachmentKey || '').trim();
 
-    if (isRateLimited(`send-ip:${req.ip}`, 30) || (sessionToken && isRateLimited(`send-session:${sessionToken}`, 30))) {
+    if (await isRateLimited(`send-ip:${req.ip}`, 30) || (sessionToken && await isRateLimited(`send-session:${sessionToken}`, 30))) {
         return res.status(429).json({ success: false, message: 'Qua nhieu yeu cau.' });
     }
-    if (!sessionToken || !text) {
+    if (!sessionToken || (!text && !attachmentKey)) {
         return res.status(400).json({ success: false, message: 'Thieu sessionToken hoac noi dung.' });
     }
 
@@ -111,6 +122,21 @@ router.post('/:widgetId/messages', async (req, res) => {
     }
 
     try {
+        let attachment = null;
+        let messageType = 'text';
+        if (attachmentKey) {
+            if (integration.attachmentsEnabled === false) {
+                return res.status(400).json({ success: false, message: 'Widget khong cho phep gui file.' });
+            }
+            // Only this visitor's own uploads can be attached.
+            const prefix = webchatAttachmentPrefix(integration.userId, widgetId, sessionToken);
+            const head = attachmentKey.startsWith(prefix) ? await headFile(attachmentKey) : null;
+            const resolved = resolveWebchatAttachment({ key: attachmentKey, prefix, head });
+            if (resolved.error) return res.status(400).json({ success: false, message: resolved.error });
+            attachment = resolved.attachment;
+            messageType = resolved.messageType;
+        }
+
         const event = {
             channel: 'webchat',
             accountId: widgetId,
@@ -120,7 +146,8 @@ router.post('/:widgetId/messages', async (req, res) => {
             senderName: 'Khach',
             displayName: 'Khach',
             content: text,
-            messageType: 'text',
+            messageType,
+            attachments: attachment ? [attachment] : null,
             providerMessageId: crypto.randomUUID(),
             timestamp: Date.now()
         };
@@ -151,6 +178,111 @@ router.post('/:widgetId/messages', async (req, res) => {
     }
 });
 
+// POST /api/public/webchat/:widgetId/attachments - body: { sessionToken, filename, contentType, size }
+// Short-lived presigned PUT URL; the returned key is then sent as
+// `attachmentKey` to POST /messages.
+router.post('/:widgetId/attachments', async (req, res) => {
+    const { widgetId } = req.params;
+    const sessionToken = String(req.body?.sessionToken || '').trim();
+    if (await isRateLimited(`upload-ip:${req.ip}`, 10)) {
+        return res.status(429).json({ success: false, message: 'Qua nhieu yeu cau.' });
+    }
+    if (!sessionToken) {
+        return res.status(400).json({ success: false, message: 'Thieu sessionToken.' });
+    }
+    const integration = await findEnabledWidget(widgetId);
+    if (!integration) {
+        return res.status(404).json({ success: false, message: 'Widget khong ton tai.' });
+    }
+    if (integration.attachmentsEnabled === false) {
+        return res.status(400).json({ success: false, message: 'Widget khong cho phep gui file.' });
+    }
+    const contentType = String(req.body?.contentType || '').trim();
+    const { error } = validateWebchatUpload({ contentType, size: req.body?.size });
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    try {
+        const key = buildWebchatAttachmentKey({ userId: integration.userId, widgetId, sessionToken, filename: req.body?.filename });
+        const { presignedUrl } = await generatePresignedUploadUrl(key, contentType, WEBCHAT_UPLOAD_URL_TTL_SECONDS);
+        res.status(201).json({
+            success: true,
+            data: { key, uploadUrl: presignedUrl, contentType, expiresIn: WEBCHAT_UPLOAD_URL_TTL_SECONDS }
+        });
+    } catch (uploadError) {
+        console.error('Webchat attachment upload URL error:', uploadError);
+        res.status(500).json({ success: false, message: 'Loi server.' });
+    }
+});
+
+// POST /api/public/webchat/:widgetId/prechat - body: { sessionToken, name, phone, email }
+router.post('/:widgetId/prechat', async (req, res) => {
+    const { widgetId } = req.params;
+    const sessionToken = String(req.body?.sessionToken || '').trim();
+    if (await isRateLimited(`prechat-ip:${req.ip}`, 10)) {
+        return res.status(429).json({ success: false, message: 'Qua nhieu yeu cau.' });
+    }
+    if (!sessionToken) {
+        return res.status(400).json({ success: false, message: 'Thieu sessionToken.' });
+    }
+    const integration = await findEnabledWidget(widgetId);
+    if (!integration) {
+        return res.status(404).json({ success: false, message: 'Widget khong ton tai.' });
+    }
+    if (!integration.preChatForm?.enabled) {
+        return res.status(400).json({ success: false, message: 'Widget khong bat form truoc chat.' });
+    }
+    const { contact, error } = normalizeWebchatContact(req.body, integration.preChatForm.fields);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    try {
+        const { conversation } = await linkWebchatCustomer({ userId: integration.userId, widgetId, sessionToken, contact });
+        crmEventHub.publish(integration.userId, 'conversation.updated', conversation);
+        // The visitor only learns that the form was accepted, never which
+        // customer record it matched.
+        res.json({ success: true, data: { accepted: true } });
+    } catch (linkError) {
+        console.error('Webchat pre-chat error:', linkError);
+        res.status(500).json({ success: false, message: 'Loi server.' });
+    }
+});
+
+// POST /api/public/webchat/:widgetId/offline - body: { sessionToken, email, name, phone, message }
+router.post('/:widgetId/offline', async (req, res) => {
+    const { widgetId } = req.params;
+    const sessionToken = String(req.body?.sessionToken || '').trim();
+    if (await isRateLimited(`offline-ip:${req.ip}`, 5)) {
+        return res.status(429).json({ success: false, message: 'Qua nhieu yeu cau.' });
+    }
+    if (!sessionToken) {
+        return res.status(400).json({ success: false, message: 'Thieu sessionToken.' });
+    }
+    const integration = await findEnabledWidget(widgetId);
+    if (!integration) {
+        return res.status(404).json({ success: false, message: 'Widget khong ton tai.' });
+    }
+    const { contact, error } = normalizeWebchatContact(req.body, [
+        { name: 'name', required: false },
+        { name: 'phone', required: false },
+        { name: 'email', required: true }
+    ]);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    try {
+        const { conversation } = await createWebchatFollowUp({
+            userId: integration.userId,
+            widgetId,
+            sessionToken,
+            contact,
+            message: String(req.body?.message || '').trim().slice(0, 2000)
+        });
+        crmEventHub.publish(integration.userId, 'conversation.updated', conversation);
+        res.status(201).json({ success: true, data: { accepted: true } });
+    } catch (followUpError) {
+        console.error('Webchat offline request error:', followUpError);
+        res.status(500).json({ success: false, message: 'Loi server.' });
+    }
+});
+
 router.get('/:widgetId/events', async (req, res) => {
     const { widgetId } = req.params;
     const sessionToken = String(req.query.sessionToken || '').trim();
@@ -164,7 +296,7 @@ router.get('/:widgetId/events', async (req, res) => {
 
     setSseHeaders(res);
     writeEvent(res, 'connected', { widgetId });
-    webchatEventHub.subscribe(`${widgetId}:${sessionToken}`, res);
+    await webchatEventHub.subscribe(`${widgetId}:${sessionToken}`, res, { lastEventId: parseLastEventId(req) });
 });
 
 export default router;
@@ -2,8 +2,12 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 import {
     buildChatbotConfigSnapshot,
+    compileChatbotPattern,
+    execChatbotPattern,
     hasHandoffKeyword,
+    isBacktrackSafePattern,
     matchChatbotRule,
+    matchChatbotRuleDetailed,
     normalizeChatbotDebounceSeconds,
     normalizeChatbotHistoryLimit
 } from '../crmChatbot.js';
@@ -22,6 +26,44 @@ test('handoff and rule matching ignore Vietnamese accents and case', () => {
     );
 });
 
+test('regex rules match with or without accents and return named groups', () => {
+    const rule = { keywords: ['gia (?<product>ao \\w+)', '['], matchMode: 'regex' };
+    assert.deepEqual(
+        matchChatbotRuleDetailed(rule, 'Cho hỏi giá áo khoác'),
+        { matched: true, captures: { product: 'ao khoac' } }
+    );
+    assert.equal(matchChatbotRule(rule, 'GIA AO THUN'), true);
+    assert.equal(matchChatbotRule(rule, 'gia quan'), false);
+    // The invalid '[' pattern is ignored rather than throwing.
+    assert.equal(matchChatbotRule({ keywords: ['['], matchMode: 'regex' }, '['), false);
+});
+
+test('backtracking-prone patterns are refused', () => {
+    for (const pattern of ['(a+)+$', '(a|aa)*b', '(?:\\w+\\s?){2,}', '(\\d*)*', '(x)\\1', '(?<a>x)\\k<a>', '((ab)+c)+']) {
+        assert.equal(isBacktrackSafePattern(pattern), false, pattern);
+        assert.equal(compileChatbotPattern(pattern), null, pattern);
+    }
+    for (const pattern of ['gia (?<product>ao \\w+)', '^(ao|quan) \\d+$', '(?:ab)+', '[(+*]+', 'a{2}\\d{1,3}?', '(?<=x)y+', 'x\\(a+\\)+']) {
+        assert.equal(isBacktrackSafePattern(pattern), true, pattern);
+    }
+
+    const started = Date.now();
+    assert.equal(matchChatbotRule({ keywords: ['(a+)+$'], matchMode: 'regex' }, `${'a'.repeat(28)}!`), false);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('slow patterns the static check lets through are cut off by the time limit', () => {
+    const pattern = '\\w*\\w*\\w*\\w*\\w*\\w*!';
+    assert.equal(isBacktrackSafePattern(pattern), true);
+
+    const started = Date.now();
+    assert.equal(execChatbotPattern(compileChatbotPattern(pattern), 'a'.repeat(100), 20), null);
+    assert.equal(matchChatbotRule({ keywords: [pattern], matchMode: 'regex' }, 'a'.repeat(1000)), false);
+    assert.ok(Date.now() - started < 1000);
+
+    assert.equal(execChatbotPattern(compileChatbotPattern(pattern), 'abc!')?.[0], 'abc!');
+});
+
 test('rule business hours are honored', () => {
     assert.equal(
         matchChatbotRule({
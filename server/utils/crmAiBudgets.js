@@ -0,0 +1,174 @@
+import User from '../models/User.js';
+import crmEventHub from './crmEventHub.js';
+import { getCrmPlan } from './crmCatalog.js';
+import { sendCrmSubscriptionNotice } from './email.js';
+
+/**
+ * AI budgets: caps inside a subscription's AI pool, per feature or per Zalo
+ * account, counted in the same quota units as includedAiLimit. Usage lives
+ * on the budget entries of CrmSubscription.aiBudgets (like includedAiUsed)
+ * and is reset with the included pool on renewal.
+ */
+export const AI_BUDGET_FEATURES = ['chatbot', 'group_summary', 'chat'];
+export const AI_BUDGET_SCOPES = ['feature', 'account'];
+export const AI_BUDGET_ALERT_THRESHOLDS = [50, 80, 100];
+export const MAX_AI_BUDGETS = 50;
+
+const FEATURE_BY_REQUEST_TYPE = {
+    chatbot_reply: 'chatbot',
+    chatbot_test: 'chatbot',
+    group_summary: 'group_summary',
+    chat: 'chat'
+};
+
+const defaultModels = { User };
+
+const budgetError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+export const getAiBudgetFeature = (requestType) => FEATURE_BY_REQUEST_TYPE[requestType] || null;
+
+/**
+ * Validate a PUT body's budget list. Entries keep the usage and alerts
+ * already recorded this period under the same scope + key.
+ */
+export function normalizeAiBudgets(input, existing = []) {
+    if (!Array.isArray(input)) throw budgetError('Danh sach ngan sach AI khong hop le.');
+    if (input.length > MAX_AI_BUDGETS) throw budgetError(`Toi da ${MAX_AI_BUDGETS} ngan sach AI.`);
+
+    const previous = new Map(existing.map((budget) => [`${budget.scope}:${budget.key}`, budget]));
+    const seen = new Set();
+    return input.map((item) => {
+        const scope = String(item?.scope || '');
+        const key = String(item?.key || '').trim();
+        const limit = Number(item?.limit);
+        if (!AI_BUDGET_SCOPES.includes(scope)) throw budgetError('Pham vi ngan sach AI khong hop le.');
+        if (!key || key.length > 200) throw budgetError('Thieu ma tinh nang hoac tai khoan cho ngan sach AI.');
+        if (scope === 'feature' && !AI_BUDGET_FEATURES.includes(key)) {
+            throw budgetError(`Tinh nang khong hop le. Chon mot trong: ${AI_BUDGET_FEATURES.join(', ')}.`);
+        }
+        if (!Number.isInteger(limit) || limit < 1) throw budgetError('Han muc ngan sach AI phai la so nguyen duong.');
+        const id = `${scope}:${key}`;
+        if (seen.has(id)) throw budgetError('Ngan sach AI bi trung.');
+        seen.add(id);
+
+        const kept = previous.get(id);
+        return {
+            scope,
+            key,
+            limit,
+            used: kept?.used || 0,
+            // Thresholds already crossed stay marked; lowering the limit
+            // below current usage alerts again on the next request.
+            alertsSent: (kept?.alertsSent || []).filter((threshold) => (kept.used / limit) * 100 >= threshold)
+        };
+    });
+}
+
+const applicableBudgets = (subscription, { feature, accountId }) => (subscription?.aiBudgets || []).filter((budget) => (
+    (budget.scope === 'feature' && feature && budget.key === feature) ||
+    (budget.scope === 'account' && accountId && budget.key === String(accountId))
+));
+
+/**
+ * First budget `units` more would overrun, or null.
+ */
+export const findExceededAiBudget = (subscription, context, units) => (
+    applicableBudgets(subscription, context).find((budget) => (budget.used || 0) + units > budget.limit) || null
+);
+
+/**
+ * Charge (or with negative `units`, refund) the budgets of a request.
+ * Modifies the subscription inline; callers save it.
+ */
+export function chargeAiBudgets(subscription, context, units) {
+    for (const budget of applicableBudgets(subscription, context)) {
+        budget.used = Math.max(0, (budget.used || 0) + units);
+    }
+}
+
+/**
+ * Thresholds newly crossed by the request's budgets, marked as sent.
+ * Modifies the subscription inline; callers save it when any are returned.
+ * @returns {Array<{ scope, key, limit, used, threshold }>}
+ */
+export function takeAiBudgetAlerts(subscription, context) {
+    const alerts = [];
+    for (const budget of applicableBudgets(subscription, context)) {
+        const percent = ((budget.used || 0) / budget.limit) * 100;
+        const crossed = AI_BUDGET_ALERT_THRESHOLDS.filter((threshold) => (
+            percent >= threshold && !(budget.alertsSent || []).includes(threshold)
+        ));
+        if (crossed.length === 0) continue;
+        budget.alertsSent = [...(budget.alertsSent || []), ...crossed];
+        // One alert per budget and request: the highest threshold reached.
+        alerts.push({ scope: budget.scope, key: budget.key, limit: budget.limit, used: budget.used, threshold: Math.max(...crossed) });
+    }
+    return alerts;
+}
+
+export function resetAiBudgetUsage(subscription) {
+    for (const budget of subscription.aiBudgets || []) {
+        budget.used = 0;
+        budget.alertsSent = [];
+    }
+}
+
+/**
+ * Budgets with this period's usage next to what CrmAiUsage recorded for
+ * them. `rows` are succeeded usage grouped by `feature` and `accountId`.
+ */
+export function buildAiBudgetReport(subscription, rows) {
+    return (subscription?.aiBudgets || []).map((budget) => {
+        const matching = rows.filter((row) => (
+            budget.scope === 'feature' ? row.feature === budget.key : row.accountId === budget.key
+        ));
+        const sum = (field) => matching.reduce((total, row) => total + (row[field] || 0), 0);
+        return {
+            scope: budget.scope,
+            key: budget.key,
+            limit: budget.limit,
+            used: budget.used || 0,
+            percent: Math.round(((budget.used || 0) / budget.limit) * 1000) / 10,
+            requests: sum('requests'),
+            quotaUnits: sum('quotaUnits'),
+            tokenIn: sum('tokenIn'),
+            tokenOut: sum('tokenOut')
+        };
+    });
+}
+
+/**
+ * Deliver budget alerts as `ai.budget_alert` on the owner's SSE stream and
+ * by email. Never throws: alerts must not fail the AI request.
+ */
+export async function sendAiBudgetAlerts({
+    userId,
+    subscription,
+    alerts,
+    publish = crmEventHub.publish,
+    sendEmail = sendCrmSubscriptionNotice,
+    models = defaultModels
+}) {
+    for (const alert of alerts) {
+        publish(userId, 'ai.budget_alert', { subscriptionId: subscription._id, ...alert });
+    }
+    if (alerts.length === 0 || !process.env.EMAIL_USER) return;
+    try {
+        const user = await models.User.findById(userId).select('name email');
+        if (!user?.email) return;
+        for (const alert of alerts) {
+            await sendEmail(user.email, {
+                kind: 'ai_budget',
+                name: user.name,
+                planName: getCrmPlan(subscription.plan)?.name || subscription.plan,
+                ...alert
+            });
+        }
+    } catch (error) {
+        console.error('AI budget alert email error:', error.message);
+    }
+}
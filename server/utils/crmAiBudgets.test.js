@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    buildAiBudgetReport,
+    chargeAiBudgets,
+    findExceededAiBudget,
+    getAiBudgetFeature,
+    normalizeAiBudgets,
+    resetAiBudgetUsage,
+    sendAiBudgetAlerts,
+    takeAiBudgetAlerts
+} from './crmAiBudgets.js';
+
+const createQuery = (result) => {
+    const query = {
+        select() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+test('normalizeAiBudgets validates entries and keeps this period usage', () => {
+    const existing = [{ scope: 'account', key: 'zalo-1', limit: 100, used: 60, alertsSent: [50] }];
+    const budgets = normalizeAiBudgets([
+        { scope: 'account', key: ' zalo-1 ', limit: 200 },
+        { scope: 'feature', key: 'chatbot', limit: 50 }
+    ], existing);
+    assert.deepStrictEqual(budgets, [
+        // 60/200 is below 50% again, so the 50% alert can fire once more.
+        { scope: 'account', key: 'zalo-1', limit: 200, used: 60, alertsSent: [] },
+        { scope: 'feature', key: 'chatbot', limit: 50, used: 0, alertsSent: [] }
+    ]);
+
+    assert.throws(() => normalizeAiBudgets({}), { statusCode: 400 });
+    assert.throws(() => normalizeAiBudgets([{ scope: 'feature', key: 'campaigns', limit: 5 }]), { statusCode: 400 });
+    assert.throws(() => normalizeAiBudgets([{ scope: 'account', key: 'a', limit: 0 }]), { statusCode: 400 });
+    assert.throws(() => normalizeAiBudgets([
+        { scope: 'account', key: 'a', limit: 5 },
+        { scope: 'account', key: 'a', limit: 6 }
+    ]), { statusCode: 400, message: /trung/ });
+});
+
+test('budgets apply by feature and Zalo account, and refunds give units back', () => {
+    const sub = {
+        aiBudgets: [
+            { scope: 'feature', key: 'chatbot', limit: 10, used: 8, alertsSent: [] },
+            { scope: 'account', key: 'zalo-1', limit: 4, used: 0, alertsSent: [] },
+            { scope: 'account', key: 'zalo-2', limit: 1, used: 1, alertsSent: [] }
+        ]
+    };
+    const context = { feature: getAiBudgetFeature('chatbot_reply'), accountId: 'zalo-1' };
+    assert.strictEqual(context.feature, 'chatbot');
+    assert.strictEqual(findExceededAiBudget(sub, context, 2), null);
+    assert.strictEqual(findExceededAiBudget(sub, context, 3).key, 'chatbot');
+    assert.strictEqual(findExceededAiBudget(sub, { feature: 'chat', accountId: 'zalo-2' }, 1).key, 'zalo-2');
+    assert.strictEqual(findExceededAiBudget(sub, { feature: 'group_summary', accountId: null }, 100), null);
+
+    chargeAiBudgets(sub, context, 2);
+    assert.deepStrictEqual(sub.aiBudgets.map((budget) => budget.used), [10, 2, 1]);
+    chargeAiBudgets(sub, context, -2);
+    assert.deepStrictEqual(sub.aiBudgets.map((budget) => budget.used), [8, 0, 1]);
+});
+
+test('takeAiBudgetAlerts reports each threshold once per period', () => {
+    const sub = { aiBudgets: [{ scope: 'account', key: 'zalo-1', limit: 10, used: 0, alertsSent: [] }] };
+    const context = { feature: 'chatbot', accountId: 'zalo-1' };
+
+    chargeAiBudgets(sub, context, 4);
+    assert.deepStrictEqual(takeAiBudgetAlerts(sub, context), []);
+    chargeAiBudgets(sub, context, 4);
+    // 80% reached in one step: a single alert at the highest threshold.
+    assert.deepStrictEqual(takeAiBudgetAlerts(sub, context), [{ scope: 'account', key: 'zalo-1', limit: 10, used: 8, threshold: 80 }]);
+    assert.deepStrictEqual(sub.aiBudgets[0].alertsSent, [50, 80]);
+    assert.deepStrictEqual(takeAiBudgetAlerts(sub, context), []);
+    chargeAiBudgets(sub, context, 2);
+    assert.strictEqual(takeAiBudgetAlerts(sub, context)[0].threshold, 100);
+
+    resetAiBudgetUsage(sub);
+    assert.deepStrictEqual(sub.aiBudgets[0], { scope: 'account', key: 'zalo-1', limit: 10, used: 0, alertsSent: [] });
+});
+
+test('sendAiBudgetAlerts publishes over SSE and emails the owner', async () => {
+    const published = [];
+    const emails = [];
+    const previous = process.env.EMAIL_USER;
+    process.env.EMAIL_USER = 'crm@example.com';
+    try {
+        await sendAiBudgetAlerts({
+            userId: 'owner-1',
+            subscription: { _id: 'sub-1', plan: 'crm_pro' },
+            alerts: [{ scope: 'feature', key: 'chatbot', limit: 10, used: 10, threshold: 100 }],
+            publish: (userId, name, payload) => published.push([userId, name, payload.key, payload.threshold]),
+            sendEmail: async (to, notice) => emails.push([to, notice.kind, notice.threshold, notice.planName]),
+            models: { User: { findById: () => createQuery({ name: 'Chu', email: 'owner@example.com' }) } }
+        });
+    } finally {
+        if (previous === undefined) delete process.env.EMAIL_USER;
+        else process.env.EMAIL_USER = previous;
+    }
+    assert.deepStrictEqual(published, [['owner-1', 'ai.budget_alert', 'chatbot', 100]]);
+    assert.deepStrictEqual(emails, [['owner@example.com', 'ai_budget', 100, 'Gói Alpha CRM Pro']]);
+});
+
+test('buildAiBudgetReport lines recorded usage up with each budget', () => {
+    const sub = {
+        aiBudgets: [
+            { scope: 'feature', key: 'chatbot', limit: 200, used: 50 },
+            { scope: 'account', key: 'zalo-1', limit: 40, used: 10 }
+        ]
+    };
+    const rows = [
+        { feature: 'chatbot', accountId: 'zalo-1', requests: 5, quotaUnits: 10, tokenIn: 500, tokenOut: 100 },
+        { feature: 'chatbot', accountId: null, requests: 20, quotaUnits: 40, tokenIn: 2000, tokenOut: 400 },
+        { feature: 'group_summary', accountId: 'zalo-2', requests: 3, quotaUnits: 3, tokenIn: 900, tokenOut: 300 }
+    ];
+    assert.deepStrictEqual(buildAiBudgetReport(sub, rows), [
+        { scope: 'feature', key: 'chatbot', limit: 200, used: 50, percent: 25, requests: 25, quotaUnits: 50, tokenIn: 2500, tokenOut: 500 },
+        { scope: 'account', key: 'zalo-1', limit: 40, used: 10, percent: 25, requests: 5, quotaUnits: 10, tokenIn: 500, tokenOut: 100 }
+    ]);
+});
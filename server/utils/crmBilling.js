@@ -2,7 +2,9 @@ import mongoose from 'mongoose';
 import Transaction from '../models/Transaction.js';
 import CrmBillingOrder from '../models/CrmBillingOrder.js';
 import CrmSubscription from '../models/CrmSubscription.js';
-import { getCrmProduct } from './crmCatalog.js';
+import { CRM_PLANS, getCrmProduct } from './crmCatalog.js';
+import { resetAiBudgetUsage } from './crmAiBudgets.js';
+import { isTrialSubscription } from './crmSubscriptionLifecycle.js';
 
 const DEFAULT_INCLUDED_AI_LIMIT = 1000;
 const DEFAULT_DEVICE_LIMIT = 1;
@@ -49,11 +51,6 @@ const buildCrmTransaction = ({ order, product, source, bankTxId, webhookData, we
     description: `Mua goi CRM ${product ? product.name : order.productId} qua ${source === 'admin' ? 'duyet thu cong' : 'chuyen khoan ngan hang'}`
 });
 
-const isTrialSubscription = (subscription) => (
-    subscription?.entitlementType === 'trial' ||
-    subscription?.plan === 'crm_trial'
-);
-
 const createPaidSubscription = async ({ order, product, models, session, now, carryFromSub = null }) => {
     const subscription = new models.CrmSubscription({
         userId: order.userId,
@@ -65,6 +62,8 @@ const createPaidSubscription = async ({ order, product, models, session, now, ca
         includedAiLimit: product ? product.includedAiLimit : DEFAULT_INCLUDED_AI_LIMIT,
         includedAiUsed: 0,
         extraAiRemaining: carryFromSub ? carryFromSub.extraAiRemaining : 0,
+        // Budget settings carry over; their usage starts from zero.
+        aiBudgets: (carryFromSub?.aiBudgets || []).map(({ scope, key, limit }) => ({ scope, key, limit, used: 0, alertsSent: [] })),
         deviceLimit: product ? product.deviceLimit : DEFAULT_DEVICE_LIMIT,
         lastRenewedAt: now
     });
@@ -72,10 +71,26 @@ const createPaidSubscription = async ({ order, product, models, session, now, ca
     return subscription;
 };
 
+/**
+ * Time left on the current period, converted into time on the new plan at
+ * the ratio of the two prices. Upgrading shortens the carried-over time,
+ * downgrading lengthens it; nothing is refunded or charged on top.
+ * @returns {number} Milliseconds to credit on the new plan.
+ */
+export const prorateRemainingPeriod = ({ fromPlan, toPlan, periodEnd, now = new Date() }) => {
+    const remainingMs = new Date(periodEnd).getTime() - now.getTime();
+    if (!(remainingMs > 0) || !fromPlan?.priceVnd || !toPlan?.priceVnd) {
+        return 0;
+    }
+    return Math.floor(remainingMs * fromPlan.priceVnd / toPlan.priceVnd);
+};
+
 export const applySubscriptionEntitlement = async ({ order, product, models, session }) => {
     const now = new Date();
     const oldActiveSub = await withSession(
-        models.CrmSubscription.findOne({ userId: order.userId, status: 'active' }),
+        // A past_due plan (period ended, still in its grace window) is
+        // closed like an expired one and replaced by a fresh period.
+        models.CrmSubscription.findOne({ userId: order.userId, status: { $in: ['active', 'past_due'] } }),
         session
     );
 
@@ -109,11 +124,27 @@ export const applySubscriptionEntitlement = async ({ order, product, models, ses
             });
         }
 
-        oldActiveSub.periodEnd = new Date(new Date(oldActiveSub.periodEnd).getTime() + MONTH_MS);
+        const fromPlan = CRM_PLANS[oldActiveSub.plan];
+        if (fromPlan && product && fromPlan.id !== product.id) {
+            // Plan change: the new period starts now, plus the prorated
+            // remainder of the old one.
+            const carriedMs = prorateRemainingPeriod({
+                fromPlan,
+                toPlan: product,
+                periodEnd: oldActiveSub.periodEnd,
+                now
+            });
+            oldActiveSub.periodStart = now;
+            oldActiveSub.periodEnd = new Date(now.getTime() + MONTH_MS + carriedMs);
+            oldActiveSub.deviceLimit = product.deviceLimit;
+        } else {
+            oldActiveSub.periodEnd = new Date(new Date(oldActiveSub.periodEnd).getTime() + MONTH_MS);
+        }
         oldActiveSub.plan = order.productId;
         oldActiveSub.entitlementType = 'paid';
         oldActiveSub.includedAiLimit = product ? product.includedAiLimit : DEFAULT_INCLUDED_AI_LIMIT;
         oldActiveSub.includedAiUsed = 0;
+        resetAiBudgetUsage(oldActiveSub);
         oldActiveSub.lastRenewedAt = now;
         await oldActiveSub.save({ session });
         return oldActiveSub;
@@ -149,7 +180,7 @@ const applyAiPackEntitlement = async ({ order, product, models, session }) => {
     const newSub = new models.CrmSubscription({
         userId: order.userId,
         status: 'expired',
-        plan: 'crm_monthly',
+        plan: 'crm_starter',
         entitlementType: 'paid',
         periodStart: new Date(),
         periodEnd: new Date(),
@@ -1,6 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert';
-import { fulfillCrmBillingOrder } from './crmBilling.js';
+import { applySubscriptionEntitlement, fulfillCrmBillingOrder, prorateRemainingPeriod } from './crmBilling.js';
+import { CRM_PLANS } from './crmCatalog.js';
 
 const createQuery = (value) => ({
     sessionArg: null,
@@ -247,3 +248,60 @@ test('fulfillCrmBillingOrder preserves an active trial record when upgrading to
     assert.ok(calls.some((call) => Array.isArray(call) && call[0] === 'trial.save'));
     assert.ok(calls.some((call) => Array.isArray(call) && call[0] === 'paid.save'));
 });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('prorateRemainingPeriod converts the time left at the price ratio of the two plans', () => {
+    const now = new Date('2026-07-01T00:00:00.000Z');
+    const periodEnd = new Date(now.getTime() + 10 * DAY_MS);
+    const { crm_starter: starter, crm_pro: pro, crm_business: business } = CRM_PLANS;
+
+    assert.strictEqual(prorateRemainingPeriod({ fromPlan: business, toPlan: starter, periodEnd, now }), 45 * DAY_MS);
+    assert.strictEqual(prorateRemainingPeriod({ fromPlan: starter, toPlan: business, periodEnd, now }), Math.floor(10 * DAY_MS * 200000 / 900000));
+    assert.strictEqual(prorateRemainingPeriod({ fromPlan: pro, toPlan: pro, periodEnd, now }), 10 * DAY_MS);
+    assert.strictEqual(prorateRemainingPeriod({ fromPlan: pro, toPlan: starter, periodEnd: new Date(now.getTime() - DAY_MS), now }), 0);
+});
+
+test('applySubscriptionEntitlement prorates a plan change and extends a renewal', async () => {
+    const saved = [];
+    const buildSub = (plan, daysLeft) => ({
+        _id: `sub-${plan}`,
+        status: 'active',
+        plan,
+        entitlementType: 'paid',
+        periodEnd: new Date(Date.now() + daysLeft * DAY_MS),
+        includedAiLimit: CRM_PLANS[plan].includedAiLimit,
+        includedAiUsed: 40,
+        deviceLimit: CRM_PLANS[plan].deviceLimit,
+        async save() { saved.push(this.plan); }
+    });
+    const modelsFor = (sub) => ({ CrmSubscription: { findOne: () => createQuery(sub) } });
+
+    const starterSub = buildSub('crm_starter', 15);
+    const before = Date.now();
+    const upgraded = await applySubscriptionEntitlement({
+        order: { userId: 'user-1', productId: 'crm_pro' },
+        product: CRM_PLANS.crm_pro,
+        models: modelsFor(starterSub)
+    });
+    const expectedMs = 30 * DAY_MS + 15 * DAY_MS * 200000 / 450000;
+    assert.strictEqual(upgraded, starterSub);
+    assert.strictEqual(upgraded.plan, 'crm_pro');
+    assert.strictEqual(upgraded.includedAiLimit, 500);
+    assert.strictEqual(upgraded.includedAiUsed, 0);
+    assert.strictEqual(upgraded.deviceLimit, 2);
+    assert.ok(upgraded.periodStart.getTime() >= before);
+    assert.ok(Math.abs(upgraded.periodEnd.getTime() - upgraded.periodStart.getTime() - expectedMs) < 1000);
+
+    const proSub = buildSub('crm_pro', 15);
+    proSub.deviceLimit = 4; // raised by an admin
+    const originalEnd = proSub.periodEnd.getTime();
+    const renewed = await applySubscriptionEntitlement({
+        order: { userId: 'user-1', productId: 'crm_pro' },
+        product: CRM_PLANS.crm_pro,
+        models: modelsFor(proSub)
+    });
+    assert.strictEqual(renewed.periodEnd.getTime(), originalEnd + 30 * DAY_MS);
+    assert.strictEqual(renewed.deviceLimit, 4);
+    assert.deepStrictEqual(saved, ['crm_pro', 'crm_pro']);
+});
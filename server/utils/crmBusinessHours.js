@@ -0,0 +1,111 @@
+// Business-hours blocks shared by chatbot rules, the webchat widget schedule
+// and SLA policies: { enabled, timezone, days: [0-6, Sunday = 0], start, end }
+// with 'HH:mm' times. Every listed local calendar day is open over
+// [start, end) — end exclusive — or, for overnight hours (end before start),
+// over [00:00, end) and [start, 24:00); equal times mean the whole day. All
+// callers go through these helpers so "open" means the same everywhere.
+
+export const DEFAULT_BUSINESS_TIMEZONE = 'Asia/Ho_Chi_Minh';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const DAY_MINUTES = 24 * 60;
+
+const zoneFormatters = new Map();
+
+export const getZoneFormatter = (timeZone = DEFAULT_BUSINESS_TIMEZONE) => {
+    if (!zoneFormatters.has(timeZone)) {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            hourCycle: 'h23'
+        }));
+    }
+    return zoneFormatters.get(timeZone);
+};
+
+// Local wall-clock time of an instant, expressed as a UTC timestamp.
+export const toWallClock = (formatter, time) => {
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map((part) => [part.type, Number(part.value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+// Inverse of toWallClock; the offset is re-read at the first guess so days
+// with a DST change land right.
+export const fromWallClock = (formatter, wall) => {
+    const guess = wall - (toWallClock(formatter, wall) - wall);
+    return wall - (toWallClock(formatter, guess) - guess);
+};
+
+const toMinutes = (value) => {
+    const [hours, minutes] = String(value).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Open [from, to) minute-of-day ranges of one business day.
+ */
+export function businessDailyRanges(businessHours) {
+    const start = toMinutes(businessHours.start || '08:00');
+    const end = toMinutes(businessHours.end || '18:00');
+    if (start === end) return [[0, DAY_MINUTES]];
+    return start < end ? [[start, end]] : [[0, end], [start, DAY_MINUTES]].filter(([from, to]) => to > from);
+}
+
+/**
+ * Weekdays (0 = Sunday) the hours apply to, or null for every day.
+ */
+export function businessWorkingDays(businessHours) {
+    return Array.isArray(businessHours.days) && businessHours.days.length > 0
+        ? new Set(businessHours.days.map(Number))
+        : null;
+}
+
+/**
+ * Whether `now` falls inside the hours. Always true when they're disabled.
+ */
+export function isWithinBusinessHours(businessHours, now = new Date()) {
+    if (!businessHours?.enabled) return true;
+    const wall = toWallClock(getZoneFormatter(businessHours.timezone || DEFAULT_BUSINESS_TIMEZONE), now);
+    const days = businessWorkingDays(businessHours);
+    if (days && !days.has(new Date(wall).getUTCDay())) return false;
+    const minute = Math.floor((wall % DAY_MS) / MINUTE_MS);
+    return businessDailyRanges(businessHours).some(([start, end]) => minute >= start && minute < end);
+}
+
+/**
+ * Validate a `businessHours` block from a request body.
+ * @returns {{ businessHours: object, error: string|null }}
+ */
+export function normalizeBusinessHoursInput(input) {
+    const hours = input || {};
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (hours.enabled && (!timePattern.test(hours.start || '') || !timePattern.test(hours.end || ''))) {
+        return { businessHours: null, error: 'Gio lam viec phai theo dinh dang HH:mm.' };
+    }
+    if (hours.enabled && hours.start === hours.end) {
+        return { businessHours: null, error: 'Gio bat dau va ket thuc phai khac nhau.' };
+    }
+    if (hours.timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: hours.timezone });
+        } catch {
+            return { businessHours: null, error: 'Mui gio khong hop le.' };
+        }
+    }
+    return {
+        businessHours: {
+            enabled: Boolean(hours.enabled),
+            timezone: hours.timezone || DEFAULT_BUSINESS_TIMEZONE,
+            days: Array.isArray(hours.days) ? hours.days.map(Number).filter((day) => day >= 0 && day <= 6) : [],
+            start: hours.start || '08:00',
+            end: hours.end || '18:00'
+        },
+        error: null
+    };
+}
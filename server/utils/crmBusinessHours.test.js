@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { businessDailyRanges, isWithinBusinessHours, normalizeBusinessHoursInput } from './crmBusinessHours.js';
+import { businessMinutesBetween } from './crmSla.js';
+
+const weekdays = { enabled: true, timezone: 'Asia/Ho_Chi_Minh', days: [1, 2, 3, 4, 5], start: '08:00', end: '17:00' };
+// 2026-07-01 is a Wednesday; Ho Chi Minh City is UTC+7.
+const local = (time, date = '2026-07-01') => new Date(`${date}T${time}:00+07:00`);
+
+test('business hours open at start and close at end', () => {
+    assert.strictEqual(isWithinBusinessHours(weekdays, local('07:59')), false);
+    assert.strictEqual(isWithinBusinessHours(weekdays, local('08:00')), true);
+    assert.strictEqual(isWithinBusinessHours(weekdays, local('16:59')), true);
+    assert.strictEqual(isWithinBusinessHours(weekdays, local('17:00')), false);
+    assert.strictEqual(isWithinBusinessHours(weekdays, local('10:00', '2026-07-04')), false);
+    assert.strictEqual(isWithinBusinessHours({ ...weekdays, enabled: false }, local('03:00', '2026-07-04')), true);
+});
+
+test('overnight hours belong to the calendar day they fall on', () => {
+    const overnight = { ...weekdays, days: [3], start: '22:00', end: '06:00' };
+    assert.deepStrictEqual(businessDailyRanges(overnight), [[0, 360], [1320, 1440]]);
+    assert.strictEqual(isWithinBusinessHours(overnight, local('23:00')), true);
+    assert.strictEqual(isWithinBusinessHours(overnight, local('05:59')), true);
+    assert.strictEqual(isWithinBusinessHours(overnight, local('06:00')), false);
+    // Thursday isn't listed, so its early hours are closed.
+    assert.strictEqual(isWithinBusinessHours(overnight, local('02:00', '2026-07-02')), false);
+});
+
+test('the chatbot check and SLA business minutes agree on every minute', () => {
+    for (const hours of [weekdays, { ...weekdays, days: [3], start: '22:00', end: '06:00' }]) {
+        for (let minute = 0; minute < 24 * 60; minute += 1) {
+            const at = new Date(local('00:00').getTime() + minute * 60 * 1000);
+            const counted = businessMinutesBetween(hours, at, new Date(at.getTime() + 60 * 1000)) === 1;
+            assert.strictEqual(isWithinBusinessHours(hours, at), counted, `${hours.start}-${hours.end} at minute ${minute}`);
+        }
+    }
+});
+
+test('normalizeBusinessHoursInput validates times and timezone', () => {
+    assert.strictEqual(normalizeBusinessHoursInput({ enabled: true, start: '9h', end: '17:00' }).error, 'Gio lam viec phai theo dinh dang HH:mm.');
+    assert.ok(normalizeBusinessHoursInput({ enabled: true, start: '08:00', end: '08:00' }).error);
+    assert.ok(normalizeBusinessHoursInput({ timezone: 'Mars/Base' }).error);
+    assert.deepStrictEqual(normalizeBusinessHoursInput(undefined).businessHours, {
+        enabled: false, timezone: 'Asia/Ho_Chi_Minh', days: [], start: '08:00', end: '18:00'
+    });
+});
@@ -0,0 +1,936 @@
+import CrmAgentCommand from '../models/CrmAgentCommand.js';
+import CrmCampaign from '../models/CrmCampaign.js';
+import CrmCustomer from '../models/CrmCustomer.js';
+import CrmDevice from '../models/CrmDevice.js';
+import CrmExecutionLog from '../models/CrmExecutionLog.js';
+import CrmSegment from '../models/CrmSegment.js';
+import CrmTemplate from '../models/CrmTemplate.js';
+import { buildSegmentQuery } from './crmSegments.js';
+import { renderTemplate } from './crmTemplateRender.js';
+import { buildTerminalCommandUpdate } from '../retention/terminalUpdates.js';
+
+export const MAX_CAMPAIGN_RECIPIENTS = 500;
+export const HUMAN_APPROVAL_THRESHOLD = 50;
+export const DEFAULT_CAMPAIGN_TIMEZONE = 'Asia/Ho_Chi_Minh';
+// Same threshold as the device offline sweep: a device silent this long can't
+// stop its in-flight run, so resuming supersedes that run instead of waiting.
+export const IN_FLIGHT_DEVICE_STALE_MS = 60 * 1000;
+
+const campaignError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Offset (ms) between the wall clock in `timeZone` and UTC at `date`.
+const timeZoneOffsetMs = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    const get = (type) => Number(parts.find((part) => part.type === type)?.value);
+    const wallClockAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Resolve a campaign's scheduledAt input into an absolute Date.
+ * ISO strings with an explicit offset (or `Z`) and Date objects are taken as-is;
+ * a bare wall-clock string such as `2026-07-01T09:00` is interpreted in `timeZone`,
+ * so "9am" means 9am for the shop owner rather than for the server.
+ * @param {string|Date|null} value
+ * @param {string} timeZone - IANA zone, e.g. 'Asia/Ho_Chi_Minh'
+ * @returns {Date|null} null when value is empty, Invalid Date when unparsable
+ */
+export function resolveScheduledAt(value, timeZone = DEFAULT_CAMPAIGN_TIMEZONE) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return new Date(value.getTime());
+
+    const raw = String(value).trim();
+    const match = raw.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match || !isValidTimeZone(timeZone)) {
+        return new Date(raw);
+    }
+
+    const [, year, month, day, hour, minute, second = '0'] = match;
+    const wallClockAsUtc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+    // Two passes so wall-clock times right after a DST transition still land correctly.
+    let instant = wallClockAsUtc - timeZoneOffsetMs(new Date(wallClockAsUtc), timeZone);
+    instant = wallClockAsUtc - timeZoneOffsetMs(new Date(instant), timeZone);
+    return new Date(instant);
+}
+
+// Dedupe key: same thread type + phone with formatting stripped.
+const recipientKey = (threadType, phone) => `${threadType}:${String(phone).replace(/[\s.()-]/g, '')}`;
+
+const loadSegmentsQuery = async ({ segmentIds, userId, models }) => {
+    const uniqueIds = [...new Set(segmentIds.map(String))];
+    const segments = await models.CrmSegment.find({ _id: { $in: uniqueIds }, userId });
+    if (segments.length !== uniqueIds.length) {
+        throw campaignError('Không tìm thấy phân khúc (segment) của chiến dịch. Vui lòng cập nhật lại đối tượng nhận.', 400);
+    }
+    return { $or: await Promise.all(segments.map((segment) => buildSegmentQuery(userId, segment.filters || {}))) };
+};
+
+/**
+ * Build the send list for a campaign from all of its audience sources:
+ * consented customers with a phone (picked directly or via segments), Zalo
+ * group ids, and manual phone entries. Members of any excluded segment are
+ * dropped, and each customer/phone is sent to at most once.
+ * @returns {Promise<{ recipients: object[], customersById: Map, snapshot: object }>}
+ */
+export const resolveCampaignRecipients = async ({
+    campaign,
+    userId,
+    models = { CrmCustomer, CrmSegment }
+}) => {
+    const recipients = [];
+    const customersById = new Map();
+    const seenCustomerIds = new Set();
+    const seenKeys = new Set();
+    const excludedCustomerIds = new Set();
+    const excludedKeys = new Set();
+    let segmentMatchedCount = 0;
+    let excludedCount = 0;
+    let duplicateCount = 0;
+
+    const excludedSegmentIds = Array.isArray(campaign.excludedSegmentIds) ? campaign.excludedSegmentIds : [];
+    if (excludedSegmentIds.length > 0) {
+        const excludeQuery = await loadSegmentsQuery({ segmentIds: excludedSegmentIds, userId, models });
+        const excludedCustomers = await models.CrmCustomer.find({ userId, ...excludeQuery });
+        for (const c of excludedCustomers) {
+            excludedCustomerIds.add(String(c._id));
+            const phone = (c.phone || '').trim();
+            if (phone) excludedKeys.add(recipientKey('user', phone));
+        }
+    }
+
+    const addRecipient = (recipient) => {
+        const key = recipientKey(recipient.threadType, recipient.phone);
+        const customerKey = recipient.customerId ? String(recipient.customerId) : null;
+        if ((customerKey && excludedCustomerIds.has(customerKey)) || excludedKeys.has(key)) {
+            excludedCount += 1;
+            return false;
+        }
+        if ((customerKey && seenCustomerIds.has(customerKey)) || seenKeys.has(key)) {
+            duplicateCount += 1;
+            return false;
+        }
+        if (customerKey) seenCustomerIds.add(customerKey);
+        seenKeys.add(key);
+        recipients.push(recipient);
+        return true;
+    };
+
+    const addCustomer = (c) => {
+        const phone = (c.phone || '').trim();
+        // Only customers who granted consent and have a reachable phone
+        if (!phone || c.consentStatus !== 'granted') return false;
+        const added = addRecipient({
+            customerId: c._id,
+            phone,
+            name: c.name || '',
+            threadType: 'user'
+        });
+        if (added) customersById.set(String(c._id), c);
+        return added;
+    };
+
+    // 1. Customer IDs → phone/name
+    if (Array.isArray(campaign.targetCustomerIds) && campaign.targetCustomerIds.length > 0) {
+        const customers = await models.CrmCustomer.find({ _id: { $in: campaign.targetCustomerIds }, userId });
+        customers.forEach(addCustomer);
+    }
+
+    // 2. Segments → evaluated now, so membership reflects the customer base at send time
+    const targetSegmentIds = Array.isArray(campaign.targetSegmentIds) ? campaign.targetSegmentIds : [];
+    if (targetSegmentIds.length > 0) {
+        const segmentQuery = await loadSegmentsQuery({ segmentIds: targetSegmentIds, userId, models });
+        const members = await models.CrmCustomer.find({ userId, consentStatus: 'granted', ...segmentQuery });
+        for (const c of members) {
+            if ((c.phone || '').trim()) segmentMatchedCount += 1;
+            addCustomer(c);
+        }
+    }
+
+    // 3. Group IDs → group thread targets
+    if (Array.isArray(campaign.targetGroupIds) && campaign.targetGroupIds.length > 0) {
+        for (const groupId of campaign.targetGroupIds) {
+            const gid = (groupId || '').trim();
+            if (gid) {
+                addRecipient({
+                    customerId: null,
+                    phone: gid,
+                    name: `Nhóm ${gid}`,
+                    threadType: 'group'
+                });
+            }
+        }
+    }
+
+    // 4. Manual recipients → normalize phone
+    if (Array.isArray(campaign.manualRecipients) && campaign.manualRecipients.length > 0) {
+        for (const mr of campaign.manualRecipients) {
+            const phone = (mr.phone || '').trim();
+            if (phone) {
+                addRecipient({
+                    customerId: null,
+                    phone,
+                    name: mr.name || '',
+                    threadType: 'user'
+                });
+            }
+        }
+    }
+
+    return {
+        recipients,
+        customersById,
+        snapshot: {
+            resolvedCount: recipients.length,
+            segmentMatchedCount,
+            excludedCount,
+            duplicateCount
+        }
+    };
+};
+
+/**
+ * Backend compliance & constraint checks shared by manual and scheduled starts.
+ * `maxRecipients` is the plan's campaignRecipients entitlement (null = no cap).
+ * Throws an Error carrying `statusCode` (400/403) when the campaign may not run.
+ */
+export function assertCampaignCompliance({ campaign, targetRecipients, humanApprovedAt, maxRecipients = MAX_CAMPAIGN_RECIPIENTS }) {
+    if (targetRecipients.length === 0) {
+        throw campaignError('Chiến dịch không có người nhận hợp lệ nào (thiếu số điện thoại/Zalo hoặc ID nhóm, hoặc đã từ chối nhận tin).', 400);
+    }
+
+    const targetCount = targetRecipients.length;
+    if (maxRecipients !== null && targetCount > maxRecipients) {
+        throw campaignError(`Quy mô chiến dịch vượt quá giới hạn của gói hiện tại (tối đa ${maxRecipients}). Hiện tại: ${targetCount}.`, 400);
+    }
+    if (targetCount > HUMAN_APPROVAL_THRESHOLD && !humanApprovedAt) {
+        throw campaignError(`Chiến dịch gửi trên ${HUMAN_APPROVAL_THRESHOLD} tin nhắn (${targetCount}) yêu cầu xác nhận rủi ro thủ công. Vui lòng gửi humanApprovedAt.`, 403);
+    }
+
+    const minDelay = campaign.rateLimit?.minDelaySeconds || 3;
+    const maxDelay = campaign.rateLimit?.maxDelaySeconds || 5;
+    if (minDelay < 1 || maxDelay < 1 || minDelay > maxDelay) {
+        throw campaignError('Cấu hình delay không hợp lệ. minDelay và maxDelay phải lớn hơn 0, và min <= max.', 400);
+    }
+}
+
+export const buildCampaignMessagePreview = (templateText, recipientName) => {
+    const text = (templateText || 'Tin nhan chien dich')
+        .replace(/\{\{name\}\}/g, recipientName || 'Anh/Chi');
+    return text.length > 240 ? `${text.slice(0, 237)}...` : text;
+};
+
+/**
+ * Render the template for every recipient into `recipient.message`.
+ * Throws 400 when a required variable (CrmTemplate.variables) has no value
+ * and no default for at least one recipient, so nothing half-personalized
+ * ever goes out.
+ */
+export function personalizeRecipients({ template, recipients, customersById = new Map(), timeZone, now = new Date() }) {
+    const unresolved = [];
+    for (const recipient of recipients) {
+        const customer = recipient.customerId ? customersById.get(String(recipient.customerId)) : null;
+        const { text, missing } = renderTemplate(template.body || 'Tin nhắn chiến dịch', {
+            customer,
+            recipient,
+            requiredVariables: template.variables,
+            timeZone,
+            now
+        });
+        if (missing.length > 0) {
+            unresolved.push({ phone: recipient.phone, name: recipient.name, missing });
+        }
+        recipient.message = text;
+    }
+
+    if (unresolved.length > 0) {
+        const missingKeys = [...new Set(unresolved.flatMap((item) => item.missing))];
+        const sample = unresolved.slice(0, 5).map((item) => item.phone).join(', ');
+        const error = campaignError(
+            `Không thể cá nhân hóa tin nhắn: thiếu biến bắt buộc ${missingKeys.map((key) => `{{${key}}}`).join(', ')} cho ${unresolved.length} người nhận (${sample}${unresolved.length > 5 ? ', ...' : ''}).`,
+            400
+        );
+        error.details = unresolved;
+        throw error;
+    }
+    return recipients;
+}
+
+export const MAX_CAMPAIGN_VARIANTS = 3;
+const VARIANT_KEYS = ['A', 'B', 'C'];
+const HOUR_MS = 60 * 60 * 1000;
+export const REPLY_ATTRIBUTION_WINDOW_MS = 7 * 24 * HOUR_MS;
+
+/**
+ * Validate A/B variant input from the campaign API. Returns [] for a plain
+ * single-template campaign, otherwise 2..MAX_CAMPAIGN_VARIANTS entries with
+ * unique keys (defaulting to A/B/C) and non-negative weights.
+ * @returns {{ variants: Array<{ key: string, templateId: any, weight: number }>, error: string|null }}
+ */
+export function normalizeCampaignVariants(input) {
+    if (input === undefined || input === null) return { variants: [], error: null };
+    if (!Array.isArray(input)) return { variants: [], error: 'variants phai la mang.' };
+    const items = input.filter((item) => item && item.templateId);
+    if (items.length === 0) return { variants: [], error: null };
+    if (items.length < 2 || items.length > MAX_CAMPAIGN_VARIANTS) {
+        return { variants: [], error: `Can tu 2 den ${MAX_CAMPAIGN_VARIANTS} bien the mau tin nhan.` };
+    }
+
+    const variants = items.map((item, index) => ({
+        key: String(item.key || VARIANT_KEYS[index]).trim().slice(0, 20),
+        templateId: item.templateId,
+        weight: item.weight === undefined ? 1 : Number(item.weight)
+    }));
+    if (new Set(variants.map((variant) => variant.key)).size !== variants.length) {
+        return { variants: [], error: 'Ma bien the (key) bi trung.' };
+    }
+    if (variants.some((variant) => !Number.isFinite(variant.weight) || variant.weight < 0)
+        || variants.every((variant) => variant.weight === 0)) {
+        return { variants: [], error: 'Trong so bien the khong hop le.' };
+    }
+    return { variants, error: null };
+}
+
+/**
+ * Variants to send for a campaign; a plain campaign is one unnamed variant
+ * on campaign.templateId so the launch path is the same either way.
+ */
+export function getCampaignVariants(campaign) {
+    const variants = (campaign.variants || []).filter((variant) => variant?.templateId);
+    if (variants.length >= 2) {
+        return variants.map((variant) => ({
+            key: variant.key,
+            templateId: variant.templateId,
+            weight: Math.max(0, Number(variant.weight) || 0)
+        }));
+    }
+    return [{ key: '', templateId: campaign.templateId, weight: 1 }];
+}
+
+const shuffled = (items, random) => {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i -= 1) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+};
+
+/**
+ * Randomly split recipients across variants in proportion to their weights
+ * (largest-remainder rounding, so counts always add up). Sets `variantKey`
+ * and `templateId` on each recipient in place.
+ */
+export function assignVariants(recipients, variants, random = Math.random) {
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0) || variants.length;
+    const exact = variants.map((variant) => (recipients.length * (variant.weight || 0)) / totalWeight);
+    const quotas = exact.map(Math.floor);
+    let leftover = recipients.length - quotas.reduce((sum, quota) => sum + quota, 0);
+    exact
+        .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+        .sort((a, b) => b.fraction - a.fraction)
+        .forEach(({ index }) => {
+            if (leftover > 0) {
+                quotas[index] += 1;
+                leftover -= 1;
+            }
+        });
+
+    let variantIndex = 0;
+    for (const recipient of shuffled(recipients, random)) {
+        while (quotas[variantIndex] === 0) variantIndex += 1;
+        quotas[variantIndex] -= 1;
+        recipient.variantKey = variants[variantIndex].key;
+        recipient.templateId = variants[variantIndex].templateId;
+    }
+    return recipients;
+}
+
+/**
+ * Pick the test cell for a "send the winner to the remainder" A/B test.
+ * At least one recipient per variant is tested when possible.
+ */
+export function splitAbTestAudience(recipients, { testFraction = 0.2, variantCount = 2 } = {}, random = Math.random) {
+    const fraction = Math.min(1, Math.max(0, Number(testFraction) || 0));
+    const minimum = Math.min(variantCount, recipients.length);
+    const testSize = Math.min(recipients.length, Math.max(minimum, Math.ceil(recipients.length * fraction)));
+    const order = shuffled(recipients, random);
+    return {
+        testRecipients: order.slice(0, testSize),
+        holdoutRecipients: order.slice(testSize)
+    };
+}
+
+const loadVariantTemplates = async ({ variants, userId, models }) => {
+    const templatesByKey = new Map();
+    for (const variant of variants) {
+        const template = await models.CrmTemplate.findOne({ _id: variant.templateId, userId });
+        if (!template) {
+            throw campaignError('Không tìm thấy mẫu tin nhắn của chiến dịch.', 400);
+        }
+        templatesByKey.set(variant.key, template);
+    }
+    return templatesByKey;
+};
+
+const buildExecutionLogs = ({ campaign, userId, device, recipients, extraDetails = null }) => recipients.map((r) => ({
+    userId,
+    campaignId: campaign._id,
+    customerId: r.customerId || undefined,
+    channel: campaign.channel,
+    status: 'queued',
+    deviceId: device._id,
+    accountId: campaign.selectedAccountId,
+    templateId: r.templateId || campaign.templateId,
+    variantKey: r.variantKey || '',
+    recipientPhone: r.phone,
+    recipientName: r.name,
+    threadType: r.threadType || campaign.channel,
+    messagePreview: buildCampaignMessagePreview(r.message, r.name),
+    attemptedAt: null,
+    ...(extraDetails ? { details: extraDetails } : {}),
+    campaignSnapshot: {
+        id: campaign._id,
+        name: campaign.name,
+        channel: campaign.channel,
+        templateId: campaign.templateId
+    }
+}));
+
+/**
+ * Resolve recipients, run compliance checks, personalize each message, mark
+ * the campaign running, seed queued CrmExecutionLog rows and enqueue
+ * START_CAMPAIGN for `device`. Each payload recipient carries its rendered
+ * `message`; payload.message keeps the raw template for older agents.
+ *
+ * With A/B variants each recipient is assigned a variant by weight. When
+ * abTest.sendWinnerToRemainder is on, only a test cell is sent now and the
+ * rest is parked in abTest.holdoutRecipients for sendAbTestRemainder.
+ * Used by POST /campaigns/:id/start and by the scheduled-campaign job.
+ * @returns {Promise<{ campaign, agentCommand, targetRecipients, sentRecipients }>}
+ */
+export const launchCampaign = async ({
+    campaign,
+    userId,
+    subscriptionId,
+    device,
+    humanApprovedAt = null,
+    maxRecipients = MAX_CAMPAIGN_RECIPIENTS,
+    createCommand = null,
+    models = { CrmTemplate, CrmCustomer, CrmSegment, CrmExecutionLog, CrmAgentCommand },
+    now = new Date(),
+    random = Math.random
+}) => {
+    const variants = getCampaignVariants(campaign);
+    const isAbTest = variants.length > 1;
+    const templatesByKey = await loadVariantTemplates({ variants, userId, models });
+    const templateMessageText = templatesByKey.get(variants[0].key).body || 'Tin nhắn chiến dịch';
+
+    const { recipients: targetRecipients, customersById, snapshot } = await resolveCampaignRecipients({ campaign, userId, models });
+    assertCampaignCompliance({ campaign, targetRecipients, humanApprovedAt, maxRecipients });
+
+    let sentRecipients = targetRecipients;
+    let holdoutRecipients = [];
+    if (isAbTest && campaign.abTest?.sendWinnerToRemainder) {
+        ({ testRecipients: sentRecipients, holdoutRecipients } = splitAbTestAudience(targetRecipients, {
+            testFraction: campaign.abTest.testFraction,
+            variantCount: variants.length
+        }, random));
+    }
+    if (isAbTest) {
+        assignVariants(sentRecipients, variants, random);
+    }
+
+    for (const variant of variants) {
+        const template = templatesByKey.get(variant.key);
+        personalizeRecipients({
+            template,
+            recipients: sentRecipients.filter((r) => (r.variantKey || '') === variant.key),
+            customersById,
+            timeZone: campaign.timezone,
+            now
+        });
+        // Any variant may win, so the remainder must render under each of them.
+        personalizeRecipients({
+            template,
+            recipients: holdoutRecipients.map((r) => ({ ...r })),
+            customersById,
+            timeZone: campaign.timezone,
+            now
+        });
+    }
+
+    if (humanApprovedAt) {
+        campaign.humanApprovedAt = new Date(humanApprovedAt);
+    }
+
+    campaign.status = 'running';
+    campaign.startedAt = now;
+    campaign.metrics.totalTargets = targetRecipients.length;
+    campaign.audienceSnapshot = { ...snapshot, resolvedAt: now };
+    if (holdoutRecipients.length > 0) {
+        campaign.abTest.holdoutRecipients = holdoutRecipients;
+        campaign.abTest.testEndsAt = new Date(now.getTime() + (Number(campaign.abTest.testWindowHours) || 24) * HOUR_MS);
+    }
+    await campaign.save();
+
+    // Seed 'queued' execution logs so the UI shows progress immediately
+    const initialLogs = buildExecutionLogs({ campaign, userId, device, recipients: sentRecipients });
+    if (initialLogs.length > 0) {
+        await models.CrmExecutionLog.insertMany(initialLogs);
+    }
+
+    const commandPayload = {
+        userId,
+        subscriptionId,
+        deviceId: device._id,
+        type: 'START_CAMPAIGN',
+        payload: {
+            campaignId: campaign._id,
+            templateId: campaign.templateId,
+            message: templateMessageText,
+            channel: campaign.channel,
+            recipients: sentRecipients,
+            rateLimit: campaign.rateLimit
+        },
+        status: 'queued',
+        idempotencyKey: `campaign-start:${campaign._id}`,
+        expiresAt: new Date(now.getTime() + 24 * 60 * 60 * 1000)
+    };
+    const agentCommand = createCommand
+        ? await createCommand(commandPayload)
+        : await models.CrmAgentCommand.create(commandPayload);
+
+    return { campaign, agentCommand, targetRecipients, sentRecipients };
+};
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+/**
+ * Per-variant send/fail/reply counts and rates (percent, one decimal) from
+ * CrmExecutionLog. `match` is any extra filter, e.g. { userId, campaignId }.
+ */
+export const aggregateVariantPerformance = async ({ match, models = { CrmExecutionLog } }) => {
+    const rows = await models.CrmExecutionLog.aggregate([
+        { $match: { ...match, variantKey: { $nin: ['', null] } } },
+        {
+            $group: {
+                _id: { campaignId: '$campaignId', variantKey: '$variantKey' },
+                templateId: { $first: '$templateId' },
+                total: { $sum: 1 },
+                success: { $sum: { $cond: [{ $eq: ['$status', 'success'] }, 1, 0] } },
+                failed: { $sum: { $cond: [{ $in: ['$status', ['failed', 'cancelled']] }, 1, 0] } },
+                replied: { $sum: { $cond: [{ $ifNull: ['$repliedAt', false] }, 1, 0] } }
+            }
+        },
+        { $sort: { '_id.campaignId': 1, '_id.variantKey': 1 } }
+    ]);
+    return rows.map((row) => {
+        const sent = row.success + row.failed;
+        return {
+            campaignId: row._id.campaignId,
+            variantKey: row._id.variantKey,
+            templateId: row.templateId,
+            total: row.total,
+            sent,
+            success: row.success,
+            failed: row.failed,
+            replied: row.replied,
+            successRate: rate(row.success, sent),
+            failureRate: rate(row.failed, sent),
+            replyRate: rate(row.replied, row.success)
+        };
+    });
+};
+
+/**
+ * Choose the best variant by `metric` ('replyRate' or 'successRate'), breaking
+ * ties on the other rate and then on volume. Falls back to the heaviest
+ * weighted variant when nothing was sent.
+ */
+export function pickWinningVariant(variantStats, variants, metric = 'replyRate') {
+    const secondary = metric === 'replyRate' ? 'successRate' : 'replyRate';
+    const candidates = variantStats.filter((stat) => stat.sent > 0
+        && variants.some((variant) => variant.key === stat.variantKey));
+    if (candidates.length === 0) {
+        return [...variants].sort((a, b) => b.weight - a.weight)[0]?.key || null;
+    }
+    candidates.sort((a, b) => (b[metric] - a[metric])
+        || (b[secondary] - a[secondary])
+        || (b.success - a.success)
+        || String(a.variantKey).localeCompare(String(b.variantKey)));
+    return candidates[0].variantKey;
+}
+
+/**
+ * Send the winning variant to the recipients parked by launchCampaign once
+ * the A/B test window has passed. Resolves to null when another run has
+ * already claimed the remainder.
+ */
+export const sendAbTestRemainder = async ({
+    campaign,
+    subscriptionId,
+    device,
+    winnerKey,
+    createCommand = null,
+    models = { CrmCampaign, CrmTemplate, CrmCustomer, CrmExecutionLog, CrmAgentCommand },
+    now = new Date()
+}) => {
+    const variant = getCampaignVariants(campaign).find((item) => item.key === winnerKey);
+    if (!variant) {
+        throw campaignError('Không tìm thấy biến thể thắng cuộc.', 400);
+    }
+    const template = await models.CrmTemplate.findOne({ _id: variant.templateId, userId: campaign.userId });
+    if (!template) {
+        throw campaignError('Không tìm thấy mẫu tin nhắn của chiến dịch.', 400);
+    }
+
+    // Claim the remainder first so two scheduler runs can't both send it.
+    const claimed = await models.CrmCampaign.findOneAndUpdate(
+        { _id: campaign._id, 'abTest.remainderSentAt': null },
+        { $set: { 'abTest.remainderSentAt': now, 'abTest.winnerVariantKey': variant.key, 'abTest.winnerSelectedAt': now } },
+        { new: true }
+    );
+    if (!claimed) return null;
+
+    try {
+        const remainder = (campaign.abTest?.holdoutRecipients || []).map((r) => ({
+            ...r,
+            variantKey: variant.key,
+            templateId: variant.templateId
+        }));
+        const customerIds = remainder.map((r) => r.customerId).filter(Boolean);
+        const customers = customerIds.length > 0
+            ? await models.CrmCustomer.find({ _id: { $in: customerIds }, userId: campaign.userId })
+            : [];
+        personalizeRecipients({
+            template,
+            recipients: remainder,
+            customersById: new Map(customers.map((c) => [String(c._id), c])),
+            timeZone: campaign.timezone,
+            now
+        });
+
+        let agentCommand = null;
+        if (remainder.length > 0) {
+            const logs = buildExecutionLogs({
+                campaign,
+                userId: campaign.userId,
+                device,
+                recipients: remainder,
+                extraDetails: { abRemainder: true }
+            });
+            await models.CrmExecutionLog.insertMany(logs);
+
+            const commandPayload = {
+                userId: campaign.userId,
+                subscriptionId,
+                deviceId: device._id,
+                type: 'START_CAMPAIGN',
+                payload: {
+                    campaignId: campaign._id,
+                    templateId: variant.templateId,
+                    message: template.body || 'Tin nhắn chiến dịch',
+                    channel: campaign.channel,
+                    recipients: remainder,
+                    rateLimit: campaign.rateLimit,
+                    abRemainder: true
+                },
+                status: 'queued',
+                idempotencyKey: `campaign-ab-remainder:${campaign._id}`,
+                expiresAt: new Date(now.getTime() + 24 * 60 * 60 * 1000)
+            };
+            agentCommand = createCommand
+                ? await createCommand(commandPayload)
+                : await models.CrmAgentCommand.create(commandPayload);
+        }
+
+        campaign.abTest.winnerVariantKey = variant.key;
+        campaign.abTest.winnerSelectedAt = now;
+        campaign.abTest.remainderSentAt = now;
+        campaign.abTest.holdoutRecipients = [];
+        campaign.lastProgressAt = now;
+        await campaign.save();
+
+        return { campaign, agentCommand, remaining: remainder.length };
+    } catch (error) {
+        // Release the claim so the next run retries the send.
+        await models.CrmCampaign.updateOne(
+            { _id: campaign._id, 'abTest.remainderSentAt': now },
+            { $set: { 'abTest.remainderSentAt': null, 'abTest.winnerVariantKey': null, 'abTest.winnerSelectedAt': null } }
+        );
+        throw error;
+    }
+};
+
+/**
+ * True while an A/B campaign is still waiting to send its winner, in which
+ * case finishing the test command must not complete the campaign.
+ */
+export const hasPendingAbRemainder = (campaign) => Boolean(
+    campaign.abTest?.sendWinnerToRemainder
+    && !campaign.abTest?.remainderSentAt
+    && (campaign.abTest?.holdoutRecipients || []).length > 0
+);
+
+/**
+ * Campaigns split over several START_CAMPAIGN commands (paused/resumed or
+ * A/B) must take metrics from their execution logs, not one command's counts.
+ */
+export const usesLogMetrics = (campaign) => Boolean(campaign.pausedAt) || getCampaignVariants(campaign).length > 1;
+
+/**
+ * Attribute an inbound message to the most recent successful campaign send
+ * to this customer within REPLY_ATTRIBUTION_WINDOW_MS (first reply only).
+ */
+export const markCampaignReply = async ({
+    userId,
+    customer,
+    receivedAt = new Date(),
+    models = { CrmExecutionLog }
+}) => {
+    if (!customer?._id) return null;
+    const phone = String(customer.phone || '').trim();
+    return models.CrmExecutionLog.findOneAndUpdate(
+        {
+            userId,
+            campaignId: { $ne: null },
+            status: 'success',
+            repliedAt: null,
+            sentAt: { $gte: new Date(receivedAt.getTime() - REPLY_ATTRIBUTION_WINDOW_MS), $lte: receivedAt },
+            $or: [
+                { customerId: customer._id },
+                ...(phone ? [{ recipientPhone: phone }] : [])
+            ]
+        },
+        { $set: { repliedAt: receivedAt } },
+        { sort: { sentAt: -1 }, new: true }
+    );
+};
+
+const campaignCommandFilter = (campaign) => ({
+    userId: campaign.userId,
+    type: 'START_CAMPAIGN',
+    $or: [
+        { 'payload.campaignId': campaign._id },
+        { 'payload.campaignId': String(campaign._id) }
+    ]
+});
+
+const UNSENT_LOG_STATUSES = ['queued', 'running'];
+
+/**
+ * Count a campaign's CrmExecutionLog rows by status and derive `metrics`.
+ * Used once a campaign has been paused, because each START_CAMPAIGN command
+ * only reports counts for its own slice of recipients.
+ */
+export const summarizeCampaignLogs = async ({ campaign, models = { CrmExecutionLog } }) => {
+    const rawCounts = await models.CrmExecutionLog.aggregate([
+        { $match: { campaignId: campaign._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const statusCounts = { queued: 0, running: 0, success: 0, failed: 0, cancelled: 0 };
+    rawCounts.forEach((item) => {
+        if (Object.prototype.hasOwnProperty.call(statusCounts, item._id)) {
+            statusCounts[item._id] = item.count;
+        }
+    });
+    return {
+        statusCounts,
+        metrics: {
+            totalSent: statusCounts.success + statusCounts.failed,
+            totalTargets: campaign.metrics?.totalTargets || 0,
+            successCount: statusCounts.success,
+            failedCount: statusCounts.failed,
+            cancelledCount: statusCounts.cancelled
+        }
+    };
+};
+
+/**
+ * Pause a running campaign. A START_CAMPAIGN command the agent hasn't claimed
+ * yet is withdrawn outright; one already in flight gets a CANCEL_CAMPAIGN
+ * (reason 'paused') so the agent stops after its current recipient. Unsent
+ * execution logs stay 'queued' so resume can pick them up.
+ */
+export const pauseCampaign = async ({
+    campaign,
+    subscriptionId,
+    createCommand = null,
+    models = { CrmAgentCommand },
+    now = new Date()
+}) => {
+    if (campaign.status !== 'running') {
+        throw campaignError('Chỉ có thể tạm dừng chiến dịch đang chạy.', 400);
+    }
+
+    const activeCommands = await models.CrmAgentCommand.find({
+        ...campaignCommandFilter(campaign),
+        status: { $in: ['queued', 'sent', 'running'] }
+    });
+
+    let stopCommand = null;
+    for (const command of activeCommands) {
+        if (command.status === 'queued') {
+            Object.assign(command, buildTerminalCommandUpdate('cancelled', now, {
+                errorMessage: 'Chiến dịch đã tạm dừng trước khi thiết bị nhận lệnh.'
+            }));
+            await command.save();
+            continue;
+        }
+        const payload = {
+            userId: campaign.userId,
+            subscriptionId,
+            deviceId: command.deviceId,
+            type: 'CANCEL_CAMPAIGN',
+            payload: { campaignId: campaign._id, reason: 'paused' },
+            status: 'queued',
+            idempotencyKey: `campaign-pause:${campaign._id}:${now.getTime()}`,
+            expiresAt: new Date(now.getTime() + 60 * 60 * 1000)
+        };
+        stopCommand = createCommand
+            ? await createCommand(payload)
+            : await models.CrmAgentCommand.create(payload);
+    }
+
+    campaign.status = 'paused';
+    campaign.pausedAt = now;
+    await campaign.save();
+
+    return { campaign, stopCommand };
+};
+
+/**
+ * Resume a paused campaign from its unsent recipients, on `device` (which may
+ * differ from the one that started it). Recipients — including their
+ * personalized message — are recovered from earlier START_CAMPAIGN payloads.
+ * Completes the campaign instead when nothing is left to send. Refuses (409)
+ * while a device with a fresh heartbeat is still stopping the previous run;
+ * runs on devices that went silent are expired.
+ */
+export const resumeCampaign = async ({
+    campaign,
+    subscriptionId,
+    device,
+    createCommand = null,
+    models = { CrmAgentCommand, CrmExecutionLog, CrmDevice },
+    now = new Date()
+}) => {
+    if (campaign.status !== 'paused') {
+        throw campaignError('Chỉ có thể tiếp tục chiến dịch đang tạm dừng.', 400);
+    }
+
+    const inFlight = await models.CrmAgentCommand.find({
+        ...campaignCommandFilter(campaign),
+        status: { $in: ['sent', 'running'] }
+    });
+    if (inFlight.length > 0) {
+        const devices = await models.CrmDevice.find({ _id: { $in: inFlight.map((command) => command.deviceId) } })
+            .select('lastHeartbeatAt')
+            .lean();
+        const staleBefore = now.getTime() - IN_FLIGHT_DEVICE_STALE_MS;
+        const live = devices.some((entry) => entry.lastHeartbeatAt && new Date(entry.lastHeartbeatAt).getTime() >= staleBefore);
+        if (live) {
+            throw campaignError('Thiết bị chưa dừng hẳn lượt gửi trước. Vui lòng thử lại sau giây lát.', 409);
+        }
+        // Conditional on the status so a result that landed meanwhile is kept.
+        await models.CrmAgentCommand.updateMany(
+            { _id: { $in: inFlight.map((command) => command._id) }, status: { $in: ['sent', 'running'] } },
+            {
+                $set: buildTerminalCommandUpdate('expired', now, {
+                    errorMessage: 'Thiết bị mất kết nối; lượt gửi được thay bằng lần tiếp tục chiến dịch.'
+                })
+            }
+        );
+    }
+
+    const unsentLogs = await models.CrmExecutionLog.find({
+        campaignId: campaign._id,
+        status: { $in: UNSENT_LOG_STATUSES }
+    }).sort({ createdAt: 1 });
+
+    if (unsentLogs.length === 0) {
+        const { metrics } = await summarizeCampaignLogs({ campaign, models });
+        campaign.metrics = metrics;
+        campaign.status = 'completed';
+        campaign.finishedAt = now;
+        campaign.lastProgressAt = now;
+        await campaign.save();
+        return { campaign, agentCommand: null, remaining: 0 };
+    }
+
+    const previousCommands = await models.CrmAgentCommand.find(campaignCommandFilter(campaign)).sort({ createdAt: -1 });
+    const recipientsByPhone = new Map();
+    for (const command of previousCommands) {
+        for (const recipient of command.payload?.recipients || []) {
+            if (recipient?.phone && !recipientsByPhone.has(recipient.phone)) {
+                recipientsByPhone.set(recipient.phone, recipient);
+            }
+        }
+    }
+    const rawMessage = previousCommands[0]?.payload?.message || '';
+    const remaining = unsentLogs.map((log) => recipientsByPhone.get(log.recipientPhone) || {
+        customerId: log.customerId || null,
+        phone: log.recipientPhone,
+        name: log.recipientName || '',
+        threadType: log.threadType === 'group' ? 'group' : 'user'
+    });
+
+    campaign.resumeCount = (campaign.resumeCount || 0) + 1;
+    const commandPayload = {
+        userId: campaign.userId,
+        subscriptionId,
+        deviceId: device._id,
+        type: 'START_CAMPAIGN',
+        payload: {
+            campaignId: campaign._id,
+            templateId: campaign.templateId,
+            message: rawMessage,
+            channel: campaign.channel,
+            recipients: remaining,
+            rateLimit: campaign.rateLimit,
+            resumed: true
+        },
+        status: 'queued',
+        idempotencyKey: `campaign-resume:${campaign._id}:${campaign.resumeCount}`,
+        expiresAt: new Date(now.getTime() + 24 * 60 * 60 * 1000)
+    };
+
+    const agentCommand = createCommand
+        ? await createCommand(commandPayload)
+        : await models.CrmAgentCommand.create(commandPayload);
+
+    await models.CrmExecutionLog.updateMany(
+        { campaignId: campaign._id, status: { $in: UNSENT_LOG_STATUSES } },
+        { $set: { status: 'queued', deviceId: device._id } }
+    );
+
+    campaign.status = 'running';
+    campaign.resumedAt = now;
+    campaign.lastProgressAt = now;
+    await campaign.save();
+
+    return { campaign, agentCommand, remaining: remaining.length };
+};
@@ -0,0 +1,595 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    assertCampaignCompliance,
+    assignVariants,
+    launchCampaign,
+    markCampaignReply,
+    normalizeCampaignVariants,
+    pauseCampaign,
+    pickWinningVariant,
+    personalizeRecipients,
+    resolveCampaignRecipients,
+    resolveScheduledAt,
+    resumeCampaign,
+    sendAbTestRemainder,
+    summarizeCampaignLogs
+} from './crmCampaigns.js';
+
+const createQuery = (result) => {
+    const query = {
+        select() { return query; },
+        lean() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+test('resolveScheduledAt interprets bare wall-clock input in the campaign timezone', () => {
+    assert.strictEqual(
+        resolveScheduledAt('2026-07-01T09:00', 'Asia/Ho_Chi_Minh').toISOString(),
+        '2026-07-01T02:00:00.000Z'
+    );
+    assert.strictEqual(
+        resolveScheduledAt('2026-07-01 09:00:30', 'America/New_York').toISOString(),
+        '2026-07-01T13:00:30.000Z'
+    );
+    assert.strictEqual(
+        resolveScheduledAt('2026-01-15T09:00', 'America/New_York').toISOString(),
+        '2026-01-15T14:00:00.000Z'
+    );
+});
+
+test('resolveScheduledAt keeps explicit offsets and rejects garbage', () => {
+    assert.strictEqual(
+        resolveScheduledAt('2026-07-01T09:00:00+09:00', 'Asia/Ho_Chi_Minh').toISOString(),
+        '2026-07-01T00:00:00.000Z'
+    );
+    assert.strictEqual(resolveScheduledAt('', 'Asia/Ho_Chi_Minh'), null);
+    assert.ok(Number.isNaN(resolveScheduledAt('not-a-date').getTime()));
+});
+
+test('resolveCampaignRecipients skips customers without consent and merges all sources', async () => {
+    const models = {
+        CrmCustomer: {
+            async find(filter) {
+                assert.deepStrictEqual(filter, { _id: { $in: ['c1', 'c2'] }, userId: 'user-1' });
+                return [
+                    { _id: 'c1', phone: ' 0901 ', name: 'An', consentStatus: 'granted' },
+                    { _id: 'c2', phone: '0902', name: 'Binh', consentStatus: 'revoked' }
+                ];
+            }
+        }
+    };
+    const { recipients } = await resolveCampaignRecipients({
+        campaign: {
+            targetCustomerIds: ['c1', 'c2'],
+            targetGroupIds: ['g1', ' '],
+            manualRecipients: [{ phone: '0903', name: 'Chi' }, { phone: '' }]
+        },
+        userId: 'user-1',
+        models
+    });
+
+    assert.deepStrictEqual(recipients.map((r) => [r.phone, r.threadType]), [
+        ['0901', 'user'],
+        ['g1', 'group'],
+        ['0903', 'user']
+    ]);
+});
+
+test('resolveCampaignRecipients evaluates segments, applies exclusions and dedupes', async () => {
+    const segments = {
+        'seg-vip': { _id: 'seg-vip', filters: { tags: ['vip'] } },
+        'seg-optout': { _id: 'seg-optout', filters: { tags: ['no-promo'] } }
+    };
+    const customers = [
+        { _id: 'c1', phone: '0901 111 111', name: 'An', consentStatus: 'granted', tags: ['vip'] },
+        { _id: 'c2', phone: '0902', name: 'Binh', consentStatus: 'granted', tags: ['vip', 'no-promo'] },
+        { _id: 'c3', phone: '', name: 'Cuong', consentStatus: 'granted', tags: ['vip'] }
+    ];
+    const findQueries = [];
+    const models = {
+        CrmSegment: {
+            async find(filter) {
+                assert.strictEqual(filter.userId, 'user-1');
+                return filter._id.$in.map((id) => segments[id]).filter(Boolean);
+            }
+        },
+        CrmCustomer: {
+            async find(filter) {
+                findQueries.push(filter);
+                if (filter._id) return customers.filter((c) => filter._id.$in.includes(c._id));
+                const tags = filter.$or.flatMap((query) => query.tags.$in);
+                return customers.filter((c) => c.tags.some((tag) => tags.includes(tag)));
+            }
+        }
+    };
+
+    const { recipients, snapshot } = await resolveCampaignRecipients({
+        campaign: {
+            targetCustomerIds: ['c1'],
+            targetSegmentIds: ['seg-vip'],
+            excludedSegmentIds: ['seg-optout'],
+            manualRecipients: [{ phone: '0901111111', name: 'An (manual)' }, { phone: '0902', name: 'Binh' }]
+        },
+        userId: 'user-1',
+        models
+    });
+
+    assert.deepStrictEqual(recipients.map((r) => r.phone), ['0901 111 111']);
+    assert.deepStrictEqual(snapshot, {
+        resolvedCount: 1,
+        segmentMatchedCount: 2,
+        excludedCount: 2,
+        duplicateCount: 2
+    });
+    assert.strictEqual(findQueries[2].consentStatus, 'granted');
+});
+
+test('resolveCampaignRecipients rejects segments that no longer exist', async () => {
+    await assert.rejects(resolveCampaignRecipients({
+        campaign: { targetSegmentIds: ['seg-gone'] },
+        userId: 'user-1',
+        models: {
+            CrmSegment: { async find() { return []; } },
+            CrmCustomer: { async find() { return []; } }
+        }
+    }), { statusCode: 400 });
+});
+
+test('assertCampaignCompliance enforces size cap, approval threshold and delays', () => {
+    const campaign = { rateLimit: { minDelaySeconds: 3, maxDelaySeconds: 5 } };
+    const many = (n) => Array.from({ length: n }, (_, i) => ({ phone: String(i) }));
+
+    assert.throws(() => assertCampaignCompliance({ campaign, targetRecipients: [] }), { statusCode: 400 });
+    assert.throws(() => assertCampaignCompliance({ campaign, targetRecipients: many(501), humanApprovedAt: new Date() }), { statusCode: 400 });
+    assert.throws(() => assertCampaignCompliance({ campaign, targetRecipients: many(51) }), { statusCode: 403 });
+    assert.doesNotThrow(() => assertCampaignCompliance({ campaign, targetRecipients: many(51), humanApprovedAt: new Date() }));
+    assert.throws(() => assertCampaignCompliance({
+        campaign: { rateLimit: { minDelaySeconds: 9, maxDelaySeconds: 5 } },
+        targetRecipients: many(1)
+    }), { statusCode: 400 });
+});
+
+test('assertCampaignCompliance caps recipients at the plan entitlement', () => {
+    const campaign = { rateLimit: { minDelaySeconds: 3, maxDelaySeconds: 5 } };
+    const many = (n) => Array.from({ length: n }, (_, i) => ({ phone: String(i) }));
+    const humanApprovedAt = new Date();
+
+    assert.doesNotThrow(() => assertCampaignCompliance({ campaign, targetRecipients: many(1500), humanApprovedAt, maxRecipients: 2000 }));
+    assert.throws(() => assertCampaignCompliance({ campaign, targetRecipients: many(2001), humanApprovedAt, maxRecipients: 2000 }), { statusCode: 400, message: /2000/ });
+    assert.doesNotThrow(() => assertCampaignCompliance({ campaign, targetRecipients: many(20000), humanApprovedAt, maxRecipients: null }));
+});
+
+test('launchCampaign marks the campaign running, seeds logs and enqueues START_CAMPAIGN', async () => {
+    const calls = [];
+    const campaign = {
+        _id: 'camp-1',
+        name: 'Promo',
+        channel: 'zalo',
+        templateId: 'tpl-1',
+        selectedAccountId: 'acc-1',
+        manualRecipients: [{ phone: '0903', name: 'Chi' }],
+        rateLimit: { minDelaySeconds: 3, maxDelaySeconds: 5 },
+        metrics: { totalTargets: 0 },
+        async save() {
+            calls.push(['campaign.save', this.status]);
+        }
+    };
+    const now = new Date('2026-07-01T02:00:00.000Z');
+
+    const result = await launchCampaign({
+        campaign,
+        userId: 'user-1',
+        subscriptionId: 'sub-1',
+        device: { _id: 'dev-1' },
+        now,
+        models: {
+            CrmTemplate: { async findOne() { return { body: 'Chao {{name}}' }; } },
+            CrmCustomer: { async find() { return []; } },
+            CrmExecutionLog: {
+                async insertMany(rows) {
+                    calls.push(['logs', rows.map((row) => row.messagePreview)]);
+                }
+            },
+            CrmAgentCommand: {
+                async create(payload) {
+                    calls.push(['command', payload.type, payload.idempotencyKey]);
+                    return { _id: 'cmd-1', ...payload };
+                }
+            }
+        }
+    });
+
+    assert.strictEqual(result.agentCommand._id, 'cmd-1');
+    assert.strictEqual(campaign.startedAt, now);
+    assert.strictEqual(campaign.metrics.totalTargets, 1);
+    assert.strictEqual(campaign.audienceSnapshot.resolvedCount, 1);
+    assert.strictEqual(campaign.audienceSnapshot.resolvedAt, now);
+    assert.deepStrictEqual(calls, [
+        ['campaign.save', 'running'],
+        ['logs', ['Chao Chi']],
+        ['command', 'START_CAMPAIGN', 'campaign-start:camp-1']
+    ]);
+});
+
+test('personalizeRecipients renders per customer and refuses unresolved required variables', () => {
+    const template = { body: 'Chao {{name}} tu {{company}}', variables: ['company'] };
+    const recipients = [
+        { customerId: 'c1', phone: '0901', name: 'An' },
+        { customerId: null, phone: '0903', name: 'Chi' }
+    ];
+    const customersById = new Map([['c1', { name: 'An', company: 'Alpha' }]]);
+
+    assert.throws(
+        () => personalizeRecipients({ template, recipients, customersById }),
+        (error) => error.statusCode === 400
+            && /\{\{company\}\}/.test(error.message)
+            && error.details.length === 1
+            && error.details[0].phone === '0903'
+    );
+
+    const [first] = personalizeRecipients({ template, recipients: recipients.slice(0, 1), customersById });
+    assert.strictEqual(first.message, 'Chao An tu Alpha');
+});
+
+test('pauseCampaign withdraws unclaimed commands and asks in-flight agents to stop', async () => {
+    const created = [];
+    const queued = { status: 'queued', deviceId: 'dev-1', async save() {} };
+    const running = { status: 'running', deviceId: 'dev-2', async save() {} };
+    const campaign = {
+        _id: 'camp-1',
+        userId: 'user-1',
+        status: 'running',
+        async save() {}
+    };
+    const now = new Date('2026-07-01T03:00:00.000Z');
+
+    const { stopCommand } = await pauseCampaign({
+        campaign,
+        subscriptionId: 'sub-1',
+        now,
+        models: {
+            CrmAgentCommand: {
+                async find(filter) {
+                    assert.strictEqual(filter.type, 'START_CAMPAIGN');
+                    return [queued, running];
+                },
+                async create(payload) {
+                    created.push(payload);
+                    return payload;
+                }
+            }
+        }
+    });
+
+    assert.strictEqual(campaign.status, 'paused');
+    assert.strictEqual(campaign.pausedAt, now);
+    assert.strictEqual(queued.status, 'cancelled');
+    assert.strictEqual(running.status, 'running');
+    assert.strictEqual(created.length, 1);
+    assert.strictEqual(stopCommand.type, 'CANCEL_CAMPAIGN');
+    assert.strictEqual(stopCommand.deviceId, 'dev-2');
+    assert.deepStrictEqual(stopCommand.payload, { campaignId: 'camp-1', reason: 'paused' });
+
+    await assert.rejects(pauseCampaign({ campaign, models: {} }), { statusCode: 400 });
+});
+
+test('resumeCampaign re-queues only unsent recipients on the new device', async () => {
+    const created = [];
+    const logUpdates = [];
+    const campaign = {
+        _id: 'camp-1',
+        userId: 'user-1',
+        status: 'paused',
+        channel: 'zalo',
+        templateId: 'tpl-1',
+        rateLimit: { minDelaySeconds: 3, maxDelaySeconds: 5 },
+        resumeCount: 0,
+        async save() {}
+    };
+    const startCommand = {
+        payload: {
+            message: 'Chao {{name}}',
+            recipients: [
+                { phone: '0901', name: 'An', message: 'Chao An' },
+                { phone: '0902', name: 'Binh', message: 'Chao Binh' }
+            ]
+        }
+    };
+    const sortable = (value) => ({
+        sort() {
+            return Promise.resolve(value);
+        }
+    });
+
+    const { agentCommand, remaining } = await resumeCampaign({
+        campaign,
+        subscriptionId: 'sub-1',
+        device: { _id: 'dev-9' },
+        models: {
+            CrmAgentCommand: {
+                find(filter) { return filter.status ? [] : sortable([startCommand]); },
+                async create(payload) {
+                    created.push(payload);
+                    return payload;
+                }
+            },
+            CrmExecutionLog: {
+                find(filter) {
+                    assert.deepStrictEqual(filter.status, { $in: ['queued', 'running'] });
+                    return sortable([{ recipientPhone: '0902', recipientName: 'Binh' }]);
+                },
+                async updateMany(filter, update) {
+                    logUpdates.push(update.$set);
+                }
+            }
+        }
+    });
+
+    assert.strictEqual(remaining, 1);
+    assert.strictEqual(campaign.status, 'running');
+    assert.strictEqual(campaign.resumeCount, 1);
+    assert.strictEqual(agentCommand.deviceId, 'dev-9');
+    assert.strictEqual(agentCommand.idempotencyKey, 'campaign-resume:camp-1:1');
+    assert.deepStrictEqual(agentCommand.payload.recipients, [{ phone: '0902', name: 'Binh', message: 'Chao Binh' }]);
+    assert.deepStrictEqual(logUpdates, [{ status: 'queued', deviceId: 'dev-9' }]);
+});
+
+test('resumeCampaign refuses while the previous run is still stopping', async () => {
+    const now = new Date('2026-07-01T02:00:00.000Z');
+    await assert.rejects(resumeCampaign({
+        campaign: { _id: 'camp-1', userId: 'user-1', status: 'paused' },
+        device: { _id: 'dev-2' },
+        now,
+        models: {
+            CrmAgentCommand: { async find() { return [{ _id: 'cmd-1', deviceId: 'dev-1', status: 'running' }]; } },
+            CrmDevice: { find: () => createQuery([{ _id: 'dev-1', lastHeartbeatAt: new Date(now.getTime() - 20 * 1000) }]) },
+            CrmExecutionLog: {}
+        }
+    }), { statusCode: 409 });
+});
+
+test('resumeCampaign expires in-flight runs on a device that went silent', async () => {
+    const now = new Date('2026-07-01T02:00:00.000Z');
+    const campaign = { _id: 'camp-1', userId: 'user-1', status: 'paused', resumeCount: 0, async save() {} };
+    const expired = [];
+    const sortable = (value) => ({ sort: () => Promise.resolve(value) });
+
+    const { agentCommand, remaining } = await resumeCampaign({
+        campaign,
+        subscriptionId: 'sub-1',
+        device: { _id: 'dev-2' },
+        now,
+        models: {
+            CrmAgentCommand: {
+                find(filter) {
+                    if (!filter.status) return sortable([{ payload: { message: 'Hi', recipients: [{ phone: '0901' }] } }]);
+                    return [{ _id: 'cmd-1', deviceId: 'dev-1', status: 'running' }];
+                },
+                async updateMany(filter, update) {
+                    expired.push([filter, update.$set]);
+                },
+                async create(payload) { return payload; }
+            },
+            CrmDevice: { find: () => createQuery([{ _id: 'dev-1', lastHeartbeatAt: new Date(now.getTime() - 5 * 60 * 1000) }]) },
+            CrmExecutionLog: {
+                find: () => sortable([{ recipientPhone: '0901' }]),
+                async updateMany() {}
+            }
+        }
+    });
+
+    assert.strictEqual(expired.length, 1);
+    assert.deepStrictEqual(expired[0][0], { _id: { $in: ['cmd-1'] }, status: { $in: ['sent', 'running'] } });
+    assert.strictEqual(expired[0][1].status, 'expired');
+    assert.strictEqual(remaining, 1);
+    assert.strictEqual(agentCommand.deviceId, 'dev-2');
+});
+
+test('summarizeCampaignLogs derives metrics from execution log counts', async () => {
+    const { metrics, statusCounts } = await summarizeCampaignLogs({
+        campaign: { _id: 'camp-1', metrics: { totalTargets: 10 } },
+        models: {
+            CrmExecutionLog: {
+                async aggregate() {
+                    return [{ _id: 'success', count: 4 }, { _id: 'failed', count: 1 }, { _id: 'queued', count: 5 }];
+                }
+            }
+        }
+    });
+    assert.strictEqual(statusCounts.queued, 5);
+    assert.deepStrictEqual(metrics, {
+        totalSent: 5,
+        totalTargets: 10,
+        successCount: 4,
+        failedCount: 1,
+        cancelledCount: 0
+    });
+});
+
+// Deterministic stand-in for Math.random in shuffle-based tests.
+const seededRandom = (seed = 1) => () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+};
+
+test('normalizeCampaignVariants defaults keys and rejects bad input', () => {
+    assert.deepStrictEqual(normalizeCampaignVariants(undefined), { variants: [], error: null });
+    assert.deepStrictEqual(
+        normalizeCampaignVariants([{ templateId: 'tpl-a' }, { templateId: 'tpl-b', weight: 3 }]).variants,
+        [{ key: 'A', templateId: 'tpl-a', weight: 1 }, { key: 'B', templateId: 'tpl-b', weight: 3 }]
+    );
+    assert.ok(normalizeCampaignVariants([{ templateId: 'tpl-a' }]).error);
+    assert.ok(normalizeCampaignVariants([{ key: 'X', templateId: 'a' }, { key: 'X', templateId: 'b' }]).error);
+    assert.ok(normalizeCampaignVariants([{ templateId: 'a', weight: 0 }, { templateId: 'b', weight: 0 }]).error);
+});
+
+test('assignVariants splits recipients by weight', () => {
+    const recipients = Array.from({ length: 10 }, (_, i) => ({ phone: `09${i}` }));
+    assignVariants(recipients, [
+        { key: 'A', templateId: 'tpl-a', weight: 3 },
+        { key: 'B', templateId: 'tpl-b', weight: 1 }
+    ], seededRandom(7));
+
+    const counts = recipients.reduce((acc, r) => ({ ...acc, [r.variantKey]: (acc[r.variantKey] || 0) + 1 }), {});
+    assert.deepStrictEqual(counts, { A: 8, B: 2 });
+    assert.ok(recipients.every((r) => r.templateId === (r.variantKey === 'A' ? 'tpl-a' : 'tpl-b')));
+});
+
+test('launchCampaign sends each variant to a test cell and holds back the remainder', async () => {
+    const logs = [];
+    const commands = [];
+    const campaign = {
+        _id: 'camp-ab',
+        name: 'AB',
+        channel: 'zalo',
+        templateId: 'tpl-a',
+        variants: [{ key: 'A', templateId: 'tpl-a', weight: 1 }, { key: 'B', templateId: 'tpl-b', weight: 1 }],
+        abTest: { sendWinnerToRemainder: true, testFraction: 0.4, testWindowHours: 12, holdoutRecipients: [] },
+        manualRecipients: Array.from({ length: 10 }, (_, i) => ({ phone: `09${i}`, name: `R${i}` })),
+        rateLimit: { minDelaySeconds: 3, maxDelaySeconds: 5 },
+        metrics: { totalTargets: 0 },
+        async save() {}
+    };
+    const now = new Date('2026-07-01T02:00:00.000Z');
+    const bodies = { 'tpl-a': 'A {{name}}', 'tpl-b': 'B {{name}}' };
+
+    const { sentRecipients } = await launchCampaign({
+        campaign,
+        userId: 'user-1',
+        subscriptionId: 'sub-1',
+        device: { _id: 'dev-1' },
+        now,
+        random: seededRandom(3),
+        models: {
+            CrmTemplate: { async findOne({ _id }) { return { _id, body: bodies[_id] }; } },
+            CrmCustomer: { async find() { return []; } },
+            CrmExecutionLog: { async insertMany(rows) { logs.push(...rows); } },
+            CrmAgentCommand: { async create(payload) { commands.push(payload); return payload; } }
+        }
+    });
+
+    assert.strictEqual(sentRecipients.length, 4);
+    assert.strictEqual(campaign.metrics.totalTargets, 10);
+    assert.strictEqual(campaign.abTest.holdoutRecipients.length, 6);
+    assert.strictEqual(campaign.abTest.testEndsAt.getTime(), now.getTime() + 12 * 60 * 60 * 1000);
+    assert.deepStrictEqual(logs.map((log) => log.variantKey).sort(), ['A', 'A', 'B', 'B']);
+    assert.ok(logs.every((log) => log.messagePreview.startsWith(`${log.variantKey} `)));
+    assert.strictEqual(commands[0].payload.recipients.length, 4);
+});
+
+test('pickWinningVariant ranks by the configured metric with tie-breaks', () => {
+    const variants = [{ key: 'A', weight: 1 }, { key: 'B', weight: 2 }];
+    const stats = [
+        { variantKey: 'A', sent: 10, success: 9, replyRate: 20, successRate: 90 },
+        { variantKey: 'B', sent: 10, success: 10, replyRate: 20, successRate: 100 }
+    ];
+    assert.strictEqual(pickWinningVariant(stats, variants, 'replyRate'), 'B');
+    stats[0].replyRate = 30;
+    assert.strictEqual(pickWinningVariant(stats, variants, 'replyRate'), 'A');
+    assert.strictEqual(pickWinningVariant(stats, variants, 'successRate'), 'B');
+    assert.strictEqual(pickWinningVariant([], variants), 'B');
+});
+
+test('sendAbTestRemainder renders the winner for held-out recipients', async () => {
+    const logs = [];
+    const commands = [];
+    const campaign = {
+        _id: 'camp-ab',
+        userId: 'user-1',
+        name: 'AB',
+        channel: 'zalo',
+        templateId: 'tpl-a',
+        variants: [{ key: 'A', templateId: 'tpl-a', weight: 1 }, { key: 'B', templateId: 'tpl-b', weight: 1 }],
+        abTest: { sendWinnerToRemainder: true, holdoutRecipients: [{ phone: '0909', name: 'Lan' }] },
+        async save() {}
+    };
+    const now = new Date('2026-07-02T02:00:00.000Z');
+
+    const { remaining } = await sendAbTestRemainder({
+        campaign,
+        subscriptionId: 'sub-1',
+        device: { _id: 'dev-2' },
+        winnerKey: 'B',
+        now,
+        models: {
+            CrmCampaign: { async findOneAndUpdate() { return campaign; } },
+            CrmTemplate: { async findOne({ _id }) { return { _id, body: `${_id} {{name}}` }; } },
+            CrmCustomer: { async find() { return []; } },
+            CrmExecutionLog: { async insertMany(rows) { logs.push(...rows); } },
+            CrmAgentCommand: { async create(payload) { commands.push(payload); return payload; } }
+        }
+    });
+
+    assert.strictEqual(remaining, 1);
+    assert.strictEqual(logs[0].variantKey, 'B');
+    assert.strictEqual(logs[0].messagePreview, 'tpl-b Lan');
+    assert.strictEqual(commands[0].idempotencyKey, 'campaign-ab-remainder:camp-ab');
+    assert.strictEqual(campaign.abTest.winnerVariantKey, 'B');
+    assert.strictEqual(campaign.abTest.remainderSentAt, now);
+    assert.deepStrictEqual(campaign.abTest.holdoutRecipients, []);
+});
+
+test('sendAbTestRemainder skips a claimed remainder and releases its claim on failure', async () => {
+    const campaign = {
+        _id: 'camp-ab',
+        userId: 'user-1',
+        variants: [{ key: 'A', templateId: 'tpl-a', weight: 1 }, { key: 'B', templateId: 'tpl-b', weight: 1 }],
+        abTest: { sendWinnerToRemainder: true, holdoutRecipients: [{ phone: '0909', name: 'Lan' }] },
+        async save() {}
+    };
+    const now = new Date('2026-07-02T02:00:00.000Z');
+    const released = [];
+    const models = (claimed) => ({
+        CrmCampaign: {
+            async findOneAndUpdate(filter) {
+                assert.strictEqual(filter['abTest.remainderSentAt'], null);
+                return claimed ? campaign : null;
+            },
+            async updateOne(filter, update) { released.push([filter, update.$set]); }
+        },
+        CrmTemplate: { async findOne({ _id }) { return { _id, body: 'Hi' }; } },
+        CrmCustomer: { async find() { return []; } },
+        CrmExecutionLog: { async insertMany() { throw new Error('write failed'); } },
+        CrmAgentCommand: { async create() { assert.fail('no command without a claim'); } }
+    });
+
+    assert.strictEqual(await sendAbTestRemainder({ campaign, device: { _id: 'dev-1' }, winnerKey: 'B', now, models: models(false) }), null);
+    assert.deepStrictEqual(released, []);
+
+    await assert.rejects(
+        sendAbTestRemainder({ campaign, device: { _id: 'dev-1' }, winnerKey: 'B', now, models: models(true) }),
+        /write failed/
+    );
+    assert.deepStrictEqual(released, [[
+        { _id: 'camp-ab', 'abTest.remainderSentAt': now },
+        { 'abTest.remainderSentAt': null, 'abTest.winnerVariantKey': null, 'abTest.winnerSelectedAt': null }
+    ]]);
+});
+
+test('markCampaignReply attributes the reply to the latest recent send', async () => {
+    let captured = null;
+    const receivedAt = new Date('2026-07-03T00:00:00.000Z');
+    await markCampaignReply({
+        userId: 'user-1',
+        customer: { _id: 'cust-1', phone: '0903' },
+        receivedAt,
+        models: {
+            CrmExecutionLog: {
+                async findOneAndUpdate(filter, update, options) {
+                    captured = { filter, update, options };
+                    return null;
+                }
+            }
+        }
+    });
+    assert.strictEqual(captured.filter.status, 'success');
+    assert.strictEqual(captured.filter.repliedAt, null);
+    assert.deepStrictEqual(captured.filter.$or, [{ customerId: 'cust-1' }, { recipientPhone: '0903' }]);
+    assert.deepStrictEqual(captured.update, { $set: { repliedAt: receivedAt } });
+    assert.deepStrictEqual(captured.options.sort, { sentAt: -1 });
+
+    assert.strictEqual(await markCampaignReply({ userId: 'user-1', customer: null }), null);
+});
@@ -3,7 +3,63 @@
  * Defines plans and AI top-up packs.
  */
 
+/**
+ * Plan entitlements. `deviceLimit` is copied onto the subscription (so an
+ * admin can raise it for one customer); everything else is read from here by
+ * resolveCrmEntitlements. `null` means unlimited.
+ *   - channelIntegrations  Channel accounts (Page, WhatsApp number, bot, widget...)
+ *   - groupSummaries       AI summaries of Zalo groups
+ *   - seats                Workspace members besides the owner
+ *   - campaignRecipients   Recipients per campaign run
+ */
 export const CRM_PLANS = {
+    crm_starter: {
+        id: 'crm_starter',
+        name: 'Gói Alpha CRM Starter',
+        priceVnd: 200000,
+        priceCredits: 2100,
+        includedAiLimit: 100,
+        deviceLimit: 1,
+        durationDays: 30,
+        entitlements: {
+            channelIntegrations: 2,
+            groupSummaries: false,
+            seats: 2,
+            campaignRecipients: 500
+        }
+    },
+    crm_pro: {
+        id: 'crm_pro',
+        name: 'Gói Alpha CRM Pro',
+        priceVnd: 450000,
+        priceCredits: 4700,
+        includedAiLimit: 500,
+        deviceLimit: 2,
+        durationDays: 30,
+        entitlements: {
+            channelIntegrations: 5,
+            groupSummaries: true,
+            seats: 10,
+            campaignRecipients: 2000
+        }
+    },
+    crm_business: {
+        id: 'crm_business',
+        name: 'Gói Alpha CRM Business',
+        priceVnd: 900000,
+        priceCredits: 9400,
+        includedAiLimit: 2000,
+        deviceLimit: 5,
+        durationDays: 30,
+        entitlements: {
+            channelIntegrations: 20,
+            groupSummaries: true,
+            seats: 50,
+            campaignRecipients: 10000
+        }
+    },
+    // The original single plan. No longer sold to new customers; existing
+    // subscribers keep renewing it with the features they had.
     crm_monthly: {
         id: 'crm_monthly',
         name: 'Gói Alpha CRM Hàng Tháng',
@@ -11,7 +67,14 @@ export const CRM_PLANS = {
         priceCredits: 2100,
         includedAiLimit: 100,
         deviceLimit: 1,
-        durationDays: 30
+        durationDays: 30,
+        legacy: true,
+        entitlements: {
+            channelIntegrations: null,
+            groupSummaries: true,
+            seats: 50,
+            campaignRecipients: 500
+        }
     }
 };
 
@@ -20,7 +83,8 @@ export const CRM_TRIAL = {
     name: 'Dùng thử Alpha CRM',
     includedAiLimit: 100,
     deviceLimit: 1,
-    durationDays: 60
+    durationDays: 60,
+    entitlements: CRM_PLANS.crm_monthly.entitlements
 };
 
 export const CRM_AI_PACKS = {
@@ -53,3 +117,25 @@ export const CRM_AI_PACKS = {
 export const getCrmProduct = (productId) => {
     return CRM_PLANS[productId] || CRM_AI_PACKS[productId] || null;
 };
+
+/**
+ * Plans offered at checkout (legacy plans are hidden).
+ */
+export const getSellableCrmPlans = () => Object.fromEntries(
+    Object.entries(CRM_PLANS).filter(([, plan]) => !plan.legacy)
+);
+
+export const getCrmPlan = (planId) => (planId === CRM_TRIAL.id ? CRM_TRIAL : CRM_PLANS[planId] || null);
+
+/**
+ * Effective entitlements of a subscription: its plan's flags and limits plus
+ * the subscription's own device limit. Unknown plans get the starter tier.
+ * @returns {{ devices: number, channelIntegrations: number|null, groupSummaries: boolean, seats: number|null, campaignRecipients: number|null }}
+ */
+export const resolveCrmEntitlements = (subscription) => {
+    const plan = getCrmPlan(subscription?.plan) || CRM_PLANS.crm_starter;
+    return {
+        devices: subscription?.deviceLimit ?? plan.deviceLimit,
+        ...plan.entitlements
+    };
+};
@@ -1,6 +1,14 @@
 import test from 'node:test';
 import assert from 'node:assert';
-import { CRM_PLANS, CRM_AI_PACKS, CRM_TRIAL, getCrmProduct } from './crmCatalog.js';
+import {
+    CRM_PLANS,
+    CRM_AI_PACKS,
+    CRM_TRIAL,
+    getCrmPlan,
+    getCrmProduct,
+    getSellableCrmPlans,
+    resolveCrmEntitlements
+} from './crmCatalog.js';
 
 test('CRM Catalog Plans & Packs structure', (t) => {
     // Test crm_monthly exists and is configured correctly
@@ -32,3 +40,32 @@ test('CRM Catalog Plans & Packs structure', (t) => {
     const invalidProduct = getCrmProduct('non_existent');
     assert.strictEqual(invalidProduct, null);
 });
+
+test('CRM plan tiers carry entitlements and hide legacy plans from sale', () => {
+    assert.deepStrictEqual(Object.keys(getSellableCrmPlans()), ['crm_starter', 'crm_pro', 'crm_business']);
+    assert.strictEqual(CRM_PLANS.crm_monthly.legacy, true);
+
+    const tiers = ['crm_starter', 'crm_pro', 'crm_business'].map((id) => CRM_PLANS[id]);
+    for (let index = 1; index < tiers.length; index += 1) {
+        assert.ok(tiers[index].priceVnd > tiers[index - 1].priceVnd);
+        assert.ok(tiers[index].deviceLimit >= tiers[index - 1].deviceLimit);
+        assert.ok(tiers[index].entitlements.seats > tiers[index - 1].entitlements.seats);
+    }
+    assert.strictEqual(CRM_PLANS.crm_starter.entitlements.groupSummaries, false);
+    assert.strictEqual(getCrmPlan('crm_trial'), CRM_TRIAL);
+    assert.strictEqual(getCrmPlan('nope'), null);
+});
+
+test('resolveCrmEntitlements uses the subscription device limit and falls back to starter', () => {
+    assert.deepStrictEqual(resolveCrmEntitlements({ plan: 'crm_pro', deviceLimit: 4 }), {
+        devices: 4,
+        channelIntegrations: 5,
+        groupSummaries: true,
+        seats: 10,
+        campaignRecipients: 2000
+    });
+    assert.strictEqual(resolveCrmEntitlements({ plan: 'crm_business' }).devices, 5);
+    assert.strictEqual(resolveCrmEntitlements({ plan: 'crm_monthly', deviceLimit: 1 }).channelIntegrations, null);
+    assert.strictEqual(resolveCrmEntitlements({ plan: 'crm_trial', deviceLimit: 1 }).groupSummaries, true);
+    assert.strictEqual(resolveCrmEntitlements({ plan: 'retired_plan' }).seats, CRM_PLANS.crm_starter.entitlements.seats);
+});
@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import CrmChannelIntegration from '../models/CrmChannelIntegration.js';
+import CrmMessage from '../models/CrmMessage.js';
+import crmEventHub from './crmEventHub.js';
+import { decrypt } from './encryption.js';
+
+// Channels whose replies the server can send itself with the integration's
+// stored access token; everything else still goes through a Desktop Agent.
+export const SERVER_OUTBOUND_CHANNELS = ['facebook_page', 'instagram', 'whatsapp', 'telegram'];
+export const CHANNEL_SEND_TIMEOUT_MS = 10 * 1000;
+
+// Overridable so tests (and staging) can point the adapters at local stubs.
+export const getChannelApiBases = (env = process.env) => ({
+    meta: String(env.META_GRAPH_API_BASE || 'https://graph.facebook.com/v21.0').replace(/\/+$/, ''),
+    telegram: String(env.TELEGRAM_API_BASE || 'https://api.telegram.org').replace(/\/+$/, '')
+});
+
+const defaultModels = { CrmChannelIntegration, CrmMessage };
+
+const sendError = (message, { status = 0, retryable = false, providerCode = null } = {}) => Object.assign(
+    new Error(message),
+    { statusCode: 502, providerStatus: status, retryable, providerCode }
+);
+
+async function postJson(fetchImpl, url, body, headers = {}) {
+    let response;
+    try {
+        response = await fetchImpl(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(CHANNEL_SEND_TIMEOUT_MS)
+        });
+    } catch (error) {
+        throw sendError(`Khong ket noi duoc API kenh: ${error.message}`, { retryable: true });
+    }
+    const data = await response.json().catch(() => ({}));
+    return { response, data };
+}
+
+// Graph API calls from a server holding the app secret should carry
+// appsecret_proof so a leaked access token alone can't be replayed.
+const appSecretProof = (accessToken, appSecret) => (appSecret
+    ? crypto.createHmac('sha256', appSecret).update(accessToken).digest('hex')
+    : '');
+
+async function sendMetaRequest({ fetchImpl, bases, integration, accessToken, appSecret, body }) {
+    const proof = appSecretProof(accessToken, appSecret);
+    const url = `${bases.meta}/${encodeURIComponent(integration.externalAccountId)}/messages${proof ? `?appsecret_proof=${proof}` : ''}`;
+    const { response, data } = await postJson(fetchImpl, url, body, { Authorization: `Bearer ${accessToken}` });
+    if (!response.ok || data.error) {
+        const code = data.error?.code ?? null;
+        // 4/17/32/613 are Graph rate limits.
+        const retryable = response.status === 429 || response.status >= 500 || [4, 17, 32, 613].includes(code);
+        throw sendError(data.error?.message || `Meta API loi ${response.status}`, { status: response.status, retryable, providerCode: code });
+    }
+    return data;
+}
+
+const channelAdapters = {
+    // Messenger Send API; the recipient is the customer's page-scoped id.
+    async facebook_page(context) {
+        const data = await sendMetaRequest({
+            ...context,
+            body: { recipient: { id: context.recipientId }, messaging_type: 'RESPONSE', message: { text: context.text } }
+        });
+        return { providerMessageId: String(data.message_id || '') };
+    },
+    // Instagram Messaging shares the Messenger request shape.
+    async instagram(context) {
+        const data = await sendMetaRequest({
+            ...context,
+            body: { recipient: { id: context.recipientId }, message: { text: context.text } }
+        });
+        return { providerMessageId: String(data.message_id || '') };
+    },
+    // WhatsApp Cloud API; externalAccountId is the phone_number_id.
+    async whatsapp(context) {
+        const data = await sendMetaRequest({
+            ...context,
+            body: {
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: context.recipientId,
+                type: 'text',
+                text: { body: context.text, preview_url: false }
+            }
+        });
+        return { providerMessageId: String(data.messages?.[0]?.id || '') };
+    },
+    async telegram({ fetchImpl, bases, accessToken, recipientId, text }) {
+        const { response, data } = await postJson(fetchImpl, `${bases.telegram}/bot${accessToken}/sendMessage`, {
+            chat_id: recipientId,
+            text
+        });
+        if (!response.ok || data.ok !== true) {
+            const retryable = response.status === 429 || response.status >= 500;
+            throw sendError(data.description || `Telegram API loi ${response.status}`, {
+                status: response.status,
+                retryable,
+                providerCode: data.error_code ?? null
+            });
+        }
+        return { providerMessageId: String(data.result?.message_id ?? '') };
+    }
+};
+
+export const canSendFromServer = (integration) => Boolean(
+    integration?.enabled !== false
+    && SERVER_OUTBOUND_CHANNELS.includes(integration?.channel)
+    && integration?.botToken
+);
+
+/**
+ * Send a text reply through the channel's own API with the integration's
+ * decrypted token. Throws an error with `statusCode` 502 and `retryable`
+ * when the provider rejects it.
+ * @returns {Promise<{ providerMessageId: string }>}
+ */
+export async function sendChannelText({ integration, recipientId, text, fetchImpl = fetch, bases = getChannelApiBases() }) {
+    const adapter = channelAdapters[integration.channel];
+    if (!adapter || !integration.botToken) {
+        throw Object.assign(new Error('Kenh chua cau hinh token gui tin tu server.'), { statusCode: 400 });
+    }
+    return adapter({
+        fetchImpl,
+        bases,
+        integration,
+        accessToken: decrypt(integration.botToken),
+        appSecret: integration.appSecret ? decrypt(integration.appSecret) : '',
+        recipientId: String(recipientId),
+        text: String(text)
+    });
+}
+
+/**
+ * The enabled integration able to send for a conversation, or null when the
+ * reply has to go through a Desktop Agent.
+ */
+export async function findServerOutboundIntegration({ userId, conversation, models = defaultModels }) {
+    if (!SERVER_OUTBOUND_CHANNELS.includes(conversation.channel)) return null;
+    const integration = await models.CrmChannelIntegration.findOne({
+        userId,
+        channel: conversation.channel,
+        externalAccountId: conversation.accountId,
+        enabled: true
+    });
+    return canSendFromServer(integration) ? integration : null;
+}
+
+/**
+ * Send a queued outbound CrmMessage directly and write the outcome back
+ * (sent + providerMessageId, or failed + errorMessage), publishing
+ * `message.status` like an agent command result would.
+ * @returns {Promise<object>} the updated message
+ */
+export async function deliverChannelMessage({
+    integration,
+    message,
+    models = defaultModels,
+    publish = crmEventHub.publish,
+    send = sendChannelText
+}) {
+    let update;
+    try {
+        const { providerMessageId } = await send({ integration, recipientId: message.threadId, text: message.content });
+        update = { status: 'sent', providerMessageId, errorMessage: '', sentAt: new Date() };
+    } catch (error) {
+        console.error(`Channel send ${integration.channel} error:`, error.message);
+        update = { status: 'failed', errorMessage: String(error.message || 'Gui tin that bai.').slice(0, 500), sentAt: null };
+    }
+    const updated = await models.CrmMessage.findOneAndUpdate(
+        { _id: message._id, userId: message.userId, status: 'queued' },
+        { $set: update },
+        { new: true }
+    ) || { ...(message.toObject ? message.toObject() : message), ...update };
+    publish(message.userId, 'message.status', {
+        messageId: updated._id,
+        conversationId: updated.conversationId,
+        status: updated.status,
+        providerMessageId: updated.providerMessageId,
+        errorMessage: updated.errorMessage,
+        sentAt: updated.sentAt
+    });
+    return updated;
+}
+
+const DELIVERY_STATUS_ORDER = { queued: 0, sent: 1, delivered: 2 };
+
+/**
+ * Apply a provider delivery receipt (WhatsApp `statuses[]`, Messenger
+ * `delivery`) to the outbound messages it names. Statuses only move forward;
+ * a failure is recorded unless the message was already delivered.
+ * @param {'sent'|'delivered'|'failed'} status
+ * @returns {Promise<number>} messages updated
+ */
+export async function applyChannelDeliveryStatus({
+    userId,
+    accountId,
+    providerMessageIds,
+    status,
+    errorMessage = '',
+    models = defaultModels,
+    publish = crmEventHub.publish
+}) {
+    const ids = [...new Set((providerMessageIds || []).map((id) => String(id || '').trim()).filter(Boolean))];
+    if (ids.length === 0) return 0;
+    const allowedFrom = status === 'failed'
+        ? ['queued', 'sent']
+        : Object.keys(DELIVERY_STATUS_ORDER).filter((key) => DELIVERY_STATUS_ORDER[key] < DELIVERY_STATUS_ORDER[status]);
+    let updatedCount = 0;
+    for (const providerMessageId of ids) {
+        const message = await models.CrmMessage.findOneAndUpdate(
+            { userId, accountId, providerMessageId, direction: 'outbound', status: { $in: allowedFrom } },
+            { $set: { status, ...(status === 'failed' ? { errorMessage: String(errorMessage).slice(0, 500) } : {}) } },
+            { new: true }
+        );
+        if (!message) continue;
+        updatedCount += 1;
+        publish(userId, 'message.status', {
+            messageId: message._id,
+            conversationId: message.conversationId,
+            status: message.status,
+            providerMessageId: message.providerMessageId,
+            errorMessage: message.errorMessage,
+            sentAt: message.sentAt
+        });
+    }
+    return updatedCount;
+}
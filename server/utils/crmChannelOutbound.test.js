@@ -0,0 +1,172 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { encrypt } from './encryption.js';
+import {
+    applyChannelDeliveryStatus,
+    canSendFromServer,
+    deliverChannelMessage,
+    sendChannelText
+} from './crmChannelOutbound.js';
+
+// Local stand-in for the Graph and Telegram Bot APIs: records each request
+// and answers with whatever the test queued for that path.
+const startProviderStub = async () => {
+    const requests = [];
+    const replies = new Map();
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://stub');
+            requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body: JSON.parse(body || '{}') });
+            const [status, payload] = replies.get(url.pathname) || [404, { error: { message: 'unknown path' } }];
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return {
+        requests,
+        reply: (path, status, payload) => replies.set(path, [status, payload]),
+        bases: { meta: `${base}/graph`, telegram: `${base}/telegram` },
+        close: () => new Promise((resolve) => server.close(resolve))
+    };
+};
+
+const integration = (channel, overrides = {}) => ({
+    channel,
+    externalAccountId: 'acct-1',
+    botToken: encrypt('token-abc'),
+    appSecret: encrypt('secret-xyz'),
+    enabled: true,
+    ...overrides
+});
+
+test('Meta adapters post the Send API shape with a bearer token and appsecret_proof', async () => {
+    const stub = await startProviderStub();
+    try {
+        stub.reply('/graph/acct-1/messages', 200, { recipient_id: 'psid-1', message_id: 'm_1' });
+        const result = await sendChannelText({ integration: integration('facebook_page'), recipientId: 'psid-1', text: 'Chao ban', bases: stub.bases });
+        assert.deepStrictEqual(result, { providerMessageId: 'm_1' });
+        const [request] = stub.requests;
+        assert.strictEqual(request.headers.authorization, 'Bearer token-abc');
+        assert.strictEqual(request.query.appsecret_proof, crypto.createHmac('sha256', 'secret-xyz').update('token-abc').digest('hex'));
+        assert.deepStrictEqual(request.body, { recipient: { id: 'psid-1' }, messaging_type: 'RESPONSE', message: { text: 'Chao ban' } });
+
+        stub.reply('/graph/acct-1/messages', 200, { messaging_product: 'whatsapp', messages: [{ id: 'wamid.1' }] });
+        const whatsapp = await sendChannelText({ integration: integration('whatsapp'), recipientId: '84912345678', text: 'Hi', bases: stub.bases });
+        assert.strictEqual(whatsapp.providerMessageId, 'wamid.1');
+        assert.deepStrictEqual(stub.requests[1].body.text, { body: 'Hi', preview_url: false });
+        assert.strictEqual(stub.requests[1].body.to, '84912345678');
+    } finally {
+        await stub.close();
+    }
+});
+
+test('Telegram adapter calls sendMessage with the bot token in the path', async () => {
+    const stub = await startProviderStub();
+    try {
+        stub.reply('/telegram/bottoken-abc/sendMessage', 200, { ok: true, result: { message_id: 42 } });
+        const result = await sendChannelText({ integration: integration('telegram', { appSecret: undefined }), recipientId: '-100', text: 'Xin chao', bases: stub.bases });
+        assert.deepStrictEqual(result, { providerMessageId: '42' });
+        assert.deepStrictEqual(stub.requests[0].body, { chat_id: '-100', text: 'Xin chao' });
+    } finally {
+        await stub.close();
+    }
+});
+
+test('provider rejections become 502 errors flagged retryable for rate limits', async () => {
+    const stub = await startProviderStub();
+    try {
+        stub.reply('/graph/acct-1/messages', 400, { error: { message: 'Outside the 24h window', code: 10 } });
+        await assert.rejects(
+            sendChannelText({ integration: integration('instagram'), recipientId: 'igsid', text: 'x', bases: stub.bases }),
+            (error) => error.statusCode === 502 && error.retryable === false && error.providerCode === 10
+        );
+        stub.reply('/telegram/bottoken-abc/sendMessage', 429, { ok: false, error_code: 429, description: 'Too Many Requests' });
+        await assert.rejects(
+            sendChannelText({ integration: integration('telegram'), recipientId: '1', text: 'x', bases: stub.bases }),
+            (error) => error.retryable === true && error.message === 'Too Many Requests'
+        );
+    } finally {
+        await stub.close();
+    }
+    await assert.rejects(
+        sendChannelText({ integration: integration('tiktok'), recipientId: '1', text: 'x' }),
+        (error) => error.statusCode === 400
+    );
+    assert.strictEqual(canSendFromServer(integration('facebook_page', { botToken: undefined })), false);
+    assert.strictEqual(canSendFromServer(integration('webchat')), false);
+});
+
+test('deliverChannelMessage writes sent or failed back to the queued message', async () => {
+    const updates = [];
+    const published = [];
+    const models = {
+        CrmMessage: {
+            findOneAndUpdate: async (filter, update) => {
+                updates.push({ filter, update });
+                return { _id: 'msg-1', conversationId: 'conv-1', ...update.$set };
+            }
+        }
+    };
+    const message = { _id: 'msg-1', userId: 'owner-1', conversationId: 'conv-1', threadId: 'psid-1', content: 'Hi', status: 'queued' };
+
+    const sent = await deliverChannelMessage({
+        integration: integration('facebook_page'),
+        message,
+        models,
+        publish: (...args) => published.push(args),
+        send: async ({ recipientId, text }) => {
+            assert.strictEqual(recipientId, 'psid-1');
+            assert.strictEqual(text, 'Hi');
+            return { providerMessageId: 'm_1' };
+        }
+    });
+    assert.strictEqual(sent.status, 'sent');
+    assert.strictEqual(updates[0].filter.status, 'queued');
+    assert.strictEqual(updates[0].update.$set.providerMessageId, 'm_1');
+    assert.strictEqual(published[0][1], 'message.status');
+
+    const failed = await deliverChannelMessage({
+        integration: integration('facebook_page'),
+        message,
+        models,
+        publish: () => {},
+        send: async () => { throw new Error('Outside the 24h window'); }
+    });
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.errorMessage, 'Outside the 24h window');
+});
+
+test('applyChannelDeliveryStatus only moves statuses forward', async () => {
+    const filters = [];
+    const models = {
+        CrmMessage: {
+            findOneAndUpdate: async (filter, update) => {
+                filters.push(filter);
+                return filter.providerMessageId === 'm_1' ? { _id: 'msg-1', ...update.$set } : null;
+            }
+        }
+    };
+    const published = [];
+    const count = await applyChannelDeliveryStatus({
+        userId: 'owner-1',
+        accountId: 'acct-1',
+        providerMessageIds: ['m_1', 'm_1', 'm_2', ''],
+        status: 'delivered',
+        models,
+        publish: (...args) => published.push(args)
+    });
+    assert.strictEqual(count, 1);
+    assert.strictEqual(filters.length, 2);
+    assert.deepStrictEqual(filters[0].status, { $in: ['queued', 'sent'] });
+    assert.strictEqual(filters[0].direction, 'outbound');
+    assert.strictEqual(published.length, 1);
+
+    await applyChannelDeliveryStatus({ userId: 'owner-1', accountId: 'acct-1', providerMessageIds: ['m_1'], status: 'sent', models, publish: () => {} });
+    assert.deepStrictEqual(filters[2].status, { $in: ['queued'] });
+});
@@ -1,3 +1,6 @@
+import vm from 'vm';
+import { isWithinBusinessHours } from './crmBusinessHours.js';
+
 export function normalizeVietnamese(value = '') {
     return String(value)
         .normalize('NFD')
@@ -32,44 +35,155 @@ export function hasHandoffKeyword(settingsOrRule, message) {
     });
 }
 
-export function isWithinBusinessHours(businessHours, now = new Date()) {
-    if (!businessHours?.enabled) return true;
-    const formatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: businessHours.timezone || 'Asia/Ho_Chi_Minh',
-        weekday: 'short',
-        hour: '2-digit',
-        minute: '2-digit',
-        hourCycle: 'h23'
-    });
-    const parts = Object.fromEntries(
-        formatter.formatToParts(now).map((part) => [part.type, part.value])
-    );
-    const days = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
-    const day = days[parts.weekday];
-    if (Array.isArray(businessHours.days)
-        && businessHours.days.length > 0
-        && !businessHours.days.includes(day)) {
-        return false;
+// Rule hours follow the same open/closed definition as SLA policies.
+export { isWithinBusinessHours };
+
+export const MAX_CHATBOT_PATTERN_LENGTH = 300;
+// Regexes only ever see this much of a message.
+export const MAX_CHATBOT_PATTERN_INPUT_LENGTH = 1000;
+// Hard limit on one regex run; the static check below can't catch every slow
+// shape (e.g. `\w*\w*\w*!` is polynomial, not nested).
+export const CHATBOT_PATTERN_TIMEOUT_MS = 50;
+
+const GROUP_PREFIX = /^\(\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/;
+const BRACE_QUANTIFIER = /^\{(\d+)(,(\d*))?\}/;
+
+/**
+ * Customer patterns run on the shared event loop, so refuse the shapes that
+ * make a backtracking engine blow up: a repeated group that itself contains
+ * a quantifier or an alternation (`(a+)+`, `(a|ab)*`, `(\w+\s?){3,}`) and
+ * backreferences. Stricter than needed, but cheap and predictable.
+ */
+export function isBacktrackSafePattern(source) {
+    // Per open group: does it contain repetition or alternation?
+    const groups = [{ risky: false }];
+    // What a quantifier right here would repeat.
+    let previous = null;
+    const repeat = (max) => {
+        if (max > 1 && previous?.risky) return false;
+        groups[groups.length - 1].risky = true;
+        previous = null;
+        return true;
+    };
+
+    for (let i = 0; i < source.length; i += 1) {
+        const char = source[i];
+        if (char === '\\') {
+            const next = source[i + 1];
+            if (/[1-9k]/.test(next || '')) return false;
+            i += 1;
+            previous = { risky: false };
+        } else if (char === '[') {
+            for (i += 1; i < source.length && source[i] !== ']'; i += 1) {
+                if (source[i] === '\\') i += 1;
+            }
+            previous = { risky: false };
+        } else if (char === '(') {
+            const prefix = source.slice(i).match(GROUP_PREFIX);
+            if (prefix) i += prefix[0].length - 1;
+            groups.push({ risky: false });
+            previous = null;
+        } else if (char === ')') {
+            const group = groups.pop();
+            if (groups.length === 0) return false;
+            if (group.risky) groups[groups.length - 1].risky = true;
+            previous = group;
+        } else if (char === '|') {
+            groups[groups.length - 1].risky = true;
+            previous = null;
+        } else if (char === '*' || char === '+' || char === '?') {
+            if (!repeat(char === '?' ? 1 : Infinity)) return false;
+            if (source[i + 1] === '?') i += 1;
+        } else if (char === '{' && BRACE_QUANTIFIER.test(source.slice(i))) {
+            const [token, min, comma, max] = source.slice(i).match(BRACE_QUANTIFIER);
+            if (!repeat(comma ? (max === '' ? Infinity : Number(max)) : Number(min))) return false;
+            i += token.length - 1;
+            if (source[i + 1] === '?') i += 1;
+        } else {
+            previous = { risky: false };
+        }
     }
-    const current = `${parts.hour}:${parts.minute}`;
-    const start = businessHours.start || '08:00';
-    const end = businessHours.end || '18:00';
-    return start <= end
-        ? current >= start && current <= end
-        : current >= start || current <= end;
+    return true;
 }
 
-export function matchChatbotRule(rule, message, now = new Date()) {
-    if (!isWithinBusinessHours(rule?.businessHours, now)) return false;
-    const text = normalizeVietnamese(message);
+// A vm script run can be interrupted by its timeout even inside the regex
+// engine, so customer patterns execute through this one reused context.
+const patternSandbox = vm.createContext({ pattern: null, input: '' });
+const patternScript = new vm.Script('pattern.exec(input)');
+
+/**
+ * `pattern.exec(input)` on at most MAX_CHATBOT_PATTERN_INPUT_LENGTH characters,
+ * giving up (null) after `timeout` ms.
+ */
+export function execChatbotPattern(pattern, input, timeout = CHATBOT_PATTERN_TIMEOUT_MS) {
+    if (!pattern) return null;
+    patternSandbox.pattern = pattern;
+    patternSandbox.input = String(input ?? '').slice(0, MAX_CHATBOT_PATTERN_INPUT_LENGTH);
+    try {
+        return patternScript.runInContext(patternSandbox, { timeout });
+    } catch (error) {
+        if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+        console.warn(`Chatbot pattern /${pattern.source}/ timed out after ${timeout}ms`);
+        return null;
+    } finally {
+        patternSandbox.pattern = null;
+        patternSandbox.input = '';
+    }
+}
+
+// Case-insensitive, unicode. Returns null for an empty, oversized, invalid or
+// backtracking-prone pattern so a bad rule simply never matches.
+export function compileChatbotPattern(pattern) {
+    const source = String(pattern || '').trim();
+    if (!source || source.length > MAX_CHATBOT_PATTERN_LENGTH) return null;
+    if (!isBacktrackSafePattern(source)) return null;
+    try {
+        return new RegExp(source, 'iu');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Match a rule and, for regex rules, return the named groups it captured.
+ * A regex is tried on the message as written, then without accents, so
+ * `gia (?<product>\w+)` matches both "giá áo" and "gia ao".
+ * @returns {{ matched: boolean, captures: Record<string, string> }}
+ */
+export function matchChatbotRuleDetailed(rule, message, now = new Date()) {
+    const miss = { matched: false, captures: {} };
+    if (!isWithinBusinessHours(rule?.businessHours, now)) return miss;
     const keywords = Array.isArray(rule?.keywords) ? rule.keywords : [];
-    return keywords.some((keyword) => {
+
+    if (rule.matchMode === 'regex') {
+        const raw = String(message || '').trim().slice(0, MAX_CHATBOT_PATTERN_INPUT_LENGTH);
+        for (const keyword of keywords) {
+            const pattern = compileChatbotPattern(keyword);
+            const match = pattern && (execChatbotPattern(pattern, raw) || execChatbotPattern(pattern, normalizeVietnamese(raw)));
+            if (!match) continue;
+            const captures = Object.fromEntries(
+                Object.entries(match.groups || {})
+                    .filter(([, value]) => value !== undefined && String(value).trim())
+                    .map(([key, value]) => [key, String(value).trim()])
+            );
+            return { matched: true, captures };
+        }
+        return miss;
+    }
+
+    const text = normalizeVietnamese(message);
+    const matched = keywords.some((keyword) => {
         const key = normalizeVietnamese(keyword);
         if (!key) return false;
         if (rule.matchMode === 'exact') return text === key;
         if (rule.matchMode === 'startsWith') return text.startsWith(key);
         return text.includes(key);
     });
+    return { matched, captures: {} };
+}
+
+export function matchChatbotRule(rule, message, now = new Date()) {
+    return matchChatbotRuleDetailed(rule, message, now).matched;
 }
 
 export function buildChatbotConfigSnapshot({
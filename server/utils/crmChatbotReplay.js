@@ -0,0 +1,150 @@
+import CrmChatbotLog from '../models/CrmChatbotLog.js';
+import CrmConversation from '../models/CrmConversation.js';
+import { hasHandoffKeyword, matchChatbotRuleDetailed } from './crmChatbot.js';
+
+export const MAX_REPLAY_WINDOW_DAYS = 31;
+export const MAX_REPLAY_MESSAGES = 10000;
+export const MAX_STORED_REPLAY_ROWS = 500;
+export const REPLAY_BATCH_SIZE = 200;
+// A bot reply is logged after the debounce window plus the agent's own
+// latency; logs later than this are not attributed to the message.
+export const REPLAY_LOG_GRACE_MS = 2 * 60 * 1000;
+
+const defaultModels = { CrmChatbotLog, CrmConversation };
+
+const previewText = (value) => String(value || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+const threadKey = (item) => `${item.accountId}:${item.threadId}`;
+
+/**
+ * Which path the chatbot would take for one inbound message, following the
+ * agent's order: audience scope, handoff keywords, keyword rules (business
+ * hours evaluated at the message time), then AI. Every message is judged on
+ * its own, so an open slot dialog is not continued.
+ * @returns {{ mode: 'keyword'|'ai'|'handoff'|'none'|'skipped', ruleId, ruleName, reason }}
+ */
+export function predictChatbotPath({ message, conversation = null, settings = {}, rules = [] }) {
+    const result = (mode, extra = {}) => ({ mode, ruleId: null, ruleName: '', reason: '', ...extra });
+    const text = String(message.content || '');
+    const threadType = message.threadType === 'group' ? 'group' : 'user';
+
+    if (settings.enabled === false) return result('skipped', { reason: 'disabled' });
+    if (threadType === 'group') {
+        if (settings.groupAudience === 'none') return result('skipped', { reason: 'group_audience' });
+        if (settings.groupAudience === 'selected' && !(settings.selectedGroupKeys || []).includes(threadKey(message))) {
+            return result('skipped', { reason: 'group_audience' });
+        }
+        // Whether the bot was tagged is not stored with the message.
+        if (settings.groupAudience !== 'selected') return result('skipped', { reason: 'group_tag_only' });
+    } else if (settings.personalAudience === 'crmOnly' && !conversation?.customerId) {
+        return result('skipped', { reason: 'personal_audience' });
+    }
+    if (!text.trim()) return result('skipped', { reason: 'no_text' });
+    if (hasHandoffKeyword(settings, text)) return result('handoff');
+
+    if (settings.keywordRulesEnabled !== false) {
+        const at = new Date(message.receivedAt || message.createdAt);
+        for (const rule of rules) {
+            if (!['all', threadType].includes(rule.channelScope || 'all')) continue;
+            if (rule.accountIds?.length > 0 && !rule.accountIds.includes(message.accountId)) continue;
+            if (hasHandoffKeyword(rule, text)) continue;
+            if (!matchChatbotRuleDetailed(rule, text, at).matched) continue;
+            return result('keyword', {
+                ruleId: rule.id || rule._id,
+                ruleName: rule.name || '',
+                reason: rule.slots?.length > 0 ? 'slot_dialog' : ''
+            });
+        }
+    }
+    return settings.aiEnabled ? result('ai') : result('none');
+}
+
+/**
+ * The chatbot log written for a message: the first one on the same thread
+ * logged between the message and the end of the debounce window. Burst
+ * messages answered together share the log.
+ * @param {Map<string, Array>} logsByThread chatbot logs by "accountId:threadId", oldest first
+ */
+export function findActualChatbotLog(logsByThread, message, windowMs) {
+    const start = new Date(message.receivedAt || message.createdAt).getTime();
+    return (logsByThread.get(threadKey(message)) || []).find((log) => {
+        const loggedAt = new Date(log.createdAt).getTime();
+        return loggedAt >= start && loggedAt <= start + windowMs;
+    }) || null;
+}
+
+/**
+ * Compare a prediction with the logged outcome. A message without a log and
+ * one the replay skips both count as "none".
+ */
+export function compareChatbotPaths(predicted, actualLog) {
+    const actualMode = actualLog?.mode || 'none';
+    const predictedMode = predicted.mode === 'skipped' ? 'none' : predicted.mode;
+    const changed = predictedMode !== actualMode
+        || (predictedMode === 'keyword' && String(predicted.ruleId || '') !== String(actualLog?.ruleId || ''));
+    return { changed, transition: `${actualMode}->${predicted.mode}` };
+}
+
+/**
+ * Replay one batch of inbound messages against the job's config snapshot.
+ * @returns {Promise<{ counts: object, transitions: object, rows: Array }>}
+ */
+export async function processReplayBatch({ job, messages, models = defaultModels }) {
+    const counts = { messages: 0, keyword: 0, ai: 0, handoff: 0, none: 0, skipped: 0, withLog: 0, same: 0, changed: 0 };
+    const transitions = {};
+    const rows = [];
+    if (messages.length === 0) return { counts, transitions, rows };
+
+    const settings = job.config?.settings || {};
+    const rules = job.config?.rules || [];
+    const windowMs = (Number(settings.debounceSeconds) || 0) * 1000 + REPLAY_LOG_GRACE_MS;
+    const times = messages.map((message) => new Date(message.receivedAt || message.createdAt).getTime());
+    const [logs, conversations] = await Promise.all([
+        models.CrmChatbotLog.find({
+            userId: job.userId,
+            kind: 'chatbot',
+            threadId: { $in: [...new Set(messages.map((message) => message.threadId))] },
+            createdAt: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times) + windowMs) }
+        }).select('_id accountId threadId mode ruleId status createdAt').sort({ createdAt: 1 }).lean(),
+        models.CrmConversation.find({
+            userId: job.userId,
+            _id: { $in: [...new Set(messages.map((message) => String(message.conversationId)))] }
+        }).select('_id customerId').lean()
+    ]);
+    const logsByThread = new Map();
+    for (const log of logs) {
+        const key = threadKey(log);
+        if (!logsByThread.has(key)) logsByThread.set(key, []);
+        logsByThread.get(key).push(log);
+    }
+    const conversationsById = new Map(conversations.map((conversation) => [String(conversation._id), conversation]));
+
+    for (const message of messages) {
+        const predicted = predictChatbotPath({
+            message,
+            conversation: conversationsById.get(String(message.conversationId)),
+            settings,
+            rules
+        });
+        const actualLog = findActualChatbotLog(logsByThread, message, windowMs);
+        const { changed, transition } = compareChatbotPaths(predicted, actualLog);
+        counts.messages += 1;
+        counts[predicted.mode] += 1;
+        if (actualLog) counts.withLog += 1;
+        counts[changed ? 'changed' : 'same'] += 1;
+        transitions[transition] = (transitions[transition] || 0) + 1;
+        if (!changed) continue;
+        rows.push({
+            messageId: message._id,
+            conversationId: message.conversationId,
+            accountId: message.accountId,
+            threadId: message.threadId,
+            receivedAt: message.receivedAt || message.createdAt,
+            preview: previewText(message.content),
+            predicted,
+            actual: actualLog
+                ? { mode: actualLog.mode, ruleId: actualLog.ruleId || null, logId: actualLog._id, status: actualLog.status }
+                : { mode: 'none', ruleId: null, logId: null, status: '' }
+        });
+    }
+    return { counts, transitions, rows };
+}
@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    compareChatbotPaths,
+    findActualChatbotLog,
+    predictChatbotPath,
+    processReplayBatch
+} from './crmChatbotReplay.js';
+
+const createQuery = (result) => {
+    const query = {
+        select() { return query; },
+        sort() { return query; },
+        lean() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+const settings = {
+    enabled: true,
+    aiEnabled: true,
+    keywordRulesEnabled: true,
+    personalAudience: 'all',
+    groupAudience: 'tagOnly',
+    handoffKeywords: ['nhan vien'],
+    debounceSeconds: 20
+};
+const priceRule = { id: 'rule-price', name: 'Bao gia', keywords: ['bao gia'], matchMode: 'contains', channelScope: 'all', accountIds: [], handoffKeywords: [] };
+const hoursRule = {
+    id: 'rule-hours',
+    name: 'Gio mo cua',
+    keywords: ['mo cua'],
+    matchMode: 'contains',
+    channelScope: 'user',
+    accountIds: ['acc-2'],
+    handoffKeywords: []
+};
+const message = (overrides = {}) => ({
+    _id: 'msg-1',
+    conversationId: 'conv-1',
+    accountId: 'acc-1',
+    threadId: 'thread-1',
+    threadType: 'user',
+    content: 'Cho minh xin bảng báo giá',
+    receivedAt: new Date('2026-07-01T03:00:00.000Z'),
+    ...overrides
+});
+
+test('predictChatbotPath follows handoff, rule, AI order and rule scope', () => {
+    const rules = [hoursRule, priceRule];
+    assert.deepStrictEqual(predictChatbotPath({ message: message(), settings, rules }), {
+        mode: 'keyword', ruleId: 'rule-price', ruleName: 'Bao gia', reason: ''
+    });
+    assert.strictEqual(predictChatbotPath({ message: message({ content: 'Cho gap nhan vien' }), settings, rules }).mode, 'handoff');
+    // hoursRule is limited to acc-2.
+    assert.strictEqual(predictChatbotPath({ message: message({ content: 'Shop mo cua may gio' }), settings, rules }).mode, 'ai');
+    assert.strictEqual(predictChatbotPath({ message: message({ content: 'Shop mo cua may gio', accountId: 'acc-2' }), settings, rules }).ruleId, 'rule-hours');
+    assert.strictEqual(predictChatbotPath({ message: message(), settings: { ...settings, keywordRulesEnabled: false, aiEnabled: false }, rules }).mode, 'none');
+    const slotRule = { ...priceRule, slots: [{ name: 'product' }] };
+    assert.strictEqual(predictChatbotPath({ message: message(), settings, rules: [slotRule] }).reason, 'slot_dialog');
+});
+
+test('predictChatbotPath skips messages outside the bot audience', () => {
+    const skipped = (overrides) => predictChatbotPath({ message: message(), settings, rules: [priceRule], ...overrides }).reason;
+    assert.strictEqual(skipped({ settings: { ...settings, enabled: false } }), 'disabled');
+    assert.strictEqual(skipped({ settings: { ...settings, personalAudience: 'crmOnly' }, conversation: { customerId: null } }), 'personal_audience');
+    assert.strictEqual(skipped({ message: message({ threadType: 'group' }) }), 'group_tag_only');
+    assert.strictEqual(skipped({ message: message({ threadType: 'group' }), settings: { ...settings, groupAudience: 'selected', selectedGroupKeys: ['acc-1:other'] } }), 'group_audience');
+    assert.strictEqual(predictChatbotPath({
+        message: message({ threadType: 'group' }),
+        settings: { ...settings, groupAudience: 'selected', selectedGroupKeys: ['acc-1:thread-1'] },
+        rules: [priceRule]
+    }).mode, 'keyword');
+});
+
+test('findActualChatbotLog picks the first log inside the debounce window', () => {
+    const at = (seconds) => new Date(Date.parse('2026-07-01T03:00:00.000Z') + seconds * 1000);
+    const logs = new Map([['acc-1:thread-1', [
+        { _id: 'early', createdAt: at(-5) },
+        { _id: 'reply', createdAt: at(25) },
+        { _id: 'later', createdAt: at(30) }
+    ]]]);
+    assert.strictEqual(findActualChatbotLog(logs, message(), 60 * 1000)._id, 'reply');
+    assert.strictEqual(findActualChatbotLog(logs, message(), 10 * 1000), null);
+    assert.strictEqual(findActualChatbotLog(logs, message({ threadId: 'other' }), 60 * 1000), null);
+});
+
+test('compareChatbotPaths treats skipped as none and compares keyword rules', () => {
+    const predicted = { mode: 'keyword', ruleId: 'rule-price' };
+    assert.deepStrictEqual(compareChatbotPaths(predicted, { mode: 'keyword', ruleId: 'rule-price' }), { changed: false, transition: 'keyword->keyword' });
+    assert.strictEqual(compareChatbotPaths(predicted, { mode: 'keyword', ruleId: 'rule-old' }).changed, true);
+    assert.deepStrictEqual(compareChatbotPaths(predicted, null), { changed: true, transition: 'none->keyword' });
+    assert.strictEqual(compareChatbotPaths({ mode: 'skipped' }, null).changed, false);
+});
+
+test('processReplayBatch counts paths and keeps only changed rows', async () => {
+    const models = {
+        CrmChatbotLog: {
+            find: (filter) => {
+                assert.deepStrictEqual(filter.threadId, { $in: ['thread-1', 'thread-2'] });
+                assert.deepStrictEqual(filter.createdAt.$lte, new Date('2026-07-01T03:12:20.000Z'));
+                return createQuery([
+                    { _id: 'log-1', accountId: 'acc-1', threadId: 'thread-1', mode: 'ai', status: 'succeeded', createdAt: new Date('2026-07-01T03:00:20.000Z') }
+                ]);
+            }
+        },
+        CrmConversation: { find: () => createQuery([{ _id: 'conv-1', customerId: 'cust-1' }]) }
+    };
+    const job = { userId: 'owner-1', config: { settings, rules: [priceRule] } };
+    const { counts, transitions, rows } = await processReplayBatch({
+        job,
+        models,
+        messages: [
+            message(),
+            message({ _id: 'msg-2', conversationId: 'conv-2', threadId: 'thread-2', content: 'Cam on shop', receivedAt: new Date('2026-07-01T03:10:00.000Z') })
+        ]
+    });
+
+    assert.strictEqual(counts.messages, 2);
+    assert.strictEqual(counts.keyword, 1);
+    assert.strictEqual(counts.ai, 1);
+    assert.strictEqual(counts.withLog, 1);
+    assert.strictEqual(counts.changed, 2);
+    assert.deepStrictEqual(transitions, { 'ai->keyword': 1, 'none->ai': 1 });
+    assert.strictEqual(rows[0].actual.logId, 'log-1');
+    assert.strictEqual(rows[0].predicted.ruleId, 'rule-price');
+    assert.strictEqual(rows[1].actual.mode, 'none');
+});
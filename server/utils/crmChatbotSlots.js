@@ -0,0 +1,321 @@
+import CrmConversation from '../models/CrmConversation.js';
+import CrmCustomer from '../models/CrmCustomer.js';
+import {
+    compileChatbotPattern,
+    execChatbotPattern,
+    hasHandoffKeyword,
+    isBacktrackSafePattern,
+    matchChatbotRuleDetailed,
+    normalizeVietnamese
+} from './crmChatbot.js';
+import { DEFAULT_TEMPLATE_TIMEZONE, renderTemplate } from './crmTemplateRender.js';
+
+export const CHATBOT_SLOT_ENTITIES = ['text', 'phone', 'email', 'date', 'number', 'product', 'regex'];
+export const CHATBOT_SLOT_CUSTOMER_FIELDS = ['name', 'phone', 'email', 'company'];
+export const MAX_CHATBOT_SLOTS = 10;
+// Failed answers to the same question before the bot gives up on the rule.
+export const MAX_SLOT_ATTEMPTS = 3;
+export const DEFAULT_SLOT_SESSION_MINUTES = 30;
+
+const SLOT_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+const MAX_SLOT_VALUE_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const defaultModels = { CrmConversation, CrmCustomer };
+
+const PHONE_PATTERN = /(?<!\d)(?:\+?84|0)(?:[\s.-]?\d){9}(?!\d)/;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const NUMBER_PATTERN = /-?\d+(?:[.,]\d+)?/;
+const DATE_PATTERN = /(?<!\d)(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?(?!\d)/;
+const RELATIVE_DAYS = [['ngay kia', 2], ['ngay mai', 1], ['hom nay', 0]];
+
+// YYYY-MM-DD of `date` in `timeZone`.
+const isoDateIn = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+}).format(date);
+
+const extractDate = (text, { now, timeZone }) => {
+    const normalized = normalizeVietnamese(text);
+    for (const [phrase, offset] of RELATIVE_DAYS) {
+        if (normalized.includes(phrase)) return isoDateIn(new Date(now.getTime() + offset * DAY_MS), timeZone);
+    }
+    const match = normalized.match(DATE_PATTERN);
+    if (!match) return null;
+    const day = Number(match[1]);
+    const month = Number(match[2]);
+    let year = match[3] ? Number(match[3]) : Number(isoDateIn(now, timeZone).slice(0, 4));
+    if (year < 100) year += 2000;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Pull one slot's value out of a customer message. Phones come back as
+ * 0xxxxxxxxx, dates as YYYY-MM-DD (dd/mm[/yyyy], "hom nay", "ngay mai",
+ * "ngay kia" in `timeZone`), products as the configured option name.
+ * @returns {string|null}
+ */
+export function extractSlotValue(slot, message, { now = new Date(), timeZone = DEFAULT_TEMPLATE_TIMEZONE } = {}) {
+    const text = String(message || '').trim();
+    if (!text) return null;
+    switch (slot.entity) {
+        case 'phone': {
+            const match = text.match(PHONE_PATTERN);
+            if (!match) return null;
+            const digits = match[0].replace(/\D/g, '');
+            return digits.startsWith('84') ? `0${digits.slice(2)}` : digits;
+        }
+        case 'email':
+            return text.match(EMAIL_PATTERN)?.[0].toLowerCase() || null;
+        case 'number':
+            return text.match(NUMBER_PATTERN)?.[0].replace(',', '.') || null;
+        case 'date':
+            return extractDate(text, { now, timeZone });
+        case 'product': {
+            const normalized = normalizeVietnamese(text);
+            // Longest option first so "ao khoac" wins over "ao".
+            const options = [...(slot.options || [])].sort((a, b) => b.length - a.length);
+            return options.find((option) => {
+                const key = normalizeVietnamese(option);
+                return key && normalized.includes(key);
+            }) || null;
+        }
+        case 'regex': {
+            const match = execChatbotPattern(compileChatbotPattern(slot.pattern), text);
+            if (!match) return null;
+            return String(match[1] ?? match[0]).trim() || null;
+        }
+        default:
+            return text.slice(0, MAX_SLOT_VALUE_LENGTH);
+    }
+}
+
+/**
+ * Validate the `slots` of a rule create/update body.
+ * @returns {{ slots: object[], error: string|null }}
+ */
+export function normalizeChatbotSlots(input) {
+    if (input === undefined || input === null) return { slots: [], error: null };
+    if (!Array.isArray(input)) return { slots: [], error: 'slots phai la mang.' };
+    if (input.length > MAX_CHATBOT_SLOTS) return { slots: [], error: `Toi da ${MAX_CHATBOT_SLOTS} slot moi kich ban.` };
+
+    const names = new Set();
+    const slots = [];
+    for (const raw of input) {
+        const name = String(raw?.name || '').trim();
+        if (!SLOT_NAME_PATTERN.test(name)) return { slots: [], error: `Ten slot "${name}" khong hop le.` };
+        if (names.has(name)) return { slots: [], error: `Slot "${name}" bi trung.` };
+        names.add(name);
+
+        const entity = raw.entity || 'text';
+        if (!CHATBOT_SLOT_ENTITIES.includes(entity)) return { slots: [], error: `Loai slot "${entity}" khong hop le.` };
+        const required = raw.required !== false;
+        const prompt = String(raw.prompt || '').trim().slice(0, 1000);
+        if (required && !prompt) return { slots: [], error: `Slot "${name}" can cau hoi.` };
+
+        const options = Array.isArray(raw.options)
+            ? raw.options.map((option) => String(option).trim()).filter(Boolean).slice(0, 200)
+            : [];
+        if (entity === 'product' && options.length === 0) return { slots: [], error: `Slot "${name}" can danh sach san pham.` };
+        const pattern = String(raw.pattern || '').trim();
+        if (entity === 'regex' && !compileChatbotPattern(pattern)) {
+            const reason = isBacktrackSafePattern(pattern) ? 'khong hop le' : 'co lap long nhau hoac tham chieu nguoc';
+            return { slots: [], error: `Mau regex cua slot "${name}" ${reason}.` };
+        }
+
+        const customerField = String(raw.customerField || '').trim();
+        if (customerField && !CHATBOT_SLOT_CUSTOMER_FIELDS.includes(customerField)) {
+            return { slots: [], error: `Truong khach hang "${customerField}" khong hop le.` };
+        }
+
+        slots.push({
+            name,
+            entity,
+            prompt,
+            retryPrompt: String(raw.retryPrompt || '').trim().slice(0, 1000),
+            required,
+            options,
+            pattern,
+            customerField
+        });
+    }
+    return { slots, error: null };
+}
+
+export function normalizeSlotSessionMinutes(value) {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) return DEFAULT_SLOT_SESSION_MINUTES;
+    return Math.min(24 * 60, Math.max(1, Math.round(parsed)));
+}
+
+/**
+ * One turn of slot filling, without persistence. Values come from the rule's
+ * regex captures, the answer to the pending question and anything else the
+ * message happens to contain (free-text slots only take direct answers).
+ * @returns {{ status: 'prompt'|'complete'|'cancelled', values: object, slot?: object, text?: string, attempts: number }}
+ */
+export function planSlotTurn({ rule, session = null, message, captures = {}, now = new Date(), timeZone }) {
+    const slots = rule.slots || [];
+    const values = { ...(session?.values || {}) };
+    for (const slot of slots) {
+        if (captures[slot.name] && !values[slot.name]) values[slot.name] = String(captures[slot.name]).slice(0, MAX_SLOT_VALUE_LENGTH);
+    }
+
+    let attempts = session?.attempts || 0;
+    const pending = session?.pendingSlot ? slots.find((slot) => slot.name === session.pendingSlot) : null;
+    if (pending) {
+        const answer = extractSlotValue(pending, message, { now, timeZone });
+        if (answer) {
+            values[pending.name] = answer;
+            attempts = 0;
+        } else {
+            attempts += 1;
+        }
+    }
+    for (const slot of slots) {
+        if (values[slot.name] || slot.entity === 'text' || slot === pending) continue;
+        const value = extractSlotValue(slot, message, { now, timeZone });
+        if (value) values[slot.name] = value;
+    }
+
+    const next = slots.find((slot) => slot.required && !values[slot.name]);
+    if (!next) return { status: 'complete', values, attempts: 0 };
+    if (pending && next === pending && attempts >= MAX_SLOT_ATTEMPTS) return { status: 'cancelled', values, attempts };
+
+    const retrying = pending && next === pending && attempts > 0;
+    return {
+        status: 'prompt',
+        values,
+        slot: next,
+        text: retrying ? next.retryPrompt || next.prompt : next.prompt,
+        attempts: next === pending ? attempts : 0
+    };
+}
+
+// Customer-like object the response template renders against: slot values
+// are readable as {{<slot name>}} and override the stored customer fields.
+const buildRenderCustomer = (customer, slots, values) => {
+    const base = customer?.toObject ? customer.toObject() : { ...(customer || {}) };
+    const customFields = base.customFields instanceof Map
+        ? Object.fromEntries(base.customFields)
+        : { ...(base.customFields || {}) };
+    for (const slot of slots) {
+        const value = values[slot.name];
+        if (!value) continue;
+        customFields[slot.name] = value;
+        const field = slot.customerField || (CHATBOT_SLOT_CUSTOMER_FIELDS.includes(slot.name) ? slot.name : '');
+        if (field) base[field] = value;
+    }
+    return { ...base, customFields };
+};
+
+export function renderSlotResponse(rule, { customer = null, values = {}, now = new Date(), timeZone } = {}) {
+    return renderTemplate(rule.response, {
+        customer: buildRenderCustomer(customer, rule.slots || [], values),
+        now,
+        timeZone
+    }).text;
+}
+
+/**
+ * $set that stores captured values on the CrmCustomer: core fields for slots
+ * mapped to one, customFields.<slot name> otherwise.
+ */
+export function buildCustomerSlotUpdate(slots, values) {
+    const update = {};
+    for (const slot of slots) {
+        const value = values[slot.name];
+        if (!value) continue;
+        if (slot.customerField) update[slot.customerField] = slot.customerField === 'email' ? value.toLowerCase() : value;
+        else update[`customFields.${slot.name}`] = String(value);
+    }
+    return update;
+}
+
+/**
+ * Run one inbound message through the multi-turn rules of a conversation:
+ * continue the open session, or start one when a rule with slots matches.
+ * The session lives on CrmConversation.chatbotSession; on completion the
+ * values are written to the linked customer and the templated response is
+ * returned. Handoff keywords drop the session so a human takes over.
+ * @returns {Promise<{ mode: 'prompt'|'complete'|'cancelled'|'handoff'|'none', text: string, ruleId: any, values: object, pendingSlot: string, customerUpdated: boolean }>}
+ */
+export async function runChatbotSlotTurn({
+    userId,
+    conversation,
+    message,
+    rules,
+    now = new Date(),
+    timeZone = DEFAULT_TEMPLATE_TIMEZONE,
+    models = defaultModels
+}) {
+    const result = (mode, extra = {}) => ({
+        mode, text: '', ruleId: null, values: {}, pendingSlot: '', customerUpdated: false, ...extra
+    });
+    const setSession = (session) => models.CrmConversation.updateOne(
+        { _id: conversation._id, userId },
+        { $set: { chatbotSession: session } }
+    );
+
+    const active = conversation.chatbotSession?.expiresAt && new Date(conversation.chatbotSession.expiresAt) > now
+        ? conversation.chatbotSession
+        : null;
+    let rule = active ? rules.find((item) => String(item._id) === String(active.ruleId)) : null;
+    let session = rule ? active : null;
+    let captures = {};
+
+    if (!rule) {
+        if (conversation.chatbotSession) await setSession(null);
+        for (const candidate of rules) {
+            if (!candidate.slots?.length || hasHandoffKeyword(candidate, message)) continue;
+            const match = matchChatbotRuleDetailed(candidate, message, now);
+            if (match.matched) {
+                rule = candidate;
+                captures = match.captures;
+                break;
+            }
+        }
+        if (!rule) return result('none');
+    } else if (hasHandoffKeyword(rule, message)) {
+        await setSession(null);
+        return result('handoff', { ruleId: rule._id, values: session.values || {} });
+    }
+
+    const plan = planSlotTurn({ rule, session, message, captures, now, timeZone });
+    if (plan.status === 'cancelled') {
+        await setSession(null);
+        return result('cancelled', { ruleId: rule._id, values: plan.values });
+    }
+    if (plan.status === 'prompt') {
+        const minutes = rule.slotSessionMinutes || DEFAULT_SLOT_SESSION_MINUTES;
+        await setSession({
+            ruleId: rule._id,
+            values: plan.values,
+            pendingSlot: plan.slot.name,
+            attempts: plan.attempts,
+            expiresAt: new Date(now.getTime() + minutes * 60 * 1000)
+        });
+        return result('prompt', { text: plan.text, ruleId: rule._id, values: plan.values, pendingSlot: plan.slot.name });
+    }
+
+    await setSession(null);
+    let customer = null;
+    let customerUpdated = false;
+    if (conversation.customerId) {
+        const update = buildCustomerSlotUpdate(rule.slots, plan.values);
+        customer = Object.keys(update).length > 0
+            ? await models.CrmCustomer.findOneAndUpdate({ _id: conversation.customerId, userId }, { $set: update }, { new: true })
+            : await models.CrmCustomer.findOne({ _id: conversation.customerId, userId });
+        customerUpdated = Boolean(customer) && Object.keys(update).length > 0;
+    }
+    return result('complete', {
+        text: renderSlotResponse(rule, { customer, values: plan.values, now, timeZone }),
+        ruleId: rule._id,
+        values: plan.values,
+        customerUpdated
+    });
+}
@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    buildCustomerSlotUpdate,
+    extractSlotValue,
+    normalizeChatbotSlots,
+    planSlotTurn,
+    renderSlotResponse,
+    runChatbotSlotTurn
+} from './crmChatbotSlots.js';
+
+// Tue 2026-07-07 09:00 in Hanoi.
+const now = new Date('2026-07-07T02:00:00.000Z');
+
+const bookingRule = {
+    _id: 'rule-1',
+    keywords: ['dat lich(?: (?<service>goi dau|cat toc))?'],
+    matchMode: 'regex',
+    response: 'Da dat {{service}} ngay {{date | date:"DD/MM"}} cho {{phone}}.',
+    slotSessionMinutes: 30,
+    handoffKeywords: [],
+    slots: [
+        { name: 'service', entity: 'product', prompt: 'Anh/chi muon dich vu nao?', options: ['goi dau', 'cat toc'], required: true },
+        { name: 'date', entity: 'date', prompt: 'Ngay nao a?', retryPrompt: 'Vui long nhap ngay dang dd/mm.', required: true },
+        { name: 'phone', entity: 'phone', prompt: 'So dien thoai cua anh/chi?', required: true, customerField: 'phone' },
+        { name: 'note', entity: 'text', prompt: '', required: false }
+    ]
+};
+
+test('extractSlotValue normalizes phones, dates, products and numbers', () => {
+    assert.strictEqual(extractSlotValue({ entity: 'phone' }, 'sdt +84 912.345.678 nhe'), '0912345678');
+    assert.strictEqual(extractSlotValue({ entity: 'phone' }, 'ma don 123456789012'), null);
+    assert.strictEqual(extractSlotValue({ entity: 'email' }, 'mail: An@Example.com'), 'an@example.com');
+    assert.strictEqual(extractSlotValue({ entity: 'date' }, 'ngày mai nhé', { now }), '2026-07-08');
+    assert.strictEqual(extractSlotValue({ entity: 'date' }, '15/8', { now }), '2026-08-15');
+    assert.strictEqual(extractSlotValue({ entity: 'date' }, '31/02/2026', { now }), null);
+    assert.strictEqual(extractSlotValue({ entity: 'number' }, 'lay 2,5 kg'), '2.5');
+    assert.strictEqual(extractSlotValue({ entity: 'product', options: ['Áo', 'Áo khoác'] }, 'ao khoac mau den'), 'Áo khoác');
+    assert.strictEqual(extractSlotValue({ entity: 'regex', pattern: 'ma (\\w+)' }, 'ma SP01'), 'SP01');
+});
+
+test('normalizeChatbotSlots validates names, entities and entity options', () => {
+    assert.strictEqual(normalizeChatbotSlots(undefined).slots.length, 0);
+    assert.strictEqual(normalizeChatbotSlots(bookingRule.slots).error, null);
+    assert.ok(normalizeChatbotSlots([{ name: '1bad', prompt: 'x' }]).error);
+    assert.ok(normalizeChatbotSlots([{ name: 'a', prompt: 'x' }, { name: 'a', prompt: 'y' }]).error);
+    assert.ok(normalizeChatbotSlots([{ name: 'a', entity: 'colour', prompt: 'x' }]).error);
+    assert.ok(normalizeChatbotSlots([{ name: 'a', prompt: '' }]).error);
+    assert.ok(normalizeChatbotSlots([{ name: 'a', entity: 'product', prompt: 'x' }]).error);
+    assert.ok(normalizeChatbotSlots([{ name: 'a', entity: 'regex', pattern: '(', prompt: 'x' }]).error);
+    assert.match(normalizeChatbotSlots([{ name: 'a', entity: 'regex', pattern: '(\\w+\\s?)+$', prompt: 'x' }]).error, /lap long nhau/);
+    assert.ok(normalizeChatbotSlots([{ name: 'a', prompt: 'x', customerField: 'password' }]).error);
+});
+
+test('planSlotTurn uses captures, fills what the message contains and asks for the rest', () => {
+    const first = planSlotTurn({ rule: bookingRule, message: 'dat lich goi dau ngay mai', captures: { service: 'goi dau' }, now });
+    assert.strictEqual(first.status, 'prompt');
+    assert.deepStrictEqual(first.values, { service: 'goi dau', date: '2026-07-08' });
+    assert.strictEqual(first.slot.name, 'phone');
+
+    const retry = planSlotTurn({ rule: bookingRule, session: { values: first.values, pendingSlot: 'phone', attempts: 0 }, message: 'khong biet', now });
+    assert.strictEqual(retry.status, 'prompt');
+    assert.strictEqual(retry.attempts, 1);
+
+    const done = planSlotTurn({ rule: bookingRule, session: { values: first.values, pendingSlot: 'phone', attempts: 1 }, message: '0912345678', now });
+    assert.strictEqual(done.status, 'complete');
+    assert.strictEqual(done.values.phone, '0912345678');
+
+    const giveUp = planSlotTurn({ rule: bookingRule, session: { values: {}, pendingSlot: 'date', attempts: 2 }, message: 'hmm', now });
+    assert.strictEqual(giveUp.status, 'prompt');
+    assert.strictEqual(giveUp.slot.name, 'service');
+    const cancelled = planSlotTurn({ rule: bookingRule, session: { values: { service: 'cat toc' }, pendingSlot: 'date', attempts: 2 }, message: 'hmm', now });
+    assert.strictEqual(cancelled.status, 'cancelled');
+});
+
+test('retry prompts are used after a failed answer', () => {
+    const plan = planSlotTurn({ rule: bookingRule, session: { values: { service: 'cat toc' }, pendingSlot: 'date', attempts: 0 }, message: 'som nhat', now });
+    assert.strictEqual(plan.text, 'Vui long nhap ngay dang dd/mm.');
+});
+
+test('renderSlotResponse and buildCustomerSlotUpdate map slot values', () => {
+    const values = { service: 'cat toc', date: '2026-07-08', phone: '0912345678' };
+    assert.strictEqual(renderSlotResponse(bookingRule, { values, now }), 'Da dat cat toc ngay 08/07 cho 0912345678.');
+    assert.deepStrictEqual(buildCustomerSlotUpdate(bookingRule.slots, values), {
+        'customFields.service': 'cat toc',
+        'customFields.date': '2026-07-08',
+        phone: '0912345678'
+    });
+});
+
+test('runChatbotSlotTurn keeps the session on the conversation and saves values on completion', async () => {
+    const sessions = [];
+    let customerUpdate = null;
+    const models = {
+        CrmConversation: { updateOne: async (filter, update) => { sessions.push(update.$set.chatbotSession); } },
+        CrmCustomer: {
+            findOneAndUpdate: async (filter, update) => {
+                customerUpdate = update.$set;
+                return { _id: 'cust-1', name: 'An', customFields: new Map() };
+            }
+        }
+    };
+    const conversation = { _id: 'conv-1', customerId: 'cust-1', chatbotSession: null };
+
+    const first = await runChatbotSlotTurn({ userId: 'u1', conversation, message: 'dat lich cat toc', rules: [bookingRule], now, models });
+    assert.strictEqual(first.mode, 'prompt');
+    assert.strictEqual(first.pendingSlot, 'date');
+    assert.deepStrictEqual(sessions[0].expiresAt, new Date(now.getTime() + 30 * 60 * 1000));
+
+    conversation.chatbotSession = sessions[0];
+    const second = await runChatbotSlotTurn({ userId: 'u1', conversation, message: '20/7, sdt 0987654321', rules: [bookingRule], now, models });
+    assert.strictEqual(second.mode, 'complete');
+    assert.strictEqual(second.text, 'Da dat cat toc ngay 20/07 cho 0987654321.');
+    assert.strictEqual(second.customerUpdated, true);
+    assert.strictEqual(customerUpdate.phone, '0987654321');
+    assert.strictEqual(sessions[1], null);
+
+    const unmatched = await runChatbotSlotTurn({ userId: 'u1', conversation: { _id: 'conv-2' }, message: 'xin chao', rules: [bookingRule], now, models });
+    assert.strictEqual(unmatched.mode, 'none');
+});
+
+test('runChatbotSlotTurn drops an expired or handed-off session', async () => {
+    const sessions = [];
+    const models = { CrmConversation: { updateOne: async (filter, update) => { sessions.push(update.$set.chatbotSession); } } };
+    const rule = { ...bookingRule, handoffKeywords: ['nhan vien'] };
+    const session = { ruleId: 'rule-1', values: { service: 'cat toc' }, pendingSlot: 'date', attempts: 0, expiresAt: new Date(now.getTime() + 60000) };
+
+    const handoff = await runChatbotSlotTurn({ userId: 'u1', conversation: { _id: 'c', chatbotSession: session }, message: 'cho gap nhan vien', rules: [rule], now, models });
+    assert.strictEqual(handoff.mode, 'handoff');
+    assert.strictEqual(sessions.pop(), null);
+
+    const expired = { ...session, expiresAt: new Date(now.getTime() - 1) };
+    const result = await runChatbotSlotTurn({ userId: 'u1', conversation: { _id: 'c', chatbotSession: expired }, message: '20/7', rules: [rule], now, models });
+    assert.strictEqual(result.mode, 'none');
+    assert.strictEqual(sessions.pop(), null);
+});
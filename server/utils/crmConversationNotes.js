@@ -0,0 +1,101 @@
+import CrmMessage from '../models/CrmMessage.js';
+import CrmTask from '../models/CrmTask.js';
+import crmEventHub from './crmEventHub.js';
+import { listWorkspaceUsers } from './crmWorkspaces.js';
+
+export const MAX_NOTE_LENGTH = 5000;
+export const MAX_NOTE_MENTIONS = 20;
+
+const MENTION_EMAIL_PATTERN = /(?:^|[^\w.])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+const defaultModels = { CrmMessage, CrmTask };
+
+/**
+ * Resolve @mentions of an internal note to workspace users. Clients send the
+ * picked user ids in `mentionIds`; `@email` written in the text also counts.
+ * Anyone who isn't the owner or an active member is rejected.
+ * @returns {{ userIds: string[], error: string|null }}
+ */
+export function resolveNoteMentions({ content, mentionIds = [], workspaceUsers }) {
+    if (!Array.isArray(mentionIds)) return { userIds: [], error: 'mentions phai la mang.' };
+    const byId = new Map(workspaceUsers.map((user) => [String(user.userId), user]));
+    const byEmail = new Map(workspaceUsers.map((user) => [String(user.email).toLowerCase(), user]));
+
+    const userIds = new Set();
+    for (const id of mentionIds) {
+        if (!byId.has(String(id))) return { userIds: [], error: 'Nguoi duoc nhac khong thuoc workspace.' };
+        userIds.add(String(id));
+    }
+    for (const match of String(content || '').matchAll(MENTION_EMAIL_PATTERN)) {
+        const user = byEmail.get(match[1].toLowerCase());
+        if (user) userIds.add(String(user.userId));
+    }
+    if (userIds.size > MAX_NOTE_MENTIONS) {
+        return { userIds: [], error: `Toi da ${MAX_NOTE_MENTIONS} nguoi duoc nhac trong mot ghi chu.` };
+    }
+    return { userIds: [...userIds], error: null };
+}
+
+/**
+ * Add a private staff note to a conversation. The note is a CrmMessage with
+ * direction 'internal' (no device, no agent command, so it is never sent to
+ * the customer) and does not touch the conversation preview or unread count.
+ * Each mentioned member other than the author gets an open CrmTask.
+ * @returns {Promise<{ note: any, tasks: any[] }>}
+ */
+export async function createConversationNote({
+    userId,
+    conversation,
+    author,
+    content,
+    mentionIds,
+    now = new Date(),
+    models = defaultModels,
+    loadWorkspaceUsers = listWorkspaceUsers,
+    publish = crmEventHub.publish
+}) {
+    const text = String(content || '').trim();
+    if (!text) throw Object.assign(new Error('Noi dung ghi chu la bat buoc.'), { statusCode: 400 });
+    if (text.length > MAX_NOTE_LENGTH) throw Object.assign(new Error('Ghi chu qua dai.'), { statusCode: 400 });
+
+    const workspaceUsers = await loadWorkspaceUsers({ ownerUserId: userId });
+    const { userIds, error } = resolveNoteMentions({ content: text, mentionIds, workspaceUsers });
+    if (error) throw Object.assign(new Error(error), { statusCode: 400 });
+
+    const note = await models.CrmMessage.create({
+        userId,
+        conversationId: conversation._id,
+        deviceId: null,
+        accountId: conversation.accountId,
+        threadId: conversation.threadId,
+        threadType: conversation.threadType,
+        channel: conversation.channel,
+        direction: 'internal',
+        senderId: String(author._id),
+        senderName: author.name || author.email || '',
+        authorUserId: author._id,
+        mentions: userIds,
+        content: text,
+        messageType: 'text',
+        status: 'sent',
+        sentAt: now
+    });
+
+    const authorName = author.name || author.email || '';
+    const recipients = userIds.filter((id) => id !== String(author._id));
+    const tasks = recipients.length === 0 ? [] : await models.CrmTask.insertMany(recipients.map((assignedTo) => ({
+        userId,
+        title: `${authorName} nhac ban trong hoi thoai ${conversation.displayName || conversation.threadId}`.slice(0, 200),
+        description: text,
+        relatedType: 'conversation',
+        customerId: conversation.customerId || null,
+        conversationId: conversation._id,
+        assignedTo,
+        sourceMessageId: note._id,
+        priority: 'medium',
+        status: 'open'
+    })));
+
+    publish(userId, 'note.new', { note, conversationId: conversation._id, mentionTaskIds: tasks.map((task) => task._id) });
+    return { note, tasks };
+}
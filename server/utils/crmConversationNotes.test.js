@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { createConversationNote, resolveNoteMentions } from './crmConversationNotes.js';
+
+const workspaceUsers = [
+    { userId: 'owner-1', email: 'chu@shop.vn', name: 'Chu', role: 'owner' },
+    { userId: 'agent-a', email: 'an@shop.vn', name: 'An', role: 'agent' },
+    { userId: 'agent-b', email: 'binh@shop.vn', name: 'Binh', role: 'viewer' }
+];
+
+const conversation = {
+    _id: 'conv-1',
+    accountId: 'acc-1',
+    threadId: 'thread-1',
+    threadType: 'user',
+    channel: 'zalo_personal',
+    displayName: 'Khach A',
+    customerId: 'cust-1'
+};
+
+test('resolveNoteMentions accepts picked members and @email, rejects outsiders', () => {
+    assert.deepStrictEqual(
+        resolveNoteMentions({ content: 'Nho goi lai @BINH@shop.vn, cc @la@x.vn', mentionIds: ['agent-a'], workspaceUsers }),
+        { userIds: ['agent-a', 'agent-b'], error: null }
+    );
+    assert.ok(resolveNoteMentions({ content: '', mentionIds: ['stranger'], workspaceUsers }).error);
+    assert.ok(resolveNoteMentions({ content: '', mentionIds: 'agent-a', workspaceUsers }).error);
+    // A plain email address without a leading @ is not a mention.
+    assert.deepStrictEqual(resolveNoteMentions({ content: 'email an@shop.vn', workspaceUsers }).userIds, []);
+});
+
+test('createConversationNote stores an internal message and a task per mentioned member', async () => {
+    const created = [];
+    const tasks = [];
+    const events = [];
+    const models = {
+        CrmMessage: { async create(doc) { created.push(doc); return { _id: 'note-1', ...doc }; } },
+        CrmTask: {
+            async insertMany(docs) {
+                tasks.push(...docs);
+                return docs.map((doc, index) => ({ _id: `task-${index}`, ...doc }));
+            }
+        }
+    };
+
+    const result = await createConversationNote({
+        userId: 'owner-1',
+        conversation,
+        author: { _id: 'agent-a', name: 'An' },
+        content: '  Khach hoi gia si, @chu@shop.vn duyet giup  ',
+        mentionIds: ['agent-a'],
+        models,
+        loadWorkspaceUsers: async ({ ownerUserId }) => {
+            assert.strictEqual(ownerUserId, 'owner-1');
+            return workspaceUsers;
+        },
+        publish: (userId, name, payload) => events.push([userId, name, payload.mentionTaskIds])
+    });
+
+    assert.strictEqual(created[0].direction, 'internal');
+    assert.strictEqual(created[0].deviceId, null);
+    assert.strictEqual(created[0].content, 'Khach hoi gia si, @chu@shop.vn duyet giup');
+    assert.deepStrictEqual(created[0].mentions, ['agent-a', 'owner-1']);
+    // The author mentioning themselves gets no task.
+    assert.deepStrictEqual(tasks.map((task) => task.assignedTo), ['owner-1']);
+    assert.strictEqual(tasks[0].relatedType, 'conversation');
+    assert.strictEqual(tasks[0].sourceMessageId, 'note-1');
+    assert.strictEqual(tasks[0].customerId, 'cust-1');
+    assert.strictEqual(result.tasks.length, 1);
+    assert.deepStrictEqual(events, [['owner-1', 'note.new', ['task-0']]]);
+
+    await assert.rejects(
+        createConversationNote({
+            userId: 'owner-1', conversation, author: { _id: 'agent-a' }, content: '   ', models,
+            loadWorkspaceUsers: async () => workspaceUsers, publish: () => {}
+        }),
+        (error) => error.statusCode === 400
+    );
+});
@@ -0,0 +1,123 @@
+import CrmAuditLog from '../models/CrmAuditLog.js';
+import CrmConversation from '../models/CrmConversation.js';
+import crmEventHub from './crmEventHub.js';
+import { recordSlaEvent } from './crmSla.js';
+
+export const CONVERSATION_STATUSES = ['open', 'pending', 'snoozed', 'resolved'];
+export const MAX_SNOOZE_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Allowed moves. Re-snoozing a snoozed thread just moves its wake-up time;
+// a resolved thread can only be reopened.
+const TRANSITIONS = {
+    open: ['pending', 'snoozed', 'resolved'],
+    pending: ['open', 'snoozed', 'resolved'],
+    snoozed: ['open', 'pending', 'snoozed', 'resolved'],
+    resolved: ['open']
+};
+
+const defaultModels = { CrmAuditLog, CrmConversation };
+
+/**
+ * Validate a status change and build the $set for it.
+ * @returns {{ update: object|null, error: string|null }}
+ */
+export function planConversationTransition({ from, to, snoozedUntil, now = new Date() }) {
+    const current = from || 'open';
+    if (!CONVERSATION_STATUSES.includes(to)) return { update: null, error: 'Trang thai hoi thoai khong hop le.' };
+    if (!TRANSITIONS[current]?.includes(to)) {
+        return { update: null, error: `Khong the chuyen hoi thoai tu ${current} sang ${to}.` };
+    }
+
+    const update = { assignedStatus: to, snoozedUntil: null, statusChangedAt: now };
+    if (to === 'snoozed') {
+        const until = snoozedUntil ? new Date(snoozedUntil) : null;
+        if (!until || Number.isNaN(until.getTime()) || until <= now) {
+            return { update: null, error: 'snoozedUntil phai la thoi diem trong tuong lai.' };
+        }
+        if (until.getTime() - now.getTime() > MAX_SNOOZE_MS) {
+            return { update: null, error: 'Chi co the tam hoan toi da 90 ngay.' };
+        }
+        update.snoozedUntil = until;
+    }
+    return { update, error: null };
+}
+
+/**
+ * Move a conversation to a new status: validated, applied only if nobody
+ * changed the status meanwhile, audited as `conversation_status_changed`
+ * and published as `conversation.updated`. Resolving also closes the SLA
+ * cycle.
+ *
+ * `reason` is 'manual' for staff actions, 'customer_replied' when an inbound
+ * message reopens/wakes the thread and 'snooze_expired' from the cron.
+ * `fields` are other conversation fields written in the same update, so an
+ * invalid or stale status change leaves them untouched too.
+ * @returns {Promise<{ conversation: any, changed: boolean }>}
+ */
+export async function transitionConversation({
+    userId,
+    conversation,
+    to,
+    snoozedUntil,
+    fields = {},
+    reason = 'manual',
+    actorUserId = null,
+    subscriptionId = null,
+    now = new Date(),
+    models = defaultModels,
+    publish = crmEventHub.publish,
+    recordSla = recordSlaEvent
+}) {
+    const from = conversation.assignedStatus || 'open';
+    const { update, error } = planConversationTransition({ from, to, snoozedUntil, now });
+    if (error) throw Object.assign(new Error(error), { statusCode: 400 });
+
+    const updated = await models.CrmConversation.findOneAndUpdate(
+        { _id: conversation._id, userId, assignedStatus: from },
+        { $set: { ...fields, ...update } },
+        { new: true }
+    );
+    if (!updated) {
+        throw Object.assign(new Error('Trang thai hoi thoai vua thay doi, vui long tai lai.'), { statusCode: 409 });
+    }
+
+    await models.CrmAuditLog.create({
+        userId,
+        subscriptionId,
+        action: 'conversation_status_changed',
+        details: {
+            conversationId: updated._id,
+            from,
+            to,
+            reason,
+            snoozedUntil: update.snoozedUntil,
+            actorUserId
+        }
+    });
+    if (to === 'resolved') {
+        try {
+            await recordSla({ userId, conversation: updated, type: 'resolved', at: now });
+        } catch (slaError) {
+            console.error('SLA resolved event error:', slaError);
+        }
+    }
+    publish(userId, 'conversation.updated', updated);
+    return { conversation: updated, changed: true };
+}
+
+/**
+ * Inbound customer message: a resolved thread reopens, a pending or snoozed
+ * one comes back to the open queue. Open threads are left alone.
+ */
+export async function reopenOnInbound({ userId, conversation, now = new Date(), ...options }) {
+    if (!conversation || ['open', undefined, null].includes(conversation.assignedStatus)) {
+        return { conversation, changed: false };
+    }
+    try {
+        return await transitionConversation({ userId, conversation, to: 'open', reason: 'customer_replied', now, ...options });
+    } catch (error) {
+        // Lost a race with another status change; theirs stands.
+        if (error.statusCode === 409) return { conversation, changed: false };
+        throw error;
+    }
+}
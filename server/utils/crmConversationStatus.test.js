@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { planConversationTransition, reopenOnInbound, transitionConversation } from './crmConversationStatus.js';
+
+const now = new Date('2026-07-01T02:00:00.000Z');
+
+const buildModels = ({ matched = true } = {}) => {
+    const calls = { updates: [], audits: [] };
+    return {
+        calls,
+        models: {
+            CrmConversation: {
+                async findOneAndUpdate(filter, update) {
+                    calls.updates.push([filter, update]);
+                    return matched ? { _id: filter._id, userId: filter.userId, ...update.$set } : null;
+                }
+            },
+            CrmAuditLog: { async create(doc) { calls.audits.push(doc); } }
+        }
+    };
+};
+
+test('planConversationTransition enforces the workflow and snooze window', () => {
+    assert.deepStrictEqual(planConversationTransition({ from: 'open', to: 'pending', now }).update, {
+        assignedStatus: 'pending', snoozedUntil: null, statusChangedAt: now
+    });
+    assert.ok(planConversationTransition({ from: 'resolved', to: 'pending', now }).error);
+    assert.ok(planConversationTransition({ from: 'open', to: 'open', now }).error);
+    assert.ok(planConversationTransition({ from: 'open', to: 'closed', now }).error);
+    assert.ok(planConversationTransition({ from: 'open', to: 'snoozed', now }).error);
+    assert.ok(planConversationTransition({ from: 'open', to: 'snoozed', snoozedUntil: '2026-06-30T00:00:00Z', now }).error);
+    assert.ok(planConversationTransition({ from: 'open', to: 'snoozed', snoozedUntil: '2026-12-30T00:00:00Z', now }).error);
+    assert.strictEqual(
+        planConversationTransition({ from: 'snoozed', to: 'snoozed', snoozedUntil: '2026-07-02T00:00:00Z', now }).update.snoozedUntil.toISOString(),
+        '2026-07-02T00:00:00.000Z'
+    );
+});
+
+test('transitionConversation applies conditionally, audits, publishes and closes the SLA cycle', async () => {
+    const { calls, models } = buildModels();
+    const events = [];
+    const slaEvents = [];
+    const { conversation } = await transitionConversation({
+        userId: 'owner-1',
+        conversation: { _id: 'conv-1', assignedStatus: 'pending' },
+        to: 'resolved',
+        actorUserId: 'agent-a',
+        now,
+        models,
+        publish: (userId, name) => events.push([userId, name]),
+        recordSla: async ({ type }) => slaEvents.push(type)
+    });
+
+    assert.strictEqual(conversation.assignedStatus, 'resolved');
+    assert.deepStrictEqual(calls.updates[0][0], { _id: 'conv-1', userId: 'owner-1', assignedStatus: 'pending' });
+    assert.deepStrictEqual(calls.audits[0].details, {
+        conversationId: 'conv-1', from: 'pending', to: 'resolved', reason: 'manual', snoozedUntil: null, actorUserId: 'agent-a'
+    });
+    assert.strictEqual(calls.audits[0].action, 'conversation_status_changed');
+    assert.deepStrictEqual(events, [['owner-1', 'conversation.updated']]);
+    assert.deepStrictEqual(slaEvents, ['resolved']);
+
+    const stale = buildModels({ matched: false });
+    await assert.rejects(
+        transitionConversation({
+            userId: 'owner-1', conversation: { _id: 'conv-1', assignedStatus: 'open' }, to: 'pending', now, models: stale.models, publish: () => {}
+        }),
+        (error) => error.statusCode === 409
+    );
+    assert.strictEqual(stale.calls.audits.length, 0);
+});
+
+test('transitionConversation writes extra fields with the status, and not at all when rejected', async () => {
+    const { calls, models } = buildModels();
+    await transitionConversation({
+        userId: 'owner-1',
+        conversation: { _id: 'conv-1', assignedStatus: 'open' },
+        to: 'pending',
+        fields: { tags: ['vip'], notes: 'Goi lai' },
+        now,
+        models,
+        publish: () => {}
+    });
+    assert.deepStrictEqual(calls.updates[0][1].$set, {
+        tags: ['vip'], notes: 'Goi lai', assignedStatus: 'pending', snoozedUntil: null, statusChangedAt: now
+    });
+
+    await assert.rejects(
+        transitionConversation({
+            userId: 'owner-1',
+            conversation: { _id: 'conv-1', assignedStatus: 'resolved' },
+            to: 'pending',
+            fields: { tags: ['vip'] },
+            now,
+            models,
+            publish: () => {}
+        }),
+        (error) => error.statusCode === 400
+    );
+    assert.strictEqual(calls.updates.length, 1);
+});
+
+test('reopenOnInbound wakes snoozed, pending and resolved threads but leaves open ones', async () => {
+    const { calls, models } = buildModels();
+    const open = { _id: 'c-open', assignedStatus: 'open' };
+    assert.strictEqual((await reopenOnInbound({ userId: 'owner-1', conversation: open, now, models, publish: () => {} })).changed, false);
+
+    for (const status of ['snoozed', 'pending', 'resolved']) {
+        const result = await reopenOnInbound({
+            userId: 'owner-1', conversation: { _id: `c-${status}`, assignedStatus: status }, now, models, publish: () => {}
+        });
+        assert.strictEqual(result.conversation.assignedStatus, 'open');
+    }
+    assert.deepStrictEqual(calls.audits.map((audit) => [audit.details.from, audit.details.reason]), [
+        ['snoozed', 'customer_replied'], ['pending', 'customer_replied'], ['resolved', 'customer_replied']
+    ]);
+
+    const lost = buildModels({ matched: false });
+    const result = await reopenOnInbound({
+        userId: 'owner-1', conversation: { _id: 'c1', assignedStatus: 'pending' }, now, models: lost.models, publish: () => {}
+    });
+    assert.strictEqual(result.changed, false);
+});
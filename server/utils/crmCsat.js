@@ -0,0 +1,323 @@
+import CrmAgentCommand from '../models/CrmAgentCommand.js';
+import CrmChannelIntegration from '../models/CrmChannelIntegration.js';
+import CrmConversation from '../models/CrmConversation.js';
+import CrmCsatSurvey from '../models/CrmCsatSurvey.js';
+import CrmDevice from '../models/CrmDevice.js';
+import CrmMessage from '../models/CrmMessage.js';
+import SystemSetting from '../models/SystemSetting.js';
+import crmEventHub from './crmEventHub.js';
+import webchatEventHub from './webchatEventHub.js';
+import { deliverChannelMessage, findServerOutboundIntegration } from './crmChannelOutbound.js';
+import { normalizeVietnamese } from './crmChatbot.js';
+
+export const CSAT_CHANNELS = ['zalo_personal', 'zalo_oa', 'facebook_page', 'tiktok', 'instagram', 'whatsapp', 'telegram', 'webchat'];
+export const MAX_CSAT_PROMPT_LENGTH = 1000;
+export const MAX_CSAT_EXPIRY_HOURS = 7 * 24;
+
+export const defaultCsatSettings = {
+    enabled: false,
+    prompt: 'Cảm ơn bạn đã liên hệ! Bạn hài lòng thế nào với lần hỗ trợ vừa rồi? Vui lòng trả lời từ 1 (không hài lòng) đến 5 (rất hài lòng).',
+    expiryHours: 24,
+    // Empty = every channel.
+    channels: []
+};
+
+const getCsatSettingsKey = (userId) => `crmCsatSettings:${userId}`;
+
+const defaultModels = { CrmAgentCommand, CrmChannelIntegration, CrmConversation, CrmCsatSurvey, CrmDevice, CrmMessage, SystemSetting };
+
+// Ratings a reply made only of these emoji maps to (all must agree).
+const EMOJI_RATINGS = new Map([
+    ['😡', 1], ['🤬', 1], ['👎', 1],
+    ['😞', 2], ['😠', 2], ['🙁', 2], ['☹', 2], ['😢', 2],
+    ['😐', 3], ['😶', 3], ['😑', 3],
+    ['🙂', 4], ['😊', 4], ['👍', 4],
+    ['😍', 5], ['🥰', 5], ['🤩', 5], ['😁', 5], ['😀', 5], ['❤', 5], ['💯', 5]
+]);
+const STAR_EMOJI = new Set(['⭐', '🌟', '★']);
+// Emoji modifiers that don't change meaning: variation selectors, ZWJ, skin tones.
+const EMOJI_MODIFIERS = /[\uFE0E\uFE0F\u200D\u{1F3FB}-\u{1F3FF}]/gu;
+// "5", "5 sao", "5*", "5/5", "5 diem", "danh gia 4" with trailing punctuation.
+const DIGIT_REPLY = /^(?:(?:danh gia|cham|cho)\s+)?([1-5])\s*(?:sao|diem|\*|\/\s*5)?\s*[.!]*$/;
+
+/**
+ * Read a 1-5 rating out of a customer's reply to the survey prompt. Accepts a
+ * lone digit (optionally "sao"/"diem"/"/5"), 1-5 star emoji or a reply made
+ * only of mood emoji. Anything else is an ordinary message, so the thread
+ * reopens as usual.
+ * @returns {number|null}
+ */
+export function parseCsatReply(text) {
+    const raw = String(text || '').replace(EMOJI_MODIFIERS, '').trim();
+    if (!raw || raw.length > 40) return null;
+
+    const digit = normalizeVietnamese(raw).match(DIGIT_REPLY);
+    if (digit) return Number(digit[1]);
+
+    const symbols = Array.from(raw.replace(/\s+/g, ''));
+    if (symbols.every((symbol) => STAR_EMOJI.has(symbol))) {
+        return symbols.length <= 5 ? symbols.length : null;
+    }
+    const ratings = new Set(symbols.map((symbol) => EMOJI_RATINGS.get(symbol)));
+    if (ratings.size === 1 && !ratings.has(undefined)) return [...ratings][0];
+    return null;
+}
+
+export function normalizeCsatSettings(value = {}) {
+    const expiryHours = Number(value.expiryHours);
+    const channels = Array.isArray(value.channels) ? [...new Set(value.channels.map(String))] : [];
+    if (channels.some((channel) => !CSAT_CHANNELS.includes(channel))) {
+        return { settings: null, error: 'Kenh khao sat khong hop le.' };
+    }
+    const prompt = String(value.prompt ?? defaultCsatSettings.prompt).trim();
+    if (!prompt) return { settings: null, error: 'Noi dung khao sat la bat buoc.' };
+    if (prompt.length > MAX_CSAT_PROMPT_LENGTH) return { settings: null, error: 'Noi dung khao sat qua dai.' };
+    return {
+        settings: {
+            enabled: value.enabled === true,
+            prompt,
+            expiryHours: Number.isFinite(expiryHours)
+                ? Math.min(Math.max(Math.round(expiryHours), 1), MAX_CSAT_EXPIRY_HOURS)
+                : defaultCsatSettings.expiryHours,
+            channels
+        },
+        error: null
+    };
+}
+
+export async function getCsatSettings(userId, models = defaultModels) {
+    const setting = await models.SystemSetting.findOne({ key: getCsatSettingsKey(userId) }).lean();
+    return { ...defaultCsatSettings, ...(setting?.value || {}) };
+}
+
+export async function saveCsatSettings(userId, value, models = defaultModels) {
+    const { settings, error } = normalizeCsatSettings(value);
+    if (error) throw Object.assign(new Error(error), { statusCode: 400 });
+    await models.SystemSetting.findOneAndUpdate(
+        { key: getCsatSettingsKey(userId) },
+        { $set: { key: getCsatSettingsKey(userId), value: settings, description: 'Per-user Alpha CRM CSAT survey settings' } },
+        { upsert: true, new: true }
+    );
+    return settings;
+}
+
+/**
+ * Send the rating prompt for a conversation that was just resolved, the way
+ * an operator reply would go: webchat visitors get it over the widget stream,
+ * Meta/Telegram conversations with a server-side integration through the
+ * channel API, everything else through the Desktop Agent. Skipped (returns a
+ * `skipped` reason) when surveys are off for the channel, for group threads,
+ * while an earlier survey is still waiting for an answer, or without an
+ * active device.
+ * @returns {Promise<{ survey: any, message: any, command: any, skipped: string|null }>}
+ */
+export async function sendCsatSurvey({
+    userId,
+    conversation,
+    actorUserId = null,
+    subscriptionId = null,
+    settings,
+    now = new Date(),
+    models = defaultModels,
+    createCommand = (payload) => models.CrmAgentCommand.create(payload),
+    publish = crmEventHub.publish,
+    publishWebchat = webchatEventHub.publish,
+    findOutboundIntegration = findServerOutboundIntegration,
+    deliverMessage = deliverChannelMessage
+}) {
+    const skip = (skipped) => ({ survey: null, message: null, command: null, skipped });
+    const config = settings || await getCsatSettings(userId, models);
+    if (!config.enabled) return skip('disabled');
+    if (conversation.threadType !== 'user') return skip('group');
+    const channel = conversation.channel || 'zalo_personal';
+    if (config.channels?.length > 0 && !config.channels.includes(channel)) return skip('channel');
+
+    const pending = await models.CrmCsatSurvey.findOne({
+        userId,
+        conversationId: conversation._id,
+        status: 'sent',
+        expiresAt: { $gt: now }
+    });
+    if (pending) return skip('pending');
+
+    const isWebchat = channel === 'webchat';
+    const integration = isWebchat ? null : await findOutboundIntegration({ userId, conversation, models });
+    let device = null;
+    if (!isWebchat && !integration) {
+        if (conversation.deviceId) {
+            device = await models.CrmDevice.findOne({ _id: conversation.deviceId, userId, status: 'active' });
+        }
+        if (!device) device = await models.CrmDevice.findOne({ userId, status: 'active' });
+        if (!device) return skip('no_device');
+    }
+
+    await models.CrmCsatSurvey.updateMany(
+        { userId, conversationId: conversation._id, status: 'sent' },
+        { $set: { status: 'expired' } }
+    );
+
+    let message = await models.CrmMessage.create({
+        userId,
+        conversationId: conversation._id,
+        deviceId: device?._id || conversation.deviceId || null,
+        accountId: conversation.accountId,
+        threadId: conversation.threadId,
+        threadType: conversation.threadType,
+        channel,
+        direction: 'outbound',
+        senderId: conversation.accountId,
+        senderName: 'CSAT',
+        content: config.prompt,
+        messageType: 'text',
+        status: isWebchat ? 'sent' : 'queued',
+        sentAt: isWebchat ? now : null
+    });
+
+    const survey = await models.CrmCsatSurvey.create({
+        userId,
+        conversationId: conversation._id,
+        customerId: conversation.customerId || null,
+        agentId: conversation.assignedTo || actorUserId || null,
+        channel,
+        accountId: conversation.accountId,
+        promptMessageId: message._id,
+        status: 'sent',
+        sentAt: now,
+        expiresAt: new Date(now.getTime() + config.expiryHours * 60 * 60 * 1000)
+    });
+
+    let command = null;
+    if (isWebchat) {
+        // For webchat conversations accountId is the widget and threadId the
+        // visitor's session token.
+        publishWebchat(`${conversation.accountId}:${conversation.threadId}`, 'message.new', message);
+        await models.CrmConversation.updateOne(
+            { _id: conversation._id, userId },
+            { $set: { lastMessagePreview: config.prompt.slice(0, 200), lastMessageAt: now } }
+        );
+    } else if (integration) {
+        message = await deliverMessage({ integration, message, models, publish });
+    } else {
+        command = await createCommand({
+            userId,
+            subscriptionId,
+            deviceId: device._id,
+            type: 'zalo.message.send',
+            payload: {
+                crmMessageId: message._id,
+                accountId: conversation.accountId,
+                recipientId: conversation.threadId,
+                threadType: conversation.threadType,
+                message: config.prompt,
+                messageType: 'text'
+            },
+            status: 'queued',
+            idempotencyKey: `csat-survey:${survey._id}`,
+            expiresAt: new Date(now.getTime() + 60 * 60 * 1000)
+        });
+    }
+
+    publish(userId, 'message.new', { message, conversation });
+    return { survey, message, command, skipped: null };
+}
+
+/**
+ * Treat an inbound message as the answer to the conversation's open survey
+ * when it parses as a rating. Only the first valid answer counts.
+ * @returns {Promise<{ survey: any, rating: number|null }>}
+ */
+export async function recordCsatReply({
+    userId,
+    conversation,
+    message,
+    now = new Date(),
+    models = defaultModels,
+    publish = crmEventHub.publish
+}) {
+    const rating = parseCsatReply(message?.content);
+    if (!rating || conversation.threadType !== 'user') return { survey: null, rating: null };
+
+    const survey = await models.CrmCsatSurvey.findOneAndUpdate(
+        { userId, conversationId: conversation._id, status: 'sent', expiresAt: { $gt: now } },
+        {
+            $set: {
+                status: 'answered',
+                rating,
+                rawReply: String(message.content).slice(0, 200),
+                replyMessageId: message._id,
+                answeredAt: now
+            }
+        },
+        { new: true, sort: { sentAt: -1 } }
+    );
+    if (!survey) return { survey: null, rating: null };
+
+    publish(userId, 'csat.received', {
+        surveyId: survey._id,
+        conversationId: conversation._id,
+        rating,
+        agentId: survey.agentId,
+        channel: survey.channel
+    });
+    return { survey, rating };
+}
+
+/**
+ * Aggregate surveys sent in [from, to): response rate, average rating,
+ * distribution and CSAT % (share of 4-5 ratings among answers), overall and
+ * per agent / channel.
+ */
+export function buildCsatReportPipeline({ userId, from, to }) {
+    const group = (key) => [
+        {
+            $group: {
+                _id: key,
+                sent: { $sum: 1 },
+                answered: { $sum: { $cond: [{ $eq: ['$status', 'answered'] }, 1, 0] } },
+                ratingTotal: { $sum: { $ifNull: ['$rating', 0] } },
+                satisfied: { $sum: { $cond: [{ $gte: ['$rating', 4] }, 1, 0] } },
+                r1: { $sum: { $cond: [{ $eq: ['$rating', 1] }, 1, 0] } },
+                r2: { $sum: { $cond: [{ $eq: ['$rating', 2] }, 1, 0] } },
+                r3: { $sum: { $cond: [{ $eq: ['$rating', 3] }, 1, 0] } },
+                r4: { $sum: { $cond: [{ $eq: ['$rating', 4] }, 1, 0] } },
+                r5: { $sum: { $cond: [{ $eq: ['$rating', 5] }, 1, 0] } }
+            }
+        },
+        { $sort: { sent: -1 } }
+    ];
+    return [
+        { $match: { userId, sentAt: { $gte: from, $lt: to } } },
+        {
+            $facet: {
+                total: group(null),
+                byAgent: group('$agentId'),
+                byChannel: group('$channel')
+            }
+        }
+    ];
+}
+
+const ratioOf = (part, whole, digits = 1) => {
+    if (!whole) return null;
+    const scale = 10 ** digits;
+    return Math.round((part / whole) * scale) / scale;
+};
+
+const formatCsatRow = (row) => ({
+    sent: row.sent,
+    answered: row.answered,
+    responseRate: ratioOf(row.answered * 100, row.sent),
+    averageRating: ratioOf(row.ratingTotal, row.answered, 2),
+    csatPercent: ratioOf(row.satisfied * 100, row.answered),
+    distribution: { 1: row.r1, 2: row.r2, 3: row.r3, 4: row.r4, 5: row.r5 }
+});
+
+export function formatCsatReport([facets] = []) {
+    const rows = (name, keyName) => (facets?.[name] || []).map((row) => ({ [keyName]: row._id ?? null, ...formatCsatRow(row) }));
+    const [total] = facets?.total || [];
+    return {
+        total: formatCsatRow(total || { sent: 0, answered: 0, ratingTotal: 0, satisfied: 0, r1: 0, r2: 0, r3: 0, r4: 0, r5: 0 }),
+        byAgent: rows('byAgent', 'agentId'),
+        byChannel: rows('byChannel', 'channel')
+    };
+}
@@ -0,0 +1,207 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    formatCsatReport,
+    normalizeCsatSettings,
+    parseCsatReply,
+    recordCsatReply,
+    sendCsatSurvey
+} from './crmCsat.js';
+
+const now = new Date('2026-07-01T03:00:00.000Z');
+const settings = { enabled: true, prompt: 'Danh gia 1-5?', expiryHours: 24, channels: [] };
+const conversation = {
+    _id: 'conv-1',
+    userId: 'owner-1',
+    deviceId: 'device-1',
+    accountId: 'acc-1',
+    threadId: 'thread-1',
+    threadType: 'user',
+    channel: 'zalo_personal',
+    customerId: 'cust-1',
+    assignedTo: 'agent-1'
+};
+
+const buildModels = ({ pending = null, device = { _id: 'device-1' } } = {}) => {
+    const calls = { messages: [], surveys: [], expired: [], conversationUpdates: [] };
+    return {
+        calls,
+        CrmCsatSurvey: {
+            findOne: async () => pending,
+            updateMany: async (filter, update) => { calls.expired.push({ filter, update }); },
+            create: async (doc) => { calls.surveys.push(doc); return { _id: 'survey-1', ...doc }; }
+        },
+        CrmDevice: { findOne: async () => device },
+        CrmMessage: { create: async (doc) => { calls.messages.push(doc); return { _id: 'msg-1', ...doc }; } },
+        CrmConversation: { updateOne: async (filter, update) => { calls.conversationUpdates.push(update); } }
+    };
+};
+
+test('parseCsatReply reads digits, stars and mood emoji but not ordinary messages', () => {
+    assert.strictEqual(parseCsatReply('5'), 5);
+    assert.strictEqual(parseCsatReply(' 4 sao! '), 4);
+    assert.strictEqual(parseCsatReply('3/5'), 3);
+    assert.strictEqual(parseCsatReply('Đánh giá 2 điểm'), 2);
+    assert.strictEqual(parseCsatReply('⭐⭐⭐⭐'), 4);
+    assert.strictEqual(parseCsatReply('😍😍'), 5);
+    assert.strictEqual(parseCsatReply('❤️'), 5);
+    assert.strictEqual(parseCsatReply('👍🏽'), 4);
+    assert.strictEqual(parseCsatReply('😡'), 1);
+    assert.strictEqual(parseCsatReply('😡😍'), null);
+    assert.strictEqual(parseCsatReply('6'), null);
+    assert.strictEqual(parseCsatReply('⭐⭐⭐⭐⭐⭐'), null);
+    assert.strictEqual(parseCsatReply('cho minh hoi 2 san pham'), null);
+    assert.strictEqual(parseCsatReply(''), null);
+});
+
+test('normalizeCsatSettings clamps the expiry and rejects unknown channels', () => {
+    const { settings: normalized } = normalizeCsatSettings({ enabled: true, prompt: ' Hi ', expiryHours: 1000, channels: ['webchat'] });
+    assert.deepStrictEqual(normalized, { enabled: true, prompt: 'Hi', expiryHours: 168, channels: ['webchat'] });
+    assert.ok(normalizeCsatSettings({ channels: ['sms'] }).error);
+    assert.ok(normalizeCsatSettings({ prompt: '  ' }).error);
+});
+
+test('sendCsatSurvey queues the prompt through the agent and credits the assignee', async () => {
+    const models = buildModels();
+    const commands = [];
+    const published = [];
+    const result = await sendCsatSurvey({
+        userId: 'owner-1',
+        conversation,
+        actorUserId: 'manager-1',
+        subscriptionId: 'sub-1',
+        settings,
+        now,
+        models,
+        createCommand: async (payload) => { commands.push(payload); return { _id: 'cmd-1', ...payload }; },
+        publish: (...args) => published.push(args),
+        publishWebchat: () => assert.fail('not a webchat conversation')
+    });
+
+    assert.strictEqual(result.skipped, null);
+    assert.strictEqual(models.calls.messages[0].status, 'queued');
+    assert.strictEqual(models.calls.surveys[0].agentId, 'agent-1');
+    assert.strictEqual(models.calls.surveys[0].promptMessageId, 'msg-1');
+    assert.deepStrictEqual(models.calls.surveys[0].expiresAt, new Date('2026-07-02T03:00:00.000Z'));
+    assert.strictEqual(commands[0].type, 'zalo.message.send');
+    assert.strictEqual(commands[0].payload.crmMessageId, 'msg-1');
+    assert.strictEqual(commands[0].payload.recipientId, 'thread-1');
+    assert.strictEqual(commands[0].idempotencyKey, 'csat-survey:survey-1');
+    assert.strictEqual(published[0][1], 'message.new');
+});
+
+test('sendCsatSurvey pushes webchat prompts straight to the widget session', async () => {
+    const models = buildModels({ device: null });
+    const widget = [];
+    const result = await sendCsatSurvey({
+        userId: 'owner-1',
+        conversation: { ...conversation, channel: 'webchat', accountId: 'widget-1', threadId: 'session-1', assignedTo: null },
+        actorUserId: 'manager-1',
+        settings,
+        now,
+        models,
+        createCommand: async () => assert.fail('webchat needs no agent command'),
+        publish: () => {},
+        publishWebchat: (...args) => widget.push(args)
+    });
+
+    assert.strictEqual(result.command, null);
+    assert.strictEqual(models.calls.messages[0].status, 'sent');
+    assert.strictEqual(models.calls.surveys[0].agentId, 'manager-1');
+    assert.strictEqual(widget[0][0], 'widget-1:session-1');
+    assert.strictEqual(widget[0][1], 'message.new');
+    assert.strictEqual(models.calls.conversationUpdates.length, 1);
+});
+
+test('sendCsatSurvey sends Meta and Telegram prompts through the channel integration', async () => {
+    const models = buildModels({ device: null });
+    const integration = { _id: 'int-1', channel: 'telegram' };
+    const delivered = [];
+    const result = await sendCsatSurvey({
+        userId: 'owner-1',
+        conversation: { ...conversation, channel: 'telegram', accountId: 'bot-1', threadId: 'chat-1' },
+        settings,
+        now,
+        models,
+        createCommand: async () => assert.fail('telegram needs no agent command'),
+        publish: () => {},
+        publishWebchat: () => assert.fail('not a webchat conversation'),
+        findOutboundIntegration: async ({ conversation: target }) => (target.channel === 'telegram' ? integration : null),
+        deliverMessage: async ({ integration: used, message }) => {
+            delivered.push([used._id, message.threadId, message.content]);
+            return { ...message, status: 'sent' };
+        }
+    });
+
+    assert.strictEqual(result.skipped, null);
+    assert.strictEqual(result.command, null);
+    assert.strictEqual(result.message.status, 'sent');
+    assert.deepStrictEqual(delivered, [['int-1', 'chat-1', 'Danh gia 1-5?']]);
+    assert.strictEqual(models.calls.surveys[0].channel, 'telegram');
+});
+
+test('sendCsatSurvey skips when disabled, for other channels, groups, open surveys or no device', async () => {
+    const send = (overrides, models = buildModels()) => sendCsatSurvey({
+        userId: 'owner-1', conversation, settings, now, models, publish: () => {}, ...overrides
+    });
+    assert.strictEqual((await send({ settings: { ...settings, enabled: false } })).skipped, 'disabled');
+    assert.strictEqual((await send({ settings: { ...settings, channels: ['webchat'] } })).skipped, 'channel');
+    assert.strictEqual((await send({ conversation: { ...conversation, threadType: 'group' } })).skipped, 'group');
+    assert.strictEqual((await send({}, buildModels({ pending: { _id: 'old' } }))).skipped, 'pending');
+    assert.strictEqual((await send({}, buildModels({ device: null }))).skipped, 'no_device');
+});
+
+test('recordCsatReply answers the open survey once and publishes csat.received', async () => {
+    let filterSeen = null;
+    const models = {
+        CrmCsatSurvey: {
+            findOneAndUpdate: async (filter, update) => {
+                filterSeen = filter;
+                return { _id: 'survey-1', agentId: 'agent-1', channel: 'zalo_personal', ...update.$set };
+            }
+        }
+    };
+    const published = [];
+    const { survey, rating } = await recordCsatReply({
+        userId: 'owner-1',
+        conversation,
+        message: { _id: 'msg-9', content: '5 sao' },
+        now,
+        models,
+        publish: (...args) => published.push(args)
+    });
+
+    assert.strictEqual(rating, 5);
+    assert.strictEqual(survey.status, 'answered');
+    assert.strictEqual(filterSeen.status, 'sent');
+    assert.deepStrictEqual(filterSeen.expiresAt, { $gt: now });
+    assert.strictEqual(published[0][1], 'csat.received');
+    assert.strictEqual(published[0][2].agentId, 'agent-1');
+
+    const ignored = await recordCsatReply({
+        userId: 'owner-1',
+        conversation,
+        message: { _id: 'msg-10', content: 'Cho minh hoi them' },
+        now,
+        models: { CrmCsatSurvey: { findOneAndUpdate: async () => assert.fail('not a rating') } },
+        publish: () => {}
+    });
+    assert.strictEqual(ignored.survey, null);
+});
+
+test('formatCsatReport computes response rate, average and CSAT percent', () => {
+    const report = formatCsatReport([{
+        total: [{ _id: null, sent: 4, answered: 3, ratingTotal: 12, satisfied: 2, r1: 0, r2: 1, r3: 0, r4: 0, r5: 2 }],
+        byAgent: [{ _id: 'agent-1', sent: 4, answered: 3, ratingTotal: 12, satisfied: 2, r1: 0, r2: 1, r3: 0, r4: 0, r5: 2 }],
+        byChannel: []
+    }]);
+    assert.strictEqual(report.total.responseRate, 75);
+    assert.strictEqual(report.total.averageRating, 4);
+    assert.strictEqual(report.total.csatPercent, 66.7);
+    assert.deepStrictEqual(report.total.distribution, { 1: 0, 2: 1, 3: 0, 4: 0, 5: 2 });
+    assert.strictEqual(report.byAgent[0].agentId, 'agent-1');
+
+    const empty = formatCsatReport([]);
+    assert.strictEqual(empty.total.sent, 0);
+    assert.strictEqual(empty.total.averageRating, null);
+});
@@ -0,0 +1,245 @@
+import { normalizeVietnamese } from './crmChatbot.js';
+import { normalizeVietnamesePhone, phoneLookupVariants } from './crmCustomerMerge.js';
+
+export const MAX_IMPORT_FILE_BYTES = 10 * 1024 * 1024;
+export const MAX_IMPORT_ROWS = 50000;
+export const MAX_STORED_ERROR_ROWS = 5000;
+export const IMPORT_BATCH_SIZE = 500;
+
+const CONSENT_STATUSES = ['granted', 'revoked', 'pending'];
+const LIFECYCLE_STAGES = ['lead', 'subscriber', 'opportunity', 'customer', 'evangelist', 'other'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Customer fields a spreadsheet column can be mapped to, with the header
+// spellings (unaccented, lowercase) recognised by suggestColumnMapping.
+export const IMPORT_FIELDS = {
+    name: ['name', 'ten', 'ho ten', 'ho va ten', 'full name', 'khach hang'],
+    phone: ['phone', 'sdt', 'so dien thoai', 'dien thoai', 'mobile'],
+    email: ['email', 'e-mail', 'mail'],
+    company: ['company', 'cong ty', 'doanh nghiep'],
+    tags: ['tags', 'tag', 'nhan'],
+    zaloUserId: ['zalouserid', 'zalo user id', 'zalo id', 'zalo'],
+    consentStatus: ['consentstatus', 'consent', 'dong y'],
+    consentEvidence: ['consentevidence', 'consent evidence', 'bang chung dong y'],
+    lifecycleStage: ['lifecyclestage', 'lifecycle stage', 'giai doan'],
+    source: ['source', 'nguon'],
+    notes: ['notes', 'note', 'ghi chu']
+};
+
+const CONTACT_FIELDS = ['phone', 'email', 'zaloUserId'];
+
+const isMappableField = (field) => (
+    Object.prototype.hasOwnProperty.call(IMPORT_FIELDS, field) || /^custom\.[A-Za-z0-9_]{1,40}$/.test(field)
+);
+
+/**
+ * Guess a column mapping from the file's header row.
+ */
+export function suggestColumnMapping(headers = []) {
+    const mapping = {};
+    for (const header of headers) {
+        const normalized = normalizeVietnamese(header).replace(/[_\s]+/g, ' ');
+        const field = Object.keys(IMPORT_FIELDS).find((key) => (
+            !mapping[key] && IMPORT_FIELDS[key].includes(normalized)
+        ));
+        if (field) mapping[field] = header;
+    }
+    return mapping;
+}
+
+/**
+ * Validate a { field: header } mapping against the uploaded file's headers.
+ * @returns {{ mapping: Record<string, string>, error: string|null }}
+ */
+export function normalizeColumnMapping(input, headers = []) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { mapping: {}, error: 'columnMapping khong hop le.' };
+    }
+    const mapping = {};
+    for (const [field, header] of Object.entries(input)) {
+        if (!header) continue;
+        if (!isMappableField(field)) {
+            return { mapping: {}, error: `Truong "${field}" khong the import.` };
+        }
+        if (!headers.includes(header)) {
+            return { mapping: {}, error: `Khong tim thay cot "${header}" trong file.` };
+        }
+        mapping[field] = header;
+    }
+    if (!mapping.name) {
+        return { mapping: {}, error: 'Can chon cot cho ten khach hang.' };
+    }
+    if (!CONTACT_FIELDS.some((field) => mapping[field])) {
+        return { mapping: {}, error: 'Can chon it nhat mot cot phone/email/zaloUserId.' };
+    }
+    return { mapping, error: null };
+}
+
+/**
+ * Turn one spreadsheet row into customer fields using the job's mapping.
+ * @returns {{ customer: object|null, error: string|null }}
+ */
+export function mapImportRow(row, mapping, options = {}) {
+    const value = (field) => String(row[mapping[field]] ?? '').trim();
+    const customer = {
+        name: value('name'),
+        phone: value('phone'),
+        email: value('email').toLowerCase(),
+        zaloUserId: value('zaloUserId')
+    };
+    if (!customer.name || (!customer.phone && !customer.email && !customer.zaloUserId)) {
+        return { customer: null, error: 'Can name va it nhat phone/email/zaloUserId.' };
+    }
+    if (customer.phone) {
+        const digits = customer.phone.replace(/\D/g, '');
+        if (!normalizeVietnamesePhone(customer.phone) && (digits.length < 8 || digits.length > 15)) {
+            return { customer: null, error: 'So dien thoai khong hop le.' };
+        }
+    }
+    if (customer.email && !EMAIL_PATTERN.test(customer.email)) {
+        return { customer: null, error: 'Email khong hop le.' };
+    }
+
+    const consentStatus = value('consentStatus').toLowerCase();
+    if (consentStatus && !CONSENT_STATUSES.includes(consentStatus)) {
+        return { customer: null, error: `consentStatus "${consentStatus}" khong hop le.` };
+    }
+    const lifecycleStage = value('lifecycleStage').toLowerCase();
+    if (lifecycleStage && !LIFECYCLE_STAGES.includes(lifecycleStage)) {
+        return { customer: null, error: `lifecycleStage "${lifecycleStage}" khong hop le.` };
+    }
+
+    for (const field of ['company', 'consentEvidence', 'source', 'notes']) {
+        if (value(field)) customer[field] = value(field);
+    }
+    if (consentStatus) customer.consentStatus = consentStatus;
+    if (lifecycleStage) customer.lifecycleStage = lifecycleStage;
+    const tags = value('tags').split(/[;|,]/).map((item) => item.trim()).filter(Boolean);
+    const extraTags = Array.isArray(options.tags) ? options.tags : [];
+    if (tags.length > 0 || extraTags.length > 0) customer.tags = [...new Set([...tags, ...extraTags])];
+    const customFields = {};
+    for (const field of Object.keys(mapping).filter((key) => key.startsWith('custom.'))) {
+        if (value(field)) customFields[field.slice('custom.'.length)] = value(field);
+    }
+    if (Object.keys(customFields).length > 0) customer.customFields = customFields;
+    return { customer, error: null };
+}
+
+const identityKeys = (customer) => [
+    customer.phone ? `phone:${normalizeVietnamesePhone(customer.phone) || customer.phone}` : null,
+    customer.email ? `email:${customer.email}` : null,
+    customer.zaloUserId ? `zalo:${customer.zaloUserId}` : null
+].filter(Boolean);
+
+/**
+ * Record the identities of already-processed rows so a resumed job still
+ * treats their repeats later in the file as in-file duplicates.
+ */
+export function rememberImportIdentities({ rows, mapping, options, seenKeys }) {
+    for (const row of rows) {
+        const { customer } = mapImportRow(row, mapping || {}, options || {});
+        if (customer) identityKeys(customer).forEach((key) => seenKeys.add(key));
+    }
+}
+
+const buildUpdate = (customer) => {
+    const $set = {};
+    for (const [field, fieldValue] of Object.entries(customer)) {
+        if (field === 'customFields') {
+            for (const [key, customValue] of Object.entries(fieldValue)) $set[`customFields.${key}`] = customValue;
+        } else if (fieldValue) {
+            $set[field] = fieldValue;
+        }
+    }
+    return { $set };
+};
+
+/**
+ * Validate and (unless dryRun) write one batch of rows. Existing customers
+ * are matched in a single query on phone spellings, email and Zalo user id;
+ * rows repeating an identity seen earlier in the file are skipped.
+ * @returns {Promise<{ counts: object, errorRows: Array<{ row: number, message: string, data: object }> }>}
+ */
+export async function processImportBatch({
+    userId,
+    job,
+    rows,
+    startIndex,
+    seenKeys,
+    dryRun,
+    models
+}) {
+    const counts = { valid: 0, created: 0, updated: 0, skipped: 0, duplicatesInFile: 0, errors: 0 };
+    const errorRows = [];
+    const mapped = [];
+
+    rows.forEach((row, offset) => {
+        // Row numbers are 1-based and count the header line, matching what the
+        // user sees in their spreadsheet.
+        const rowNumber = startIndex + offset + 2;
+        const { customer, error } = mapImportRow(row, job.columnMapping || {}, job.options || {});
+        if (error) {
+            counts.errors += 1;
+            errorRows.push({ row: rowNumber, message: error, data: row });
+            return;
+        }
+        const keys = identityKeys(customer);
+        if (keys.some((key) => seenKeys.has(key))) {
+            counts.duplicatesInFile += 1;
+            return;
+        }
+        keys.forEach((key) => seenKeys.add(key));
+        counts.valid += 1;
+        mapped.push(customer);
+    });
+
+    const phones = [...new Set(mapped.flatMap((customer) => phoneLookupVariants(customer.phone)))];
+    const emails = [...new Set(mapped.map((customer) => customer.email).filter(Boolean))];
+    const zaloUserIds = [...new Set(mapped.map((customer) => customer.zaloUserId).filter(Boolean))];
+    const or = [
+        ...(phones.length > 0 ? [{ phone: { $in: phones } }] : []),
+        ...(emails.length > 0 ? [{ email: { $in: emails } }] : []),
+        ...(zaloUserIds.length > 0 ? [{ zaloUserId: { $in: zaloUserIds } }] : [])
+    ];
+    const existing = or.length > 0
+        ? await models.CrmCustomer.find({ userId, $or: or }).select('phone email zaloUserId').lean()
+        : [];
+    const existingByKey = new Map();
+    for (const customer of existing) {
+        for (const key of identityKeys(customer)) {
+            if (!existingByKey.has(key)) existingByKey.set(key, customer);
+        }
+    }
+
+    const updates = [];
+    const creates = [];
+    const options = job.options || {};
+    for (const customer of mapped) {
+        const match = identityKeys(customer).map((key) => existingByKey.get(key)).find(Boolean);
+        if (match && options.updateExisting === false) {
+            counts.skipped += 1;
+        } else if (match) {
+            counts.updated += 1;
+            updates.push({ updateOne: { filter: { _id: match._id, userId }, update: buildUpdate(customer) } });
+        } else {
+            counts.created += 1;
+            const { customFields, ...fields } = customer;
+            creates.push({
+                userId,
+                consentStatus: options.defaultConsentStatus || 'pending',
+                consentEvidence: `Import ${job.file?.filename || ''}`.trim(),
+                source: options.defaultSource || 'CSV Import',
+                lifecycleStage: 'lead',
+                ...fields,
+                ...(customFields ? { customFields } : {})
+            });
+        }
+    }
+
+    if (!dryRun) {
+        if (updates.length > 0) await models.CrmCustomer.bulkWrite(updates, { ordered: false });
+        if (creates.length > 0) await models.CrmCustomer.insertMany(creates, { ordered: false });
+    }
+
+    return { counts, errorRows };
+}
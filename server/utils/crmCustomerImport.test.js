@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    mapImportRow,
+    normalizeColumnMapping,
+    processImportBatch,
+    suggestColumnMapping
+} from './crmCustomerImport.js';
+
+const createQuery = (result) => {
+    const query = {
+        select() { return query; },
+        lean() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+const mapping = { name: 'Ho ten', phone: 'SDT', email: 'Email', tags: 'Nhan', 'custom.city': 'Tinh' };
+
+test('suggestColumnMapping recognises Vietnamese and English headers', () => {
+    assert.deepStrictEqual(suggestColumnMapping(['Họ tên', 'Số điện thoại', 'E-mail', 'Ghi chú', 'Khac']), {
+        name: 'Họ tên',
+        phone: 'Số điện thoại',
+        email: 'E-mail',
+        notes: 'Ghi chú'
+    });
+});
+
+test('normalizeColumnMapping requires a name and a contact column that exist in the file', () => {
+    const headers = ['Ho ten', 'SDT', 'Email', 'Nhan', 'Tinh'];
+    assert.deepStrictEqual(normalizeColumnMapping(mapping, headers), { mapping, error: null });
+    assert.ok(normalizeColumnMapping({ name: 'Ho ten' }, headers).error);
+    assert.ok(normalizeColumnMapping({ name: 'Ho ten', phone: 'Missing' }, headers).error);
+    assert.ok(normalizeColumnMapping({ name: 'Ho ten', phone: 'SDT', password: 'Email' }, headers).error);
+});
+
+test('mapImportRow validates contact fields and enums', () => {
+    const { customer } = mapImportRow(
+        { 'Ho ten': 'An', SDT: '0912 345 678', Email: 'AN@X.VN', Nhan: 'vip; hn', Tinh: 'HN' },
+        mapping,
+        { tags: ['import-t7'] }
+    );
+    assert.deepStrictEqual(customer, {
+        name: 'An',
+        phone: '0912 345 678',
+        email: 'an@x.vn',
+        zaloUserId: '',
+        tags: ['vip', 'hn', 'import-t7'],
+        customFields: { city: 'HN' }
+    });
+    assert.strictEqual(mapImportRow({ 'Ho ten': 'An' }, mapping).error, 'Can name va it nhat phone/email/zaloUserId.');
+    assert.strictEqual(mapImportRow({ 'Ho ten': 'An', SDT: '12' }, mapping).error, 'So dien thoai khong hop le.');
+    assert.strictEqual(mapImportRow({ 'Ho ten': 'An', Email: 'not-mail' }, mapping).error, 'Email khong hop le.');
+    assert.ok(mapImportRow({ name: 'An', phone: '0912345678', stage: 'vip' }, { name: 'name', phone: 'phone', lifecycleStage: 'stage' }).error);
+});
+
+test('processImportBatch matches existing customers in one query and skips in-file duplicates', async () => {
+    const finds = [];
+    const writes = [];
+    const models = {
+        CrmCustomer: {
+            find(filter) {
+                finds.push(filter);
+                return createQuery([{ _id: 'existing-1', phone: '+84912345678' }]);
+            },
+            async bulkWrite(ops) { writes.push(['update', ops]); },
+            async insertMany(docs) { writes.push(['create', docs]); }
+        }
+    };
+    const job = {
+        columnMapping: mapping,
+        options: { updateExisting: true, defaultConsentStatus: 'pending', defaultSource: 'CSV Import' },
+        file: { filename: 'kh.csv' }
+    };
+    const rows = [
+        { 'Ho ten': 'An', SDT: '0912345678', Email: '' },
+        { 'Ho ten': 'Binh', SDT: '', Email: 'binh@x.vn' },
+        { 'Ho ten': 'Binh 2', SDT: '', Email: 'BINH@x.vn' },
+        { 'Ho ten': '', SDT: '0988000111', Email: '' }
+    ];
+    const seenKeys = new Set();
+
+    const dryRun = await processImportBatch({ userId: 'user-1', job, rows, startIndex: 0, seenKeys, dryRun: true, models });
+    assert.deepStrictEqual(dryRun.counts, { valid: 2, created: 1, updated: 1, skipped: 0, duplicatesInFile: 1, errors: 1 });
+    assert.deepStrictEqual(dryRun.errorRows.map((item) => item.row), [5]);
+    assert.strictEqual(finds.length, 1);
+    assert.ok(finds[0].$or[0].phone.$in.includes('+84912345678'));
+    assert.strictEqual(writes.length, 0);
+
+    const imported = await processImportBatch({
+        userId: 'user-1', job, rows, startIndex: 0, seenKeys: new Set(), dryRun: false, models
+    });
+    assert.strictEqual(imported.counts.created, 1);
+    const [update] = writes.find((write) => write[0] === 'update')[1];
+    assert.deepStrictEqual(update.updateOne.filter, { _id: 'existing-1', userId: 'user-1' });
+    assert.deepStrictEqual(update.updateOne.update.$set, { name: 'An', phone: '0912345678' });
+    const [created] = writes.find((write) => write[0] === 'create')[1];
+    assert.strictEqual(created.email, 'binh@x.vn');
+    assert.strictEqual(created.consentEvidence, 'Import kh.csv');
+    assert.strictEqual(created.source, 'CSV Import');
+
+    const skipping = await processImportBatch({
+        userId: 'user-1',
+        job: { ...job, options: { ...job.options, updateExisting: false } },
+        rows: rows.slice(0, 1),
+        startIndex: 0,
+        seenKeys: new Set(),
+        dryRun: true,
+        models
+    });
+    assert.strictEqual(skipping.counts.skipped, 1);
+});
@@ -0,0 +1,444 @@
+import mongoose from 'mongoose';
+import CrmAuditLog from '../models/CrmAuditLog.js';
+import CrmCampaign from '../models/CrmCampaign.js';
+import CrmContact from '../models/CrmContact.js';
+import CrmConversation from '../models/CrmConversation.js';
+import CrmCsatSurvey from '../models/CrmCsatSurvey.js';
+import CrmCustomer from '../models/CrmCustomer.js';
+import CrmExecutionLog from '../models/CrmExecutionLog.js';
+import CrmLeadScoreHistory from '../models/CrmLeadScoreHistory.js';
+import CrmMessage from '../models/CrmMessage.js';
+import CrmSequenceEnrollment from '../models/CrmSequenceEnrollment.js';
+import CrmTask from '../models/CrmTask.js';
+import { normalizeVietnamese } from './crmChatbot.js';
+
+export const MAX_MERGE_DUPLICATES = 10;
+export const DEFAULT_DUPLICATE_MIN_SCORE = 50;
+const MAX_SCANNED_CUSTOMERS = 5000;
+const MAX_SCANNED_CONVERSATIONS = 20000;
+// Given names like "Anh" are shared by too many customers to be worth
+// comparing pairwise; such blocks are skipped rather than scanned.
+const MAX_NAME_BLOCK_SIZE = 300;
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+const MATCH_WEIGHTS = {
+    zalo_user_id: 70,
+    phone: 60,
+    email: 50,
+    shared_conversation: 40,
+    name: 30,
+    company: 20
+};
+
+// Mobile prefixes renumbered from 11 to 10 digits in 2018; both forms still
+// turn up in imported spreadsheets.
+const LEGACY_MOBILE_PREFIXES = {
+    '0120': '070', '0121': '079', '0122': '077', '0126': '076', '0128': '078',
+    '0123': '083', '0124': '084', '0125': '085', '0127': '081', '0129': '082',
+    '0162': '032', '0163': '033', '0164': '034', '0165': '035', '0166': '036',
+    '0167': '037', '0168': '038', '0169': '039',
+    '0186': '056', '0188': '058', '0199': '059'
+};
+
+const LIFECYCLE_RANK = { other: -1, lead: 0, subscriber: 1, opportunity: 2, customer: 3, evangelist: 4 };
+const STATUS_RANK = { inactive: -1, lead: 0, contact: 1, customer: 2 };
+const FILL_BLANK_FIELDS = ['email', 'phone', 'company', 'zaloUserId', 'zaloThreadId', 'source'];
+
+const defaultModels = {
+    CrmAuditLog,
+    CrmCampaign,
+    CrmContact,
+    CrmConversation,
+    CrmCsatSurvey,
+    CrmCustomer,
+    CrmExecutionLog,
+    CrmLeadScoreHistory,
+    CrmMessage,
+    CrmSequenceEnrollment,
+    CrmTask
+};
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const withSession = (query, session) => (
+    session && query && typeof query.session === 'function' ? query.session(session) : query
+);
+
+/**
+ * Normalize a Vietnamese phone number to its 10-digit domestic form
+ * (0xxxxxxxxx). "+84 912-345-678", "84912345678" and "0912.345.678" all
+ * become "0912345678"; legacy 11-digit mobile prefixes are renumbered.
+ * Returns '' for values that don't look like a phone number.
+ */
+export function normalizeVietnamesePhone(value) {
+    let digits = String(value || '').replace(/\D/g, '');
+    if (!digits) return '';
+    if (digits.startsWith('0084')) digits = digits.slice(4);
+    else if (digits.startsWith('84') && digits.length >= 11) digits = digits.slice(2);
+    if (!digits.startsWith('0')) digits = `0${digits}`;
+    const legacyPrefix = LEGACY_MOBILE_PREFIXES[digits.slice(0, 4)];
+    if (legacyPrefix && digits.length === 11) digits = `${legacyPrefix}${digits.slice(4)}`;
+    return digits.length >= 10 && digits.length <= 11 ? digits : '';
+}
+
+/**
+ * Stored spellings a normalized phone is likely saved under, for exact-match
+ * lookups that can still use the { userId, phone } index.
+ */
+export function phoneLookupVariants(value) {
+    const raw = String(value || '').trim();
+    const normalized = normalizeVietnamesePhone(raw);
+    if (!normalized) return raw ? [raw] : [];
+    const national = normalized.slice(1);
+    const variants = [raw, normalized, `+84${national}`, `84${national}`];
+    const legacy = Object.entries(LEGACY_MOBILE_PREFIXES).find(([, current]) => normalized.startsWith(current));
+    if (legacy && normalized.length === 10) {
+        const legacyNumber = `${legacy[0]}${normalized.slice(3)}`;
+        variants.push(legacyNumber, `+84${legacyNumber.slice(1)}`, `84${legacyNumber.slice(1)}`);
+    }
+    return [...new Set(variants.filter(Boolean))];
+}
+
+export function normalizeCustomerName(value) {
+    return normalizeVietnamese(value)
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+const levenshtein = (a, b) => {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i += 1) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j += 1) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Similarity between two customer names in [0, 1]: the better of an edit
+ * distance ratio (typos, missing diacritics) and token overlap (reordered
+ * names such as "Anh Nguyen" vs "Nguyen Van Anh").
+ */
+export function nameSimilarity(left, right) {
+    const a = normalizeCustomerName(left);
+    const b = normalizeCustomerName(right);
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const editRatio = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+    const tokensA = new Set(a.split(' '));
+    const tokensB = new Set(b.split(' '));
+    const shared = [...tokensA].filter((token) => tokensB.has(token)).length;
+    const tokenRatio = Math.min(tokensA.size, tokensB.size) >= 2
+        ? shared / Math.min(tokensA.size, tokensB.size)
+        : 0;
+    return Math.round(Math.max(editRatio, tokenRatio) * 100) / 100;
+}
+
+const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+
+const summarizeCustomer = (customer) => ({
+    _id: customer._id,
+    name: customer.name,
+    phone: customer.phone || '',
+    email: customer.email || '',
+    zaloUserId: customer.zaloUserId || '',
+    company: customer.company || '',
+    createdAt: customer.createdAt,
+    lastInteractionAt: customer.lastInteractionAt || null
+});
+
+/**
+ * Suggest merge candidates for a tenant. Customers are bucketed on
+ * normalized phone, email, Zalo user id, shared conversation threads and
+ * name tokens; only pairs sharing a bucket are scored, so the scan stays
+ * linear in practice.
+ * @returns {Promise<Array<{ customers: object[], score: number, reasons: Array<{ type: string, value: any }> }>>}
+ */
+export async function findDuplicateCandidates({
+    userId,
+    customerId = null,
+    minScore = DEFAULT_DUPLICATE_MIN_SCORE,
+    limit = 50,
+    models = defaultModels
+}) {
+    const customers = await models.CrmCustomer.find({ userId })
+        .select('name phone email zaloUserId zaloThreadId company createdAt lastInteractionAt')
+        .sort({ createdAt: -1 })
+        .limit(MAX_SCANNED_CUSTOMERS)
+        .lean();
+    if (customerId && !customers.some((customer) => String(customer._id) === String(customerId))) {
+        const focus = await models.CrmCustomer.findOne({ _id: customerId, userId }).lean();
+        if (!focus) throw httpError(404, 'Khong tim thay khach hang.');
+        customers.push(focus);
+    }
+    const byId = new Map(customers.map((customer) => [String(customer._id), customer]));
+
+    const buckets = new Map();
+    const addToBucket = (type, value, id) => {
+        if (!value) return;
+        const key = `${type}:${value}`;
+        if (!buckets.has(key)) buckets.set(key, { type, value, ids: new Set() });
+        buckets.get(key).ids.add(id);
+    };
+
+    for (const customer of customers) {
+        const id = String(customer._id);
+        addToBucket('phone', normalizeVietnamesePhone(customer.phone), id);
+        addToBucket('email', String(customer.email || '').trim().toLowerCase(), id);
+        addToBucket('zalo_user_id', String(customer.zaloUserId || '').trim(), id);
+        // A customer's Zalo ids are the thread ids of their 1:1 conversations.
+        addToBucket('shared_conversation', String(customer.zaloUserId || '').trim(), id);
+        addToBucket('shared_conversation', String(customer.zaloThreadId || '').trim(), id);
+        const tokens = normalizeCustomerName(customer.name).split(' ').filter(Boolean);
+        if (tokens.length > 0) {
+            addToBucket('name', tokens[tokens.length - 1], id);
+            addToBucket('name', tokens[0], id);
+        }
+    }
+
+    // The same 1:1 thread reached through several accounts or channels but
+    // linked to different customers is the same person.
+    const conversations = await models.CrmConversation.find({
+        userId,
+        threadType: 'user',
+        customerId: { $ne: null }
+    })
+        .select('threadId customerId')
+        .limit(MAX_SCANNED_CONVERSATIONS)
+        .lean();
+    for (const conversation of conversations) {
+        const id = String(conversation.customerId);
+        if (byId.has(id)) addToBucket('shared_conversation', String(conversation.threadId || '').trim(), id);
+    }
+
+    const pairs = new Map();
+    const focusId = customerId ? String(customerId) : null;
+    const addReason = (a, b, reason) => {
+        if (focusId && a !== focusId && b !== focusId) return;
+        const key = pairKey(a, b);
+        if (!pairs.has(key)) pairs.set(key, { ids: [a, b], reasons: new Map() });
+        const reasons = pairs.get(key).reasons;
+        if (!reasons.has(reason.type)) reasons.set(reason.type, reason);
+    };
+
+    for (const bucket of buckets.values()) {
+        const ids = [...bucket.ids];
+        if (ids.length < 2) continue;
+        if (bucket.type === 'name' && ids.length > MAX_NAME_BLOCK_SIZE) continue;
+        for (let i = 0; i < ids.length; i += 1) {
+            for (let j = i + 1; j < ids.length; j += 1) {
+                if (bucket.type !== 'name') {
+                    addReason(ids[i], ids[j], { type: bucket.type, value: bucket.value });
+                    continue;
+                }
+                const similarity = nameSimilarity(byId.get(ids[i]).name, byId.get(ids[j]).name);
+                if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+                    addReason(ids[i], ids[j], { type: 'name', value: similarity });
+                }
+            }
+        }
+    }
+
+    const candidates = [];
+    for (const { ids, reasons } of pairs.values()) {
+        const [left, right] = ids.map((id) => byId.get(id));
+        // Matching Zalo ids also land in the same conversation bucket; count
+        // that evidence once.
+        if (reasons.has('zalo_user_id')) reasons.delete('shared_conversation');
+        const nameReason = reasons.get('name');
+        if (nameReason) {
+            const company = normalizeCustomerName(left.company);
+            if (company && company === normalizeCustomerName(right.company)) {
+                reasons.set('company', { type: 'company', value: left.company });
+            }
+        }
+        const score = Math.min(100, [...reasons.values()].reduce((sum, reason) => (
+            sum + (reason.type === 'name'
+                ? Math.round(MATCH_WEIGHTS.name * reason.value)
+                : MATCH_WEIGHTS[reason.type])
+        ), 0));
+        if (score < minScore) continue;
+        // Oldest record first: it is the default survivor in the merge UI.
+        const ordered = [left, right].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+        candidates.push({
+            customers: ordered.map(summarizeCustomer),
+            score,
+            reasons: [...reasons.values()]
+        });
+    }
+
+    return candidates
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+const fieldEntries = (fields) => (
+    fields instanceof Map ? [...fields.entries()] : Object.entries(fields || {})
+);
+
+const mergeCustomerFields = (survivor, duplicates) => {
+    for (const duplicate of duplicates) {
+        for (const field of FILL_BLANK_FIELDS) {
+            if (!survivor[field] && duplicate[field]) survivor[field] = duplicate[field];
+        }
+        if ((LIFECYCLE_RANK[duplicate.lifecycleStage] ?? -1) > (LIFECYCLE_RANK[survivor.lifecycleStage] ?? -1)) {
+            survivor.lifecycleStage = duplicate.lifecycleStage;
+        }
+        if ((STATUS_RANK[duplicate.status] ?? -1) > (STATUS_RANK[survivor.status] ?? -1)) {
+            survivor.status = duplicate.status;
+        }
+        // A revocation on any record must survive the merge; otherwise keep
+        // the strongest consent together with its evidence.
+        if (duplicate.consentStatus === 'revoked' && survivor.consentStatus !== 'revoked') {
+            survivor.consentStatus = 'revoked';
+            survivor.consentEvidence = duplicate.consentEvidence || survivor.consentEvidence;
+        } else if (duplicate.consentStatus === 'granted' && survivor.consentStatus === 'pending') {
+            survivor.consentStatus = 'granted';
+            survivor.consentEvidence = duplicate.consentEvidence || survivor.consentEvidence;
+        }
+        for (const field of ['lastInteractionAt', 'lastMessageAt']) {
+            if (duplicate[field] && (!survivor[field] || new Date(duplicate[field]) > new Date(survivor[field]))) {
+                survivor[field] = duplicate[field];
+            }
+        }
+        for (const [key, value] of fieldEntries(duplicate.customFields)) {
+            if (survivor.customFields instanceof Map) {
+                if (!survivor.customFields.get(key)) survivor.customFields.set(key, value);
+            } else {
+                survivor.customFields = survivor.customFields || {};
+                if (!survivor.customFields[key]) survivor.customFields[key] = value;
+            }
+        }
+    }
+    survivor.tags = [...new Set([survivor, ...duplicates].flatMap((customer) => customer.tags || []))];
+    survivor.notes = [...new Set([survivor, ...duplicates].map((customer) => String(customer.notes || '').trim()).filter(Boolean))]
+        .join('\n\n');
+    // Let the next score refresh pick up the combined activity.
+    survivor.leadScoreUpdatedAt = null;
+};
+
+/**
+ * Merge duplicate customers into a surviving record inside a transaction:
+ * conversations (and with them their messages), tasks, contacts, execution
+ * logs, sequence enrollments, score history and campaign targets are
+ * re-pointed to the survivor, blank fields are filled from the duplicates,
+ * the duplicates are deleted and a `customers_merged` audit entry is written.
+ */
+export async function mergeCustomers({
+    userId,
+    survivorId,
+    duplicateIds,
+    subscriptionId = null,
+    models = defaultModels,
+    mongooseClient = mongoose
+}) {
+    const uniqueDuplicateIds = [...new Set((Array.isArray(duplicateIds) ? duplicateIds : []).map(String))];
+    if (!survivorId || uniqueDuplicateIds.length === 0) {
+        throw httpError(400, 'Can survivorId va it nhat mot khach hang trung lap.');
+    }
+    if (uniqueDuplicateIds.length > MAX_MERGE_DUPLICATES) {
+        throw httpError(400, `Chi gop toi da ${MAX_MERGE_DUPLICATES} khach hang moi lan.`);
+    }
+    if (uniqueDuplicateIds.includes(String(survivorId))) {
+        throw httpError(400, 'Khach hang giu lai khong the nam trong danh sach gop.');
+    }
+
+    const session = await mongooseClient.startSession();
+    try {
+        return await session.withTransaction(async () => {
+            const survivor = await withSession(models.CrmCustomer.findOne({ _id: survivorId, userId }), session);
+            const duplicates = await withSession(models.CrmCustomer.find({ _id: { $in: uniqueDuplicateIds }, userId }), session);
+            if (!survivor || duplicates.length !== uniqueDuplicateIds.length) {
+                throw httpError(404, 'Khong tim thay khach hang can gop.');
+            }
+            const ids = duplicates.map((customer) => customer._id);
+            const moveFilter = { userId, customerId: { $in: ids } };
+            const moveUpdate = { $set: { customerId: survivor._id } };
+
+            const conversationIds = await withSession(models.CrmConversation.distinct('_id', moveFilter), session);
+            const conversations = await models.CrmConversation.updateMany(moveFilter, moveUpdate, { session });
+            const messages = conversationIds.length > 0
+                ? await withSession(models.CrmMessage.countDocuments({ userId, conversationId: { $in: conversationIds } }), session)
+                : 0;
+            const tasks = await models.CrmTask.updateMany(moveFilter, moveUpdate, { session });
+            const contacts = await models.CrmContact.updateMany(moveFilter, moveUpdate, { session });
+            const executionLogs = await models.CrmExecutionLog.updateMany(moveFilter, moveUpdate, { session });
+            const scoreHistory = await models.CrmLeadScoreHistory.updateMany(moveFilter, moveUpdate, { session });
+            const csatSurveys = await models.CrmCsatSurvey.updateMany(moveFilter, moveUpdate, { session });
+
+            // Enrollments are unique per sequence: keep the survivor's own
+            // enrollment and drop a duplicate's copy of the same sequence.
+            const enrolledSequenceIds = new Set((await withSession(
+                models.CrmSequenceEnrollment.distinct('sequenceId', { userId, customerId: survivor._id }),
+                session
+            )).map(String));
+            const enrollments = await withSession(models.CrmSequenceEnrollment.find(moveFilter), session);
+            let sequenceEnrollments = 0;
+            for (const enrollment of enrollments) {
+                const sequenceKey = String(enrollment.sequenceId);
+                if (enrolledSequenceIds.has(sequenceKey)) {
+                    await models.CrmSequenceEnrollment.deleteOne({ _id: enrollment._id }, { session });
+                    continue;
+                }
+                enrolledSequenceIds.add(sequenceKey);
+                await models.CrmSequenceEnrollment.updateOne({ _id: enrollment._id }, moveUpdate, { session });
+                sequenceEnrollments += 1;
+            }
+
+            const campaigns = await models.CrmCampaign.updateMany(
+                { userId, targetCustomerIds: { $in: ids } },
+                { $addToSet: { targetCustomerIds: survivor._id } },
+                { session }
+            );
+            await models.CrmCampaign.updateMany(
+                { userId, targetCustomerIds: { $in: ids } },
+                { $pull: { targetCustomerIds: { $in: ids } } },
+                { session }
+            );
+            await models.CrmCampaign.updateMany(
+                { userId, 'abTest.holdoutRecipients.customerId': { $in: ids } },
+                { $set: { 'abTest.holdoutRecipients.$[recipient].customerId': survivor._id } },
+                { arrayFilters: [{ 'recipient.customerId': { $in: ids } }], session }
+            );
+
+            mergeCustomerFields(survivor, duplicates);
+            await survivor.save({ session });
+            await models.CrmCustomer.deleteMany({ _id: { $in: ids }, userId }, { session });
+
+            const moved = {
+                conversations: conversations.modifiedCount || 0,
+                messages,
+                tasks: tasks.modifiedCount || 0,
+                contacts: contacts.modifiedCount || 0,
+                executionLogs: executionLogs.modifiedCount || 0,
+                sequenceEnrollments,
+                scoreHistory: scoreHistory.modifiedCount || 0,
+                csatSurveys: csatSurveys.modifiedCount || 0,
+                campaigns: campaigns.modifiedCount || 0
+            };
+            await models.CrmAuditLog.create([{
+                userId,
+                subscriptionId: subscriptionId || undefined,
+                action: 'customers_merged',
+                details: {
+                    survivorId: survivor._id,
+                    mergedCustomers: duplicates.map(summarizeCustomer),
+                    moved
+                }
+            }], { session });
+
+            return { customer: survivor, mergedIds: ids, moved };
+        });
+    } finally {
+        await session.endSession();
+    }
+}
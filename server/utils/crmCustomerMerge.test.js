@@ -0,0 +1,204 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    findDuplicateCandidates,
+    mergeCustomers,
+    nameSimilarity,
+    normalizeVietnamesePhone,
+    phoneLookupVariants
+} from './crmCustomerMerge.js';
+
+const createQuery = (result) => {
+    const query = {
+        select() { return query; },
+        sort() { return query; },
+        limit() { return query; },
+        lean() { return query; },
+        session() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+test('normalizeVietnamesePhone unifies country codes, separators and legacy prefixes', () => {
+    assert.strictEqual(normalizeVietnamesePhone('+84 912-345-678'), '0912345678');
+    assert.strictEqual(normalizeVietnamesePhone('84912345678'), '0912345678');
+    assert.strictEqual(normalizeVietnamesePhone('0912.345.678'), '0912345678');
+    assert.strictEqual(normalizeVietnamesePhone('912345678'), '0912345678');
+    assert.strictEqual(normalizeVietnamesePhone('01689123456'), '0389123456');
+    assert.strictEqual(normalizeVietnamesePhone('12345'), '');
+    assert.deepStrictEqual(phoneLookupVariants('0389123456'), [
+        '0389123456', '+84389123456', '84389123456', '01689123456', '+841689123456', '841689123456'
+    ]);
+});
+
+test('nameSimilarity tolerates diacritics, typos and reordered names', () => {
+    assert.strictEqual(nameSimilarity('Nguyễn Văn Anh', 'nguyen van anh'), 1);
+    assert.ok(nameSimilarity('Nguyen Van Anh', 'Nguyen Van Ahn') >= 0.85);
+    assert.ok(nameSimilarity('Anh Nguyen', 'Nguyen Van Anh') >= 0.85);
+    assert.ok(nameSimilarity('Tran Thi Bich', 'Le Van Minh') < 0.5);
+});
+
+test('findDuplicateCandidates scores phone, conversation and name evidence', async () => {
+    const customers = [
+        { _id: 'c1', name: 'Nguyễn Văn Anh', phone: '0912 345 678', company: 'Alpha', createdAt: new Date('2026-01-01') },
+        { _id: 'c2', name: 'Nguyen Van Anh', phone: '+84912345678', createdAt: new Date('2026-02-01') },
+        { _id: 'c3', name: 'Le Thi Hoa', zaloUserId: 'z-1', createdAt: new Date('2026-03-01') },
+        { _id: 'c4', name: 'Hoa Le', createdAt: new Date('2026-04-01') },
+        { _id: 'c5', name: 'Nguyen Van Anh', company: 'alpha', createdAt: new Date('2026-05-01') },
+        { _id: 'c6', name: 'Pham Minh', createdAt: new Date('2026-06-01') }
+    ];
+    const models = {
+        CrmCustomer: { find: () => createQuery(customers) },
+        CrmConversation: {
+            find: () => createQuery([
+                { threadId: 'z-1', customerId: 'c3' },
+                { threadId: 'z-1', customerId: 'c4' }
+            ])
+        }
+    };
+
+    const candidates = await findDuplicateCandidates({ userId: 'user-1', models });
+    const byPair = new Map(candidates.map((item) => [item.customers.map((c) => c._id).join(':'), item]));
+
+    assert.deepStrictEqual(byPair.get('c1:c2').reasons.map((reason) => reason.type), ['phone', 'name']);
+    assert.strictEqual(byPair.get('c1:c2').score, 90);
+    // Shared thread plus the reordered name.
+    assert.strictEqual(byPair.get('c3:c4').score, 70);
+    // Same name and company, no contact details in common.
+    assert.strictEqual(byPair.get('c1:c5').score, 50);
+    // Name alone is not enough.
+    assert.strictEqual(byPair.has('c2:c5'), false);
+    assert.strictEqual(candidates[0].score, 90);
+
+    const focused = await findDuplicateCandidates({ userId: 'user-1', customerId: 'c3', models });
+    assert.deepStrictEqual(focused.map((item) => item.customers.map((c) => c._id)), [['c3', 'c4']]);
+});
+
+test('mergeCustomers re-points references, fills blanks and audits inside a transaction', async () => {
+    const calls = [];
+    let saved = null;
+    const survivor = {
+        _id: 's1',
+        name: 'Nguyen Van Anh',
+        phone: '0912345678',
+        email: '',
+        tags: ['vip'],
+        notes: 'Khach cu',
+        consentStatus: 'pending',
+        lifecycleStage: 'lead',
+        status: 'lead',
+        customFields: new Map([['city', 'HN']]),
+        lastMessageAt: new Date('2026-01-01'),
+        async save(options) {
+            saved = { ...this, session: options.session };
+        }
+    };
+    const duplicate = {
+        _id: 'd1',
+        name: 'Nguyen Van Anh',
+        email: 'anh@example.com',
+        tags: ['vip', 'webchat'],
+        notes: 'Hoi gia',
+        consentStatus: 'granted',
+        consentEvidence: 'Form web',
+        lifecycleStage: 'opportunity',
+        status: 'contact',
+        customFields: new Map([['city', 'HCM'], ['size', 'M']]),
+        lastMessageAt: new Date('2026-03-01')
+    };
+    const mongooseClient = {
+        async startSession() {
+            calls.push('startSession');
+            return {
+                async withTransaction(fn) { return fn(); },
+                async endSession() { calls.push('endSession'); }
+            };
+        }
+    };
+    const updateMany = (name, modifiedCount = 1) => async (filter, update, options) => {
+        calls.push([name, filter, update, options.session ? 'session' : null]);
+        return { modifiedCount };
+    };
+    const models = {
+        CrmCustomer: {
+            findOne: () => createQuery(survivor),
+            find: () => createQuery([duplicate]),
+            async deleteMany(filter) { calls.push(['customer.delete', filter._id.$in]); }
+        },
+        CrmConversation: { distinct: () => createQuery(['conv-1']), updateMany: updateMany('conversations') },
+        CrmMessage: { countDocuments: () => createQuery(12) },
+        CrmTask: { updateMany: updateMany('tasks', 2) },
+        CrmContact: { updateMany: updateMany('contacts', 0) },
+        CrmExecutionLog: { updateMany: updateMany('logs', 3) },
+        CrmLeadScoreHistory: { updateMany: updateMany('history', 4) },
+        CrmCsatSurvey: { updateMany: updateMany('csat', 2) },
+        CrmSequenceEnrollment: {
+            distinct: () => createQuery(['seq-1']),
+            find: () => createQuery([{ _id: 'e1', sequenceId: 'seq-1' }, { _id: 'e2', sequenceId: 'seq-2' }]),
+            async deleteOne(filter) { calls.push(['enrollment.delete', filter._id]); },
+            async updateOne(filter) { calls.push(['enrollment.move', filter._id]); }
+        },
+        CrmCampaign: { updateMany: updateMany('campaigns') },
+        CrmAuditLog: {
+            async create(entries) { calls.push(['audit', entries[0]]); }
+        }
+    };
+
+    const result = await mergeCustomers({
+        userId: 'user-1',
+        survivorId: 's1',
+        duplicateIds: ['d1', 'd1'],
+        models,
+        mongooseClient
+    });
+
+    assert.deepStrictEqual(result.moved, {
+        conversations: 1,
+        messages: 12,
+        tasks: 2,
+        contacts: 0,
+        executionLogs: 3,
+        sequenceEnrollments: 1,
+        scoreHistory: 4,
+        csatSurveys: 2,
+        campaigns: 1
+    });
+    assert.deepStrictEqual(calls.find((call) => call[0] === 'csat').slice(1), [
+        { userId: 'user-1', customerId: { $in: ['d1'] } },
+        { $set: { customerId: 's1' } },
+        'session'
+    ]);
+    assert.strictEqual(calls[0], 'startSession');
+    assert.strictEqual(calls.at(-1), 'endSession');
+    assert.ok(calls.some((call) => call[0] === 'enrollment.delete' && call[1] === 'e1'));
+    assert.ok(calls.some((call) => call[0] === 'enrollment.move' && call[1] === 'e2'));
+    assert.deepStrictEqual(calls.find((call) => call[0] === 'customer.delete')[1], ['d1']);
+    const campaignCalls = calls.filter((call) => call[0] === 'campaigns');
+    assert.deepStrictEqual(campaignCalls.map((call) => Object.keys(call[2])[0]), ['$addToSet', '$pull', '$set']);
+
+    assert.strictEqual(saved.email, 'anh@example.com');
+    assert.deepStrictEqual(saved.tags, ['vip', 'webchat']);
+    assert.strictEqual(saved.notes, 'Khach cu\n\nHoi gia');
+    assert.deepStrictEqual([saved.consentStatus, saved.consentEvidence], ['granted', 'Form web']);
+    assert.deepStrictEqual([saved.lifecycleStage, saved.status], ['opportunity', 'contact']);
+    assert.deepStrictEqual([...saved.customFields.entries()], [['city', 'HN'], ['size', 'M']]);
+    assert.deepStrictEqual(saved.lastMessageAt, new Date('2026-03-01'));
+    assert.strictEqual(saved.leadScoreUpdatedAt, null);
+
+    const audit = calls.find((call) => call[0] === 'audit')[1];
+    assert.strictEqual(audit.action, 'customers_merged');
+    assert.strictEqual(audit.details.mergedCustomers[0].email, 'anh@example.com');
+});
+
+test('mergeCustomers rejects invalid requests before opening a transaction', async () => {
+    const mongooseClient = { async startSession() { throw new Error('should not start'); } };
+    await assert.rejects(
+        mergeCustomers({ userId: 'u', survivorId: 's1', duplicateIds: [], mongooseClient }),
+        (error) => error.statusCode === 400
+    );
+    await assert.rejects(
+        mergeCustomers({ userId: 'u', survivorId: 's1', duplicateIds: ['s1'], mongooseClient }),
+        (error) => error.statusCode === 400
+    );
+});
@@ -1,16 +1,39 @@
 // Per-userId SSE connection hub for CRM realtime events (message.new,
 // message.status, conversation.updated, device.status, pairing.completed).
-// In-memory only — backend runs as a single Fly.io instance. If the backend
-// ever scales to >1 instance, this needs to move to Redis pub/sub so a
-// publish() on one instance reaches subscribers connected to another.
+// Connections are held by the instance the client is connected to; publish()
+// fans out through the realtime transport (crmRealtimeTransport.js) so with
+// CRM_REALTIME_TRANSPORT=mongo an event published on one instance reaches
+// subscribers connected to another. Every event is also appended to the
+// persisted event log so a reconnecting client can replay what it missed
+// (Last-Event-ID) — except the high-frequency ephemeral ones below.
+
+import eventLog, { crmEventStream, nextEventId } from './crmEventLog.js';
+import { getRealtimeTransport } from './crmRealtimeTransport.js';
 
 const MAX_CONNECTIONS_PER_USER = 5;
 const HEARTBEAT_INTERVAL_MS = 25000;
 
 const connectionsByUser = new Map(); // userId(string) -> Set<res>
-let lastEventId = 0;
+// Connections still replaying missed events -> live events held back meanwhile.
+const replayBuffers = new Map(); // res -> [{ id, eventName, data }]
+
+const TRANSPORT_TOPIC = 'crm.events';
+
+// Presence heartbeats and job progress ticks are superseded by the next one
+// (and job state is refetchable), so replaying them is useless; delivered live only.
+const EPHEMERAL_EVENTS = new Set(['conversation.presence', 'import.progress', 'chatbot.replay.progress']);
+let transport = null;
+
+function getTransport() {
+    if (!transport) {
+        transport = getRealtimeTransport();
+        transport.subscribe(TRANSPORT_TOPIC, deliver);
+    }
+    return transport;
+}
 
-function subscribe(userId, res) {
+async function subscribe(userId, res, { lastEventId = null } = {}) {
+    getTransport();
     const key = String(userId);
     let connections = connectionsByUser.get(key);
     if (!connections) {
@@ -26,34 +49,77 @@ function subscribe(userId, res) {
         }
     }
 
+    if (lastEventId) replayBuffers.set(res, []);
     connections.add(res);
 
     res.on('close', () => {
         connections.delete(res);
+        replayBuffers.delete(res);
         if (connections.size === 0) connectionsByUser.delete(key);
     });
+
+    if (lastEventId) await replayMissed(res, crmEventStream(key), lastEventId);
 }
 
 function publish(userId, eventName, payload) {
     const key = String(userId);
+    const id = nextEventId();
+    const data = JSON.stringify(payload ?? {});
+    if (!EPHEMERAL_EVENTS.has(eventName)) eventLog.append(crmEventStream(key), id, eventName, data);
+    getTransport().publish(TRANSPORT_TOPIC, { key, id, eventName, data });
+}
+
+// Write an event to this instance's connections for its key.
+function deliver({ key, id, eventName, data }) {
     const connections = connectionsByUser.get(key);
     if (!connections || connections.size === 0) return;
 
-    lastEventId += 1;
-    const id = lastEventId;
-    const data = JSON.stringify(payload ?? {});
-
     for (const res of connections) {
+        const buffer = replayBuffers.get(res);
+        if (buffer) {
+            buffer.push({ id, eventName, data });
+            continue;
+        }
         try {
-            res.write(`id: ${id}\n`);
-            res.write(`event: ${eventName}\n`);
-            res.write(`data: ${data}\n\n`);
+            writeFrame(res, id, eventName, data);
         } catch (error) {
             connections.delete(res);
         }
     }
 }
 
+function writeFrame(res, id, eventName, data) {
+    res.write(`id: ${id}\n`);
+    res.write(`event: ${eventName}\n`);
+    res.write(`data: ${data}\n\n`);
+}
+
+// Write the persisted events after lastEventId, then whatever was published
+// while they were being read, then switch the connection to live delivery.
+async function replayMissed(res, stream, lastEventId) {
+    // The client may disconnect while the log is being read.
+    const write = (id, eventName, data) => {
+        if (!res.writableEnded && !res.destroyed) writeFrame(res, id, eventName, data);
+    };
+    let lastWrittenId = lastEventId;
+    try {
+        const { events, reset } = await eventLog.readSince(stream, lastEventId);
+        if (reset) write(nextEventId(), 'stream.reset', JSON.stringify({ reason: 'replay_unavailable' }));
+        for (const event of events) {
+            write(event.eventId, event.event, event.data);
+            lastWrittenId = event.eventId;
+        }
+    } catch (error) {
+        console.error('SSE replay error:', error.message);
+        write(nextEventId(), 'stream.reset', JSON.stringify({ reason: 'replay_failed' }));
+    }
+    const buffered = replayBuffers.get(res) || [];
+    replayBuffers.delete(res);
+    for (const event of buffered) {
+        if (event.id > lastWrittenId) write(event.id, event.eventName, event.data);
+    }
+}
+
 function heartbeatTick() {
     for (const connections of connectionsByUser.values()) {
         for (const res of connections) {
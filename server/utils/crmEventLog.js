@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import CrmEventLog, { EVENT_LOG_TTL_SECONDS } from '../models/CrmEventLog.js';
+
+// Persisted tail of the SSE streams so clients can resume with Last-Event-ID.
+// Retention is by age (the model's TTL); a client missing more than
+// MAX_REPLAY_EVENTS, or reconnecting after the retention window, gets a
+// `stream.reset` event instead and should refetch its state.
+export const MAX_REPLAY_EVENTS = 500;
+export const EVENT_LOG_RETENTION_MS = EVENT_LOG_TTL_SECONDS * 1000;
+
+const defaultModels = { CrmEventLog };
+
+let lastIssuedId = 0;
+
+/**
+ * Next SSE event id: milliseconds since epoch × 1000, bumped by one when
+ * several events share a millisecond. Ids keep increasing across restarts
+ * without a shared counter, and encode when the event was published.
+ */
+export function nextEventId(now = Date.now()) {
+    lastIssuedId = Math.max(lastIssuedId + 1, now * 1000);
+    return lastIssuedId;
+}
+
+export const crmEventStream = (userId) => `crm:${userId}`;
+
+// The session token is the visitor's only credential, so it is hashed
+// before being stored.
+export const webchatEventStream = (key) => `webchat:${crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 32)}`;
+
+/**
+ * Resume point of an SSE request: the `Last-Event-ID` header that
+ * EventSource sends when it reconnects, or `?lastEventId=` for a client
+ * opening a fresh stream.
+ * @returns {number|null}
+ */
+export function parseLastEventId(req) {
+    const raw = req.get?.('last-event-id') ?? req.headers?.['last-event-id'] ?? req.query?.lastEventId;
+    const id = Number(String(raw ?? '').trim());
+    return Number.isSafeInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Event log bound to a model set. `append` is fire-and-forget so publish()
+ * stays synchronous; `readSince` waits for writes still in flight so an
+ * event published just before a reconnect is not missed.
+ */
+export function createEventLog({ models = defaultModels, maxReplayEvents = MAX_REPLAY_EVENTS, retentionMs = EVENT_LOG_RETENTION_MS } = {}) {
+    const pendingWrites = new Set();
+
+    function append(stream, eventId, event, data) {
+        const write = (async () => models.CrmEventLog.create({ stream, eventId, event, data }))()
+            .catch((error) => console.error('Event log append error:', error.message))
+            .finally(() => pendingWrites.delete(write));
+        pendingWrites.add(write);
+        return write;
+    }
+
+    /**
+     * Events of `stream` after `lastEventId`, oldest first.
+     * @returns {Promise<{ events: Array<{ eventId, event, data }>, reset: boolean }>}
+     *   `reset` when the gap can't be replayed completely.
+     */
+    async function readSince(stream, lastEventId, now = Date.now()) {
+        if (lastEventId / 1000 < now - retentionMs) return { events: [], reset: true };
+        await Promise.allSettled([...pendingWrites]);
+        const events = await models.CrmEventLog.find({ stream, eventId: { $gt: lastEventId } })
+            .select('eventId event data')
+            .sort({ eventId: 1 })
+            .limit(maxReplayEvents + 1)
+            .lean();
+        if (events.length > maxReplayEvents) return { events: [], reset: true };
+        return { events, reset: false };
+    }
+
+    return { append, readSince };
+}
+
+export default createEventLog();
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    EVENT_LOG_RETENTION_MS,
+    createEventLog,
+    crmEventStream,
+    nextEventId,
+    parseLastEventId,
+    webchatEventStream
+} from './crmEventLog.js';
+
+const createQuery = (result, calls) => {
+    const query = {
+        select() { return query; },
+        sort(sort) { calls.sort = sort; return query; },
+        limit(limit) { calls.limit = limit; return query; },
+        lean() { return query; },
+        then(resolve, reject) { return Promise.resolve(result()).then(resolve, reject); }
+    };
+    return query;
+};
+
+// In-memory CrmEventLog whose create() resolves only when the test says so.
+const buildModels = () => {
+    const stored = [];
+    const calls = {};
+    const pending = [];
+    const models = {
+        CrmEventLog: {
+            create: (doc) => new Promise((resolve) => pending.push(() => {
+                stored.push(doc);
+                resolve(doc);
+            })),
+            find: (filter) => {
+                calls.filter = filter;
+                return createQuery(() => stored
+                    .filter((doc) => doc.stream === filter.stream && doc.eventId > filter.eventId.$gt)
+                    .sort((a, b) => a.eventId - b.eventId), calls);
+            }
+        }
+    };
+    return { models, calls, flush: () => pending.splice(0).forEach((done) => done()) };
+};
+
+test('nextEventId keeps increasing within a millisecond and follows the clock', () => {
+    const first = nextEventId(1_800_000_000_000);
+    const second = nextEventId(1_800_000_000_000);
+    assert.strictEqual(second, first + 1);
+    assert.strictEqual(nextEventId(1_800_000_000_005), 1_800_000_000_005_000);
+    // A clock step backwards never reissues an id.
+    assert.ok(nextEventId(1_700_000_000_000) > 1_800_000_000_005_000);
+});
+
+test('parseLastEventId prefers the header and rejects junk', () => {
+    const req = (headers, query = {}) => ({ headers, query, get: (name) => headers[name] });
+    assert.strictEqual(parseLastEventId(req({ 'last-event-id': '1800000000000001' }, { lastEventId: '5' })), 1800000000000001);
+    assert.strictEqual(parseLastEventId(req({}, { lastEventId: '42' })), 42);
+    assert.strictEqual(parseLastEventId(req({ 'last-event-id': 'abc' })), null);
+    assert.strictEqual(parseLastEventId(req({}, { lastEventId: '-3' })), null);
+    assert.strictEqual(parseLastEventId(req({})), null);
+});
+
+test('stream keys separate tenants and hide webchat session tokens', () => {
+    assert.strictEqual(crmEventStream('owner-1'), 'crm:owner-1');
+    const stream = webchatEventStream('widget-1:secret-session');
+    assert.ok(stream.startsWith('webchat:'));
+    assert.ok(!stream.includes('secret-session'));
+    assert.notStrictEqual(stream, webchatEventStream('widget-1:other-session'));
+});
+
+test('readSince waits for in-flight appends and returns later events in order', async () => {
+    const { models, calls, flush } = buildModels();
+    const log = createEventLog({ models });
+    const now = 1_800_000_000_000;
+    const base = now * 1000;
+
+    log.append('crm:owner-1', base + 1, 'message.new', '{"n":1}');
+    log.append('crm:owner-1', base + 3, 'conversation.updated', '{"n":3}');
+    log.append('crm:owner-2', base + 2, 'message.new', '{"n":2}');
+    const reading = log.readSince('crm:owner-1', base, now);
+    flush();
+    const { events, reset } = await reading;
+
+    assert.strictEqual(reset, false);
+    assert.deepStrictEqual(events.map((event) => event.eventId), [base + 1, base + 3]);
+    assert.deepStrictEqual(calls.sort, { eventId: 1 });
+    assert.strictEqual(calls.filter.stream, 'crm:owner-1');
+    assert.deepStrictEqual((await log.readSince('crm:owner-1', base + 1, now)).events.map((event) => event.data), ['{"n":3}']);
+});
+
+test('readSince asks for a reset when the gap is too large or too old', async () => {
+    const { models, flush } = buildModels();
+    const log = createEventLog({ models, maxReplayEvents: 2 });
+    const now = 1_800_000_000_000;
+    const base = now * 1000;
+    for (let index = 1; index <= 3; index += 1) log.append('crm:owner-1', base + index, 'message.new', '{}');
+    flush();
+
+    const overflow = await log.readSince('crm:owner-1', base, now);
+    assert.deepStrictEqual(overflow, { events: [], reset: true });
+    assert.strictEqual((await log.readSince('crm:owner-1', base + 1, now)).events.length, 2);
+
+    // Ids from before the retention window (or the old in-memory counter).
+    const stale = (now - EVENT_LOG_RETENTION_MS - 1000) * 1000;
+    assert.deepStrictEqual(await log.readSince('crm:owner-1', stale, now), { events: [], reset: true });
+    assert.deepStrictEqual(await log.readSince('crm:owner-1', 42, now), { events: [], reset: true });
+});
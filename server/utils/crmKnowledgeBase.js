@@ -0,0 +1,271 @@
+import CrmKnowledgeChunk from '../models/CrmKnowledgeChunk.js';
+import CrmKnowledgeDocument from '../models/CrmKnowledgeDocument.js';
+import { normalizeVietnamese } from './crmChatbot.js';
+import { parseSpreadsheet } from './crmSpreadsheet.js';
+
+export const MAX_KNOWLEDGE_FILE_BYTES = 5 * 1024 * 1024;
+export const MAX_KNOWLEDGE_DOCUMENTS = 200;
+export const MAX_CHUNKS_PER_DOCUMENT = 1000;
+export const DEFAULT_PASSAGE_LIMIT = 4;
+export const CHUNK_TARGET_CHARS = 800;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_INDEX_CHUNKS = 20000;
+// Indexes kept in memory at once; the least recently searched is dropped first.
+export const MAX_CACHED_INDEXES = 50;
+const CITATION_PATTERN = /\[K(\d{1,2})\]/g;
+
+// Very common unaccented Vietnamese function words; they would otherwise
+// dominate short customer questions.
+const STOPWORDS = new Set([
+    'a', 'ah', 'anh', 'ban', 'cac', 'cho', 'chi', 'co', 'cua', 'da', 'de', 'den', 'do', 'duoc',
+    'em', 'gi', 'hay', 'khong', 'la', 'lam', 'ma', 'minh', 'mot', 'nay', 'nhe', 'nhung', 'nao',
+    'o', 'oi', 'roi', 'sao', 'thi', 'toi', 'tu', 'va', 'voi', 'vay', 've', 'the', 'and', 'or', 'is'
+]);
+
+const defaultModels = { CrmKnowledgeChunk, CrmKnowledgeDocument };
+
+export function detectKnowledgeFormat(filename = '', contentType = '') {
+    const lower = String(filename).toLowerCase();
+    if (lower.endsWith('.xlsx') || String(contentType).includes('spreadsheetml')) return 'xlsx';
+    if (lower.endsWith('.csv') || String(contentType).includes('csv')) return 'csv';
+    if (lower.endsWith('.md') || String(contentType).includes('markdown')) return 'md';
+    if (lower.endsWith('.txt') || String(contentType).startsWith('text/plain')) return 'txt';
+    return null;
+}
+
+/**
+ * Index terms for a text: unaccented lowercase syllables (stopwords dropped)
+ * plus adjacent-syllable bigrams, since most Vietnamese words are two
+ * syllables ("bao gia" -> bao, gia, bao_gia).
+ */
+export function tokenizeKnowledgeText(text) {
+    const syllables = normalizeVietnamese(text).split(/[^a-z0-9]+/).filter(Boolean);
+    const terms = syllables.filter((term) => !STOPWORDS.has(term));
+    for (let index = 0; index < syllables.length - 1; index += 1) {
+        terms.push(`${syllables[index]}_${syllables[index + 1]}`);
+    }
+    return terms;
+}
+
+/**
+ * Plain text of an uploaded file. Spreadsheet rows become one line each of
+ * "Header: value; ..." so every price-list row stays self-describing.
+ */
+export function extractKnowledgeText(buffer, format) {
+    if (format === 'csv' || format === 'xlsx') {
+        const { headers, rows } = parseSpreadsheet(buffer, format);
+        return rows
+            .map((row) => headers
+                .filter((header) => String(row[header] ?? '').trim())
+                .map((header) => `${header}: ${String(row[header]).trim()}`)
+                .join('; '))
+            .filter(Boolean)
+            .join('\n');
+    }
+    return Buffer.from(buffer).toString('utf8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * Split text into passages of about `target` characters along paragraph
+ * (or, for spreadsheets, line) boundaries; oversized paragraphs are cut on
+ * sentence ends, then hard-cut.
+ * @returns {string[]}
+ */
+export function chunkKnowledgeText(text, { format = 'txt', target = CHUNK_TARGET_CHARS } = {}) {
+    const separator = format === 'csv' || format === 'xlsx' ? /\r?\n/ : /\r?\n\s*\r?\n/;
+    const pieces = [];
+    for (const block of String(text || '').split(separator)) {
+        const paragraph = block.replace(/[ \t]+/g, ' ').trim();
+        if (!paragraph) continue;
+        if (paragraph.length <= target) {
+            pieces.push(paragraph);
+            continue;
+        }
+        let current = '';
+        for (const sentence of paragraph.split(/(?<=[.!?])\s+/)) {
+            for (let start = 0; start < sentence.length; start += target) {
+                const part = sentence.slice(start, start + target);
+                if (current && current.length + part.length + 1 > target) {
+                    pieces.push(current);
+                    current = '';
+                }
+                current = current ? `${current} ${part}` : part;
+            }
+        }
+        if (current) pieces.push(current);
+    }
+
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+        if (current && current.length + piece.length + 1 > target) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${piece}` : piece;
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * In-memory Okapi BM25 over passages `{ chunkId, documentId, title, text }`. The
+ * document title is indexed with each passage so "bang gia" finds the rows
+ * of a file titled "Bang gia".
+ */
+export function createBm25Index(passages) {
+    const entries = passages.map((passage) => {
+        const frequencies = new Map();
+        const terms = tokenizeKnowledgeText(`${passage.title || ''}\n${passage.text}`);
+        for (const term of terms) frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        return { passage, frequencies, length: terms.length };
+    });
+    const documentFrequency = new Map();
+    for (const entry of entries) {
+        for (const term of entry.frequencies.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+    const total = entries.length;
+    const averageLength = total > 0 ? entries.reduce((sum, entry) => sum + entry.length, 0) / total : 0;
+
+    return {
+        size: total,
+        search(query, limit = DEFAULT_PASSAGE_LIMIT) {
+            const queryTerms = [...new Set(tokenizeKnowledgeText(query))].filter((term) => documentFrequency.has(term));
+            if (queryTerms.length === 0) return [];
+            const scored = [];
+            for (const entry of entries) {
+                let score = 0;
+                for (const term of queryTerms) {
+                    const frequency = entry.frequencies.get(term);
+                    if (!frequency) continue;
+                    const df = documentFrequency.get(term);
+                    const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                    const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * (entry.length / (averageLength || 1)));
+                    score += idf * ((frequency * (BM25_K1 + 1)) / norm);
+                }
+                if (score > 0) scored.push({ ...entry.passage, score: Math.round(score * 1000) / 1000 });
+            }
+            return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+        }
+    };
+}
+
+/**
+ * Replace a document's passages with freshly chunked ones.
+ * @returns {Promise<number>} number of chunks written
+ */
+export async function indexKnowledgeDocument({ document, buffer, models = defaultModels }) {
+    const text = extractKnowledgeText(buffer, document.file.format);
+    const chunks = chunkKnowledgeText(text, { format: document.file.format });
+    if (chunks.length === 0) throw Object.assign(new Error('Tai lieu khong co noi dung.'), { statusCode: 400 });
+    if (chunks.length > MAX_CHUNKS_PER_DOCUMENT) {
+        throw Object.assign(new Error(`Tai lieu qua dai (toi da ${MAX_CHUNKS_PER_DOCUMENT} doan).`), { statusCode: 400 });
+    }
+    await models.CrmKnowledgeChunk.deleteMany({ userId: document.userId, documentId: document._id });
+    await models.CrmKnowledgeChunk.insertMany(chunks.map((chunk, position) => ({
+        userId: document.userId,
+        documentId: document._id,
+        position,
+        text: chunk
+    })));
+    return chunks.length;
+}
+
+/**
+ * Per-tenant BM25 index cache. An index is rebuilt when the set of active,
+ * ready documents (or their indexedAt) changes, so uploads, deletes and
+ * toggles show up on the next question. At most `maxCachedIndexes` tenants
+ * are held (LRU).
+ */
+export function createKnowledgeSearch({ models = defaultModels, maxCachedIndexes = MAX_CACHED_INDEXES } = {}) {
+    const cache = new Map(); // userId -> { version, index }, least recently used first
+
+    const remember = (key, entry) => {
+        cache.delete(key);
+        cache.set(key, entry);
+        while (cache.size > maxCachedIndexes) cache.delete(cache.keys().next().value);
+    };
+
+    const loadIndex = async (userId) => {
+        const documents = await models.CrmKnowledgeDocument.find({ userId, status: 'ready', isActive: true })
+            .select('_id title indexedAt')
+            .lean();
+        const version = documents.map((doc) => `${doc._id}:${new Date(doc.indexedAt || 0).getTime()}`).sort().join(',');
+        const key = String(userId);
+        const cached = cache.get(key);
+        if (cached && cached.version === version) {
+            remember(key, cached);
+            return cached.index;
+        }
+
+        const titles = new Map(documents.map((doc) => [String(doc._id), doc.title]));
+        const chunks = documents.length === 0 ? [] : await models.CrmKnowledgeChunk.find({
+            userId,
+            documentId: { $in: documents.map((doc) => doc._id) }
+        }).select('_id documentId position text').limit(MAX_INDEX_CHUNKS).lean();
+        const index = createBm25Index(chunks.map((chunk) => ({
+            chunkId: chunk._id,
+            documentId: chunk.documentId,
+            title: titles.get(String(chunk.documentId)) || '',
+            position: chunk.position,
+            text: chunk.text
+        })));
+        remember(key, { version, index });
+        return index;
+    };
+
+    return {
+        async search(userId, query, limit = DEFAULT_PASSAGE_LIMIT) {
+            if (!String(query || '').trim()) return [];
+            return (await loadIndex(userId)).search(query, limit);
+        },
+        clear(userId) {
+            cache.delete(String(userId));
+        }
+    };
+}
+
+/**
+ * Prompt block listing the retrieved passages as [K1], [K2]... with the
+ * citation rule. Empty string when nothing was retrieved.
+ */
+export function buildKnowledgePromptBlock(passages) {
+    if (!passages?.length) return '';
+    const lines = passages.map((passage, index) => `[K${index + 1}] (${passage.title}) ${passage.text}`);
+    return '\n\nTai lieu tham khao cua cua hang:\n'
+        + `${lines.join('\n---\n')}\n`
+        + 'QUY TAC TRICH DAN: Uu tien tra loi dua tren tai lieu tham khao. Khi dung thong tin tu mot doan, '
+        + 'chen marker [K1], [K2]... tuong ung ngay sau cau do. Khong bia thong tin khong co trong tai lieu.';
+}
+
+/**
+ * Strip [K#] markers from the model's answer and return the passages they
+ * referred to (deduplicated, unknown numbers ignored).
+ * @returns {{ reply: string, citations: Array<{ documentId, chunkId, title, excerpt, score }> }}
+ */
+export function resolveKnowledgeCitations(text, passages = []) {
+    const cited = new Set();
+    for (const match of String(text || '').matchAll(CITATION_PATTERN)) {
+        const index = Number(match[1]) - 1;
+        if (passages[index]) cited.add(index);
+    }
+    const reply = String(text || '')
+        .replace(CITATION_PATTERN, '')
+        .replace(/[ \t]+([.,!?;:])/g, '$1')
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+    const citations = [...cited].sort((a, b) => a - b).map((index) => ({
+        documentId: passages[index].documentId,
+        chunkId: passages[index].chunkId,
+        title: passages[index].title,
+        excerpt: String(passages[index].text).slice(0, 300),
+        score: passages[index].score
+    }));
+    return { reply, citations };
+}
+
+const knowledgeSearch = createKnowledgeSearch();
+
+export default knowledgeSearch;
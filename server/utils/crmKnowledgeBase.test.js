@@ -0,0 +1,143 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    buildKnowledgePromptBlock,
+    chunkKnowledgeText,
+    createBm25Index,
+    createKnowledgeSearch,
+    detectKnowledgeFormat,
+    extractKnowledgeText,
+    indexKnowledgeDocument,
+    resolveKnowledgeCitations,
+    tokenizeKnowledgeText
+} from './crmKnowledgeBase.js';
+
+const createQuery = (result) => {
+    const query = {
+        select() { return query; },
+        limit() { return query; },
+        lean() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+const passages = [
+    { chunkId: 'c1', documentId: 'd1', title: 'Bảng giá', text: 'Gói Startup: 199.000đ/tháng, tối đa 3 tài khoản Zalo.' },
+    { chunkId: 'c2', documentId: 'd1', title: 'Bảng giá', text: 'Gói Business: 499.000đ/tháng, không giới hạn tài khoản.' },
+    { chunkId: 'c3', documentId: 'd2', title: 'FAQ giao hàng', text: 'Đơn hàng nội thành giao trong 24 giờ, ngoại thành 2-3 ngày.' }
+];
+
+test('detectKnowledgeFormat accepts text and spreadsheet files only', () => {
+    assert.strictEqual(detectKnowledgeFormat('faq.md'), 'md');
+    assert.strictEqual(detectKnowledgeFormat('prices.XLSX'), 'xlsx');
+    assert.strictEqual(detectKnowledgeFormat('notes', 'text/plain; charset=utf-8'), 'txt');
+    assert.strictEqual(detectKnowledgeFormat('manual.pdf', 'application/pdf'), null);
+});
+
+test('tokenizeKnowledgeText drops accents and stopwords and adds bigrams', () => {
+    assert.deepStrictEqual(tokenizeKnowledgeText('Báo giá của gói'), ['bao', 'gia', 'goi', 'bao_gia', 'gia_cua', 'cua_goi']);
+});
+
+test('spreadsheet rows become self-describing lines, one chunk boundary per row', () => {
+    const text = extractKnowledgeText(Buffer.from('San pham,Gia\nAo thun,150000\nQuan jean,\n'), 'csv');
+    assert.strictEqual(text, 'San pham: Ao thun; Gia: 150000\nSan pham: Quan jean');
+    assert.deepStrictEqual(chunkKnowledgeText(text, { format: 'csv', target: 35 }), [
+        'San pham: Ao thun; Gia: 150000',
+        'San pham: Quan jean'
+    ]);
+});
+
+test('chunkKnowledgeText packs paragraphs and splits oversized ones', () => {
+    const text = 'Cau mot. Cau hai.\n\nDoan hai.\n\n' + 'x'.repeat(25);
+    const chunks = chunkKnowledgeText(text, { target: 20 });
+    assert.deepStrictEqual(chunks, ['Cau mot. Cau hai.', 'Doan hai.', 'x'.repeat(20), 'x'.repeat(5)]);
+    assert.ok(chunks.every((chunk) => chunk.length <= 20));
+});
+
+test('BM25 ranks the passage sharing the rarest terms first', () => {
+    const index = createBm25Index(passages);
+    const results = index.search('gia goi business bao nhieu', 2);
+    assert.strictEqual(results[0].chunkId, 'c2');
+    assert.ok(results[0].score > results[1].score);
+    assert.strictEqual(index.search('giao hàng mấy ngày')[0].chunkId, 'c3');
+    assert.deepStrictEqual(index.search('xin chao'), []);
+});
+
+test('resolveKnowledgeCitations strips markers and maps them to passages', () => {
+    const { reply, citations } = resolveKnowledgeCitations('Goi Business 499k/thang [K2]. Giao 24h [K3][K9].', passages);
+    assert.strictEqual(reply, 'Goi Business 499k/thang. Giao 24h.');
+    assert.deepStrictEqual(citations.map((item) => item.chunkId), ['c2', 'c3']);
+    assert.strictEqual(resolveKnowledgeCitations('Khong co', passages).citations.length, 0);
+    assert.match(buildKnowledgePromptBlock(passages.slice(0, 1)), /\[K1\] \(Bảng giá\) Gói Startup/);
+    assert.strictEqual(buildKnowledgePromptBlock([]), '');
+});
+
+test('indexKnowledgeDocument replaces the document chunks', async () => {
+    const calls = [];
+    const models = {
+        CrmKnowledgeChunk: {
+            deleteMany: async (filter) => calls.push(['deleteMany', filter]),
+            insertMany: async (docs) => calls.push(['insertMany', docs])
+        }
+    };
+    const document = { _id: 'd1', userId: 'u1', file: { format: 'txt' } };
+    const count = await indexKnowledgeDocument({ document, buffer: Buffer.from('\uFEFFMot.\n\nHai.'), models });
+    assert.strictEqual(count, 1);
+    assert.deepStrictEqual(calls[0], ['deleteMany', { userId: 'u1', documentId: 'd1' }]);
+    assert.deepStrictEqual(calls[1][1], [{ userId: 'u1', documentId: 'd1', position: 0, text: 'Mot.\nHai.' }]);
+
+    await assert.rejects(
+        indexKnowledgeDocument({ document, buffer: Buffer.from('  \n\n '), models }),
+        (error) => error.statusCode === 400
+    );
+});
+
+test('knowledge search caches the tenant index until documents change', async () => {
+    let documents = [{ _id: 'd1', title: 'Bang gia', indexedAt: new Date('2026-07-01T00:00:00Z') }];
+    let chunkLoads = 0;
+    const models = {
+        CrmKnowledgeDocument: { find: () => createQuery(documents) },
+        CrmKnowledgeChunk: {
+            find: () => {
+                chunkLoads += 1;
+                return createQuery([{ _id: 'c1', documentId: 'd1', position: 0, text: 'Goi Startup 199000' }]);
+            }
+        }
+    };
+    const search = createKnowledgeSearch({ models });
+    assert.strictEqual((await search.search('u1', 'goi startup'))[0].title, 'Bang gia');
+    await search.search('u1', 'startup');
+    assert.strictEqual(chunkLoads, 1);
+
+    documents = [{ ...documents[0], indexedAt: new Date('2026-07-02T00:00:00Z') }];
+    await search.search('u1', 'startup');
+    assert.strictEqual(chunkLoads, 2);
+
+    documents = [];
+    assert.deepStrictEqual(await search.search('u1', 'startup'), []);
+    assert.deepStrictEqual(await search.search('u1', '   '), []);
+});
+
+test('knowledge search evicts the least recently searched tenant index', async () => {
+    const chunkLoads = [];
+    const models = {
+        CrmKnowledgeDocument: { find: () => createQuery([{ _id: 'd1', title: 'Bang gia', indexedAt: new Date('2026-07-01T00:00:00Z') }]) },
+        CrmKnowledgeChunk: {
+            find: (filter) => {
+                chunkLoads.push(filter.userId);
+                return createQuery([{ _id: 'c1', documentId: 'd1', position: 0, text: 'Goi Startup 199000' }]);
+            }
+        }
+    };
+    const search = createKnowledgeSearch({ models, maxCachedIndexes: 2 });
+    await search.search('u1', 'startup');
+    await search.search('u2', 'startup');
+    await search.search('u1', 'startup');
+    await search.search('u3', 'startup');
+    assert.deepStrictEqual(chunkLoads, ['u1', 'u2', 'u3']);
+
+    await search.search('u1', 'startup');
+    await search.search('u2', 'startup');
+    assert.deepStrictEqual(chunkLoads, ['u1', 'u2', 'u3', 'u2']);
+});
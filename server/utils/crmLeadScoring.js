@@ -1,23 +1,284 @@
-export function calculateCrmLeadScore({
-    customer,
-    recentInboundCount = 0,
-    repliedToCampaign = false,
-    highPriorityInsightCount = 0,
-    manualAdjustment = 0
-} = {}) {
-    let score = 0;
-    const stage = customer?.lifecycleStage || customer?.status || 'lead';
-
-    if (repliedToCampaign) score += 25;
-    score += Math.min(30, recentInboundCount * 10);
-    score += Math.min(30, highPriorityInsightCount * 15);
-
-    if (stage === 'opportunity') score += 25;
-    if (stage === 'customer') score += 20;
-    if (stage === 'subscriber') score += 10;
-    if (customer?.consentStatus === 'granted') score += 10;
-    if (customer?.lastMessageAt) score += 10;
-
-    score += Number(manualAdjustment) || 0;
-    return Math.max(0, Math.min(100, score));
+import CrmConversation from '../models/CrmConversation.js';
+import CrmCustomer from '../models/CrmCustomer.js';
+import CrmExecutionLog from '../models/CrmExecutionLog.js';
+import CrmGroupInsight from '../models/CrmGroupInsight.js';
+import CrmLeadScoreHistory from '../models/CrmLeadScoreHistory.js';
+import CrmMessage from '../models/CrmMessage.js';
+import CrmScoringModel from '../models/CrmScoringModel.js';
+import CrmTask from '../models/CrmTask.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const SCORING_RULE_TYPES = ['field', 'tag', 'message_activity', 'campaign_reply', 'group_insight'];
+const FIELD_OPERATORS = ['equals', 'not_equals', 'in', 'contains', 'exists'];
+export const MAX_SCORING_RULES = 50;
+
+// Used when a tenant has no active CrmScoringModel. Mirrors the weights that
+// used to be hard-coded here, so scores don't jump for existing tenants.
+export const DEFAULT_SCORING_MODEL = Object.freeze({
+    _id: null,
+    name: 'Mac dinh',
+    rules: [
+        { label: 'Phan hoi chien dich', type: 'campaign_reply', windowDays: 30, points: 25, maxPoints: 25 },
+        { label: 'Tin nhan den 7 ngay', type: 'message_activity', direction: 'inbound', windowDays: 7, points: 10, maxPoints: 30 },
+        { label: 'Insight uu tien cao', type: 'group_insight', priority: 'high', windowDays: 30, points: 15, maxPoints: 30 },
+        { label: 'Co hoi', type: 'field', field: 'lifecycleStage', operator: 'equals', value: 'opportunity', points: 25 },
+        { label: 'Khach hang', type: 'field', field: 'lifecycleStage', operator: 'equals', value: 'customer', points: 20 },
+        { label: 'Nguoi dang ky', type: 'field', field: 'lifecycleStage', operator: 'equals', value: 'subscriber', points: 10 },
+        { label: 'Da dong y nhan tin', type: 'field', field: 'consentStatus', operator: 'equals', value: 'granted', points: 10 },
+        { label: 'Da tung nhan tin', type: 'field', field: 'lastMessageAt', operator: 'exists', points: 10 }
+    ],
+    decay: { enabled: false, graceDays: 7, halfLifeDays: 30 },
+    minScore: 0,
+    maxScore: 100
+});
+
+/**
+ * Validate scoring rules from the API.
+ * @returns {{ rules: object[], error: string|null }}
+ */
+export function normalizeScoringRules(input) {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { rules: [], error: 'Mo hinh cham diem can it nhat mot quy tac.' };
+    }
+    if (input.length > MAX_SCORING_RULES) {
+        return { rules: [], error: `Toi da ${MAX_SCORING_RULES} quy tac.` };
+    }
+    const rules = [];
+    for (const [index, item] of input.entries()) {
+        const label = `Quy tac ${index + 1}`;
+        if (!SCORING_RULE_TYPES.includes(item?.type)) {
+            return { rules: [], error: `${label}: loai quy tac khong hop le.` };
+        }
+        const points = Number(item.points);
+        if (!Number.isFinite(points)) {
+            return { rules: [], error: `${label}: diem khong hop le.` };
+        }
+        const rule = {
+            label: String(item.label || '').trim().slice(0, 120),
+            type: item.type,
+            points,
+            maxPoints: Math.max(0, Number(item.maxPoints) || 0),
+            windowDays: Math.max(1, Math.round(Number(item.windowDays) || 7))
+        };
+        if (item.type === 'field') {
+            if (!item.field) return { rules: [], error: `${label}: thieu truong du lieu.` };
+            rule.field = String(item.field).trim();
+            rule.operator = FIELD_OPERATORS.includes(item.operator) ? item.operator : 'equals';
+            rule.value = item.value ?? null;
+        }
+        if (item.type === 'tag') {
+            if (!item.tag) return { rules: [], error: `${label}: thieu the.` };
+            rule.tag = String(item.tag).trim();
+        }
+        if (item.type === 'message_activity') {
+            rule.direction = item.direction === 'outbound' ? 'outbound' : 'inbound';
+        }
+        if (item.type === 'group_insight') {
+            rule.priority = ['low', 'medium', 'high'].includes(item.priority) ? item.priority : '';
+        }
+        if (item._id) rule._id = item._id;
+        rules.push(rule);
+    }
+    return { rules, error: null };
+}
+
+const readField = (customer, field) => {
+    if (field.startsWith('custom.')) {
+        const customFields = customer?.customFields;
+        const key = field.slice('custom.'.length);
+        if (!customFields) return undefined;
+        return typeof customFields.get === 'function' ? customFields.get(key) : customFields[key];
+    }
+    return customer?.[field];
+};
+
+const isBlank = (value) => value === null || value === undefined || value === ''
+    || (Array.isArray(value) && value.length === 0);
+
+const matchesFieldRule = (customer, rule) => {
+    const actual = readField(customer, rule.field);
+    switch (rule.operator) {
+        case 'exists':
+            return !isBlank(actual);
+        case 'not_equals':
+            return String(actual ?? '') !== String(rule.value ?? '');
+        case 'in':
+            return (Array.isArray(rule.value) ? rule.value : String(rule.value || '').split(','))
+                .map((item) => String(item).trim())
+                .includes(String(actual ?? ''));
+        case 'contains':
+            return String(actual ?? '').toLowerCase().includes(String(rule.value ?? '').toLowerCase());
+        case 'equals':
+        default:
+            return String(actual ?? '') === String(rule.value ?? '');
+    }
+};
+
+// Keys into the facts maps built by collectScoringFacts.
+export const messageFactKey = (rule) => `${rule.direction || 'inbound'}:${rule.windowDays || 7}`;
+export const insightFactKey = (rule) => `${rule.priority || ''}:${rule.windowDays || 7}`;
+
+/**
+ * Multiplier applied to the raw score for inactivity: 1 inside the grace
+ * period, then halves every halfLifeDays.
+ */
+export function computeDecayFactor({ decay, lastActivityAt, now = new Date() }) {
+    if (!decay?.enabled || !lastActivityAt) return 1;
+    const idleDays = (now.getTime() - new Date(lastActivityAt).getTime()) / DAY_MS - (Number(decay.graceDays) || 0);
+    if (idleDays <= 0) return 1;
+    return 0.5 ** (idleDays / Math.max(1, Number(decay.halfLifeDays) || 30));
+}
+
+/**
+ * Score a customer against a model using pre-collected facts.
+ * @param {object} params.facts - { messageCounts: Map, campaignReplies: Map, insightCounts: Map }
+ * @returns {{ score: number, rawScore: number, decayFactor: number, breakdown: Array<{ ruleId, label, points }> }}
+ */
+export function evaluateScoringModel({ model, customer, facts = {}, now = new Date() }) {
+    const breakdown = [];
+    let rawScore = 0;
+    for (const rule of model.rules || []) {
+        let points = 0;
+        if (rule.type === 'field') {
+            points = matchesFieldRule(customer, rule) ? rule.points : 0;
+        } else if (rule.type === 'tag') {
+            points = (customer?.tags || []).includes(rule.tag) ? rule.points : 0;
+        } else {
+            let count = 0;
+            if (rule.type === 'message_activity') count = facts.messageCounts?.get(messageFactKey(rule)) || 0;
+            if (rule.type === 'campaign_reply') count = facts.campaignReplies?.get(rule.windowDays || 7) || 0;
+            if (rule.type === 'group_insight') count = facts.insightCounts?.get(insightFactKey(rule)) || 0;
+            points = count * rule.points;
+            if (rule.maxPoints > 0) points = Math.sign(points) * Math.min(Math.abs(points), rule.maxPoints);
+        }
+        if (points !== 0) {
+            breakdown.push({ ruleId: rule._id || null, label: rule.label || rule.type, points });
+            rawScore += points;
+        }
+    }
+
+    const lastActivityAt = customer?.lastInteractionAt || customer?.lastMessageAt || customer?.createdAt || null;
+    const decayFactor = computeDecayFactor({ decay: model.decay, lastActivityAt, now });
+    const minScore = Number.isFinite(model.minScore) ? model.minScore : 0;
+    const maxScore = Number.isFinite(model.maxScore) ? model.maxScore : 100;
+    const score = Math.max(minScore, Math.min(maxScore, Math.round(rawScore * decayFactor)));
+    return { score, rawScore, decayFactor, breakdown };
 }
+
+/**
+ * Run only the count queries the model's activity rules need.
+ */
+export const collectScoringFacts = async ({
+    model,
+    userId,
+    customer,
+    now = new Date(),
+    models = { CrmConversation, CrmMessage, CrmExecutionLog, CrmTask, CrmGroupInsight }
+}) => {
+    const facts = { messageCounts: new Map(), campaignReplies: new Map(), insightCounts: new Map() };
+    const rules = model.rules || [];
+    const since = (windowDays) => new Date(now.getTime() - (windowDays || 7) * DAY_MS);
+
+    const messageRules = rules.filter((rule) => rule.type === 'message_activity');
+    if (messageRules.length > 0) {
+        const conversations = await models.CrmConversation.find({ userId, customerId: customer._id }).select('_id');
+        const conversationIds = conversations.map((conversation) => conversation._id);
+        for (const rule of messageRules) {
+            const key = messageFactKey(rule);
+            if (facts.messageCounts.has(key)) continue;
+            facts.messageCounts.set(key, conversationIds.length === 0 ? 0 : await models.CrmMessage.countDocuments({
+                userId,
+                conversationId: { $in: conversationIds },
+                direction: rule.direction || 'inbound',
+                createdAt: { $gte: since(rule.windowDays) }
+            }));
+        }
+    }
+
+    for (const rule of rules.filter((item) => item.type === 'campaign_reply')) {
+        const windowDays = rule.windowDays || 7;
+        if (facts.campaignReplies.has(windowDays)) continue;
+        facts.campaignReplies.set(windowDays, await models.CrmExecutionLog.countDocuments({
+            userId,
+            customerId: customer._id,
+            repliedAt: { $gte: since(windowDays) }
+        }));
+    }
+
+    // Group insights reach a customer through tasks created from them.
+    const insightRules = rules.filter((rule) => rule.type === 'group_insight');
+    if (insightRules.length > 0) {
+        const insightIds = await models.CrmTask.distinct('insightId', { userId, customerId: customer._id, insightId: { $ne: null } });
+        for (const rule of insightRules) {
+            const key = insightFactKey(rule);
+            if (facts.insightCounts.has(key)) continue;
+            facts.insightCounts.set(key, insightIds.length === 0 ? 0 : await models.CrmGroupInsight.countDocuments({
+                userId,
+                _id: { $in: insightIds },
+                status: 'open',
+                createdAt: { $gte: since(rule.windowDays) },
+                ...(rule.priority ? { priority: rule.priority } : {})
+            }));
+        }
+    }
+    return facts;
+};
+
+export const getActiveScoringModel = async ({ userId, models = { CrmScoringModel } }) => (
+    await models.CrmScoringModel.findOne({ userId, isActive: true })
+) || DEFAULT_SCORING_MODEL;
+
+/**
+ * Recompute one customer's score with the tenant's active model, store it on
+ * the customer and append a history row when it changed.
+ * @param {string} params.reason - event that triggered the recompute
+ * @returns {Promise<{ score: number, previousScore: number, changed: boolean, breakdown: Array }|null>}
+ */
+export const recomputeCustomerScore = async ({
+    userId,
+    customer = null,
+    customerId = null,
+    reason = '',
+    model = null,
+    now = new Date(),
+    models = {
+        CrmCustomer,
+        CrmScoringModel,
+        CrmLeadScoreHistory,
+        CrmConversation,
+        CrmMessage,
+        CrmExecutionLog,
+        CrmTask,
+        CrmGroupInsight
+    }
+}) => {
+    const target = customer || await models.CrmCustomer.findOne({ _id: customerId, userId });
+    if (!target) return null;
+    const scoringModel = model || await getActiveScoringModel({ userId, models });
+    const facts = await collectScoringFacts({ model: scoringModel, userId, customer: target, now, models });
+    const { score, decayFactor, breakdown } = evaluateScoringModel({ model: scoringModel, customer: target, facts, now });
+
+    const previousScore = Number(target.leadScore) || 0;
+    const changed = score !== previousScore;
+    await models.CrmCustomer.updateOne(
+        { _id: target._id, userId },
+        { $set: { leadScore: score, leadScoreUpdatedAt: now } }
+    );
+    target.leadScore = score;
+    target.leadScoreUpdatedAt = now;
+
+    if (changed) {
+        await models.CrmLeadScoreHistory.create({
+            userId,
+            customerId: target._id,
+            scoringModelId: scoringModel._id || null,
+            score,
+            previousScore,
+            delta: score - previousScore,
+            reason,
+            decayFactor: Math.round(decayFactor * 1000) / 1000,
+            breakdown
+        });
+    }
+    return { score, previousScore, changed, breakdown };
+};
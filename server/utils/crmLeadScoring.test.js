@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    DEFAULT_SCORING_MODEL,
+    collectScoringFacts,
+    computeDecayFactor,
+    evaluateScoringModel,
+    normalizeScoringRules,
+    recomputeCustomerScore
+} from './crmLeadScoring.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-07-01T00:00:00.000Z');
+
+test('default model reproduces the legacy weights', () => {
+    const customer = {
+        lifecycleStage: 'opportunity',
+        consentStatus: 'granted',
+        lastMessageAt: new Date('2026-06-30T00:00:00.000Z')
+    };
+    const facts = {
+        messageCounts: new Map([['inbound:7', 5]]),
+        campaignReplies: new Map([[30, 1]]),
+        insightCounts: new Map([['high:30', 1]])
+    };
+    const { score, breakdown } = evaluateScoringModel({ model: DEFAULT_SCORING_MODEL, customer, facts, now });
+    // 25 reply + 30 (capped) inbound + 15 insight + 25 stage + 10 consent + 10 messaged = 115 -> 100
+    assert.strictEqual(score, 100);
+    assert.strictEqual(breakdown.find((item) => item.label === 'Tin nhan den 7 ngay').points, 30);
+    assert.strictEqual(evaluateScoringModel({ model: DEFAULT_SCORING_MODEL, customer: { lifecycleStage: 'lead' }, now }).score, 0);
+});
+
+test('evaluateScoringModel applies field operators, tags and negative points', () => {
+    const model = {
+        rules: [
+            { _id: 'r1', label: 'VIP', type: 'tag', tag: 'vip', points: 40 },
+            { _id: 'r2', label: 'HN/HCM', type: 'field', field: 'custom.city', operator: 'in', value: ['HN', 'HCM'], points: 20 },
+            { _id: 'r3', label: 'No email', type: 'field', field: 'email', operator: 'exists', points: 5 },
+            { _id: 'r4', label: 'Revoked', type: 'field', field: 'consentStatus', operator: 'equals', value: 'revoked', points: -50 }
+        ],
+        minScore: 0,
+        maxScore: 100
+    };
+    const customer = { tags: ['vip'], customFields: new Map([['city', 'HCM']]), email: '', consentStatus: 'granted' };
+    const result = evaluateScoringModel({ model, customer, now });
+    assert.strictEqual(result.score, 60);
+    assert.deepStrictEqual(result.breakdown.map((item) => item.ruleId), ['r1', 'r2']);
+
+    const revoked = evaluateScoringModel({ model, customer: { ...customer, consentStatus: 'revoked' }, now });
+    assert.strictEqual(revoked.rawScore, 10);
+});
+
+test('computeDecayFactor halves the score every half-life after the grace period', () => {
+    const decay = { enabled: true, graceDays: 7, halfLifeDays: 30 };
+    assert.strictEqual(computeDecayFactor({ decay, lastActivityAt: new Date(now.getTime() - 5 * DAY_MS), now }), 1);
+    assert.strictEqual(computeDecayFactor({ decay, lastActivityAt: new Date(now.getTime() - 37 * DAY_MS), now }), 0.5);
+    assert.strictEqual(computeDecayFactor({ decay: { ...decay, enabled: false }, lastActivityAt: new Date(0), now }), 1);
+
+    const model = { rules: [{ type: 'tag', tag: 'vip', points: 80 }], decay, minScore: 0, maxScore: 100 };
+    const customer = { tags: ['vip'], lastInteractionAt: new Date(now.getTime() - 67 * DAY_MS) };
+    assert.strictEqual(evaluateScoringModel({ model, customer, now }).score, 20);
+});
+
+test('normalizeScoringRules validates rule types and required parameters', () => {
+    assert.ok(normalizeScoringRules([]).error);
+    assert.ok(normalizeScoringRules([{ type: 'bogus', points: 1 }]).error);
+    assert.ok(normalizeScoringRules([{ type: 'field', points: 1 }]).error);
+    assert.ok(normalizeScoringRules([{ type: 'tag', tag: 'vip', points: 'x' }]).error);
+    const { rules } = normalizeScoringRules([{ type: 'message_activity', direction: 'weird', points: 5, windowDays: '14', maxPoints: 20 }]);
+    assert.deepStrictEqual(rules, [{ label: '', type: 'message_activity', points: 5, maxPoints: 20, windowDays: 14, direction: 'inbound' }]);
+});
+
+test('collectScoringFacts only queries what the rules need', async () => {
+    const queries = [];
+    const facts = await collectScoringFacts({
+        model: {
+            rules: [
+                { type: 'message_activity', direction: 'inbound', windowDays: 7, points: 1 },
+                { type: 'message_activity', direction: 'inbound', windowDays: 7, points: 2 },
+                { type: 'campaign_reply', windowDays: 30, points: 1 }
+            ]
+        },
+        userId: 'user-1',
+        customer: { _id: 'cust-1' },
+        now,
+        models: {
+            CrmConversation: { find() { return { select: async () => [{ _id: 'conv-1' }] }; } },
+            CrmMessage: {
+                async countDocuments(filter) {
+                    queries.push(['messages', filter.direction]);
+                    return 4;
+                }
+            },
+            CrmExecutionLog: {
+                async countDocuments(filter) {
+                    queries.push(['replies', filter.customerId]);
+                    return 1;
+                }
+            },
+            CrmTask: { async distinct() { throw new Error('insights not needed'); } }
+        }
+    });
+    assert.deepStrictEqual(queries, [['messages', 'inbound'], ['replies', 'cust-1']]);
+    assert.strictEqual(facts.messageCounts.get('inbound:7'), 4);
+    assert.strictEqual(facts.campaignReplies.get(30), 1);
+});
+
+test('recomputeCustomerScore saves the score and records history only on change', async () => {
+    const history = [];
+    const updates = [];
+    const customer = { _id: 'cust-1', tags: ['vip'], leadScore: 10 };
+    const model = { _id: 'model-1', rules: [{ label: 'VIP', type: 'tag', tag: 'vip', points: 40 }], minScore: 0, maxScore: 100 };
+    const models = {
+        CrmCustomer: { async updateOne(filter, update) { updates.push(update.$set); } },
+        CrmLeadScoreHistory: { async create(entry) { history.push(entry); } }
+    };
+
+    const first = await recomputeCustomerScore({ userId: 'user-1', customer, model, reason: 'customer_updated', now, models });
+    assert.deepStrictEqual([first.score, first.previousScore, first.changed], [40, 10, true]);
+    assert.deepStrictEqual(updates[0], { leadScore: 40, leadScoreUpdatedAt: now });
+    assert.strictEqual(history[0].delta, 30);
+    assert.strictEqual(history[0].scoringModelId, 'model-1');
+    assert.strictEqual(history[0].reason, 'customer_updated');
+
+    const second = await recomputeCustomerScore({ userId: 'user-1', customer, model, reason: 'inbound_message', now, models });
+    assert.strictEqual(second.changed, false);
+    assert.strictEqual(history.length, 1);
+    assert.strictEqual(updates.length, 2);
+});
@@ -32,8 +32,9 @@ export function normalizeQueryLimit(value, { defaultLimit = 30, maxLimit = 100 }
     return Math.min(maxLimit, Math.max(1, parsed));
 }
 
-export function buildConversationMessageQuery({ userId, conversationId, before, after }) {
+export function buildConversationMessageQuery({ userId, conversationId, before, after, includeInternal = true }) {
     const query = { userId, conversationId };
+    if (!includeInternal) query.direction = { $ne: 'internal' };
     const beforeDate = parseValidDate(before);
     const afterDate = parseValidDate(after);
 
@@ -0,0 +1,123 @@
+import { getRealtimeTransport } from './crmRealtimeTransport.js';
+
+// Who is looking at / replying to which CRM conversation, for shared-inbox
+// collision warnings. Each instance keeps its own copy in memory; updates go
+// through the realtime transport so with CRM_REALTIME_TRANSPORT=mongo every
+// instance applies every staff member's presence. Entries expire on their own
+// so a closed tab never leaves a stale "typing" badge.
+
+export const PRESENCE_STATES = ['viewing', 'typing', 'left'];
+export const PRESENCE_TTL_MS = {
+    viewing: 60 * 1000,
+    typing: 10 * 1000
+};
+
+export const PRESENCE_TOPIC = 'crm.presence';
+
+/**
+ * Without `getTransport` updates stay in this tracker (tests, single process).
+ */
+export function createPresenceTracker({ getTransport = null } = {}) {
+    const byConversation = new Map(); // `${userId}:${conversationId}` -> Map<actorId, entry>
+    let transport = null;
+
+    const keyOf = (userId, conversationId) => `${userId}:${conversationId}`;
+
+    // Subscribe to the other instances' updates. Called at startup so a fresh
+    // instance hears them before its first presence request.
+    function connect() {
+        if (transport || !getTransport) return;
+        transport = getTransport();
+        transport.subscribe(PRESENCE_TOPIC, apply);
+    }
+
+    function prune(key, now) {
+        const actors = byConversation.get(key);
+        if (!actors) return null;
+        for (const [actorId, entry] of actors) {
+            if (entry.expiresAt <= now.getTime()) actors.delete(actorId);
+        }
+        if (actors.size === 0) {
+            byConversation.delete(key);
+            return null;
+        }
+        return actors;
+    }
+
+    /**
+     * Presence of every staff member on a conversation, oldest first.
+     * @returns {Array<{ actorId: string, name: string, state: string, since: Date }>}
+     */
+    function list(userId, conversationId, now = new Date()) {
+        connect();
+        const actors = prune(keyOf(userId, conversationId), now);
+        if (!actors) return [];
+        return [...actors.values()]
+            .sort((a, b) => a.since - b.since)
+            .map(({ actorId, name, state, since }) => ({ actorId, name, state, since }));
+    }
+
+    // Apply one update, made on this instance or relayed from another.
+    function apply({ userId, conversationId, actorId, name, state, at }) {
+        const key = keyOf(userId, conversationId);
+        const now = new Date(at);
+        let actors = prune(key, now);
+        if (state === 'left') {
+            actors?.delete(actorId);
+            if (actors?.size === 0) byConversation.delete(key);
+            return;
+        }
+        if (!actors) {
+            actors = new Map();
+            byConversation.set(key, actors);
+        }
+        const previous = actors.get(actorId);
+        actors.set(actorId, {
+            actorId,
+            name,
+            state,
+            since: previous?.state === state ? previous.since : now,
+            expiresAt: at + PRESENCE_TTL_MS[state]
+        });
+    }
+
+    /**
+     * Record an actor's state ('left' removes them) and return the updated list.
+     */
+    function update({ userId, conversationId, actor, state, now = new Date() }) {
+        const change = {
+            userId: String(userId),
+            conversationId: String(conversationId),
+            actorId: String(actor._id),
+            name: actor.name || actor.email || '',
+            state,
+            at: now.getTime()
+        };
+        connect();
+        // Both transports deliver to this instance synchronously as well.
+        if (transport) transport.publish(PRESENCE_TOPIC, change);
+        else apply(change);
+        return list(userId, conversationId, now);
+    }
+
+    /**
+     * Other staff currently typing in the conversation: a reply from
+     * `actorId` would collide with theirs.
+     */
+    function collisions(userId, conversationId, actorId, now = new Date()) {
+        return list(userId, conversationId, now)
+            .filter((entry) => entry.state === 'typing' && entry.actorId !== String(actorId));
+    }
+
+    // Drop expired entries of conversations nobody asked about since.
+    function sweep(now = new Date()) {
+        for (const key of [...byConversation.keys()]) prune(key, now);
+    }
+
+    return { connect, list, update, collisions, sweep };
+}
+
+const crmPresence = createPresenceTracker({ getTransport: getRealtimeTransport });
+setInterval(() => crmPresence.sweep(), PRESENCE_TTL_MS.viewing).unref?.();
+
+export default crmPresence;
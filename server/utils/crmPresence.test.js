@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { createPresenceTracker, PRESENCE_TOPIC, PRESENCE_TTL_MS } from './crmPresence.js';
+import { createMemoryTransport } from './crmRealtimeTransport.js';
+
+const now = new Date('2026-07-01T02:00:00.000Z');
+const at = (ms) => new Date(now.getTime() + ms);
+const an = { _id: 'agent-a', name: 'An' };
+const binh = { _id: 'agent-b', name: 'Binh' };
+
+test('presence tracks viewers and typists per conversation and expires them', () => {
+    const presence = createPresenceTracker();
+    presence.update({ userId: 'owner-1', conversationId: 'c1', actor: an, state: 'viewing', now });
+    presence.update({ userId: 'owner-1', conversationId: 'c1', actor: binh, state: 'typing', now: at(1000) });
+    presence.update({ userId: 'owner-1', conversationId: 'c2', actor: binh, state: 'viewing', now: at(1000) });
+
+    assert.deepStrictEqual(
+        presence.list('owner-1', 'c1', at(2000)).map((entry) => [entry.actorId, entry.state]),
+        [['agent-a', 'viewing'], ['agent-b', 'typing']]
+    );
+    assert.deepStrictEqual(presence.list('owner-2', 'c1', at(2000)), []);
+
+    // Typing lapses well before viewing does.
+    assert.deepStrictEqual(
+        presence.list('owner-1', 'c1', at(PRESENCE_TTL_MS.typing + 1001)).map((entry) => entry.actorId),
+        ['agent-a']
+    );
+    assert.deepStrictEqual(presence.list('owner-1', 'c1', at(PRESENCE_TTL_MS.viewing + 1)), []);
+});
+
+test('presence reports collisions with other typists and removes actors who leave', () => {
+    const presence = createPresenceTracker();
+    presence.update({ userId: 'owner-1', conversationId: 'c1', actor: an, state: 'typing', now });
+    presence.update({ userId: 'owner-1', conversationId: 'c1', actor: binh, state: 'typing', now });
+
+    assert.deepStrictEqual(presence.collisions('owner-1', 'c1', 'agent-a', now).map((entry) => entry.name), ['Binh']);
+
+    const remaining = presence.update({ userId: 'owner-1', conversationId: 'c1', actor: binh, state: 'left', now });
+    assert.deepStrictEqual(remaining.map((entry) => entry.actorId), ['agent-a']);
+    assert.deepStrictEqual(presence.collisions('owner-1', 'c1', 'agent-a', now), []);
+
+    const first = presence.list('owner-1', 'c1', now)[0].since;
+    presence.update({ userId: 'owner-1', conversationId: 'c1', actor: an, state: 'typing', now: at(5000) });
+    assert.strictEqual(presence.list('owner-1', 'c1', at(5000))[0].since, first);
+});
+
+test('presence updates reach trackers on other instances through the transport', () => {
+    // One memory transport stands in for the shared bus between two instances.
+    const bus = createMemoryTransport();
+    const published = [];
+    bus.subscribe(PRESENCE_TOPIC, (change) => published.push(change));
+    const first = createPresenceTracker({ getTransport: () => bus });
+    const second = createPresenceTracker({ getTransport: () => bus });
+    second.connect();
+
+    first.update({ userId: 'owner-1', conversationId: 'c1', actor: binh, state: 'typing', now });
+    assert.deepStrictEqual(published[0], {
+        userId: 'owner-1', conversationId: 'c1', actorId: 'agent-b', name: 'Binh', state: 'typing', at: now.getTime()
+    });
+    assert.deepStrictEqual(second.collisions('owner-1', 'c1', 'agent-a', at(1000)).map((entry) => entry.name), ['Binh']);
+
+    first.update({ userId: 'owner-1', conversationId: 'c1', actor: an, state: 'viewing', now });
+    assert.deepStrictEqual(second.list('owner-1', 'c1', at(1000)).map((entry) => entry.actorId), ['agent-b', 'agent-a']);
+    first.update({ userId: 'owner-1', conversationId: 'c1', actor: an, state: 'left', now: at(1000) });
+    assert.deepStrictEqual(second.list('owner-1', 'c1', at(2000)).map((entry) => entry.actorId), ['agent-b']);
+    assert.deepStrictEqual(second.list('owner-1', 'c1', at(PRESENCE_TTL_MS.typing + 1)), []);
+});
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import CrmRateLimitCounter from '../models/CrmRateLimitCounter.js';
+import CrmRealtimeMessage from '../models/CrmRealtimeMessage.js';
+
+// Transport behind the SSE hubs' fan-out and the CRM rate-limit counters.
+// `memory` (default) keeps both in this process, which is all a single
+// Fly.io instance needs. `mongo` shares them through MongoDB so several
+// instances can run side by side: published messages are inserted into
+// CrmRealtimeMessage and every instance tails its change stream (Atlas
+// clusters are replica sets, which change streams require); counters are
+// upserted into CrmRateLimitCounter. Select with CRM_REALTIME_TRANSPORT.
+export const REALTIME_TRANSPORTS = ['memory', 'mongo'];
+export const WATCH_RETRY_DELAY_MS = 5 * 1000;
+
+const defaultModels = { CrmRateLimitCounter, CrmRealtimeMessage };
+
+const windowStartOf = (now, windowMs) => Math.floor(now / windowMs) * windowMs;
+
+// Delivery to this instance's subscribers; shared by both transports.
+function createLocalFanout() {
+    const handlersByTopic = new Map(); // topic -> Set<handler>
+    return {
+        subscribe(topic, handler) {
+            let handlers = handlersByTopic.get(topic);
+            if (!handlers) {
+                handlers = new Set();
+                handlersByTopic.set(topic, handlers);
+            }
+            handlers.add(handler);
+            return () => handlers.delete(handler);
+        },
+        deliver(topic, message) {
+            for (const handler of handlersByTopic.get(topic) || []) {
+                try {
+                    handler(message);
+                } catch (error) {
+                    console.error(`Realtime handler error (${topic}):`, error.message);
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Single-process transport. Counters are fixed windows kept in a Map and
+ * swept as they expire.
+ */
+export function createMemoryTransport({ now = () => Date.now() } = {}) {
+    const fanout = createLocalFanout();
+    const counters = new Map(); // key -> { windowStart, resetAt, count }
+    let nextSweepAt = 0;
+
+    function sweep(at) {
+        if (at < nextSweepAt) return;
+        nextSweepAt = at + 60 * 1000;
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= at) counters.delete(key);
+        }
+    }
+
+    return {
+        kind: 'memory',
+        subscribe: fanout.subscribe,
+        publish(topic, message) {
+            fanout.deliver(topic, message);
+        },
+        async increment(key, windowMs) {
+            const at = now();
+            sweep(at);
+            const windowStart = windowStartOf(at, windowMs);
+            let counter = counters.get(key);
+            if (!counter || counter.windowStart !== windowStart) {
+                counter = { windowStart, resetAt: windowStart + windowMs, count: 0 };
+                counters.set(key, counter);
+            }
+            counter.count += 1;
+            return { count: counter.count, resetAt: new Date(counter.resetAt) };
+        },
+        async decrement(key) {
+            const counter = counters.get(key);
+            if (counter && counter.count > 0) counter.count -= 1;
+        },
+        async resetKey(key) {
+            counters.delete(key);
+        },
+        async start() {},
+        async close() {}
+    };
+}
+
+/**
+ * Multi-instance transport over MongoDB. Messages are delivered locally right
+ * away and inserted for the other instances; each instance ignores its own
+ * inserts on the change stream. If the stream errors it is reopened after
+ * `retryDelayMs`, resuming after the last change seen.
+ */
+export function createMongoTransport({
+    models = defaultModels,
+    instanceId = crypto.randomUUID(),
+    retryDelayMs = WATCH_RETRY_DELAY_MS,
+    now = () => Date.now()
+} = {}) {
+    const fanout = createLocalFanout();
+    let changeStream = null;
+    let resumeToken = null;
+    let retryTimer = null;
+    let closed = false;
+
+    function watch() {
+        const options = resumeToken ? { resumeAfter: resumeToken } : {};
+        changeStream = models.CrmRealtimeMessage.watch([{ $match: { operationType: 'insert' } }], options);
+        changeStream.on('change', (change) => {
+            resumeToken = change._id;
+            const doc = change.fullDocument;
+            if (!doc || doc.origin === instanceId) return;
+            fanout.deliver(doc.topic, doc.message);
+        });
+        changeStream.on('error', (error) => {
+            console.error('Realtime change stream error:', error.message);
+            const failed = changeStream;
+            changeStream = null;
+            Promise.resolve(failed?.close?.()).catch(() => {});
+            if (closed || retryTimer) return;
+            retryTimer = setTimeout(() => {
+                retryTimer = null;
+                if (!closed) watch();
+            }, retryDelayMs);
+            retryTimer.unref?.();
+        });
+    }
+
+    const windowFilter = (key, windowMs) => ({ key, windowStart: new Date(windowStartOf(now(), windowMs)) });
+
+    return {
+        kind: 'mongo',
+        instanceId,
+        subscribe: fanout.subscribe,
+        publish(topic, message) {
+            fanout.deliver(topic, message);
+            Promise.resolve()
+                .then(() => models.CrmRealtimeMessage.create({ topic, origin: instanceId, message }))
+                .catch((error) => console.error(`Realtime publish error (${topic}):`, error.message));
+        },
+        async increment(key, windowMs) {
+            const filter = windowFilter(key, windowMs);
+            const counter = await models.CrmRateLimitCounter.findOneAndUpdate(
+                filter,
+                { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(filter.windowStart.getTime() + windowMs) } },
+                { upsert: true, new: true }
+            );
+            return { count: counter.count, resetAt: counter.expiresAt };
+        },
+        async decrement(key, windowMs) {
+            await models.CrmRateLimitCounter.updateOne({ ...windowFilter(key, windowMs), count: { $gt: 0 } }, { $inc: { count: -1 } });
+        },
+        async resetKey(key) {
+            await models.CrmRateLimitCounter.deleteMany({ key });
+        },
+        async start() {
+            if (!changeStream && !closed) watch();
+        },
+        async close() {
+            closed = true;
+            clearTimeout(retryTimer);
+            retryTimer = null;
+            await changeStream?.close?.();
+            changeStream = null;
+        }
+    };
+}
+
+export function createRealtimeTransport(kind = process.env.CRM_REALTIME_TRANSPORT || 'memory') {
+    if (kind === 'mongo') return createMongoTransport();
+    if (kind !== 'memory') console.warn(`Unknown CRM_REALTIME_TRANSPORT "${kind}", using memory.`);
+    return createMemoryTransport();
+}
+
+let realtimeTransport = null;
+
+/**
+ * Process-wide transport shared by the hubs, limiters and startup code.
+ * Created on first use so CRM_REALTIME_TRANSPORT is read after dotenv.
+ */
+export function getRealtimeTransport() {
+    if (!realtimeTransport) realtimeTransport = createRealtimeTransport();
+    return realtimeTransport;
+}
@@ -0,0 +1,153 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'node:events';
+import { createMemoryTransport, createMongoTransport } from './crmRealtimeTransport.js';
+
+// In-memory stand-in for the two collections: inserts are pushed to every
+// open change stream, counters behave like the upserts the transport issues.
+const createMongoStandIn = () => {
+    const streams = new Set();
+    const counters = new Map();
+    let sequence = 0;
+    const counterKey = (filter) => `${filter.key}|${filter.windowStart.getTime()}`;
+    return {
+        streams,
+        counters,
+        models: {
+            CrmRealtimeMessage: {
+                async create(doc) {
+                    sequence += 1;
+                    const stored = { _id: `msg-${sequence}`, ...doc };
+                    for (const stream of streams) {
+                        stream.emit('change', { _id: { token: sequence }, operationType: 'insert', fullDocument: stored });
+                    }
+                    return stored;
+                },
+                watch(pipeline, options) {
+                    assert.deepStrictEqual(pipeline, [{ $match: { operationType: 'insert' } }]);
+                    const stream = new EventEmitter();
+                    stream.options = options;
+                    stream.close = async () => { streams.delete(stream); };
+                    streams.add(stream);
+                    return stream;
+                }
+            },
+            CrmRateLimitCounter: {
+                async findOneAndUpdate(filter, update, options) {
+                    assert.strictEqual(options.upsert, true);
+                    const key = counterKey(filter);
+                    const doc = counters.get(key) || { ...filter, count: 0, ...update.$setOnInsert };
+                    doc.count += update.$inc.count;
+                    counters.set(key, doc);
+                    return { ...doc };
+                },
+                async updateOne(filter, update) {
+                    const doc = counters.get(counterKey(filter));
+                    if (doc && doc.count > filter.count.$gt) doc.count += update.$inc.count;
+                },
+                async deleteMany({ key }) {
+                    for (const [id, doc] of counters) if (doc.key === key) counters.delete(id);
+                }
+            }
+        }
+    };
+};
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test('mongo transport fans out to other instances exactly once', async () => {
+    const mongo = createMongoStandIn();
+    const first = createMongoTransport({ models: mongo.models, instanceId: 'fly-a' });
+    const second = createMongoTransport({ models: mongo.models, instanceId: 'fly-b' });
+    await first.start();
+    await second.start();
+    const received = { a: [], b: [] };
+    first.subscribe('crm.events', (message) => received.a.push(message));
+    second.subscribe('crm.events', (message) => received.b.push(message));
+    second.subscribe('webchat.events', () => assert.fail('other topic'));
+
+    first.publish('crm.events', { key: 'owner-1', id: 1, eventName: 'message.new', data: '{}' });
+    // Local subscribers get it synchronously, other instances via the stream.
+    assert.strictEqual(received.a.length, 1);
+    assert.strictEqual(received.b.length, 0);
+    await tick();
+    assert.strictEqual(received.a.length, 1);
+    assert.deepStrictEqual(received.b, [{ key: 'owner-1', id: 1, eventName: 'message.new', data: '{}' }]);
+
+    await first.close();
+    await second.close();
+    assert.strictEqual(mongo.streams.size, 0);
+});
+
+test('mongo transport reopens a failed change stream after the last change seen', async () => {
+    const mongo = createMongoStandIn();
+    const transport = createMongoTransport({ models: mongo.models, instanceId: 'fly-a', retryDelayMs: 0 });
+    const other = createMongoTransport({ models: mongo.models, instanceId: 'fly-b' });
+    await transport.start();
+    const received = [];
+    transport.subscribe('crm.events', (message) => received.push(message.id));
+
+    other.publish('crm.events', { id: 1 });
+    await tick();
+    const [stream] = mongo.streams;
+    const errors = [];
+    const originalError = console.error;
+    console.error = (...args) => errors.push(args);
+    try {
+        stream.emit('error', new Error('connection reset'));
+        await tick();
+        await tick();
+    } finally {
+        console.error = originalError;
+    }
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(mongo.streams.size, 1);
+    const [reopened] = mongo.streams;
+    assert.notStrictEqual(reopened, stream);
+    assert.deepStrictEqual(reopened.options, { resumeAfter: { token: 1 } });
+
+    other.publish('crm.events', { id: 2 });
+    await tick();
+    assert.deepStrictEqual(received, [1, 2]);
+    await transport.close();
+});
+
+test('mongo transport counters are shared across instances and windows', async () => {
+    const mongo = createMongoStandIn();
+    let now = Date.parse('2026-07-01T00:00:30.000Z');
+    const first = createMongoTransport({ models: mongo.models, instanceId: 'fly-a', now: () => now });
+    const second = createMongoTransport({ models: mongo.models, instanceId: 'fly-b', now: () => now });
+
+    assert.strictEqual((await first.increment('webchat:send-ip:1.2.3.4', 60000)).count, 1);
+    const hit = await second.increment('webchat:send-ip:1.2.3.4', 60000);
+    assert.strictEqual(hit.count, 2);
+    assert.strictEqual(hit.resetAt.toISOString(), '2026-07-01T00:01:00.000Z');
+
+    await first.decrement('webchat:send-ip:1.2.3.4', 60000);
+    await first.decrement('webchat:send-ip:1.2.3.4', 60000);
+    await first.decrement('webchat:send-ip:1.2.3.4', 60000);
+    assert.strictEqual((await second.increment('webchat:send-ip:1.2.3.4', 60000)).count, 1);
+
+    now += 60000;
+    assert.strictEqual((await first.increment('webchat:send-ip:1.2.3.4', 60000)).count, 1);
+    await second.resetKey('webchat:send-ip:1.2.3.4');
+    assert.strictEqual(mongo.counters.size, 0);
+});
+
+test('memory transport delivers locally and counts in fixed windows', async () => {
+    let now = Date.parse('2026-07-01T00:00:10.000Z');
+    const transport = createMemoryTransport({ now: () => now });
+    const received = [];
+    const unsubscribe = transport.subscribe('crm.events', (message) => received.push(message));
+    transport.publish('crm.events', { id: 1 });
+    unsubscribe();
+    transport.publish('crm.events', { id: 2 });
+    assert.deepStrictEqual(received, [{ id: 1 }]);
+
+    await transport.increment('k', 60000);
+    assert.strictEqual((await transport.increment('k', 60000)).count, 2);
+    now += 60000;
+    assert.strictEqual((await transport.increment('k', 60000)).count, 1);
+    await transport.resetKey('k');
+    assert.strictEqual((await transport.increment('k', 60000)).count, 1);
+});
@@ -0,0 +1,304 @@
+import CrmConversation from '../models/CrmConversation.js';
+import CrmExecutionLog from '../models/CrmExecutionLog.js';
+import CrmGroupMessage from '../models/CrmGroupMessage.js';
+
+// Segment filter expressions (CrmSegment.filters with version 2):
+//
+//   { version: 2, expression: <node> }
+//   node := { and: [node, ...] } | { or: [node, ...] } | { not: node }
+//         | { field, operator, value }
+//
+// Version 1 (no version) is the original flat object of tags, lifecycleStage,
+// consentStatus, source, lastInteractionFrom/To and search; it is converted to
+// an expression so both formats compile through the same code.
+export const SEGMENT_FILTER_VERSION = 2;
+export const MAX_EXPRESSION_DEPTH = 6;
+export const MAX_EXPRESSION_CONDITIONS = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STRING_OPERATORS = ['equals', 'not_equals', 'in', 'not_in', 'contains', 'starts_with', 'exists', 'not_exists'];
+const ENUM_OPERATORS = ['equals', 'not_equals', 'in', 'not_in'];
+const NUMBER_OPERATORS = ['eq', 'gt', 'gte', 'lt', 'lte', 'between'];
+const DATE_OPERATORS = ['before', 'after', 'between', 'within_days', 'not_within_days', 'exists', 'not_exists'];
+
+// kind decides operators and how values are compiled. `derived` fields are
+// resolved against other collections before the customer query runs.
+export const SEGMENT_FIELDS = Object.freeze({
+    name: { kind: 'string' },
+    phone: { kind: 'string' },
+    email: { kind: 'string' },
+    company: { kind: 'string' },
+    source: { kind: 'string' },
+    zaloUserId: { kind: 'string' },
+    lifecycleStage: { kind: 'enum', values: ['lead', 'subscriber', 'opportunity', 'customer', 'evangelist', 'other'] },
+    consentStatus: { kind: 'enum', values: ['granted', 'revoked', 'pending'] },
+    status: { kind: 'enum', values: ['lead', 'contact', 'customer', 'inactive'] },
+    tags: { kind: 'tags', operators: ['has_any', 'has_all', 'has_none', 'empty', 'not_empty'] },
+    leadScore: { kind: 'number' },
+    lastInteractionAt: { kind: 'date' },
+    lastMessageAt: { kind: 'date' },
+    createdAt: { kind: 'date' },
+    lastInboundAt: { kind: 'derived', operators: ['within_days', 'not_within_days', 'before', 'after', 'exists', 'not_exists'] },
+    // value: campaign id(s), or empty for any campaign
+    campaign: { kind: 'derived', operators: ['targeted', 'received', 'replied'] },
+    // value: CrmZaloGroup id(s); membership = has posted in the group
+    zaloGroup: { kind: 'derived', operators: ['member_of'] }
+});
+
+const OPERATORS_BY_KIND = {
+    string: STRING_OPERATORS,
+    enum: ENUM_OPERATORS,
+    number: NUMBER_OPERATORS,
+    date: DATE_OPERATORS
+};
+
+const CUSTOM_FIELD_PATTERN = /^custom\.[A-Za-z0-9_-]{1,64}$/;
+
+const fieldSpec = (field) => {
+    if (typeof field !== 'string') return null;
+    if (CUSTOM_FIELD_PATTERN.test(field)) return { kind: 'string' };
+    return Object.prototype.hasOwnProperty.call(SEGMENT_FIELDS, field) ? SEGMENT_FIELDS[field] : null;
+};
+
+const operatorsFor = (spec) => spec.operators || OPERATORS_BY_KIND[spec.kind] || [];
+
+const asList = (value) => (Array.isArray(value) ? value : [value])
+    .filter((item) => item !== null && item !== undefined && item !== '');
+
+const isValidDate = (value) => value !== null && value !== undefined && value !== ''
+    && !Number.isNaN(new Date(value).getTime());
+
+const validateLeafValue = (spec, { operator, value }) => {
+    if (['exists', 'not_exists', 'empty', 'not_empty'].includes(operator)) return null;
+    if (spec.kind === 'derived' && ['campaign', 'zaloGroup'].includes(spec.field)) return null;
+    if (operator === 'between') {
+        if (!Array.isArray(value) || value.length !== 2) return 'between can mang [tu, den].';
+        const valid = spec.kind === 'number'
+            ? value.every((item) => Number.isFinite(Number(item)))
+            : value.every(isValidDate);
+        return valid ? null : 'Gia tri between khong hop le.';
+    }
+    if (['within_days', 'not_within_days'].includes(operator)) {
+        return Number(value) > 0 ? null : 'So ngay phai lon hon 0.';
+    }
+    if (['before', 'after'].includes(operator)) {
+        return isValidDate(value) ? null : 'Ngay khong hop le.';
+    }
+    if (spec.kind === 'number') {
+        return Number.isFinite(Number(value)) ? null : 'Gia tri so khong hop le.';
+    }
+    if (['in', 'not_in', 'has_any', 'has_all', 'has_none'].includes(operator)) {
+        return asList(value).length > 0 ? null : 'Can it nhat mot gia tri.';
+    }
+    if (spec.kind === 'enum' && !spec.values.includes(value)) {
+        return 'Gia tri khong nam trong danh sach cho phep.';
+    }
+    return value === undefined || value === null || value === '' ? 'Thieu gia tri.' : null;
+};
+
+/**
+ * Validate a filter expression tree.
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export function validateSegmentExpression(expression) {
+    const errors = [];
+    let conditionCount = 0;
+
+    const visit = (node, path, depth) => {
+        if (depth > MAX_EXPRESSION_DEPTH) {
+            errors.push({ path, message: `Bieu thuc long qua ${MAX_EXPRESSION_DEPTH} cap.` });
+            return;
+        }
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            errors.push({ path, message: 'Nut bieu thuc khong hop le.' });
+            return;
+        }
+        const groupKey = ['and', 'or'].find((key) => key in node);
+        if (groupKey) {
+            if (!Array.isArray(node[groupKey]) || node[groupKey].length === 0) {
+                errors.push({ path, message: `${groupKey} can mang dieu kien khong rong.` });
+                return;
+            }
+            node[groupKey].forEach((child, index) => visit(child, `${path}.${groupKey}[${index}]`, depth + 1));
+            return;
+        }
+        if ('not' in node) {
+            visit(node.not, `${path}.not`, depth + 1);
+            return;
+        }
+
+        conditionCount += 1;
+        const spec = fieldSpec(node.field);
+        if (!spec) {
+            errors.push({ path, message: `Truong khong duoc ho tro: ${node.field}` });
+            return;
+        }
+        if (!operatorsFor(spec).includes(node.operator)) {
+            errors.push({ path, message: `Toan tu ${node.operator} khong hop le cho truong ${node.field}.` });
+            return;
+        }
+        const valueError = validateLeafValue({ ...spec, field: node.field }, node);
+        if (valueError) errors.push({ path, message: valueError });
+    };
+
+    visit(expression, 'expression', 1);
+    if (conditionCount > MAX_EXPRESSION_CONDITIONS) {
+        errors.push({ path: 'expression', message: `Toi da ${MAX_EXPRESSION_CONDITIONS} dieu kien.` });
+    }
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Convert version-1 flat filters into an equivalent expression (null when the
+ * filters match everyone).
+ */
+export function legacyFiltersToExpression(filters = {}) {
+    const conditions = [];
+    const tags = Array.isArray(filters.tags) ? filters.tags.filter(Boolean) : [];
+    if (tags.length > 0) conditions.push({ field: 'tags', operator: 'has_any', value: tags });
+    if (filters.lifecycleStage) conditions.push({ field: 'lifecycleStage', operator: 'equals', value: filters.lifecycleStage });
+    if (filters.consentStatus) conditions.push({ field: 'consentStatus', operator: 'equals', value: filters.consentStatus });
+    if (filters.source) conditions.push({ field: 'source', operator: 'equals', value: filters.source });
+    if (filters.lastInteractionFrom) conditions.push({ field: 'lastInteractionAt', operator: 'after', value: filters.lastInteractionFrom });
+    if (filters.lastInteractionTo) conditions.push({ field: 'lastInteractionAt', operator: 'before', value: filters.lastInteractionTo });
+    if (filters.search) {
+        conditions.push({
+            or: ['name', 'phone', 'email', 'company'].map((field) => ({ field, operator: 'contains', value: filters.search }))
+        });
+    }
+    return conditions.length > 0 ? { and: conditions } : null;
+}
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const customerPath = (field) => (field.startsWith('custom.') ? `customFields.${field.slice('custom.'.length)}` : field);
+const daysAgo = (days, now) => new Date(now.getTime() - Number(days) * DAY_MS);
+
+const compileDateCondition = (operator, value, now) => {
+    switch (operator) {
+        case 'before': return { $lte: new Date(value) };
+        case 'after': return { $gte: new Date(value) };
+        case 'between': return { $gte: new Date(value[0]), $lte: new Date(value[1]) };
+        case 'within_days': return { $gte: daysAgo(value, now) };
+        case 'exists': return { $ne: null };
+        default: return null;
+    }
+};
+
+const compileLeaf = (node, path) => {
+    const { operator, value } = node;
+    const spec = fieldSpec(node.field);
+    if (spec.kind === 'tags') {
+        if (operator === 'has_any') return { tags: { $in: asList(value) } };
+        if (operator === 'has_all') return { tags: { $all: asList(value) } };
+        if (operator === 'has_none') return { tags: { $nin: asList(value) } };
+        if (operator === 'empty') return { $or: [{ tags: { $exists: false } }, { tags: { $size: 0 } }] };
+        return { 'tags.0': { $exists: true } };
+    }
+    if (spec.kind === 'number') {
+        if (operator === 'between') return { [path]: { $gte: Number(value[0]), $lte: Number(value[1]) } };
+        if (operator === 'eq') return { [path]: Number(value) };
+        return { [path]: { [`$${operator}`]: Number(value) } };
+    }
+    switch (operator) {
+        case 'equals': return { [path]: value };
+        case 'not_equals': return { [path]: { $ne: value } };
+        case 'in': return { [path]: { $in: asList(value) } };
+        case 'not_in': return { [path]: { $nin: asList(value) } };
+        case 'contains': return { [path]: { $regex: escapeRegex(value), $options: 'i' } };
+        case 'starts_with': return { [path]: { $regex: `^${escapeRegex(value)}`, $options: 'i' } };
+        case 'exists': return { [path]: { $nin: [null, ''] } };
+        case 'not_exists': return { $or: [{ [path]: null }, { [path]: '' }] };
+        default: return null;
+    }
+};
+
+const compileDerived = async (node, { userId, models, now }) => {
+    const { field, operator, value } = node;
+    if (field === 'lastInboundAt') {
+        // "not within" / "not exists" must include customers that never wrote
+        // in, so those compile as an exclusion of the positive set.
+        const negated = operator === 'not_within_days' || operator === 'not_exists';
+        const positiveOperator = { not_within_days: 'within_days', not_exists: 'exists' }[operator] || operator;
+        const customerIds = await models.CrmConversation.distinct('customerId', {
+            userId,
+            customerId: { $ne: null },
+            lastInboundAt: compileDateCondition(positiveOperator, value, now)
+        });
+        return { _id: negated ? { $nin: customerIds } : { $in: customerIds } };
+    }
+    if (field === 'campaign') {
+        const logFilter = { userId, customerId: { $ne: null } };
+        const campaignIds = asList(value);
+        if (campaignIds.length > 0) logFilter.campaignId = { $in: campaignIds };
+        else logFilter.campaignId = { $ne: null };
+        if (operator === 'received') logFilter.status = 'success';
+        if (operator === 'replied') logFilter.repliedAt = { $ne: null };
+        const customerIds = await models.CrmExecutionLog.distinct('customerId', logFilter);
+        return { _id: { $in: customerIds } };
+    }
+    // zaloGroup: customers whose Zalo user id has posted in one of the groups.
+    const groupFilter = { userId, senderId: { $nin: [null, ''] } };
+    const groupIds = asList(value);
+    if (groupIds.length > 0) groupFilter.groupId = { $in: groupIds };
+    const senderIds = await models.CrmGroupMessage.distinct('senderId', groupFilter);
+    return { zaloUserId: { $in: senderIds } };
+};
+
+/**
+ * Compile a validated expression into a CrmCustomer filter (without userId).
+ */
+export const compileSegmentExpression = async (expression, {
+    userId,
+    now = new Date(),
+    models = { CrmConversation, CrmExecutionLog, CrmGroupMessage }
+}) => {
+    const compile = async (node) => {
+        const group = Array.isArray(node.and) ? node.and : node.or;
+        if (Array.isArray(group)) {
+            const compiled = await Promise.all(group.map(compile));
+            if (compiled.length === 1) return compiled[0];
+            return { [Array.isArray(node.and) ? '$and' : '$or']: compiled };
+        }
+        if (node.not) return { $nor: [await compile(node.not)] };
+
+        const spec = fieldSpec(node.field);
+        if (spec.kind === 'derived') return compileDerived(node, { userId, models, now });
+        if (spec.kind === 'date') {
+            const path = customerPath(node.field);
+            if (node.operator === 'not_within_days') {
+                return { $or: [{ [path]: null }, { [path]: { $lt: daysAgo(node.value, now) } }] };
+            }
+            if (node.operator === 'not_exists') return { [path]: null };
+            return { [path]: compileDateCondition(node.operator, node.value, now) };
+        }
+        return compileLeaf(node, customerPath(node.field));
+    };
+    return compile(expression);
+};
+
+/**
+ * Compile a CrmSegment's filters into a tenant-scoped CrmCustomer query.
+ * Shared by customer listing/export, segment preview, campaign audiences and
+ * sequence enrollment. Accepts both legacy flat filters and version-2
+ * expressions; an invalid expression throws a 400 error with `details`.
+ * @param {import('mongoose').Types.ObjectId|string} userId
+ * @param {object} filters - CrmSegment.filters
+ * @returns {Promise<object>} Mongo filter for CrmCustomer
+ */
+export async function buildSegmentQuery(userId, filters = {}, options = {}) {
+    const isExpression = Number(filters?.version) >= SEGMENT_FILTER_VERSION;
+    const expression = isExpression ? filters.expression : legacyFiltersToExpression(filters || {});
+    if (!expression) return { userId };
+
+    // Legacy filters are converted 1:1 and were never validated, so only
+    // stored/submitted expressions go through the validator.
+    const { valid, errors } = isExpression ? validateSegmentExpression(expression) : { valid: true, errors: [] };
+    if (!valid) {
+        const error = new Error('Bieu thuc loc segment khong hop le.');
+        error.statusCode = 400;
+        error.details = errors;
+        throw error;
+    }
+    const compiled = await compileSegmentExpression(expression, { userId, ...options });
+    return { userId, ...compiled };
+}
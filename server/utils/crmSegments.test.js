@@ -0,0 +1,154 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    buildSegmentQuery,
+    compileSegmentExpression,
+    legacyFiltersToExpression,
+    validateSegmentExpression
+} from './crmSegments.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-07-01T00:00:00.000Z');
+
+test('buildSegmentQuery keeps legacy flat filters working', async () => {
+    const query = await buildSegmentQuery('user-1', {
+        tags: ['vip'],
+        lifecycleStage: 'lead',
+        lastInteractionFrom: '2026-06-01T00:00:00.000Z',
+        search: 'a.b'
+    });
+    assert.deepStrictEqual(query, {
+        userId: 'user-1',
+        $and: [
+            { tags: { $in: ['vip'] } },
+            { lifecycleStage: 'lead' },
+            { lastInteractionAt: { $gte: new Date('2026-06-01T00:00:00.000Z') } },
+            {
+                $or: [
+                    { name: { $regex: 'a\\.b', $options: 'i' } },
+                    { phone: { $regex: 'a\\.b', $options: 'i' } },
+                    { email: { $regex: 'a\\.b', $options: 'i' } },
+                    { company: { $regex: 'a\\.b', $options: 'i' } }
+                ]
+            }
+        ]
+    });
+    assert.deepStrictEqual(await buildSegmentQuery('user-1', { tags: ['vip'] }), { userId: 'user-1', tags: { $in: ['vip'] } });
+    assert.deepStrictEqual(await buildSegmentQuery('user-1', {}), { userId: 'user-1' });
+    assert.strictEqual(legacyFiltersToExpression({ tags: [] }), null);
+});
+
+test('validateSegmentExpression reports unknown fields, bad operators and values with paths', () => {
+    assert.deepStrictEqual(validateSegmentExpression({
+        and: [
+            { field: 'leadScore', operator: 'gte', value: 50 },
+            { or: [{ field: 'custom.city', operator: 'equals', value: 'HN' }, { not: { field: 'tags', operator: 'has_any', value: ['x'] } }] }
+        ]
+    }), { valid: true, errors: [] });
+
+    const { valid, errors } = validateSegmentExpression({
+        and: [
+            { field: 'password', operator: 'equals', value: 'x' },
+            { field: 'leadScore', operator: 'contains', value: 'x' },
+            { or: [] },
+            { field: 'lifecycleStage', operator: 'equals', value: 'vip' },
+            { field: 'lastInboundAt', operator: 'within_days', value: 0 }
+        ]
+    });
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(errors.map((error) => error.path), [
+        'expression.and[0]',
+        'expression.and[1]',
+        'expression.and[2]',
+        'expression.and[3]',
+        'expression.and[4]'
+    ]);
+
+    let deep = { field: 'name', operator: 'exists' };
+    for (let i = 0; i < 6; i += 1) deep = { not: deep };
+    assert.strictEqual(validateSegmentExpression(deep).valid, false);
+});
+
+test('compileSegmentExpression nests groups, negation, numbers, dates and custom fields', async () => {
+    const compiled = await compileSegmentExpression({
+        or: [
+            {
+                and: [
+                    { field: 'leadScore', operator: 'between', value: [40, 80] },
+                    { not: { field: 'tags', operator: 'has_any', value: ['blocked'] } }
+                ]
+            },
+            { field: 'custom.city', operator: 'starts_with', value: 'Ha' },
+            { field: 'lastMessageAt', operator: 'not_within_days', value: 30 }
+        ]
+    }, { userId: 'user-1', now, models: {} });
+
+    assert.deepStrictEqual(compiled, {
+        $or: [
+            {
+                $and: [
+                    { leadScore: { $gte: 40, $lte: 80 } },
+                    { $nor: [{ tags: { $in: ['blocked'] } }] }
+                ]
+            },
+            { 'customFields.city': { $regex: '^Ha', $options: 'i' } },
+            { $or: [{ lastMessageAt: null }, { lastMessageAt: { $lt: new Date(now.getTime() - 30 * DAY_MS) } }] }
+        ]
+    });
+});
+
+test('compileSegmentExpression resolves inbound, campaign and group conditions from other collections', async () => {
+    const calls = [];
+    const models = {
+        CrmConversation: {
+            async distinct(field, filter) {
+                calls.push(['conversation', field, filter.lastInboundAt]);
+                return ['c1'];
+            }
+        },
+        CrmExecutionLog: {
+            async distinct(field, filter) {
+                calls.push(['log', field, filter.campaignId, filter.repliedAt]);
+                return ['c2'];
+            }
+        },
+        CrmGroupMessage: {
+            async distinct(field, filter) {
+                calls.push(['group', field, filter.groupId]);
+                return ['zalo-9'];
+            }
+        }
+    };
+
+    const compiled = await compileSegmentExpression({
+        and: [
+            { field: 'lastInboundAt', operator: 'not_within_days', value: 14 },
+            { field: 'campaign', operator: 'replied', value: ['camp-1'] },
+            { field: 'zaloGroup', operator: 'member_of', value: 'grp-1' }
+        ]
+    }, { userId: 'user-1', now, models });
+
+    assert.deepStrictEqual(compiled, {
+        $and: [
+            { _id: { $nin: ['c1'] } },
+            { _id: { $in: ['c2'] } },
+            { zaloUserId: { $in: ['zalo-9'] } }
+        ]
+    });
+    assert.deepStrictEqual(calls, [
+        ['conversation', 'customerId', { $gte: new Date(now.getTime() - 14 * DAY_MS) }],
+        ['log', 'customerId', { $in: ['camp-1'] }, { $ne: null }],
+        ['group', 'senderId', { $in: ['grp-1'] }]
+    ]);
+});
+
+test('buildSegmentQuery rejects invalid version-2 expressions with details', async () => {
+    await assert.rejects(
+        buildSegmentQuery('user-1', { version: 2, expression: { field: 'nope', operator: 'equals', value: 1 } }),
+        (error) => error.statusCode === 400 && error.details.length === 1
+    );
+    assert.deepStrictEqual(
+        await buildSegmentQuery('user-1', { version: 2, expression: { field: 'consentStatus', operator: 'in', value: ['granted'] } }),
+        { userId: 'user-1', consentStatus: { $in: ['granted'] } }
+    );
+});
@@ -0,0 +1,370 @@
+import CrmAgentCommand from '../models/CrmAgentCommand.js';
+import CrmCustomer from '../models/CrmCustomer.js';
+import CrmSequence from '../models/CrmSequence.js';
+import CrmSequenceEnrollment from '../models/CrmSequenceEnrollment.js';
+import CrmTemplate from '../models/CrmTemplate.js';
+import { renderTemplate } from './crmTemplateRender.js';
+
+export const MAX_SEQUENCE_STEPS = 20;
+const MINUTE_MS = 60 * 1000;
+const DUPLICATE_KEY_ERROR = 11000;
+const TRIGGER_TYPES = ['manual', 'customer_created', 'tag_added', 'lifecycle_stage'];
+
+/**
+ * Validate the ordered step list from the sequence API.
+ * @returns {{ steps: Array<{ name: string, templateId: any, delayMinutes: number }>, error: string|null }}
+ */
+export function normalizeSequenceSteps(input) {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { steps: [], error: 'Chuoi tin nhan can it nhat mot buoc.' };
+    }
+    if (input.length > MAX_SEQUENCE_STEPS) {
+        return { steps: [], error: `Chuoi tin nhan toi da ${MAX_SEQUENCE_STEPS} buoc.` };
+    }
+    const steps = [];
+    for (const [index, item] of input.entries()) {
+        if (!item?.templateId) {
+            return { steps: [], error: `Buoc ${index + 1} chua chon mau tin nhan.` };
+        }
+        const delayMinutes = item.delayMinutes === undefined ? 0 : Number(item.delayMinutes);
+        if (!Number.isFinite(delayMinutes) || delayMinutes < 0) {
+            return { steps: [], error: `Thoi gian cho cua buoc ${index + 1} khong hop le.` };
+        }
+        steps.push({
+            name: String(item.name || '').trim().slice(0, 120),
+            templateId: item.templateId,
+            delayMinutes: Math.round(delayMinutes)
+        });
+    }
+    return { steps, error: null };
+}
+
+/**
+ * Normalize trigger input; unknown types fall back to manual enrollment only.
+ */
+export function normalizeSequenceTrigger(input = {}) {
+    const type = TRIGGER_TYPES.includes(input?.type) ? input.type : 'manual';
+    return {
+        type,
+        tag: type === 'tag_added' ? String(input.tag || '').trim() : '',
+        lifecycleStage: type === 'lifecycle_stage' ? String(input.lifecycleStage || '').trim() : ''
+    };
+}
+
+const stepDueAt = (sequence, stepIndex, from) => new Date(
+    from.getTime() + (Number(sequence.steps[stepIndex]?.delayMinutes) || 0) * MINUTE_MS
+);
+
+/**
+ * Enroll customers into a sequence. Customers without granted consent or a
+ * phone are skipped, as are customers already enrolled (unique index).
+ * @returns {Promise<{ enrolled: number, skipped: number }>}
+ */
+export const enrollCustomers = async ({
+    sequence,
+    customers,
+    source = 'manual',
+    now = new Date(),
+    models = { CrmSequence, CrmSequenceEnrollment }
+}) => {
+    const eligible = customers.filter((customer) => customer.consentStatus === 'granted' && customer.phone);
+    const docs = eligible.map((customer) => ({
+        userId: sequence.userId,
+        sequenceId: sequence._id,
+        customerId: customer._id,
+        status: 'active',
+        source,
+        nextStepIndex: 0,
+        nextStepAt: stepDueAt(sequence, 0, now),
+        lifecycleStageAtEnrollment: customer.lifecycleStage || '',
+        enrolledAt: now
+    }));
+
+    let enrolled = 0;
+    if (docs.length > 0) {
+        try {
+            const inserted = await models.CrmSequenceEnrollment.insertMany(docs, { ordered: false });
+            enrolled = inserted.length;
+        } catch (error) {
+            // Already-enrolled customers hit the unique index; keep the rest.
+            const writeErrors = error.writeErrors || [];
+            if (error.code !== DUPLICATE_KEY_ERROR && !writeErrors.every((item) => (item.code ?? item.err?.code) === DUPLICATE_KEY_ERROR)) {
+                throw error;
+            }
+            enrolled = error.insertedDocs?.length ?? (docs.length - writeErrors.length);
+        }
+    }
+    if (enrolled > 0) {
+        await models.CrmSequence.updateOne({ _id: sequence._id }, { $inc: { 'metrics.enrolledCount': enrolled } });
+    }
+    return { enrolled, skipped: customers.length - enrolled };
+};
+
+/**
+ * Why an enrollment should stop before its next step, or null to continue.
+ */
+export function getEnrollmentExitReason({ sequence, enrollment, customer }) {
+    if (!customer || customer.consentStatus !== 'granted') return 'consent_withdrawn';
+    if (!customer.phone) return 'missing_phone';
+    const exit = sequence.exitConditions || {};
+    const stage = customer.lifecycleStage || '';
+    if (exit.onLifecycleChange && stage !== (enrollment.lifecycleStageAtEnrollment || '')) {
+        const stages = exit.lifecycleStages || [];
+        if (stages.length === 0 || stages.includes(stage)) return 'lifecycle_changed';
+    }
+    return null;
+}
+
+const exitEnrollment = (enrollment, reason, now) => {
+    enrollment.status = 'exited';
+    enrollment.exitReason = reason;
+    enrollment.exitedAt = now;
+    enrollment.nextStepAt = null;
+};
+
+/**
+ * Send the due step of each enrollment of one sequence through a single
+ * START_CAMPAIGN command per step (payload.sequenceId instead of campaignId),
+ * then advance each enrollment to its next step or complete it.
+ * @returns {Promise<{ dispatched: number, exited: number, completed: number, commands: Array }>}
+ */
+export const dispatchSequenceSteps = async ({
+    sequence,
+    enrollments,
+    subscriptionId,
+    device,
+    createCommand = null,
+    models = { CrmCustomer, CrmTemplate, CrmSequence, CrmAgentCommand },
+    now = new Date()
+}) => {
+    const summary = { dispatched: 0, exited: 0, completed: 0, commands: [] };
+    const customers = await models.CrmCustomer.find({
+        _id: { $in: enrollments.map((enrollment) => enrollment.customerId) },
+        userId: sequence.userId
+    });
+    const customersById = new Map(customers.map((customer) => [String(customer._id), customer]));
+
+    const byStep = new Map();
+    for (const enrollment of enrollments) {
+        const customer = customersById.get(String(enrollment.customerId));
+        const reason = getEnrollmentExitReason({ sequence, enrollment, customer });
+        if (reason) {
+            exitEnrollment(enrollment, reason, now);
+            await enrollment.save();
+            summary.exited += 1;
+            continue;
+        }
+        const stepIndex = enrollment.nextStepIndex;
+        if (!byStep.has(stepIndex)) byStep.set(stepIndex, []);
+        byStep.get(stepIndex).push({ enrollment, customer });
+    }
+
+    for (const [stepIndex, items] of byStep) {
+        const step = sequence.steps[stepIndex];
+        const template = step
+            ? await models.CrmTemplate.findOne({ _id: step.templateId, userId: sequence.userId })
+            : null;
+
+        const recipients = [];
+        const failures = new Map();
+        for (const { enrollment, customer } of items) {
+            if (!template) {
+                failures.set(enrollment, 'Khong tim thay mau tin nhan cua buoc.');
+                continue;
+            }
+            const { text, missing } = renderTemplate(template.body || '', {
+                customer,
+                requiredVariables: template.variables || [],
+                timeZone: sequence.timezone,
+                now
+            });
+            if (missing.length > 0) {
+                failures.set(enrollment, `Thieu bien: ${missing.join(', ')}`);
+                continue;
+            }
+            recipients.push({
+                customerId: customer._id,
+                enrollmentId: enrollment._id,
+                phone: customer.phone,
+                name: customer.name || '',
+                threadType: sequence.channel,
+                message: text
+            });
+        }
+
+        let agentCommand = null;
+        if (recipients.length > 0) {
+            const commandPayload = {
+                userId: sequence.userId,
+                subscriptionId,
+                deviceId: device._id,
+                type: 'START_CAMPAIGN',
+                payload: {
+                    campaignId: null,
+                    sequenceId: sequence._id,
+                    stepIndex,
+                    templateId: step.templateId,
+                    message: template.body || '',
+                    channel: sequence.channel,
+                    accountId: sequence.selectedAccountId,
+                    recipients,
+                    rateLimit: sequence.rateLimit
+                },
+                status: 'queued',
+                idempotencyKey: `sequence-step:${sequence._id}:${stepIndex}:${now.getTime()}`,
+                expiresAt: new Date(now.getTime() + 24 * 60 * 60 * 1000)
+            };
+            agentCommand = createCommand
+                ? await createCommand(commandPayload)
+                : await models.CrmAgentCommand.create(commandPayload);
+            summary.commands.push(agentCommand);
+        }
+
+        // A step that cannot render is recorded as failed and skipped, so one
+        // bad customer record doesn't stall the rest of their sequence forever.
+        for (const { enrollment } of items) {
+            const errorMessage = failures.get(enrollment) || '';
+            enrollment.history.push({
+                stepIndex,
+                templateId: step?.templateId || null,
+                agentCommandId: errorMessage ? null : agentCommand?._id || null,
+                status: errorMessage ? 'failed' : 'queued',
+                dispatchedAt: now,
+                errorMessage
+            });
+            enrollment.lastStepSentAt = errorMessage ? enrollment.lastStepSentAt : now;
+            enrollment.nextStepIndex = stepIndex + 1;
+            if (enrollment.nextStepIndex >= sequence.steps.length) {
+                enrollment.status = 'completed';
+                enrollment.completedAt = now;
+                enrollment.nextStepAt = null;
+                summary.completed += 1;
+            } else {
+                enrollment.nextStepAt = stepDueAt(sequence, enrollment.nextStepIndex, now);
+            }
+            await enrollment.save();
+            if (!errorMessage) summary.dispatched += 1;
+        }
+    }
+
+    if (summary.completed > 0 || summary.exited > 0) {
+        await models.CrmSequence.updateOne({ _id: sequence._id }, {
+            $inc: { 'metrics.completedCount': summary.completed, 'metrics.exitedCount': summary.exited }
+        });
+    }
+    return summary;
+};
+
+/**
+ * Record the agent's per-recipient outcome of a sequence step command on the
+ * matching enrollment history entries.
+ */
+export const applySequenceStepResults = async ({
+    command,
+    results = [],
+    success = true,
+    models = { CrmSequenceEnrollment, CrmCustomer },
+    now = new Date()
+}) => {
+    const recipients = Array.isArray(command.payload?.recipients) ? command.payload.recipients : [];
+    const resultsByCustomer = new Map(results.map((item) => [String(item.customerId || ''), item]));
+    const resultsByPhone = new Map(results.map((item) => [String(item.phone || ''), item]));
+    const mapStatus = (status) => {
+        if (status === 'succeeded' || status === 'success') return 'success';
+        if (status === 'failed') return 'failed';
+        return 'cancelled';
+    };
+
+    const successfulCustomerIds = [];
+    for (const recipient of recipients) {
+        if (!recipient.enrollmentId) continue;
+        const item = resultsByCustomer.get(String(recipient.customerId)) || resultsByPhone.get(String(recipient.phone));
+        const status = item ? mapStatus(item.status) : (success ? 'cancelled' : 'failed');
+        if (status === 'success') successfulCustomerIds.push(recipient.customerId);
+        await models.CrmSequenceEnrollment.updateOne(
+            { _id: recipient.enrollmentId, 'history.agentCommandId': command._id },
+            {
+                $set: {
+                    'history.$.status': status,
+                    'history.$.sentAt': status === 'success' ? now : null,
+                    'history.$.errorMessage': item?.error || item?.message || ''
+                }
+            }
+        );
+    }
+    if (successfulCustomerIds.length > 0) {
+        await models.CrmCustomer.updateMany(
+            { _id: { $in: successfulCustomerIds }, userId: command.userId },
+            { $set: { lastInteractionAt: now, lastMessageAt: now } }
+        );
+    }
+};
+
+/**
+ * Exit every active enrollment of `customer` in sequences that stop on reply.
+ * Called from the inbound message path.
+ * @returns {Promise<number>} number of enrollments exited
+ */
+export const exitSequencesOnReply = async ({
+    userId,
+    customer,
+    receivedAt = new Date(),
+    models = { CrmSequence, CrmSequenceEnrollment }
+}) => {
+    if (!customer?._id) return 0;
+    const active = await models.CrmSequenceEnrollment.find({ userId, customerId: customer._id, status: 'active' });
+    if (active.length === 0) return 0;
+
+    const sequences = await models.CrmSequence.find({
+        _id: { $in: active.map((enrollment) => enrollment.sequenceId) },
+        userId,
+        'exitConditions.onReply': true
+    });
+    let exited = 0;
+    for (const sequence of sequences) {
+        const result = await models.CrmSequenceEnrollment.updateMany(
+            { userId, customerId: customer._id, sequenceId: sequence._id, status: 'active' },
+            { $set: { status: 'exited', exitReason: 'replied', exitedAt: receivedAt, nextStepAt: null } }
+        );
+        const count = result.modifiedCount || 0;
+        if (count > 0) {
+            await models.CrmSequence.updateOne({ _id: sequence._id }, { $inc: { 'metrics.exitedCount': count } });
+            exited += count;
+        }
+    }
+    return exited;
+};
+
+/**
+ * Enroll a customer into every active sequence whose trigger matches `event`:
+ *   { type: 'customer_created' }
+ *   { type: 'tag_added', tags: [...] }       newly added tags
+ *   { type: 'lifecycle_stage', lifecycleStage }  stage the customer moved into
+ * @returns {Promise<number>} number of new enrollments
+ */
+export const enrollOnTrigger = async ({
+    userId,
+    customer,
+    event,
+    now = new Date(),
+    models = { CrmSequence, CrmSequenceEnrollment }
+}) => {
+    if (!customer?._id || !event?.type) return 0;
+    const query = { userId, status: 'active', 'trigger.type': event.type };
+    if (event.type === 'tag_added') {
+        if (!Array.isArray(event.tags) || event.tags.length === 0) return 0;
+        query['trigger.tag'] = { $in: event.tags };
+    }
+    if (event.type === 'lifecycle_stage') {
+        if (!event.lifecycleStage) return 0;
+        query['trigger.lifecycleStage'] = event.lifecycleStage;
+    }
+
+    const sequences = await models.CrmSequence.find(query);
+    let enrolled = 0;
+    for (const sequence of sequences) {
+        const result = await enrollCustomers({ sequence, customers: [customer], source: 'trigger', now, models });
+        enrolled += result.enrolled;
+    }
+    return enrolled;
+};
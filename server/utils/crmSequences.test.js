@@ -0,0 +1,215 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    applySequenceStepResults,
+    dispatchSequenceSteps,
+    enrollCustomers,
+    exitSequencesOnReply,
+    getEnrollmentExitReason,
+    normalizeSequenceSteps,
+    normalizeSequenceTrigger
+} from './crmSequences.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const buildSequence = (overrides = {}) => ({
+    _id: 'seq-1',
+    userId: 'user-1',
+    name: 'Onboarding',
+    status: 'active',
+    channel: 'zalo',
+    timezone: 'Asia/Ho_Chi_Minh',
+    steps: [
+        { templateId: 'tpl-1', delayMinutes: 0 },
+        { templateId: 'tpl-2', delayMinutes: 60 }
+    ],
+    exitConditions: { onReply: true, onLifecycleChange: false, lifecycleStages: [] },
+    rateLimit: { minDelaySeconds: 3, maxDelaySeconds: 5 },
+    ...overrides
+});
+
+const buildEnrollment = (overrides = {}) => ({
+    _id: 'enr-1',
+    customerId: 'cust-1',
+    status: 'active',
+    nextStepIndex: 0,
+    lifecycleStageAtEnrollment: 'lead',
+    history: [],
+    saves: 0,
+    async save() {
+        this.saves += 1;
+    },
+    ...overrides
+});
+
+const customer = { _id: 'cust-1', name: 'Nguyen Van An', phone: '0903', consentStatus: 'granted', lifecycleStage: 'lead' };
+
+test('normalizeSequenceSteps validates templates and delays', () => {
+    assert.ok(normalizeSequenceSteps([]).error);
+    assert.ok(normalizeSequenceSteps([{ delayMinutes: 5 }]).error);
+    assert.ok(normalizeSequenceSteps([{ templateId: 'tpl-1', delayMinutes: -1 }]).error);
+    assert.deepStrictEqual(normalizeSequenceSteps([{ templateId: 'tpl-1', delayMinutes: '90' }]).steps, [
+        { name: '', templateId: 'tpl-1', delayMinutes: 90 }
+    ]);
+    assert.deepStrictEqual(normalizeSequenceTrigger({ type: 'tag_added', tag: ' vip ', lifecycleStage: 'lead' }), {
+        type: 'tag_added', tag: 'vip', lifecycleStage: ''
+    });
+    assert.strictEqual(normalizeSequenceTrigger({ type: 'nope' }).type, 'manual');
+});
+
+test('enrollCustomers skips customers without consent or phone and counts duplicates as skipped', async () => {
+    const inserted = [];
+    const incs = [];
+    const now = new Date('2026-07-01T00:00:00.000Z');
+    const sequence = buildSequence({ steps: [{ templateId: 'tpl-1', delayMinutes: 30 }] });
+    const duplicate = Object.assign(new Error('dup'), {
+        code: 11000,
+        writeErrors: [{ code: 11000 }],
+        insertedDocs: [{ customerId: 'cust-1' }]
+    });
+
+    const result = await enrollCustomers({
+        sequence,
+        customers: [
+            customer,
+            { _id: 'cust-2', phone: '0904', consentStatus: 'granted' },
+            { _id: 'cust-3', phone: '0905', consentStatus: 'revoked' },
+            { _id: 'cust-4', phone: '', consentStatus: 'granted' }
+        ],
+        source: 'segment',
+        now,
+        models: {
+            CrmSequenceEnrollment: {
+                async insertMany(docs) {
+                    inserted.push(...docs);
+                    throw duplicate;
+                }
+            },
+            CrmSequence: { async updateOne(filter, update) { incs.push(update.$inc); } }
+        }
+    });
+
+    assert.deepStrictEqual(inserted.map((doc) => doc.customerId), ['cust-1', 'cust-2']);
+    assert.strictEqual(inserted[0].nextStepAt.getTime(), now.getTime() + 30 * MINUTE_MS);
+    assert.strictEqual(inserted[0].source, 'segment');
+    assert.deepStrictEqual(result, { enrolled: 1, skipped: 3 });
+    assert.deepStrictEqual(incs, [{ 'metrics.enrolledCount': 1 }]);
+});
+
+test('getEnrollmentExitReason checks consent and configured lifecycle exits', () => {
+    const sequence = buildSequence({ exitConditions: { onLifecycleChange: true, lifecycleStages: ['customer'] } });
+    const enrollment = buildEnrollment();
+    assert.strictEqual(getEnrollmentExitReason({ sequence, enrollment, customer }), null);
+    assert.strictEqual(getEnrollmentExitReason({ sequence, enrollment, customer: { ...customer, consentStatus: 'revoked' } }), 'consent_withdrawn');
+    assert.strictEqual(getEnrollmentExitReason({ sequence, enrollment, customer: { ...customer, lifecycleStage: 'opportunity' } }), null);
+    assert.strictEqual(getEnrollmentExitReason({ sequence, enrollment, customer: { ...customer, lifecycleStage: 'customer' } }), 'lifecycle_changed');
+});
+
+test('dispatchSequenceSteps sends one command per step and advances enrollments', async () => {
+    const commands = [];
+    const now = new Date('2026-07-01T02:00:00.000Z');
+    const sequence = buildSequence();
+    const first = buildEnrollment();
+    const last = buildEnrollment({ _id: 'enr-2', customerId: 'cust-2', nextStepIndex: 1 });
+    const revoked = buildEnrollment({ _id: 'enr-3', customerId: 'cust-3' });
+
+    const summary = await dispatchSequenceSteps({
+        sequence,
+        enrollments: [first, last, revoked],
+        subscriptionId: 'sub-1',
+        device: { _id: 'dev-1' },
+        now,
+        models: {
+            CrmCustomer: {
+                async find() {
+                    return [
+                        customer,
+                        { _id: 'cust-2', name: 'Tran Thi Binh', phone: '0904', consentStatus: 'granted' },
+                        { _id: 'cust-3', name: 'Le C', phone: '0905', consentStatus: 'revoked' }
+                    ];
+                }
+            },
+            CrmTemplate: { async findOne({ _id }) { return { _id, body: `${_id}: Chao {{firstName}}` }; } },
+            CrmSequence: { async updateOne() {} },
+            CrmAgentCommand: {
+                async create(payload) {
+                    commands.push(payload);
+                    return { _id: `cmd-${commands.length}`, ...payload };
+                }
+            }
+        }
+    });
+
+    assert.deepStrictEqual({ ...summary, commands: summary.commands.length }, { dispatched: 2, exited: 1, completed: 1, commands: 2 });
+    assert.deepStrictEqual(commands.map((command) => [command.type, command.payload.sequenceId, command.payload.stepIndex]), [
+        ['START_CAMPAIGN', 'seq-1', 0],
+        ['START_CAMPAIGN', 'seq-1', 1]
+    ]);
+    assert.strictEqual(commands[0].payload.recipients[0].message, 'tpl-1: Chao An');
+    assert.strictEqual(commands[0].payload.recipients[0].enrollmentId, 'enr-1');
+
+    assert.strictEqual(first.nextStepIndex, 1);
+    assert.strictEqual(first.nextStepAt.getTime(), now.getTime() + 60 * MINUTE_MS);
+    assert.deepStrictEqual(first.history.map((entry) => [entry.stepIndex, entry.status, entry.agentCommandId]), [[0, 'queued', 'cmd-1']]);
+    assert.strictEqual(last.status, 'completed');
+    assert.strictEqual(last.nextStepAt, null);
+    assert.strictEqual(revoked.status, 'exited');
+    assert.strictEqual(revoked.exitReason, 'consent_withdrawn');
+});
+
+test('applySequenceStepResults records per-recipient outcomes on history entries', async () => {
+    const updates = [];
+    const touched = [];
+    await applySequenceStepResults({
+        command: {
+            _id: 'cmd-1',
+            userId: 'user-1',
+            payload: {
+                recipients: [
+                    { customerId: 'cust-1', enrollmentId: 'enr-1', phone: '0903' },
+                    { customerId: 'cust-2', enrollmentId: 'enr-2', phone: '0904' }
+                ]
+            }
+        },
+        results: [{ customerId: 'cust-1', status: 'success' }, { phone: '0904', status: 'failed', error: 'blocked' }],
+        models: {
+            CrmSequenceEnrollment: { async updateOne(filter, update) { updates.push([filter, update.$set]); } },
+            CrmCustomer: { async updateMany(filter) { touched.push(filter._id.$in); } }
+        }
+    });
+
+    assert.deepStrictEqual(updates[0][0], { _id: 'enr-1', 'history.agentCommandId': 'cmd-1' });
+    assert.strictEqual(updates[0][1]['history.$.status'], 'success');
+    assert.strictEqual(updates[1][1]['history.$.status'], 'failed');
+    assert.strictEqual(updates[1][1]['history.$.errorMessage'], 'blocked');
+    assert.deepStrictEqual(touched, [['cust-1']]);
+});
+
+test('exitSequencesOnReply only exits sequences configured to stop on reply', async () => {
+    const exits = [];
+    const exited = await exitSequencesOnReply({
+        userId: 'user-1',
+        customer,
+        models: {
+            CrmSequenceEnrollment: {
+                async find() {
+                    return [{ sequenceId: 'seq-1' }, { sequenceId: 'seq-2' }];
+                },
+                async updateMany(filter, update) {
+                    exits.push([filter.sequenceId, update.$set.exitReason]);
+                    return { modifiedCount: 1 };
+                }
+            },
+            CrmSequence: {
+                async find(filter) {
+                    assert.strictEqual(filter['exitConditions.onReply'], true);
+                    return [{ _id: 'seq-1' }];
+                },
+                async updateOne() {}
+            }
+        }
+    });
+
+    assert.strictEqual(exited, 1);
+    assert.deepStrictEqual(exits, [['seq-1', 'replied']]);
+});
@@ -0,0 +1,353 @@
+import CrmConversation from '../models/CrmConversation.js';
+import CrmSlaPolicy from '../models/CrmSlaPolicy.js';
+import {
+    DEFAULT_BUSINESS_TIMEZONE,
+    businessDailyRanges,
+    businessWorkingDays,
+    fromWallClock,
+    getZoneFormatter,
+    normalizeBusinessHoursInput,
+    toWallClock
+} from './crmBusinessHours.js';
+
+export const SLA_TARGETS = ['firstResponse', 'nextResponse', 'resolution'];
+export const SLA_EVENT_TYPES = ['inbound', 'outbound', 'resolved'];
+export const SLA_CHANNELS = ['zalo_personal', 'zalo_oa', 'facebook_page', 'tiktok', 'instagram', 'whatsapp', 'telegram', 'webchat'];
+
+// Business time is computed per local calendar day from the open intervals
+// crmBusinessHours.js defines, the same ones chatbot rules and the webchat
+// schedule use.
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Calendar days walked at most. Any 63 days hold 8 full weeks of business
+// time, which is as far as normalizeSlaPolicyInput lets a target reach, so
+// only hours that never open leave a target without a due date.
+const MAX_WALK_DAYS = 63;
+export const MAX_SLA_TARGET_WEEKS = 8;
+
+const defaultModels = { CrmConversation, CrmSlaPolicy };
+
+const toTime = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Call `visit(open, close)` for each business interval from `from` on, in
+ * order, until it returns true or MAX_WALK_DAYS run out.
+ */
+function walkBusinessIntervals(businessHours, from, visit) {
+    const formatter = getZoneFormatter(businessHours.timezone || DEFAULT_BUSINESS_TIMEZONE);
+    const days = businessWorkingDays(businessHours);
+    const ranges = businessDailyRanges(businessHours);
+    const wall = toWallClock(formatter, from);
+    const firstDay = wall - (wall % DAY_MS);
+
+    for (let index = 0; index < MAX_WALK_DAYS; index += 1) {
+        const day = firstDay + index * DAY_MS;
+        if (days && !days.has(new Date(day).getUTCDay())) continue;
+        for (const [start, end] of ranges) {
+            const close = fromWallClock(formatter, day + end * MINUTE_MS);
+            if (close <= from) continue;
+            const open = Math.max(fromWallClock(formatter, day + start * MINUTE_MS), from);
+            if (visit(open, close)) return;
+        }
+    }
+}
+
+/**
+ * Business minutes in a week of `businessHours` (every minute when disabled).
+ */
+export function businessMinutesPerWeek(businessHours) {
+    if (!businessHours?.enabled) return 7 * 24 * 60;
+    const perDay = businessDailyRanges(businessHours).reduce((total, [start, end]) => total + end - start, 0);
+    return perDay * (businessWorkingDays(businessHours)?.size ?? 7);
+}
+
+/**
+ * Minutes between two instants, counting only business hours when enabled.
+ */
+export function businessMinutesBetween(businessHours, from, to) {
+    const start = toTime(from);
+    const end = toTime(to);
+    if (start === null || end === null || end <= start) return 0;
+    if (!businessHours?.enabled) return Math.round((end - start) / MINUTE_MS);
+
+    let total = 0;
+    walkBusinessIntervals(businessHours, start, (open, close) => {
+        if (open >= end) return true;
+        total += Math.min(close, end) - open;
+        return close >= end;
+    });
+    return Math.round(total / MINUTE_MS);
+}
+
+/**
+ * The instant `minutes` business minutes after `from`, or null if business
+ * hours never open within the walk horizon.
+ */
+export function addBusinessMinutes(businessHours, from, minutes) {
+    const start = toTime(from);
+    if (!businessHours?.enabled) return new Date(start + minutes * MINUTE_MS);
+
+    let remaining = minutes * MINUTE_MS;
+    let dueAt = null;
+    walkBusinessIntervals(businessHours, start, (open, close) => {
+        if (remaining <= close - open) {
+            dueAt = new Date(open + remaining);
+            return true;
+        }
+        remaining -= close - open;
+        return false;
+    });
+    return dueAt;
+}
+
+/**
+ * Enabled policy for a channel: one listing the channel beats a catch-all
+ * (no channels); ties go to the oldest policy.
+ */
+export function selectSlaPolicy(policies, channel) {
+    const enabled = (policies || [])
+        .filter((policy) => policy.enabled !== false)
+        .sort((a, b) => toTime(a.createdAt) - toTime(b.createdAt));
+    return enabled.find((policy) => policy.channels?.includes(channel))
+        || enabled.find((policy) => !policy.channels?.length)
+        || null;
+}
+
+/**
+ * Validate SLA policy input from the API. On update, pass the stored policy
+ * as `existing` so targets are checked against the hours they will run on.
+ * @returns {{ data: object, error: string|null }}
+ */
+export function normalizeSlaPolicyInput(body = {}, existing = null) {
+    const data = {};
+    if (body.name !== undefined) {
+        data.name = String(body.name || '').trim().slice(0, 120);
+        if (!data.name) return { data, error: 'Ten chinh sach SLA la bat buoc.' };
+    }
+    if (body.enabled !== undefined) data.enabled = Boolean(body.enabled);
+    if (body.channels !== undefined) {
+        if (!Array.isArray(body.channels)) return { data, error: 'channels phai la mang.' };
+        data.channels = [...new Set(body.channels.map(String))];
+        if (data.channels.some((channel) => !SLA_CHANNELS.includes(channel))) {
+            return { data, error: 'Kenh khong hop le.' };
+        }
+    }
+    for (const field of ['firstResponseMinutes', 'nextResponseMinutes', 'resolutionMinutes']) {
+        if (body[field] === undefined) continue;
+        const value = Number(body[field]);
+        if (!Number.isFinite(value) || value < 0 || value > 60 * 24 * 30) {
+            return { data, error: `${field} khong hop le.` };
+        }
+        data[field] = Math.round(value);
+    }
+    if (body.warningPercent !== undefined) {
+        const value = Number(body.warningPercent);
+        if (!Number.isFinite(value) || value < 1 || value > 99) return { data, error: 'warningPercent phai tu 1 den 99.' };
+        data.warningPercent = Math.round(value);
+    }
+    if (body.businessHours !== undefined) {
+        const { businessHours, error } = normalizeBusinessHoursInput(body.businessHours);
+        if (error) return { data, error };
+        data.businessHours = businessHours;
+    }
+    // Past this, addBusinessMinutes would give up and the target be dropped.
+    const maxMinutes = businessMinutesPerWeek(data.businessHours || existing?.businessHours) * MAX_SLA_TARGET_WEEKS;
+    for (const field of ['firstResponseMinutes', 'nextResponseMinutes', 'resolutionMinutes']) {
+        if ((data[field] ?? existing?.[field] ?? 0) > maxMinutes) {
+            return { data, error: `${field} vuot qua ${MAX_SLA_TARGET_WEEKS} tuan gio lam viec (${maxMinutes} phut).` };
+        }
+    }
+    return { data, error: null };
+}
+
+const buildTarget = (policy, from, minutes) => {
+    if (!policy || !minutes) return null;
+    const dueAt = addBusinessMinutes(policy.businessHours, from, minutes);
+    if (!dueAt) return null;
+    const warnMinutes = Math.max(1, Math.floor(minutes * (policy.warningPercent || 80) / 100));
+    return {
+        dueAt,
+        warnAt: addBusinessMinutes(policy.businessHours, from, warnMinutes) || dueAt,
+        notified: 'none'
+    };
+};
+
+const isLate = (target, at) => Boolean(target?.dueAt) && (toTime(at) > toTime(target.dueAt) || target.notified === 'breach');
+
+/**
+ * Advance a conversation's SLA clock for one event. Pure: returns the new
+ * `sla` object, or the same reference when the event changes nothing (a
+ * second outbound reply, an inbound while already waiting, ...).
+ *
+ * - inbound: starts a cycle (first contact, or after a resolved cycle) or
+ *   starts the next-response wait once the first response is in.
+ * - outbound: an operator reply ends the current wait.
+ * - resolved: closes the cycle.
+ */
+export function applySlaEvent({ sla, policy, type, at }) {
+    const businessHours = policy?.businessHours;
+
+    if (type === 'inbound') {
+        if (!sla || sla.resolution?.at) {
+            return {
+                policyId: policy?._id || null,
+                startedAt: at,
+                waitingSince: at,
+                firstResponse: { at: null, minutes: null, breached: false },
+                nextResponse: { count: 0, totalMinutes: 0, breaches: 0 },
+                resolution: { at: null, minutes: null, breached: false },
+                firstResponseTarget: buildTarget(policy, at, policy?.firstResponseMinutes),
+                nextResponseTarget: null,
+                resolutionTarget: buildTarget(policy, at, policy?.resolutionMinutes)
+            };
+        }
+        if (sla.waitingSince) return sla;
+        return {
+            ...sla,
+            waitingSince: at,
+            nextResponseTarget: sla.firstResponse?.at ? buildTarget(policy, at, policy?.nextResponseMinutes) : null
+        };
+    }
+
+    if (!sla || sla.resolution?.at) return sla;
+
+    if (type === 'outbound') {
+        if (!sla.waitingSince) return sla;
+        if (!sla.firstResponse?.at) {
+            return {
+                ...sla,
+                waitingSince: null,
+                firstResponse: {
+                    at,
+                    minutes: businessMinutesBetween(businessHours, sla.startedAt, at),
+                    breached: isLate(sla.firstResponseTarget, at)
+                },
+                firstResponseTarget: null
+            };
+        }
+        const nextResponse = sla.nextResponse || { count: 0, totalMinutes: 0, breaches: 0 };
+        return {
+            ...sla,
+            waitingSince: null,
+            nextResponse: {
+                count: nextResponse.count + 1,
+                totalMinutes: nextResponse.totalMinutes + businessMinutesBetween(businessHours, sla.waitingSince, at),
+                breaches: nextResponse.breaches + (isLate(sla.nextResponseTarget, at) ? 1 : 0)
+            },
+            nextResponseTarget: null
+        };
+    }
+
+    if (type === 'resolved') {
+        return {
+            ...sla,
+            waitingSince: null,
+            resolution: {
+                at,
+                minutes: businessMinutesBetween(businessHours, sla.startedAt, at),
+                breached: isLate(sla.resolutionTarget, at)
+            },
+            firstResponseTarget: null,
+            nextResponseTarget: null,
+            resolutionTarget: null
+        };
+    }
+    return sla;
+}
+
+/**
+ * Record an SLA event on a 1:1 conversation and persist the new clock.
+ * Group threads have no SLA.
+ * @returns {Promise<object|null>} the conversation's sla after the event
+ */
+export async function recordSlaEvent({ userId, conversation, type, at = new Date(), models = defaultModels }) {
+    if (!conversation || conversation.threadType === 'group') return conversation?.sla || null;
+    const current = conversation.sla?.toObject ? conversation.sla.toObject() : conversation.sla || null;
+
+    const startsCycle = type === 'inbound' && (!current || current.resolution?.at);
+    let policy = null;
+    if (startsCycle) {
+        const policies = await models.CrmSlaPolicy.find({ userId, enabled: true }).lean();
+        policy = selectSlaPolicy(policies, conversation.channel);
+    } else if (current?.policyId) {
+        policy = await models.CrmSlaPolicy.findOne({ _id: current.policyId, userId }).lean();
+    }
+
+    const next = applySlaEvent({ sla: current, policy, type, at });
+    if (next === current) return current;
+    await models.CrmConversation.updateOne({ _id: conversation._id, userId }, { $set: { sla: next } });
+    conversation.sla = next;
+    return next;
+}
+
+const averageOf = (total, count) => (count > 0 ? Math.round((total / count) * 10) / 10 : null);
+
+/**
+ * Aggregation for GET /analytics/sla: cycles started in [from, to) broken
+ * down by channel, account and assigned agent.
+ */
+export function buildSlaReportPipeline({ userId, from, to }) {
+    const group = (key) => [
+        {
+            $group: {
+                _id: key,
+                conversations: { $sum: 1 },
+                firstResponded: { $sum: { $cond: [{ $ne: ['$sla.firstResponse.at', null] }, 1, 0] } },
+                firstResponseTotal: { $sum: { $ifNull: ['$sla.firstResponse.minutes', 0] } },
+                firstResponseBreaches: { $sum: { $cond: ['$sla.firstResponse.breached', 1, 0] } },
+                nextResponses: { $sum: { $ifNull: ['$sla.nextResponse.count', 0] } },
+                nextResponseTotal: { $sum: { $ifNull: ['$sla.nextResponse.totalMinutes', 0] } },
+                nextResponseBreaches: { $sum: { $ifNull: ['$sla.nextResponse.breaches', 0] } },
+                resolved: { $sum: { $cond: [{ $ne: ['$sla.resolution.at', null] }, 1, 0] } },
+                resolutionTotal: { $sum: { $ifNull: ['$sla.resolution.minutes', 0] } },
+                resolutionBreaches: { $sum: { $cond: ['$sla.resolution.breached', 1, 0] } }
+            }
+        },
+        { $sort: { conversations: -1 } }
+    ];
+    return [
+        { $match: { userId, threadType: 'user', 'sla.startedAt': { $gte: from, $lt: to } } },
+        {
+            $facet: {
+                total: group(null),
+                byChannel: group('$channel'),
+                byAccount: group('$accountId'),
+                byAgent: group('$assignedTo')
+            }
+        }
+    ];
+}
+
+const formatSlaRow = (row) => ({
+    conversations: row.conversations,
+    firstResponse: {
+        responded: row.firstResponded,
+        avgMinutes: averageOf(row.firstResponseTotal, row.firstResponded),
+        breaches: row.firstResponseBreaches
+    },
+    nextResponse: {
+        responses: row.nextResponses,
+        avgMinutes: averageOf(row.nextResponseTotal, row.nextResponses),
+        breaches: row.nextResponseBreaches
+    },
+    resolution: {
+        resolved: row.resolved,
+        avgMinutes: averageOf(row.resolutionTotal, row.resolved),
+        breaches: row.resolutionBreaches
+    }
+});
+
+export function formatSlaReport([facets] = []) {
+    const rows = (name, keyName) => (facets?.[name] || []).map((row) => ({ [keyName]: row._id ?? null, ...formatSlaRow(row) }));
+    const [total] = facets?.total || [];
+    return {
+        total: total ? formatSlaRow(total) : formatSlaRow({
+            conversations: 0, firstResponded: 0, firstResponseTotal: 0, firstResponseBreaches: 0,
+            nextResponses: 0, nextResponseTotal: 0, nextResponseBreaches: 0,
+            resolved: 0, resolutionTotal: 0, resolutionBreaches: 0
+        }),
+        byChannel: rows('byChannel', 'channel'),
+        byAccount: rows('byAccount', 'accountId'),
+        byAgent: rows('byAgent', 'agentId')
+    };
+}
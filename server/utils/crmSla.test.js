@@ -0,0 +1,158 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    addBusinessMinutes,
+    applySlaEvent,
+    businessMinutesBetween,
+    businessMinutesPerWeek,
+    formatSlaReport,
+    normalizeSlaPolicyInput,
+    recordSlaEvent,
+    selectSlaPolicy
+} from './crmSla.js';
+
+const createQuery = (result) => {
+    const query = {
+        select() { return query; },
+        lean() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+// Mon-Fri 08:00-17:00 Hanoi time (UTC+7).
+const businessHours = { enabled: true, timezone: 'Asia/Ho_Chi_Minh', days: [1, 2, 3, 4, 5], start: '08:00', end: '17:00' };
+const fridayAfternoon = new Date('2026-07-03T09:30:00.000Z'); // Fri 16:30 local
+const mondayMorning = new Date('2026-07-06T01:30:00.000Z'); // Mon 08:30 local
+const policy = {
+    _id: 'policy-1',
+    firstResponseMinutes: 60,
+    nextResponseMinutes: 30,
+    resolutionMinutes: 240,
+    warningPercent: 50,
+    businessHours
+};
+const minutes = (date, count) => new Date(date.getTime() + count * 60 * 1000);
+
+test('business minutes skip nights and weekends', () => {
+    assert.strictEqual(addBusinessMinutes(businessHours, fridayAfternoon, 60).toISOString(), mondayMorning.toISOString());
+    assert.strictEqual(businessMinutesBetween(businessHours, fridayAfternoon, mondayMorning), 60);
+    assert.strictEqual(businessMinutesBetween({ enabled: false }, fridayAfternoon, mondayMorning), 3840);
+    assert.strictEqual(addBusinessMinutes(null, fridayAfternoon, 15).toISOString(), '2026-07-03T09:45:00.000Z');
+});
+
+test('business minutes handle overnight hours, odd minutes and long targets quickly', () => {
+    // Tue-Sat 22:00-06:00 Hanoi time: Tuesday's 00:00-06:00 belongs to Tuesday.
+    const night = { enabled: true, timezone: 'Asia/Ho_Chi_Minh', days: [2, 3, 4, 5, 6], start: '22:00', end: '06:00' };
+    const mondayNoon = new Date('2026-07-06T05:00:00.000Z');
+    assert.strictEqual(addBusinessMinutes(night, mondayNoon, 30).toISOString(), '2026-07-06T17:30:00.000Z');
+    assert.strictEqual(businessMinutesBetween(night, mondayNoon, new Date('2026-07-07T16:00:00.000Z')), 360 + 60);
+    assert.strictEqual(businessMinutesPerWeek(night), 5 * 8 * 60);
+
+    const odd = { ...businessHours, start: '08:10', end: '16:50' };
+    assert.strictEqual(addBusinessMinutes(odd, fridayAfternoon, 25).toISOString(), '2026-07-06T01:15:00.000Z');
+
+    const started = Date.now();
+    const dueAt = addBusinessMinutes(businessHours, fridayAfternoon, 10 * 9 * 60);
+    assert.strictEqual(dueAt.toISOString(), '2026-07-17T09:30:00.000Z');
+    assert.strictEqual(businessMinutesBetween(businessHours, fridayAfternoon, dueAt), 10 * 9 * 60);
+    // The longest target validation accepts still gets a due date.
+    assert.ok(addBusinessMinutes(businessHours, fridayAfternoon, businessMinutesPerWeek(businessHours) * 8));
+    assert.ok(Date.now() - started < 200);
+});
+
+test('selectSlaPolicy prefers a channel policy over the catch-all', () => {
+    const policies = [
+        { _id: 'all', channels: [], createdAt: new Date('2026-01-01') },
+        { _id: 'webchat', channels: ['webchat'], createdAt: new Date('2026-02-01') },
+        { _id: 'off', channels: ['zalo_oa'], enabled: false, createdAt: new Date('2026-01-01') }
+    ];
+    assert.strictEqual(selectSlaPolicy(policies, 'webchat')._id, 'webchat');
+    assert.strictEqual(selectSlaPolicy(policies, 'zalo_oa')._id, 'all');
+    assert.strictEqual(selectSlaPolicy([], 'webchat'), null);
+});
+
+test('applySlaEvent measures first, next and resolution times against targets', () => {
+    let sla = applySlaEvent({ sla: null, policy, type: 'inbound', at: fridayAfternoon });
+    assert.strictEqual(sla.firstResponseTarget.dueAt.toISOString(), mondayMorning.toISOString());
+    assert.strictEqual(sla.firstResponseTarget.warnAt.toISOString(), '2026-07-03T10:00:00.000Z');
+
+    // A second inbound while waiting changes nothing.
+    assert.strictEqual(applySlaEvent({ sla, policy, type: 'inbound', at: minutes(fridayAfternoon, 5) }), sla);
+
+    sla = applySlaEvent({ sla, policy, type: 'outbound', at: minutes(mondayMorning, 15) });
+    assert.deepStrictEqual(sla.firstResponse, { at: minutes(mondayMorning, 15), minutes: 75, breached: true });
+    assert.strictEqual(sla.firstResponseTarget, null);
+    assert.strictEqual(applySlaEvent({ sla, policy, type: 'outbound', at: minutes(mondayMorning, 16) }), sla);
+
+    sla = applySlaEvent({ sla, policy, type: 'inbound', at: minutes(mondayMorning, 60) });
+    assert.strictEqual(sla.nextResponseTarget.dueAt.toISOString(), minutes(mondayMorning, 90).toISOString());
+    sla = applySlaEvent({ sla, policy, type: 'outbound', at: minutes(mondayMorning, 70) });
+    assert.deepStrictEqual(sla.nextResponse, { count: 1, totalMinutes: 10, breaches: 0 });
+
+    sla = applySlaEvent({ sla, policy, type: 'resolved', at: minutes(mondayMorning, 120) });
+    assert.deepStrictEqual(sla.resolution, { at: minutes(mondayMorning, 120), minutes: 180, breached: false });
+    assert.strictEqual(sla.resolutionTarget, null);
+
+    // A new message after resolution starts a fresh cycle.
+    const reopened = applySlaEvent({ sla, policy, type: 'inbound', at: minutes(mondayMorning, 200) });
+    assert.strictEqual(reopened.startedAt.toISOString(), minutes(mondayMorning, 200).toISOString());
+    assert.strictEqual(reopened.resolution.at, null);
+});
+
+test('recordSlaEvent picks a policy on the first inbound and skips group threads', async () => {
+    const updates = [];
+    const models = {
+        CrmSlaPolicy: {
+            find: (filter) => {
+                assert.deepStrictEqual(filter, { userId: 'owner-1', enabled: true });
+                return createQuery([{ ...policy, channels: [] }]);
+            },
+            findOne: () => createQuery(policy)
+        },
+        CrmConversation: { async updateOne(filter, update) { updates.push([filter, update]); } }
+    };
+    const conversation = { _id: 'conv-1', threadType: 'user', channel: 'webchat', sla: null };
+    await recordSlaEvent({ userId: 'owner-1', conversation, type: 'inbound', at: fridayAfternoon, models });
+    assert.strictEqual(updates.length, 1);
+    assert.strictEqual(conversation.sla.policyId, 'policy-1');
+
+    // Waiting already: nothing to write.
+    await recordSlaEvent({ userId: 'owner-1', conversation, type: 'inbound', at: mondayMorning, models });
+    assert.strictEqual(updates.length, 1);
+
+    await recordSlaEvent({ userId: 'owner-1', conversation: { _id: 'g', threadType: 'group' }, type: 'inbound', models });
+    assert.strictEqual(updates.length, 1);
+});
+
+test('normalizeSlaPolicyInput validates targets, channels and business hours', () => {
+    assert.strictEqual(normalizeSlaPolicyInput({ name: '' }).error, 'Ten chinh sach SLA la bat buoc.');
+    assert.ok(normalizeSlaPolicyInput({ firstResponseMinutes: -1 }).error);
+    assert.ok(normalizeSlaPolicyInput({ channels: ['fax'] }).error);
+    assert.ok(normalizeSlaPolicyInput({ businessHours: { enabled: true, start: '8h', end: '17:00' } }).error);
+    assert.ok(normalizeSlaPolicyInput({ businessHours: { enabled: true, start: '08:00', end: '17:00', timezone: 'Mars/Base' } }).error);
+    // Mon-Fri 08:00-17:00 holds 8 * 2700 business minutes in 8 weeks.
+    assert.match(normalizeSlaPolicyInput({ resolutionMinutes: 60 * 24 * 30, businessHours }).error, /resolutionMinutes vuot qua 8 tuan/);
+    assert.ok(normalizeSlaPolicyInput({ businessHours }, { resolutionMinutes: 21601 }).error);
+    assert.strictEqual(normalizeSlaPolicyInput({ resolutionMinutes: 21600 }, { businessHours }).error, null);
+    assert.strictEqual(normalizeSlaPolicyInput({ resolutionMinutes: 60 * 24 * 30 }).error, null);
+    assert.deepStrictEqual(normalizeSlaPolicyInput({ name: ' Webchat ', channels: ['webchat', 'webchat'], firstResponseMinutes: '5' }), {
+        data: { name: 'Webchat', channels: ['webchat'], firstResponseMinutes: 5 },
+        error: null
+    });
+});
+
+test('formatSlaReport averages per breakdown row', () => {
+    const row = {
+        conversations: 2, firstResponded: 2, firstResponseTotal: 30, firstResponseBreaches: 1,
+        nextResponses: 3, nextResponseTotal: 10, nextResponseBreaches: 0,
+        resolved: 0, resolutionTotal: 0, resolutionBreaches: 0
+    };
+    const report = formatSlaReport([{ total: [{ _id: null, ...row }], byChannel: [{ _id: 'webchat', ...row }], byAccount: [], byAgent: [{ _id: null, ...row }] }]);
+    assert.deepStrictEqual(report.total.firstResponse, { responded: 2, avgMinutes: 15, breaches: 1 });
+    assert.strictEqual(report.total.nextResponse.avgMinutes, 3.3);
+    assert.strictEqual(report.total.resolution.avgMinutes, null);
+    assert.strictEqual(report.byChannel[0].channel, 'webchat');
+    assert.strictEqual(report.byAgent[0].agentId, null);
+    assert.strictEqual(formatSlaReport([]).total.conversations, 0);
+});
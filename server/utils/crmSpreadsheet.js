@@ -0,0 +1,215 @@
+import zlib from 'zlib';
+
+// Minimal CSV / XLSX readers for customer import jobs. XLSX files are zip
+// archives of XML parts; only the first worksheet, shared strings and inline
+// strings are read, which covers spreadsheets exported from Excel, Google
+// Sheets and LibreOffice without pulling in a spreadsheet dependency.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+// Budget for all XML parts read from one archive, so a small zip bomb can't
+// inflate into gigabytes. Real customer sheets stay far below this.
+export const MAX_XLSX_UNCOMPRESSED_BYTES = 64 * 1024 * 1024;
+// Excel's own last column (XFD). Sparse refs are padded with blanks, so both
+// the column and the cells materialized per sheet must be bounded.
+export const MAX_XLSX_COLUMNS = 16384;
+export const MAX_XLSX_CELLS = 2000000;
+
+const spreadsheetError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+export function detectSpreadsheetFormat(filename = '', contentType = '') {
+    const lower = String(filename).toLowerCase();
+    if (lower.endsWith('.xlsx') || String(contentType).includes('spreadsheetml')) return 'xlsx';
+    if (lower.endsWith('.csv') || String(contentType).includes('csv')) return 'csv';
+    return null;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting, comma or semicolon delimited) into an
+ * array of string arrays. A UTF-8 BOM is stripped.
+ */
+export function parseCsv(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = input.slice(0, input.search(/\r?\n/) === -1 ? input.length : input.search(/\r?\n/));
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+const readZipEntries = (buffer, maxUncompressedBytes) => {
+    let eocd = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset -= 1) {
+        if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+            eocd = offset;
+            break;
+        }
+    }
+    if (eocd === -1) throw spreadsheetError('File XLSX khong hop le.');
+
+    const entries = new Map();
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    for (let index = 0; index < count; index += 1) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw spreadsheetError('File XLSX khong hop le.');
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        entries.set(name, { method, compressedSize, localOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    let remaining = maxUncompressedBytes;
+    const tooLarge = () => spreadsheetError(`File XLSX giai nen vuot qua ${Math.floor(maxUncompressedBytes / 1024 / 1024)}MB.`);
+    const inflate = (data) => {
+        try {
+            return zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, remaining) });
+        } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+            throw spreadsheetError('File XLSX khong hop le.');
+        }
+    };
+
+    return (name) => {
+        const entry = entries.get(name);
+        if (!entry) return null;
+        if (buffer.readUInt32LE(entry.localOffset) !== LOCAL_SIGNATURE) throw spreadsheetError('File XLSX khong hop le.');
+        const dataStart = entry.localOffset + 30
+            + buffer.readUInt16LE(entry.localOffset + 26)
+            + buffer.readUInt16LE(entry.localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+        if (entry.method !== 0 && entry.method !== 8) throw spreadsheetError('File XLSX dung kieu nen khong ho tro.');
+        const content = entry.method === 8 ? inflate(data) : data;
+        if (content.length > remaining) throw tooLarge();
+        remaining -= content.length;
+        return content.toString('utf8');
+    };
+};
+
+const decodeXml = (value) => String(value)
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const textRuns = (xml) => [...String(xml).matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+    .map((match) => decodeXml(match[1]))
+    .join('');
+
+const columnIndex = (ref) => {
+    const letters = String(ref).match(/^[A-Z]+/)?.[0] || '';
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const firstSheetPath = (readEntry) => {
+    const workbook = readEntry('xl/workbook.xml');
+    const rels = readEntry('xl/_rels/workbook.xml.rels');
+    const relationId = workbook?.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+    const relation = relationId && rels
+        ? [...rels.matchAll(/<Relationship\b[^>]*>/g)].map((match) => match[0]).find((tag) => tag.includes(`Id="${relationId}"`))
+        : null;
+    const target = relation?.match(/Target="([^"]+)"/)?.[1];
+    if (!target) return 'xl/worksheets/sheet1.xml';
+    return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+};
+
+/**
+ * Parse the first worksheet of an XLSX buffer into an array of string arrays.
+ * Throws (statusCode 400) once the parts read inflate past `maxUncompressedBytes`,
+ * a cell lies beyond column XFD, or the sheet holds more than `maxCells` cells
+ * (blank padding included).
+ */
+export function parseXlsx(buffer, { maxUncompressedBytes = MAX_XLSX_UNCOMPRESSED_BYTES, maxCells = MAX_XLSX_CELLS } = {}) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 22) throw spreadsheetError('File XLSX khong hop le.');
+    const readEntry = readZipEntries(buffer, maxUncompressedBytes);
+    const sharedStringsXml = readEntry('xl/sharedStrings.xml') || '';
+    const sharedStrings = [...sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map((match) => textRuns(match[1]));
+    const sheet = readEntry(firstSheetPath(readEntry));
+    if (!sheet) throw spreadsheetError('File XLSX khong co sheet du lieu.');
+
+    const rows = [];
+    let cellCount = 0;
+    for (const rowMatch of sheet.matchAll(/<row\b[^>]*?(?<!\/)>([\s\S]*?)<\/row>/g)) {
+        const cells = [];
+        for (const cellMatch of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attributes = cellMatch[1];
+            const body = cellMatch[2] || '';
+            const ref = attributes.match(/\br="([A-Z]+\d+)"/)?.[1];
+            const type = attributes.match(/\bt="([^"]+)"/)?.[1] || 'n';
+            const rawValue = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+            let value = '';
+            if (type === 's') value = sharedStrings[Number(rawValue)] ?? '';
+            else if (type === 'inlineStr') value = textRuns(body);
+            else if (rawValue !== undefined) value = decodeXml(rawValue);
+            const index = ref ? columnIndex(ref) : cells.length;
+            if (index >= MAX_XLSX_COLUMNS) throw spreadsheetError('File XLSX co o nam ngoai cot XFD.');
+            cellCount += Math.max(index + 1 - cells.length, 0);
+            if (cellCount > maxCells) throw spreadsheetError(`File XLSX vuot qua ${maxCells} o du lieu.`);
+            while (cells.length < index) cells.push('');
+            cells[index] = value;
+        }
+        if (cells.some((cell) => String(cell).trim() !== '')) rows.push(cells);
+    }
+    return rows;
+}
+
+/**
+ * Parse an uploaded spreadsheet into { headers, rows }, where rows are
+ * objects keyed by header. Duplicate or blank headers get a column suffix.
+ */
+export function parseSpreadsheet(buffer, format) {
+    const table = format === 'xlsx' ? parseXlsx(buffer) : parseCsv(Buffer.from(buffer).toString('utf8'));
+    if (table.length === 0) return { headers: [], rows: [] };
+    const seen = new Set();
+    const headers = table[0].map((header, index) => {
+        let name = String(header || '').trim() || `column_${index + 1}`;
+        if (seen.has(name)) name = `${name}_${index + 1}`;
+        seen.add(name);
+        return name;
+    });
+    const rows = table.slice(1).map((cells) => headers.reduce((row, header, index) => {
+        row[header] = String(cells[index] ?? '').trim();
+        return row;
+    }, {}));
+    return { headers, rows };
+}
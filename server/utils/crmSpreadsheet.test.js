@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import zlib from 'zlib';
+import { detectSpreadsheetFormat, parseCsv, parseSpreadsheet, parseXlsx } from './crmSpreadsheet.js';
+
+// Build a minimal zip archive (deflated entries, CRC left at zero since the
+// reader does not verify it).
+const buildZip = (files) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, content] of Object.entries(files)) {
+        const nameBuffer = Buffer.from(name);
+        const data = zlib.deflateRawSync(Buffer.from(content));
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(Buffer.byteLength(content), 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        locals.push(local, nameBuffer, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(Buffer.byteLength(content), 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + data.length;
+    }
+    const centralBuffer = Buffer.concat(centrals);
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(Object.keys(files).length, 8);
+    eocd.writeUInt16LE(Object.keys(files).length, 10);
+    eocd.writeUInt32LE(centralBuffer.length, 12);
+    eocd.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, centralBuffer, eocd]);
+};
+
+test('parseCsv handles quotes, embedded newlines, semicolons and BOM', () => {
+    assert.deepStrictEqual(parseCsv('\uFEFFname,note\n"Nguyen, An","say ""hi""\nthere"\r\n\nB,x'), [
+        ['name', 'note'],
+        ['Nguyen, An', 'say "hi"\nthere'],
+        ['B', 'x']
+    ]);
+    assert.deepStrictEqual(parseCsv('ten;sdt\nAn;0912'), [['ten', 'sdt'], ['An', '0912']]);
+});
+
+test('parseXlsx reads shared strings, inline strings, numbers and sparse cells', () => {
+    const buffer = buildZip({
+        'xl/workbook.xml': '<workbook><sheets><sheet name="Khach" sheetId="1" r:id="rId3"/></sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId3" Target="worksheets/data.xml"/></Relationships>',
+        'xl/sharedStrings.xml': '<sst><si><t>Ten</t></si><si><t>SDT</t></si><si><r><t>Nguy</t></r><r><t>ễn &amp; Co</t></r></si></sst>',
+        'xl/worksheets/data.xml': [
+            '<worksheet><sheetData>',
+            '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="inlineStr"><is><t>Email</t></is></c></row>',
+            '<row r="2"/>',
+            '<row r="3"><c r="A3" t="s"><v>2</v></c><c r="C3" t="str"><v>a@b.vn</v></c></row>',
+            '<row r="4"><c r="A4" t="inlineStr"><is><t>Binh</t></is></c><c r="B4"><v>912345678</v></c></row>',
+            '</sheetData></worksheet>'
+        ].join('')
+    });
+    assert.deepStrictEqual(parseXlsx(buffer), [
+        ['Ten', 'SDT', 'Email'],
+        ['Nguyễn & Co', '', 'a@b.vn'],
+        ['Binh', '912345678']
+    ]);
+    assert.deepStrictEqual(parseSpreadsheet(buffer, 'xlsx').rows[1], { Ten: 'Binh', SDT: '912345678', Email: '' });
+    assert.throws(() => parseXlsx(Buffer.from('not a zip file at all, definitely')), (error) => error.statusCode === 400);
+});
+
+test('parseXlsx refuses archives that inflate past the uncompressed budget', () => {
+    const rows = '<row r="1"><c r="A1" t="inlineStr"><is><t>x</t></is></c></row>';
+    const sheet = `<worksheet><sheetData>${rows}${' '.repeat(200000)}</sheetData></worksheet>`;
+    const bomb = buildZip({ 'xl/worksheets/sheet1.xml': sheet });
+    assert.ok(bomb.length < 5000);
+    assert.throws(
+        () => parseXlsx(bomb, { maxUncompressedBytes: 100000 }),
+        (error) => error.statusCode === 400 && /giai nen vuot qua/.test(error.message)
+    );
+    assert.deepStrictEqual(parseXlsx(bomb, { maxUncompressedBytes: 300000 }), [['x']]);
+
+    // The budget covers every part read, not just each one on its own.
+    const split = buildZip({
+        'xl/sharedStrings.xml': `<sst><si><t>a</t></si>${' '.repeat(60000)}</sst>`,
+        'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${rows}${' '.repeat(60000)}</sheetData></worksheet>`
+    });
+    assert.throws(() => parseXlsx(split, { maxUncompressedBytes: 100000 }), (error) => error.statusCode === 400);
+});
+
+test('parseXlsx bounds sparse cell refs by column and by total cells', () => {
+    const sheet = (cells) => buildZip({ 'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${cells}</sheetData></worksheet>` });
+    const cell = (ref) => `<c r="${ref}" t="inlineStr"><is><t>x</t></is></c>`;
+
+    const farColumn = sheet(`<row r="1">${cell('AAAAA1')}</row>`);
+    assert.ok(farColumn.length < 400);
+    assert.throws(() => parseXlsx(farColumn), (error) => error.statusCode === 400 && /XFD/.test(error.message));
+    assert.throws(() => parseXlsx(sheet(`<row r="1">${cell('XFE1')}</row>`)), (error) => error.statusCode === 400);
+    assert.strictEqual(parseXlsx(sheet(`<row r="1">${cell('XFD1')}</row>`))[0].length, 16384);
+
+    const padded = sheet(`<row r="1">${cell('J1')}</row><row r="2">${cell('J2')}</row>`);
+    assert.strictEqual(parseXlsx(padded, { maxCells: 20 }).length, 2);
+    assert.throws(
+        () => parseXlsx(padded, { maxCells: 19 }),
+        (error) => error.statusCode === 400 && /vuot qua 19 o/.test(error.message)
+    );
+});
+
+test('parseSpreadsheet names blank and duplicate headers', () => {
+    const { headers, rows } = parseSpreadsheet(Buffer.from('name,,name\nA,B,C'), 'csv');
+    assert.deepStrictEqual(headers, ['name', 'column_2', 'name_3']);
+    assert.deepStrictEqual(rows, [{ name: 'A', column_2: 'B', name_3: 'C' }]);
+    assert.strictEqual(detectSpreadsheetFormat('KH.XLSX'), 'xlsx');
+    assert.strictEqual(detectSpreadsheetFormat('data.txt', 'text/csv'), 'csv');
+    assert.strictEqual(detectSpreadsheetFormat('data.pdf'), null);
+});
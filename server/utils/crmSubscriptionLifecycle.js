@@ -0,0 +1,61 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reminder emails go out at each of these points before periodEnd (the
+// closest one only, when maintenance catches up late). A paid plan whose
+// period ends unrenewed turns past_due for PAST_DUE_GRACE_MS: automation is
+// paused and read-only, auto-renew is retried every RENEWAL_RETRY_DELAY_MS,
+// and the plan only expires once the grace window runs out. Trials expire
+// directly.
+export const RENEWAL_REMINDER_DAYS = [7, 3, 1];
+export const PAST_DUE_GRACE_MS = 7 * DAY_MS;
+export const RENEWAL_RETRY_DELAY_MS = 12 * 60 * 60 * 1000;
+
+// Write routes (relative to /api/crm) that stay closed while past_due.
+const AUTOMATION_PATHS = [/^\/campaigns(\/|$)/, /^\/sequences(\/|$)/, /^\/chatbot(\/|$)/];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+export const isTrialSubscription = (subscription) => (
+    subscription?.entitlementType === 'trial' ||
+    subscription?.plan === 'crm_trial'
+);
+
+export const getGraceEndsAt = (subscription) => (
+    subscription.graceEndsAt
+        ? new Date(subscription.graceEndsAt)
+        : new Date(new Date(subscription.periodEnd).getTime() + PAST_DUE_GRACE_MS)
+);
+
+/**
+ * What a subscription allows right now. Status changes are left to
+ * runSubscriptionMaintenance, so an `active` plan whose period just ended
+ * already counts as past_due (or expired, for a trial) until it runs.
+ * @returns {'active'|'past_due'|'expired'}
+ */
+export function resolveSubscriptionAccess(subscription, now = new Date()) {
+    if (!subscription || !['active', 'past_due'].includes(subscription.status)) return 'expired';
+    if (subscription.status === 'active' && new Date(subscription.periodEnd) > now) return 'active';
+    if (isTrialSubscription(subscription)) return 'expired';
+    return getGraceEndsAt(subscription) > now ? 'past_due' : 'expired';
+}
+
+export const isAutomationWrite = (method, path) => (
+    !READ_METHODS.includes(String(method).toUpperCase()) &&
+    AUTOMATION_PATHS.some((pattern) => pattern.test(path))
+);
+
+/**
+ * Reminder due for `subscription` now, or null when none is due or it was
+ * already sent for this periodEnd.
+ * @returns {number|null} Days before expiry.
+ */
+export function pickRenewalReminder(subscription, now = new Date()) {
+    const periodEnd = new Date(subscription.periodEnd).getTime();
+    const remainingMs = periodEnd - now.getTime();
+    if (remainingMs <= 0) return null;
+    const due = [...RENEWAL_REMINDER_DAYS].sort((a, b) => a - b).find((days) => remainingMs <= days * DAY_MS);
+    if (due === undefined) return null;
+    const sent = subscription.renewalReminder;
+    const sentForPeriod = sent?.periodEnd && new Date(sent.periodEnd).getTime() === periodEnd;
+    if (sentForPeriod && sent.daysBefore <= due) return null;
+    return due;
+}
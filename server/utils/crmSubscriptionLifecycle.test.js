@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    PAST_DUE_GRACE_MS,
+    isAutomationWrite,
+    pickRenewalReminder,
+    resolveSubscriptionAccess
+} from './crmSubscriptionLifecycle.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-07-10T00:00:00.000Z');
+const at = (offsetMs) => new Date(now.getTime() + offsetMs);
+
+test('resolveSubscriptionAccess gives lapsed paid plans a grace window', () => {
+    assert.strictEqual(resolveSubscriptionAccess({ status: 'active', periodEnd: at(DAY_MS) }, now), 'active');
+    assert.strictEqual(resolveSubscriptionAccess({ status: 'active', entitlementType: 'paid', periodEnd: at(-DAY_MS) }, now), 'past_due');
+    assert.strictEqual(resolveSubscriptionAccess({ status: 'active', entitlementType: 'trial', periodEnd: at(-DAY_MS) }, now), 'expired');
+    assert.strictEqual(resolveSubscriptionAccess({
+        status: 'past_due',
+        periodEnd: at(-DAY_MS),
+        graceEndsAt: at(DAY_MS)
+    }, now), 'past_due');
+    assert.strictEqual(resolveSubscriptionAccess({ status: 'past_due', periodEnd: at(-PAST_DUE_GRACE_MS - 1) }, now), 'expired');
+    assert.strictEqual(resolveSubscriptionAccess({ status: 'cancelled', periodEnd: at(DAY_MS) }, now), 'expired');
+    assert.strictEqual(resolveSubscriptionAccess(null, now), 'expired');
+});
+
+test('isAutomationWrite closes automation writes but keeps reads open', () => {
+    assert.strictEqual(isAutomationWrite('POST', '/campaigns/abc/start'), true);
+    assert.strictEqual(isAutomationWrite('PUT', '/chatbot/settings'), true);
+    assert.strictEqual(isAutomationWrite('DELETE', '/sequences/abc'), true);
+    assert.strictEqual(isAutomationWrite('GET', '/campaigns'), false);
+    assert.strictEqual(isAutomationWrite('POST', '/conversations/abc/messages'), false);
+});
+
+test('pickRenewalReminder picks the closest threshold not yet sent for the period', () => {
+    const periodEnd = at(2.5 * DAY_MS);
+    assert.strictEqual(pickRenewalReminder({ periodEnd: at(8 * DAY_MS) }, now), null);
+    assert.strictEqual(pickRenewalReminder({ periodEnd }, now), 3);
+    assert.strictEqual(pickRenewalReminder({ periodEnd, renewalReminder: { periodEnd, daysBefore: 7 } }, now), 3);
+    assert.strictEqual(pickRenewalReminder({ periodEnd, renewalReminder: { periodEnd, daysBefore: 3 } }, now), null);
+    // A reminder from the previous period doesn't count after a renewal.
+    assert.strictEqual(pickRenewalReminder({ periodEnd, renewalReminder: { periodEnd: at(-27.5 * DAY_MS), daysBefore: 1 } }, now), 3);
+    assert.strictEqual(pickRenewalReminder({ periodEnd: at(-1) }, now), null);
+});
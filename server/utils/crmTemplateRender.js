@@ -0,0 +1,207 @@
+// Per-recipient personalization for CrmTemplate bodies.
+//
+// Placeholder syntax: {{ key | filter:arg | ... }}
+//   keys     name, firstName, company, email, phone, lifecycleStage, source,
+//            custom.<field> (CrmCustomer.customFields), today, tomorrow, now.
+//            Any other bare key is looked up in customFields as well.
+//   filters  default:"text"  fallback when the value is empty (never "missing")
+//            date:"DD/MM/YYYY HH:mm"  format a date in the campaign timezone
+//            addDays:N  shift a date helper by N days
+//            upper / lower / capitalize
+// A key listed in CrmTemplate.variables is required: if it resolves to empty
+// and has no default filter, the recipient is reported in `missing`.
+
+export const DEFAULT_TEMPLATE_TIMEZONE = 'Asia/Ho_Chi_Minh';
+const DEFAULT_DATE_FORMAT = 'DD/MM/YYYY';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+// Legacy behaviour: {{name}} always fell back to 'Anh/Chi' when unknown.
+const BUILTIN_DEFAULTS = {
+    name: 'Anh/Chi',
+    firstName: 'Anh/Chi'
+};
+
+const CUSTOMER_FIELDS = new Set(['company', 'email', 'phone', 'lifecycleStage', 'source']);
+
+const isEmpty = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+// Split on '|' and ':' outside of quotes.
+const splitOutsideQuotes = (text, separator) => {
+    const parts = [];
+    let current = '';
+    let quote = null;
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+            current += char;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+            current += char;
+        } else if (char === separator) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts.map((part) => part.trim());
+};
+
+const unquote = (value = '') => {
+    const trimmed = String(value).trim();
+    if (trimmed.length >= 2 && (trimmed[0] === '"' || trimmed[0] === '\'') && trimmed[trimmed.length - 1] === trimmed[0]) {
+        return trimmed.slice(1, -1);
+    }
+    return trimmed;
+};
+
+/**
+ * Parse a placeholder expression like `name | default:"Anh/Chi"`.
+ * @returns {{ key: string, filters: Array<{ name: string, arg: string|null }> }}
+ */
+export function parsePlaceholder(expression) {
+    const [key, ...rawFilters] = splitOutsideQuotes(expression, '|');
+    const filters = rawFilters.filter(Boolean).map((raw) => {
+        const [name, ...args] = splitOutsideQuotes(raw, ':');
+        return { name: name.trim(), arg: args.length > 0 ? unquote(args.join(':')) : null };
+    });
+    return { key: key.trim(), filters };
+}
+
+/**
+ * List the distinct variable keys referenced by a template body.
+ */
+export function extractTemplateVariables(body = '') {
+    const keys = new Set();
+    for (const match of String(body || '').matchAll(PLACEHOLDER_PATTERN)) {
+        const { key } = parsePlaceholder(match[1]);
+        if (key) keys.add(key);
+    }
+    return [...keys];
+}
+
+const readCustomField = (customer, field) => {
+    const customFields = customer?.customFields;
+    if (!customFields || !field) return undefined;
+    if (typeof customFields.get === 'function') return customFields.get(field);
+    return customFields[field];
+};
+
+const resolveKey = (key, { customer, recipient, now }) => {
+    if (key === 'today' || key === 'now') return new Date(now.getTime());
+    if (key === 'tomorrow') return new Date(now.getTime() + DAY_MS);
+    if (key === 'name') return customer?.name || recipient?.name || '';
+    if (key === 'firstName') {
+        // Vietnamese given name is the last word ("Nguyen Van An" -> "An").
+        const fullName = String(customer?.name || recipient?.name || '').trim();
+        return fullName ? fullName.split(/\s+/).pop() : '';
+    }
+    if (key === 'phone') return customer?.phone || recipient?.phone || '';
+    if (CUSTOMER_FIELDS.has(key)) return customer?.[key];
+    if (key.startsWith('custom.')) return readCustomField(customer, key.slice('custom.'.length));
+    return readCustomField(customer, key);
+};
+
+const formatDate = (date, format, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(date);
+    const get = (type) => parts.find((part) => part.type === type)?.value || '';
+    const tokens = {
+        YYYY: get('year'),
+        MM: get('month'),
+        DD: get('day'),
+        HH: get('hour'),
+        mm: get('minute')
+    };
+    return String(format || DEFAULT_DATE_FORMAT).replace(/YYYY|MM|DD|HH|mm/g, (token) => tokens[token]);
+};
+
+const applyFilter = (value, filter, timeZone) => {
+    switch (filter.name) {
+        case 'addDays': {
+            if (!(value instanceof Date)) return value;
+            return new Date(value.getTime() + (Number(filter.arg) || 0) * DAY_MS);
+        }
+        case 'date': {
+            const date = value instanceof Date ? value : new Date(value);
+            if (isEmpty(value) || Number.isNaN(date.getTime())) return value;
+            return formatDate(date, filter.arg, timeZone);
+        }
+        case 'upper':
+            return isEmpty(value) ? value : String(value).toUpperCase();
+        case 'lower':
+            return isEmpty(value) ? value : String(value).toLowerCase();
+        case 'capitalize': {
+            if (isEmpty(value)) return value;
+            const text = String(value);
+            return text.charAt(0).toUpperCase() + text.slice(1);
+        }
+        default:
+            return value;
+    }
+};
+
+/**
+ * Render a template body for a single recipient.
+ * @param {string} body - CrmTemplate.body
+ * @param {object} context
+ * @param {object} [context.customer] - CrmCustomer document (or plain object)
+ * @param {object} [context.recipient] - campaign recipient { phone, name }
+ * @param {string[]} [context.requiredVariables] - usually CrmTemplate.variables
+ * @param {string} [context.timeZone] - IANA zone used by date helpers
+ * @param {Date} [context.now]
+ * @returns {{ text: string, missing: string[], variables: string[] }}
+ */
+export function renderTemplate(body, {
+    customer = null,
+    recipient = null,
+    requiredVariables = [],
+    timeZone = DEFAULT_TEMPLATE_TIMEZONE,
+    now = new Date()
+} = {}) {
+    const required = new Set((requiredVariables || []).map((item) => String(item || '').trim()).filter(Boolean));
+    const missing = new Set();
+    const variables = new Set();
+
+    const text = String(body || '').replace(PLACEHOLDER_PATTERN, (placeholder, expression) => {
+        const { key, filters } = parsePlaceholder(expression);
+        if (!key) return placeholder;
+        variables.add(key);
+
+        let value = resolveKey(key, { customer, recipient, now });
+        let defaulted = false;
+        for (const filter of filters) {
+            if (filter.name === 'default') {
+                if (isEmpty(value)) {
+                    value = filter.arg ?? '';
+                    defaulted = true;
+                }
+                continue;
+            }
+            value = applyFilter(value, filter, timeZone);
+        }
+
+        if (value instanceof Date) {
+            value = formatDate(value, DEFAULT_DATE_FORMAT, timeZone);
+        }
+        if (isEmpty(value) && !defaulted) {
+            if (required.has(key)) {
+                missing.add(key);
+                return '';
+            }
+            return BUILTIN_DEFAULTS[key] ?? '';
+        }
+        return String(value);
+    });
+
+    return { text, missing: [...missing], variables: [...variables] };
+}
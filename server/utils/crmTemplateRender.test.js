@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    extractTemplateVariables,
+    parsePlaceholder,
+    renderTemplate
+} from './crmTemplateRender.js';
+
+const customer = {
+    name: 'Nguyen Van An',
+    company: 'Alpha Co',
+    phone: '0901',
+    customFields: new Map([['orderCode', 'DH-42']])
+};
+
+test('parsePlaceholder splits filters and keeps quoted separators', () => {
+    assert.deepStrictEqual(parsePlaceholder('company | default:"Cong ty: ban" | upper'), {
+        key: 'company',
+        filters: [
+            { name: 'default', arg: 'Cong ty: ban' },
+            { name: 'upper', arg: null }
+        ]
+    });
+});
+
+test('extractTemplateVariables lists each key once', () => {
+    assert.deepStrictEqual(
+        extractTemplateVariables('Chao {{name}}, {{ company | default:"ban" }} - {{name}} {{custom.orderCode}}'),
+        ['name', 'company', 'custom.orderCode']
+    );
+});
+
+test('renderTemplate resolves customer fields, custom fields and firstName', () => {
+    const { text, missing } = renderTemplate(
+        'Chao {{firstName}} ({{company}}), don {{custom.orderCode}} / {{orderCode}}',
+        { customer }
+    );
+    assert.strictEqual(text, 'Chao An (Alpha Co), don DH-42 / DH-42');
+    assert.deepStrictEqual(missing, []);
+});
+
+test('renderTemplate formats date helpers in the given timezone', () => {
+    const now = new Date('2026-07-01T18:30:00.000Z');
+    const { text } = renderTemplate(
+        'Hom nay {{today}}, han {{today | addDays:3 | date:"DD/MM"}}, luc {{now | date:"HH:mm"}}',
+        { timeZone: 'Asia/Ho_Chi_Minh', now }
+    );
+    assert.strictEqual(text, 'Hom nay 02/07/2026, han 05/07, luc 01:30');
+});
+
+test('renderTemplate applies defaults and keeps the legacy name fallback', () => {
+    const { text, missing } = renderTemplate('Chao {{name}}, {{company | default:"quy khach"}}{{source}}', {
+        recipient: { phone: '0903' }
+    });
+    assert.strictEqual(text, 'Chao Anh/Chi, quy khach');
+    assert.deepStrictEqual(missing, []);
+});
+
+test('renderTemplate reports required variables that cannot be resolved', () => {
+    const { missing } = renderTemplate('Chao {{name}} tu {{company}}, ma {{custom.vip | default:"-"}}', {
+        recipient: { phone: '0903' },
+        requiredVariables: ['name', 'company', 'custom.vip']
+    });
+    assert.deepStrictEqual(missing, ['name', 'company']);
+});
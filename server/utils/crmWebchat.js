@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import CrmConversation from '../models/CrmConversation.js';
+import CrmCustomer from '../models/CrmCustomer.js';
+import CrmTask from '../models/CrmTask.js';
+import { isWithinBusinessHours, normalizeBusinessHoursInput } from './crmBusinessHours.js';
+import { normalizeVietnamesePhone } from './crmCustomerMerge.js';
+
+export const PRE_CHAT_FIELDS = ['name', 'phone', 'email'];
+export const MAX_WEBCHAT_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+// Upload URLs handed to anonymous visitors expire quickly.
+export const WEBCHAT_UPLOAD_URL_TTL_SECONDS = 5 * 60;
+export const WEBCHAT_ATTACHMENT_TYPES = {
+    'image/jpeg': 'image',
+    'image/png': 'image',
+    'image/gif': 'image',
+    'image/webp': 'image',
+    'application/pdf': 'file',
+    'text/plain': 'file',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'file',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'file'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEFAULT_OFFLINE_MESSAGE = 'Hien chua co nhan vien truc. Vui long de lai email, chung toi se lien he lai som.';
+
+const defaultModels = { CrmConversation, CrmCustomer, CrmTask };
+
+/**
+ * Validate the owner's widget settings (pre-chat form, attachments, offline
+ * schedule and message). Only fields present in the body are returned.
+ * @returns {{ data: object, error: string|null }}
+ */
+export function normalizeWebchatSettings(body = {}) {
+    const data = {};
+    if (body.preChatForm !== undefined) {
+        const form = body.preChatForm || {};
+        const fields = Array.isArray(form.fields) ? form.fields : [];
+        if (fields.some((field) => !PRE_CHAT_FIELDS.includes(field?.name))) {
+            return { data, error: 'Truong form truoc chat khong hop le.' };
+        }
+        const seen = new Set();
+        data.preChatForm = {
+            enabled: Boolean(form.enabled),
+            fields: fields
+                .filter((field) => !seen.has(field.name) && seen.add(field.name))
+                .map((field) => ({ name: field.name, required: Boolean(field.required) }))
+        };
+        if (data.preChatForm.enabled && data.preChatForm.fields.length === 0) {
+            return { data, error: 'Form truoc chat can it nhat mot truong.' };
+        }
+    }
+    if (body.attachmentsEnabled !== undefined) data.attachmentsEnabled = Boolean(body.attachmentsEnabled);
+    if (body.businessHours !== undefined) {
+        const { businessHours, error } = normalizeBusinessHoursInput(body.businessHours);
+        if (error) return { data, error };
+        data.businessHours = businessHours;
+    }
+    if (body.offlineMessage !== undefined) data.offlineMessage = String(body.offlineMessage || '').trim().slice(0, 500);
+    return { data, error: null };
+}
+
+/**
+ * Online means inside the widget's business hours with a Desktop Agent
+ * connected; without one, inbound webchat messages would go unanswered.
+ */
+export function isWebchatOnline({ integration, hasActiveDevice, now = new Date() }) {
+    return Boolean(hasActiveDevice) && isWithinBusinessHours(integration.businessHours, now);
+}
+
+export function buildWebchatPublicConfig(integration, { online }) {
+    return {
+        widgetName: integration.widgetName || 'Ho tro truc tuyen',
+        welcomeMessage: integration.welcomeMessage || '',
+        primaryColorHex: integration.primaryColorHex || '#4F46E5',
+        preChatForm: integration.preChatForm?.enabled
+            ? { enabled: true, fields: integration.preChatForm.fields.map(({ name, required }) => ({ name, required })) }
+            : { enabled: false, fields: [] },
+        attachments: integration.attachmentsEnabled === false
+            ? { enabled: false }
+            : { enabled: true, maxBytes: MAX_WEBCHAT_ATTACHMENT_BYTES, contentTypes: Object.keys(WEBCHAT_ATTACHMENT_TYPES) },
+        online,
+        offlineMessage: integration.offlineMessage || DEFAULT_OFFLINE_MESSAGE
+    };
+}
+
+/**
+ * Visitor contact details from the pre-chat or offline form. `fields` lists
+ * what the form asks for; unknown keys are ignored.
+ * @returns {{ contact: { name, phone, email }, error: string|null }}
+ */
+export function normalizeWebchatContact(body = {}, fields = PRE_CHAT_FIELDS.map((name) => ({ name, required: false }))) {
+    const asked = new Map(fields.map((field) => [field.name, field]));
+    const contact = { name: '', phone: '', email: '' };
+    if (asked.has('name')) contact.name = String(body.name || '').trim().slice(0, 120);
+    if (asked.has('phone') && String(body.phone || '').trim()) {
+        contact.phone = normalizeVietnamesePhone(body.phone);
+        if (!contact.phone) return { contact, error: 'So dien thoai khong hop le.' };
+    }
+    if (asked.has('email') && String(body.email || '').trim()) {
+        contact.email = String(body.email).trim().toLowerCase().slice(0, 200);
+        if (!EMAIL_PATTERN.test(contact.email)) return { contact, error: 'Email khong hop le.' };
+    }
+    const missing = [...asked.values()].find((field) => field.required && !contact[field.name]);
+    if (missing) return { contact, error: `Vui long nhap ${missing.name}.` };
+    return { contact, error: null };
+}
+
+/**
+ * Link the webchat conversation (created here if the visitor hasn't written
+ * yet) to a customer. Form input is unverified, so it never matches or
+ * updates an existing customer: the visitor gets a separate Webchat customer,
+ * which the duplicate report pairs with a known one sharing the phone/email
+ * for staff to merge. A conversation already linked keeps its customer.
+ * @returns {Promise<{ customer, conversation, created: boolean }>}
+ */
+export async function linkWebchatCustomer({ userId, widgetId, sessionToken, contact, models = defaultModels }) {
+    const existing = await models.CrmConversation.findOne({ userId, accountId: widgetId, threadId: sessionToken, threadType: 'user' })
+        .select('customerId')
+        .lean();
+    let customer = existing?.customerId ? await models.CrmCustomer.findOne({ _id: existing.customerId, userId }) : null;
+    let created = false;
+    if (!customer) {
+        customer = await models.CrmCustomer.create({
+            userId,
+            name: contact.name || contact.email || contact.phone || 'Khach webchat',
+            phone: contact.phone,
+            email: contact.email,
+            source: 'Webchat'
+        });
+        created = true;
+    }
+
+    const conversation = await models.CrmConversation.findOneAndUpdate(
+        { userId, accountId: widgetId, threadId: sessionToken, threadType: 'user' },
+        {
+            $set: { customerId: customer._id, ...(contact.name ? { displayName: contact.name } : {}) },
+            $setOnInsert: {
+                channel: 'webchat',
+                ...(contact.name ? {} : { displayName: customer.name }),
+                tags: [],
+                notes: '',
+                assignedStatus: 'open'
+            }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    return { customer, conversation, created };
+}
+
+/**
+ * Record an offline visitor's email follow-up request as an open CrmTask on
+ * their (linked or new) customer.
+ * @returns {Promise<{ task, customer, conversation }>}
+ */
+export async function createWebchatFollowUp({ userId, widgetId, sessionToken, contact, message, now = new Date(), models = defaultModels }) {
+    const { customer, conversation } = await linkWebchatCustomer({ userId, widgetId, sessionToken, contact, models });
+    const task = await models.CrmTask.create({
+        userId,
+        title: `Lien he lai khach webchat qua email ${contact.email}`.slice(0, 200),
+        description: [
+            contact.name ? `Ten: ${contact.name}` : '',
+            contact.phone ? `SDT: ${contact.phone}` : '',
+            `Email: ${contact.email}`,
+            message ? `Noi dung: ${message}` : ''
+        ].filter(Boolean).join('\n'),
+        relatedType: 'conversation',
+        customerId: customer._id,
+        conversationId: conversation._id,
+        dueAt: new Date(now.getTime() + 24 * 60 * 60 * 1000),
+        priority: 'medium'
+    });
+    return { task, customer, conversation };
+}
+
+/**
+ * Storage prefix for a visitor's uploads. The session token is hashed so it
+ * never appears in public file URLs.
+ */
+export function webchatAttachmentPrefix(userId, widgetId, sessionToken) {
+    const session = crypto.createHash('sha256').update(String(sessionToken)).digest('hex').slice(0, 24);
+    return `crm-webchat/${userId}/${widgetId}/${session}/`;
+}
+
+export function buildWebchatAttachmentKey({ userId, widgetId, sessionToken, filename }) {
+    const safeName = String(filename || 'file')
+        .replace(/[^a-zA-Z0-9._-]/g, '-')
+        .replace(/-+/g, '-')
+        .toLowerCase()
+        .slice(-100);
+    return `${webchatAttachmentPrefix(userId, widgetId, sessionToken)}${crypto.randomUUID()}-${safeName}`;
+}
+
+/**
+ * Validate an upload request before issuing a presigned URL.
+ * @returns {{ messageType: 'image'|'file'|null, error: string|null }}
+ */
+export function validateWebchatUpload({ contentType, size }) {
+    const messageType = WEBCHAT_ATTACHMENT_TYPES[String(contentType || '').split(';')[0].trim().toLowerCase()] || null;
+    if (!messageType) return { messageType: null, error: 'Dinh dang file khong duoc ho tro.' };
+    if (!(Number(size) > 0) || Number(size) > MAX_WEBCHAT_ATTACHMENT_BYTES) {
+        return { messageType: null, error: `File toi da ${MAX_WEBCHAT_ATTACHMENT_BYTES / 1024 / 1024}MB.` };
+    }
+    return { messageType, error: null };
+}
+
+/**
+ * The message attachment for an uploaded key, after checking it belongs to
+ * this visitor's prefix and the stored object is an allowed type and size.
+ * @param {{ exists: boolean, size: number, contentType: string }} head result of headFile(key)
+ * @returns {{ attachment: object|null, messageType: string|null, error: string|null }}
+ */
+export function resolveWebchatAttachment({ key, prefix, head, cdnBase = process.env.CDN_BASE_URL }) {
+    const fail = (error) => ({ attachment: null, messageType: null, error });
+    if (!String(key || '').startsWith(prefix)) return fail('File dinh kem khong hop le.');
+    if (!head?.exists) return fail('Chua tim thay file da upload.');
+    const { messageType, error } = validateWebchatUpload({ contentType: head.contentType, size: head.size });
+    if (error) return fail(error);
+    const filename = key.slice(prefix.length).replace(/^[0-9a-f-]{36}-/, '');
+    return {
+        attachment: {
+            type: messageType,
+            key,
+            url: `${String(cdnBase || '').replace(/\/+$/, '')}/${key}`,
+            filename,
+            contentType: head.contentType,
+            size: head.size
+        },
+        messageType,
+        error: null
+    };
+}
@@ -0,0 +1,184 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    MAX_WEBCHAT_ATTACHMENT_BYTES,
+    createWebchatFollowUp,
+    isWebchatOnline,
+    linkWebchatCustomer,
+    normalizeWebchatContact,
+    normalizeWebchatSettings,
+    resolveWebchatAttachment,
+    validateWebchatUpload,
+    webchatAttachmentPrefix
+} from './crmWebchat.js';
+
+test('normalizeWebchatSettings validates pre-chat fields and business hours', () => {
+    const { data, error } = normalizeWebchatSettings({
+        preChatForm: { enabled: true, fields: [{ name: 'email', required: true }, { name: 'email' }, { name: 'name' }] },
+        attachmentsEnabled: 0,
+        offlineMessage: '  Ngoai gio  '
+    });
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(data.preChatForm.fields, [{ name: 'email', required: true }, { name: 'name', required: false }]);
+    assert.strictEqual(data.attachmentsEnabled, false);
+    assert.strictEqual(data.offlineMessage, 'Ngoai gio');
+    assert.ok(!('businessHours' in data));
+
+    assert.ok(normalizeWebchatSettings({ preChatForm: { enabled: true, fields: [{ name: 'address' }] } }).error);
+    assert.ok(normalizeWebchatSettings({ preChatForm: { enabled: true, fields: [] } }).error);
+    assert.ok(normalizeWebchatSettings({ businessHours: { enabled: true, start: '9h', end: '18:00' } }).error);
+});
+
+test('isWebchatOnline needs an active device inside business hours', () => {
+    // 2026-07-01 is a Wednesday; 03:00Z is 10:00 in Ho Chi Minh City.
+    const now = new Date('2026-07-01T03:00:00.000Z');
+    const integration = { businessHours: { enabled: true, timezone: 'Asia/Ho_Chi_Minh', days: [1, 2, 3, 4, 5], start: '08:00', end: '17:00' } };
+    assert.strictEqual(isWebchatOnline({ integration, hasActiveDevice: true, now }), true);
+    assert.strictEqual(isWebchatOnline({ integration, hasActiveDevice: false, now }), false);
+    assert.strictEqual(isWebchatOnline({ integration, hasActiveDevice: true, now: new Date('2026-07-01T12:00:00.000Z') }), false);
+    assert.strictEqual(isWebchatOnline({ integration: {}, hasActiveDevice: true, now }), true);
+});
+
+test('normalizeWebchatContact normalizes phone and email and enforces required fields', () => {
+    const fields = [{ name: 'name', required: false }, { name: 'phone', required: true }];
+    const { contact, error } = normalizeWebchatContact({ name: ' Lan ', phone: '+84 912 345 678', email: 'ignored@x.vn' }, fields);
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(contact, { name: 'Lan', phone: '0912345678', email: '' });
+
+    assert.ok(normalizeWebchatContact({ name: 'Lan' }, fields).error);
+    assert.ok(normalizeWebchatContact({ phone: '123' }, fields).error);
+    assert.ok(normalizeWebchatContact({ email: 'not-an-email' }).error);
+    assert.strictEqual(normalizeWebchatContact({ email: 'Lan@Shop.VN' }).contact.email, 'lan@shop.vn');
+});
+
+test('upload validation checks type, size and the visitor prefix', () => {
+    assert.strictEqual(validateWebchatUpload({ contentType: 'image/png', size: 1000 }).messageType, 'image');
+    assert.strictEqual(validateWebchatUpload({ contentType: 'application/pdf; charset=binary', size: 1000 }).messageType, 'file');
+    assert.ok(validateWebchatUpload({ contentType: 'application/x-msdownload', size: 1000 }).error);
+    assert.ok(validateWebchatUpload({ contentType: 'image/png', size: MAX_WEBCHAT_ATTACHMENT_BYTES + 1 }).error);
+    assert.ok(validateWebchatUpload({ contentType: 'image/png', size: 0 }).error);
+
+    const prefix = webchatAttachmentPrefix('owner-1', 'widget-1', 'session-secret');
+    assert.ok(!prefix.includes('session-secret'));
+    assert.notStrictEqual(prefix, webchatAttachmentPrefix('owner-1', 'widget-1', 'other-session'));
+
+    const key = `${prefix}123e4567-e89b-12d3-a456-426614174000-bao-gia.pdf`;
+    const head = { exists: true, size: 2048, contentType: 'application/pdf' };
+    const { attachment, messageType, error } = resolveWebchatAttachment({ key, prefix, head, cdnBase: 'https://cdn.test/' });
+    assert.strictEqual(error, null);
+    assert.strictEqual(messageType, 'file');
+    assert.strictEqual(attachment.filename, 'bao-gia.pdf');
+    assert.strictEqual(attachment.url, `https://cdn.test/${key}`);
+
+    const foreign = webchatAttachmentPrefix('owner-1', 'widget-1', 'other-session');
+    assert.ok(resolveWebchatAttachment({ key: `${foreign}x.pdf`, prefix, head }).error);
+    assert.ok(resolveWebchatAttachment({ key, prefix, head: { exists: false } }).error);
+    assert.ok(resolveWebchatAttachment({ key, prefix, head: { ...head, contentType: 'text/html' } }).error);
+});
+
+const createQuery = (result) => {
+    const query = {
+        select() { return query; },
+        lean() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+const buildModels = ({ existingConversation = null, linkedCustomer = null } = {}) => {
+    const calls = { customerFilters: [], customerUpdates: [], customersCreated: [], conversationUpserts: [], tasks: [] };
+    const models = {
+        CrmCustomer: {
+            findOne: async (filter) => {
+                calls.customerFilters.push(filter);
+                return linkedCustomer;
+            },
+            findOneAndUpdate: async (filter, update) => {
+                calls.customerUpdates.push({ filter, update });
+                return { ...linkedCustomer, ...update.$set };
+            },
+            create: async (doc) => {
+                calls.customersCreated.push(doc);
+                return { _id: 'cust-new', ...doc };
+            }
+        },
+        CrmConversation: {
+            findOne: () => createQuery(existingConversation),
+            findOneAndUpdate: async (filter, update, options) => {
+                calls.conversationUpserts.push({ filter, update, options });
+                return { _id: 'conv-1', ...filter, ...update.$set };
+            }
+        },
+        CrmTask: {
+            create: async (doc) => {
+                calls.tasks.push(doc);
+                return { _id: 'task-1', ...doc };
+            }
+        }
+    };
+    return { models, calls };
+};
+
+test('linkWebchatCustomer never matches or updates a known customer from form input', async () => {
+    const { models, calls } = buildModels();
+    const { customer, conversation, created } = await linkWebchatCustomer({
+        userId: 'owner-1',
+        widgetId: 'widget-1',
+        sessionToken: 'session-1',
+        contact: { name: 'Lan Nguyen', phone: '0912345678', email: 'lan@shop.vn' },
+        models
+    });
+    assert.strictEqual(created, true);
+    // No lookup by the submitted phone/email, and nothing written to a customer.
+    assert.deepStrictEqual(calls.customerFilters, []);
+    assert.deepStrictEqual(calls.customerUpdates, []);
+    assert.deepStrictEqual(calls.customersCreated[0], {
+        userId: 'owner-1', name: 'Lan Nguyen', phone: '0912345678', email: 'lan@shop.vn', source: 'Webchat'
+    });
+    assert.strictEqual(conversation.customerId, customer._id);
+    const upsert = calls.conversationUpserts[0];
+    assert.deepStrictEqual(upsert.filter, { userId: 'owner-1', accountId: 'widget-1', threadId: 'session-1', threadType: 'user' });
+    assert.strictEqual(upsert.options.upsert, true);
+    assert.strictEqual(upsert.update.$setOnInsert.channel, 'webchat');
+});
+
+test('linkWebchatCustomer keeps the customer a conversation is already linked to', async () => {
+    const { models, calls } = buildModels({
+        existingConversation: { _id: 'conv-1', customerId: 'cust-1' },
+        linkedCustomer: { _id: 'cust-1', name: 'Lan', phone: '0912345678', email: '' }
+    });
+    const { customer, created } = await linkWebchatCustomer({
+        userId: 'owner-1',
+        widgetId: 'widget-1',
+        sessionToken: 'session-1',
+        contact: { name: 'Someone', phone: '', email: 'other@mail.vn' },
+        models
+    });
+    assert.strictEqual(created, false);
+    assert.strictEqual(customer._id, 'cust-1');
+    assert.deepStrictEqual(calls.customerFilters, [{ _id: 'cust-1', userId: 'owner-1' }]);
+    assert.deepStrictEqual(calls.customerUpdates, []);
+    assert.deepStrictEqual(calls.customersCreated, []);
+});
+
+test('createWebchatFollowUp creates a customer and a task due the next day', async () => {
+    const { models, calls } = buildModels();
+    const now = new Date('2026-07-01T15:00:00.000Z');
+    const { task, customer } = await createWebchatFollowUp({
+        userId: 'owner-1',
+        widgetId: 'widget-1',
+        sessionToken: 'session-1',
+        contact: { name: '', phone: '', email: 'khach@mail.vn' },
+        message: 'Can bao gia si',
+        now,
+        models
+    });
+    assert.strictEqual(calls.customersCreated[0].source, 'Webchat');
+    assert.strictEqual(calls.customersCreated[0].name, 'khach@mail.vn');
+    assert.strictEqual(task.customerId, customer._id);
+    assert.strictEqual(task.conversationId, 'conv-1');
+    assert.strictEqual(task.relatedType, 'conversation');
+    assert.ok(task.title.includes('khach@mail.vn'));
+    assert.ok(task.description.includes('Can bao gia si'));
+    assert.strictEqual(task.dueAt.toISOString(), '2026-07-02T15:00:00.000Z');
+});
@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import CrmWorkspace from '../models/CrmWorkspace.js';
+import CrmWorkspaceMember from '../models/CrmWorkspaceMember.js';
+
+export const WORKSPACE_MEMBER_ROLES = ['manager', 'agent', 'viewer'];
+export const WORKSPACE_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const defaultModels = { User, CrmWorkspace, CrmWorkspaceMember };
+
+export const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a one-time invite token. Only the hash is stored on the member row.
+ * @returns {{ token: string, tokenHash: string, expiresAt: Date }}
+ */
+export function createWorkspaceInvite(now = new Date()) {
+    const token = crypto.randomBytes(24).toString('hex');
+    return {
+        token,
+        tokenHash: hashInviteToken(token),
+        expiresAt: new Date(now.getTime() + WORKSPACE_INVITE_TTL_MS)
+    };
+}
+
+/**
+ * Load the owner's workspace, creating it on first use.
+ */
+export async function ensureWorkspace({ ownerUserId, name = '', models = defaultModels }) {
+    return models.CrmWorkspace.findOneAndUpdate(
+        { ownerUserId },
+        { $setOnInsert: { ownerUserId, name: String(name || '').trim().slice(0, 120) } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+}
+
+/**
+ * Everyone who can act in the owner's workspace: the owner plus active members.
+ * @returns {Promise<Array<{ userId: any, email: string, name: string, role: string }>>}
+ */
+export async function listWorkspaceUsers({ ownerUserId, models = defaultModels }) {
+    const owner = await models.User.findById(ownerUserId).select('name email').lean();
+    const users = owner ? [{ userId: owner._id, email: owner.email || '', name: owner.name || '', role: 'owner' }] : [];
+    const workspace = await models.CrmWorkspace.findOne({ ownerUserId }).select('_id').lean();
+    if (!workspace) return users;
+    const members = await models.CrmWorkspaceMember.find({ workspaceId: workspace._id, status: 'active' })
+        .select('userId email role')
+        .populate('userId', 'name email')
+        .lean();
+    for (const member of members) {
+        if (!member.userId) continue;
+        users.push({
+            userId: member.userId._id,
+            email: member.userId.email || member.email,
+            name: member.userId.name || '',
+            role: member.role
+        });
+    }
+    return users;
+}
+
+/**
+ * Whether `assigneeId` can own conversations in the workspace: the owner or
+ * an active member above viewer.
+ */
+export async function isAssignableMember({ ownerUserId, assigneeId, models = defaultModels }) {
+    if (String(ownerUserId) === String(assigneeId)) return true;
+    const workspace = await models.CrmWorkspace.findOne({ ownerUserId }).select('_id').lean();
+    if (!workspace) return false;
+    const member = await models.CrmWorkspaceMember.findOne({
+        workspaceId: workspace._id,
+        userId: assigneeId,
+        status: 'active',
+        role: { $in: ['manager', 'agent'] }
+    }).select('_id').lean();
+    return Boolean(member);
+}
+
+/**
+ * Pick the next agent for a new inbound conversation when the workspace uses
+ * round-robin assignment. The member who was assigned longest ago wins; the
+ * pick and the lastAssignedAt bump happen in one findOneAndUpdate so two
+ * concurrent inbound messages don't land on the same person.
+ * @returns {Promise<any|null>} the assignee's user id, or null for manual mode
+ */
+export async function pickRoundRobinAssignee({ ownerUserId, now = new Date(), models = defaultModels }) {
+    const workspace = await models.CrmWorkspace.findOne({
+        ownerUserId,
+        'assignment.mode': 'round_robin'
+    }).select('_id').lean();
+    if (!workspace) return null;
+
+    const member = await models.CrmWorkspaceMember.findOneAndUpdate(
+        {
+            workspaceId: workspace._id,
+            status: 'active',
+            role: { $in: ['manager', 'agent'] },
+            autoAssign: true,
+            userId: { $ne: null }
+        },
+        { $set: { lastAssignedAt: now } },
+        { new: true, sort: { lastAssignedAt: 1, joinedAt: 1 } }
+    );
+    return member?.userId || null;
+}
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    createWorkspaceInvite,
+    hashInviteToken,
+    isAssignableMember,
+    pickRoundRobinAssignee,
+    WORKSPACE_INVITE_TTL_MS
+} from './crmWorkspaces.js';
+
+const createQuery = (result) => {
+    const query = {
+        select() { return query; },
+        lean() { return query; },
+        then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+    };
+    return query;
+};
+
+const now = new Date('2026-07-01T02:00:00.000Z');
+
+test('createWorkspaceInvite stores only the token hash with a 7 day expiry', () => {
+    const invite = createWorkspaceInvite(now);
+    assert.match(invite.token, /^[0-9a-f]{48}$/);
+    assert.strictEqual(invite.tokenHash, hashInviteToken(invite.token));
+    assert.notStrictEqual(invite.tokenHash, invite.token);
+    assert.strictEqual(invite.expiresAt.getTime(), now.getTime() + WORKSPACE_INVITE_TTL_MS);
+});
+
+test('pickRoundRobinAssignee rotates through active agents by last assignment', async () => {
+    const members = [
+        { userId: 'agent-a', lastAssignedAt: new Date('2026-06-30T00:00:00Z'), joinedAt: new Date('2026-06-01') },
+        { userId: 'agent-b', lastAssignedAt: null, joinedAt: new Date('2026-06-02') },
+        { userId: 'agent-c', lastAssignedAt: new Date('2026-06-29T00:00:00Z'), joinedAt: new Date('2026-06-03') }
+    ];
+    const models = {
+        CrmWorkspace: {
+            findOne(filter) {
+                assert.deepStrictEqual(filter, { ownerUserId: 'owner-1', 'assignment.mode': 'round_robin' });
+                return createQuery({ _id: 'ws-1' });
+            }
+        },
+        CrmWorkspaceMember: {
+            async findOneAndUpdate(filter, update, options) {
+                assert.strictEqual(filter.workspaceId, 'ws-1');
+                assert.deepStrictEqual(filter.role, { $in: ['manager', 'agent'] });
+                assert.deepStrictEqual(options.sort, { lastAssignedAt: 1, joinedAt: 1 });
+                const [next] = [...members].sort((a, b) => (
+                    (a.lastAssignedAt?.getTime() ?? -1) - (b.lastAssignedAt?.getTime() ?? -1) || a.joinedAt - b.joinedAt
+                ));
+                next.lastAssignedAt = update.$set.lastAssignedAt;
+                return next;
+            }
+        }
+    };
+
+    const picks = [];
+    for (let index = 0; index < 4; index += 1) {
+        picks.push(await pickRoundRobinAssignee({ ownerUserId: 'owner-1', now: new Date(now.getTime() + index), models }));
+    }
+    assert.deepStrictEqual(picks, ['agent-b', 'agent-c', 'agent-a', 'agent-b']);
+});
+
+test('pickRoundRobinAssignee returns null in manual mode and isAssignableMember checks membership', async () => {
+    const manual = {
+        CrmWorkspace: { findOne: () => createQuery(null) },
+        CrmWorkspaceMember: { findOneAndUpdate: async () => assert.fail('should not pick in manual mode') }
+    };
+    assert.strictEqual(await pickRoundRobinAssignee({ ownerUserId: 'owner-1', models: manual }), null);
+
+    const models = {
+        CrmWorkspace: { findOne: () => createQuery({ _id: 'ws-1' }) },
+        CrmWorkspaceMember: {
+            findOne: (filter) => createQuery(filter.userId === 'agent-a' ? { _id: 'm-1' } : null)
+        }
+    };
+    assert.strictEqual(await isAssignableMember({ ownerUserId: 'owner-1', assigneeId: 'owner-1', models }), true);
+    assert.strictEqual(await isAssignableMember({ ownerUserId: 'owner-1', assigneeId: 'agent-a', models }), true);
+    assert.strictEqual(await isAssignableMember({ ownerUserId: 'owner-1', assigneeId: 'viewer-z', models }), false);
+});
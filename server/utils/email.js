@@ -36,4 +36,93 @@ export const sendPasswordVerificationCode = async (to, code, name) => {
     await transporter.sendMail(mailOptions);
 };
 
+/**
+ * Send a CRM workspace invitation
+ * @param {string} to - invitee email
+ * @param {object} invite - { workspaceName, inviterName, role, acceptUrl }
+ */
+export const sendCrmWorkspaceInvite = async (to, { workspaceName, inviterName, role, acceptUrl }) => {
+    const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+    const mailOptions = {
+        from: `"Alpha Studio" <${process.env.EMAIL_USER}>`,
+        to,
+        subject: `Invitation to join ${workspaceName} - Alpha Studio CRM`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 480px; margin: 0 auto; padding: 32px; background: #1a1a2e; border-radius: 16px; color: #fff;">
+                <h2 style="color: #a855f7; margin-bottom: 8px;">Alpha Studio CRM</h2>
+                <p style="color: #ccc; margin-bottom: 24px;">${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(workspaceName)}</strong> as <strong>${role}</strong>.</p>
+                <div style="text-align: center; margin-bottom: 24px;">
+                    <a href="${escapeHtml(acceptUrl)}" style="display: inline-block; background: #a855f7; color: #fff; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-weight: bold;">Accept invitation</a>
+                </div>
+                <p style="color: #999; font-size: 14px;">This invitation expires in 7 days.</p>
+                <p style="color: #999; font-size: 14px;">If you weren't expecting this, please ignore this email.</p>
+            </div>
+        `
+    };
+
+    await transporter.sendMail(mailOptions);
+};
+
+const CRM_SUBSCRIPTION_NOTICES = {
+    reminder: ({ daysBefore, autoRenew }) => ({
+        subject: `Your Alpha CRM plan expires in ${daysBefore} day${daysBefore === 1 ? '' : 's'}`,
+        body: autoRenew
+            ? 'It will renew automatically from your credit balance. Please make sure your balance covers the plan price.'
+            : 'Renew now to keep your campaigns, sequences and chatbot running without interruption.'
+    }),
+    past_due: ({ graceEndsAt }) => ({
+        subject: 'Your Alpha CRM plan is past due',
+        body: `Automation (campaigns, sequences, chatbot) is paused and read-only. Renew before ${graceEndsAt} to keep your workspace; after that the plan expires.`
+    }),
+    renewal_failed: ({ graceEndsAt }) => ({
+        subject: 'Alpha CRM auto-renewal failed',
+        body: `We could not renew your plan from your credit balance. We will retry until ${graceEndsAt}; top up your credits or renew manually.`
+    }),
+    renewed: ({ periodEnd }) => ({
+        subject: 'Your Alpha CRM plan was renewed',
+        body: `Your plan was renewed from your credit balance and is now active until ${periodEnd}.`
+    }),
+    expired: () => ({
+        subject: 'Your Alpha CRM plan has expired',
+        body: 'Your grace period has ended. Your data is kept; renew any time to continue using Alpha CRM.'
+    }),
+    ai_budget: ({ scope, key, used, limit, threshold }) => ({
+        subject: `AI budget for ${scope === 'account' ? 'account' : 'feature'} "${key}" reached ${threshold}%`,
+        body: `${used} of ${limit} AI units used this period.${threshold >= 100 ? ' AI requests under this budget are paused until the next period or a higher limit.' : ''}`
+    })
+};
+
+/**
+ * Send a CRM subscription lifecycle email
+ * @param {string} to - owner email
+ * @param {object} notice - { kind, name, planName, renewUrl, ...kind-specific fields }
+ *   kind: reminder | past_due | renewal_failed | renewed | expired | ai_budget
+ */
+export const sendCrmSubscriptionNotice = async (to, { kind, name, planName, renewUrl, ...details }) => {
+    const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString('vi-VN', { timeZone: 'Asia/Ho_Chi_Minh' }) : '');
+    const { subject, body } = CRM_SUBSCRIPTION_NOTICES[kind]({
+        ...details,
+        periodEnd: formatDate(details.periodEnd),
+        graceEndsAt: formatDate(details.graceEndsAt)
+    });
+    const mailOptions = {
+        from: `"Alpha Studio" <${process.env.EMAIL_USER}>`,
+        to,
+        subject: `${subject} - Alpha Studio CRM`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 480px; margin: 0 auto; padding: 32px; background: #1a1a2e; border-radius: 16px; color: #fff;">
+                <h2 style="color: #a855f7; margin-bottom: 8px;">Alpha Studio CRM</h2>
+                <p style="color: #ccc; margin-bottom: 24px;">Hi ${escapeHtml(name)},</p>
+                <p style="color: #ccc; margin-bottom: 24px;"><strong>${escapeHtml(planName)}</strong>: ${escapeHtml(body)}</p>
+                ${renewUrl ? `<div style="text-align: center; margin-bottom: 24px;">
+                    <a href="${escapeHtml(renewUrl)}" style="display: inline-block; background: #a855f7; color: #fff; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-weight: bold;">Manage subscription</a>
+                </div>` : ''}
+            </div>
+        `
+    };
+
+    await transporter.sendMail(mailOptions);
+};
+
 export default transporter;
@@ -2,16 +2,33 @@
 // (message.new). Unlike crmEventHub (keyed by authenticated CRM userId),
 // this is keyed by `${widgetId}:${sessionToken}` and requires no auth
 // middleware — the session token itself (unguessable, generated client-side)
-// is the only gate. In-memory only — backend runs as a single Fly.io
-// instance; would need Redis pub/sub if that ever changes.
+// is the only gate. Like crmEventHub, publish() fans out through the
+// realtime transport so any instance can reach the visitor's connection,
+// and events are persisted so the widget can resume after a dropped
+// connection.
+
+import eventLog, { nextEventId, webchatEventStream } from './crmEventLog.js';
+import { getRealtimeTransport } from './crmRealtimeTransport.js';
 
 const MAX_CONNECTIONS_PER_KEY = 2;
 const HEARTBEAT_INTERVAL_MS = 25000;
 
 const connectionsByKey = new Map(); // key(string) -> Set<res>
-let lastEventId = 0;
+const replayBuffers = new Map(); // res -> [{ id, eventName, data }]
+
+const TRANSPORT_TOPIC = 'webchat.events';
+let transport = null;
+
+function getTransport() {
+    if (!transport) {
+        transport = getRealtimeTransport();
+        transport.subscribe(TRANSPORT_TOPIC, deliver);
+    }
+    return transport;
+}
 
-function subscribe(key, res) {
+async function subscribe(key, res, { lastEventId = null } = {}) {
+    getTransport();
     let connections = connectionsByKey.get(key);
     if (!connections) {
         connections = new Set();
@@ -26,33 +43,75 @@ function subscribe(key, res) {
         }
     }
 
+    if (lastEventId) replayBuffers.set(res, []);
     connections.add(res);
 
     res.on('close', () => {
         connections.delete(res);
+        replayBuffers.delete(res);
         if (connections.size === 0) connectionsByKey.delete(key);
     });
+
+    if (lastEventId) await replayMissed(res, webchatEventStream(key), lastEventId);
 }
 
 function publish(key, eventName, payload) {
+    const id = nextEventId();
+    const data = JSON.stringify(payload ?? {});
+    eventLog.append(webchatEventStream(key), id, eventName, data);
+    getTransport().publish(TRANSPORT_TOPIC, { key, id, eventName, data });
+}
+
+function deliver({ key, id, eventName, data }) {
     const connections = connectionsByKey.get(key);
     if (!connections || connections.size === 0) return;
 
-    lastEventId += 1;
-    const id = lastEventId;
-    const data = JSON.stringify(payload ?? {});
-
     for (const res of connections) {
+        const buffer = replayBuffers.get(res);
+        if (buffer) {
+            buffer.push({ id, eventName, data });
+            continue;
+        }
         try {
-            res.write(`id: ${id}\n`);
-            res.write(`event: ${eventName}\n`);
-            res.write(`data: ${data}\n\n`);
+            writeFrame(res, id, eventName, data);
         } catch (error) {
             connections.delete(res);
         }
     }
 }
 
+function writeFrame(res, id, eventName, data) {
+    res.write(`id: ${id}\n`);
+    res.write(`event: ${eventName}\n`);
+    res.write(`data: ${data}\n\n`);
+}
+
+// Write the persisted events after lastEventId, then whatever was published
+// while they were being read, then switch the connection to live delivery.
+async function replayMissed(res, stream, lastEventId) {
+    // The client may disconnect while the log is being read.
+    const write = (id, eventName, data) => {
+        if (!res.writableEnded && !res.destroyed) writeFrame(res, id, eventName, data);
+    };
+    let lastWrittenId = lastEventId;
+    try {
+        const { events, reset } = await eventLog.readSince(stream, lastEventId);
+        if (reset) write(nextEventId(), 'stream.reset', JSON.stringify({ reason: 'replay_unavailable' }));
+        for (const event of events) {
+            write(event.eventId, event.event, event.data);
+            lastWrittenId = event.eventId;
+        }
+    } catch (error) {
+        console.error('SSE replay error:', error.message);
+        write(nextEventId(), 'stream.reset', JSON.stringify({ reason: 'replay_failed' }));
+    }
+    const buffered = replayBuffers.get(res) || [];
+    replayBuffers.delete(res);
+    for (const event of buffered) {
+        if (event.id > lastWrittenId) write(event.id, event.eventName, event.data);
+    }
+}
+
 function heartbeatTick() {
     for (const connections of connectionsByKey.values()) {
         for (const res of connections) {
@@ -9,6 +9,7 @@ import WebhookLog from '../server/models/WebhookLog.js';
 import ChatMessage from '../server/models/ChatMessage.js';
 import CrmAuditLog from '../server/models/CrmAuditLog.js';
 import CrmExecutionLog from '../server/models/CrmExecutionLog.js';
+import CrmLeadScoreHistory from '../server/models/CrmLeadScoreHistory.js';
 import CrmMessage from '../server/models/CrmMessage.js';
 import CrmGroupMessage from '../server/models/CrmGroupMessage.js';
 import CrmAgentCommand from '../server/models/CrmAgentCommand.js';
@@ -64,6 +65,7 @@ test('history and diagnostic models declare approved TTL indexes', () => {
         ChatMessage,
         CrmAuditLog,
         CrmExecutionLog,
+        CrmLeadScoreHistory,
         CrmMessage,
         CrmGroupMessage
     ]) {